@@ -0,0 +1,459 @@
+/**
+ * API Client Exports
+ *
+ * Converts an OpenAPI specification produced by the API documentation
+ * generator into files for the HTTP clients used by QA and support: a
+ * Postman v2.1 collection with one environment per server, an Insomnia v4
+ * export, and a `.http` file for VS Code REST Client and JetBrains IDEs.
+ * Requests are grouped by tag and authenticate through placeholders.
+ *
+ * @author REST-SPEC
+ */
+
+const crypto = require('crypto');
+const { exampleFromSchema } = require('./api-doc-schema');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'options', 'head'];
+
+const POSTMAN_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+const DEFAULT_SERVER = 'http://localhost:3000';
+
+/**
+ * Group operations by their first tag, falling back to the first path segment
+ */
+function groupOperations(spec) {
+  const groups = new Map();
+
+  Object.entries(spec.paths || {}).forEach(([routePath, item]) => {
+    HTTP_METHODS.filter(method => item[method]).forEach(method => {
+      const operation = item[method];
+      const group = operation.tags?.[0] || routePath.split('/').filter(Boolean)[0] || 'Root';
+      if (!groups.has(group)) {
+        groups.set(group, []);
+      }
+      groups.get(group).push({
+        // Accept both Express (`:id`) and OpenAPI (`{id}`) path parameters
+        routePath: routePath.replace(/\{([^}]+)\}/g, ':$1'),
+        method: method.toUpperCase(),
+        operation,
+      });
+    });
+  });
+
+  return groups;
+}
+
+/**
+ * Servers with a usable base URL and a variable-safe name
+ */
+function listServers(spec) {
+  const servers = (spec.servers || []).filter(server => server.url);
+  const list = servers.length > 0 ? servers : [{ url: DEFAULT_SERVER, description: 'Local' }];
+
+  return list.map((server, index) => ({
+    url: server.url.replace(/\/$/, ''),
+    name: server.description || (index === 0 ? 'Default' : `Server ${index + 1}`),
+  }));
+}
+
+/**
+ * Authentication placeholders for an operation's first security requirement
+ * @returns {Object|null} `{ type, variables, key?, in? }` or null for public routes
+ */
+function authFor(spec, operation) {
+  const requirement = (operation.security || [])[0];
+  const name = requirement && Object.keys(requirement)[0];
+  if (!name) {
+    return null;
+  }
+
+  const scheme = spec.components?.securitySchemes?.[name] || {};
+  if (scheme.type === 'apiKey') {
+    return {
+      type: 'apikey',
+      key: scheme.name || 'X-API-Key',
+      in: scheme.in === 'query' ? 'query' : 'header',
+      variables: ['apiKey'],
+    };
+  }
+  if (scheme.type === 'http' && scheme.scheme === 'basic') {
+    return { type: 'basic', variables: ['username', 'password'] };
+  }
+  return { type: 'bearer', variables: ['bearerToken'] };
+}
+
+/**
+ * Every placeholder variable used by the specification's operations
+ */
+function authVariables(spec) {
+  const variables = new Set();
+  groupOperations(spec).forEach(operations =>
+    operations.forEach(({ operation }) =>
+      (authFor(spec, operation)?.variables || []).forEach(variable => variables.add(variable))
+    )
+  );
+  return [...variables];
+}
+
+/**
+ * Parameters of one location with example values
+ */
+function parametersIn(spec, operation, location) {
+  return (operation.parameters || [])
+    .filter(param => param.in === location)
+    .map(param => {
+      const schema = param.schema || {};
+      // Plain string identifiers read better as `1` than as `Sample id`
+      const plainId =
+        location === 'path' &&
+        schema.type === 'string' &&
+        !schema.format &&
+        !schema.enum &&
+        schema.example === undefined;
+      return {
+        name: param.name,
+        required: Boolean(param.required),
+        description: param.description || '',
+        value: plainId ? 1 : exampleFromSchema(schema, spec, param.name),
+      };
+    });
+}
+
+/**
+ * Path parameters with example values, including undocumented ones
+ */
+function pathParameters(spec, operation, routePath) {
+  const documented = parametersIn(spec, operation, 'path');
+  return [...routePath.matchAll(/:(\w+)/g)].map(
+    ([, name]) =>
+      documented.find(param => param.name === name) || {
+        name,
+        required: true,
+        description: '',
+        value: 1,
+      }
+  );
+}
+
+/**
+ * Example request body as formatted JSON, or null when there is no body
+ */
+function bodyFor(spec, operation) {
+  const media = operation.requestBody?.content?.['application/json'];
+  if (!media) {
+    return null;
+  }
+  const value = media.example !== undefined ? media.example : exampleFromSchema(media.schema, spec);
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+/**
+ * Display name for an operation
+ */
+function operationName(method, routePath, operation) {
+  const generated = `${method} ${routePath}`;
+  return operation.summary && operation.summary !== generated ? operation.summary : generated;
+}
+
+/**
+ * Stable identifier so regenerated exports diff cleanly
+ */
+function stableId(prefix, ...parts) {
+  const hash = crypto.createHash('sha1').update(parts.join('|')).digest('hex').slice(0, 24);
+  return `${prefix}_${hash}`;
+}
+
+/**
+ * Generate a Postman v2.1 collection
+ * @param {Object} spec - OpenAPI specification
+ * @returns {Object} Collection JSON
+ */
+function generatePostmanCollection(spec) {
+  const [server] = listServers(spec);
+  const postmanAuth = auth => {
+    if (!auth) {
+      return { type: 'noauth' };
+    }
+    if (auth.type === 'apikey') {
+      return {
+        type: 'apikey',
+        apikey: [
+          { key: 'key', value: auth.key, type: 'string' },
+          { key: 'value', value: '{{apiKey}}', type: 'string' },
+          { key: 'in', value: auth.in, type: 'string' },
+        ],
+      };
+    }
+    if (auth.type === 'basic') {
+      return {
+        type: 'basic',
+        basic: [
+          { key: 'username', value: '{{username}}', type: 'string' },
+          { key: 'password', value: '{{password}}', type: 'string' },
+        ],
+      };
+    }
+    return { type: 'bearer', bearer: [{ key: 'token', value: '{{bearerToken}}', type: 'string' }] };
+  };
+
+  const folders = [];
+  groupOperations(spec).forEach((operations, group) => {
+    folders.push({
+      name: group,
+      item: operations.map(({ routePath, method, operation }) => {
+        const segments = routePath.split('/').filter(Boolean);
+        const query = parametersIn(spec, operation, 'query');
+        const body = bodyFor(spec, operation);
+        const headers = parametersIn(spec, operation, 'header').map(param => ({
+          key: param.name,
+          value: String(param.value),
+          description: param.description,
+        }));
+        if (body !== null) {
+          headers.push({ key: 'Content-Type', value: 'application/json' });
+        }
+
+        const search = query
+          .filter(param => param.required)
+          .map(param => `${param.name}=${param.value}`)
+          .join('&');
+
+        return {
+          name: operationName(method, routePath, operation),
+          request: {
+            method,
+            header: headers,
+            auth: postmanAuth(authFor(spec, operation)),
+            url: {
+              raw: `{{baseUrl}}${routePath}${search ? `?${search}` : ''}`,
+              host: ['{{baseUrl}}'],
+              path: segments,
+              ...(query.length > 0 && {
+                query: query.map(param => ({
+                  key: param.name,
+                  value: String(param.value),
+                  description: param.description,
+                  ...(!param.required && { disabled: true }),
+                })),
+              }),
+              ...(routePath.includes(':') && {
+                variable: pathParameters(spec, operation, routePath).map(param => ({
+                  key: param.name,
+                  value: String(param.value),
+                  description: param.description,
+                })),
+              }),
+            },
+            ...(body !== null && {
+              body: { mode: 'raw', raw: body, options: { raw: { language: 'json' } } },
+            }),
+            ...(operation.description && { description: operation.description }),
+          },
+        };
+      }),
+    });
+  });
+
+  return {
+    info: {
+      name: spec.info?.title || 'API',
+      description: spec.info?.description || '',
+      schema: POSTMAN_SCHEMA,
+    },
+    item: folders,
+    variable: [
+      { key: 'baseUrl', value: server.url },
+      ...authVariables(spec).map(key => ({ key, value: '' })),
+    ],
+  };
+}
+
+/**
+ * Generate one Postman environment per configured server
+ * @param {Object} spec - OpenAPI specification
+ * @returns {Array<Object>} Environment JSON documents
+ */
+function generatePostmanEnvironments(spec) {
+  const variables = authVariables(spec);
+
+  return listServers(spec).map(server => ({
+    name: `${spec.info?.title || 'API'} - ${server.name}`,
+    values: [
+      { key: 'baseUrl', value: server.url, type: 'default', enabled: true },
+      ...variables.map(key => ({ key, value: '', type: 'secret', enabled: true })),
+    ],
+    _postman_variable_scope: 'environment',
+  }));
+}
+
+/**
+ * Generate an Insomnia v4 export with a sub-environment per server
+ * @param {Object} spec - OpenAPI specification
+ * @returns {Object} Export JSON
+ */
+function generateInsomniaExport(spec) {
+  const title = spec.info?.title || 'API';
+  const workspaceId = stableId('wrk', title);
+  const baseEnvironmentId = stableId('env', title, 'base');
+  const variables = authVariables(spec);
+  const servers = listServers(spec);
+
+  const insomniaAuth = auth => {
+    if (!auth) {
+      return {};
+    }
+    if (auth.type === 'apikey') {
+      return {
+        type: 'apikey',
+        key: auth.key,
+        value: '{{ _.apiKey }}',
+        addTo: auth.in === 'query' ? 'queryParams' : 'header',
+      };
+    }
+    if (auth.type === 'basic') {
+      return { type: 'basic', username: '{{ _.username }}', password: '{{ _.password }}' };
+    }
+    return { type: 'bearer', token: '{{ _.bearerToken }}' };
+  };
+
+  const resources = [
+    {
+      _id: workspaceId,
+      _type: 'workspace',
+      name: title,
+      description: spec.info?.description || '',
+      scope: 'collection',
+    },
+    {
+      _id: baseEnvironmentId,
+      _type: 'environment',
+      parentId: workspaceId,
+      name: 'Base Environment',
+      data: {
+        baseUrl: servers[0].url,
+        ...Object.fromEntries(variables.map(key => [key, ''])),
+      },
+    },
+    ...servers.map(server => ({
+      _id: stableId('env', title, server.url),
+      _type: 'environment',
+      parentId: baseEnvironmentId,
+      name: server.name,
+      data: { baseUrl: server.url },
+    })),
+  ];
+
+  groupOperations(spec).forEach((operations, group) => {
+    const folderId = stableId('fld', title, group);
+    resources.push({ _id: folderId, _type: 'request_group', parentId: workspaceId, name: group });
+
+    operations.forEach(({ routePath, method, operation }) => {
+      const body = bodyFor(spec, operation);
+      resources.push({
+        _id: stableId('req', title, method, routePath),
+        _type: 'request',
+        parentId: folderId,
+        name: operationName(method, routePath, operation),
+        description: operation.description || '',
+        method,
+        url: `{{ _.baseUrl }}${routePath}`,
+        pathParameters: pathParameters(spec, operation, routePath).map(param => ({
+          name: param.name,
+          value: String(param.value),
+        })),
+        parameters: parametersIn(spec, operation, 'query').map(param => ({
+          name: param.name,
+          value: String(param.value),
+          description: param.description,
+          disabled: !param.required,
+        })),
+        headers: [
+          ...parametersIn(spec, operation, 'header').map(param => ({
+            name: param.name,
+            value: String(param.value),
+          })),
+          ...(body !== null ? [{ name: 'Content-Type', value: 'application/json' }] : []),
+        ],
+        body: body !== null ? { mimeType: 'application/json', text: body } : {},
+        authentication: insomniaAuth(authFor(spec, operation)),
+      });
+    });
+  });
+
+  return {
+    _type: 'export',
+    __export_format: 4,
+    __export_source: 'rest-spec-api-doc',
+    resources,
+  };
+}
+
+/**
+ * Generate a `.http` file for VS Code REST Client and JetBrains HTTP Client
+ * @param {Object} spec - OpenAPI specification
+ * @returns {string} File content
+ */
+function generateHttpFile(spec) {
+  const servers = listServers(spec);
+  const variables = authVariables(spec);
+  const lines = [`# ${spec.info?.title || 'API'}`, '#'];
+
+  lines.push('# Servers - change @baseUrl to switch:');
+  servers.forEach(server => lines.push(`#   ${server.name}: ${server.url}`));
+  lines.push('', `@baseUrl = ${servers[0].url}`);
+  variables.forEach(variable => lines.push(`@${variable} = `));
+
+  groupOperations(spec).forEach((operations, group) => {
+    lines.push('', `# ---------- ${group} ----------`);
+
+    operations.forEach(({ routePath, method, operation }) => {
+      const pathParams = pathParameters(spec, operation, routePath);
+      const query = parametersIn(spec, operation, 'query');
+      const auth = authFor(spec, operation);
+      const url = routePath.replace(/:(\w+)/g, (match, name) =>
+        encodeURIComponent(pathParams.find(param => param.name === name).value)
+      );
+      const search = [
+        ...query
+          .filter(param => param.required)
+          .map(param => `${param.name}=${encodeURIComponent(param.value)}`),
+        ...(auth?.type === 'apikey' && auth.in === 'query' ? [`${auth.key}={{apiKey}}`] : []),
+      ].join('&');
+      const optional = query.filter(param => !param.required).map(param => param.name);
+
+      lines.push('', `### ${operationName(method, routePath, operation)}`);
+      if (operation.deprecated) {
+        lines.push('# Deprecated');
+      }
+      if (optional.length > 0) {
+        lines.push(`# Optional query: ${optional.join(', ')}`);
+      }
+      lines.push(`${method} {{baseUrl}}${url}${search ? `?${search}` : ''}`);
+
+      if (auth?.type === 'bearer') {
+        lines.push('Authorization: Bearer {{bearerToken}}');
+      } else if (auth?.type === 'basic') {
+        lines.push('Authorization: Basic {{username}} {{password}}');
+      } else if (auth?.type === 'apikey' && auth.in === 'header') {
+        lines.push(`${auth.key}: {{apiKey}}`);
+      }
+      parametersIn(spec, operation, 'header').forEach(param =>
+        lines.push(`${param.name}: ${param.value}`)
+      );
+
+      const body = bodyFor(spec, operation);
+      if (body !== null) {
+        lines.push('Content-Type: application/json', '', body);
+      }
+    });
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  generatePostmanCollection,
+  generatePostmanEnvironments,
+  generateInsomniaExport,
+  generateHttpFile,
+};
@@ -0,0 +1,444 @@
+/**
+ * Contract Test Generator
+ *
+ * Generates Jest + supertest suites from an OpenAPI specification produced
+ * by the API documentation generator. Each documented status code becomes a
+ * test, and response bodies are validated against the documented schemas at
+ * runtime, so the suites fail whenever the documentation stops being true.
+ *
+ * @author REST-SPEC
+ */
+
+const path = require('path');
+const { resolveSchema, exampleFromSchema } = require('./api-doc-schema');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'options', 'head'];
+
+// Identifiers that will not exist in a test database, per schema shape
+const missingIds = {
+  integer: 999999999,
+  number: 999999999,
+  uuid: '00000000-0000-0000-0000-000000000000',
+  string: 'does-not-exist',
+};
+
+/**
+ * Template Engine - Simple mustache-style replacement
+ */
+function renderTemplate(template, variables) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
+    return variables[key] !== undefined ? variables[key] : match;
+  });
+}
+
+/**
+ * Helper module shared by every generated suite
+ */
+const helperTemplate = `/**
+ * Contract Test Helpers
+ *
+ * Validates response bodies against the schemas documented in the
+ * OpenAPI specification. Generated by rest-spec-api-doc contract-tests.
+ * @author {{author}}
+ */
+
+const spec = require('{{specPath}}');
+
+/**
+ * Follow a local $ref to its schema
+ */
+const resolve = (schema, seen = new Set()) => {
+  if (!schema || !schema.$ref || seen.has(schema.$ref)) {
+    return schema || {};
+  }
+  seen.add(schema.$ref);
+  const target = schema.$ref
+    .replace(/^#\\//, '')
+    .split('/')
+    .reduce((node, key) => (node ? node[key] : undefined), spec);
+  return resolve(target, seen);
+};
+
+const typeOf = value => {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+};
+
+/**
+ * Validate a value against a schema, collecting readable errors
+ */
+const validate = (value, rawSchema, pointer = 'body', errors = []) => {
+  const schema = resolve(rawSchema);
+
+  if (schema.allOf) {
+    schema.allOf.forEach(part => validate(value, part, pointer, errors));
+    return errors;
+  }
+  if (schema.oneOf || schema.anyOf) {
+    const options = schema.oneOf || schema.anyOf;
+    if (!options.some(option => validate(value, option, pointer, []).length === 0)) {
+      errors.push(\`\${pointer} does not match any allowed schema\`);
+    }
+    return errors;
+  }
+
+  const actual = typeOf(value);
+  if (value === null) {
+    if (!schema.nullable && schema.type) {
+      errors.push(\`\${pointer} should not be null\`);
+    }
+    return errors;
+  }
+  if (schema.type) {
+    const matches =
+      schema.type === actual || (schema.type === 'number' && actual === 'integer');
+    if (!matches) {
+      errors.push(\`\${pointer} should be \${schema.type} but was \${actual}\`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(\`\${pointer} should be one of: \${schema.enum.join(', ')}\`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(\`\${pointer} should have at least \${schema.minLength} characters\`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(\`\${pointer} should have at most \${schema.maxLength} characters\`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(\`\${pointer} should match \${schema.pattern}\`);
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(\`\${pointer} should be >= \${schema.minimum}\`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(\`\${pointer} should be <= \${schema.maximum}\`);
+    }
+  }
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, index) => validate(item, schema.items, \`\${pointer}[\${index}]\`, errors));
+  }
+  if (actual === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(\`\${pointer}.\${key} is required\`);
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, property]) => {
+      if (value[key] !== undefined) {
+        validate(value[key], property, \`\${pointer}.\${key}\`, errors);
+      }
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Look up the documented JSON schema for a response
+ */
+const responseSchema = (routePath, method, status) => {
+  const response = spec.paths?.[routePath]?.[method]?.responses?.[status];
+  return response?.content?.['application/json']?.schema;
+};
+
+expect.extend({
+  toMatchSchema(received, schema) {
+    if (!schema) {
+      return { pass: true, message: () => 'No schema documented' };
+    }
+    const errors = validate(received, schema);
+    return {
+      pass: errors.length === 0,
+      message: () =>
+        errors.length === 0
+          ? 'Expected response not to match the documented schema'
+          : \`Response does not match the documented schema:\\n  \${errors.join('\\n  ')}\`,
+    };
+  },
+});
+
+module.exports = {
+  spec,
+  responseSchema,
+  validate,
+};
+`;
+
+/**
+ * Suite template, one per tag
+ */
+const suiteTemplate = `/**
+ * {{suiteName}} Contract Tests
+ *
+ * Verifies that the {{suiteName}} endpoints behave as documented in the
+ * OpenAPI specification. Generated by rest-spec-api-doc contract-tests.
+ * @author {{author}}
+ */
+
+const request = require('supertest');
+const app = require('{{appPath}}');
+const { responseSchema } = require('./contract-helpers');
+
+// Bearer token for secured endpoints
+const authToken = process.env.CONTRACT_TEST_TOKEN || 'test-token';
+
+// Identifiers that exist in the test database - adjust to match your fixtures
+const pathParams = {{pathParams}};
+
+describe('{{suiteName}} API contract', () => {
+{{blocks}}
+});
+`;
+
+/**
+ * Convert a tag or path segment into a file-friendly name
+ */
+function toKebabCase(str) {
+  return (
+    str
+      .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+      .replace(/[^A-Za-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '')
+      .toLowerCase() || 'default'
+  );
+}
+
+/**
+ * Indent every line of a block
+ */
+function indent(text, spaces) {
+  const pad = ' '.repeat(spaces);
+  return text
+    .split('\n')
+    .map(line => (line ? pad + line : line))
+    .join('\n');
+}
+
+/**
+ * Names of path parameters in `/items/:id` or `/items/{id}` style paths
+ */
+function pathParamNames(routePath) {
+  return [...routePath.matchAll(/:([A-Za-z0-9_]+)|\{([^}]+)\}/g)].map(m => m[1] || m[2]);
+}
+
+/**
+ * Build the request URL as a JavaScript expression
+ */
+function urlExpression(routePath, valueFor) {
+  const names = pathParamNames(routePath);
+  if (names.length === 0) {
+    return `'${routePath}'`;
+  }
+  const url = routePath.replace(/:([A-Za-z0-9_]+)|\{([^}]+)\}/g, (match, colon, brace) =>
+    valueFor(colon || brace)
+  );
+  return `\`${url}\``;
+}
+
+/**
+ * Pick the identifier that should be missing for a path parameter
+ */
+function missingIdFor(schema) {
+  if (schema?.format === 'uuid') {
+    return missingIds.uuid;
+  }
+  return missingIds[schema?.type] || missingIds.string;
+}
+
+/**
+ * Format a value as a JavaScript literal indented for a chained call
+ */
+function literal(value, spaces) {
+  return JSON.stringify(value, null, 2)
+    .replace(/"((?:[^"\\]|\\.)*)"(:?)/g, (match, inner, colon) => {
+      if (colon && /^[A-Za-z_$][\w$]*$/.test(inner)) {
+        return `${inner}:`;
+      }
+      return `'${inner.replace(/\\"/g, '"').replace(/'/g, "\\'")}'${colon}`;
+    })
+    .split('\n')
+    .map((line, index) => (index === 0 ? line : ' '.repeat(spaces) + line))
+    .join('\n');
+}
+
+/**
+ * Generate the test cases for one operation
+ */
+function operationBlock(spec, routePath, method, operation) {
+  const parameters = (operation.parameters || []).map(param => ({
+    ...param,
+    schema: resolveSchema(param.schema, spec) || {},
+  }));
+  const pathSchemas = Object.fromEntries(
+    parameters.filter(param => param.in === 'path').map(param => [param.name, param.schema])
+  );
+  const secured = (operation.security || []).length > 0;
+  const requiredQuery = parameters.filter(param => param.in === 'query' && param.required);
+  const query = Object.fromEntries(
+    requiredQuery.map(param => [param.name, exampleFromSchema(param.schema, spec, param.name)])
+  );
+  const bodySchema = operation.requestBody?.content?.['application/json']?.schema;
+  const resolvedBody = resolveSchema(bodySchema, spec);
+  const body = bodySchema ? exampleFromSchema(bodySchema, spec) : null;
+
+  const buildRequest = ({ url, withAuth = true, withQuery = true, sendBody = body }) => {
+    const lines = [`const response = await request(app)`, `  .${method}(${url})`];
+    if (secured && withAuth) {
+      lines.push("  .set('Authorization', `Bearer ${authToken}`)");
+    }
+    if (withQuery && Object.keys(query).length > 0) {
+      lines.push(`  .query(${literal(query, 2)})`);
+    }
+    if (sendBody !== null && sendBody !== undefined) {
+      lines.push(`  .send(${literal(sendBody, 2)})`);
+    }
+    return lines;
+  };
+
+  const existingUrl = urlExpression(routePath, name => `\${pathParams.${name}}`);
+  const tests = [];
+
+  Object.entries(operation.responses || {}).forEach(([status, response]) => {
+    const code = Number(status);
+    const title = `should return ${status}${response.description ? ` - ${response.description}` : ''}`;
+    const assertion = [
+      `  .expect(${code});`,
+      '',
+      code === 204
+        ? 'expect(response.body).toEqual({});'
+        : `expect(response.body).toMatchSchema(responseSchema('${routePath}', '${method}', '${status}'));`,
+    ];
+    let lines = null;
+
+    if (code >= 200 && code < 300) {
+      lines = buildRequest({ url: existingUrl });
+    } else if (code === 401 && secured) {
+      lines = buildRequest({ url: existingUrl, withAuth: false });
+    } else if (code === 400 && resolvedBody && (resolvedBody.required || []).length > 0) {
+      lines = buildRequest({ url: existingUrl, sendBody: {} });
+    } else if (code === 400 && requiredQuery.length > 0) {
+      lines = buildRequest({ url: existingUrl, withQuery: false });
+    } else if (code === 404 && Object.keys(pathSchemas).length > 0) {
+      const url = urlExpression(routePath, name => missingIdFor(pathSchemas[name]));
+      lines = buildRequest({ url });
+    }
+
+    if (!lines) {
+      tests.push(`test.todo('${title.replace(/'/g, "\\'")}');`);
+      return;
+    }
+
+    tests.push(
+      [
+        `test('${title.replace(/'/g, "\\'")}', async () => {`,
+        indent([...lines, ...assertion].join('\n'), 2),
+        '});',
+      ].join('\n')
+    );
+  });
+
+  if (tests.length === 0) {
+    return null;
+  }
+
+  return [
+    `describe('${method.toUpperCase()} ${routePath}', () => {`,
+    indent(tests.join('\n\n'), 2),
+    '});',
+  ].join('\n');
+}
+
+/**
+ * Generate contract test suites for every operation in a specification
+ * @param {Object} spec - OpenAPI specification from generateOpenAPI
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.outputDir] - Directory the suites will be written to
+ * @param {string} [options.specPath] - Path of the specification file on disk
+ * @param {string} [options.appPath] - Path of the Express app module
+ * @param {string} [options.author] - Author name for file headers
+ * @returns {Array<{fileName: string, content: string}>} Files to write
+ */
+function generateContractTests(spec, options = {}) {
+  const outputDir = path.resolve(options.outputDir || 'tests/contract');
+  const relativeTo = target => {
+    const relative = path.relative(outputDir, path.resolve(target)).split(path.sep).join('/');
+    return relative.startsWith('.') ? relative : `./${relative}`;
+  };
+  const author = options.author || process.env.USER || 'Developer';
+
+  // Group operations by their first tag
+  const groups = new Map();
+  Object.entries(spec.paths || {}).forEach(([routePath, item]) => {
+    HTTP_METHODS.filter(method => item[method]).forEach(method => {
+      const operation = item[method];
+      const group = operation.tags?.[0] || routePath.split('/').filter(Boolean)[0] || 'Root';
+      if (!groups.has(group)) {
+        groups.set(group, []);
+      }
+      groups.get(group).push({ routePath, method, operation });
+    });
+  });
+
+  const files = [
+    {
+      fileName: 'contract-helpers.js',
+      content: renderTemplate(helperTemplate, {
+        author,
+        specPath: relativeTo(options.specPath || 'api-docs/openapi.json'),
+      }),
+    },
+  ];
+
+  groups.forEach((operations, group) => {
+    const pathParams = {};
+    const blocks = [];
+
+    operations.forEach(({ routePath, method, operation }) => {
+      (operation.parameters || [])
+        .filter(param => param.in === 'path')
+        .forEach(param => {
+          pathParams[param.name] = exampleFromSchema(param.schema || {}, spec, param.name);
+        });
+      pathParamNames(routePath)
+        .filter(name => pathParams[name] === undefined)
+        .forEach(name => {
+          pathParams[name] = 1;
+        });
+
+      const block = operationBlock(spec, routePath, method, operation);
+      if (block) {
+        blocks.push(block);
+      }
+    });
+
+    files.push({
+      fileName: `${toKebabCase(group)}.contract.test.js`,
+      content: renderTemplate(suiteTemplate, {
+        suiteName: group,
+        author,
+        appPath: relativeTo(options.appPath || 'src/app'),
+        pathParams: literal(pathParams, 0),
+        blocks: indent(blocks.join('\n\n'), 2),
+      }),
+    });
+  });
+
+  return files;
+}
+
+module.exports = {
+  generateContractTests,
+};
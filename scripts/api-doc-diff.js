@@ -0,0 +1,494 @@
+/**
+ * OpenAPI Diff
+ *
+ * Compares two specifications produced by the API documentation generator
+ * and classifies every change as breaking or non-breaking, following the
+ * rules in api-versioning-strategy.md
+ *
+ * @author REST-SPEC
+ */
+
+const { resolveSchema } = require('./api-doc-schema');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'options', 'head'];
+
+/**
+ * Change severity levels
+ */
+const Severity = {
+  BREAKING: 'breaking',
+  NON_BREAKING: 'non-breaking',
+};
+
+/**
+ * Normalize a path so `/users/:id`, `/users/:userId` and `/users/{id}` compare equal
+ */
+function normalizePath(routePath) {
+  return routePath.replace(/:[A-Za-z0-9_]+/g, '{}').replace(/\{[^}]*\}/g, '{}');
+}
+
+/**
+ * Describe a schema's type for messages, e.g. `string (date-time)` or `array`
+ */
+function describeType(schema) {
+  if (!schema || !schema.type) {
+    return 'any';
+  }
+  return schema.format ? `${schema.type} (${schema.format})` : schema.type;
+}
+
+/**
+ * Collects changes while walking both specifications
+ */
+class DiffCollector {
+  constructor(oldSpec, newSpec) {
+    this.oldSpec = oldSpec;
+    this.newSpec = newSpec;
+    this.changes = [];
+  }
+
+  add(severity, type, location, message) {
+    this.changes.push({ severity, type, ...location, message });
+  }
+
+  /**
+   * Compare two schemas. Requests break when they accept less than before;
+   * responses break when they return something clients did not expect.
+   */
+  compareSchemas(oldSchema, newSchema, location, direction, depth = 0) {
+    const before = resolveSchema(oldSchema, this.oldSpec) || {};
+    const after = resolveSchema(newSchema, this.newSpec) || {};
+    const where = location.pointer || 'body';
+
+    if (depth > 20) {
+      return;
+    }
+
+    if (before.type && after.type && before.type !== after.type) {
+      this.add(
+        Severity.BREAKING,
+        'type-changed',
+        location,
+        `${where} changed type from ${describeType(before)} to ${describeType(after)}`
+      );
+      return;
+    }
+
+    if (before.format !== after.format && before.format && after.format) {
+      this.add(
+        Severity.BREAKING,
+        'format-changed',
+        location,
+        `${where} changed format from ${before.format} to ${after.format}`
+      );
+    }
+
+    this.compareEnums(before, after, location, direction);
+
+    if (direction === 'request') {
+      this.compareConstraints(before, after, location);
+    }
+
+    // Object properties
+    const oldProps = before.properties || {};
+    const newProps = after.properties || {};
+    const oldRequired = before.required || [];
+    const newRequired = after.required || [];
+
+    Object.keys(oldProps).forEach(name => {
+      const pointer = `${where}.${name}`;
+      if (!newProps[name]) {
+        this.add(
+          Severity.BREAKING,
+          direction === 'request' ? 'request-property-removed' : 'response-property-removed',
+          { ...location, pointer },
+          `${pointer} was removed`
+        );
+        return;
+      }
+      this.compareSchemas(
+        oldProps[name],
+        newProps[name],
+        { ...location, pointer },
+        direction,
+        depth + 1
+      );
+    });
+
+    Object.keys(newProps)
+      .filter(name => !oldProps[name])
+      .forEach(name => {
+        const pointer = `${where}.${name}`;
+        const breaking = direction === 'request' && newRequired.includes(name);
+        this.add(
+          breaking ? Severity.BREAKING : Severity.NON_BREAKING,
+          breaking ? 'required-property-added' : 'property-added',
+          { ...location, pointer },
+          `${pointer} was added${breaking ? ' as required' : ''}`
+        );
+      });
+
+    if (direction === 'request') {
+      newRequired
+        .filter(name => oldProps[name] && newProps[name] && !oldRequired.includes(name))
+        .forEach(name => {
+          this.add(
+            Severity.BREAKING,
+            'property-became-required',
+            { ...location, pointer: `${where}.${name}` },
+            `${where}.${name} became required`
+          );
+        });
+    }
+
+    // Array items
+    if (before.items && after.items) {
+      this.compareSchemas(
+        before.items,
+        after.items,
+        { ...location, pointer: `${where}[]` },
+        direction,
+        depth + 1
+      );
+    }
+  }
+
+  compareEnums(before, after, location, direction) {
+    const where = location.pointer || 'body';
+    if (!before.enum && !after.enum) {
+      return;
+    }
+
+    const oldValues = before.enum || null;
+    const newValues = after.enum || null;
+
+    if (direction === 'request') {
+      // Narrowing what a request may contain breaks existing clients
+      const removed = oldValues
+        ? oldValues.filter(value => !newValues || !newValues.includes(value))
+        : [];
+      if (!oldValues && newValues) {
+        this.add(
+          Severity.BREAKING,
+          'enum-added',
+          location,
+          `${where} is now restricted to: ${newValues.join(', ')}`
+        );
+      } else if (newValues && removed.length > 0) {
+        this.add(
+          Severity.BREAKING,
+          'enum-narrowed',
+          location,
+          `${where} no longer accepts: ${removed.join(', ')}`
+        );
+      } else if (oldValues && newValues && newValues.length > oldValues.length) {
+        this.add(
+          Severity.NON_BREAKING,
+          'enum-widened',
+          location,
+          `${where} now also accepts: ${newValues.filter(v => !oldValues.includes(v)).join(', ')}`
+        );
+      }
+      return;
+    }
+
+    // Responses break when they can return values clients have never seen
+    const added = newValues
+      ? newValues.filter(value => !oldValues || !oldValues.includes(value))
+      : [];
+    if (oldValues && !newValues) {
+      this.add(
+        Severity.BREAKING,
+        'enum-removed',
+        location,
+        `${where} is no longer restricted to a fixed set of values`
+      );
+    } else if (oldValues && added.length > 0) {
+      this.add(
+        Severity.BREAKING,
+        'enum-widened',
+        location,
+        `${where} may now return: ${added.join(', ')}`
+      );
+    } else if (newValues && (!oldValues || newValues.length < oldValues.length)) {
+      this.add(
+        Severity.NON_BREAKING,
+        'enum-narrowed',
+        location,
+        `${where} returns fewer distinct values`
+      );
+    }
+  }
+
+  compareConstraints(before, after, location) {
+    const where = location.pointer || 'body';
+    const tightened = [];
+
+    ['minLength', 'minimum', 'minItems'].forEach(key => {
+      if (after[key] !== undefined && (before[key] === undefined || after[key] > before[key])) {
+        tightened.push(`${key} ${before[key] ?? 'none'} -> ${after[key]}`);
+      }
+    });
+    ['maxLength', 'maximum', 'maxItems'].forEach(key => {
+      if (after[key] !== undefined && (before[key] === undefined || after[key] < before[key])) {
+        tightened.push(`${key} ${before[key] ?? 'none'} -> ${after[key]}`);
+      }
+    });
+    if (after.pattern && after.pattern !== before.pattern) {
+      tightened.push(`pattern ${before.pattern || 'none'} -> ${after.pattern}`);
+    }
+
+    if (tightened.length > 0) {
+      this.add(
+        Severity.BREAKING,
+        'constraint-tightened',
+        location,
+        `${where} constraints tightened (${tightened.join(', ')})`
+      );
+    }
+  }
+
+  compareParameters(oldOp, newOp, location) {
+    const key = param => `${param.in}:${param.name}`;
+    const oldParams = new Map((oldOp.parameters || []).map(param => [key(param), param]));
+    const newParams = new Map((newOp.parameters || []).map(param => [key(param), param]));
+
+    oldParams.forEach((param, id) => {
+      const pointer = `${param.in} parameter "${param.name}"`;
+      const next = newParams.get(id);
+      if (!next) {
+        // Path parameters are matched positionally through the normalized path
+        if (param.in !== 'path') {
+          this.add(
+            Severity.BREAKING,
+            'parameter-removed',
+            { ...location, pointer },
+            `${pointer} was removed`
+          );
+        }
+        return;
+      }
+      if (next.required && !param.required) {
+        this.add(
+          Severity.BREAKING,
+          'parameter-became-required',
+          { ...location, pointer },
+          `${pointer} became required`
+        );
+      }
+      this.compareSchemas(param.schema, next.schema, { ...location, pointer }, 'request');
+    });
+
+    newParams.forEach((param, id) => {
+      if (oldParams.has(id) || param.in === 'path') {
+        return;
+      }
+      const pointer = `${param.in} parameter "${param.name}"`;
+      this.add(
+        param.required ? Severity.BREAKING : Severity.NON_BREAKING,
+        param.required ? 'required-parameter-added' : 'parameter-added',
+        { ...location, pointer },
+        `${pointer} was added${param.required ? ' as required' : ''}`
+      );
+    });
+  }
+
+  compareRequestBodies(oldOp, newOp, location) {
+    const before = oldOp.requestBody;
+    const after = newOp.requestBody;
+
+    if (!before && !after) {
+      return;
+    }
+    if (!before) {
+      this.add(
+        after.required ? Severity.BREAKING : Severity.NON_BREAKING,
+        after.required ? 'required-body-added' : 'body-added',
+        location,
+        `request body was added${after.required ? ' as required' : ''}`
+      );
+      return;
+    }
+    if (!after) {
+      this.add(Severity.BREAKING, 'body-removed', location, 'request body was removed');
+      return;
+    }
+    if (after.required && !before.required) {
+      this.add(Severity.BREAKING, 'body-became-required', location, 'request body became required');
+    }
+
+    Object.entries(before.content || {}).forEach(([mediaType, media]) => {
+      const next = (after.content || {})[mediaType];
+      if (!next) {
+        this.add(
+          Severity.BREAKING,
+          'media-type-removed',
+          location,
+          `request body no longer accepts ${mediaType}`
+        );
+        return;
+      }
+      this.compareSchemas(media.schema, next.schema, { ...location, pointer: 'body' }, 'request');
+    });
+  }
+
+  compareResponses(oldOp, newOp, location) {
+    const before = oldOp.responses || {};
+    const after = newOp.responses || {};
+
+    Object.entries(before).forEach(([status, response]) => {
+      const pointer = `response ${status}`;
+      const next = after[status];
+      if (!next) {
+        this.add(
+          Severity.BREAKING,
+          'response-removed',
+          { ...location, pointer },
+          `${pointer} was removed`
+        );
+        return;
+      }
+
+      Object.entries(response.content || {}).forEach(([mediaType, media]) => {
+        const nextMedia = (next.content || {})[mediaType];
+        if (!nextMedia) {
+          this.add(
+            Severity.BREAKING,
+            'response-type-changed',
+            { ...location, pointer },
+            `${pointer} no longer returns ${mediaType}`
+          );
+          return;
+        }
+        this.compareSchemas(media.schema, nextMedia.schema, { ...location, pointer }, 'response');
+      });
+    });
+
+    Object.keys(after)
+      .filter(status => !before[status])
+      .forEach(status => {
+        this.add(
+          Severity.NON_BREAKING,
+          'response-added',
+          { ...location, pointer: `response ${status}` },
+          `response ${status} was added`
+        );
+      });
+  }
+
+  compareSecurity(oldOp, newOp, location) {
+    const names = op =>
+      new Set((op.security || []).flatMap(requirement => Object.keys(requirement)));
+    const before = names(oldOp);
+    const after = names(newOp);
+
+    after.forEach(name => {
+      if (!before.has(name)) {
+        this.add(
+          Severity.BREAKING,
+          'security-added',
+          location,
+          `now requires ${name} authentication`
+        );
+      }
+    });
+    before.forEach(name => {
+      if (!after.has(name)) {
+        this.add(
+          Severity.NON_BREAKING,
+          'security-removed',
+          location,
+          `no longer requires ${name} authentication`
+        );
+      }
+    });
+  }
+
+  compareOperations(oldOp, newOp, location) {
+    this.compareParameters(oldOp, newOp, location);
+    this.compareRequestBodies(oldOp, newOp, location);
+    this.compareResponses(oldOp, newOp, location);
+    this.compareSecurity(oldOp, newOp, location);
+
+    if (newOp.deprecated && !oldOp.deprecated) {
+      this.add(Severity.NON_BREAKING, 'operation-deprecated', location, 'operation was deprecated');
+    }
+  }
+
+  run() {
+    const index = spec =>
+      new Map(
+        Object.entries(spec.paths || {}).map(([routePath, item]) => [
+          normalizePath(routePath),
+          { routePath, item },
+        ])
+      );
+    const oldPaths = index(this.oldSpec);
+    const newPaths = index(this.newSpec);
+
+    oldPaths.forEach(({ routePath, item }, key) => {
+      const next = newPaths.get(key);
+      if (!next) {
+        this.add(Severity.BREAKING, 'path-removed', { path: routePath }, 'path was removed');
+        return;
+      }
+
+      HTTP_METHODS.forEach(method => {
+        const location = { path: next.routePath, method: method.toUpperCase() };
+        if (item[method] && !next.item[method]) {
+          this.add(Severity.BREAKING, 'operation-removed', location, 'operation was removed');
+        } else if (!item[method] && next.item[method]) {
+          this.add(Severity.NON_BREAKING, 'operation-added', location, 'operation was added');
+        } else if (item[method]) {
+          this.compareOperations(item[method], next.item[method], location);
+        }
+      });
+    });
+
+    newPaths.forEach(({ routePath }, key) => {
+      if (!oldPaths.has(key)) {
+        this.add(Severity.NON_BREAKING, 'path-added', { path: routePath }, 'path was added');
+      }
+    });
+
+    return this.changes;
+  }
+}
+
+/**
+ * Compare two OpenAPI specifications
+ * @param {Object} oldSpec - Previously published specification
+ * @param {Object} newSpec - Candidate specification
+ * @returns {Object} { breaking, nonBreaking, changes }
+ */
+function diffOpenAPI(oldSpec, newSpec) {
+  const changes = new DiffCollector(oldSpec, newSpec).run();
+  return {
+    breaking: changes.filter(change => change.severity === Severity.BREAKING),
+    nonBreaking: changes.filter(change => change.severity === Severity.NON_BREAKING),
+    changes,
+  };
+}
+
+/**
+ * Format a diff result as a plain-text report
+ */
+function formatDiffReport(result) {
+  const describe = change =>
+    `  ${[change.method, change.path].filter(Boolean).join(' ')}: ${change.message}`;
+  const lines = [];
+
+  lines.push(`Breaking changes: ${result.breaking.length}`);
+  result.breaking.forEach(change => lines.push(describe(change)));
+  lines.push('');
+  lines.push(`Non-breaking changes: ${result.nonBreaking.length}`);
+  result.nonBreaking.forEach(change => lines.push(describe(change)));
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  Severity,
+  diffOpenAPI,
+  formatDiffReport,
+};
@@ -10,6 +10,7 @@
  */
 
 const fs = require('fs').promises;
+const http = require('http');
 const path = require('path');
 const { program } = require('commander');
 // Simple color functions to avoid ESM issues with chalk v5
@@ -51,6 +52,18 @@ const createSpinner = text => {
 const { glob } = require('glob');
 const parser = require('@babel/parser');
 const traverse = require('@babel/traverse').default;
+const { diffOpenAPI, formatDiffReport } = require('./api-doc-diff');
+const { generateContractTests } = require('./api-doc-contract-tests');
+const { createMockApp, startMockServer } = require('./api-doc-mock-server');
+const { exampleFromSchema, resolveSchema } = require('./api-doc-schema');
+const { parseModelFile, findModelSchemas } = require('./api-doc-models');
+const {
+  generatePostmanCollection,
+  generatePostmanEnvironments,
+  generateInsomniaExport,
+  generateHttpFile,
+} = require('./api-doc-clients');
+const { createFileCache, watchProject, startLiveReloadServer } = require('./api-doc-watch');
 // Simple logger for this script
 const logger = {
   info: message => console.log(message),
@@ -76,9 +89,15 @@ const openAPITemplate = {
 
 /**
  * Parse Express route files to extract API information
+ * @param {string} filePath - Route file to parse
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.content] - Source to parse instead of reading the file
+ * @param {Set<string>} [options.dependencies] - Receives the local modules read
+ *   while resolving validation schemas
+ * @returns {Promise<Array>} Routes defined in the file
  */
-async function parseRouteFile(filePath) {
-  const content = await fs.readFile(filePath, 'utf8');
+async function parseRouteFile(filePath, options = {}) {
+  const content = options.content ?? (await fs.readFile(filePath, 'utf8'));
   const ast = parser.parse(content, {
     sourceType: 'module',
     plugins: ['jsx', 'typescript'],
@@ -87,6 +106,8 @@ async function parseRouteFile(filePath) {
   const routes = [];
   const routeComments = new Map();
   const variables = new Map(); // Track variable declarations
+  const scope = collectBindings(ast, filePath);
+  const routeArgs = new Map(); // Middleware nodes per route, resolved after traversal
 
   // First pass: collect JSDoc comments and variable declarations
   traverse(ast, {
@@ -171,6 +192,7 @@ async function parseRouteFile(filePath) {
             method,
             path: routePath,
             file: filePath,
+            line: path.node.loc?.start.line,
             handlers: [],
           };
 
@@ -199,15 +221,960 @@ async function parseRouteFile(filePath) {
             }
           });
 
+          routeArgs.set(routeInfo, args.slice(1));
           routes.push(routeInfo);
         }
       }
     },
   });
 
+  // Third pass: follow validation middleware into request schemas
+  for (const route of routes) {
+    route.validations = await collectValidations(routeArgs.get(route), scope);
+  }
+
+  if (options.dependencies) {
+    scope.modules.forEach((moduleScope, modulePath) => options.dependencies.add(modulePath));
+  }
+
   return routes;
 }
 
+// Source files scanned for router mounts and @schema blocks
+const sourcePattern = '**/*.{js,mjs,cjs,ts}';
+
+// express-validator chain roots and the OpenAPI location they validate
+const validatorLocations = {
+  body: 'body',
+  param: 'path',
+  query: 'query',
+  header: 'header',
+};
+
+// Targets accepted by the code-generator's `validate(schema, target)` middleware
+const joiTargets = {
+  body: 'body',
+  query: 'query',
+  params: 'path',
+  headers: 'header',
+};
+
+/**
+ * Resolve a relative require/import specifier to a file on disk
+ */
+async function resolveLocalModule(fromFile, source) {
+  if (typeof source !== 'string' || !source.startsWith('.')) {
+    return null;
+  }
+
+  const base = path.resolve(path.dirname(fromFile), source);
+  const candidates = [base, `${base}.js`, `${base}.ts`, path.join(base, 'index.js')];
+  for (const candidate of candidates) {
+    const stat = await fs.stat(candidate).catch(() => null);
+    if (stat && stat.isFile()) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Collect top-level bindings needed to statically resolve validation schemas
+ */
+function collectBindings(ast, filePath) {
+  const scope = {
+    filePath,
+    bindings: new Map(), // name -> initializer node
+    imports: new Map(), // name -> { source, imported }
+    validators: new Map(), // local express-validator name -> location
+    joi: new Set(), // local names bound to Joi
+    modules: new Map(), // resolved path -> scope (cache)
+  };
+
+  const bindImport = (source, imported, local) => {
+    if (source === 'express-validator') {
+      if (validatorLocations[imported]) {
+        scope.validators.set(local, validatorLocations[imported]);
+      }
+    } else if (source === 'joi' || source === '@hapi/joi') {
+      if (imported === 'default' || imported === '*') {
+        scope.joi.add(local);
+      }
+    } else {
+      scope.imports.set(local, { source, imported });
+    }
+  };
+
+  traverse(ast, {
+    ImportDeclaration(nodePath) {
+      const source = nodePath.node.source.value;
+      nodePath.node.specifiers.forEach(spec => {
+        if (spec.type === 'ImportDefaultSpecifier') {
+          bindImport(source, 'default', spec.local.name);
+        } else if (spec.type === 'ImportNamespaceSpecifier') {
+          bindImport(source, '*', spec.local.name);
+        } else {
+          bindImport(source, spec.imported.name || spec.imported.value, spec.local.name);
+        }
+      });
+    },
+
+    VariableDeclarator(nodePath) {
+      const { id, init } = nodePath.node;
+      if (!init) {
+        return;
+      }
+
+      const isRequire =
+        init.type === 'CallExpression' &&
+        init.callee.type === 'Identifier' &&
+        init.callee.name === 'require' &&
+        init.arguments[0]?.type === 'StringLiteral';
+
+      if (isRequire) {
+        const source = init.arguments[0].value;
+        if (id.type === 'Identifier') {
+          bindImport(source, 'default', id.name);
+        } else if (id.type === 'ObjectPattern') {
+          id.properties.forEach(prop => {
+            if (prop.type === 'ObjectProperty' && prop.value.type === 'Identifier') {
+              bindImport(source, prop.key.name || prop.key.value, prop.value.name);
+            }
+          });
+        }
+      } else if (id.type === 'Identifier' && !nodePath.scope.parent) {
+        scope.bindings.set(id.name, init);
+      }
+    },
+  });
+
+  return scope;
+}
+
+/**
+ * Load the bindings of a locally imported module, caching per route file
+ */
+async function loadModuleScope(scope, source) {
+  const resolved = await resolveLocalModule(scope.filePath, source);
+  if (!resolved) {
+    return null;
+  }
+
+  if (!scope.modules.has(resolved)) {
+    scope.modules.set(resolved, null); // Guard against circular imports
+    try {
+      const content = await fs.readFile(resolved, 'utf8');
+      const ast = parser.parse(content, {
+        sourceType: 'module',
+        plugins: ['jsx', 'typescript'],
+      });
+      const moduleScope = collectBindings(ast, resolved);
+      moduleScope.modules = scope.modules;
+      scope.modules.set(resolved, moduleScope);
+    } catch (error) {
+      logger.warn(`Failed to parse ${resolved}: ${error.message}`);
+    }
+  }
+
+  return scope.modules.get(resolved);
+}
+
+/**
+ * Resolve an identifier or member expression to its defining node
+ * Returns { node, scope } or null when the value is not statically known
+ */
+async function resolveReference(node, scope, seen = new Set()) {
+  if (!node) {
+    return null;
+  }
+
+  if (node.type === 'Identifier') {
+    const key = `${scope.filePath}:${node.name}`;
+    if (seen.has(key)) {
+      return null;
+    }
+    seen.add(key);
+
+    if (scope.bindings.has(node.name)) {
+      return { node: scope.bindings.get(node.name), scope };
+    }
+
+    const imported = scope.imports.get(node.name);
+    if (imported) {
+      const moduleScope = await loadModuleScope(scope, imported.source);
+      if (moduleScope && moduleScope.bindings.has(imported.imported)) {
+        return { node: moduleScope.bindings.get(imported.imported), scope: moduleScope };
+      }
+    }
+    return null;
+  }
+
+  if (node.type === 'MemberExpression' && !node.computed) {
+    const target = await resolveReference(node.object, scope, seen);
+    if (target && target.node.type === 'ObjectExpression') {
+      const prop = target.node.properties.find(
+        p => p.type === 'ObjectProperty' && (p.key.name || p.key.value) === node.property.name
+      );
+      if (prop) {
+        return { node: prop.value, scope: target.scope };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Statically evaluate a literal AST node (strings, numbers, arrays, objects)
+ * Returns undefined for anything that requires runtime evaluation
+ */
+function literalValue(node, scope) {
+  if (!node) {
+    return undefined;
+  }
+
+  switch (node.type) {
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+      return node.value;
+    case 'NullLiteral':
+      return null;
+    case 'RegExpLiteral':
+      return node.pattern;
+    case 'TemplateLiteral':
+      return node.expressions.length === 0 ? node.quasis[0].value.cooked : undefined;
+    case 'UnaryExpression': {
+      const value = literalValue(node.argument, scope);
+      return node.operator === '-' && typeof value === 'number' ? -value : undefined;
+    }
+    case 'ArrayExpression': {
+      const values = node.elements.map(el => literalValue(el, scope));
+      return values.includes(undefined) ? undefined : values;
+    }
+    case 'ObjectExpression': {
+      const result = {};
+      for (const prop of node.properties) {
+        if (prop.type !== 'ObjectProperty' || prop.computed) {
+          return undefined;
+        }
+        const value = literalValue(prop.value, scope);
+        if (value === undefined) {
+          return undefined;
+        }
+        result[prop.key.name || prop.key.value] = value;
+      }
+      return result;
+    }
+    case 'Identifier':
+      return scope.bindings.has(node.name)
+        ? literalValue(scope.bindings.get(node.name), scope)
+        : undefined;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Flatten a call chain like `a(x).b(y).c()` into its root and ordered calls
+ */
+function unwindChain(node) {
+  const calls = [];
+  let current = node;
+
+  while (
+    current.type === 'CallExpression' &&
+    current.callee.type === 'MemberExpression' &&
+    !current.callee.computed
+  ) {
+    calls.unshift({ name: current.callee.property.name, args: current.arguments });
+    current = current.callee.object;
+  }
+
+  return { root: current, calls };
+}
+
+/**
+ * Apply a min/max pair to a schema using the keywords that fit its type
+ */
+function applyRange(schema, min, max) {
+  const keywords = {
+    string: ['minLength', 'maxLength'],
+    array: ['minItems', 'maxItems'],
+    object: ['minProperties', 'maxProperties'],
+  }[schema.type] || ['minimum', 'maximum'];
+
+  if (typeof min === 'number') {
+    schema[keywords[0]] = min;
+  }
+  if (typeof max === 'number') {
+    schema[keywords[1]] = max;
+  }
+}
+
+/**
+ * Convert an express-validator chain such as `body('name').isLength({ max: 100 })`
+ */
+function validatorChainToRule(node, scope) {
+  if (node.type !== 'CallExpression') {
+    return null;
+  }
+
+  const { root, calls } = unwindChain(node);
+  if (
+    root.type !== 'CallExpression' ||
+    root.callee.type !== 'Identifier' ||
+    !scope.validators.has(root.callee.name)
+  ) {
+    return null;
+  }
+
+  const name = literalValue(root.arguments[0], scope);
+  if (typeof name !== 'string') {
+    return null;
+  }
+
+  const location = scope.validators.get(root.callee.name);
+  const schema = {};
+  let required = true;
+
+  calls.forEach(({ name: method, args }) => {
+    const options = literalValue(args[0], scope) || {};
+
+    switch (method) {
+      case 'optional':
+        required = false;
+        break;
+      case 'isInt':
+      case 'toInt':
+        schema.type = 'integer';
+        applyRange(schema, options.min, options.max);
+        break;
+      case 'isFloat':
+      case 'isDecimal':
+      case 'isNumeric':
+      case 'toFloat':
+        schema.type = 'number';
+        applyRange(schema, options.min, options.max);
+        break;
+      case 'isBoolean':
+      case 'toBoolean':
+        schema.type = 'boolean';
+        break;
+      case 'isString':
+        schema.type = 'string';
+        break;
+      case 'isEmail':
+        Object.assign(schema, { type: 'string', format: 'email' });
+        break;
+      case 'isURL':
+        Object.assign(schema, { type: 'string', format: 'uri' });
+        break;
+      case 'isUUID':
+        Object.assign(schema, { type: 'string', format: 'uuid' });
+        break;
+      case 'isISO8601':
+      case 'toDate':
+        Object.assign(schema, { type: 'string', format: 'date-time' });
+        break;
+      case 'isDate':
+        Object.assign(schema, { type: 'string', format: 'date' });
+        break;
+      case 'isLength':
+        schema.type = schema.type || 'string';
+        applyRange(schema, options.min, options.max);
+        break;
+      case 'notEmpty':
+        schema.type = schema.type || 'string';
+        if (schema.type === 'string' && schema.minLength === undefined) {
+          schema.minLength = 1;
+        }
+        break;
+      case 'isIn':
+        if (Array.isArray(literalValue(args[0], scope))) {
+          schema.enum = literalValue(args[0], scope);
+        }
+        break;
+      case 'matches':
+        if (typeof literalValue(args[0], scope) === 'string') {
+          schema.pattern = literalValue(args[0], scope);
+        }
+        break;
+      case 'isArray':
+        schema.type = 'array';
+        applyRange(schema, options.min, options.max);
+        break;
+      case 'isObject':
+        schema.type = 'object';
+        break;
+      case 'default':
+        if (literalValue(args[0], scope) !== undefined) {
+          schema.default = literalValue(args[0], scope);
+        }
+        break;
+      default:
+        // Sanitizers and custom validators carry no schema information
+        break;
+    }
+  });
+
+  if (!schema.type) {
+    schema.type = 'string';
+  }
+
+  return { location, name, schema, required: location === 'path' || required };
+}
+
+/**
+ * Convert a Joi chain such as `Joi.string().min(1).required()` to a schema
+ * Returns { schema, required } or null when the chain is not Joi
+ */
+async function joiChainToSchema(node, scope) {
+  if (!node || node.type !== 'CallExpression') {
+    const target = await resolveReference(node, scope);
+    return target ? joiChainToSchema(target.node, target.scope) : null;
+  }
+
+  const { root, calls } = unwindChain(node);
+  let schema = {};
+  let required = false;
+  let steps = calls;
+
+  if (root.type === 'Identifier' && scope.joi.has(root.name)) {
+    if (calls.length === 0) {
+      return null;
+    }
+    steps = calls.slice(1);
+    const [constructor] = calls;
+    const typeMap = {
+      string: { type: 'string' },
+      number: { type: 'number' },
+      boolean: { type: 'boolean' },
+      bool: { type: 'boolean' },
+      date: { type: 'string', format: 'date-time' },
+      array: { type: 'array' },
+      object: { type: 'object' },
+      any: {},
+    };
+    schema = { ...(typeMap[constructor.name] || {}) };
+
+    if (constructor.name === 'object' && constructor.args[0]?.type === 'ObjectExpression') {
+      Object.assign(schema, await joiObjectToSchema(constructor.args[0], scope));
+    }
+  } else {
+    const base = await resolveReference(root, scope);
+    const resolved = base && (await joiChainToSchema(base.node, base.scope));
+    if (!resolved) {
+      return null;
+    }
+    schema = JSON.parse(JSON.stringify(resolved.schema));
+    required = resolved.required;
+  }
+
+  for (const { name: method, args } of steps) {
+    const value = literalValue(args[0], scope);
+
+    switch (method) {
+      case 'integer':
+        schema.type = 'integer';
+        break;
+      case 'min':
+        applyRange(schema, value, undefined);
+        break;
+      case 'max':
+        applyRange(schema, undefined, value);
+        break;
+      case 'length':
+        applyRange(schema, value, value);
+        break;
+      case 'email':
+        schema.format = 'email';
+        break;
+      case 'uri':
+        schema.format = 'uri';
+        break;
+      case 'uuid':
+      case 'guid':
+        schema.format = 'uuid';
+        break;
+      case 'isoDate':
+        schema.format = 'date-time';
+        break;
+      case 'pattern':
+      case 'regex':
+        if (typeof value === 'string') {
+          schema.pattern = value;
+        }
+        break;
+      case 'valid': {
+        const values = args.flatMap(arg => literalValue(arg, scope));
+        if (!values.includes(undefined)) {
+          schema.enum = values;
+        }
+        break;
+      }
+      case 'allow':
+        if (value === null) {
+          schema.nullable = true;
+        }
+        break;
+      case 'default':
+        if (value !== undefined) {
+          schema.default = value;
+        }
+        break;
+      case 'description':
+        if (typeof value === 'string') {
+          schema.description = value;
+        }
+        break;
+      case 'items': {
+        const items = await joiChainToSchema(args[0], scope);
+        if (items) {
+          schema.items = items.schema;
+        }
+        break;
+      }
+      case 'keys':
+        if (args[0]?.type === 'ObjectExpression') {
+          Object.assign(schema, await joiObjectToSchema(args[0], scope));
+        }
+        break;
+      case 'required':
+        required = true;
+        break;
+      case 'optional':
+        required = false;
+        break;
+      default:
+        break;
+    }
+  }
+
+  return { schema, required };
+}
+
+/**
+ * Convert the keys passed to `Joi.object({...})` into properties
+ */
+async function joiObjectToSchema(objectNode, scope) {
+  const properties = {};
+  const required = [];
+
+  for (const prop of objectNode.properties) {
+    if (prop.type !== 'ObjectProperty' || prop.computed) {
+      continue;
+    }
+    const key = prop.key.name || prop.key.value;
+    const result = await joiChainToSchema(prop.value, scope);
+    if (result) {
+      properties[key] = result.schema;
+      if (result.required) {
+        required.push(key);
+      }
+    }
+  }
+
+  return required.length > 0 ? { properties, required } : { properties };
+}
+
+/**
+ * Collect validation rules from a route's middleware arguments
+ */
+async function collectValidations(nodes, scope, seen = new Set()) {
+  const rules = [];
+
+  for (const node of nodes || []) {
+    if (!node || seen.has(node)) {
+      continue;
+    }
+    seen.add(node);
+
+    if (node.type === 'ArrayExpression') {
+      rules.push(...(await collectValidations(node.elements, scope, seen)));
+      continue;
+    }
+
+    if (node.type === 'Identifier' || node.type === 'MemberExpression') {
+      const target = await resolveReference(node, scope);
+      if (target) {
+        rules.push(...(await collectValidations([target.node], target.scope, seen)));
+      }
+      continue;
+    }
+
+    if (node.type !== 'CallExpression') {
+      continue;
+    }
+
+    const rule = validatorChainToRule(node, scope);
+    if (rule) {
+      rules.push(rule);
+      continue;
+    }
+
+    // validate(schema, target) with a Joi object schema
+    if (node.callee.type === 'Identifier' && node.arguments.length > 0) {
+      const joi = await joiChainToSchema(node.arguments[0], scope);
+      if (joi && joi.schema.type === 'object' && joi.schema.properties) {
+        const location = joiTargets[literalValue(node.arguments[1], scope) || 'body'] || 'body';
+        const requiredKeys = joi.schema.required || [];
+        Object.entries(joi.schema.properties).forEach(([name, schema]) => {
+          rules.push({
+            location,
+            name,
+            schema,
+            required: location === 'path' || requiredKeys.includes(name),
+          });
+        });
+      }
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Build an object schema from body rules, expanding `a.b` and `items.*` paths
+ */
+function buildBodySchema(rules) {
+  const root = { type: 'object', properties: {} };
+
+  rules.forEach(rule => {
+    const segments = rule.name.split('.');
+    let parent = root;
+
+    segments.forEach((segment, index) => {
+      const isLast = index === segments.length - 1;
+      const nextIsWildcard = segments[index + 1] === '*';
+
+      if (segment === '*') {
+        parent.type = 'array';
+        parent.items = isLast
+          ? { ...(parent.items || {}), ...rule.schema }
+          : parent.items || { type: 'object', properties: {} };
+        parent = parent.items;
+        return;
+      }
+
+      parent.type = parent.type === 'array' ? parent.type : 'object';
+      parent.properties = parent.properties || {};
+
+      if (isLast) {
+        parent.properties[segment] = { ...(parent.properties[segment] || {}), ...rule.schema };
+      } else if (!parent.properties[segment]) {
+        parent.properties[segment] = nextIsWildcard
+          ? { type: 'array' }
+          : { type: 'object', properties: {} };
+      }
+
+      if (rule.required) {
+        parent.required = parent.required || [];
+        if (!parent.required.includes(segment)) {
+          parent.required.push(segment);
+        }
+      }
+
+      parent = parent.properties[segment];
+    });
+  });
+
+  return root;
+}
+
+/**
+ * Merge JSDoc parameters with validation rules into OpenAPI parameters
+ * and an optional request body schema
+ */
+function buildRequestDefinition(route) {
+  const validations = route.validations || [];
+  const validatedBody = validations.filter(rule => rule.location === 'body');
+  // Validation middleware wins over `@body` fields of the same name
+  const bodyRules = [
+    ...validatedBody,
+    ...(route.body?.fields || []).filter(
+      field => !validatedBody.some(rule => rule.name === field.name)
+    ),
+  ];
+  const bodyNames = new Set(bodyRules.map(rule => rule.name.split('.')[0]));
+  const parameters = [];
+  const descriptions = {};
+
+  (route.parameters || []).forEach(param => {
+    if (bodyNames.has(param.name)) {
+      descriptions[param.name] = param.description;
+      return;
+    }
+
+    const rule = validations.find(v => v.location !== 'body' && v.name === param.name);
+    const inPath = route.path.includes(`:${param.name}`);
+    parameters.push({
+      name: param.name,
+      in: rule ? rule.location : param.in || (inPath ? 'path' : 'query'),
+      required: rule ? rule.required : param.required,
+      description: param.description,
+      schema: rule
+        ? { ...rule.schema }
+        : param.schema
+          ? { ...param.schema }
+          : { type: param.type.toLowerCase() },
+    });
+  });
+
+  validations
+    .filter(rule => rule.location !== 'body')
+    .filter(rule => !parameters.some(p => p.name === rule.name && p.in === rule.location))
+    .forEach(rule => {
+      parameters.push({
+        name: rule.name,
+        in: rule.location,
+        required: rule.required,
+        schema: { ...rule.schema },
+      });
+    });
+
+  (route.body?.fields || []).forEach(field => {
+    if (field.description && !descriptions[field.name]) {
+      descriptions[field.name] = field.description;
+    }
+  });
+
+  let requestBody = null;
+  if (bodyRules.length > 0) {
+    const schema = buildBodySchema(bodyRules);
+    Object.entries(descriptions).forEach(([name, description]) => {
+      if (description && schema.properties[name] && !schema.properties[name].description) {
+        schema.properties[name].description = description;
+      }
+    });
+    requestBody = {
+      required: bodyRules.some(rule => rule.required),
+      content: { 'application/json': { schema } },
+    };
+  } else if (route.body?.schema) {
+    requestBody = {
+      ...(route.body.description && { description: route.body.description }),
+      required: true,
+      content: { 'application/json': { schema: route.body.schema } },
+    };
+  }
+
+  const example = route.examples?.request;
+  if (example !== undefined) {
+    requestBody = requestBody || {
+      content: { 'application/json': { schema: { type: 'object' } } },
+    };
+    requestBody.content['application/json'].example = example;
+  }
+
+  return { parameters, requestBody };
+}
+
+/**
+ * Build OpenAPI responses from `@response` tags and `@example` bodies
+ */
+function buildResponses(route) {
+  if (!route.responses) {
+    return {
+      200: { description: 'Successful response' },
+      400: { description: 'Bad request' },
+      500: { description: 'Internal server error' },
+    };
+  }
+
+  const examples = route.examples?.responses || {};
+  // An example without a matching @response tag still documents its status
+  const statuses = [...new Set([...Object.keys(route.responses), ...Object.keys(examples)])];
+
+  const responses = {};
+  statuses.forEach(status => {
+    const response = route.responses[status];
+    const example = examples[status];
+    const media = {
+      ...(response?.schema && { schema: response.schema }),
+      ...(example !== undefined && { example }),
+    };
+
+    responses[status] = {
+      description: response ? response.description || '' : http.STATUS_CODES[status] || '',
+      ...(Object.keys(media).length > 0 && { content: { 'application/json': media } }),
+    };
+  });
+
+  return responses;
+}
+
+/**
+ * Short type label for a schema: `User`, `User[]`, `string (email)`
+ */
+function describeSchemaType(schema = {}) {
+  if (schema.$ref) {
+    return schema.$ref.split('/').pop();
+  }
+  if (schema.type === 'array') {
+    return `${describeSchemaType(schema.items)}[]`;
+  }
+  if (schema.oneOf) {
+    return schema.oneOf.map(describeSchemaType).join(' | ');
+  }
+  return schema.type ? `${schema.type}${schema.format ? ` (${schema.format})` : ''}` : 'any';
+}
+
+/**
+ * Markdown table of an object schema's properties
+ */
+function propertyTable(schema, heading) {
+  let table = `| ${heading} | Type | Required | Description |\n`;
+  table += `|${'-'.repeat(heading.length + 2)}|------|----------|-------------|\n`;
+  Object.entries(schema.properties).forEach(([name, property]) => {
+    const required = (schema.required || []).includes(name);
+    const details = [property.description, describeConstraints(property)].filter(Boolean);
+    table += `| ${name} | ${property.type && property.type !== 'array' ? property.type : describeSchemaType(property)} | ${required ? 'Yes' : 'No'} | ${details.join(' - ') || '-'} |\n`;
+  });
+  return `${table}\n`;
+}
+
+/**
+ * Fenced JSON code block for an example value
+ */
+function jsonBlock(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  return `\`\`\`json\n${text}\n\`\`\`\n\n`;
+}
+
+/**
+ * Summarise schema constraints for human-readable output
+ */
+function describeConstraints(schema) {
+  const parts = [];
+  if (schema.format) {
+    parts.push(`format: ${schema.format}`);
+  }
+  if (schema.enum) {
+    parts.push(`one of: ${schema.enum.join(', ')}`);
+  }
+  [
+    ['minLength', 'min length'],
+    ['maxLength', 'max length'],
+    ['minimum', 'min'],
+    ['maximum', 'max'],
+    ['minItems', 'min items'],
+    ['maxItems', 'max items'],
+    ['pattern', 'pattern'],
+    ['default', 'default'],
+  ].forEach(([key, label]) => {
+    if (schema[key] !== undefined) {
+      parts.push(`${label}: ${schema[key]}`);
+    }
+  });
+  return parts.join('; ');
+}
+
+// JSDoc type names that map to OpenAPI primitives
+const jsdocPrimitives = {
+  string: { type: 'string' },
+  number: { type: 'number' },
+  float: { type: 'number' },
+  integer: { type: 'integer' },
+  int: { type: 'integer' },
+  boolean: { type: 'boolean' },
+  bool: { type: 'boolean' },
+  object: { type: 'object' },
+  array: { type: 'array', items: {} },
+  date: { type: 'string', format: 'date-time' },
+  email: { type: 'string', format: 'email' },
+  uuid: { type: 'string', format: 'uuid' },
+  any: {},
+  '*': {},
+};
+
+/**
+ * Convert a JSDoc type expression into an OpenAPI schema. Unknown names
+ * become references to `components.schemas`.
+ */
+function jsdocTypeToSchema(type) {
+  const trimmed = type.trim();
+
+  if (trimmed.endsWith('[]')) {
+    return { type: 'array', items: jsdocTypeToSchema(trimmed.slice(0, -2)) };
+  }
+
+  const generic = trimmed.match(/^Array\.?<(.+)>$/);
+  if (generic) {
+    return { type: 'array', items: jsdocTypeToSchema(generic[1]) };
+  }
+
+  if (trimmed.includes('|')) {
+    const members = trimmed.split('|').map(member => member.trim());
+    if (members.every(member => /^(['"]).*\1$/.test(member))) {
+      return { type: 'string', enum: members.map(member => member.slice(1, -1)) };
+    }
+    return { oneOf: members.map(jsdocTypeToSchema) };
+  }
+
+  const primitive = jsdocPrimitives[trimmed.toLowerCase()];
+  if (primitive) {
+    return JSON.parse(JSON.stringify(primitive));
+  }
+
+  return { $ref: `#/components/schemas/${trimmed}` };
+}
+
+/**
+ * Parse a typed tag: `@tag {type} [name=default] - description`.
+ * The name is optional so `@body {CreateUser} - description` also matches.
+ */
+function parseTypedTag(line, tag) {
+  const match = line.match(
+    new RegExp(
+      `@${tag}\\s+{([^}]+)}\\s*(?:\\[([^\\]=]+)(?:=([^\\]]*))?]|([^\\s-]\\S*))?\\s*-?\\s*(.*)`
+    )
+  );
+  if (!match) {
+    return null;
+  }
+
+  return {
+    type: match[1],
+    name: match[2] || match[4] || null,
+    required: !match[2],
+    defaultValue: match[3],
+    description: match[5],
+  };
+}
+
+/**
+ * Schema for a typed tag, including its default value and description
+ */
+function typedTagSchema(tag) {
+  const schema = jsdocTypeToSchema(tag.type);
+  if (schema.$ref) {
+    return schema;
+  }
+  if (tag.defaultValue !== undefined && tag.defaultValue !== '') {
+    schema.default = ['integer', 'number'].includes(schema.type)
+      ? Number(tag.defaultValue)
+      : schema.type === 'boolean'
+        ? tag.defaultValue === 'true'
+        : tag.defaultValue;
+  }
+  if (tag.description) {
+    schema.description = tag.description;
+  }
+  return schema;
+}
+
+/**
+ * Parse an `@example` body as JSON, falling back to the raw text
+ */
+function parseExampleValue(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
 /**
  * Parse JSDoc comments for route information
  */
@@ -220,63 +1187,477 @@ function parseJSDoc(comment) {
     tags: [],
     security: [],
     fullPath: null,
+    body: null,
+    examples: { request: undefined, responses: {} },
+    deprecated: false,
+  };
+
+  const lines = comment.split('\n').map(line => line.trim().replace(/^\* ?/, ''));
+
+  let currentSection = 'description';
+  let example = null;
+  const finishExample = () => {
+    if (!example) {
+      return;
+    }
+    const value = parseExampleValue(example.lines.join('\n').trim());
+    if (example.target === 'request') {
+      info.examples.request = value;
+    } else {
+      info.examples.responses[example.target] = value;
+    }
+    example = null;
   };
 
+  lines.forEach(line => {
+    if (line.startsWith('@')) {
+      finishExample();
+      if (currentSection === 'example') {
+        currentSection = 'description';
+      }
+    }
+
+    if (line.startsWith('@route')) {
+      const routeMatch = line.match(/@route\s+(\w+)\s+(\/[^\s]+)/);
+      if (routeMatch) {
+        info.summary = line.replace('@route', '').trim();
+        info.fullPath = routeMatch[2];
+      }
+    } else if (line.startsWith('@summary')) {
+      info.summary = line.replace('@summary', '').trim();
+    } else if (line.startsWith('@description')) {
+      currentSection = 'description';
+      info.description = line.replace('@description', '').trim();
+    } else if (line.startsWith('@param')) {
+      // Match both: @param {type} [name=default] - description
+      //         and: @param {type} name - description
+      const match = line.match(
+        /@param\s+{([^}]+)}\s+(?:\[([^\]=]+)(?:=[^\]]*)?]|(\S+))\s*-?\s*(.*)/
+      );
+      if (match) {
+        info.parameters.push({
+          name: match[2] || match[3], // match[2] for optional, match[3] for required
+          type: match[1],
+          required: !match[2], // If match[2] exists, it was in brackets (optional)
+          description: match[4],
+        });
+      }
+    } else if (line.startsWith('@query') || line.startsWith('@header')) {
+      const location = line.startsWith('@query') ? 'query' : 'header';
+      const tag = parseTypedTag(line, location);
+      if (tag && tag.name) {
+        const schema = typedTagSchema(tag);
+        delete schema.description;
+        info.parameters.push({
+          name: tag.name,
+          in: location,
+          type: tag.type,
+          required: tag.required,
+          description: tag.description,
+          schema,
+        });
+      }
+    } else if (line.startsWith('@body')) {
+      const tag = parseTypedTag(line, 'body');
+      if (tag) {
+        info.body = info.body || { schema: null, description: '', fields: [] };
+        if (tag.name) {
+          info.body.fields.push({
+            location: 'body',
+            name: tag.name,
+            required: tag.required,
+            description: tag.description,
+            schema: typedTagSchema(tag),
+          });
+        } else {
+          info.body.schema = jsdocTypeToSchema(tag.type);
+          info.body.description = tag.description;
+        }
+      }
+    } else if (line.startsWith('@response')) {
+      const match = line.match(/@response\s+(\d{3}|default)\s+(?:{([^}]+)}\s*)?-?\s*(.*)/);
+      if (match) {
+        info.responses[match[1]] = {
+          description: match[3],
+          ...(match[2] && { schema: jsdocTypeToSchema(match[2]) }),
+        };
+      }
+    } else if (line.startsWith('@example')) {
+      // @example request {...} | @example response 404 {...} | @example {...}
+      const match = line.match(/@example(?:\s+(request|response))?(?:\s+(\d{3}))?\s*(.*)/);
+      const target = match[1] === 'request' ? 'request' : match[2] || '200';
+      example = { target, lines: [match[3]] };
+      currentSection = 'example';
+    } else if (line.startsWith('@deprecated')) {
+      info.deprecated = true;
+      info.deprecationNote = line.replace('@deprecated', '').trim();
+    } else if (line.startsWith('@tag')) {
+      info.tags.push(line.replace('@tag', '').trim());
+    } else if (line.startsWith('@security')) {
+      info.security.push(line.replace('@security', '').trim());
+    } else if (currentSection === 'example' && example) {
+      example.lines.push(line);
+    } else if (currentSection === 'description' && line && !line.startsWith('@')) {
+      info.description += (info.description ? ' ' : '') + line;
+    }
+  });
+  finishExample();
+
+  return info;
+}
+
+/**
+ * Parse a `@schema` JSDoc block into a named object schema
+ * @returns {{name: string, schema: Object}|null} Schema definition
+ */
+function parseSchemaDoc(comment) {
   const lines = comment.split('\n').map(line => line.trim().replace(/^\* ?/, ''));
+  const nameLine = lines.find(line => line.startsWith('@schema'));
+  const name = nameLine?.replace('@schema', '').trim();
+  if (!name) {
+    return null;
+  }
+
+  const schema = { type: 'object', properties: {} };
+  const description = [];
+  const required = [];
+
+  lines.forEach(line => {
+    if (line.startsWith('@property') || line.startsWith('@prop ')) {
+      const tag = parseTypedTag(line.replace(/^@prop\b/, '@property'), 'property');
+      if (tag && tag.name) {
+        schema.properties[tag.name] = typedTagSchema(tag);
+        if (tag.required) {
+          required.push(tag.name);
+        }
+      }
+    } else if (line.startsWith('@description')) {
+      description.push(line.replace('@description', '').trim());
+    } else if (line && !line.startsWith('@')) {
+      description.push(line);
+    }
+  });
+
+  if (description.length > 0) {
+    schema.description = description.join(' ');
+  }
+  if (required.length > 0) {
+    schema.required = required;
+  }
+
+  return { name, schema };
+}
+
+/**
+ * Collect the `@schema` definitions in a source file
+ * @param {string} filePath - Path to the file
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.content] - Source to parse instead of reading the file
+ * @returns {Promise<Array<Object>>} Definitions as `{ name, schema }`
+ */
+async function parseSchemaFile(filePath, options = {}) {
+  const content = options.content ?? (await fs.readFile(filePath, 'utf8'));
+  if (!content.includes('@schema')) {
+    return [];
+  }
+
+  const definitions = [];
+  for (const [, comment] of content.matchAll(/\/\*\*([\s\S]*?)\*\//g)) {
+    const definition = comment.includes('@schema') ? parseSchemaDoc(comment) : null;
+    if (definition) {
+      definitions.push(definition);
+    }
+  }
+  return definitions;
+}
+
+/**
+ * Collect `@schema` definitions from every source file in a project
+ * @param {string} projectPath - Project root
+ * @param {string} [pattern] - Glob of files to scan
+ * @param {Object} [cache] - File cache from `createFileCache` over `parseSchemaFile`,
+ *   used in watch mode
+ * @returns {Promise<Object>} Schemas keyed by name
+ */
+async function findSchemaDefinitions(projectPath, pattern = sourcePattern, cache = null) {
+  const files = await glob(pattern, {
+    cwd: projectPath,
+    absolute: true,
+    ignore: [
+      '**/node_modules/**',
+      '**/test/**',
+      '**/tests/**',
+      '**/dist/**',
+      '**/coverage/**',
+      '**/*.d.ts',
+    ],
+  });
+
+  cache?.prune(files);
+
+  const schemas = {};
+  for (const file of files) {
+    const definitions = await (cache ? cache.parse(file) : parseSchemaFile(file));
+    definitions.forEach(({ name, schema }) => {
+      schemas[name] = schema;
+    });
+  }
+
+  return schemas;
+}
+
+/**
+ * Scan project for route files
+ */
+async function findRouteFiles(projectPath, pattern = '**/routes/**/*.js') {
+  const files = await glob(pattern, {
+    cwd: projectPath,
+    ignore: ['**/node_modules/**', '**/test/**', '**/tests/**'],
+  });
+  return files.map(f => path.join(projectPath, f));
+}
+
+// Default definitions for security schemes inferred from middleware names
+const defaultSecuritySchemes = {
+  bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+  apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+};
+
+/**
+ * Join a mount prefix and a route path the way Express composes them
+ */
+function joinPaths(prefix, routePath) {
+  const joined = `${prefix || ''}/${routePath || ''}`.replace(/\/{2,}/g, '/');
+  return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+}
+
+/**
+ * Check whether a path-scoped `use()` applies to a local path
+ */
+function pathMatchesPrefix(localPath, prefix) {
+  if (!prefix || prefix === '/') {
+    return true;
+  }
+  return localPath === prefix || localPath.startsWith(`${prefix.replace(/\/$/, '')}/`);
+}
+
+/**
+ * Name a middleware argument, e.g. `jwtAuth`, `requireRoles([...])` or `passport.authenticate()`
+ */
+function middlewareName(node) {
+  if (node.type === 'Identifier') {
+    return node.name;
+  }
+  if (node.type === 'CallExpression') {
+    if (node.callee.type === 'Identifier') {
+      return node.callee.name;
+    }
+    if (node.callee.type === 'MemberExpression' && !node.callee.computed) {
+      return node.callee.property.name;
+    }
+  }
+  return null;
+}
+
+/**
+ * Map a middleware name to the security scheme it enforces
+ */
+function securitySchemeFor(name, config = {}) {
+  const mapping = config.securityMiddleware || {};
+  if (Object.prototype.hasOwnProperty.call(mapping, name)) {
+    return mapping[name];
+  }
+  if (/optional|authori[sz]/i.test(name)) {
+    return null;
+  }
+  if (/api[-_]?key/i.test(name)) {
+    return 'apiKey';
+  }
+  if (/auth|jwt|bearer|token/i.test(name)) {
+    return 'bearerAuth';
+  }
+  return null;
+}
+
+/**
+ * Find the routers a source file mounts and the middleware it registers
+ * with `use()`
+ * @param {string} filePath - Path to the file
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.content] - Source to parse instead of reading the file
+ * @param {Set<string>} [options.dependencies] - Receives the mounted router files
+ * @returns {Promise<Object>} `{ mounts, middleware }` for the file
+ */
+async function parseMountFile(filePath, options = {}) {
+  const content = options.content ?? (await fs.readFile(filePath, 'utf8'));
+  const result = { mounts: [], middleware: [] };
+  if (!content.includes('.use(')) {
+    return result;
+  }
+
+  let ast;
+  try {
+    ast = parser.parse(content, { sourceType: 'module', plugins: ['jsx', 'typescript'] });
+  } catch (error) {
+    logger.warn(`Failed to parse ${filePath}: ${error.message}`);
+    return result;
+  }
+
+  const isRouterModule = async file => {
+    const source = await fs.readFile(file, 'utf8').catch(() => '');
+    return /\bRouter\s*\(/.test(source);
+  };
+
+  const scope = collectBindings(ast, filePath);
+  const useCalls = [];
+  traverse(ast, {
+    CallExpression(nodePath) {
+      const { callee } = nodePath.node;
+      if (
+        callee.type === 'MemberExpression' &&
+        !callee.computed &&
+        callee.property.name === 'use'
+      ) {
+        useCalls.push(nodePath.node);
+      }
+    },
+  });
 
-  let currentSection = 'description';
-  lines.forEach(line => {
-    if (line.startsWith('@route')) {
-      const routeMatch = line.match(/@route\s+(\w+)\s+(\/[^\s]+)/);
-      if (routeMatch) {
-        info.summary = line.replace('@route', '').trim();
-        info.fullPath = routeMatch[2];
+  for (const call of useCalls) {
+    const args = [...call.arguments];
+    const prefix = args[0]?.type === 'StringLiteral' ? args.shift().value : '';
+    const line = call.loc.start.line;
+    const middleware = [];
+    const children = [];
+
+    for (const arg of args) {
+      let source = null;
+      if (arg.type === 'Identifier' && scope.imports.get(arg.name)?.imported === 'default') {
+        source = scope.imports.get(arg.name).source;
+      } else if (
+        arg.type === 'CallExpression' &&
+        arg.callee.type === 'Identifier' &&
+        arg.callee.name === 'require' &&
+        arg.arguments[0]?.type === 'StringLiteral'
+      ) {
+        source = arg.arguments[0].value;
       }
-    } else if (line.startsWith('@summary')) {
-      info.summary = line.replace('@summary', '').trim();
-    } else if (line.startsWith('@description')) {
-      currentSection = 'description';
-      info.description = line.replace('@description', '').trim();
-    } else if (line.startsWith('@param')) {
-      // Match both: @param {type} [name=default] - description
-      //         and: @param {type} name - description
-      const match = line.match(
-        /@param\s+{([^}]+)}\s+(?:\[([^\]=]+)(?:=[^\]]*)?]|(\S+))\s*-?\s*(.*)/
-      );
-      if (match) {
-        info.parameters.push({
-          name: match[2] || match[3], // match[2] for optional, match[3] for required
-          type: match[1],
-          required: !match[2], // If match[2] exists, it was in brackets (optional)
-          description: match[4],
-        });
+
+      const child = source && (await resolveLocalModule(filePath, source));
+      // Whether the child is a router depends on its source as well
+      if (child) {
+        options.dependencies?.add(child);
       }
-    } else if (line.startsWith('@response')) {
-      const match = line.match(/@response\s+(\d{3})\s+-?\s*(.*)/);
-      if (match) {
-        info.responses[match[1]] = { description: match[2] };
+      if (child && (await isRouterModule(child))) {
+        children.push(child);
+      } else if (middlewareName(arg)) {
+        middleware.push(middlewareName(arg));
       }
-    } else if (line.startsWith('@tag')) {
-      info.tags.push(line.replace('@tag', '').trim());
-    } else if (line.startsWith('@security')) {
-      info.security.push(line.replace('@security', '').trim());
-    } else if (currentSection === 'description' && line && !line.startsWith('@')) {
-      info.description += (info.description ? ' ' : '') + line;
     }
-  });
 
-  return info;
+    if (children.length > 0) {
+      children.forEach(child => {
+        result.mounts.push({ parent: filePath, child, prefix, line, middleware });
+      });
+    } else if (middleware.length > 0 && prefix !== '*') {
+      middleware.forEach(name => result.middleware.push({ name, prefix, line }));
+    }
+  }
+
+  return result;
 }
 
 /**
- * Scan project for route files
+ * Build the router mount graph for a project by following `use()` calls
+ * through local `require`/`import` statements
+ * @param {string} projectPath - Project root
+ * @param {string} [pattern] - Glob of files to scan
+ * @param {Object} [cache] - File cache from `createFileCache` over `parseMountFile`,
+ *   used in watch mode
+ * @returns {Promise<Object>} Graph with `mounts` and per-file `middleware`
  */
-async function findRouteFiles(projectPath, pattern = '**/routes/**/*.js') {
+async function buildMountGraph(projectPath, pattern = sourcePattern, cache = null) {
   const files = await glob(pattern, {
     cwd: projectPath,
-    ignore: ['**/node_modules/**', '**/test/**', '**/tests/**'],
+    absolute: true,
+    ignore: [
+      '**/node_modules/**',
+      '**/test/**',
+      '**/tests/**',
+      '**/dist/**',
+      '**/coverage/**',
+      '**/*.d.ts',
+    ],
+  });
+  cache?.prune(files);
+
+  const graph = { mounts: [], middleware: new Map() };
+  for (const file of files) {
+    const { mounts, middleware } = await (cache ? cache.parse(file) : parseMountFile(file));
+    graph.mounts.push(...mounts);
+    if (middleware.length > 0) {
+      graph.middleware.set(file, middleware);
+    }
+  }
+
+  return graph;
+}
+
+/**
+ * Middleware registered in a file before the given line that covers a local path
+ */
+function middlewareBefore(graph, file, line, localPath) {
+  return (graph.middleware.get(file) || [])
+    .filter(entry => entry.line < line && pathMatchesPrefix(localPath, entry.prefix))
+    .map(entry => entry.name);
+}
+
+/**
+ * Every prefix (and inherited middleware) under which a file's router is mounted
+ */
+function mountContexts(graph, file, stack = new Set()) {
+  const incoming = graph.mounts.filter(mount => mount.child === file);
+  if (incoming.length === 0 || stack.has(file)) {
+    return [{ prefix: '', middleware: [] }];
+  }
+
+  const nextStack = new Set(stack).add(file);
+  return incoming.flatMap(mount =>
+    mountContexts(graph, mount.parent, nextStack).map(context => ({
+      prefix: joinPaths(context.prefix, mount.prefix),
+      middleware: [
+        ...context.middleware,
+        ...middlewareBefore(graph, mount.parent, mount.line, mount.prefix),
+        ...mount.middleware,
+      ],
+    }))
+  );
+}
+
+/**
+ * Rewrite parsed routes to their fully mounted paths and add the security
+ * requirements implied by router-level middleware
+ */
+function applyMountGraph(routes, graph, config = {}) {
+  return routes.flatMap(route => {
+    const file = path.resolve(route.file);
+    return mountContexts(graph, file).map(context => {
+      const inheritedMiddleware = [
+        ...context.middleware,
+        ...middlewareBefore(graph, file, route.line, route.path),
+      ];
+      const inheritedSecurity = inheritedMiddleware
+        .map(name => securitySchemeFor(name, config))
+        .filter(Boolean);
+
+      return {
+        ...route,
+        path: joinPaths(context.prefix, route.path),
+        inheritedMiddleware,
+        security: [...new Set([...(route.security || []), ...inheritedSecurity])],
+      };
+    });
   });
-  return files.map(f => path.join(projectPath, f));
 }
 
 /**
@@ -302,33 +1683,20 @@ function generateOpenAPI(routes, config) {
       pathGroups[route.path] = {};
     }
 
+    // Parameters and request body from JSDoc and validation middleware
+    const { parameters, requestBody } = buildRequestDefinition(route);
+
     const operation = {
       summary: route.summary || `${route.method} ${route.path}`,
       description: route.description,
       operationId: `${route.method.toLowerCase()}${route.path.replace(/[/:]/g, '_')}`,
       tags: route.tags || [],
-      parameters: [],
-      responses: route.responses || {
-        200: { description: 'Successful response' },
-        400: { description: 'Bad request' },
-        500: { description: 'Internal server error' },
-      },
+      parameters,
+      ...(requestBody && { requestBody }),
+      responses: buildResponses(route),
+      ...(route.deprecated && { deprecated: true }),
     };
 
-    // Add parameters
-    if (route.parameters) {
-      route.parameters.forEach(param => {
-        const paramDef = {
-          name: param.name,
-          in: route.path.includes(`:${param.name}`) ? 'path' : 'query',
-          required: param.required,
-          description: param.description,
-          schema: { type: param.type.toLowerCase() },
-        };
-        operation.parameters.push(paramDef);
-      });
-    }
-
     // Add security
     if (route.security && route.security.length > 0) {
       operation.security = route.security.map(s => ({ [s]: [] }));
@@ -338,6 +1706,28 @@ function generateOpenAPI(routes, config) {
   });
 
   spec.paths = pathGroups;
+
+  // Shared schemas from @schema blocks and configuration
+  Object.assign(spec.components.schemas, config.schemas || {});
+  const missing = new Set();
+  JSON.stringify(spec.paths, (key, value) => {
+    const ref = key === '$ref' && value.match(/^#\/components\/schemas\/(.+)$/);
+    if (ref && !spec.components.schemas[ref[1]]) {
+      missing.add(ref[1]);
+    }
+    return value;
+  });
+  missing.forEach(name => logger.warn(`Schema "${name}" is referenced but not defined`));
+
+  // Define every referenced security scheme
+  const usedSchemes = new Set(routes.flatMap(route => route.security || []));
+  usedSchemes.forEach(name => {
+    const definition = config.security?.[name] || defaultSecuritySchemes[name];
+    if (definition) {
+      spec.components.securitySchemes[name] = definition;
+    }
+  });
+
   return spec;
 }
 
@@ -359,6 +1749,8 @@ function generateMarkdown(routes, config) {
 
   markdown += '## Endpoints\n\n';
 
+  const components = { components: { schemas: config.schemas || {} } };
+
   // Group by tags
   const tagGroups = { untagged: [] };
   routes.forEach(route => {
@@ -383,6 +1775,10 @@ function generateMarkdown(routes, config) {
     tagRoutes.forEach(route => {
       markdown += `#### ${route.method} ${route.path}\n\n`;
 
+      if (route.deprecated) {
+        markdown += `> **Deprecated:** ${route.deprecationNote || 'This endpoint will be removed in a future version.'}\n\n`;
+      }
+
       if (route.summary) {
         markdown += `${route.summary}\n\n`;
       }
@@ -391,24 +1787,50 @@ function generateMarkdown(routes, config) {
         markdown += `${route.description}\n\n`;
       }
 
-      if (route.parameters && route.parameters.length > 0) {
+      const { parameters, requestBody } = buildRequestDefinition(route);
+      if (parameters.length > 0) {
         markdown += '**Parameters:**\n\n';
         markdown += '| Name | Type | Required | Description |\n';
         markdown += '|------|------|----------|-------------|\n';
-        route.parameters.forEach(param => {
-          markdown += `| ${param.name} | ${param.type} | ${param.required ? 'Yes' : 'No'} | ${param.description || '-'} |\n`;
+        parameters.forEach(param => {
+          const documented = (route.parameters || []).find(p => p.name === param.name);
+          const type = documented ? documented.type : param.schema.type;
+          const details = [param.description, describeConstraints(param.schema)].filter(Boolean);
+          markdown += `| ${param.name} | ${type} | ${param.required ? 'Yes' : 'No'} | ${details.join(' - ') || '-'} |\n`;
         });
         markdown += '\n';
       }
 
+      if (requestBody) {
+        const media = requestBody.content['application/json'];
+        const schema = resolveSchema(media.schema, components) || {};
+        markdown += media.schema.$ref
+          ? `**Request Body:** \`${describeSchemaType(media.schema)}\`\n\n`
+          : '**Request Body:**\n\n';
+        if (schema.properties) {
+          markdown += propertyTable(schema, 'Field');
+        }
+        if (media.example !== undefined) {
+          markdown += `**Example Request:**\n\n${jsonBlock(media.example)}`;
+        }
+      }
+
       if (route.responses) {
+        const withSchema = Object.values(route.responses).some(response => response.schema);
         markdown += '**Responses:**\n\n';
-        markdown += '| Status | Description |\n';
-        markdown += '|--------|-------------|\n';
+        markdown += withSchema
+          ? '| Status | Description | Schema |\n|--------|-------------|--------|\n'
+          : '| Status | Description |\n|--------|-------------|\n';
         Object.entries(route.responses).forEach(([status, response]) => {
-          markdown += `| ${status} | ${response.description} |\n`;
+          markdown += withSchema
+            ? `| ${status} | ${response.description} | ${response.schema ? `\`${describeSchemaType(response.schema)}\`` : '-'} |\n`
+            : `| ${status} | ${response.description} |\n`;
         });
         markdown += '\n';
+
+        Object.entries(route.examples?.responses || {}).forEach(([status, example]) => {
+          markdown += `**Example Response (${status}):**\n\n${jsonBlock(example)}`;
+        });
       }
 
       if (route.security && route.security.length > 0) {
@@ -419,6 +1841,19 @@ function generateMarkdown(routes, config) {
     });
   });
 
+  const schemas = Object.entries(config.schemas || {});
+  if (schemas.length > 0) {
+    markdown += '## Schemas\n\n';
+    schemas.forEach(([name, schema]) => {
+      markdown += `### ${name}\n\n`;
+      if (schema.description) {
+        markdown += `${schema.description}\n\n`;
+      }
+      if (schema.properties) {
+        markdown += propertyTable(schema, 'Property');
+      }
+    });
+  }
   return markdown;
 }
 
@@ -431,6 +1866,178 @@ async function loadMarked() {
   return mod.marked;
 }
 
+/**
+ * Escape text for use in HTML content and attributes
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render the "Try it out" request console for a route
+ * @param {Object} route - Route information
+ * @param {string} id - Unique id prefix for form controls
+ * @param {Object} config - Configuration (servers)
+ * @returns {string} Console HTML
+ */
+function renderTryItConsole(route, id, config) {
+  const { parameters, requestBody } = buildRequestDefinition(route);
+  const components = { components: { schemas: config.schemas || {} } };
+  const servers = config.servers && config.servers.length > 0 ? config.servers : [{ url: '' }];
+  const hasBody = requestBody || ['POST', 'PUT', 'PATCH'].includes(route.method);
+  const secured = (route.security || []).length > 0;
+  const field = (name, label, control) =>
+    `<div class="try-it-field"><label for="${id}-${name}">${label}</label>${control}</div>`;
+
+  const controls = [
+    field(
+      'server',
+      'Server',
+      `<select id="${id}-server" name="server">${servers
+        .map(
+          server =>
+            `<option value="${escapeHtml(server.url)}">${escapeHtml(server.url || 'This page’s origin')}${server.description ? ` - ${escapeHtml(server.description)}` : ''}</option>`
+        )
+        .join('')}</select>`
+    ),
+  ];
+
+  parameters.forEach((param, index) => {
+    const example = exampleFromSchema(param.schema || {}, components, param.name);
+    controls.push(
+      field(
+        `param-${index}`,
+        `${escapeHtml(param.name)} <span class="try-it-in">(${param.in}${param.required ? ', required' : ''})</span>`,
+        `<input id="${id}-param-${index}" type="text" data-in="${param.in}" data-name="${escapeHtml(param.name)}" placeholder="${escapeHtml(typeof example === 'object' ? JSON.stringify(example) : example)}"${param.required ? ' required aria-required="true"' : ''}>`
+      )
+    );
+  });
+
+  if (secured) {
+    controls.push(
+      field(
+        'token',
+        'Bearer token',
+        `<input id="${id}-token" type="password" class="try-it-token" autocomplete="off" spellcheck="false">`
+      )
+    );
+  }
+
+  if (hasBody) {
+    const media = requestBody?.content['application/json'];
+    const value = media
+      ? media.example !== undefined
+        ? media.example
+        : exampleFromSchema(media.schema, components)
+      : {};
+    const example = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+    controls.push(
+      field(
+        'body',
+        'Request body (JSON)',
+        `<textarea id="${id}-body" rows="6" spellcheck="false">${escapeHtml(example)}</textarea>`
+      )
+    );
+  }
+
+  return `
+<details class="try-it">
+  <summary>Try it out: ${route.method} ${escapeHtml(route.path)}</summary>
+  <form class="try-it-form" data-method="${route.method}" data-path="${escapeHtml(route.path)}" aria-label="Send a ${route.method} request to ${escapeHtml(route.path)}">
+    ${controls.join('\n    ')}
+    <button type="submit">Send request</button>
+    <p class="try-it-status" role="status" aria-live="polite"></p>
+    <pre class="try-it-response" tabindex="0" aria-label="Response body" hidden></pre>
+  </form>
+</details>`;
+}
+
+// Browser script that sends console requests; kept free of dependencies
+const tryItScript = `
+(function () {
+  function buildUrl(form) {
+    var server = form.querySelector('[name="server"]').value.replace(/\\/$/, '');
+    var path = form.dataset.path;
+    var query = new URLSearchParams();
+    form.querySelectorAll('[data-in]').forEach(function (input) {
+      if (input.value === '') return;
+      if (input.dataset.in === 'path') {
+        path = path
+          .split('/')
+          .map(function (segment) {
+            return segment === ':' + input.dataset.name ? encodeURIComponent(input.value) : segment;
+          })
+          .join('/');
+      } else if (input.dataset.in === 'query') {
+        query.append(input.dataset.name, input.value);
+      }
+    });
+    var search = query.toString();
+    return server + path + (search ? '?' + search : '');
+  }
+
+  function send(form) {
+    var status = form.querySelector('.try-it-status');
+    var output = form.querySelector('.try-it-response');
+    var headers = { Accept: 'application/json' };
+    var options = { method: form.dataset.method, headers: headers };
+
+    form.querySelectorAll('[data-in="header"]').forEach(function (input) {
+      if (input.value !== '') headers[input.dataset.name] = input.value;
+    });
+    var token = form.querySelector('.try-it-token');
+    if (token && token.value) headers.Authorization = 'Bearer ' + token.value;
+    var body = form.querySelector('textarea');
+    if (body && body.value.trim() !== '') {
+      headers['Content-Type'] = 'application/json';
+      options.body = body.value;
+    }
+
+    var started = Date.now();
+    status.textContent = 'Sending request...';
+    output.hidden = true;
+    fetch(buildUrl(form), options)
+      .then(function (response) {
+        return response.text().then(function (text) {
+          var elapsed = Date.now() - started;
+          status.textContent = 'Response: ' + response.status + ' ' + response.statusText + ' in ' + elapsed + ' ms';
+          try {
+            text = JSON.stringify(JSON.parse(text), null, 2);
+          } catch (error) {
+            // Not JSON; show as-is
+          }
+          output.textContent = text || '(empty response body)';
+          output.hidden = false;
+        });
+      })
+      .catch(function (error) {
+        status.textContent = 'Error: ' + error.message + '. Check that the server is running and allows cross-origin requests.';
+      });
+  }
+
+  document.querySelectorAll('.try-it-form').forEach(function (form) {
+    form.addEventListener('submit', function (event) {
+      event.preventDefault();
+      send(form);
+    });
+  });
+
+  // One token for every secured route
+  document.querySelectorAll('.try-it-token').forEach(function (input) {
+    input.addEventListener('input', function () {
+      document.querySelectorAll('.try-it-token').forEach(function (other) {
+        if (other !== input) other.value = input.value;
+      });
+    });
+  });
+})();
+`;
+
 /**
  * Generate HTML documentation
  */
@@ -438,6 +2045,28 @@ async function generateHTML(routes, config) {
   const markdown = generateMarkdown(routes, config);
   const marked = await module.exports.loadMarked();
 
+  // Request consoles keyed by the endpoint heading text
+  const consoles = new Map();
+  if (config.tryItOut !== false) {
+    routes.forEach(route => {
+      consoles.set(`${route.method} ${route.path}`, route);
+    });
+  }
+
+  let consoleCount = 0;
+  const content = marked(markdown).replace(
+    /<h4>(GET|POST|PUT|PATCH|DELETE)\s+(.+?)<\/h4>/g,
+    (match, method, routePath) => {
+      const heading = `<h4><span class="method method-${method}">${method}</span> ${routePath}</h4>`;
+      const route = consoles.get(`${method} ${routePath}`);
+      if (!route) {
+        return heading;
+      }
+      consoleCount += 1;
+      return heading + renderTryItConsole(route, `try-it-${consoleCount}`, config);
+    }
+  );
+
   const html = `
 <!DOCTYPE html>
 <html lang="en">
@@ -527,14 +2156,59 @@ async function generateHTML(routes, config) {
             border-top: 1px solid #ecf0f1;
             margin: 2rem 0;
         }
+        .try-it {
+            background: white;
+            border: 1px solid #ddd;
+            border-radius: 5px;
+            margin: 1rem 0;
+            padding: 0.5rem 1rem;
+        }
+        .try-it summary {
+            cursor: pointer;
+            font-weight: bold;
+            color: #2c3e50;
+        }
+        .try-it-field {
+            display: flex;
+            flex-direction: column;
+            margin: 0.75rem 0;
+        }
+        .try-it-field label {
+            font-weight: bold;
+            margin-bottom: 0.25rem;
+        }
+        .try-it-in {
+            font-weight: normal;
+            color: #555;
+        }
+        .try-it input, .try-it select, .try-it textarea {
+            font: inherit;
+            padding: 0.4rem;
+            border: 1px solid #767676;
+            border-radius: 3px;
+        }
+        .try-it textarea {
+            font-family: 'Consolas', 'Monaco', monospace;
+        }
+        .try-it button {
+            font: inherit;
+            padding: 0.5rem 1rem;
+            border: none;
+            border-radius: 3px;
+            background: #2c3e50;
+            color: white;
+            cursor: pointer;
+        }
+        .try-it summary:focus-visible, .try-it input:focus-visible, .try-it select:focus-visible,
+        .try-it textarea:focus-visible, .try-it button:focus-visible, .try-it-response:focus-visible {
+            outline: 3px solid #f39c12;
+            outline-offset: 2px;
+        }
     </style>
 </head>
 <body>
-    ${marked(markdown).replace(
-      /<h4>(GET|POST|PUT|PATCH|DELETE)\s+(.+?)<\/h4>/g,
-      '<h4><span class="method method-$1">$1</span> $2</h4>'
-    )}
-</body>
+    ${content}
+${consoles.size > 0 ? `    <script>${tryItScript}</script>\n` : ''}</body>
 </html>
   `;
 
@@ -553,6 +2227,14 @@ async function loadConfig(configPath) {
   return JSON.parse(content);
 }
 
+/**
+ * Load a generated OpenAPI document (JSON or YAML)
+ */
+async function loadSpec(specPath) {
+  const content = await fs.readFile(specPath, 'utf8');
+  return /\.ya?ml$/i.test(specPath) ? require('js-yaml').load(content) : JSON.parse(content);
+}
+
 /**
  * Main function
  */
@@ -560,95 +2242,113 @@ async function main() {
   program
     .name('api-doc-generator')
     .description('Generate API documentation from Express routes')
-    .version('1.0.0')
+    .version('1.0.0', '-V, --cli-version', 'Output the generator version')
+    .enablePositionalOptions()
     .option('-p, --project <path>', 'Project path', process.cwd())
     .option('-o, --output <path>', 'Output path', './api-docs')
-    .option('-f, --format <format>', 'Output format (openapi, markdown, html, all)', 'all')
+    .option(
+      '-f, --format <format>',
+      'Output formats, comma separated (openapi, markdown, html, postman, insomnia, http, all)',
+      'all'
+    )
     .option('-c, --config <path>', 'Configuration file path')
     .option('--pattern <pattern>', 'Route file pattern', '**/routes/**/*.js')
     .option('--title <title>', 'API title')
     .option('--version <version>', 'API version')
     .option('--server <url>', 'Server URL')
-    .parse(process.argv);
-
-  const options = program.opts();
-  const spinner = createSpinner('Generating API documentation...').start();
-
-  try {
-    // Load configuration
-    const fileConfig = await loadConfig(options.config);
-    const config = {
-      ...fileConfig,
-      title: options.title || fileConfig.title || 'API Documentation',
-      version: options.version || fileConfig.version || '1.0.0',
-      servers: options.server ? [{ url: options.server }] : fileConfig.servers || [],
-    };
+    .option('--no-mounts', 'Do not resolve router mount prefixes across files')
+    .option('--models <pattern>', 'Sequelize model files to document', '**/models/**/*.{js,ts}')
+    .option('--no-models', 'Do not build schemas from Sequelize models')
+    .option('-w, --watch', 'Regenerate documentation when project files change')
+    .option('--port <port>', 'Live reload server port in watch mode', '8080')
+    .option('--no-serve', 'Do not start the live reload server in watch mode')
+    .action(generateDocumentation);
 
-    // Find route files
-    spinner.text = 'Finding route files...';
-    const routeFiles = await findRouteFiles(options.project, options.pattern);
+  program
+    .command('diff <old> <new>')
+    .description('Compare two generated OpenAPI specs and fail on breaking changes')
+    .option('--json', 'Output the report as JSON')
+    .action(async (oldFile, newFile, options) => {
+      const result = diffOpenAPI(await loadSpec(oldFile), await loadSpec(newFile));
+
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        console.log(formatDiffReport(result));
+      }
 
-    if (routeFiles.length === 0) {
-      spinner.fail('No route files found');
-      process.exit(1);
-    }
+      if (result.breaking.length > 0) {
+        process.exitCode = 1;
+      }
+    });
 
-    spinner.text = `Found ${routeFiles.length} route files`;
+  program
+    .command('contract-tests <spec>')
+    .description('Generate Jest + supertest contract tests from an OpenAPI spec')
+    .option('-o, --output <dir>', 'Output directory', './tests/contract')
+    .option('--app <path>', 'Express app module the tests should load', './src/app')
+    .option('-a, --author <author>', 'Author name')
+    .action(async (specFile, options) => {
+      const files = generateContractTests(await loadSpec(specFile), {
+        outputDir: options.output,
+        specPath: specFile,
+        appPath: options.app,
+        author: options.author,
+      });
 
-    // Parse routes
-    spinner.text = 'Parsing routes...';
-    const allRoutes = [];
-    for (const file of routeFiles) {
-      try {
-        const routes = await parseRouteFile(file);
-        allRoutes.push(...routes);
-      } catch (error) {
-        logger.warn(`Failed to parse ${file}: ${error.message}`);
+      await fs.mkdir(options.output, { recursive: true });
+      for (const file of files) {
+        await fs.writeFile(path.join(options.output, file.fileName), file.content);
       }
-    }
-
-    if (allRoutes.length === 0) {
-      spinner.fail('No routes found');
-      process.exit(1);
-    }
 
-    spinner.text = `Found ${allRoutes.length} routes`;
+      console.log(color.green(`✓ Generated ${files.length - 1} contract test suites`));
+      files.forEach(file =>
+        console.log(`  ${color.cyan(path.join(options.output, file.fileName))}`)
+      );
+    });
 
-    // Create output directory
-    await fs.mkdir(options.output, { recursive: true });
+  program
+    .command('mock <spec>')
+    .description('Serve a mock API from an OpenAPI spec using examples and schemas')
+    .option('-p, --port <port>', 'Port to listen on', '4010')
+    .option('--host <host>', 'Interface to bind', '127.0.0.1')
+    .option('-d, --delay <ms>', 'Latency added to every response (e.g. 250 or 100-500)')
+    .option('--no-cors', 'Do not send CORS headers')
+    .action(async (specFile, options) => {
+      const spec = await loadSpec(specFile);
+      const server = await startMockServer(spec, {
+        port: Number.parseInt(options.port, 10),
+        host: options.host,
+        delay: options.delay,
+        cors: options.cors,
+      });
+      const { address, port } = server.address();
 
-    // Generate documentation
-    const formats = options.format === 'all' ? ['openapi', 'markdown', 'html'] : [options.format];
+      console.log(color.green(`✓ Mocking ${spec.info?.title || specFile}`));
+      console.log(`  ${color.cyan(`http://${address}:${port}`)}`);
+      console.log(
+        color.gray('  Select a status with "Prefer: code=404" and add latency with "X-Mock-Delay"')
+      );
+    });
 
-    for (const format of formats) {
-      spinner.text = `Generating ${format} documentation...`;
+  await program.parseAsync(process.argv);
+}
 
-      switch (format) {
-        case 'openapi': {
-          const openapi = generateOpenAPI(allRoutes, config);
-          await fs.writeFile(
-            path.join(options.output, 'openapi.json'),
-            JSON.stringify(openapi, null, 2)
-          );
-          await fs.writeFile(
-            path.join(options.output, 'openapi.yaml'),
-            require('js-yaml').dump(openapi)
-          );
-          break;
-        }
+/**
+ * Generate documentation for a project (default command)
+ */
+async function generateDocumentation(options) {
+  if (options.watch) {
+    await watchDocumentation(options);
+    return;
+  }
 
-        case 'markdown': {
-          const markdown = generateMarkdown(allRoutes, config);
-          await fs.writeFile(path.join(options.output, 'API.md'), markdown);
-          break;
-        }
+  const spinner = createSpinner('Generating API documentation...').start();
 
-        case 'html': {
-          const html = await generateHTML(allRoutes, config);
-          await fs.writeFile(path.join(options.output, 'index.html'), html);
-          break;
-        }
-      }
+  try {
+    const result = await writeDocumentation(options, spinner);
+    if (!result) {
+      process.exit(1);
     }
 
     spinner.succeed(color.green(`API documentation generated successfully in ${options.output}`));
@@ -656,9 +2356,9 @@ async function main() {
     // Summary
     console.log('\n' + color.bold('Summary:'));
     console.log(color.gray('─'.repeat(40)));
-    console.log(`Routes found: ${color.cyan(allRoutes.length)}`);
-    console.log(`Files processed: ${color.cyan(routeFiles.length)}`);
-    console.log(`Output formats: ${color.cyan(formats.join(', '))}`);
+    console.log(`Routes found: ${color.cyan(result.routes.length)}`);
+    console.log(`Files processed: ${color.cyan(result.routeFiles.length)}`);
+    console.log(`Output formats: ${color.cyan(result.formats.join(', '))}`);
     console.log(`Output directory: ${color.cyan(options.output)}`);
   } catch (error) {
     spinner.fail(color.red('Failed to generate documentation'));
@@ -667,14 +2367,270 @@ async function main() {
   }
 }
 
+/**
+ * Parse a project and write every requested output format
+ * @param {Object} options - Command options
+ * @param {Object} spinner - Progress spinner
+ * @param {Object} [caches] - File caches from `createFileCache` for `routes`,
+ *   `mounts`, `models` and `schemas`, used in watch mode
+ * @returns {Promise<Object|null>} Routes, route files and formats, or null when
+ *   nothing was found to document
+ */
+async function writeDocumentation(options, spinner, caches = null) {
+  // Load configuration
+  const fileConfig = await loadConfig(options.config);
+  const config = {
+    ...fileConfig,
+    title: options.title || fileConfig.title || 'API Documentation',
+    version: options.version || fileConfig.version || '1.0.0',
+    servers: options.server ? [{ url: options.server }] : fileConfig.servers || [],
+  };
+
+  // Shared schemas from Sequelize models and @schema blocks; configuration
+  // entries take precedence, then @schema blocks
+  config.schemas = {
+    ...(options.models
+      ? await findModelSchemas(options.project, options.models, caches?.models)
+      : {}),
+    ...(await findSchemaDefinitions(options.project, sourcePattern, caches?.schemas)),
+    ...fileConfig.schemas,
+  };
+
+  // Find route files
+  spinner.text = 'Finding route files...';
+  const routeFiles = await findRouteFiles(options.project, options.pattern);
+  caches?.routes.prune(routeFiles);
+
+  if (routeFiles.length === 0) {
+    spinner.fail('No route files found');
+    return null;
+  }
+
+  spinner.text = `Found ${routeFiles.length} route files`;
+
+  // Parse routes
+  spinner.text = 'Parsing routes...';
+  let allRoutes = [];
+  for (const file of routeFiles) {
+    try {
+      const routes = await (caches ? caches.routes.parse(file) : parseRouteFile(file));
+      allRoutes.push(...routes);
+    } catch (error) {
+      logger.warn(`Failed to parse ${file}: ${error.message}`);
+    }
+  }
+
+  if (allRoutes.length === 0) {
+    spinner.fail('No routes found');
+    return null;
+  }
+
+  // Compose full paths from app.use()/router.use() mounts
+  if (options.mounts) {
+    spinner.text = 'Resolving router mounts...';
+    const graph = await buildMountGraph(options.project, sourcePattern, caches?.mounts);
+    allRoutes = applyMountGraph(allRoutes, graph, config);
+  }
+
+  spinner.text = `Found ${allRoutes.length} routes`;
+
+  // Create output directory
+  await fs.mkdir(options.output, { recursive: true });
+
+  // Generate documentation
+  const formats =
+    options.format === 'all'
+      ? ['openapi', 'markdown', 'html', 'postman', 'insomnia', 'http']
+      : options.format.split(',').map(format => format.trim());
+
+  // Client exports share the OpenAPI document
+  let spec = null;
+  const buildSpec = () => {
+    spec = spec || generateOpenAPI(allRoutes, config);
+    return spec;
+  };
+
+  for (const format of formats) {
+    spinner.text = `Generating ${format} documentation...`;
+
+    switch (format) {
+      case 'openapi': {
+        const openapi = buildSpec();
+        await fs.writeFile(
+          path.join(options.output, 'openapi.json'),
+          JSON.stringify(openapi, null, 2)
+        );
+        await fs.writeFile(
+          path.join(options.output, 'openapi.yaml'),
+          require('js-yaml').dump(openapi)
+        );
+        break;
+      }
+
+      case 'markdown': {
+        const markdown = generateMarkdown(allRoutes, config);
+        await fs.writeFile(path.join(options.output, 'API.md'), markdown);
+        break;
+      }
+
+      case 'html': {
+        const html = await generateHTML(allRoutes, config);
+        await fs.writeFile(path.join(options.output, 'index.html'), html);
+        break;
+      }
+
+      case 'postman': {
+        const openapi = buildSpec();
+        await fs.writeFile(
+          path.join(options.output, 'postman_collection.json'),
+          JSON.stringify(generatePostmanCollection(openapi), null, 2)
+        );
+        for (const environment of generatePostmanEnvironments(openapi)) {
+          const slug = environment.name
+            .split(' - ')
+            .pop()
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '');
+          await fs.writeFile(
+            path.join(options.output, `postman_environment.${slug}.json`),
+            JSON.stringify(environment, null, 2)
+          );
+        }
+        break;
+      }
+
+      case 'insomnia': {
+        const openapi = buildSpec();
+        await fs.writeFile(
+          path.join(options.output, 'insomnia.json'),
+          JSON.stringify(generateInsomniaExport(openapi), null, 2)
+        );
+        break;
+      }
+
+      case 'http': {
+        const openapi = buildSpec();
+        await fs.writeFile(path.join(options.output, 'api.http'), generateHttpFile(openapi));
+        break;
+      }
+
+      default:
+        logger.warn(`Unknown output format: ${format}`);
+    }
+  }
+
+  return { routes: allRoutes, routeFiles, formats };
+}
+
+/**
+ * Regenerate documentation whenever project files change, re-parsing only
+ * the files that differ from the previous build
+ */
+async function watchDocumentation(options) {
+  const caches = {
+    routes: createFileCache(parseRouteFile),
+    mounts: createFileCache(parseMountFile),
+    models: createFileCache(parseModelFile),
+    schemas: createFileCache(parseSchemaFile),
+  };
+  const cacheStats = () =>
+    Object.values(caches).reduce(
+      (total, cache) => ({
+        parsed: total.parsed + cache.stats.parsed,
+        cached: total.cached + cache.stats.cached,
+      }),
+      { parsed: 0, cached: 0 }
+    );
+  const server = options.serve
+    ? await startLiveReloadServer(options.output, { port: Number.parseInt(options.port, 10) })
+    : null;
+  let building = null;
+  let queued = false;
+
+  const rebuild = async () => {
+    const started = Date.now();
+    const spinner = createSpinner('Generating API documentation...').start();
+    Object.values(caches).forEach(cache => cache.resetStats());
+
+    try {
+      const result = await writeDocumentation(options, spinner, caches);
+      if (result) {
+        const { parsed, cached } = cacheStats();
+        spinner.succeed(
+          color.green(`Documented ${result.routes.length} routes in ${Date.now() - started}ms`) +
+            color.gray(` (${parsed} parsed, ${cached} cached)`)
+        );
+        server?.reload();
+      }
+    } catch (error) {
+      spinner.fail(color.red('Failed to generate documentation'));
+      logger.error('Documentation generation failed:', error.message);
+    }
+  };
+
+  // Changes made during a build trigger exactly one follow-up build
+  const schedule = async () => {
+    if (building) {
+      queued = true;
+      return;
+    }
+    building = rebuild();
+    await building;
+    building = null;
+    if (queued) {
+      queued = false;
+      await schedule();
+    }
+  };
+
+  await schedule();
+
+  watchProject(
+    options.project,
+    changed => {
+      const sources = changed.filter(file => /\.(c|m)?[jt]s$|\.json$/.test(file));
+      if (sources.length > 0) {
+        console.log(
+          color.gray(`\n↻ ${sources.map(file => path.relative(options.project, file)).join(', ')}`)
+        );
+        schedule();
+      }
+    },
+    { ignore: [options.output] }
+  );
+
+  if (server) {
+    const { address, port } = server.address();
+    console.log(`\nServing ${color.cyan(`http://${address}:${port}`)} with live reload`);
+  }
+  console.log(color.gray('Watching for changes (press Ctrl+C to stop)'));
+}
+
 // Export for programmatic use
 module.exports = {
   parseRouteFile,
   findRouteFiles,
+  parseSchemaFile,
+  findSchemaDefinitions,
+  findModelSchemas,
+  generatePostmanCollection,
+  generateInsomniaExport,
+  generateHttpFile,
+  parseMountFile,
+  buildMountGraph,
+  applyMountGraph,
   generateOpenAPI,
   generateMarkdown,
   generateHTML,
   loadMarked,
+  loadSpec,
+  diffOpenAPI,
+  generateContractTests,
+  createMockApp,
+  startMockServer,
+  createFileCache,
+  startLiveReloadServer,
 };
 
 // Run if called directly
@@ -0,0 +1,281 @@
+/**
+ * OpenAPI Mock Server
+ *
+ * Serves an OpenAPI document as a fake API so front-end work can start
+ * before the Express routes exist. Responses come from documented examples
+ * or are synthesized from the response schemas; nothing leaves the machine.
+ *
+ * Per-request controls:
+ *   Prefer: code=404         Select a documented status code
+ *   Prefer: example=notFound Select a named example
+ *   X-Mock-Status: 404       Same as Prefer: code=404
+ *   X-Mock-Delay: 250        Add latency in milliseconds
+ *
+ * @author REST-SPEC
+ */
+
+const http = require('http');
+const express = require('express');
+const { exampleFromSchema, resolveSchema } = require('./api-doc-schema');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'options', 'head'];
+
+// Error codes from operations-and-responses.md
+const errorCodes = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  402: 'payment_required',
+  404: 'not_found',
+  405: 'method_not_allowed',
+  422: 'duplicate',
+  429: 'too_many_requests',
+  500: 'internal_server_error',
+};
+
+/**
+ * Build a standard error body
+ */
+function errorBody(status, message) {
+  return {
+    error: {
+      code: errorCodes[status] || (status >= 500 ? 'internal_server_error' : 'bad_request'),
+      message,
+    },
+  };
+}
+
+/**
+ * Convert an OpenAPI path (`/items/{id}`) into an Express path (`/items/:id`)
+ */
+function toExpressPath(routePath) {
+  return routePath.replace(/\{([^}]+)\}/g, ':$1');
+}
+
+/**
+ * Parse a `Prefer` header into its key/value preferences
+ */
+function parsePrefer(header = '') {
+  return header
+    .split(/[,;]/)
+    .map(part => part.trim().split('='))
+    .filter(([key, value]) => key && value)
+    .reduce((prefs, [key, value]) => ({ ...prefs, [key.toLowerCase()]: value.trim() }), {});
+}
+
+/**
+ * Parse a latency setting: a number of milliseconds or a `min-max` range
+ */
+function parseDelay(value) {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+
+  const [min, max] = String(value)
+    .split('-')
+    .map(part => Number.parseInt(part, 10));
+  if (Number.isNaN(min)) {
+    return 0;
+  }
+  if (max === undefined || Number.isNaN(max) || max <= min) {
+    return Math.max(min, 0);
+  }
+  return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+/**
+ * Choose the response status for a request
+ */
+function selectStatus(operation, requested) {
+  const statuses = Object.keys(operation.responses || {});
+
+  if (requested) {
+    return statuses.includes(String(requested)) ? String(requested) : null;
+  }
+
+  const success = statuses.filter(status => /^2\d\d$/.test(status)).sort();
+  return success[0] || statuses.find(status => status !== 'default') || statuses[0] || '200';
+}
+
+/**
+ * Coerce a path parameter string to the type declared in the spec
+ */
+function coerceParam(value, schema = {}) {
+  if ((schema.type === 'integer' || schema.type === 'number') && value !== '') {
+    const number = Number(value);
+    return Number.isNaN(number) ? value : number;
+  }
+  if (schema.type === 'boolean') {
+    return value === 'true';
+  }
+  return value;
+}
+
+/**
+ * Copy request path parameters into matching fields of the response body,
+ * so `GET /items/42` returns an item whose `id` is 42
+ */
+function applyPathParams(body, params) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return body;
+  }
+
+  const result = { ...body };
+  Object.entries(params).forEach(([name, value]) => {
+    if (name in result) {
+      result[name] = value;
+    }
+  });
+
+  // Standard envelope: { success, data: {...} }
+  if (result.data && typeof result.data === 'object' && !Array.isArray(result.data)) {
+    result.data = applyPathParams(result.data, params);
+  }
+
+  return result;
+}
+
+/**
+ * Build the mock body for a documented response
+ */
+function buildBody(response, spec, exampleName) {
+  const content = response.content || {};
+  const mediaType = content['application/json'] || Object.values(content)[0];
+
+  if (!mediaType) {
+    return undefined;
+  }
+
+  if (mediaType.examples) {
+    const examples = Object.entries(mediaType.examples);
+    const match = examples.find(([name]) => name === exampleName) || examples[0];
+    if (match) {
+      const example = resolveSchema(match[1], spec);
+      return example.value !== undefined ? example.value : example;
+    }
+  }
+
+  if (mediaType.example !== undefined) {
+    return mediaType.example;
+  }
+
+  return mediaType.schema ? exampleFromSchema(mediaType.schema, spec) : undefined;
+}
+
+/**
+ * Create an Express app that mocks every operation in a specification
+ * @param {Object} spec - OpenAPI specification
+ * @param {Object} [options] - Mock options
+ * @param {number|string} [options.delay] - Latency for every response (`250` or `100-500`)
+ * @param {boolean} [options.cors] - Send permissive CORS headers (default true)
+ * @returns {Function} Express application
+ */
+function createMockApp(spec, options = {}) {
+  const app = express();
+  const router = express.Router();
+  app.disable('x-powered-by');
+
+  if (options.cors !== false) {
+    app.use((req, res, next) => {
+      res.set({
+        'Access-Control-Allow-Origin': req.get('Origin') || '*',
+        'Access-Control-Allow-Methods': 'GET,POST,PUT,PATCH,DELETE,OPTIONS,HEAD',
+        'Access-Control-Allow-Headers':
+          req.get('Access-Control-Request-Headers') || 'Content-Type,Authorization',
+        'Access-Control-Expose-Headers': 'X-Mock-Status',
+      });
+      if (req.method === 'OPTIONS' && req.get('Access-Control-Request-Method')) {
+        res.status(204).end();
+        return;
+      }
+      next();
+    });
+  }
+
+  // Register static paths before parameterized ones so `/items/search`
+  // is not captured by `/items/:id`
+  const paramCount = routePath => (toExpressPath(routePath).match(/:/g) || []).length;
+  const paths = Object.keys(spec.paths || {}).sort((a, b) => paramCount(a) - paramCount(b));
+
+  paths.forEach(routePath => {
+    const item = spec.paths[routePath];
+
+    HTTP_METHODS.filter(method => item[method]).forEach(method => {
+      const operation = item[method];
+      const parameters = [...(item.parameters || []), ...(operation.parameters || [])];
+
+      router[method](toExpressPath(routePath), async (req, res) => {
+        const prefer = parsePrefer(req.get('Prefer'));
+        const requested = req.get('X-Mock-Status') || prefer.code;
+        const status = selectStatus(operation, requested);
+
+        const delay = parseDelay(req.get('X-Mock-Delay') ?? options.delay);
+        if (delay > 0) {
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+
+        if (!status) {
+          res
+            .status(400)
+            .json(
+              errorBody(
+                400,
+                `Status ${requested} is not documented for ${method.toUpperCase()} ${routePath}`
+              )
+            );
+          return;
+        }
+
+        const params = {};
+        Object.entries(req.params).forEach(([name, value]) => {
+          const param = parameters.find(p => p.in === 'path' && p.name === name);
+          params[name] = coerceParam(value, resolveSchema(param?.schema, spec));
+        });
+
+        const response = resolveSchema(operation.responses?.[status], spec) || {};
+        const code = status === 'default' ? 500 : Number(status);
+        let body = applyPathParams(buildBody(response, spec, prefer.example), params);
+        if (body === undefined && code >= 400) {
+          body = errorBody(code, response.description || http.STATUS_CODES[code]);
+        }
+
+        res.set('X-Mock-Status', String(code));
+        if (body === undefined || code === 204 || method === 'head') {
+          res.status(code).end();
+        } else {
+          res.status(code).json(body);
+        }
+      });
+    });
+  });
+
+  app.use(router);
+
+  app.use((req, res) => {
+    res.status(404).json(errorBody(404, `Route ${req.originalUrl} not found`));
+  });
+
+  return app;
+}
+
+/**
+ * Start an HTTP server for a mocked specification
+ * @param {Object} spec - OpenAPI specification
+ * @param {Object} [options] - Server options
+ * @param {number} [options.port] - Port to listen on (default 4010)
+ * @param {string} [options.host] - Interface to bind (default 127.0.0.1)
+ * @returns {Promise<http.Server>} Listening server
+ */
+function startMockServer(spec, options = {}) {
+  const server = http.createServer(createMockApp(spec, options));
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port ?? 4010, options.host || '127.0.0.1', () => resolve(server));
+  });
+}
+
+module.exports = {
+  createMockApp,
+  startMockServer,
+  parseDelay,
+};
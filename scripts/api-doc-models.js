@@ -0,0 +1,512 @@
+/**
+ * Sequelize Model Schemas
+ *
+ * Statically parses Sequelize model definitions (`sequelize.define()` and
+ * `Model.init()`) into OpenAPI component schemas, so generated CRUD routes
+ * are documented without loading the models or connecting to a database.
+ *
+ * @author REST-SPEC
+ */
+
+const fs = require('fs').promises;
+const { glob } = require('glob');
+const parser = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+
+// Sequelize DataTypes and their OpenAPI equivalents
+const dataTypeSchemas = {
+  STRING: { type: 'string', maxLength: 255 },
+  CHAR: { type: 'string', maxLength: 255 },
+  TEXT: { type: 'string' },
+  CITEXT: { type: 'string' },
+  UUID: { type: 'string', format: 'uuid' },
+  UUIDV1: { type: 'string', format: 'uuid' },
+  UUIDV4: { type: 'string', format: 'uuid' },
+  DATE: { type: 'string', format: 'date-time' },
+  DATEONLY: { type: 'string', format: 'date' },
+  TIME: { type: 'string' },
+  NOW: { type: 'string', format: 'date-time' },
+  INTEGER: { type: 'integer' },
+  SMALLINT: { type: 'integer' },
+  TINYINT: { type: 'integer' },
+  MEDIUMINT: { type: 'integer' },
+  BIGINT: { type: 'integer', format: 'int64' },
+  FLOAT: { type: 'number', format: 'float' },
+  REAL: { type: 'number', format: 'float' },
+  DOUBLE: { type: 'number', format: 'double' },
+  DECIMAL: { type: 'number' },
+  NUMBER: { type: 'number' },
+  BOOLEAN: { type: 'boolean' },
+  JSON: { type: 'object' },
+  JSONB: { type: 'object' },
+  HSTORE: { type: 'object' },
+  GEOMETRY: { type: 'object' },
+  BLOB: { type: 'string', format: 'binary' },
+  ENUM: { type: 'string' },
+  ARRAY: { type: 'array', items: {} },
+  VIRTUAL: {},
+};
+
+// Timestamp attribute names per naming style
+const timestampNames = {
+  camel: { createdAt: 'createdAt', updatedAt: 'updatedAt', deletedAt: 'deletedAt' },
+  snake: { createdAt: 'created_at', updatedAt: 'updated_at', deletedAt: 'deleted_at' },
+};
+
+/**
+ * Read a literal value from an AST node (strings, numbers, arrays, objects)
+ * @returns {*} The value, or undefined when it is not a literal
+ */
+function literalValue(node) {
+  if (!node) {
+    return undefined;
+  }
+
+  switch (node.type) {
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+      return node.value;
+    case 'NullLiteral':
+      return null;
+    case 'RegExpLiteral':
+      return node.pattern;
+    case 'UnaryExpression':
+      return node.operator === '-' && node.argument.type === 'NumericLiteral'
+        ? -node.argument.value
+        : undefined;
+    case 'TemplateLiteral':
+      return node.expressions.length === 0 ? node.quasis[0].value.cooked : undefined;
+    case 'ArrayExpression': {
+      const values = node.elements.map(literalValue);
+      return values.some(value => value === undefined) ? undefined : values;
+    }
+    case 'ObjectExpression': {
+      const result = {};
+      for (const property of node.properties) {
+        if (property.type !== 'ObjectProperty') {
+          return undefined;
+        }
+        const value = literalValue(property.value);
+        if (value === undefined) {
+          return undefined;
+        }
+        result[propertyKey(property)] = value;
+      }
+      return result;
+    }
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Name of an object property key
+ */
+function propertyKey(property) {
+  if (property.key.type === 'Identifier') {
+    return property.key.name;
+  }
+  return property.key.value;
+}
+
+/**
+ * Map object properties by key
+ */
+function propertiesOf(node) {
+  const result = {};
+  (node?.properties || []).forEach(property => {
+    if (property.type === 'ObjectProperty') {
+      result[propertyKey(property)] = property.value;
+    }
+  });
+  return result;
+}
+
+/**
+ * Resolve a Sequelize data type expression (`DataTypes.STRING(100)`,
+ * `Sequelize.ENUM('a', 'b')`, `DataTypes.INTEGER.UNSIGNED`) into a schema
+ */
+function dataTypeToSchema(node) {
+  if (!node) {
+    return {};
+  }
+
+  if (node.type === 'CallExpression') {
+    const base = dataTypeToSchema(node.callee);
+    const name = dataTypeName(node.callee);
+    const args = node.arguments;
+
+    if (name === 'ENUM') {
+      const values = args.flatMap(arg => literalValue(arg) ?? []);
+      return values.length > 0 ? { ...base, enum: values } : base;
+    }
+    if (name === 'ARRAY') {
+      return { type: 'array', items: dataTypeToSchema(args[0]) };
+    }
+    if ((name === 'STRING' || name === 'CHAR') && typeof literalValue(args[0]) === 'number') {
+      return { ...base, maxLength: literalValue(args[0]) };
+    }
+    return base;
+  }
+
+  const name = dataTypeName(node);
+  return name ? JSON.parse(JSON.stringify(dataTypeSchemas[name])) : {};
+}
+
+/**
+ * First recognised DataTypes name in a member expression chain
+ */
+function dataTypeName(node) {
+  const names = [];
+  let current = node;
+  while (current) {
+    if (current.type === 'MemberExpression') {
+      names.unshift(current.property.name || current.property.value);
+      current = current.object;
+    } else if (current.type === 'CallExpression') {
+      current = current.callee;
+    } else {
+      if (current.type === 'Identifier') {
+        names.unshift(current.name);
+      }
+      current = null;
+    }
+  }
+  return names.find(name => dataTypeSchemas[name]);
+}
+
+/**
+ * Apply Sequelize `validate` rules to a schema
+ */
+function applyValidators(schema, validateNode) {
+  const rules = propertiesOf(validateNode);
+  const ruleValue = node => {
+    const value = literalValue(node);
+    // Rules may be written as { args: value, msg: '...' }
+    return value && typeof value === 'object' && !Array.isArray(value) && 'args' in value
+      ? value.args
+      : value;
+  };
+
+  Object.entries(rules).forEach(([rule, node]) => {
+    const value = ruleValue(node);
+    switch (rule) {
+      case 'isEmail':
+        schema.format = 'email';
+        break;
+      case 'isUrl':
+        schema.format = 'uri';
+        break;
+      case 'isUUID':
+        schema.format = 'uuid';
+        break;
+      case 'isDate':
+        schema.format = schema.format || 'date-time';
+        break;
+      case 'isInt':
+        schema.type = 'integer';
+        break;
+      case 'isDecimal':
+      case 'isFloat':
+      case 'isNumeric':
+        schema.type = schema.type === 'integer' ? 'integer' : 'number';
+        break;
+      case 'notEmpty':
+        if (value !== false) {
+          schema.minLength = Math.max(schema.minLength || 0, 1);
+        }
+        break;
+      case 'len':
+        if (Array.isArray(value)) {
+          const [min, max] = value;
+          if (typeof min === 'number') {
+            schema.minLength = min;
+          }
+          if (typeof max === 'number') {
+            schema.maxLength = max;
+          }
+        }
+        break;
+      case 'min':
+        if (typeof value === 'number') {
+          schema.minimum = value;
+        }
+        break;
+      case 'max':
+        if (typeof value === 'number') {
+          schema.maximum = value;
+        }
+        break;
+      case 'isIn':
+        if (Array.isArray(value)) {
+          schema.enum = Array.isArray(value[0]) ? value[0] : value;
+        }
+        break;
+      case 'is':
+      case 'matches':
+        if (typeof value === 'string') {
+          schema.pattern = value;
+        } else if (Array.isArray(value) && typeof value[0] === 'string') {
+          schema.pattern = value[0];
+        }
+        break;
+      default:
+        break;
+    }
+  });
+
+  return schema;
+}
+
+/**
+ * Convert one attribute definition into a described field
+ */
+function parseAttribute(name, node) {
+  // Shorthand: `name: DataTypes.STRING`
+  if (node.type !== 'ObjectExpression') {
+    return {
+      name,
+      schema: { ...dataTypeToSchema(node), nullable: true },
+      allowNull: true,
+      hasDefault: false,
+      primaryKey: false,
+      autoIncrement: false,
+    };
+  }
+
+  const options = propertiesOf(node);
+  const schema = dataTypeToSchema(options.type);
+
+  const values = literalValue(options.values);
+  if (Array.isArray(values)) {
+    schema.enum = values;
+  }
+  if (options.validate) {
+    applyValidators(schema, options.validate);
+  }
+
+  const defaultValue = literalValue(options.defaultValue);
+  if (defaultValue !== undefined && defaultValue !== null) {
+    schema.default = defaultValue;
+  }
+
+  const comment = literalValue(options.comment);
+  if (typeof comment === 'string') {
+    schema.description = comment;
+  }
+
+  const allowNull = literalValue(options.allowNull) !== false;
+  if (allowNull) {
+    schema.nullable = true;
+  }
+
+  return {
+    name,
+    schema,
+    allowNull,
+    hasDefault: options.defaultValue !== undefined,
+    primaryKey: literalValue(options.primaryKey) === true,
+    autoIncrement: literalValue(options.autoIncrement) === true,
+    virtual: dataTypeName(options.type) === 'VIRTUAL',
+  };
+}
+
+/**
+ * Build a model description from attributes and model options
+ */
+function buildModel(name, attributesNode, optionsNode) {
+  // Options usually include the sequelize instance; read what is literal
+  const options = {};
+  Object.entries(propertiesOf(optionsNode)).forEach(([key, node]) => {
+    const value = literalValue(node);
+    if (value !== undefined) {
+      options[key] = value;
+    }
+  });
+
+  const fields = Object.entries(propertiesOf(attributesNode)).map(([field, node]) =>
+    parseAttribute(field, node)
+  );
+
+  // Sequelize adds an auto-increment id when no primary key is declared
+  if (!fields.some(field => field.primaryKey)) {
+    fields.unshift({
+      name: 'id',
+      schema: { type: 'integer' },
+      allowNull: false,
+      hasDefault: true,
+      primaryKey: true,
+      autoIncrement: true,
+    });
+  }
+
+  const names = options.underscored ? timestampNames.snake : timestampNames.camel;
+  const timestamps = new Set();
+  const addTimestamp = (key, enabled, nullable = false) => {
+    if (!enabled) {
+      return;
+    }
+    const field = typeof options[key] === 'string' ? options[key] : names[key];
+    timestamps.add(field);
+    if (!fields.some(existing => existing.name === field)) {
+      fields.push({
+        name: field,
+        schema: { type: 'string', format: 'date-time', ...(nullable && { nullable: true }) },
+        allowNull: nullable,
+        hasDefault: true,
+      });
+    }
+  };
+
+  if (options.timestamps !== false) {
+    addTimestamp('createdAt', options.createdAt !== false);
+    addTimestamp('updatedAt', options.updatedAt !== false);
+    addTimestamp('deletedAt', options.paranoid && options.deletedAt !== false, true);
+  }
+
+  return {
+    name: options.modelName || name,
+    tableName: options.tableName,
+    fields,
+    timestamps: [...timestamps],
+  };
+}
+
+/**
+ * Find Sequelize model definitions in a source file
+ * @param {string} filePath - Path to the model file
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.content] - Source to parse instead of reading the file
+ * @returns {Promise<Array<Object>>} Models with their fields
+ */
+async function parseModelFile(filePath, options = {}) {
+  const content = options.content ?? (await fs.readFile(filePath, 'utf8'));
+  if (!/\.(define|init)\s*\(/.test(content)) {
+    return [];
+  }
+
+  const ast = parser.parse(content, {
+    sourceType: 'unambiguous',
+    plugins: ['jsx', 'typescript', 'classProperties'],
+  });
+
+  // Top-level object literals, for attributes declared separately
+  const objects = new Map();
+  const resolve = node =>
+    node?.type === 'Identifier' && objects.has(node.name) ? objects.get(node.name) : node;
+
+  const models = [];
+  traverse(ast, {
+    VariableDeclarator(path) {
+      if (path.node.id.type === 'Identifier' && path.node.init?.type === 'ObjectExpression') {
+        objects.set(path.node.id.name, path.node.init);
+      }
+    },
+    CallExpression(path) {
+      const { callee, arguments: args } = path.node;
+      if (callee.type !== 'MemberExpression') {
+        return;
+      }
+      const method = callee.property.name;
+
+      // sequelize.define('Name', { ...attributes }, { ...options })
+      if (method === 'define' && args[0]?.type === 'StringLiteral') {
+        const attributes = resolve(args[1]);
+        if (attributes?.type === 'ObjectExpression') {
+          models.push(buildModel(args[0].value, attributes, resolve(args[2])));
+        }
+      }
+
+      // class Name extends Model {}; Name.init({ ...attributes }, { sequelize, ... })
+      if (method === 'init' && callee.object.type === 'Identifier') {
+        const attributes = resolve(args[0]);
+        const options = resolve(args[1]);
+        const isModel = Object.keys(propertiesOf(options)).includes('sequelize');
+        if (attributes?.type === 'ObjectExpression' && isModel) {
+          models.push(buildModel(callee.object.name, attributes, options));
+        }
+      }
+    },
+  });
+
+  return models;
+}
+
+/**
+ * Convert a parsed model into its component schemas: the full resource,
+ * a `<Name>Create` payload and a `<Name>Update` payload. The payloads leave
+ * out primary keys and timestamps; nothing is required in the update.
+ * @param {Object} model - Model from parseModelFile
+ * @returns {Object} Schemas keyed by name
+ */
+function modelToSchemas(model) {
+  const resource = { type: 'object', properties: {} };
+  const create = { type: 'object', properties: {} };
+  const required = [];
+  const createRequired = [];
+
+  model.fields.forEach(field => {
+    const generated = field.primaryKey || model.timestamps.includes(field.name);
+    const { schema } = field;
+
+    resource.properties[field.name] = generated ? { ...schema, readOnly: true } : schema;
+    if (!field.allowNull) {
+      required.push(field.name);
+    }
+
+    if (generated || field.virtual) {
+      return;
+    }
+    create.properties[field.name] = schema;
+    if (!field.allowNull && !field.hasDefault) {
+      createRequired.push(field.name);
+    }
+  });
+
+  if (required.length > 0) {
+    resource.required = required;
+  }
+  if (createRequired.length > 0) {
+    create.required = createRequired;
+  }
+
+  return {
+    [model.name]: resource,
+    [`${model.name}Create`]: create,
+    [`${model.name}Update`]: { type: 'object', properties: { ...create.properties } },
+  };
+}
+
+/**
+ * Build component schemas from every Sequelize model in a project
+ * @param {string} projectPath - Project root
+ * @param {string} [pattern] - Glob of model files
+ * @param {Object} [cache] - File cache from `createFileCache` over `parseModelFile`,
+ *   used in watch mode
+ * @returns {Promise<Object>} Schemas keyed by name
+ */
+async function findModelSchemas(projectPath, pattern = '**/models/**/*.{js,ts}', cache = null) {
+  const files = await glob(pattern, {
+    cwd: projectPath,
+    absolute: true,
+    ignore: ['**/node_modules/**', '**/test/**', '**/tests/**', '**/dist/**', '**/*.d.ts'],
+  });
+
+  cache?.prune(files);
+
+  const schemas = {};
+  for (const file of files.sort()) {
+    // Files that do not parse are not models we can document
+    const models = await (cache ? cache.parse(file) : parseModelFile(file)).catch(() => []);
+    models.forEach(model => Object.assign(schemas, modelToSchemas(model)));
+  }
+
+  return schemas;
+}
+
+module.exports = {
+  parseModelFile,
+  modelToSchemas,
+  findModelSchemas,
+};
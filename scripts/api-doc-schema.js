@@ -0,0 +1,130 @@
+/**
+ * OpenAPI Schema Utilities
+ *
+ * Shared helpers for working with schemas in generated OpenAPI documents:
+ * resolving component references and synthesizing example values
+ *
+ * @author REST-SPEC
+ */
+
+// Example values for well-known string formats
+const formatExamples = {
+  email: 'user@example.com',
+  uuid: '550e8400-e29b-41d4-a716-446655440000',
+  'date-time': '2024-01-01T00:00:00.000Z',
+  date: '2024-01-01',
+  uri: 'https://example.com',
+  url: 'https://example.com',
+  hostname: 'example.com',
+  ipv4: '127.0.0.1',
+  password: 'Password123!',
+};
+
+/**
+ * Follow a local `$ref` to its schema in the same specification
+ */
+function resolveSchema(schema, spec, seen = new Set()) {
+  if (!schema || !schema.$ref) {
+    return schema;
+  }
+  if (seen.has(schema.$ref)) {
+    return {};
+  }
+  seen.add(schema.$ref);
+
+  const target = schema.$ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((node, key) => (node ? node[key] : undefined), spec);
+  return resolveSchema(target || {}, spec, seen);
+}
+
+/**
+ * Fit a string example inside minLength/maxLength
+ */
+function fitLength(value, schema) {
+  let result = value;
+  if (schema.minLength !== undefined && result.length < schema.minLength) {
+    result = result.padEnd(schema.minLength, 'x');
+  }
+  if (schema.maxLength !== undefined && result.length > schema.maxLength) {
+    result = result.slice(0, schema.maxLength);
+  }
+  return result;
+}
+
+/**
+ * Synthesize an example value that satisfies a schema
+ * @param {Object} schema - OpenAPI schema (may contain $ref)
+ * @param {Object} spec - Specification used to resolve references
+ * @param {string} [key] - Property name, used to make strings readable
+ * @param {number} [depth] - Recursion depth guard
+ * @returns {*} Example value
+ */
+function exampleFromSchema(schema, spec = {}, key = '', depth = 0) {
+  const resolved = resolveSchema(schema, spec) || {};
+
+  if (depth > 8) {
+    return null;
+  }
+  if (resolved.example !== undefined) {
+    return resolved.example;
+  }
+  if (resolved.default !== undefined) {
+    return resolved.default;
+  }
+  if (resolved.enum && resolved.enum.length > 0) {
+    return resolved.enum[0];
+  }
+  if (resolved.allOf) {
+    return resolved.allOf.reduce(
+      (merged, part) => ({ ...merged, ...exampleFromSchema(part, spec, key, depth + 1) }),
+      {}
+    );
+  }
+  if (resolved.oneOf || resolved.anyOf) {
+    return exampleFromSchema((resolved.oneOf || resolved.anyOf)[0], spec, key, depth + 1);
+  }
+
+  const type = resolved.type || (resolved.properties ? 'object' : 'string');
+
+  switch (type) {
+    case 'integer':
+    case 'number': {
+      let value = resolved.minimum !== undefined ? resolved.minimum : 1;
+      if (resolved.maximum !== undefined && value > resolved.maximum) {
+        value = resolved.maximum;
+      }
+      return type === 'integer' ? Math.ceil(value) : value;
+    }
+    case 'boolean':
+      return true;
+    case 'array': {
+      const count = Math.max(resolved.minItems || 1, 1);
+      return Array.from({ length: count }, () =>
+        exampleFromSchema(resolved.items || {}, spec, key, depth + 1)
+      );
+    }
+    case 'object': {
+      const result = {};
+      Object.entries(resolved.properties || {}).forEach(([name, property]) => {
+        const value = exampleFromSchema(property, spec, name, depth + 1);
+        if (value !== undefined) {
+          result[name] = value;
+        }
+      });
+      return result;
+    }
+    default: {
+      if (resolved.format && formatExamples[resolved.format]) {
+        return formatExamples[resolved.format];
+      }
+      return fitLength(key ? `Sample ${key}` : 'string', resolved);
+    }
+  }
+}
+
+module.exports = {
+  resolveSchema,
+  exampleFromSchema,
+};
@@ -0,0 +1,239 @@
+/**
+ * API Documentation Watch Mode
+ *
+ * Keeps generated documentation current while a project is edited. Parsed
+ * routes, router mounts, models and @schema blocks are cached per file by
+ * content hash, so a rebuild only re-parses the files whose source, or a
+ * module they read while being parsed, has changed. A small local server
+ * publishes the output directory and reloads open HTML pages after every
+ * rebuild.
+ *
+ * @author REST-SPEC
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const express = require('express');
+
+// Directories that never contain documented sources
+const ignoredDirectories = ['node_modules', '.git', 'coverage', 'dist'];
+
+// Injected into served HTML pages; reconnects on its own if the server restarts
+const liveReloadScript = `<script>
+(function () {
+  var source = new EventSource('/__livereload');
+  source.addEventListener('reload', function () { window.location.reload(); });
+})();
+</script>`;
+
+/**
+ * Hash file contents for cache comparisons
+ */
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * Hash a file on disk, or null when it cannot be read
+ */
+function hashFile(filePath) {
+  return fs.promises.readFile(filePath, 'utf8').then(hashContent, () => null);
+}
+
+/**
+ * Create a cache of per-file parse results keyed by file content hash
+ * @param {Function} parse - `(filePath, { content, dependencies }) => Promise<*>`,
+ *   e.g. `parseRouteFile`; adds the other files it reads to `dependencies`
+ * @returns {Object} Cache with `parse(file)`, `prune(files)` and hit/miss `stats`
+ */
+function createFileCache(parse) {
+  const entries = new Map(); // file -> { hash, dependencies: Map<path, hash>, result }
+  const stats = { parsed: 0, cached: 0 };
+
+  const isFresh = async (entry, hash) => {
+    if (entry.hash !== hash) {
+      return false;
+    }
+    for (const [dependency, dependencyHash] of entry.dependencies) {
+      if ((await hashFile(dependency)) !== dependencyHash) {
+        return false;
+      }
+    }
+    return true;
+  };
+
+  return {
+    stats,
+
+    async parse(filePath) {
+      const content = await fs.promises.readFile(filePath, 'utf8');
+      const hash = hashContent(content);
+      const entry = entries.get(filePath);
+
+      if (entry && (await isFresh(entry, hash))) {
+        stats.cached++;
+        return entry.result;
+      }
+
+      // Drop the stale entry first so a parse error is retried next time
+      entries.delete(filePath);
+      const dependencies = new Set();
+      const result = await parse(filePath, { content, dependencies });
+
+      const dependencyHashes = new Map();
+      for (const dependency of dependencies) {
+        dependencyHashes.set(dependency, await hashFile(dependency));
+      }
+      entries.set(filePath, { hash, dependencies: dependencyHashes, result });
+      stats.parsed++;
+      return result;
+    },
+
+    // Forget files that no longer match the scanned pattern
+    prune(files) {
+      const keep = new Set(files);
+      [...entries.keys()].filter(file => !keep.has(file)).forEach(file => entries.delete(file));
+    },
+
+    resetStats() {
+      stats.parsed = 0;
+      stats.cached = 0;
+    },
+  };
+}
+
+/**
+ * Watch a project directory and report batches of changed files
+ * @param {string} projectPath - Directory to watch recursively
+ * @param {Function} onChange - Called with the changed absolute paths
+ * @param {Object} [options] - Watch options
+ * @param {string[]} [options.ignore] - Absolute directories to skip (e.g. the output)
+ * @param {number} [options.debounce] - Quiet period in milliseconds (default 100)
+ * @returns {fs.FSWatcher} Watcher; call `close()` to stop
+ */
+function watchProject(projectPath, onChange, options = {}) {
+  const ignore = (options.ignore || []).map(dir => path.resolve(dir));
+  const pending = new Set();
+  let timer = null;
+
+  const isIgnored = filePath =>
+    filePath.split(path.sep).some(part => ignoredDirectories.includes(part)) ||
+    ignore.some(dir => filePath === dir || filePath.startsWith(dir + path.sep));
+
+  const watcher = fs.watch(projectPath, { recursive: true }, (eventType, fileName) => {
+    if (!fileName) {
+      return;
+    }
+
+    const filePath = path.resolve(projectPath, fileName.toString());
+    if (isIgnored(filePath)) {
+      return;
+    }
+
+    // Editors often write a file in several steps; report them as one change
+    pending.add(filePath);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const changed = [...pending];
+      pending.clear();
+      onChange(changed);
+    }, options.debounce ?? 100);
+  });
+
+  watcher.on('close', () => clearTimeout(timer));
+  return watcher;
+}
+
+/**
+ * Create an Express app that serves generated documentation with live reload
+ * @param {string} outputDir - Directory containing the generated files
+ * @returns {Function} Express application with a `reload()` method
+ */
+function createLiveReloadApp(outputDir) {
+  const app = express();
+  const clients = new Set();
+  app.disable('x-powered-by');
+
+  app.get('/__livereload', (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+    res.write('retry: 1000\n\n');
+
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+  });
+
+  app.get(['/', /\.html$/], async (req, res, next) => {
+    const root = path.resolve(outputDir);
+    const filePath = path.join(root, req.path === '/' ? 'index.html' : req.path);
+    if (!filePath.startsWith(root + path.sep)) {
+      next();
+      return;
+    }
+
+    try {
+      const html = await fs.promises.readFile(filePath, 'utf8');
+      res
+        .type('html')
+        .send(
+          html.includes('</body>')
+            ? html.replace('</body>', `${liveReloadScript}\n</body>`)
+            : html + liveReloadScript
+        );
+    } catch {
+      next();
+    }
+  });
+
+  app.use(express.static(outputDir));
+
+  app.reload = () => {
+    clients.forEach(client => client.write('event: reload\ndata: {}\n\n'));
+  };
+
+  // Open event streams would otherwise keep the server from closing
+  app.closeClients = () => {
+    clients.forEach(client => client.end());
+    clients.clear();
+  };
+
+  return app;
+}
+
+/**
+ * Start the live reload server for a documentation directory
+ * @param {string} outputDir - Directory containing the generated files
+ * @param {Object} [options] - Server options
+ * @param {number} [options.port] - Port to listen on (default 8080)
+ * @param {string} [options.host] - Interface to bind (default 127.0.0.1)
+ * @returns {Promise<http.Server>} Listening server with a `reload()` method
+ */
+function startLiveReloadServer(outputDir, options = {}) {
+  const app = createLiveReloadApp(outputDir);
+  const server = http.createServer(app);
+  server.reload = app.reload;
+
+  const close = server.close.bind(server);
+  server.close = callback => {
+    app.closeClients();
+    return close(callback);
+  };
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port ?? 8080, options.host || '127.0.0.1', () => resolve(server));
+  });
+}
+
+module.exports = {
+  createFileCache,
+  watchProject,
+  createLiveReloadApp,
+  startLiveReloadServer,
+};
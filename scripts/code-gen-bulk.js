@@ -0,0 +1,918 @@
+/**
+ * Bulk and Batch Endpoints for the Code Generator
+ *
+ * Opt-in endpoints that change many records in one request, emitted
+ * consistently in the controller, routes, validation and tests:
+ *
+ * - bulk: `POST`, `PATCH` and `DELETE /bulk` create, update or delete a list
+ *   of records in one transaction; when any of them fails, none is changed
+ * - batch: `POST /batch` runs a list of create, update and delete requests
+ *   in one transaction, in order, and responds 207 Multi-Status with the
+ *   status and body of each; when one fails, none is applied and the others
+ *   report 424 Failed Dependency
+ *
+ * Both accept at most `batchLimit` records or operations, and only offer the
+ * CRUD endpoints the entity exposes. Records are changed one at a time
+ * through the repository, so model validations and the audit trail apply to
+ * each. The endpoints apply to the JavaScript and TypeScript controllers,
+ * whichever persistence target their repository uses.
+ *
+ * @author REST-SPEC
+ */
+
+const { crudEndpoints, parseEndpoints } = require('./code-gen-domain');
+const { parseLifecycleOptions } = require('./code-gen-lifecycle');
+
+// Generator options, in the order they are documented
+const bulkOptions = ['bulk', 'batch', 'batchLimit'];
+
+// Most records or operations in one request, by default
+const defaultBatchLimit = 100;
+
+// Endpoints bulk and batch requests can reach, with their batch methods
+const batchMethods = { create: 'POST', update: 'PUT', delete: 'DELETE' };
+
+/**
+ * Read the bulk and batch options from generator options
+ * @param {Object} [options] - Generator options
+ * @param {boolean} [options.bulk] - Create, update and delete records in bulk
+ * @param {boolean} [options.batch] - Run batches of requests
+ * @param {number|string} [options.batchLimit] - Most records or operations
+ *   in one request (default 100)
+ * @param {string|string[]} [options.endpoints] - Exposed CRUD endpoints; bulk
+ *   and batch requests only reach these (default: all)
+ * @returns {Object} Options, with the `operations` each offers and `custom`
+ *   set when either is on
+ */
+function parseBulkOptions(options = {}) {
+  const limit = Number(options.batchLimit ?? defaultBatchLimit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(`Invalid batch limit "${options.batchLimit}" (use a positive whole number)`);
+  }
+
+  const exposed = parseEndpoints(options.endpoints) || Object.keys(crudEndpoints);
+  const operations = Object.keys(batchMethods).filter(name => exposed.includes(name));
+  const bulk = options.bulk ? operations : [];
+  const batch = options.batch ? operations : [];
+  return { bulk, batch, limit, custom: Boolean(options.bulk || options.batch) };
+}
+
+/**
+ * Render the options object of a repository write in a transaction
+ */
+function writeOptions(userId, version = '') {
+  return `{ userId: ${userId}${version}, transaction }`;
+}
+
+/**
+ * Render the controller helpers shared by the bulk and batch handlers
+ */
+function renderHelpers(parsed, names, lifecycle, lang) {
+  const { entityName, entityCamelCase: camel, entityPascalCase: pascal } = names;
+  const pluralCamel = names.entityPluralCamelCase;
+  const typed = lang === 'ts';
+  const repository = `${camel}Repository`;
+  const changesExisting = [...parsed.bulk, ...parsed.batch].some(name => name !== 'create');
+  const helpers = [];
+
+  if (changesExisting) {
+    helpers.push(`
+/**
+ * Find ${pluralCamel} by ID in a transaction, locked until it ends${
+   typed
+     ? `
+ * @param ids - ${entityName} IDs
+ * @param transaction - Transaction from ${repository}.transaction
+ * @returns The ${pluralCamel}, in the order of the IDs
+ */
+const findByIds = async (ids: string[], transaction: Transaction): Promise<${pascal}Record[]> => {`
+     : `
+ * @param {string[]} ids - ${entityName} IDs
+ * @param {Object} transaction - Transaction from ${repository}.transaction
+ * @returns {Promise<Object[]>} The ${pluralCamel}, in the order of the IDs
+ */
+const findByIds = async (ids, transaction) => {`
+ }
+  const ${pluralCamel} = await ${repository}.findAll({
+    where: [{ field: 'id', operator: 'in', value: ids }],
+    transaction,
+    lock: true
+  });
+  const found = new Map(${pluralCamel}.map(${camel} => [${camel}.id, ${camel}]));
+
+  const missing = ids.filter(id => !found.has(id));
+  if (missing.length > 0) {
+    throw new AppError(\`${entityName} not found: \${missing.join(', ')}\`, 404);
+  }
+  return ids.map(id => found.get(id)${typed ? ` as ${pascal}Record` : ''});
+};
+`);
+  }
+
+  if (parsed.batch.length > 0) {
+    const { optimisticLocking } = lifecycle;
+    const etag = optimisticLocking ? ` headers: { ETag: etagOf(${camel}) },` : '';
+    const staleWriteCatch = optimisticLocking ? '.catch(rejectStaleWrite)' : '';
+    const userId = typed ? 'user?.id' : 'user.id';
+    const createdBy = typed ? `${userId} ?? null` : userId;
+    // If-Match is read from the operation's headers, as the route reads it
+    const version = optimisticLocking
+      ? ', version: expectedVersion({ get: name => headers[name] })'
+      : '';
+    const find = '    const id = path.slice(1);\n    await findByIds([id], transaction);';
+    const request = optimisticLocking ? '{ path, headers = {} }' : '{ path }';
+    const bodyRequest = optimisticLocking ? '{ path, body, headers = {} }' : '{ path, body }';
+    // The update route checks for the record as well, which narrows its type
+    const found = typed
+      ? `
+
+    if (!${camel}) {
+      throw new AppError('${entityName} not found', 404);
+    }`
+      : '';
+    const operations = {
+      create: `  POST: async ({ body }, user, transaction) => {
+    const ${camel} = await ${repository}.create({
+      ...${typed ? `(body as Create${pascal}Input)` : 'body'},
+      createdBy: ${createdBy}
+    }${typed ? ` as ${pascal}CreationAttributes` : ''}, ${writeOptions(userId)});
+    return { status: 201,${etag} body: { ${camel} } };
+  }`,
+      update: `  PUT: async (${bodyRequest}, user, transaction) => {
+${find}
+    const ${camel} = await ${repository}.update(id, {
+      ...${typed ? `(body as Update${pascal}Input)` : 'body'},
+      updatedBy: ${createdBy}
+    }, ${writeOptions(userId, version)})${staleWriteCatch};${found}
+    return { status: 200,${etag} body: { ${camel} } };
+  }`,
+      delete: `  DELETE: async (${request}, user, transaction) => {
+${find}
+    await ${repository}.remove(id, ${writeOptions(userId, version)})${staleWriteCatch};
+    return { status: 204 };
+  }`,
+    };
+    const methods = parsed.batch.map(name => `'${batchMethods[name]}'`).join(' | ');
+
+    helpers.push(`${
+      typed
+        ? `
+/**
+ * A request in a batch, validated as its route validates it
+ */
+interface BatchOperation {
+  method: ${methods};
+  path: string;
+  body?: unknown;
+${optimisticLocking ? '  headers?: Record<string, string>;\n' : ''}}
+
+/**
+ * What the route would have responded to a request in a batch
+ */
+interface BatchResult {
+  status: number;
+  headers?: Record<string, string>;
+  body?: unknown;
+}
+`
+        : ''
+    }
+/**
+ * Batch operations by method, each run as its route would run it, with the
+ * status, headers and body it would respond with
+ */
+const batchOperations${
+      typed
+        ? `: Record<
+  BatchOperation['method'],
+  (operation: BatchOperation, user: Request['user'], transaction: Transaction) => Promise<BatchResult>
+>`
+        : ''
+    } = {
+${parsed.batch.map(name => operations[name]).join(',\n')}
+};
+${
+  typed
+    ? `
+/**
+ * The result of a batch operation that failed, as the error handler would
+ * respond to the error; errors that are not the operation's fault are thrown
+ * @param error - Error from the operation
+ * @returns Result with the status and body
+ */
+const failedResult = (error: unknown): BatchResult => {
+  // AppErrors carry their status, Sequelize validation errors their messages
+  const { name, message, statusCode, errors = [] } = error as {
+    name: string;
+    message: string;
+    statusCode?: number;
+    errors?: Array<{ message: string }>;
+  };
+  const invalid = ['SequelizeValidationError', 'SequelizeUniqueConstraintError'].includes(name);
+  if (!statusCode && !invalid) {
+    throw error;
+  }
+
+  const detail = invalid ? errors.map(item => item.message).join(', ') : message;
+  return { status: statusCode ?? 400, body: { success: false, error: { message: detail } } };
+};
+`
+    : `
+/**
+ * The result of a batch operation that failed, as the error handler would
+ * respond to the error; errors that are not the operation's fault are thrown
+ * @param {Error} error - Error from the operation
+ * @returns {Object} Result with the status and body
+ */
+const failedResult = (error) => {
+  const invalid = ['SequelizeValidationError', 'SequelizeUniqueConstraintError'].includes(error.name);
+  if (!error.statusCode && !invalid) {
+    throw error;
+  }
+
+  const message = invalid ? error.errors.map(item => item.message).join(', ') : error.message;
+  return { status: error.statusCode || 400, body: { success: false, error: { message } } };
+};
+`
+}`);
+  }
+
+  return helpers.join('');
+}
+
+/**
+ * Render the bulk and batch handlers
+ */
+function renderHandlers(parsed, names, lifecycle, lang) {
+  const {
+    entityName,
+    entityCamelCase: camel,
+    entityPascalCase: pascal,
+    entityKebabCase: kebab,
+  } = names;
+  const plural = names.entityPlural;
+  const pluralCamel = names.entityPluralCamelCase;
+  const typed = lang === 'ts';
+  const repository = `${camel}Repository`;
+  const userId = typed ? 'req.user?.id' : 'req.user.id';
+  const createdBy = typed ? `${userId} ?? null` : userId;
+  const staleWriteCatch = lifecycle.optimisticLocking ? '.catch(rejectStaleWrite)' : '';
+  const handler = (name, summary, body, failure) => `
+/**
+ * ${summary}${
+   typed
+     ? `
+ */
+export const ${name}: AsyncHandler = async (req, res, next) => {`
+     : `
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const ${name} = async (req, res, next) => {`
+ }
+${body}
+  } catch (error) {
+    logger.error({
+      component: '${kebab}-controller',
+      action: '${name}',
+      userId: req.user?.id,
+      err: error
+    }, '${failure}');
+
+    next(error);
+  }
+};
+`;
+  const logged = (action, count, message) => `    logger.info({
+      component: '${kebab}-controller',
+      action: '${action}',
+      userId: ${userId},
+      count: ${count}
+    }, '${message}');`;
+
+  const bulk = {
+    create: handler(
+      'bulkCreate',
+      `Create many ${pluralCamel} in one transaction`,
+      `  try {
+${typed ? `    const inputs: Create${pascal}Input[] = req.body.${pluralCamel};\n\n` : ''}    const ${pluralCamel} = await ${repository}.transaction(async (transaction) => {
+      const created${typed ? `: ${pascal}Record[]` : ''} = [];
+      for (const ${camel}Data of ${typed ? 'inputs' : `req.body.${pluralCamel}`}) {
+        created.push(await ${repository}.create({
+          ...${camel}Data,
+          createdBy: ${createdBy}
+        }${typed ? ` as ${pascal}CreationAttributes` : ''}, ${writeOptions(userId)}));
+      }
+      return created;
+    });
+
+${logged('bulkCreate', `${pluralCamel}.length`, `${plural} created`)}
+
+    res.status(201).json({ ${pluralCamel} });`,
+      `Failed to create ${pluralCamel}`
+    ),
+    update: handler(
+      'bulkUpdate',
+      `Update many ${pluralCamel} in one transaction`,
+      `  try {
+    const changes${
+      typed
+        ? `: Array<Update${pascal}Input & { id: string${
+            lifecycle.optimisticLocking ? '; version?: number' : ''
+          } }>`
+        : ''
+    } = req.body.${pluralCamel};
+
+    const ${pluralCamel} = await ${repository}.transaction(async (transaction) => {
+      const found = await findByIds(changes.map(({ id }) => id), transaction);
+      const updated${typed ? `: Array<${pascal}Record | null>` : ''} = [];
+      for (const [index${
+        // TypeScript rejects the record as unused unless the version check reads it
+        !typed || lifecycle.optimisticLocking ? `, ${camel}` : ''
+      }] of found.entries()) {
+        const { id, ${lifecycle.optimisticLocking ? 'version, ' : ''}...updateData } = changes[index];
+${
+  lifecycle.optimisticLocking
+    ? `        if (version !== undefined && version !== ${camel}.version) {
+          throw new AppError(\`${entityName} \${id} has been modified; get it again before changing it\`, 412);
+        }
+`
+    : ''
+}        updated.push(await ${repository}.update(id, {
+          ...updateData,
+          updatedBy: ${createdBy}
+        }, ${writeOptions(userId)})${staleWriteCatch});
+      }
+      return updated;
+    });
+
+${logged('bulkUpdate', `${pluralCamel}.length`, `${plural} updated`)}
+
+    res.json({ ${pluralCamel} });`,
+      `Failed to update ${pluralCamel}`
+    ),
+    delete: handler(
+      'bulkDelete',
+      `Delete many ${pluralCamel} in one transaction`,
+      `  try {
+    const count = await ${repository}.transaction(async (transaction) => {
+      const found = await findByIds(req.body.ids, transaction);
+      for (const { id } of found) {
+        await ${repository}.remove(id, ${writeOptions(userId)})${staleWriteCatch};
+      }
+      return found.length;
+    });
+
+${logged('bulkDelete', 'count', `${plural} deleted`)}
+
+    res.status(204).send();`,
+      `Failed to delete ${pluralCamel}`
+    ),
+  };
+
+  const batch = handler(
+    'batch',
+    `Run a batch of ${entityName} operations in one transaction, in order,
+ * responding 207 with the result of each. When one fails, none is applied.`,
+    `  try {
+    const ${typed ? 'operations: BatchOperation[] = req.body.operations' : '{ operations } = req.body'};
+    const results${typed ? ': BatchResult[]' : ''} = [];
+    let failed = -1;
+    // Thrown to roll the transaction back once an operation has failed
+    const rollback = new Error('Batch rolled back');
+
+    try {
+      await ${repository}.transaction(async (transaction) => {
+        for (const [index, operation] of operations.entries()) {
+          try {
+            results.push(await batchOperations[operation.method](operation, req.user, transaction));
+          } catch (error) {
+            results.push(failedResult(error));
+            failed = index;
+            throw rollback;
+          }
+        }
+      });
+    } catch (error) {
+      if (error !== rollback) {
+        throw error;
+      }
+      // The operations before the failed one are undone, the ones after it not run
+      operations.forEach((${typed ? '_operation' : 'operation'}, index) => {
+        if (index !== failed) {
+          results[index] = {
+            status: 424,
+            body: { success: false, error: { message: \`Not applied because operations[\${failed}] failed\` } }
+          };
+        }
+      });
+    }
+
+    logger.info({
+      component: '${kebab}-controller',
+      action: 'batch',
+      userId: ${userId},
+      count: operations.length,
+      failed
+    }, failed === -1 ? '${entityName} batch applied' : '${entityName} batch rolled back');
+
+    res.status(207).json({ results });`,
+    `Failed to run ${entityName} batch`
+  );
+
+  return [...parsed.bulk.map(name => bulk[name]), ...(parsed.batch.length > 0 ? [batch] : [])].join(
+    ''
+  );
+}
+
+/**
+ * Render the bulk and batch routes, registered before the `/:id` routes so
+ * that `/bulk` is not read as an ID
+ */
+function renderRoutes(parsed, names, lifecycle) {
+  const { entityName, entityCamelCase: camel, entityPascalCase: pascal } = names;
+  const plural = names.entityPlural;
+  const pluralCamel = names.entityPluralCamelCase;
+  const { limit } = parsed;
+  const route = (method, path, summary, description, body, responses, handler, schema) => `
+/**
+ * @route ${method.toUpperCase()} /api/${plural}/${path}
+ * @summary ${summary}
+ * @description ${description}
+ * @tag ${pascal}
+ * @body ${body}
+ * @response ${responses[0]}
+ * @response 400 - Validation error
+${responses
+  .slice(1)
+  .map(response => ` * @response ${response}\n`)
+  .join('')} * @response 401 - Unauthorized
+ * @security bearerAuth
+ */
+router.${method}('/${path}',
+  authenticate,
+  validate(${schema}),
+  ${camel}Controller.${handler}
+);
+`;
+
+  const bulk = {
+    create: route(
+      'post',
+      'bulk',
+      `Create ${plural} in bulk`,
+      `Creates up to ${limit} ${plural} in one transaction; when any of them is invalid, none is created`,
+      `{${pascal}Create[]} ${pluralCamel} - ${entityName} data`,
+      [`201 - ${plural} created`],
+      'bulkCreate',
+      `bulkCreate${pascal}Schema`
+    ),
+    update: route(
+      'patch',
+      'bulk',
+      `Update ${plural} in bulk`,
+      `Updates up to ${limit} ${plural} in one transaction, each with its id and changes; when any of them fails, none is updated`,
+      `{${pascal}Update[]} ${pluralCamel} - Updated ${entityName} data, each with its id${
+        lifecycle.optimisticLocking ? ' and optionally the version it was read at' : ''
+      }`,
+      [
+        `200 - ${plural} updated`,
+        `404 - ${entityName} not found`,
+        ...(lifecycle.optimisticLocking
+          ? [`412 - ${entityName} has been modified since it was read`]
+          : []),
+      ],
+      'bulkUpdate',
+      `bulkUpdate${pascal}Schema`
+    ),
+    delete: route(
+      'delete',
+      'bulk',
+      `Delete ${plural} in bulk`,
+      `Deletes up to ${limit} ${plural} in one transaction; when any of them is not found, none is deleted`,
+      `{string[]} ids - ${entityName} IDs`,
+      [`204 - ${plural} deleted`, `404 - ${entityName} not found`],
+      'bulkDelete',
+      `bulkDelete${pascal}Schema`
+    ),
+  };
+
+  const methods = parsed.batch.map(name => batchMethods[name]);
+  const batch = `
+/**
+ * @schema ${pascal}BatchOperation
+ * One ${entityName} request in a batch
+ * @property {string} method - ${
+   methods.length > 1 ? `${methods.slice(0, -1).join(', ')} or ${methods.at(-1)}` : methods[0]
+ }
+ * @property {string} path - ${[
+   ...(parsed.batch.includes('create') ? ['/ to create'] : []),
+   ...(parsed.batch.some(name => name !== 'create') ? ['/:id for the others'] : []),
+ ].join(', ')}
+ * @property {object} [body] - Request body, as for the route
+${
+  lifecycle.optimisticLocking
+    ? ' * @property {object} [headers] - If-Match, to check the version as the route would\n'
+    : ''
+} */
+
+/**
+ * @schema ${pascal}BatchResult
+ * What the route would have responded to a request in a batch
+ * @property {integer} status - HTTP status, 424 for requests not applied because another failed
+ * @property {object} [headers] - Response headers
+ * @property {object} [body] - Response body
+ */
+${route(
+  'post',
+  'batch',
+  `Run ${entityName} requests in a batch`,
+  `Runs up to ${limit} ${entityName} requests in one transaction, in order, with the status and body of each in results; when one fails, none is applied and the others report 424`,
+  `{${pascal}BatchOperation[]} operations - Requests to run`,
+  [`207 {${pascal}BatchResult[]} - Result of each request, in order`],
+  'batch',
+  `batch${pascal}Schema`
+)}`;
+
+  return [...parsed.bulk.map(name => bulk[name]), ...(methods.length > 0 ? [batch] : [])].join('');
+}
+
+/**
+ * Render the validation schemas of the bulk and batch requests
+ */
+function renderRules(parsed, names, lifecycle, lang) {
+  const { entityName, entityPascalCase: pascal } = names;
+  const pluralCamel = names.entityPluralCamelCase;
+  const { limit } = parsed;
+  // TypeScript schemas are exported where they are declared
+  const declare = lang === 'ts' ? 'export const' : 'const';
+  const headers = lifecycle.optimisticLocking
+    ? "    headers: Joi.object({ 'If-Match': Joi.string() }).optional()\n"
+    : '';
+  const version = lifecycle.optimisticLocking
+    ? `
+      id: commonRules.id,
+      version: Joi.number().integer().min(0).optional()
+    `
+    : ' id: commonRules.id ';
+
+  const bulk = {
+    create: `
+/**
+ * Schema for creating ${pluralCamel} in bulk
+ */
+${declare} bulkCreate${pascal}Schema = Joi.object({
+  ${pluralCamel}: Joi.array().items(create${pascal}Schema).min(1).max(${limit}).required()
+});
+`,
+    update: `
+/**
+ * Schema for updating ${pluralCamel} in bulk, each with its ID
+ */
+${declare} bulkUpdate${pascal}Schema = Joi.object({
+  ${pluralCamel}: Joi.array()
+    // The ID and at least one change
+    .items(update${pascal}Schema.keys({${version}}).min(2))
+    .unique('id')
+    .min(1)
+    .max(${limit})
+    .required()
+});
+`,
+    delete: `
+/**
+ * Schema for deleting ${pluralCamel} in bulk
+ */
+${declare} bulkDelete${pascal}Schema = Joi.object({
+  ids: Joi.array().items(commonRules.id).unique().min(1).max(${limit}).required()
+});
+`,
+  };
+
+  const { batch } = parsed;
+  const idPath = 'Joi.string().pattern(/^\\/[0-9a-f]{8}(-[0-9a-f]{4}){3}-[0-9a-f]{12}$/i)';
+  const changesExisting = batch.some(name => name !== 'create');
+  let path = idPath;
+  if (!changesExisting) {
+    path = "Joi.string().valid('/')";
+  } else if (batch.includes('create')) {
+    path = `Joi.when('method', {
+      is: 'POST',
+      then: Joi.string().valid('/'),
+      otherwise: ${idPath}
+    })`;
+  }
+  const bodies = [
+    ...(batch.includes('create') ? [`{ is: 'POST', then: create${pascal}Schema.required() }`] : []),
+    ...(batch.includes('update') ? [`{ is: 'PUT', then: update${pascal}Schema.required() }`] : []),
+  ];
+  const body =
+    bodies.length > 0
+      ? `    body: Joi.when('method', {
+      switch: [
+        ${bodies.join(',\n        ')}
+      ]${batch.includes('delete') ? ',\n      otherwise: Joi.forbidden()' : ''}
+    })${headers ? ',' : ''}\n`
+      : '';
+
+  const rules = [
+    ...parsed.bulk.map(name => bulk[name]),
+    ...(batch.length > 0
+      ? [
+          `
+/**
+ * Schema for a batch of ${entityName} requests, each validated as its route
+ * validates it
+ */
+${declare} batch${pascal}Schema = Joi.object({
+  operations: Joi.array().items(Joi.object({
+    method: Joi.string().valid(${batch.map(name => `'${batchMethods[name]}'`).join(', ')}).required(),
+    path: ${path}.required()${body || headers ? ',' : ''}
+${body}${headers}  })).min(1).max(${limit}).required()
+});
+`,
+        ]
+      : []),
+  ];
+  return rules.join('');
+}
+
+/**
+ * Render the test suites for the endpoints, with the records and payloads of
+ * the field tests
+ */
+function renderTests(parsed, names, tests, lifecycle, lang) {
+  const { entityName, entityCamelCase: camel, entityPascalCase: pascal } = names;
+  const plural = names.entityPlural;
+  const pluralCamel = names.entityPluralCamelCase;
+  const typed = lang === 'ts';
+  const record = `test${pascal}`;
+  const repository = `${camel}Repository`;
+  const { limit } = parsed;
+  // Response bodies are untyped, so TypeScript needs the types of the callbacks
+  const created = typed ? `(${camel}: unknown, index: number)` : `(${camel}, index)`;
+  const status = typed ? '({ status }: { status: number })' : '({ status })';
+  const nonExistentId = "const nonExistentId = '550e8400-e29b-41d4-a716-446655440000';";
+  const suites = [];
+
+  if (parsed.bulk.includes('create')) {
+    suites.push(`
+  describe('POST /api/${plural}/bulk', () => {
+    // Created by the test user, once it exists
+    const new${pascal}s = () => [
+${tests.testBulkRecords.replace(/^ {2}/gm, '')}
+    ];
+
+    test('should create every ${entityName}', async () => {
+      const ${pluralCamel} = new${pascal}s();
+
+      const response = await request(app)
+        .post('/api/${plural}/bulk')
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .send({ ${pluralCamel} })
+        .expect(201);
+
+      expect(response.body.${pluralCamel}).toHaveLength(${pluralCamel}.length);
+      response.body.${pluralCamel}.forEach(${created} => {
+        expect(${camel}).toMatchObject(${pluralCamel}[index]);
+      });
+      expect(await ${repository}.count()).toBe(${pluralCamel}.length + 1);
+    });
+
+    test('should create none when one is invalid', async () => {
+      await request(app)
+        .post('/api/${plural}/bulk')
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .send({ ${pluralCamel}: [new${pascal}s()[0], ${tests.testInvalidCreate}] })
+        .expect(400);
+
+      expect(await ${repository}.count()).toBe(1);
+    });
+
+    test('should limit the ${pluralCamel} in one request', async () => {
+      const [${camel}] = new${pascal}s();
+
+      await request(app)
+        .post('/api/${plural}/bulk')
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .send({ ${pluralCamel}: Array.from({ length: ${limit + 1} }, () => ${camel}) })
+        .expect(400);
+
+      await request(app)
+        .post('/api/${plural}/bulk')
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .send({ ${pluralCamel}: [] })
+        .expect(400);
+    });
+  });
+`);
+  }
+
+  if (parsed.bulk.includes('update')) {
+    suites.push(`
+  describe('PATCH /api/${plural}/bulk', () => {
+    test('should update every ${entityName}', async () => {
+      const updateData = {
+${tests.testUpdateData}
+      };
+
+      const response = await request(app)
+        .patch('/api/${plural}/bulk')
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .send({ ${pluralCamel}: [{ id: ${record}.id, ...updateData }] })
+        .expect(200);
+
+      expect(response.body.${pluralCamel}[0]).toMatchObject({ id: ${record}.id, ...updateData });
+    });
+
+    test('should update none when one is not found', async () => {
+      ${nonExistentId}
+      const before = await ${repository}.findById(${record}.id);
+
+      await request(app)
+        .patch('/api/${plural}/bulk')
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .send({ ${pluralCamel}: [{ id: ${record}.id, ...${tests.testUpdateBody} }, { id: nonExistentId, ...${tests.testUpdateBody} }] })
+        .expect(404);
+
+      expect(await ${repository}.findById(${record}.id)).toEqual(before);
+    });
+${
+  lifecycle.optimisticLocking
+    ? `
+    test('should reject a change to another version', async () => {
+      await request(app)
+        .patch('/api/${plural}/bulk')
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .send({ ${pluralCamel}: [{ id: ${record}.id, version: ${typed ? `Number(${record}.version)` : `${record}.version`} + 1, ...${tests.testUpdateBody} }] })
+        .expect(412);
+    });
+`
+    : ''
+}  });
+`);
+  }
+
+  if (parsed.bulk.includes('delete')) {
+    suites.push(`
+  describe('DELETE /api/${plural}/bulk', () => {
+    test('should delete every ${entityName}', async () => {
+      await request(app)
+        .delete('/api/${plural}/bulk')
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .send({ ids: [${record}.id] })
+        .expect(204);
+
+      expect(await ${repository}.findById(${record}.id)).toBeNull();
+    });
+
+    test('should delete none when one is not found', async () => {
+      ${nonExistentId}
+
+      await request(app)
+        .delete('/api/${plural}/bulk')
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .send({ ids: [${record}.id, nonExistentId] })
+        .expect(404);
+
+      expect(await ${repository}.findById(${record}.id)).toBeTruthy();
+    });
+  });
+`);
+  }
+
+  if (parsed.batch.length > 0) {
+    const operations = {
+      create: `{ method: 'POST', path: '/', body: ${camel}Data }`,
+      update: `{ method: 'PUT', path: \`/\${${record}.id}\`, body: ${tests.testUpdateBody} }`,
+      delete: `{ method: 'DELETE', path: \`/\${${record}.id}\` }`,
+    };
+    const statuses = { create: 201, update: 200, delete: 204 };
+    // The last operation reaches a record that is not there
+    const missing = {
+      create: operations.create,
+      update: `{ method: 'PUT', path: \`/\${nonExistentId}\`, body: ${tests.testUpdateBody} }`,
+      delete: "{ method: 'DELETE', path: `/${nonExistentId}` }",
+    };
+    const failing = [...parsed.batch.slice(0, -1), 'missing'];
+    const failure = parsed.batch.at(-1) === 'create' ? null : parsed.batch.at(-1);
+    const createData = parsed.batch.includes('create')
+      ? `      const ${camel}Data = {
+${tests.testCreateData}
+      };
+
+`
+      : '';
+
+    suites.push(`
+  describe('POST /api/${plural}/batch', () => {
+    test('should run every request in order', async () => {
+${createData}      const response = await request(app)
+        .post('/api/${plural}/batch')
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .send({
+          operations: [
+            ${parsed.batch.map(name => operations[name]).join(',\n            ')}
+          ]
+        })
+        .expect(207);
+
+      expect(response.body.results.map(${status} => status)).toEqual([${parsed.batch
+        .map(name => statuses[name])
+        .join(', ')}]);
+    });
+${
+  failure
+    ? `
+    test('should apply none when one fails', async () => {
+${createData}      ${nonExistentId}
+
+      const response = await request(app)
+        .post('/api/${plural}/batch')
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .send({
+          operations: [
+            ${failing.map(name => (name === 'missing' ? missing[failure] : operations[name])).join(',\n            ')}
+          ]
+        })
+        .expect(207);
+
+      expect(response.body.results.map(${status} => status)).toEqual([${failing
+        .map(name => (name === 'missing' ? 404 : 424))
+        .join(', ')}]);
+      expect(await ${repository}.count()).toBe(1);
+      expect(await ${repository}.findById(${record}.id)).toBeTruthy();
+    });
+`
+    : ''
+}
+    test('should reject batches it cannot run', async () => {
+      await request(app)
+        .post('/api/${plural}/batch')
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .send({ operations: [{ method: 'PATCH', path: '/' }] })
+        .expect(400);
+
+      await request(app)
+        .post('/api/${plural}/batch')
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .send({ operations: [] })
+        .expect(400);
+    });
+  });
+`);
+  }
+
+  return suites.join('');
+}
+
+/**
+ * Build every bulk and batch template variable; all are empty when neither
+ * option is on
+ * @param {Object} names - Entity names from `entityNames`
+ * @param {Object} fieldVariables - Variables from `fieldTemplateVariables`,
+ *   for the records and payloads of the tests
+ * @param {Object} [options] - Generator options (see `parseBulkOptions`), with
+ *   the lifecycle options the handlers follow (see code-gen-lifecycle.js)
+ * @param {string} [options.lang] - `js` (default) or `ts`
+ * @returns {Object} Template variables
+ */
+function bulkTemplateVariables(names, fieldVariables, options = {}) {
+  const parsed = parseBulkOptions(options);
+  const lifecycle = parseLifecycleOptions(options);
+  const { lang } = options;
+  const { entityPascalCase: pascal } = names;
+  const changesExisting = [...parsed.bulk, ...parsed.batch].some(name => name !== 'create');
+  // Repository types the TypeScript helpers and handlers declare
+  const types = [
+    ...(parsed.bulk.length > 0 || changesExisting ? [`${pascal}Record`] : []),
+    ...(parsed.batch.length > 0 || changesExisting ? ['Transaction'] : []),
+  ];
+  const handlers = [
+    ...parsed.bulk.map(name => `bulk${name[0].toUpperCase()}${name.slice(1)}`),
+    ...(parsed.batch.length > 0 ? ['batch'] : []),
+  ];
+  const schemas = [
+    ...parsed.bulk.map(name => `bulk${name[0].toUpperCase()}${name.slice(1)}${pascal}Schema`),
+    ...(parsed.batch.length > 0 ? [`batch${pascal}Schema`] : []),
+  ];
+
+  return {
+    bulkTypeImports: types.map(name => `, ${name}`).join(''),
+    bulkHelpers: renderHelpers(parsed, names, lifecycle, lang),
+    bulkHandlers: renderHandlers(parsed, names, lifecycle, lang),
+    bulkExports: handlers.map(name => `,\n  ${name}`).join(''),
+    bulkRoutes: renderRoutes(parsed, names, lifecycle),
+    bulkSchemaImports: schemas.map(name => `, ${name}`).join(''),
+    bulkRules: renderRules(parsed, names, lifecycle, lang),
+    bulkSchemaExports: schemas.map(name => `  ${name},\n`).join(''),
+    testBulkSuites: renderTests(parsed, names, fieldVariables, lifecycle, lang),
+  };
+}
+
+module.exports = {
+  bulkOptions,
+  parseBulkOptions,
+  bulkTemplateVariables,
+};
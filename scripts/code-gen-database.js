@@ -0,0 +1,1349 @@
+/**
+ * Code Generator Database Import
+ *
+ * Reverse-engineers an existing MySQL schema for `from-db`: reads tables,
+ * columns, indexes and foreign keys from INFORMATION_SCHEMA (with the
+ * helpers in scan-trailing-spaces.js) and describes each table for the
+ * `database` model, controller, route and validation templates. Models keep
+ * the table and column names (attributes are camelCase with a `field`
+ * mapping) and foreign keys between generated tables become belongsTo,
+ * hasMany or hasOne, and through join tables belongsToMany associations.
+ * The database is only read.
+ *
+ * @author REST-SPEC
+ */
+
+const { getAllTables } = require('./scan-trailing-spaces');
+const { literal } = require('./code-gen-fields');
+
+const databaseTemplates = {
+  model: `/**
+ * {{entityName}} Model
+ *
+ * Sequelize model for the existing {{dbTableName}} table
+ * @author {{author}}
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const {{entityPascalCase}} = sequelize.define('{{entityPascalCase}}', {
+{{dbModelAttributes}}
+}, {
+{{dbModelOptions}}
+});
+{{dbRemoveId}}
+// Class methods
+{{entityPascalCase}}.associate = (models) => {
+{{dbModelAssociations}}};
+
+module.exports = {{entityPascalCase}};
+`,
+
+  controller: `/**
+ * {{entityName}} Controller
+ *
+ * Controller for {{entityName}} CRUD operations on the {{dbTableName}} table
+ * @author {{author}}
+ */
+
+{{dbSequelizeImport}}const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+const {{entityPascalCase}} = require('../models/{{entityPascalCase}}');
+
+// Sorting by anything else would fail in the database
+const sortFields = [{{dbSortFields}}];
+
+/**
+ * Get all {{dbRoutePath}}
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getAll = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, sort = '{{dbDefaultSort}}', order = '{{dbDefaultOrder}}' } = req.query;
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const offset = (pageNum - 1) * limitNum;
+    const sortField = sortFields.includes(sort) ? sort : '{{dbDefaultSort}}';
+
+    const { rows: {{dbListKey}}, count } = await {{entityPascalCase}}.findAndCountAll({
+      limit: limitNum,
+      offset,
+      order: [[sortField, order.toLowerCase() === 'asc' ? 'ASC' : 'DESC']],
+      where: buildWhereClause(req.query)
+    });
+
+    const totalPages = Math.ceil(count / limitNum);
+
+    logger.info({
+      component: '{{entityKebabCase}}-controller',
+      action: 'getAll',
+      userId: req.user?.id,
+      count,
+      page: pageNum,
+      limit: limitNum
+    }, 'Retrieved {{dbRoutePath}}');
+
+    res.json({
+      {{dbListKey}},
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count,
+        pages: totalPages,
+        hasNext: pageNum < totalPages,
+        hasPrev: pageNum > 1
+      }
+    });
+  } catch (error) {
+    logger.error({
+      component: '{{entityKebabCase}}-controller',
+      action: 'getAll',
+      userId: req.user?.id,
+      err: error
+    }, 'Failed to retrieve {{dbRoutePath}}');
+
+    next(error);
+  }
+};
+
+/**
+ * Get {{entityName}} by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const {{entityCamelCase}} = await {{entityPascalCase}}.findByPk(id);
+
+    if (!{{entityCamelCase}}) {
+      throw new AppError('{{entityName}} not found', 404);
+    }
+
+    logger.info({
+      component: '{{entityKebabCase}}-controller',
+      action: 'getById',
+      userId: req.user?.id,
+      {{entityCamelCase}}Id: id
+    }, '{{entityName}} retrieved');
+
+    res.json({ {{entityCamelCase}} });
+  } catch (error) {
+    logger.error({
+      component: '{{entityKebabCase}}-controller',
+      action: 'getById',
+      userId: req.user?.id,
+      {{entityCamelCase}}Id: req.params.id,
+      err: error
+    }, 'Failed to retrieve {{entityName}}');
+
+    next(error);
+  }
+};
+
+/**
+ * Create new {{entityName}}
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const create = async (req, res, next) => {
+  try {
+    const {{entityCamelCase}} = await {{entityPascalCase}}.create(req.body);
+
+    logger.info({
+      component: '{{entityKebabCase}}-controller',
+      action: 'create',
+      userId: req.user?.id,
+      {{entityCamelCase}}Id: {{entityCamelCase}}.{{dbPrimaryKey}}
+    }, '{{entityName}} created');
+
+    res.status(201).json({ {{entityCamelCase}} });
+  } catch (error) {
+    logger.error({
+      component: '{{entityKebabCase}}-controller',
+      action: 'create',
+      userId: req.user?.id,
+      err: error
+    }, 'Failed to create {{entityName}}');
+
+    next(error);
+  }
+};
+
+/**
+ * Update {{entityName}}
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const update = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const {{entityCamelCase}} = await {{entityPascalCase}}.findByPk(id);
+
+    if (!{{entityCamelCase}}) {
+      throw new AppError('{{entityName}} not found', 404);
+    }
+
+    await {{entityCamelCase}}.update(req.body);
+
+    logger.info({
+      component: '{{entityKebabCase}}-controller',
+      action: 'update',
+      userId: req.user?.id,
+      {{entityCamelCase}}Id: id
+    }, '{{entityName}} updated');
+
+    res.json({ {{entityCamelCase}} });
+  } catch (error) {
+    logger.error({
+      component: '{{entityKebabCase}}-controller',
+      action: 'update',
+      userId: req.user?.id,
+      {{entityCamelCase}}Id: req.params.id,
+      err: error
+    }, 'Failed to update {{entityName}}');
+
+    next(error);
+  }
+};
+
+/**
+ * Delete {{entityName}}
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const deleteFn = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const {{entityCamelCase}} = await {{entityPascalCase}}.findByPk(id);
+
+    if (!{{entityCamelCase}}) {
+      throw new AppError('{{entityName}} not found', 404);
+    }
+
+    await {{entityCamelCase}}.destroy();
+
+    logger.info({
+      component: '{{entityKebabCase}}-controller',
+      action: 'delete',
+      userId: req.user?.id,
+      {{entityCamelCase}}Id: id
+    }, '{{entityName}} deleted');
+
+    res.status(204).send();
+  } catch (error) {
+    logger.error({
+      component: '{{entityKebabCase}}-controller',
+      action: 'delete',
+      userId: req.user?.id,
+      {{entityCamelCase}}Id: req.params.id,
+      err: error
+    }, 'Failed to delete {{entityName}}');
+
+    next(error);
+  }
+};
+
+/**
+ * Build where clause for filtering
+ * @param {Object} query - Query parameters
+ * @returns {Object} Sequelize where clause
+ */
+const buildWhereClause = (query) => {
+  const where = {};
+{{dbWhereFilters}}
+  return where;
+};
+
+module.exports = {
+  getAll,
+  getById,
+  create,
+  update,
+  delete: deleteFn
+};
+`,
+
+  route: `/**
+ * {{entityName}} Routes
+ *
+ * CRUD operations for the {{dbTableName}} table
+ * Mount in src/routes/index.js: router.use('/{{dbRoutePath}}', require('./{{entityKebabCase}}'));
+ * @author {{author}}
+ */
+
+const express = require('express');
+const router = express.Router();
+const {{entityCamelCase}}Controller = require('../controllers/{{entityKebabCase}}Controller');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { create{{entityPascalCase}}Schema, update{{entityPascalCase}}Schema } = require('../schemas/{{entityKebabCase}}');
+
+/**
+ * @schema {{entityPascalCase}}List
+ * Paginated list of {{dbRoutePath}}
+ * @property {{{entityPascalCase}}[]} {{dbListKey}} - {{entityName}} records
+ * @property {object} pagination - Page, limit, total, pages, hasNext and hasPrev
+ */
+
+/**
+ * @route GET /api/{{dbRoutePath}}
+ * @summary Get all {{dbRoutePath}}
+ * @description Retrieves a paginated list of {{dbRoutePath}}
+ * @tag {{entityPascalCase}}
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=10] - Items per page
+ * @param {string} [sort={{dbDefaultSort}}] - Sort field
+ * @param {string} [order={{dbDefaultOrder}}] - Sort order
+{{dbFilterParams}} * @response 200 {{{entityPascalCase}}List} - List of {{dbRoutePath}}
+ * @response 401 - Unauthorized
+ * @security bearerAuth
+ */
+router.get('/',
+  authenticate,
+  {{entityCamelCase}}Controller.getAll
+);
+
+/**
+ * @route GET /api/{{dbRoutePath}}/:id
+ * @summary Get {{entityName}} by ID
+ * @description Retrieves a specific {{entityName}} by ID
+ * @tag {{entityPascalCase}}
+ * @param {{{dbPrimaryKeyType}}} id - {{entityName}} {{dbPrimaryKey}}
+ * @response 200 {{{entityPascalCase}}} - {{entityName}} found
+ * @response 404 - {{entityName}} not found
+ * @response 401 - Unauthorized
+ * @security bearerAuth
+ */
+router.get('/:id',
+  authenticate,
+  {{entityCamelCase}}Controller.getById
+);
+
+/**
+ * @route POST /api/{{dbRoutePath}}
+ * @summary Create new {{entityName}}
+ * @description Creates a new {{entityName}}
+ * @tag {{entityPascalCase}}
+ * @body {{{entityPascalCase}}} - {{entityName}} data
+ * @response 201 {{{entityPascalCase}}} - {{entityName}} created
+ * @response 400 - Validation error
+ * @response 401 - Unauthorized
+ * @security bearerAuth
+ */
+router.post('/',
+  authenticate,
+  validate(create{{entityPascalCase}}Schema),
+  {{entityCamelCase}}Controller.create
+);
+
+/**
+ * @route PUT /api/{{dbRoutePath}}/:id
+ * @summary Update {{entityName}}
+ * @description Updates an existing {{entityName}}
+ * @tag {{entityPascalCase}}
+ * @param {{{dbPrimaryKeyType}}} id - {{entityName}} {{dbPrimaryKey}}
+ * @body {{{entityPascalCase}}} - Updated {{entityName}} data
+ * @response 200 {{{entityPascalCase}}} - {{entityName}} updated
+ * @response 400 - Validation error
+ * @response 404 - {{entityName}} not found
+ * @response 401 - Unauthorized
+ * @security bearerAuth
+ */
+router.put('/:id',
+  authenticate,
+  validate(update{{entityPascalCase}}Schema),
+  {{entityCamelCase}}Controller.update
+);
+
+/**
+ * @route DELETE /api/{{dbRoutePath}}/:id
+ * @summary Delete {{entityName}}
+ * @description Deletes a {{entityName}}
+ * @tag {{entityPascalCase}}
+ * @param {{{dbPrimaryKeyType}}} id - {{entityName}} {{dbPrimaryKey}}
+ * @response 204 - {{entityName}} deleted
+ * @response 404 - {{entityName}} not found
+ * @response 401 - Unauthorized
+ * @security bearerAuth
+ */
+router.delete('/:id',
+  authenticate,
+  {{entityCamelCase}}Controller.delete
+);
+
+module.exports = router;
+`,
+
+  middleware: `/**
+ * {{entityName}} Validation Schemas
+ *
+ * Request bodies for the {{dbTableName}} table
+ * @author {{author}}
+ */
+
+const Joi = require('joi');
+
+/**
+ * Schema for creating {{entityName}}
+ */
+const create{{entityPascalCase}}Schema = Joi.object({
+{{dbCreateRules}}
+});
+
+/**
+ * Schema for updating {{entityName}}
+ */
+const update{{entityPascalCase}}Schema = Joi.object({
+{{dbUpdateRules}}
+}).min(1); // At least one field must be provided
+
+module.exports = {
+  create{{entityPascalCase}}Schema,
+  update{{entityPascalCase}}Schema
+};
+`,
+};
+
+/**
+ * Get every column in the database, in table and column order
+ * @param {Object} connection - MySQL connection
+ * @param {string} database - Schema to read
+ * @returns {Promise<Array>} INFORMATION_SCHEMA.COLUMNS rows
+ */
+async function getColumns(connection, database) {
+  const query = `
+    SELECT TABLE_NAME, COLUMN_NAME, DATA_TYPE, COLUMN_TYPE, IS_NULLABLE, COLUMN_DEFAULT,
+      COLUMN_KEY, EXTRA, COLUMN_COMMENT, CHARACTER_MAXIMUM_LENGTH, NUMERIC_PRECISION,
+      NUMERIC_SCALE
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = ?
+    ORDER BY TABLE_NAME, ORDINAL_POSITION
+  `;
+
+  const [columns] = await connection.query(query, [database]);
+  return columns;
+}
+
+/**
+ * Get every index in the database, one row per indexed column
+ * @param {Object} connection - MySQL connection
+ * @param {string} database - Schema to read
+ * @returns {Promise<Array>} INFORMATION_SCHEMA.STATISTICS rows
+ */
+async function getIndexes(connection, database) {
+  const query = `
+    SELECT TABLE_NAME, INDEX_NAME, NON_UNIQUE, COLUMN_NAME
+    FROM INFORMATION_SCHEMA.STATISTICS
+    WHERE TABLE_SCHEMA = ?
+    ORDER BY TABLE_NAME, INDEX_NAME, SEQ_IN_INDEX
+  `;
+
+  const [indexes] = await connection.query(query, [database]);
+  return indexes;
+}
+
+/**
+ * Get every foreign key in the database, one row per column, with its rules
+ * @param {Object} connection - MySQL connection
+ * @param {string} database - Schema to read
+ * @returns {Promise<Array>} INFORMATION_SCHEMA.KEY_COLUMN_USAGE rows
+ */
+async function getForeignKeys(connection, database) {
+  const query = `
+    SELECT k.TABLE_NAME, k.CONSTRAINT_NAME, k.COLUMN_NAME, k.REFERENCED_TABLE_NAME,
+      k.REFERENCED_COLUMN_NAME, r.UPDATE_RULE, r.DELETE_RULE
+    FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE k
+    JOIN INFORMATION_SCHEMA.REFERENTIAL_CONSTRAINTS r
+      ON r.CONSTRAINT_SCHEMA = k.CONSTRAINT_SCHEMA
+      AND r.CONSTRAINT_NAME = k.CONSTRAINT_NAME
+      AND r.TABLE_NAME = k.TABLE_NAME
+    WHERE k.TABLE_SCHEMA = ?
+      AND k.REFERENCED_TABLE_SCHEMA = k.TABLE_SCHEMA
+    ORDER BY k.TABLE_NAME, k.CONSTRAINT_NAME, k.ORDINAL_POSITION
+  `;
+
+  const [foreignKeys] = await connection.query(query, [database]);
+  return foreignKeys;
+}
+
+/**
+ * Connect to MySQL with mysql2, which is only needed by `from-db`
+ * @param {Object} config - mysql2 connection options
+ * @returns {Promise<Object>} MySQL connection
+ */
+async function connectToDatabase(config) {
+  let mysql;
+  try {
+    mysql = require('mysql2/promise');
+  } catch {
+    throw new Error('from-db needs the mysql2 package: npm install mysql2');
+  }
+  return mysql.createConnection(config);
+}
+
+/**
+ * Read the tables, columns, indexes and foreign keys of a database
+ * @param {Object} connection - MySQL connection
+ * @param {string} database - Schema to read
+ * @returns {Promise<Object[]>} Tables, as described by `schemaFromRows`
+ */
+async function readDatabaseSchema(connection, database) {
+  return schemaFromRows({
+    tables: await getAllTables(connection, database),
+    columns: await getColumns(connection, database),
+    indexes: await getIndexes(connection, database),
+    foreignKeys: await getForeignKeys(connection, database),
+  });
+}
+
+/**
+ * A column default as a JavaScript value; MariaDB quotes string defaults and
+ * reports a missing default as the string NULL
+ */
+function columnDefault(row) {
+  const value = row.COLUMN_DEFAULT;
+  if (value === null || value === undefined || value === 'NULL') {
+    return null;
+  }
+  const quoted = /^'(.*)'$/s.exec(value);
+  return quoted ? quoted[1].replace(/''/g, "'") : String(value);
+}
+
+/**
+ * Group INFORMATION_SCHEMA rows into one description per table
+ * @param {Object} rows - Query results
+ * @param {string[]} rows.tables - Table names
+ * @param {Object[]} rows.columns - INFORMATION_SCHEMA.COLUMNS rows
+ * @param {Object[]} rows.indexes - INFORMATION_SCHEMA.STATISTICS rows
+ * @param {Object[]} rows.foreignKeys - KEY_COLUMN_USAGE rows with their rules
+ * @returns {Object[]} Tables with their columns, primary key, indexes and foreign keys
+ */
+function schemaFromRows({ tables, columns, indexes = [], foreignKeys = [] }) {
+  const byName = new Map(
+    tables.map(name => [name, { name, columns: [], primaryKey: [], indexes: [], foreignKeys: [] }])
+  );
+
+  columns
+    .filter(row => byName.has(row.TABLE_NAME))
+    .forEach(row => {
+      const table = byName.get(row.TABLE_NAME);
+      const columnType = String(row.COLUMN_TYPE).toLowerCase();
+      const extra = String(row.EXTRA || '').toLowerCase();
+      table.columns.push({
+        name: row.COLUMN_NAME,
+        dataType: String(row.DATA_TYPE).toLowerCase(),
+        columnType,
+        nullable: row.IS_NULLABLE === 'YES',
+        defaultValue: columnDefault(row),
+        // MySQL 8 marks expression defaults, which the database fills in
+        defaultExpression: extra.includes('default_generated'),
+        autoIncrement: extra.includes('auto_increment'),
+        generated: /\b(virtual|stored|persistent) generated\b/.test(extra),
+        unsigned: columnType.includes('unsigned'),
+        comment: row.COLUMN_COMMENT || '',
+        length: row.CHARACTER_MAXIMUM_LENGTH ?? null,
+        precision: row.NUMERIC_PRECISION ?? null,
+        scale: row.NUMERIC_SCALE ?? null,
+      });
+    });
+
+  indexes
+    .filter(row => byName.has(row.TABLE_NAME))
+    .forEach(row => {
+      const table = byName.get(row.TABLE_NAME);
+      if (row.INDEX_NAME === 'PRIMARY') {
+        table.primaryKey.push(row.COLUMN_NAME);
+        return;
+      }
+      let index = table.indexes.find(existing => existing.name === row.INDEX_NAME);
+      if (!index) {
+        index = { name: row.INDEX_NAME, unique: Number(row.NON_UNIQUE) === 0, columns: [] };
+        table.indexes.push(index);
+      }
+      index.columns.push(row.COLUMN_NAME);
+    });
+
+  foreignKeys
+    .filter(row => byName.has(row.TABLE_NAME))
+    .forEach(row => {
+      const table = byName.get(row.TABLE_NAME);
+      let foreignKey = table.foreignKeys.find(existing => existing.name === row.CONSTRAINT_NAME);
+      if (!foreignKey) {
+        foreignKey = {
+          name: row.CONSTRAINT_NAME,
+          columns: [],
+          table: row.REFERENCED_TABLE_NAME,
+          referencedColumns: [],
+          onDelete: row.DELETE_RULE,
+          onUpdate: row.UPDATE_RULE,
+        };
+        table.foreignKeys.push(foreignKey);
+      }
+      foreignKey.columns.push(row.COLUMN_NAME);
+      foreignKey.referencedColumns.push(row.REFERENCED_COLUMN_NAME);
+    });
+
+  // Without index rows, fall back to the column keys
+  byName.forEach(table => {
+    if (table.primaryKey.length === 0) {
+      table.primaryKey = columns
+        .filter(row => row.TABLE_NAME === table.name && row.COLUMN_KEY === 'PRI')
+        .map(row => row.COLUMN_NAME);
+    }
+  });
+
+  return [...byName.values()];
+}
+
+/**
+ * Split a table or column name into lowercase words
+ */
+function words(name) {
+  return String(name)
+    .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .split(/[^A-Za-z\d]+/)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+}
+
+const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1);
+
+/**
+ * camelCase identifier for a column or table name
+ */
+function camelName(name) {
+  const [first = 'column', ...rest] = words(name);
+  const identifier = first + rest.map(capitalize).join('');
+  return /^\d/.test(identifier) ? `_${identifier}` : identifier;
+}
+
+/**
+ * Singular of an English plural, for the last word of a table name
+ */
+function singularWord(word) {
+  if (/[^aeiou]ies$/.test(word)) {
+    return word.slice(0, -3) + 'y';
+  }
+  if (/(ss|x|ch|sh|zz|tus|bus|rus)es$/.test(word)) {
+    return word.slice(0, -2);
+  }
+  if (/[^su]s$/.test(word)) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+/**
+ * Plural of an English singular, for the last word of a table name
+ */
+function pluralWord(word) {
+  if (/[^aeiou]y$/.test(word)) {
+    return word.slice(0, -1) + 'ies';
+  }
+  if (/(s|x|ch|sh|z)$/.test(word)) {
+    return word + 'es';
+  }
+  return word + 's';
+}
+
+const withLastWord = (parts, transform) => [...parts.slice(0, -1), transform(parts.at(-1))];
+
+/**
+ * Sequelize DataTypes expression for a MySQL column
+ */
+function sequelizeColumnType(column) {
+  const unsigned = column.unsigned ? '.UNSIGNED' : '';
+  const fraction = /\((\d+)\)/.exec(column.columnType);
+
+  switch (column.dataType) {
+    case 'tinyint':
+      return column.columnType.startsWith('tinyint(1)')
+        ? 'DataTypes.BOOLEAN'
+        : `DataTypes.TINYINT${unsigned}`;
+    case 'bit':
+      return column.columnType === 'bit(1)' ? 'DataTypes.BOOLEAN' : 'DataTypes.INTEGER';
+    case 'smallint':
+      return `DataTypes.SMALLINT${unsigned}`;
+    case 'mediumint':
+      return `DataTypes.MEDIUMINT${unsigned}`;
+    case 'int':
+    case 'integer':
+      return `DataTypes.INTEGER${unsigned}`;
+    case 'bigint':
+      return `DataTypes.BIGINT${unsigned}`;
+    case 'decimal':
+    case 'numeric':
+      return `DataTypes.DECIMAL(${column.precision}, ${column.scale})${unsigned}`;
+    case 'float':
+      return `DataTypes.FLOAT${unsigned}`;
+    case 'double':
+    case 'real':
+      return `DataTypes.DOUBLE${unsigned}`;
+    case 'char':
+      return `DataTypes.CHAR(${column.length})`;
+    case 'varchar':
+      return `DataTypes.STRING(${column.length})`;
+    case 'binary':
+      return `DataTypes.CHAR(${column.length}, true)`;
+    case 'varbinary':
+      return `DataTypes.STRING(${column.length}, true)`;
+    case 'tinytext':
+      return "DataTypes.TEXT('tiny')";
+    case 'mediumtext':
+      return "DataTypes.TEXT('medium')";
+    case 'longtext':
+      return "DataTypes.TEXT('long')";
+    case 'text':
+      return 'DataTypes.TEXT';
+    case 'tinyblob':
+      return "DataTypes.BLOB('tiny')";
+    case 'mediumblob':
+      return "DataTypes.BLOB('medium')";
+    case 'longblob':
+      return "DataTypes.BLOB('long')";
+    case 'date':
+      return 'DataTypes.DATEONLY';
+    case 'datetime':
+    case 'timestamp':
+      return fraction ? `DataTypes.DATE(${fraction[1]})` : 'DataTypes.DATE';
+    case 'time':
+      return 'DataTypes.TIME';
+    case 'year':
+      return 'DataTypes.INTEGER';
+    case 'json':
+      return 'DataTypes.JSON';
+    case 'enum':
+      return `DataTypes.ENUM(${enumValues(column).map(literal).join(', ')})`;
+    case 'geometry':
+      return 'DataTypes.GEOMETRY';
+    case 'point':
+    case 'linestring':
+    case 'polygon':
+    case 'multipoint':
+    case 'multilinestring':
+    case 'multipolygon':
+    case 'geometrycollection':
+      return `DataTypes.GEOMETRY('${column.dataType.toUpperCase()}')`;
+    case 'set':
+      return 'DataTypes.STRING';
+    default:
+      return 'DataTypes.BLOB';
+  }
+}
+
+/**
+ * Values of an ENUM or SET column, from its column type
+ */
+function enumValues(column) {
+  return [...column.columnType.matchAll(/'((?:[^']|'')*)'/g)].map(match =>
+    match[1].replace(/''/g, "'")
+  );
+}
+
+const integerTypes = ['tinyint', 'smallint', 'mediumint', 'int', 'integer', 'bigint', 'year'];
+const numberTypes = [...integerTypes, 'decimal', 'numeric', 'float', 'double', 'real'];
+const textTypes = ['char', 'varchar', 'tinytext', 'text', 'mediumtext', 'longtext'];
+
+const isBoolean = column =>
+  column.columnType.startsWith('tinyint(1)') || column.columnType === 'bit(1)';
+const isInteger = column => integerTypes.includes(column.dataType) && !isBoolean(column);
+
+// Ranges of the integer types that JavaScript numbers hold exactly
+const integerRanges = {
+  tinyint: [-128, 127, 255],
+  smallint: [-32768, 32767, 65535],
+  mediumint: [-8388608, 8388607, 16777215],
+  int: [-2147483648, 2147483647, 4294967295],
+  integer: [-2147483648, 2147483647, 4294967295],
+};
+
+/**
+ * Default value expression for a column, or undefined when the database
+ * fills it in
+ */
+function defaultExpression(column) {
+  const value = column.defaultValue;
+  if (value === null || column.autoIncrement || column.generated) {
+    return undefined;
+  }
+  if (/^(current_timestamp|now)\b/i.test(value)) {
+    return 'DataTypes.NOW';
+  }
+  if (column.defaultExpression) {
+    return undefined;
+  }
+  if (isBoolean(column)) {
+    return String(['1', "b'1'", 'true'].includes(value.toLowerCase()));
+  }
+  if (numberTypes.includes(column.dataType) && Number.isSafeInteger(Math.trunc(Number(value)))) {
+    return String(Number(value));
+  }
+  return literal(value);
+}
+
+/**
+ * Joi rule for a column, without presence modifiers
+ */
+function joiColumnRule(column) {
+  if (isBoolean(column)) {
+    return 'Joi.boolean()';
+  }
+  if (isInteger(column)) {
+    const range = integerRanges[column.dataType];
+    if (column.dataType === 'year') {
+      return 'Joi.number().integer().min(1901).max(2155)';
+    }
+    if (!range) {
+      return `Joi.number().integer()${column.unsigned ? '.min(0)' : ''}`;
+    }
+    const [min, max, unsignedMax] = range;
+    return column.unsigned
+      ? `Joi.number().integer().min(0).max(${unsignedMax})`
+      : `Joi.number().integer().min(${min}).max(${max})`;
+  }
+  if (['decimal', 'numeric'].includes(column.dataType)) {
+    return `Joi.number()${column.unsigned ? '.min(0)' : ''}.precision(${column.scale})`;
+  }
+  if (numberTypes.includes(column.dataType)) {
+    return `Joi.number()${column.unsigned ? '.min(0)' : ''}`;
+  }
+  if (['char', 'varchar'].includes(column.dataType)) {
+    return `Joi.string().max(${column.length})`;
+  }
+  if (textTypes.includes(column.dataType)) {
+    return 'Joi.string()';
+  }
+  if (['date', 'datetime', 'timestamp'].includes(column.dataType)) {
+    return 'Joi.date().iso()';
+  }
+  if (column.dataType === 'time') {
+    return 'Joi.string().pattern(/^-?\\d{1,3}:\\d{2}(:\\d{2}(\\.\\d+)?)?$/)';
+  }
+  if (column.dataType === 'enum') {
+    return `Joi.string().valid(${enumValues(column).map(literal).join(', ')})`;
+  }
+  if (column.dataType === 'set') {
+    return `Joi.string().pattern(${setPattern(column)})`;
+  }
+  if (/binary|blob/.test(column.dataType)) {
+    return 'Joi.binary()';
+  }
+  return 'Joi.any()';
+}
+
+/**
+ * Regular expression for comma-separated SET values
+ */
+function setPattern(column) {
+  const value = `(${enumValues(column)
+    .map(item => item.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'))
+    .join('|')})`;
+  return `/^(${value}(,${value})*)?$/`;
+}
+
+/**
+ * Describe the tables to generate models for: the selected tables, the
+ * tables their foreign keys reference, and join tables linking them to
+ * other tables (with the tables at the other end)
+ * @param {Object[]} schema - Tables from `readDatabaseSchema`
+ * @param {Object} [options] - Options
+ * @param {string|string[]} [options.tables] - Tables to generate CRUD for
+ *   (comma-separated; default: all)
+ * @returns {Object[]} Models, each with `crud` set when routes are generated
+ *   for it or `skipped` saying why a selected table gets none
+ */
+function databaseModels(schema, options = {}) {
+  const byName = new Map(schema.map(table => [table.name, table]));
+  const requested = options.tables
+    ? (Array.isArray(options.tables) ? options.tables : String(options.tables).split(','))
+        .map(name => name.trim())
+        .filter(Boolean)
+    : schema.map(table => table.name);
+  const missing = requested.filter(name => !byName.has(name));
+  if (missing.length > 0) {
+    throw new Error(`Unknown table(s): ${missing.join(', ')}`);
+  }
+
+  const included = new Set(requested);
+  requested.forEach(name => {
+    byName.get(name).foreignKeys.forEach(foreignKey => {
+      if (byName.has(foreignKey.table)) {
+        included.add(foreignKey.table);
+      }
+    });
+  });
+  // Join tables bring the other end along, for many-to-many associations
+  schema
+    .filter(table => isJoinTable(table) && !included.has(table.name))
+    .filter(
+      table =>
+        table.foreignKeys.some(foreignKey => requested.includes(foreignKey.table)) ||
+        table.foreignKeys.every(foreignKey => included.has(foreignKey.table))
+    )
+    .forEach(table => {
+      included.add(table.name);
+      table.foreignKeys.forEach(foreignKey => included.add(foreignKey.table));
+    });
+
+  const entities = new Set();
+  const models = schema
+    .filter(table => included.has(table.name))
+    .map(table => {
+      const parts = words(table.name);
+      const tableKebab = parts.join('-');
+      const singular = withLastWord(parts, singularWord).join('-');
+      const entityName = entities.has(singular) ? tableKebab : singular;
+      if (entities.has(entityName)) {
+        throw new Error(`Tables ${table.name} and another table both map to ${entityName}`);
+      }
+      entities.add(entityName);
+
+      const attributes = table.columns.map(column => ({
+        ...column,
+        attribute: camelName(column.name),
+        primaryKey: table.primaryKey.includes(column.name),
+      }));
+      const model = {
+        table,
+        entityName,
+        modelName: entityName.split('-').map(capitalize).join(''),
+        routePath: singular === tableKebab ? withLastWord(parts, pluralWord).join('-') : tableKebab,
+        attributes,
+        primaryKey: attributes.filter(attribute => attribute.primaryKey),
+        join: isJoinTable(table),
+        associations: [],
+      };
+
+      if (requested.includes(table.name)) {
+        if (model.primaryKey.length === 0) {
+          model.skipped = 'it has no primary key';
+        } else if (model.primaryKey.length > 1) {
+          model.skipped = 'it has a composite primary key';
+        } else {
+          model.crud = true;
+        }
+      }
+      return model;
+    });
+
+  describeAssociations(models);
+  return models;
+}
+
+/**
+ * Whether a table only links two others: two single-column foreign keys and
+ * no other columns besides an auto-increment key and timestamps
+ */
+function isJoinTable(table) {
+  if (
+    table.foreignKeys.length !== 2 ||
+    table.foreignKeys.some(foreignKey => foreignKey.columns.length !== 1)
+  ) {
+    return false;
+  }
+  const keys = table.foreignKeys.map(foreignKey => foreignKey.columns[0]);
+  return table.columns.every(
+    column =>
+      keys.includes(column.name) ||
+      column.autoIncrement ||
+      ['createdAt', 'updatedAt', 'deletedAt'].includes(camelName(column.name))
+  );
+}
+
+/**
+ * Add the associations of every model, for foreign keys between models
+ */
+function describeAssociations(models) {
+  const byTable = new Map(models.map(model => [model.table.name, model]));
+  const attributeOf = (model, column) =>
+    model.attributes.find(attribute => attribute.name === column).attribute;
+
+  // belongsTo aliases name the row a foreign key points at
+  const belongsToAlias = (attribute, target) => {
+    const stripped = attribute.replace(/I[dD]$/, '');
+    return stripped && stripped !== attribute ? stripped : camelName(target.entityName);
+  };
+
+  models.forEach(model => {
+    const links = model.table.foreignKeys.filter(
+      foreignKey => foreignKey.columns.length === 1 && byTable.has(foreignKey.table)
+    );
+
+    links.forEach(foreignKey => {
+      const target = byTable.get(foreignKey.table);
+      const foreignKeyAttribute = attributeOf(model, foreignKey.columns[0]);
+      const targetKey = attributeOf(target, foreignKey.referencedColumns[0]);
+      const alias = belongsToAlias(foreignKeyAttribute, target);
+      const targetIsKey =
+        target.primaryKey.length === 1 && target.primaryKey[0].attribute === targetKey;
+
+      model.associations.push({
+        type: 'belongsTo',
+        target,
+        alias,
+        options: {
+          foreignKey: foreignKeyAttribute,
+          ...(targetIsKey ? {} : { targetKey }),
+          onDelete: foreignKey.onDelete,
+          onUpdate: foreignKey.onUpdate,
+        },
+      });
+
+      if (model.join) {
+        return;
+      }
+
+      // One row per parent when the foreign key is unique on its own
+      const unique =
+        model.table.indexes.some(
+          index => index.unique && index.columns.join() === foreignKey.columns[0]
+        ) || model.table.primaryKey.join() === foreignKey.columns[0];
+      const sameTarget = links.filter(other => other.table === foreignKey.table).length > 1;
+      const name = camelName(unique ? model.entityName : model.routePath);
+      target.associations.push({
+        type: unique ? 'hasOne' : 'hasMany',
+        target: model,
+        alias: sameTarget || target === model ? alias + capitalize(name) : name,
+        options: {
+          foreignKey: foreignKeyAttribute,
+          ...(targetIsKey ? {} : { sourceKey: targetKey }),
+        },
+      });
+    });
+
+    if (model.join) {
+      const [first, second] = links;
+      if (!second) {
+        return;
+      }
+      [
+        [first, second],
+        [second, first],
+      ].forEach(([own, other]) => {
+        const source = byTable.get(own.table);
+        const target = byTable.get(other.table);
+        const otherKey = attributeOf(model, other.columns[0]);
+        const alias =
+          source === target
+            ? camelName(withLastWord(words(belongsToAlias(otherKey, target)), pluralWord).join('-'))
+            : camelName(target.routePath);
+        source.associations.push({
+          type: 'belongsToMany',
+          target,
+          alias,
+          options: {
+            through: model,
+            foreignKey: attributeOf(model, own.columns[0]),
+            otherKey,
+          },
+        });
+      });
+    }
+  });
+
+  // Aliases must not clash with each other or with attributes
+  models.forEach(model => {
+    const taken = new Set(model.attributes.map(attribute => attribute.attribute));
+    model.associations.forEach(association => {
+      let alias = association.alias;
+      for (let suffix = 2; taken.has(alias); suffix++) {
+        alias = `${association.alias}${suffix}`;
+      }
+      association.alias = alias;
+      taken.add(alias);
+    });
+  });
+}
+
+/**
+ * Render the attributes of a model
+ */
+function renderDatabaseAttributes(model) {
+  const references = new Map();
+  model.table.foreignKeys
+    .filter(foreignKey => foreignKey.columns.length === 1)
+    .forEach(foreignKey =>
+      references.set(foreignKey.columns[0], {
+        table: foreignKey.table,
+        key: foreignKey.referencedColumns[0],
+      })
+    );
+
+  return model.attributes
+    .map(column => {
+      const lines = [`type: ${sequelizeColumnType(column)}`, `allowNull: ${column.nullable}`];
+      if (column.primaryKey) {
+        lines.push('primaryKey: true');
+      }
+      if (column.autoIncrement) {
+        lines.push('autoIncrement: true');
+      }
+      const defaultValue = defaultExpression(column);
+      if (defaultValue !== undefined) {
+        lines.push(`defaultValue: ${defaultValue}`);
+      }
+      if (column.attribute !== column.name) {
+        lines.push(`field: ${literal(column.name)}`);
+      }
+      if (references.has(column.name)) {
+        const { table, key } = references.get(column.name);
+        lines.push(
+          `references: {\n      model: ${literal(table)},\n      key: ${literal(key)}\n    }`
+        );
+      }
+      if (column.comment) {
+        lines.push(`comment: ${literal(column.comment)}`);
+      }
+
+      return `  ${column.attribute}: {\n    ${lines.join(',\n    ')}\n  },`;
+    })
+    .join('\n')
+    .replace(/,$/, '');
+}
+
+/**
+ * The createdAt, updatedAt and deletedAt attributes a table has, for the
+ * Sequelize timestamp options
+ */
+function timestampAttributes(model) {
+  const has = name =>
+    model.attributes.some(
+      attribute =>
+        attribute.attribute === name &&
+        ['datetime', 'timestamp', 'date'].includes(attribute.dataType)
+    );
+  return { createdAt: has('createdAt'), updatedAt: has('updatedAt'), deletedAt: has('deletedAt') };
+}
+
+/**
+ * Render the model options: table name, timestamps and indexes
+ */
+function renderDatabaseModelOptions(model) {
+  const timestamps = timestampAttributes(model);
+  const lines = [`  tableName: ${literal(model.table.name)},`];
+
+  if (timestamps.createdAt || timestamps.updatedAt || timestamps.deletedAt) {
+    lines.push('  timestamps: true,');
+    if (!timestamps.createdAt) {
+      lines.push('  createdAt: false,');
+    }
+    if (!timestamps.updatedAt) {
+      lines.push('  updatedAt: false,');
+    }
+    if (timestamps.deletedAt) {
+      lines.push('  paranoid: true, // Soft deletes');
+    }
+  } else {
+    lines.push('  timestamps: false,');
+  }
+
+  if (model.table.indexes.length > 0) {
+    const indexes = model.table.indexes.map(index => {
+      const properties = [`name: ${literal(index.name)}`];
+      if (index.unique) {
+        properties.push('unique: true');
+      }
+      properties.push(`fields: ${literal(index.columns)}`);
+      return `    {\n      ${properties.join(',\n      ')}\n    }`;
+    });
+    lines.push(`  indexes: [\n${indexes.join(',\n')}\n  ]`);
+  }
+
+  return lines.join('\n').replace(/,$/, '');
+}
+
+/**
+ * Render the body of a model's `associate` function
+ */
+function renderDatabaseAssociations(model) {
+  if (model.associations.length === 0) {
+    return '  // No foreign keys link this table to the other generated models\n';
+  }
+
+  return model.associations
+    .map(association => {
+      const options = Object.entries({ ...association.options, as: association.alias }).map(
+        ([key, value]) =>
+          key === 'through' ? `${key}: models.${value.modelName}` : `${key}: ${literal(value)}`
+      );
+      return `  ${model.modelName}.${association.type}(models.${association.target.modelName}, {\n    ${options.join(',\n    ')}\n  });\n`;
+    })
+    .join('');
+}
+
+/**
+ * Render the list filters: a search over text columns, and exact matches on
+ * foreign keys, enums and booleans
+ */
+function renderDatabaseFilters(model) {
+  const blocks = [];
+  const searchable = searchAttributes(model);
+
+  if (searchable.length > 0) {
+    const conditions = searchable.map(
+      column => `      { ${column.attribute}: { [Op.like]: \`%\${query.search}%\` } }`
+    );
+    blocks.push(`  if (query.search) {
+    where[Op.or] = [
+${conditions.join(',\n')}
+    ];
+  }`);
+  }
+
+  filterAttributes(model).forEach(column => {
+    const value = isBoolean(column)
+      ? `query.${column.attribute} === 'true'`
+      : isInteger(column)
+        ? `Number(query.${column.attribute})`
+        : `query.${column.attribute}`;
+    blocks.push(`  if (query.${column.attribute}) {
+    where.${column.attribute} = ${value};
+  }`);
+  });
+
+  return blocks.length > 0 ? `\n${blocks.join('\n\n')}\n` : '';
+}
+
+const foreignKeyColumns = model =>
+  model.table.foreignKeys
+    .filter(foreignKey => foreignKey.columns.length === 1)
+    .map(foreignKey => foreignKey.columns[0]);
+
+const searchAttributes = model =>
+  model.attributes.filter(
+    column =>
+      ['char', 'varchar'].includes(column.dataType) &&
+      !column.primaryKey &&
+      !foreignKeyColumns(model).includes(column.name)
+  );
+
+const filterAttributes = model =>
+  model.attributes.filter(
+    column =>
+      !column.primaryKey &&
+      (foreignKeyColumns(model).includes(column.name) ||
+        isBoolean(column) ||
+        column.dataType === 'enum')
+  );
+
+/**
+ * Render the query parameter docs for the list filters
+ */
+function renderDatabaseFilterParams(model) {
+  const params = [];
+  const searchable = searchAttributes(model);
+
+  if (searchable.length > 0) {
+    params.push(
+      ` * @param {string} [search] - Search ${searchable.map(column => column.attribute).join(', ')}`
+    );
+  }
+  filterAttributes(model).forEach(column => {
+    const type = isBoolean(column) ? 'boolean' : isInteger(column) ? 'integer' : 'string';
+    const values = column.dataType === 'enum' ? ` (${enumValues(column).join(', ')})` : '';
+    params.push(
+      ` * @param {${type}} [${column.attribute}] - Filter by ${column.attribute}${values}`
+    );
+  });
+
+  return params.map(param => `${param}\n`).join('');
+}
+
+/**
+ * Render the create and update Joi rules: every column clients may write,
+ * required on create when it is NOT NULL without a default
+ */
+function renderDatabaseRules(model) {
+  const timestamps = ['createdAt', 'updatedAt', 'deletedAt'];
+  const writable = model.attributes.filter(
+    column => !column.autoIncrement && !column.generated && !timestamps.includes(column.attribute)
+  );
+  const rule = (column, creating) => {
+    let rendered = joiColumnRule(column);
+    if (column.nullable) {
+      rendered += '.allow(null)';
+    }
+    if (creating && !column.nullable && column.defaultValue === null && !column.defaultExpression) {
+      rendered += '.required()';
+    }
+    return `  ${column.attribute}: ${rendered}`;
+  };
+
+  return {
+    dbCreateRules: writable.map(column => rule(column, true)).join(',\n'),
+    // Primary keys are changed by deleting and creating the row
+    dbUpdateRules: writable
+      .filter(column => !column.primaryKey)
+      .map(column => rule(column, false))
+      .join(',\n'),
+  };
+}
+
+/**
+ * Template variables for a model from `databaseModels`
+ * @param {Object} model - Model description
+ * @returns {Object} Variables for the `database` templates
+ */
+function databaseTemplateVariables(model) {
+  const [primaryKey] = model.primaryKey;
+  const timestamps = timestampAttributes(model);
+  const defaultSort = timestamps.createdAt ? 'createdAt' : primaryKey?.attribute || 'id';
+  const sortable = model.attributes.filter(
+    column =>
+      column.primaryKey ||
+      ['createdAt', 'updatedAt'].some(name => timestamps[name] && column.attribute === name) ||
+      model.table.indexes.some(index => index.columns[0] === column.name)
+  );
+  const filters = renderDatabaseFilters(model);
+
+  let primaryKeyType = 'string';
+  if (primaryKey && isInteger(primaryKey)) {
+    primaryKeyType = 'integer';
+  } else if (primaryKey && primaryKey.dataType === 'char' && primaryKey.length === 36) {
+    primaryKeyType = 'uuid';
+  }
+
+  return {
+    dbTableName: model.table.name,
+    dbRoutePath: model.routePath,
+    dbListKey: camelName(model.routePath),
+    dbModelAttributes: renderDatabaseAttributes(model),
+    dbModelOptions: renderDatabaseModelOptions(model),
+    // Sequelize adds an id column to models without a primary key
+    dbRemoveId: model.primaryKey.length === 0 ? `${model.modelName}.removeAttribute('id');\n` : '',
+    dbModelAssociations: renderDatabaseAssociations(model),
+    dbPrimaryKey: primaryKey?.attribute || 'id',
+    dbPrimaryKeyType: primaryKeyType,
+    dbDefaultSort: defaultSort,
+    dbDefaultOrder: timestamps.createdAt ? 'desc' : 'asc',
+    dbSortFields: [...new Set(sortable.map(column => column.attribute))]
+      .map(name => literal(name))
+      .join(', '),
+    dbSequelizeImport: filters.includes('Op.') ? "const { Op } = require('sequelize');\n" : '',
+    dbWhereFilters: filters,
+    dbFilterParams: renderDatabaseFilterParams(model),
+    ...renderDatabaseRules(model),
+  };
+}
+
+module.exports = {
+  databaseTemplates,
+  connectToDatabase,
+  readDatabaseSchema,
+  schemaFromRows,
+  databaseModels,
+  databaseTemplateVariables,
+};
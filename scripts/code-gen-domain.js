@@ -0,0 +1,476 @@
+/**
+ * Domain Model Files for the Code Generator
+ *
+ * Reads a JSON or YAML file that describes many entities at once, with their
+ * fields, relationships and the CRUD endpoints to expose, for `apply`.
+ * Relationships declared on one side are added to the other, and entities are
+ * ordered so that parents are generated before the entities that belong to
+ * them. Also leaves unexposed endpoints out of generated CRUD routes and tests.
+ *
+ * @author REST-SPEC
+ */
+
+const { parse } = require('@babel/parser');
+const { fieldsFromEntity, loadEntityFile } = require('./code-gen-fields');
+const { collectRelations } = require('./code-gen-relations');
+
+// CRUD endpoints, by method and whether their path names a single record
+const crudEndpoints = {
+  list: { method: 'get', item: false },
+  get: { method: 'get', item: true },
+  create: { method: 'post', item: false },
+  update: { method: 'put', item: true },
+  delete: { method: 'delete', item: true },
+};
+
+// Generator options a domain file can set for every entity, or for one
+const queryKeys = ['pagination', 'filtering', 'sorting', 'fieldsets', 'linkHeaders'];
+const lifecycleKeys = ['softDelete', 'optimisticLocking', 'audit'];
+const bulkKeys = ['bulk', 'batch', 'batchLimit'];
+const defaultKeys = [
+  'author',
+  'lang',
+  'orm',
+  'pack',
+  'seedCount',
+  'var',
+  'endpoints',
+  ...queryKeys,
+  ...lifecycleKeys,
+  ...bulkKeys,
+];
+const entityKeys = [
+  'name',
+  'fields',
+  'relations',
+  'endpoints',
+  'orm',
+  'pack',
+  'seedCount',
+  'var',
+  ...queryKeys,
+  ...lifecycleKeys,
+  ...bulkKeys,
+];
+const optionKeys = [
+  'author',
+  'lang',
+  'orm',
+  'pack',
+  'seedCount',
+  'var',
+  ...queryKeys,
+  ...lifecycleKeys,
+  ...bulkKeys,
+];
+
+/**
+ * Reject keys a domain file section does not support, to catch typos
+ */
+function checkKeys(section, allowed, where) {
+  const unknown = Object.keys(section).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown key "${unknown[0]}" in ${where} (use ${allowed.filter(key => key !== 'name').join(', ')})`
+    );
+  }
+}
+
+const pick = (section, keys) =>
+  Object.fromEntries(
+    keys.filter(key => section[key] !== undefined).map(key => [key, section[key]])
+  );
+
+/**
+ * Parse the endpoints to expose: a list or comma-separated string of `list`,
+ * `get`, `create`, `update` and `delete`, or `false` for none
+ * @param {string|string[]|boolean} [value] - Endpoints
+ * @returns {string[]|null} Endpoints in CRUD order, or null for all of them
+ */
+function parseEndpoints(value) {
+  if (value === undefined || value === null || value === true) {
+    return null;
+  }
+  if (value === false) {
+    return [];
+  }
+  const names = (Array.isArray(value) ? value : String(value).split(','))
+    .map(name => String(name).trim())
+    .filter(Boolean);
+  const unknown = names.find(name => !crudEndpoints[name]);
+  if (unknown) {
+    throw new Error(
+      `Unknown endpoint "${unknown}" (use ${Object.keys(crudEndpoints).join(', ')}, or false for none)`
+    );
+  }
+  return Object.keys(crudEndpoints).filter(name => names.includes(name));
+}
+
+/**
+ * Order entities so that each comes after the entities it belongs to,
+ * otherwise keeping the order of the file
+ */
+function orderEntities(entities) {
+  const ordered = [];
+  const placed = new Set();
+  const remaining = [...entities];
+
+  while (remaining.length > 0) {
+    const index = remaining.findIndex(entity =>
+      entity.relations.every(
+        relation =>
+          relation.type !== 'belongsTo' ||
+          relation.target === entity.name ||
+          placed.has(relation.target) ||
+          !entities.some(other => other.name === relation.target)
+      )
+    );
+    if (index === -1) {
+      throw new Error(
+        `${remaining.map(entity => entity.name).join(', ')} belong to each other; remove one belongsTo to break the cycle`
+      );
+    }
+    const [entity] = remaining.splice(index, 1);
+    ordered.push(entity);
+    placed.add(entity.name);
+  }
+
+  return ordered;
+}
+
+/**
+ * Read the entities of a parsed domain file
+ * @param {Object} domain - `{ defaults, entities }`, where `entities` maps
+ *   names to `{ fields, relations, endpoints, orm, pack, seedCount, var }`, the
+ *   list query strategies (see code-gen-query.js), the lifecycle options
+ *   (see code-gen-lifecycle.js) and the bulk and batch options (see
+ *   code-gen-bulk.js), or lists them with a `name`
+ * @returns {{defaults: Object, entities: Object[]}} Generator options shared by
+ *   every entity, and the entities in the order to generate them, each with
+ *   `name`, `fields` (undefined for the default fields), `relations`,
+ *   `endpoints` (null for all) and its own generator `options`
+ */
+function readDomain(domain) {
+  if (!domain?.entities || typeof domain.entities !== 'object') {
+    throw new Error('Domain file must define "entities"');
+  }
+  const defaults = domain.defaults || {};
+  checkKeys(defaults, defaultKeys, 'defaults');
+  checkKeys(domain, ['defaults', 'entities'], 'the domain file');
+
+  const declared = Array.isArray(domain.entities)
+    ? domain.entities.map(entity => [entity?.name, entity])
+    : Object.entries(domain.entities);
+  const entities = declared.map(([name, definition]) => {
+    if (!name) {
+      throw new Error('Every entity in a domain file needs a name');
+    }
+    const entity = definition || {};
+    checkKeys(entity, entityKeys, `entity ${name}`);
+    return {
+      name: String(name),
+      fields: entity.fields === undefined ? undefined : fieldsFromEntity(entity),
+      relations: collectRelations(entity.relations),
+      endpoints: parseEndpoints(entity.endpoints ?? defaults.endpoints),
+      options: pick(entity, optionKeys),
+    };
+  });
+
+  const names = entities.map(entity => entity.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`Entity ${duplicate} is declared twice`);
+  }
+
+  // Each side of a relationship needs to know about the other
+  const byName = new Map(entities.map(entity => [entity.name, entity]));
+  const inverses = { hasMany: 'belongsTo', belongsToMany: 'belongsToMany' };
+  entities.forEach(entity => {
+    entity.relations.forEach(({ type, target }) => {
+      const other = byName.get(target);
+      const inverse = { type: inverses[type], target: entity.name };
+      if (
+        inverse.type &&
+        other &&
+        other !== entity &&
+        !other.relations.some(
+          relation => relation.type === inverse.type && relation.target === inverse.target
+        )
+      ) {
+        other.relations.push(inverse);
+      }
+    });
+  });
+
+  return { defaults: pick(defaults, optionKeys), entities: orderEntities(entities) };
+}
+
+/**
+ * Read a JSON or YAML domain file (see `readDomain`)
+ * @param {string} filePath - Domain file path
+ * @returns {Promise<{defaults: Object, entities: Object[]}>} Domain
+ */
+async function loadDomainFile(filePath) {
+  return readDomain(await loadEntityFile(filePath));
+}
+
+/**
+ * The CRUD endpoint a `request(app).method(path)` call in a generated test
+ * reaches, or null for nested and other routes
+ */
+function requestedEndpoint(node, source) {
+  const callee = node.callee;
+  if (
+    callee?.type !== 'MemberExpression' ||
+    callee.object.type !== 'CallExpression' ||
+    callee.object.callee.name !== 'request' ||
+    !['StringLiteral', 'TemplateLiteral'].includes(node.arguments[0]?.type)
+  ) {
+    return null;
+  }
+  // `/api/orders` lists or creates, `/api/orders/${id}?include=items` is one order
+  const segments = source
+    .slice(node.arguments[0].start + 1, node.arguments[0].end - 1)
+    .split('?')[0]
+    .split('/')
+    .filter(Boolean);
+  return segments.length === 2 || segments.length === 3
+    ? { method: callee.property.name, item: segments.length === 3 }
+    : null;
+}
+
+/**
+ * Whether any call in a node reaches one of the endpoints
+ */
+function reaches(node, endpoints, source) {
+  if (!node || typeof node !== 'object') {
+    return false;
+  }
+  if (node.type === 'CallExpression') {
+    const endpoint = requestedEndpoint(node, source);
+    if (
+      endpoint &&
+      endpoints.some(hidden => hidden.method === endpoint.method && hidden.item === endpoint.item)
+    ) {
+      return true;
+    }
+  }
+  return Object.entries(node).some(
+    ([key, value]) =>
+      !['loc', 'leadingComments', 'trailingComments', 'innerComments'].includes(key) &&
+      (Array.isArray(value)
+        ? value.some(item => reaches(item, endpoints, source))
+        : value?.type && reaches(value, endpoints, source))
+  );
+}
+
+/**
+ * The name of the function a statement calls, such as `describe` for
+ * `describe(...)` or `test` for `test.skip(...)`
+ */
+function calledName(statement) {
+  const callee = statement.type === 'ExpressionStatement' && statement.expression.callee;
+  if (!callee) {
+    return null;
+  }
+  return callee.type === 'MemberExpression' ? callee.object.name : callee.name;
+}
+
+/**
+ * Statements that declare routes for, or test, the hidden endpoints
+ */
+function hiddenStatements(statements, endpoints, source) {
+  return statements.flatMap(statement => {
+    const name = calledName(statement);
+    const { expression } = statement;
+
+    if (name === 'router') {
+      const route = expression.arguments[0];
+      const hidden =
+        route?.type === 'StringLiteral' &&
+        /^\/(:\w+)?$/.test(route.value) &&
+        endpoints.some(
+          endpoint =>
+            endpoint.method === expression.callee.property.name &&
+            endpoint.item === (route.value !== '/')
+        );
+      return hidden ? [statement] : [];
+    }
+    if (name === 'test' || name === 'it') {
+      return reaches(statement, endpoints, source) ? [statement] : [];
+    }
+    if (name === 'describe') {
+      const body = expression.arguments[1]?.body?.body || [];
+      const blocks = body.filter(child => ['describe', 'test', 'it'].includes(calledName(child)));
+      const hidden = hiddenStatements(body, endpoints, source);
+      // A suite left without tests goes as a whole
+      return blocks.length > 0 && blocks.every(block => hidden.includes(block))
+        ? [statement]
+        : hidden;
+    }
+    return [];
+  });
+}
+
+/**
+ * Range of whole lines covering a statement and its doc comment, with one
+ * blank line next to it so the blocks around it stay one blank line apart
+ */
+function statementLines(source, statement) {
+  const start = statement.leadingComments?.[0]?.start ?? statement.start;
+  const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+  const lineEnd = source.indexOf('\n', statement.end);
+  let end = lineEnd === -1 ? source.length : lineEnd + 1;
+
+  const previous = source.slice(source.lastIndexOf('\n', lineStart - 2) + 1, lineStart);
+  const next = source.slice(end, source.indexOf('\n', end) + 1);
+  if (next.trim() === '' && /(^\s*|\{)\n$/.test(previous) && next !== '') {
+    end += next.length;
+  } else if (previous.trim() === '' && previous !== '' && /^\s*[}\]]/.test(next)) {
+    return { start: lineStart - previous.length, end };
+  }
+  return { start: lineStart, end };
+}
+
+/**
+ * The names an import or require statement binds, each with its specifier
+ * when it is one of a `{ ... }` list
+ */
+function importedBindings(statement) {
+  if (statement.type === 'ImportDeclaration') {
+    return statement.specifiers.map(specifier => ({
+      name: specifier.local.name,
+      specifier: specifier.type === 'ImportSpecifier' ? specifier : null,
+    }));
+  }
+  const declarator =
+    statement.type === 'VariableDeclaration' &&
+    statement.declarations.length === 1 &&
+    statement.declarations[0];
+  if (declarator?.init?.type !== 'CallExpression' || declarator.init.callee.name !== 'require') {
+    return [];
+  }
+  if (declarator.id.type === 'ObjectPattern') {
+    return declarator.id.properties.map(property => ({
+      name: property.value?.name,
+      specifier: property,
+    }));
+  }
+  return declarator.id.type === 'Identifier' ? [{ name: declarator.id.name, specifier: null }] : [];
+}
+
+/**
+ * Identifiers used outside the import and require statements of a file
+ */
+function usedNames(body) {
+  const names = new Set();
+  const visit = node => {
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+    if (node.type === 'Identifier') {
+      names.add(node.name);
+    }
+    Object.entries(node).forEach(([key, value]) => {
+      if (!['loc', 'leadingComments', 'trailingComments', 'innerComments'].includes(key)) {
+        (Array.isArray(value) ? value : [value]).forEach(item => item?.type && visit(item));
+      }
+    });
+  };
+  body.filter(statement => importedBindings(statement).length === 0).forEach(visit);
+  return names;
+}
+
+/**
+ * Edits removing what the hidden endpoints alone imported, such as the
+ * update schema once `update` is hidden
+ */
+function unusedImports(source, body, usedBefore) {
+  const used = usedNames(body);
+  return body.flatMap(statement => {
+    const bindings = importedBindings(statement);
+    const kept = bindings.filter(
+      binding => used.has(binding.name) || !usedBefore.has(binding.name)
+    );
+    if (kept.length === bindings.length) {
+      return [];
+    }
+    if (kept.length === 0) {
+      return [statementLines(source, statement)];
+    }
+    if (bindings.every(binding => binding.specifier)) {
+      return [
+        {
+          start: bindings[0].specifier.start,
+          end: bindings.at(-1).specifier.end,
+          text: kept
+            .map(({ specifier }) => source.slice(specifier.start, specifier.end))
+            .join(', '),
+        },
+      ];
+    }
+    return [];
+  });
+}
+
+/**
+ * Apply edits, given as `{ start, end, text }` offsets into the source;
+ * overlapping removals are merged, since neighboring statements can share a
+ * blank line
+ */
+function applyEdits(source, edits) {
+  const merged = [...edits]
+    .sort((a, b) => a.start - b.start)
+    .reduce((list, edit) => {
+      const last = list.at(-1);
+      if (last && edit.start < last.end) {
+        last.end = Math.max(last.end, edit.end);
+      } else {
+        list.push({ text: '', ...edit });
+      }
+      return list;
+    }, []);
+  return merged
+    .reverse()
+    .reduce((text, edit) => text.slice(0, edit.start) + edit.text + text.slice(edit.end), source);
+}
+
+/**
+ * Leave the CRUD endpoints that are not exposed out of generated routes or
+ * tests: their `router.get('/')`-style routes with doc comments, the tests
+ * that request them (suites left empty go too) and imports only they used.
+ * Nested routes are kept.
+ * @param {string} source - Generated route or test file
+ * @param {string[]} exposed - Endpoints to keep (see `parseEndpoints`)
+ * @param {Object} [options] - Options
+ * @param {string} [options.lang] - `js` (default) or `ts`
+ * @returns {string} Source without the hidden endpoints
+ */
+function pruneEndpoints(source, exposed, options = {}) {
+  const endpoints = Object.entries(crudEndpoints)
+    .filter(([name]) => !exposed.includes(name))
+    .map(([, endpoint]) => endpoint);
+  if (endpoints.length === 0) {
+    return source;
+  }
+
+  const parseBody = text =>
+    parse(text, {
+      sourceType: 'unambiguous',
+      plugins: options.lang === 'ts' ? ['typescript'] : [],
+    }).program.body;
+  const body = parseBody(source);
+  const pruned = applyEdits(
+    source,
+    hiddenStatements(body, endpoints, source).map(statement => statementLines(source, statement))
+  );
+  return applyEdits(pruned, unusedImports(pruned, parseBody(pruned), usedNames(body)));
+}
+
+module.exports = {
+  crudEndpoints,
+  parseEndpoints,
+  readDomain,
+  loadDomainFile,
+  pruneEndpoints,
+};
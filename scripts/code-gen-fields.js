@@ -0,0 +1,902 @@
+/**
+ * Entity Field Definitions for the Code Generator
+ *
+ * Parses `--fields` specifications (`title:string:required,price:decimal(10,2)`)
+ * and JSON/YAML entity files into field definitions, and renders the
+ * field-dependent parts of the CRUD templates, in JavaScript or TypeScript:
+ * model attributes, controller filters, Joi rules, route documentation and
+ * test data.
+ *
+ * @author REST-SPEC
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Supported field types and the arguments they accept in parentheses
+const fieldTypes = {
+  string: ['length'],
+  text: [],
+  email: [],
+  url: [],
+  integer: [],
+  bigint: [],
+  float: [],
+  decimal: ['precision', 'scale'],
+  boolean: [],
+  date: [],
+  datetime: [],
+  uuid: [],
+  json: [],
+  enum: ['values'],
+};
+
+// Attributes every generated model already defines
+const reservedFields = ['id', 'createdBy', 'updatedBy', 'createdAt', 'updatedAt', 'deletedAt'];
+
+// MySQL reserved words; generated SQL does not quote identifiers, so tables
+// and columns must avoid them (see sql-standards-and-patterns.md)
+const sqlReservedWords = new Set(
+  `ACCESSIBLE ADD ALL ALTER ANALYZE AND AS ASC ASENSITIVE BEFORE BETWEEN BIGINT BINARY BLOB
+  BOTH BY CALL CASCADE CASE CHANGE CHAR CHARACTER CHECK COLLATE COLUMN CONDITION CONSTRAINT
+  CONTINUE CONVERT CREATE CROSS CUBE CUME_DIST CURRENT_DATE CURRENT_TIME CURRENT_TIMESTAMP
+  CURRENT_USER CURSOR DATABASE DATABASES DAY_HOUR DAY_MICROSECOND DAY_MINUTE DAY_SECOND DEC
+  DECIMAL DECLARE DEFAULT DELAYED DELETE DENSE_RANK DESC DESCRIBE DETERMINISTIC DISTINCT
+  DISTINCTROW DIV DOUBLE DROP DUAL EACH ELSE ELSEIF EMPTY ENCLOSED ESCAPED EXCEPT EXISTS EXIT
+  EXPLAIN FALSE FETCH FIRST_VALUE FLOAT FLOAT4 FLOAT8 FOR FORCE FOREIGN FROM FULLTEXT FUNCTION
+  GENERATED GET GRANT GROUP GROUPING GROUPS HAVING HIGH_PRIORITY HOUR_MICROSECOND HOUR_MINUTE
+  HOUR_SECOND IF IGNORE IN INDEX INFILE INNER INOUT INSENSITIVE INSERT INT INT1 INT2 INT3 INT4
+  INT8 INTEGER INTERSECT INTERVAL INTO IO_AFTER_GTIDS IO_BEFORE_GTIDS IS ITERATE JOIN JSON_TABLE
+  KEY KEYS KILL LAG LAST_VALUE LATERAL LEAD LEADING LEAVE LEFT LIBRARY LIKE LIMIT LINEAR LINES
+  LOAD LOCALTIME LOCALTIMESTAMP LOCK LONG LONGBLOB LONGTEXT LOOP LOW_PRIORITY MANUAL MATCH
+  MAXVALUE MEDIUMBLOB MEDIUMINT MEDIUMTEXT MIDDLEINT MINUTE_MICROSECOND MINUTE_SECOND MOD
+  MODIFIES NATURAL NOT NO_WRITE_TO_BINLOG NTH_VALUE NTILE NULL NUMERIC OF ON OPTIMIZE
+  OPTIMIZER_COSTS OPTION OPTIONALLY OR ORDER OUT OUTER OUTFILE OVER PARALLEL PARTITION
+  PERCENT_RANK PRECISION PRIMARY PROCEDURE PURGE QUALIFY RANGE RANK READ READS READ_WRITE REAL
+  RECURSIVE REFERENCES REGEXP RELEASE RENAME REPEAT REPLACE REQUIRE RESIGNAL RESTRICT RETURN
+  REVOKE RIGHT RLIKE ROW ROWS ROW_NUMBER SCHEMA SCHEMAS SECOND_MICROSECOND SELECT SENSITIVE
+  SEPARATOR SET SHOW SIGNAL SMALLINT SPATIAL SPECIFIC SQL SQLEXCEPTION SQLSTATE SQLWARNING
+  SQL_BIG_RESULT SQL_CALC_FOUND_ROWS SQL_SMALL_RESULT SSL STARTING STORED STRAIGHT_JOIN SYSTEM
+  TABLE TERMINATED THEN TINYBLOB TINYINT TINYTEXT TO TRAILING TRIGGER TRUE UNDO UNION UNIQUE
+  UNLOCK UNSIGNED UPDATE USAGE USE USING UTC_DATE UTC_TIME UTC_TIMESTAMP VALUES VARBINARY
+  VARCHAR VARCHARACTER VARYING VIRTUAL WHEN WHERE WHILE WINDOW WITH WRITE XOR YEAR_MONTH
+  ZEROFILL`.split(/\s+/)
+);
+
+const stringTypes = ['string', 'text', 'email', 'url'];
+const filterTypes = ['enum', 'boolean', 'uuid', 'integer', 'bigint'];
+
+// Fields used when no specification is given
+const defaultFieldSpec =
+  'name:string(255):required:index,description:text:max=1000,' +
+  'status:enum(active,inactive,pending):default=active:index,metadata:json:default={}';
+
+/**
+ * Split on commas that are not inside parentheses
+ */
+function splitTopLevel(spec, separator = ',') {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of spec) {
+    if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    }
+
+    if (char === separator && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Whether a table or column name is a MySQL reserved word
+ */
+function isSqlReservedWord(name) {
+  return sqlReservedWords.has(String(name).toUpperCase());
+}
+
+/**
+ * Parse a default value: JSON when possible, otherwise the raw string
+ */
+function parseDefault(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Validate and normalize a field definition
+ * @param {Object} definition - Field with at least `name` and `type`
+ * @returns {Object} Normalized field
+ */
+function normalizeField(definition) {
+  const { name } = definition;
+  const type = String(definition.type || 'string').toLowerCase();
+
+  if (!/^[A-Za-z_$][\w$]*$/.test(name || '')) {
+    throw new Error(`Invalid field name: ${name}`);
+  }
+  if (reservedFields.includes(name)) {
+    throw new Error(`Field "${name}" is generated automatically and cannot be redefined`);
+  }
+  if (isSqlReservedWord(name)) {
+    throw new Error(`Field "${name}" is a reserved SQL word; choose another name`);
+  }
+  if (!fieldTypes[type]) {
+    throw new Error(
+      `Unknown type "${type}" for field "${name}". Supported types: ${Object.keys(fieldTypes).join(', ')}`
+    );
+  }
+
+  const field = {
+    name,
+    type,
+    required: Boolean(definition.required),
+    unique: Boolean(definition.unique),
+    index: Boolean(definition.index),
+  };
+
+  if (type === 'string') {
+    field.length = Number(definition.length) || 255;
+  }
+  if (type === 'decimal') {
+    field.precision = Number(definition.precision) || 10;
+    field.scale = Number(definition.scale ?? 2);
+  }
+  if (type === 'enum') {
+    const values = Array.isArray(definition.values)
+      ? definition.values
+      : String(definition.values || '').split(/[,|]/);
+    field.values = values.map(value => String(value).trim()).filter(Boolean);
+    if (field.values.length === 0) {
+      throw new Error(`Enum field "${name}" needs at least one value, e.g. ${name}:enum(a,b)`);
+    }
+  }
+  ['min', 'max'].forEach(key => {
+    if (definition[key] !== undefined && definition[key] !== '') {
+      field[key] = Number(definition[key]);
+    }
+  });
+  if (definition.default !== undefined) {
+    field.default = definition.default;
+  }
+
+  return field;
+}
+
+/**
+ * Parse one `name:type(args):modifier...` entry
+ */
+function parseFieldEntry(entry) {
+  const [name, typeSpec = 'string', ...modifiers] = splitTopLevel(entry, ':');
+  const [, type, args] = typeSpec.match(/^(\w+)(?:\((.*)\))?$/) || [null, typeSpec];
+  const definition = { name, type };
+
+  if (args !== undefined) {
+    const argNames = fieldTypes[type.toLowerCase()] || [];
+    if (argNames[0] === 'values') {
+      definition.values = args.split(/[,|]/);
+    } else {
+      args.split(',').forEach((arg, i) => {
+        if (argNames[i]) {
+          definition[argNames[i]] = arg.trim();
+        }
+      });
+    }
+  }
+
+  modifiers.forEach(modifier => {
+    const [key, ...rest] = modifier.split('=');
+    const value = rest.join('=');
+    if (['required', 'unique', 'index'].includes(key)) {
+      definition[key] = true;
+    } else if (key === 'optional') {
+      definition.required = false;
+    } else if (key === 'default') {
+      definition.default = parseDefault(value);
+    } else if (key === 'min' || key === 'max') {
+      definition[key] = value;
+    } else {
+      throw new Error(`Unknown modifier "${modifier}" for field "${name}"`);
+    }
+  });
+
+  return normalizeField(definition);
+}
+
+/**
+ * Parse an inline field specification
+ * @param {string} spec - e.g. `title:string:required,price:decimal(10,2),sku:string:unique`
+ * @returns {Object[]} Normalized fields
+ */
+function parseFieldSpec(spec) {
+  const fields = splitTopLevel(spec).map(parseFieldEntry);
+
+  const seen = new Set();
+  fields.forEach(field => {
+    if (seen.has(field.name)) {
+      throw new Error(`Field "${field.name}" is defined more than once`);
+    }
+    seen.add(field.name);
+  });
+
+  return fields;
+}
+
+/**
+ * Normalize the `fields` of an entity file: a `name: spec` mapping, or a list of
+ * `name:type` strings and `{ name, type, ... }` objects
+ */
+function fieldsFromEntity(entity) {
+  const definitions = entity?.fields ?? entity;
+
+  if (typeof definitions === 'string') {
+    return parseFieldSpec(definitions);
+  }
+  if (Array.isArray(definitions)) {
+    return definitions.map(item =>
+      typeof item === 'string' ? parseFieldEntry(item) : normalizeField(item)
+    );
+  }
+  if (definitions && typeof definitions === 'object') {
+    return Object.entries(definitions).map(([name, value]) =>
+      typeof value === 'string'
+        ? parseFieldEntry(`${name}:${value}`)
+        : normalizeField({ ...value, name })
+    );
+  }
+
+  throw new Error('Entity specification must define "fields"');
+}
+
+/**
+ * Whether a `--fields` value names a JSON/YAML entity file
+ */
+function isEntityFile(value) {
+  return typeof value === 'string' && /\.(json|ya?ml)$/i.test(value);
+}
+
+/**
+ * Read a JSON or YAML entity file
+ * @param {string} filePath - Entity file path
+ * @returns {Promise<Object>} Parsed entity
+ */
+async function loadEntityFile(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+  return path.extname(filePath).toLowerCase() === '.json'
+    ? JSON.parse(content)
+    : require('js-yaml').load(content);
+}
+
+/**
+ * Resolve the `--fields` option: an inline spec, a JSON/YAML entity file, or
+ * an array of field definitions. Returns the default fields when empty.
+ * @param {string|Object[]} [value] - Field specification
+ * @returns {Promise<Object[]>} Normalized fields
+ */
+async function resolveFields(value) {
+  if (!value) {
+    return parseFieldSpec(defaultFieldSpec);
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeField);
+  }
+
+  if (isEntityFile(value)) {
+    return fieldsFromEntity(await loadEntityFile(value));
+  }
+
+  return parseFieldSpec(value);
+}
+
+/**
+ * A JavaScript expression to emit as-is instead of as a literal
+ */
+class Code {
+  constructor(source) {
+    this.source = source;
+  }
+}
+
+/**
+ * Render a value as a single-quoted JavaScript literal
+ */
+function literal(value) {
+  if (value instanceof Code) {
+    return value.source;
+  }
+  if (typeof value === 'string') {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(literal).join(', ')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).map(
+      ([key, item]) => `${/^[A-Za-z_$][\w$]*$/.test(key) ? key : literal(key)}: ${literal(item)}`
+    );
+    return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+  }
+  return String(value);
+}
+
+/**
+ * Sequelize DataTypes expression for a field
+ */
+function sequelizeType(field) {
+  switch (field.type) {
+    case 'string':
+      return `DataTypes.STRING(${field.length})`;
+    case 'email':
+      return 'DataTypes.STRING(255)';
+    case 'url':
+      return 'DataTypes.STRING(2048)';
+    case 'text':
+      return 'DataTypes.TEXT';
+    case 'integer':
+      return 'DataTypes.INTEGER';
+    case 'bigint':
+      return 'DataTypes.BIGINT';
+    case 'float':
+      return 'DataTypes.FLOAT';
+    case 'decimal':
+      return `DataTypes.DECIMAL(${field.precision}, ${field.scale})`;
+    case 'boolean':
+      return 'DataTypes.BOOLEAN';
+    case 'date':
+      return 'DataTypes.DATEONLY';
+    case 'datetime':
+      return 'DataTypes.DATE';
+    case 'uuid':
+      return 'DataTypes.UUID';
+    case 'json':
+      return 'DataTypes.JSONB';
+    case 'enum':
+      return `DataTypes.ENUM(${field.values.map(literal).join(', ')})`;
+    default:
+      return 'DataTypes.STRING';
+  }
+}
+
+/**
+ * TypeScript type of a field's value as Sequelize returns it
+ */
+function typescriptType(field) {
+  switch (field.type) {
+    case 'integer':
+    case 'bigint':
+    case 'float':
+      return 'number';
+    case 'decimal':
+      // MySQL drivers return DECIMAL as a string to keep its precision
+      return 'number | string';
+    case 'boolean':
+      return 'boolean';
+    case 'datetime':
+      return 'Date';
+    case 'json':
+      return 'Record<string, unknown>';
+    case 'enum':
+      return field.values.map(literal).join(' | ');
+    default:
+      return 'string';
+  }
+}
+
+/**
+ * TypeScript type of a field's attribute, `null` included when it is optional
+ */
+function attributeType(field) {
+  return `${typescriptType(field)}${field.required ? '' : ' | null'}`;
+}
+
+/**
+ * Sequelize `validate` rules for a field
+ */
+function sequelizeValidations(field) {
+  const rules = [];
+
+  if (field.required && stringTypes.includes(field.type)) {
+    rules.push('notEmpty: true');
+  }
+  if (field.type === 'email') {
+    rules.push('isEmail: true');
+  }
+  if (field.type === 'url') {
+    rules.push('isUrl: true');
+  }
+  if (stringTypes.includes(field.type)) {
+    const max = field.max ?? field.length;
+    const min = field.min ?? (field.required ? 1 : 0);
+    if (max !== undefined) {
+      rules.push(`len: [${min}, ${max}]`);
+    }
+  } else if (['integer', 'bigint', 'float', 'decimal'].includes(field.type)) {
+    if (field.min !== undefined) {
+      rules.push(`min: ${field.min}`);
+    }
+    if (field.max !== undefined) {
+      rules.push(`max: ${field.max}`);
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Render the model attribute definitions
+ */
+function renderModelAttributes(fields, lang) {
+  return fields
+    .map(field => {
+      const lines = [`type: ${sequelizeType(field)}`, `allowNull: ${!field.required}`];
+      if (field.unique) {
+        lines.push('unique: true');
+      }
+      if (field.default !== undefined) {
+        lines.push(`defaultValue: ${literal(field.default)}`);
+      }
+      if (stringTypes.includes(field.type)) {
+        // utf8mb4_0900_ai_ci is NO PAD: 'a' and 'a ' are different values
+        const parameter = lang === 'ts' ? `value: ${attributeType(field)}` : 'value';
+        lines.push(
+          `set(${parameter}) {\n      this.setDataValue('${field.name}', typeof value === 'string' ? value.trim() : value);\n    }`
+        );
+      }
+      if (field.references) {
+        lines.push(
+          `references: {\n      model: '${field.references.table}',\n      key: 'id'\n    }`,
+          `onDelete: '${field.references.onDelete || 'CASCADE'}'`
+        );
+      }
+
+      const validations = sequelizeValidations(field);
+      if (validations.length > 0) {
+        lines.push(`validate: {\n      ${validations.join(',\n      ')}\n    }`);
+      }
+
+      return `  ${field.name}: {\n    ${lines.join(',\n    ')}\n  },`;
+    })
+    .join('\n');
+}
+
+/**
+ * Render index definitions for indexed fields, one per line; unique fields
+ * are indexed by their constraint
+ */
+function renderModelIndexes(fields) {
+  return fields
+    .filter(field => field.index && !field.unique)
+    .map(field => `    {\n      fields: ['${field.name}']\n    },\n`)
+    .join('');
+}
+
+/**
+ * Render model finder methods that depend on the fields: static methods in
+ * JavaScript, exported functions in TypeScript
+ */
+function renderModelFinders(fields, names, lang) {
+  const finders = [];
+  const status = fields.find(field => field.name === 'status' && field.type === 'enum');
+  const searchable = fields.filter(field => stringTypes.includes(field.type));
+  const finder = (name, parameters, where) =>
+    lang === 'ts'
+      ? `export const ${name} = (${parameters.map(([parameter, type]) => `${parameter}: ${type}`).join(', ')}): Promise<${names.pascal}Instance[]> =>
+  ${names.pascal}.findAll({
+    where: ${where}
+  });`
+      : `${names.pascal}.${name} = function(${parameters.map(([parameter]) => parameter).join(', ')}) {
+  return this.findAll({
+    where: ${where}
+  });
+};`;
+
+  if (status?.values.includes('active')) {
+    finders.push(finder('findActive', [], "{ status: 'active' }"));
+  }
+
+  finders.push(finder('findByUser', [['userId', 'string']], '{ createdBy: userId }'));
+
+  if (searchable.length > 0) {
+    const conditions = searchable.map(
+      field => `        { ${field.name}: { [Op.iLike]: \`%\${searchTerm}%\` } }`
+    );
+    finders.push(
+      finder(
+        'search',
+        [['searchTerm', 'string']],
+        `{
+      [Op.or]: [
+${conditions.join(',\n')}
+      ]
+    }`
+      )
+    );
+  }
+
+  return finders.join('\n\n');
+}
+
+/**
+ * Render the `search` condition over the text fields of `buildWhereClause`,
+ * or an empty string when there are none
+ */
+function renderSearchFilter(fields) {
+  const searchable = fields.filter(field => stringTypes.includes(field.type));
+  if (searchable.length === 0) {
+    return '';
+  }
+
+  const conditions = searchable.map(
+    field => `        { field: '${field.name}', operator: 'contains', value: query.search }`
+  );
+  return `  if (query.search) {
+    where.push({
+      any: [
+${conditions.join(',\n')}
+      ]
+    });
+  }`;
+}
+
+/**
+ * Render the controller's `buildWhereClause` filters
+ */
+function renderWhereFilters(fields) {
+  const blocks = [];
+  const search = renderSearchFilter(fields);
+
+  if (search) {
+    blocks.push(search);
+  }
+
+  fields
+    .filter(field => filterTypes.includes(field.type))
+    .forEach(field => {
+      const value =
+        field.type === 'boolean' ? `query.${field.name} === 'true'` : `query.${field.name}`;
+      blocks.push(`  if (query.${field.name}) {
+    where.push({ field: '${field.name}', operator: 'eq', value: ${value} });
+  }`);
+    });
+
+  return blocks.join('\n  \n');
+}
+
+/**
+ * Joi rule for a field, without presence modifiers
+ */
+function joiRule(field) {
+  const bounds = rule =>
+    rule +
+    (field.min !== undefined ? `.min(${field.min})` : '') +
+    (field.max !== undefined ? `.max(${field.max})` : '');
+
+  switch (field.type) {
+    case 'string': {
+      const min = field.min ?? (field.required ? 1 : undefined);
+      return `Joi.string()${min !== undefined ? `.min(${min})` : ''}.max(${field.max ?? field.length})`;
+    }
+    case 'text':
+      return bounds('Joi.string()');
+    case 'email':
+      return 'Joi.string().email().max(255)';
+    case 'url':
+      return 'Joi.string().uri().max(2048)';
+    case 'integer':
+    case 'bigint':
+      return bounds('Joi.number().integer()');
+    case 'float':
+      return bounds('Joi.number()');
+    case 'decimal':
+      return bounds(`Joi.number().precision(${field.scale})`);
+    case 'boolean':
+      return 'Joi.boolean()';
+    case 'date':
+    case 'datetime':
+      return 'Joi.date().iso()';
+    case 'uuid':
+      return 'Joi.string().uuid()';
+    case 'json':
+      return 'Joi.object()';
+    case 'enum':
+      return `Joi.string().valid(${field.values.map(literal).join(', ')})`;
+    default:
+      return 'Joi.any()';
+  }
+}
+
+/**
+ * Render Joi `commonRules` entries for every field
+ */
+function renderCommonRules(fields) {
+  return fields
+    .map(
+      field => `  ${field.name}: ${joiRule(field)}.${field.required ? 'required' : 'optional'}(),`
+    )
+    .join('\n');
+}
+
+/**
+ * Render the create schema keys
+ */
+function renderCreateRules(fields) {
+  return fields
+    .map(field => {
+      const defaultValue = field.default !== undefined ? `.default(${literal(field.default)})` : '';
+      return `  ${field.name}: commonRules.${field.name}${defaultValue}`;
+    })
+    .join(',\n');
+}
+
+/**
+ * Render the update schema keys; every field becomes optional
+ */
+function renderUpdateRules(fields) {
+  return fields
+    .map(
+      field => `  ${field.name}: commonRules.${field.name}${field.required ? '.optional()' : ''}`
+    )
+    .join(',\n');
+}
+
+/**
+ * Render filter keys for the list query schema, one per line
+ */
+function renderQueryRules(fields) {
+  const rules = [];
+  if (fields.some(field => stringTypes.includes(field.type))) {
+    rules.push('  search: Joi.string().max(255).optional(),');
+  }
+  fields
+    .filter(field => filterTypes.includes(field.type))
+    .forEach(field => rules.push(`  ${field.name}: ${joiRule(field)}.optional(),`));
+  return rules.map(rule => `${rule}\n`).join('');
+}
+
+/**
+ * Fields that can be used to sort the list endpoint; cursor pagination only
+ * sorts by required fields, as a null sort value has no position to resume from
+ */
+function sortableFields(fields, pagination = 'offset') {
+  return [
+    ...fields
+      .filter(field => !['text', 'json'].includes(field.type))
+      .filter(field => pagination !== 'cursor' || field.required)
+      .map(field => field.name),
+    'createdAt',
+    'updatedAt',
+  ];
+}
+
+/**
+ * Render `@param` tags documenting the list filters, one per line
+ */
+function renderFilterParams(fields) {
+  const params = [];
+  const searchable = fields.filter(field => stringTypes.includes(field.type));
+
+  if (searchable.length > 0) {
+    params.push(
+      ` * @param {string} [search] - Search ${searchable.map(field => field.name).join(', ')}`
+    );
+  }
+  fields
+    .filter(field => filterTypes.includes(field.type))
+    .forEach(field => {
+      const type = ['integer', 'bigint'].includes(field.type)
+        ? 'integer'
+        : field.type === 'boolean'
+          ? 'boolean'
+          : 'string';
+      const values = field.values ? ` (${field.values.join(', ')})` : '';
+      params.push(` * @param {${type}} [${field.name}] - Filter by ${field.name}${values}`);
+    });
+
+  return params.map(param => `${param}\n`).join('');
+}
+
+// Variants of sample records used by the generated tests
+const sampleVariants = ['Test', 'New', 'Updated', '2', '3', 'Alpha'];
+
+/**
+ * Sample value for a field in a given test record variant; `dates` renders
+ * datetimes as Date objects for records passed to a typed model
+ */
+function sampleValue(field, variant, names, isTitle, dates) {
+  const index = sampleVariants.indexOf(variant);
+  const numbered = /^\d+$/.test(variant);
+  const label = field.name.replace(/([A-Z])/g, ' $1').toLowerCase();
+
+  // Foreign keys point at a record the test creates
+  if (field.sample) {
+    return new Code(field.sample);
+  }
+
+  switch (field.type) {
+    case 'string':
+    case 'text': {
+      const subject = isTitle ? names.entityName : label;
+      return numbered ? `${subject} ${variant}` : `${variant} ${subject}`;
+    }
+    case 'email':
+      return `${variant.toLowerCase()}@example.com`;
+    case 'url':
+      return `https://example.com/${variant.toLowerCase()}`;
+    case 'integer':
+    case 'bigint':
+      return (field.min ?? 1) + index;
+    case 'float':
+    case 'decimal':
+      return Math.max(field.min ?? 0, Number((9.99 + index).toFixed(2)));
+    case 'boolean':
+      return true;
+    case 'date':
+      return `2024-01-0${index + 1}`;
+    case 'datetime': {
+      const timestamp = `2024-01-0${index + 1}T00:00:00.000Z`;
+      return dates ? new Code(`new Date('${timestamp}')`) : timestamp;
+    }
+    case 'uuid':
+      return `550e8400-e29b-41d4-a716-44665544000${index + 1}`;
+    case 'json':
+      return { key: 'value' };
+    case 'enum':
+      return field.default !== undefined ? field.default : field.values[0];
+    default:
+      return null;
+  }
+}
+
+/**
+ * Build a sample record for the generated tests
+ */
+function sampleRecord(fields, variant, names, dates = false) {
+  const title = fields.find(field => field.type === 'string');
+  return Object.fromEntries(
+    fields.map(field => [field.name, sampleValue(field, variant, names, field === title, dates)])
+  );
+}
+
+/**
+ * A value the create/update schemas reject for a field
+ */
+function invalidValue(field) {
+  if (stringTypes.includes(field.type) || field.type === 'uuid') {
+    return field.type === 'uuid' ? 'not-a-uuid' : 12345;
+  }
+  return {
+    integer: 'not-a-number',
+    bigint: 'not-a-number',
+    float: 'not-a-number',
+    decimal: 'not-a-number',
+    boolean: 'maybe',
+    date: 'not-a-date',
+    datetime: 'not-a-date',
+    json: 'not-an-object',
+    enum: 'invalid',
+  }[field.type];
+}
+
+/**
+ * Render object literal properties, one per line
+ */
+function renderProperties(record, indent) {
+  return Object.entries(record)
+    .map(([key, value]) => `${indent}${key}: ${literal(value)}`)
+    .join(',\n');
+}
+
+/**
+ * Build every field-dependent template variable
+ * @param {Object[]} fields - Normalized fields
+ * @param {Object} names - Entity names (`entityName`, `pascal`, `camel`, `plural`)
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.lang] - `js` (default) or `ts`
+ * @param {string} [options.pagination] - `offset` (default) or `cursor`, which
+ *   limits the sort fields (see `sortableFields`)
+ * @returns {Object} Template variables
+ */
+function fieldTemplateVariables(fields, names, options = {}) {
+  const { lang = 'js', pagination } = options;
+  const sortable = sortableFields(fields, pagination);
+  const comparable = fields.filter(field => !['json', 'decimal', 'float'].includes(field.type));
+  const pick = (record, list) =>
+    Object.fromEntries(list.map(field => [field.name, record[field.name]]));
+
+  // Records created through the model in TypeScript need Date objects
+  const typed = lang === 'ts';
+  const testRecord = sampleRecord(fields, 'Test', names);
+  const newRecord = sampleRecord(fields, 'New', names);
+  const updatedRecord = sampleRecord(fields, 'Updated', names);
+
+  // Updates touch text fields when there are any, otherwise the first field
+  const updatable = fields.filter(field => ['string', 'text'].includes(field.type));
+  const updateFields =
+    updatable.length > 0 ? updatable : (comparable[0] ? comparable : fields).slice(0, 1);
+  const updateData = pick(updatedRecord, updateFields);
+  const [updateKey] = Object.keys(updateData);
+
+  const requiredString = fields.find(field => field.required && stringTypes.includes(field.type));
+  const invalidUpdate = requiredString ? { [requiredString.name]: '' } : {};
+  const invalidCreate = fields.some(field => field.required)
+    ? {}
+    : { [fields[0].name]: invalidValue(fields[0]) };
+
+  const sortField = fields.find(
+    field => ['string', 'email', 'url'].includes(field.type) && sortable.includes(field.name)
+  );
+  const alphaRecord = sampleRecord(fields, 'Alpha', names);
+
+  const bulk = ['2', '3'].map(variant => {
+    const record = sampleRecord(fields, variant, names, typed);
+    return `        { ${Object.entries(record)
+      .map(([key, value]) => `${key}: ${literal(value)}`)
+      .join(', ')}, createdBy: testUser.id }`;
+  });
+
+  return {
+    modelAttributes: renderModelAttributes(fields, lang),
+    modelIndexes: renderModelIndexes(fields),
+    modelFinders: renderModelFinders(fields, names, lang),
+    whereFilters: renderWhereFilters(fields),
+    commonRules: renderCommonRules(fields),
+    createRules: renderCreateRules(fields),
+    updateRules: renderUpdateRules(fields),
+    queryRules: renderQueryRules(fields),
+    sortFields: sortable.map(literal).join(', '),
+    filterParams: renderFilterParams(fields),
+    testRecordFields: renderProperties(
+      typed ? sampleRecord(fields, 'Test', names, true) : testRecord,
+      '      '
+    ),
+    testMatchFields: renderProperties(pick(testRecord, comparable), '        '),
+    testBulkRecords: bulk.join(',\n'),
+    testSortRecord: renderProperties(
+      typed ? sampleRecord(fields, 'Alpha', names, true) : alphaRecord,
+      '        '
+    ),
+    testSortField: sortField ? sortField.name : 'createdAt',
+    testSortAssertion: sortField
+      ? `expect(response.body.${names.plural}[0].${sortField.name}).toBe(${literal(alphaRecord[sortField.name])});`
+      : `expect(response.body.${names.plural}[0].id).toBe(test${names.pascal}.id);`,
+    testCreateData: renderProperties(newRecord, '        '),
+    testInvalidCreate: literal(invalidCreate),
+    testUpdateData: renderProperties(updateData, '        '),
+    testUpdateBody: literal(updateData),
+    testUpdateCheck: `expect(test${names.pascal}.${updateKey}).toBe(${literal(updateData[updateKey])});`,
+    testInvalidUpdate: literal(invalidUpdate),
+  };
+}
+
+module.exports = {
+  defaultFieldSpec,
+  parseFieldSpec,
+  fieldsFromEntity,
+  isEntityFile,
+  isSqlReservedWord,
+  loadEntityFile,
+  resolveFields,
+  fieldTemplateVariables,
+  typescriptType,
+  attributeType,
+  sortableFields,
+  joiRule,
+  sampleRecord,
+  renderSearchFilter,
+  stringTypes,
+  filterTypes,
+  literal,
+};
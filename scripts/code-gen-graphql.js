@@ -0,0 +1,306 @@
+/**
+ * GraphQL Output for the Code Generator
+ *
+ * Type definitions and resolvers for an entity, generated from the same field
+ * specification and relations as the REST CRUD files. Each entity gets an
+ * object type, create and update inputs, a filter input, and a Relay-style
+ * connection for its list query; related records are loaded through the
+ * per-request DataLoaders of the GraphQL project template, so a page of
+ * orders asks for their customers in one query instead of one per order.
+ *
+ * Files go to `src/graphql/typeDefs` and `src/graphql/resolvers`, where the
+ * template's `src/schema.js` picks up every file, and use its `context`,
+ * `graphql/pagination` and `graphql/loaders` modules and the generated
+ * Sequelize model.
+ *
+ * @author REST-SPEC
+ */
+
+const { literal, stringTypes, filterTypes, sortableFields } = require('./code-gen-fields');
+
+const graphqlTemplates = {
+  typeDefs: `/**
+ * {{entityName}} Type Definitions
+ *
+ * GraphQL schema for {{entityName}} queries and mutations
+ * @author {{author}}
+ */
+
+module.exports = /* GraphQL */ \`
+  type {{entityPascalCase}} {
+    id: ID!
+{{graphqlObjectFields}}
+    createdAt: DateTime!
+    updatedAt: DateTime!
+  }
+{{graphqlEnums}}
+  type {{entityPascalCase}}Edge {
+    cursor: String!
+    node: {{entityPascalCase}}!
+  }
+
+  type {{entityPascalCase}}Connection {
+    edges: [{{entityPascalCase}}Edge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  input Create{{entityPascalCase}}Input {
+{{graphqlCreateFields}}
+  }
+
+  input Update{{entityPascalCase}}Input {
+{{graphqlUpdateFields}}
+  }
+{{graphqlFilterInput}}
+  enum {{entityPascalCase}}SortField {
+{{graphqlSortFields}}
+  }
+
+  extend type Query {
+    {{entityCamelCase}}(id: ID!): {{entityPascalCase}}
+    {{entityPluralCamelCase}}(
+      first: Int = 20
+      after: String{{graphqlFilterArgument}}
+      sort: {{entityPascalCase}}SortField = createdAt
+      order: SortOrder = DESC
+    ): {{entityPascalCase}}Connection!
+  }
+
+  extend type Mutation {
+    create{{entityPascalCase}}(input: Create{{entityPascalCase}}Input!): {{entityPascalCase}}!
+    update{{entityPascalCase}}(id: ID!, input: Update{{entityPascalCase}}Input!): {{entityPascalCase}}
+    delete{{entityPascalCase}}(id: ID!): Boolean!
+  }
+\`;
+`,
+
+  resolvers: `/**
+ * {{entityName}} Resolvers
+ *
+ * Queries and mutations for {{entityPlural}}; related records are loaded in
+ * batches through the DataLoaders in the request context
+ * @author {{author}}
+ */
+
+const { Op, ValidationError } = require('sequelize');
+const { GraphQLError } = require('graphql');
+const { requireUser } = require('../../context');
+const { paginate } = require('../pagination');
+const {{entityPascalCase}} = require('../../models/{{entityPascalCase}}');
+{{graphqlModelImports}}
+// Fields matched by the search filter
+const searchFields = [{{graphqlSearchFields}}];
+
+/**
+ * Build the where clause for a {{entityName}} filter
+ * @param {Object} [filter] - Search text and field values to match exactly
+ * @returns {Object} Sequelize where clause
+ */
+const buildWhere = ({ search, ...values } = {}) => {
+  const where = { ...values };
+  if (search && searchFields.length > 0) {
+    where[Op.or] = searchFields.map(field => ({ [field]: { [Op.like]: \`%\${search}%\` } }));
+  }
+  return where;
+};
+
+/**
+ * Report model validation errors as invalid input
+ * @param {Error} error - Error thrown by Sequelize
+ * @returns {Error} Error to throw
+ */
+const badUserInput = error => {
+  if (!(error instanceof ValidationError)) {
+    return error;
+  }
+  return new GraphQLError(error.errors.map(item => item.message).join(', ') || error.message, {
+    extensions: { code: 'BAD_USER_INPUT', fields: error.errors.map(item => item.path) }
+  });
+};
+
+module.exports = {
+  Query: {
+    {{entityCamelCase}}: (parent, { id }, context) => {
+      requireUser(context);
+      return context.loaders.byId({{entityPascalCase}}).load(id);
+    },
+
+    {{entityPluralCamelCase}}: (parent, { first, after, filter, sort, order }, context) => {
+      requireUser(context);
+      return paginate({{entityPascalCase}}, { where: buildWhere(filter), first, after, sort, order });
+    }
+  },
+
+  Mutation: {
+    create{{entityPascalCase}}: async (parent, { input }, context) => {
+      const user = requireUser(context);
+      try {
+        return await {{entityPascalCase}}.create({ ...input, createdBy: user.id });
+      } catch (error) {
+        throw badUserInput(error);
+      }
+    },
+
+    update{{entityPascalCase}}: async (parent, { id, input }, context) => {
+      const user = requireUser(context);
+      const {{entityCamelCase}} = await {{entityPascalCase}}.findByPk(id);
+      if (!{{entityCamelCase}}) {
+        return null;
+      }
+      try {
+        await {{entityCamelCase}}.update({ ...input, updatedBy: user.id });
+      } catch (error) {
+        throw badUserInput(error);
+      }
+      context.loaders.byId({{entityPascalCase}}).clear(id).prime(id, {{entityCamelCase}});
+      return {{entityCamelCase}};
+    },
+
+    delete{{entityPascalCase}}: async (parent, { id }, context) => {
+      requireUser(context);
+      const deleted = await {{entityPascalCase}}.destroy({ where: { id } });
+      context.loaders.byId({{entityPascalCase}}).clear(id);
+      return deleted > 0;
+    }
+  }{{graphqlTypeResolvers}}
+};
+`,
+};
+
+// GraphQL types for the field types that do not depend on the field
+const scalarTypes = {
+  string: 'String',
+  text: 'String',
+  email: 'String',
+  url: 'String',
+  integer: 'Int',
+  // Int is 32-bit, and MySQL returns decimals as strings to keep their precision
+  bigint: 'String',
+  decimal: 'String',
+  float: 'Float',
+  boolean: 'Boolean',
+  date: 'String',
+  datetime: 'DateTime',
+  uuid: 'ID',
+  json: 'JSON',
+};
+
+const pascal = name => name.replace(/^[a-z]/, c => c.toUpperCase());
+
+/**
+ * Whether every value of an enum field can be a GraphQL enum value
+ */
+function isGraphQLEnum(field) {
+  return field.values.every(
+    value => /^[_A-Za-z][_0-9A-Za-z]*$/.test(value) && !['true', 'false', 'null'].includes(value)
+  );
+}
+
+/**
+ * GraphQL type of a field, without the non-null marker; enums whose values
+ * are not valid GraphQL names are strings
+ */
+function graphqlType(field, entityPascal) {
+  if (field.type === 'enum') {
+    return isGraphQLEnum(field) ? `${entityPascal}${pascal(field.name)}` : 'String';
+  }
+  return scalarTypes[field.type];
+}
+
+/**
+ * Render the field type of a related entity and its resolver
+ */
+function relationMembers(relation, entityPascal) {
+  const target = relation.target.entityPascalCase;
+
+  if (relation.type === 'belongsTo') {
+    return {
+      field: `${relation.alias}: ${target}`,
+      resolver: `${relation.alias}: (parent, args, { loaders }) =>
+      parent.${relation.foreignKey} ? loaders.byId(${target}).load(parent.${relation.foreignKey}) : null`,
+    };
+  }
+  if (relation.type === 'hasMany') {
+    return {
+      field: `${relation.alias}: [${target}!]!`,
+      resolver: `${relation.alias}: (parent, args, { loaders }) =>
+      loaders.byForeignKey(${target}, '${relation.foreignKey}').load(parent.id)`,
+    };
+  }
+  return {
+    field: `${relation.alias}: [${target}!]!`,
+    resolver: `${relation.alias}: (parent, args, { loaders }) =>
+      loaders.byAssociation(${entityPascal}, '${relation.alias}').load(parent.id)`,
+  };
+}
+
+/**
+ * Build the template variables of the GraphQL templates
+ * @param {Object[]} fields - Normalized fields, foreign keys included
+ * @param {Object[]} relations - Described relations
+ * @param {Object} names - Case variations of the entity name
+ * @returns {Object} Template variables
+ */
+function graphqlTemplateVariables(fields, relations, names) {
+  const entityPascal = names.entityPascalCase;
+  const indent = lines => lines.map(line => `    ${line}`).join('\n');
+  const typed = field => graphqlType(field, entityPascal);
+  const members = relations.map(relation => relationMembers(relation, entityPascal));
+
+  const enums = fields
+    .filter(field => field.type === 'enum' && isGraphQLEnum(field))
+    .map(field => `\n  enum ${typed(field)} {\n${indent(field.values)}\n  }\n`);
+
+  const searchable = fields.filter(field => stringTypes.includes(field.type));
+  const filters = [
+    ...(searchable.length > 0 ? ['search: String'] : []),
+    ...fields
+      .filter(field => filterTypes.includes(field.type))
+      .map(field => `${field.name}: ${typed(field)}`),
+  ];
+  const filterInput = `${entityPascal}Filter`;
+
+  // Models the relation resolvers load from; many-to-many goes through this entity's own
+  const related = [
+    ...new Set(
+      relations
+        .filter(relation => relation.type !== 'belongsToMany')
+        .map(relation => relation.target.entityPascalCase)
+    ),
+  ].filter(target => target !== entityPascal);
+
+  return {
+    graphqlObjectFields: indent([
+      ...fields.map(field => `${field.name}: ${typed(field)}${field.required ? '!' : ''}`),
+      ...members.map(member => member.field),
+    ]),
+    graphqlEnums: enums.join(''),
+    graphqlCreateFields: indent(
+      fields.map(
+        field =>
+          `${field.name}: ${typed(field)}${field.required && field.default === undefined ? '!' : ''}`
+      )
+    ),
+    graphqlUpdateFields: indent(fields.map(field => `${field.name}: ${typed(field)}`)),
+    graphqlFilterInput:
+      filters.length > 0 ? `\n  input ${filterInput} {\n${indent(filters)}\n  }\n` : '',
+    graphqlFilterArgument: filters.length > 0 ? `\n      filter: ${filterInput}` : '',
+    graphqlSortFields: indent(sortableFields(fields)),
+    graphqlModelImports: related
+      .map(target => `const ${target} = require('../../models/${target}');\n`)
+      .join(''),
+    graphqlSearchFields: searchable.map(field => literal(field.name)).join(', '),
+    graphqlTypeResolvers:
+      members.length > 0
+        ? `,\n\n  ${entityPascal}: {\n${members
+            .map(member => `    ${member.resolver}`)
+            .join(',\n\n')}\n  }`
+        : '',
+  };
+}
+
+module.exports = {
+  graphqlTemplates,
+  graphqlTemplateVariables,
+};
@@ -0,0 +1,819 @@
+/**
+ * Record Lifecycle Options for the Code Generator
+ *
+ * Opt-in behavior for how generated records change over time, emitted
+ * consistently in the model, controller, routes, validation and tests:
+ *
+ * - softDelete: repositories always soft delete, so a delete only sets
+ *   `deletedAt`; this adds `?deleted=include|only` to the list endpoint and
+ *   `POST /:id/restore` to bring a deleted record back
+ * - optimisticLocking: a `version` column the repository checks on every
+ *   write, sent as the `ETag` of a record; updates and deletes with an
+ *   `If-Match` header for another version are rejected with 412
+ *   Precondition Failed
+ * - audit: every create, update, delete and restore is recorded with the
+ *   values before and after in a shared `auditLogs` table, read back with
+ *   `GET /:id/history`; Sequelize models record them in hooks, the other
+ *   repositories in the transaction of the change
+ *
+ * Without them the generated files are as they always were. The options
+ * apply to the JavaScript and TypeScript controllers, whichever persistence
+ * target their repository uses (see code-gen-persistence.js).
+ *
+ * @author REST-SPEC
+ */
+
+// Generator options, in the order they are documented
+const lifecycleOptions = ['softDelete', 'optimisticLocking', 'audit'];
+
+/**
+ * Shared audit trail model, generated once for every audited entity
+ */
+const auditLogModel = `/**
+ * AuditLog Model
+ *
+ * Audit trail of audited models: one record per create, update, delete or
+ * restore, with the values the change made
+ * @author {{author}}
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Bookkeeping attributes left out of the recorded changes
+const ignoredAttributes = ['id', 'createdAt', 'updatedAt', 'version'];
+
+const AuditLog = sequelize.define('AuditLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  entityType: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  entityId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  action: {
+    type: DataTypes.ENUM('create', 'update', 'delete', 'restore'),
+    allowNull: false
+  },
+  changes: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  // No foreign key, so the trail outlives the users in it
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  // Milliseconds keep the changes made within a second in order
+  createdAt: {
+    type: DataTypes.DATE(3),
+    allowNull: false
+  }
+}, {
+  tableName: 'auditLogs',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['entityType', 'entityId']
+    },
+    {
+      fields: ['userId']
+    }
+  ]
+});
+
+/**
+ * The attributes that differ between two sets of values
+ * @param {Object} before - Values before the change
+ * @param {Object} after - Values after the change
+ * @returns {Object} \`{ [attribute]: { before, after } }\`
+ */
+const diff = (before, after) => {
+  const changes = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(name => {
+    const from = before[name] ?? null;
+    const to = after[name] ?? null;
+    if (!ignoredAttributes.includes(name) && JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[name] = { before: from, after: to };
+    }
+  });
+  return changes;
+};
+
+/**
+ * Record a change from the hooks of an audited model. Pass \`userId\` in the
+ * options of the create, update, destroy or restore call that made it.
+ * @param {string} action - create, update, delete or restore
+ * @param {Object} record - The record after the change
+ * @param {Object} options - Options of the call, with \`userId\` and \`transaction\`
+ * @returns {Promise<Object|null>} The audit record, or null when nothing changed
+ */
+AuditLog.record = async (action, record, options = {}) => {
+  const current = record.get({ plain: true });
+  const previous = Object.fromEntries(
+    (record.changed() || []).map(name => [name, record.previous(name)])
+  );
+  const [before, after] = {
+    create: [{}, current],
+    update: [{ ...current, ...previous }, current],
+    delete: options.force ? [current, {}] : [{ ...current, deletedAt: null }, current],
+    // beforeRestore keeps the deletion time, which restoring clears
+    restore: [{ ...current, deletedAt: options.deletedAt }, current]
+  }[action];
+  const changes = diff(before, after);
+
+  if (Object.keys(changes).length === 0) {
+    return null;
+  }
+  return AuditLog.create({
+    entityType: record.constructor.name,
+    entityId: record.id,
+    action,
+    changes,
+    userId: options.userId ?? null
+  }, { transaction: options.transaction });
+};
+
+module.exports = AuditLog;`;
+
+/**
+ * The audit trail model in TypeScript; the changes are recorded with
+ * `recordChange`, and the options of Sequelize calls take the `userId`
+ */
+const typescriptAuditLogModel = `/**
+ * AuditLog Model
+ *
+ * Audit trail of audited models: one record per create, update, delete or
+ * restore, with the values the change made
+ * @author {{author}}
+ */
+
+import { DataTypes } from 'sequelize';
+import type { Model, Optional, Transactionable } from 'sequelize';
+import { sequelize } from '../config/database';
+
+declare module 'sequelize' {
+  interface Transactionable {
+    /** User making the change, recorded in the audit trail */
+    userId?: string | undefined;
+    /** When a record being restored was deleted */
+    deletedAt?: unknown;
+  }
+}
+
+/**
+ * Values before and after a change, by attribute
+ */
+export type Changes = Record<string, { before: unknown; after: unknown }>;
+
+/**
+ * AuditLog columns
+ */
+export interface AuditLogAttributes {
+  id: string;
+  entityType: string;
+  entityId: string;
+  action: 'create' | 'update' | 'delete' | 'restore';
+  changes: Changes;
+  userId: string | null;
+  createdAt: Date;
+}
+
+/**
+ * Columns that can be left out when recording a change
+ */
+export type AuditLogCreationAttributes = Optional<AuditLogAttributes, 'id' | 'userId' | 'createdAt'>;
+
+/**
+ * AuditLog instance
+ */
+export interface AuditLogInstance
+  extends Model<AuditLogAttributes, AuditLogCreationAttributes>,
+    AuditLogAttributes {}
+
+// Bookkeeping attributes left out of the recorded changes
+const ignoredAttributes = ['id', 'createdAt', 'updatedAt', 'version'];
+
+export const AuditLog = sequelize.define<AuditLogInstance>('AuditLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  entityType: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  entityId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  action: {
+    type: DataTypes.ENUM('create', 'update', 'delete', 'restore'),
+    allowNull: false
+  },
+  changes: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  // No foreign key, so the trail outlives the users in it
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  // Milliseconds keep the changes made within a second in order
+  createdAt: {
+    type: DataTypes.DATE(3),
+    allowNull: false
+  }
+}, {
+  tableName: 'auditLogs',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['entityType', 'entityId']
+    },
+    {
+      fields: ['userId']
+    }
+  ]
+});
+
+/**
+ * The attributes that differ between two sets of values
+ * @param before - Values before the change
+ * @param after - Values after the change
+ * @returns \`{ [attribute]: { before, after } }\`
+ */
+const diff = (before: Record<string, unknown>, after: Record<string, unknown>): Changes => {
+  const changes: Changes = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(name => {
+    const from = before[name] ?? null;
+    const to = after[name] ?? null;
+    if (!ignoredAttributes.includes(name) && JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[name] = { before: from, after: to };
+    }
+  });
+  return changes;
+};
+
+/**
+ * Record a change from the hooks of an audited model. Pass \`userId\` in the
+ * options of the create, update, destroy or restore call that made it.
+ * @param action - create, update, delete or restore
+ * @param record - The record after the change
+ * @param options - Options of the call, with \`userId\` and \`transaction\`
+ */
+export const recordChange = async (
+  action: AuditLogAttributes['action'],
+  record: Model,
+  options: Transactionable & { force?: boolean | undefined }
+): Promise<void> => {
+  const current: Record<string, unknown> = record.get({ plain: true });
+  const previous: Record<string, unknown> = record.previous();
+  const [before, after] = {
+    create: [{}, current],
+    update: [{ ...current, ...previous }, current],
+    delete: options.force ? [current, {}] : [{ ...current, deletedAt: null }, current],
+    // beforeRestore keeps the deletion time, which restoring clears
+    restore: [{ ...current, deletedAt: options.deletedAt }, current]
+  }[action];
+  const changes = diff(before, after);
+
+  if (Object.keys(changes).length === 0) {
+    return;
+  }
+  await AuditLog.create({
+    entityType: record.constructor.name,
+    entityId: String(record.get('id')),
+    action,
+    changes,
+    userId: options.userId ?? null
+  }, { transaction: options.transaction ?? null });
+};
+`;
+
+/**
+ * Read the lifecycle options from generator options
+ * @param {Object} [options] - Generator options
+ * @param {boolean} [options.softDelete] - List and restore deleted records
+ * @param {boolean} [options.optimisticLocking] - Version records and check If-Match
+ * @param {boolean} [options.audit] - Record changes in the audit trail
+ * @returns {Object} Options, with `custom` set when any is on
+ */
+function parseLifecycleOptions(options = {}) {
+  const lifecycle = Object.fromEntries(
+    lifecycleOptions.map(name => [name, Boolean(options[name])])
+  );
+  lifecycle.custom = lifecycleOptions.some(name => lifecycle[name]);
+  return lifecycle;
+}
+
+/**
+ * Render the model hooks that write the audit trail
+ */
+function renderAuditHooks(camel, lang) {
+  const typed = lang === 'ts';
+  const record = action =>
+    typed
+      ? `recordChange('${action}', ${camel}, options)`
+      : `AuditLog.record('${action}', ${camel}, options)`;
+
+  return `,
+    afterCreate: (${camel}, options) => ${record('create')},
+    afterUpdate: (${camel}, options) => ${record('update')},
+    afterDestroy: (${camel}, options) => ${record('delete')},
+    beforeRestore: (${camel}, options) => {
+      options.deletedAt = ${typed ? `${camel}.get('deletedAt')` : `${camel}.deletedAt`};
+    },
+    afterRestore: (${camel}, options) => ${record('restore')}`;
+}
+
+/**
+ * Render the controller helpers for entity tags and If-Match
+ */
+function renderLockingHelpers(entityName, lang) {
+  if (lang === 'ts') {
+    return `
+/**
+ * Entity tag of a record, from the version incremented on every write
+ * @param record - ${entityName} record
+ * @returns Quoted entity tag
+ */
+const etagOf = (record: Record<string, unknown>): string => \`"\${record.version}"\`;
+
+/**
+ * The version the If-Match header asks a write to be based on: none without
+ * the header or for *, and -1, which no record has, for a tag that is not a
+ * version; of several tags the first counts
+ * @param req - Express request object, or anything that reads headers like it
+ * @returns Expected version
+ */
+const expectedVersion = (req: { get(name: string): string | undefined }): number | undefined => {
+  const ifMatch = req.get('If-Match');
+  if (!ifMatch || ifMatch.trim() === '*') {
+    return undefined;
+  }
+
+  const [tag] = ifMatch.split(',').map(item => item.trim());
+  const match = /^"(\\d+)"$/.exec(tag);
+  return match ? Number(match[1]) : -1;
+};
+
+/**
+ * Turn the error the repository throws for a write based on another version
+ * of the record, or one another request saved after it was read, into a 412
+ * @param error - Error from the write
+ */
+const rejectStaleWrite = (error: unknown): never => {
+  if (error instanceof Error && error.name === 'StaleWriteError') {
+    throw new AppError('${entityName} has been modified; get it again before changing it', 412);
+  }
+  throw error;
+};
+`;
+  }
+
+  return `
+/**
+ * Entity tag of a record, from the version incremented on every write
+ * @param {Object} record - ${entityName} record
+ * @returns {string} Quoted entity tag
+ */
+const etagOf = (record) => \`"\${record.version}"\`;
+
+/**
+ * The version the If-Match header asks a write to be based on: none without
+ * the header or for *, and -1, which no record has, for a tag that is not a
+ * version; of several tags the first counts
+ * @param {Object} req - Express request object
+ * @returns {number|undefined} Expected version
+ */
+const expectedVersion = (req) => {
+  const ifMatch = req.get('If-Match');
+  if (!ifMatch || ifMatch.trim() === '*') {
+    return undefined;
+  }
+
+  const [tag] = ifMatch.split(',').map(item => item.trim());
+  const match = /^"(\\d+)"$/.exec(tag);
+  return match ? Number(match[1]) : -1;
+};
+
+/**
+ * Turn the error the repository throws for a write based on another version
+ * of the record, or one another request saved after it was read, into a 412
+ * @param {Error} error - Error from the write
+ */
+const rejectStaleWrite = (error) => {
+  if (error.name === 'StaleWriteError') {
+    throw new AppError('${entityName} has been modified; get it again before changing it', 412);
+  }
+  throw error;
+};
+`;
+}
+
+/**
+ * Render the restore and history handlers
+ */
+function renderHandlers(lifecycle, names, lang) {
+  const { entityName, entityCamelCase: camel, entityKebabCase: kebab } = names;
+  const typed = lang === 'ts';
+  const repository = `${camel}Repository`;
+  const userId = typed ? 'req.user?.id' : 'req.user.id';
+  const handlers = [];
+  const handler = (name, summary, body, action, failure) => `
+/**
+ * ${summary}${
+   typed
+     ? `
+ */
+export const ${name}: AsyncHandler<Request<{ id: string }>> = async (req, res, next) => {`
+     : `
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const ${name} = async (req, res, next) => {`
+ }
+  try {
+${body}
+  } catch (error) {
+    logger.error({
+      component: '${kebab}-controller',
+      action: '${action}',
+      userId: req.user?.id,
+      ${camel}Id: req.params.id,
+      err: error
+    }, '${failure}');
+
+    next(error);
+  }
+};
+`;
+
+  if (lifecycle.softDelete) {
+    const etag = lifecycle.optimisticLocking ? `    res.set('ETag', etagOf(${camel}));\n` : '';
+    // TypeScript repositories take the user only when they record it
+    const restoreOptions = !typed || lifecycle.audit ? `, { userId: ${userId} }` : '';
+    // Restoring finds nothing when another request restored the record first
+    const restored = typed
+      ? `
+
+    if (!${camel}) {
+      throw new AppError('${entityName} is not deleted', 409);
+    }`
+      : '';
+    handlers.push(
+      handler(
+        'restore',
+        `Restore a deleted ${entityName}`,
+        `    const { id } = req.params;
+
+    const existing = await ${repository}.findById(id, { deleted: 'include' });
+
+    if (!existing) {
+      throw new AppError('${entityName} not found', 404);
+    }
+    if (!existing.deletedAt) {
+      throw new AppError('${entityName} is not deleted', 409);
+    }
+
+    const ${camel} = await ${repository}.restore(id${restoreOptions});${restored}
+
+    logger.info({
+      component: '${kebab}-controller',
+      action: 'restore',
+      userId: ${userId},
+      ${camel}Id: id
+    }, '${entityName} restored');
+
+${etag}    res.json({ ${camel} });`,
+        'restore',
+        `Failed to restore ${entityName}`
+      )
+    );
+  }
+
+  if (lifecycle.audit) {
+    handlers.push(
+      handler(
+        'getHistory',
+        `Get the audit trail of a ${entityName}, oldest change first`,
+        `    const { id } = req.params;
+
+    // Deleted records keep their history
+    const ${camel} = await ${repository}.findById(id, { deleted: 'include' });
+
+    if (!${camel}) {
+      throw new AppError('${entityName} not found', 404);
+    }
+
+    const history = await ${repository}.findHistory(id);
+
+    logger.info({
+      component: '${kebab}-controller',
+      action: 'getHistory',
+      userId: ${userId},
+      ${camel}Id: id,
+      count: history.length
+    }, '${entityName} history retrieved');
+
+    res.json({ history });`,
+        'getHistory',
+        `Failed to retrieve ${entityName} history`
+      )
+    );
+  }
+
+  return handlers.join('');
+}
+
+/**
+ * Render the restore and history routes
+ */
+function renderRoutes(lifecycle, names) {
+  const {
+    entityName,
+    entityCamelCase: camel,
+    entityPascalCase: pascal,
+    entityPlural: plural,
+  } = names;
+  const routes = [];
+
+  if (lifecycle.softDelete) {
+    routes.push(`
+/**
+ * @route POST /api/${plural}/:id/restore
+ * @summary Restore ${entityName}
+ * @description Restores a deleted ${entityName}
+ * @tag ${pascal}
+ * @param {string} id - ${entityName} ID
+ * @response 200 {${pascal}} - ${entityName} restored
+ * @response 404 - ${entityName} not found
+ * @response 409 - ${entityName} is not deleted
+ * @response 401 - Unauthorized
+ * @security bearerAuth
+ */
+router.post('/:id/restore',
+  authenticate,
+  ${camel}Controller.restore
+);
+`);
+  }
+
+  if (lifecycle.audit) {
+    routes.push(`
+/**
+ * @route GET /api/${plural}/:id/history
+ * @summary Get ${entityName} history
+ * @description Retrieves the changes made to a ${entityName}, oldest first, each with its action, the changed values before and after, userId and createdAt
+ * @tag ${pascal}
+ * @param {string} id - ${entityName} ID
+ * @response 200 - ${entityName} history
+ * @response 404 - ${entityName} not found
+ * @response 401 - Unauthorized
+ * @security bearerAuth
+ */
+router.get('/:id/history',
+  authenticate,
+  ${camel}Controller.getHistory
+);
+`);
+  }
+
+  return routes.join('');
+}
+
+/**
+ * Render the test suites for the options, updating records with the
+ * payloads of the field tests
+ */
+function renderTests(lifecycle, names, tests, lang) {
+  const { entityName, entityCamelCase: camel, entityPascalCase: pascal } = names;
+  const plural = names.entityPlural;
+  const record = `test${pascal}`;
+  const repository = `${camel}Repository`;
+  // Response bodies are untyped, so TypeScript needs the record's type
+  const listed = lang === 'ts' ? `(${camel}: { id: string })` : camel;
+  const suites = [];
+
+  if (lifecycle.softDelete) {
+    suites.push(`
+  describe('POST /api/${plural}/:id/restore', () => {
+    test('should restore a deleted ${entityName}', async () => {
+      await ${repository}.remove(${record}.id);
+
+      const response = await request(app)
+        .post(\`/api/${plural}/\${${record}.id}/restore\`)
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .expect(200);
+
+      expect(response.body.${camel}.id).toBe(${record}.id);
+      expect(await ${repository}.findById(${record}.id)).toBeTruthy();
+    });
+
+    test('should only restore deleted ${plural}', async () => {
+      await request(app)
+        .post(\`/api/${plural}/\${${record}.id}/restore\`)
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .expect(409);
+    });
+
+    test('should list deleted ${plural} only when asked', async () => {
+      await ${repository}.remove(${record}.id);
+
+      const listed = await request(app)
+        .get('/api/${plural}')
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .expect(200);
+      expect(listed.body.${names.entityPluralCamelCase}).toHaveLength(0);
+
+      const deleted = await request(app)
+        .get('/api/${plural}?deleted=only')
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .expect(200);
+      expect(deleted.body.${names.entityPluralCamelCase}.map(${listed} => ${camel}.id)).toEqual([${record}.id]);
+    });
+  });
+`);
+  }
+
+  if (lifecycle.optimisticLocking) {
+    suites.push(`
+  describe('Optimistic locking', () => {
+    test('should send the version as an ETag', async () => {
+      const response = await request(app)
+        .get(\`/api/${plural}/\${${record}.id}\`)
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .expect(200);
+
+      expect(response.headers.etag).toBe(\`"\${${record}.version}"\`);
+    });
+
+    test('should reject an update with a stale If-Match', async () => {
+      const { headers } = await request(app)
+        .get(\`/api/${plural}/\${${record}.id}\`)
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .expect(200);
+
+      const updated = await request(app)
+        .put(\`/api/${plural}/\${${record}.id}\`)
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .set('If-Match', headers.etag)
+        .send(${tests.testUpdateBody})
+        .expect(200);
+      expect(updated.headers.etag).not.toBe(headers.etag);
+
+      await request(app)
+        .put(\`/api/${plural}/\${${record}.id}\`)
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .set('If-Match', headers.etag)
+        .send(${tests.testUpdateBody})
+        .expect(412);
+    });
+
+    test('should reject a delete with a stale If-Match', async () => {
+      await request(app)
+        .delete(\`/api/${plural}/\${${record}.id}\`)
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .set('If-Match', '"-1"')
+        .expect(412);
+
+      expect(await ${repository}.findById(${record}.id)).toBeTruthy();
+    });
+  });
+`);
+  }
+
+  if (lifecycle.audit) {
+    suites.push(`
+  describe('GET /api/${plural}/:id/history', () => {
+    test('should record who changed what', async () => {
+      const updateData = {
+${tests.testUpdateData}
+      };
+
+      await request(app)
+        .put(\`/api/${plural}/\${${record}.id}\`)
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .send(updateData)
+        .expect(200);
+
+      const response = await request(app)
+        .get(\`/api/${plural}/\${${record}.id}/history\`)
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .expect(200);
+
+      const [created, updated] = response.body.history;
+      expect(created.action).toBe('create');
+      expect(updated).toMatchObject({ action: 'update', userId: testUser.id });
+      Object.keys(updateData).forEach(name => {
+        expect(updated.changes[name]).toHaveProperty('before');
+        expect(updated.changes[name]).toHaveProperty('after');
+      });
+    });
+${
+  lifecycle.softDelete
+    ? `
+    test('should record deletes and restores', async () => {
+      await ${repository}.remove(${record}.id, { userId: testUser.id });
+      await ${repository}.restore(${record}.id, { userId: testUser.id });
+
+      const response = await request(app)
+        .get(\`/api/${plural}/\${${record}.id}/history\`)
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .expect(200);
+
+      const [, deleted, restored] = response.body.history;
+      expect(deleted.changes.deletedAt.before).toBeNull();
+      expect(restored.changes.deletedAt).toEqual({ before: deleted.changes.deletedAt.after, after: null });
+    });
+`
+    : ''
+}  });
+`);
+  }
+
+  return suites.join('');
+}
+
+/**
+ * Build every lifecycle template variable; all are empty when no option is on
+ * @param {Object} names - Entity names from `entityNames`
+ * @param {Object} fieldVariables - Variables from `fieldTemplateVariables`,
+ *   for the update payloads of the tests
+ * @param {Object} [options] - Generator options (see `parseLifecycleOptions`)
+ * @param {string} [options.lang] - `js` (default) or `ts`
+ * @returns {Object} Template variables
+ */
+function lifecycleTemplateVariables(names, fieldVariables, options = {}) {
+  const lifecycle = parseLifecycleOptions(options);
+  const { lang } = options;
+  const { entityName, entityCamelCase: camel } = names;
+  const { softDelete, optimisticLocking, audit } = lifecycle;
+  const exports = [...(softDelete ? ['restore'] : []), ...(audit ? ['getHistory'] : [])];
+  // TypeScript repositories take write options only for the options that are on
+  const writeOptions = [
+    ...(audit ? ['userId: req.user?.id'] : []),
+    ...(optimisticLocking ? ['version: expectedVersion(req)'] : []),
+  ];
+
+  return {
+    modelImports: audit
+      ? lang === 'ts'
+        ? "import { recordChange } from './AuditLog';\n"
+        : "const AuditLog = require('./AuditLog');\n"
+      : '',
+    modelOptions: optimisticLocking ? '  version: true, // Optimistic locking\n' : '',
+    modelHooks: audit ? renderAuditHooks(camel, lang) : '',
+    etagHeader: optimisticLocking ? `    res.set('ETag', etagOf(${camel}));\n` : '',
+    versionOption: optimisticLocking ? ',\n      version: expectedVersion(req)' : '',
+    lifecycleCreateOptions: audit ? ', { userId: req.user?.id }' : '',
+    lifecycleWriteOptions:
+      writeOptions.length > 0 ? `, {\n      ${writeOptions.join(',\n      ')}\n    }` : '',
+    staleWriteCatch: optimisticLocking ? '.catch(rejectStaleWrite)' : '',
+    lifecycleHelpers: optimisticLocking ? renderLockingHelpers(entityName, lang) : '',
+    lifecycleHandlers: renderHandlers(lifecycle, names, lang),
+    lifecycleExports: exports.map(name => `,\n  ${name}`).join(''),
+    lifecycleRoutes: renderRoutes(lifecycle, names),
+    deletedParam: softDelete
+      ? ` * @param {string} [deleted] - include to list deleted ${names.entityPlural} as well, only to list just those\n`
+      : '',
+    ifMatchHeader: optimisticLocking
+      ? ` * @header {string} [If-Match] - ETag of the ${entityName} as last read\n`
+      : '',
+    preconditionResponse: optimisticLocking
+      ? ` * @response 412 - ${entityName} has been modified since it was read\n`
+      : '',
+    deletedRule: softDelete ? "  deleted: Joi.string().valid('include', 'only').optional(),\n" : '',
+    testLifecycleSuites: renderTests(lifecycle, names, fieldVariables, lang),
+  };
+}
+
+const lifecycleTemplates = {
+  model: { audit: auditLogModel },
+};
+
+const typescriptLifecycleTemplates = {
+  model: { audit: typescriptAuditLogModel },
+};
+
+module.exports = {
+  lifecycleOptions,
+  lifecycleTemplates,
+  typescriptLifecycleTemplates,
+  parseLifecycleOptions,
+  lifecycleTemplateVariables,
+};
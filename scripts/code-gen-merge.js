@@ -0,0 +1,261 @@
+/**
+ * Safe Re-generation for the Code Generator
+ *
+ * Every generated file is recorded with a pristine copy of what the generator
+ * wrote, under `.code-gen/pristine/` in the output directory. When the file is
+ * generated again, changes between the pristine copy and the new output are
+ * merged into the file on disk, keeping the developer's own edits. Lines
+ * changed differently on both sides get git-style conflict markers.
+ *
+ * @author REST-SPEC
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const pristineDirectory = path.join('.code-gen', 'pristine');
+
+const markers = {
+  current: '<<<<<<< current',
+  base: '||||||| previously generated',
+  separator: '=======',
+  generated: '>>>>>>> generated',
+};
+
+/**
+ * Index pairs of a longest common subsequence of two line arrays
+ * @returns {Array<[number, number]>} Matching `[indexInA, indexInB]` pairs, ascending
+ */
+function matchLines(a, b) {
+  // Common prefix and suffix are matched directly to keep the table small
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const rows = endA - start;
+  const columns = endB - start;
+  const lengths = new Uint32Array((rows + 1) * (columns + 1));
+  const at = (i, j) => i * (columns + 1) + j;
+
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = columns - 1; j >= 0; j--) {
+      lengths[at(i, j)] =
+        a[start + i] === b[start + j]
+          ? lengths[at(i + 1, j + 1)] + 1
+          : Math.max(lengths[at(i + 1, j)], lengths[at(i, j + 1)]);
+    }
+  }
+
+  const pairs = Array.from({ length: start }, (_, index) => [index, index]);
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < columns) {
+    if (a[start + i] === b[start + j]) {
+      pairs.push([start + i, start + j]);
+      i++;
+      j++;
+    } else if (lengths[at(i + 1, j)] >= lengths[at(i, j + 1)]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  for (let offset = 0; offset < a.length - endA; offset++) {
+    pairs.push([endA + offset, endB + offset]);
+  }
+  return pairs;
+}
+
+const sameLines = (a, b) => a.length === b.length && a.every((line, index) => line === b[index]);
+
+/**
+ * Three-way merge of text, line by line
+ *
+ * Lines unchanged in both versions anchor the merge. Between anchors, a
+ * change made on one side only is taken; the same change on both sides is
+ * taken once; different changes become a conflict. Without a base (a file the
+ * generator has no record of), every difference is a conflict.
+ * @param {string|null} base - Previously generated content
+ * @param {string} current - Content on disk, possibly edited
+ * @param {string} generated - Newly generated content
+ * @returns {{ content: string, conflicts: number }} Merged content and conflict count
+ */
+function mergeThreeWay(base, current, generated) {
+  const ours = current.split('\n');
+  const theirs = generated.split('\n');
+  const known = base !== null;
+  const original = known ? base.split('\n') : matchLines(ours, theirs).map(([i]) => ours[i]);
+
+  // Base line -> matching line on each side
+  const toOurs = new Map(matchLines(original, ours));
+  const toTheirs = new Map(matchLines(original, theirs));
+
+  const lines = [];
+  let conflicts = 0;
+  let o = 0;
+  let a = 0;
+  let b = 0;
+
+  const resolve = (baseChunk, ourChunk, theirChunk) => {
+    if (known && sameLines(ourChunk, baseChunk)) {
+      lines.push(...theirChunk);
+    } else if ((known && sameLines(theirChunk, baseChunk)) || sameLines(ourChunk, theirChunk)) {
+      lines.push(...ourChunk);
+    } else {
+      conflicts++;
+      lines.push(markers.current, ...ourChunk);
+      if (known) {
+        lines.push(markers.base, ...baseChunk);
+      }
+      lines.push(markers.separator, ...theirChunk, markers.generated);
+    }
+  };
+
+  while (o < original.length) {
+    if (toOurs.get(o) === a && toTheirs.get(o) === b) {
+      lines.push(original[o]);
+      o++;
+      a++;
+      b++;
+      continue;
+    }
+
+    // Next base line that is still present on both sides
+    let next = o;
+    while (next < original.length && !(toOurs.has(next) && toTheirs.has(next))) {
+      next++;
+    }
+    const nextOurs = next < original.length ? toOurs.get(next) : ours.length;
+    const nextTheirs = next < original.length ? toTheirs.get(next) : theirs.length;
+    resolve(original.slice(o, next), ours.slice(a, nextOurs), theirs.slice(b, nextTheirs));
+    o = next;
+    a = nextOurs;
+    b = nextTheirs;
+  }
+  if (a < ours.length || b < theirs.length) {
+    resolve([], ours.slice(a), theirs.slice(b));
+  }
+
+  return { content: lines.join('\n'), conflicts };
+}
+
+/**
+ * Read a file, or null when it does not exist
+ */
+async function readIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Write a file, creating its directory
+ */
+async function writeFile(filePath, content, journal) {
+  await journal?.record(filePath);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, content);
+}
+
+/**
+ * Record the files a generator run writes, so they can be put back if the
+ * run fails part-way
+ * @returns {{record: Function, rollback: Function}} Call `record(filePath)`
+ *   before writing a file; `rollback()` restores every recorded file, deleting
+ *   the ones that did not exist, and resolves to their paths
+ */
+function createWriteJournal() {
+  const originals = new Map();
+
+  return {
+    async record(filePath) {
+      if (!originals.has(filePath)) {
+        originals.set(filePath, await readIfExists(filePath));
+      }
+    },
+    async rollback() {
+      for (const [filePath, content] of originals) {
+        if (content === null) {
+          await fs.rm(filePath, { force: true });
+        } else {
+          await fs.writeFile(filePath, content);
+        }
+      }
+      return [...originals.keys()];
+    },
+  };
+}
+
+/**
+ * Write generated content, keeping edits made to an earlier generation
+ * @param {string} outputPath - File to write
+ * @param {string} content - Newly generated content
+ * @param {Object} [options] - Write options
+ * @param {string} [options.basePath] - Output directory holding `.code-gen/` (default: cwd)
+ * @param {boolean} [options.force] - Replace the file, discarding edits
+ * @param {boolean} [options.skipExisting] - Leave existing files untouched
+ * @param {Object} [options.journal] - Journal from `createWriteJournal` to record writes in
+ * @returns {Promise<{ status: string, conflicts: number }>} `status` is one of
+ *   `created`, `unchanged`, `updated`, `merged`, `conflict`, `overwritten` or `skipped`
+ */
+async function writeGeneratedFile(outputPath, content, options = {}) {
+  if (options.force && options.skipExisting) {
+    throw new Error('--force and --skip-existing cannot be used together');
+  }
+
+  const basePath = options.basePath || process.cwd();
+  const pristinePath = path.join(basePath, pristineDirectory, path.relative(basePath, outputPath));
+  const current = await readIfExists(outputPath);
+
+  if (current !== null && options.skipExisting) {
+    return { status: 'skipped', conflicts: 0 };
+  }
+
+  let result;
+  if (current === null) {
+    result = { status: 'created', conflicts: 0, content };
+  } else if (current === content) {
+    result = { status: 'unchanged', conflicts: 0 };
+  } else if (options.force) {
+    result = { status: 'overwritten', conflicts: 0, content };
+  } else {
+    const base = await readIfExists(pristinePath);
+    if (base === current) {
+      result = { status: 'updated', conflicts: 0, content };
+    } else {
+      const merged = mergeThreeWay(base, current, content);
+      result = {
+        status: merged.conflicts > 0 ? 'conflict' : 'merged',
+        conflicts: merged.conflicts,
+        content: merged.content,
+      };
+    }
+  }
+
+  if (result.content !== undefined) {
+    await writeFile(outputPath, result.content, options.journal);
+  }
+  // The developer's file now builds on this generation, conflicts included
+  await writeFile(pristinePath, content, options.journal);
+
+  return { status: result.status, conflicts: result.conflicts };
+}
+
+module.exports = {
+  pristineDirectory,
+  mergeThreeWay,
+  writeGeneratedFile,
+  createWriteJournal,
+};
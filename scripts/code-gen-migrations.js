@@ -0,0 +1,517 @@
+/**
+ * Database Migrations for the Code Generator
+ *
+ * Builds a table schema from a generated Sequelize model and renders it as
+ * MySQL following sql-standards-and-patterns.md: InnoDB with utf8mb4 and
+ * utf8mb4_0900_ai_ci, an indexed `inc` column next to the UUID primary key,
+ * capitalized keywords, unquoted identifiers and cascading foreign keys.
+ *
+ * Every generated table migration embeds a snapshot of the table it leaves
+ * behind, so `diff` can compare an edited model with the latest snapshot and
+ * emit an ALTER TABLE migration for the difference.
+ *
+ * @author REST-SPEC
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parse } = require('@babel/parser');
+const { isSqlReservedWord, literal } = require('./code-gen-fields');
+
+const tableOptions = 'ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_0900_ai_ci';
+const incColumn = 'MEDIUMINT UNSIGNED NOT NULL AUTO_INCREMENT';
+
+// Column types MySQL does not allow a literal DEFAULT for
+const noLiteralDefault = /^(TINYTEXT|TEXT|MEDIUMTEXT|LONGTEXT|BLOB|JSON)\b/;
+
+/**
+ * Format a date as a sequelize-cli migration timestamp (YYYYMMDDHHmmss)
+ */
+function migrationTimestamp(date) {
+  return date.toISOString().replace(/\D/g, '').slice(0, 14);
+}
+
+/**
+ * Create a namer for new migration or seeder files. Timestamps are one second
+ * apart and always later than the existing files, so generation order is
+ * preserved even when several runs happen within the same second.
+ * @param {string[]} existing - File names already in the directory
+ * @param {Date} [now] - Earliest timestamp to use
+ * @returns {Function} `(slug) => name` without the `.js` extension
+ */
+function createMigrationNamer(existing, now = new Date()) {
+  const latest = existing
+    .map(file => file.match(/^(\d{14})-/)?.[1])
+    .filter(Boolean)
+    .sort()
+    .pop();
+  let time = now.getTime();
+
+  if (latest) {
+    const [, y, mo, d, h, mi, s] = latest.match(/(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})/);
+    time = Math.max(time, Date.UTC(y, mo - 1, d, h, mi, s) + 1000);
+  }
+
+  return slug => {
+    const name = `${migrationTimestamp(new Date(time))}-${slug}`;
+    time += 1000;
+    return name;
+  };
+}
+
+/**
+ * Find an existing migration by its name without the timestamp
+ */
+function findMigration(files, slug) {
+  return files.find(file => file.endsWith(`-${slug}.js`));
+}
+
+/**
+ * Throw when a table or column name would need quoting
+ */
+function assertSqlName(name, kind) {
+  if (isSqlReservedWord(name)) {
+    throw new Error(`${kind} "${name}" is a reserved SQL word; choose another name`);
+  }
+}
+
+/**
+ * Evaluate literal AST nodes; `DataTypes.X` and `DataTypes.X(...)` become
+ * `{ dataType, args }`, anything else is undefined
+ */
+function evaluate(node) {
+  switch (node?.type) {
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+      return node.value;
+    case 'NullLiteral':
+      return null;
+    case 'TemplateLiteral':
+      return node.expressions.length === 0 ? node.quasis[0].value.cooked : undefined;
+    case 'UnaryExpression':
+      return node.operator === '-' ? -evaluate(node.argument) : undefined;
+    case 'ArrayExpression':
+      return node.elements.map(evaluate);
+    case 'ObjectExpression':
+      return Object.fromEntries(
+        node.properties
+          .filter(property => property.type === 'ObjectProperty' && !property.computed)
+          .map(property => [property.key.name ?? property.key.value, evaluate(property.value)])
+      );
+    case 'MemberExpression':
+      return node.property.type === 'Identifier'
+        ? { dataType: node.property.name, args: [] }
+        : undefined;
+    case 'CallExpression': {
+      const type = evaluate(node.callee);
+      return type?.dataType ? { ...type, args: node.arguments.map(evaluate) } : undefined;
+    }
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Quote a value as an SQL string literal
+ */
+function sqlString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * MySQL column type for a Sequelize data type
+ */
+function sqlType(type) {
+  const [first, second] = type?.args ?? [];
+
+  switch (type?.dataType) {
+    case 'UUID':
+    case 'UUIDV4':
+      return 'VARCHAR(36)';
+    case 'STRING':
+      return `VARCHAR(${first ?? 255})`;
+    case 'CHAR':
+      return `CHAR(${first ?? 255})`;
+    case 'TEXT':
+      return first ? `${String(first).toUpperCase()}TEXT` : 'TEXT';
+    case 'INTEGER':
+      return 'INT';
+    case 'BOOLEAN':
+      return 'TINYINT(1)';
+    case 'DECIMAL':
+      return first === undefined ? 'DECIMAL(10,0)' : `DECIMAL(${first},${second ?? 0})`;
+    case 'DATEONLY':
+      return 'DATE';
+    case 'DATE':
+      return first ? `DATETIME(${first})` : 'DATETIME';
+    case 'JSON':
+    case 'JSONB':
+      return 'JSON';
+    case 'ENUM':
+      return `ENUM(${type.args.flat().map(sqlString).join(', ')})`;
+    case undefined:
+      throw new Error('Every model attribute needs a DataTypes type');
+    default:
+      return type.args.length > 0 ? `${type.dataType}(${type.args.join(',')})` : type.dataType;
+  }
+}
+
+/**
+ * Render a column definition from a model attribute
+ */
+function columnDefinition(name, attribute) {
+  const type = sqlType(attribute.type);
+  const notNull = attribute.allowNull === false || attribute.primaryKey === true;
+  const parts = [type, notNull ? 'NOT NULL' : 'NULL'];
+  const defaultValue = attribute.defaultValue;
+
+  if (defaultValue?.dataType === 'NOW') {
+    parts.push('DEFAULT CURRENT_TIMESTAMP');
+    if (name === 'updatedAt') {
+      parts.push('ON UPDATE CURRENT_TIMESTAMP');
+    }
+  } else if (['string', 'number', 'boolean'].includes(typeof defaultValue)) {
+    // JSON and TEXT defaults stay in the model; MySQL only accepts expressions there
+    if (!noLiteralDefault.test(type)) {
+      parts.push(
+        `DEFAULT ${typeof defaultValue === 'string' ? sqlString(defaultValue) : Number(defaultValue)}`
+      );
+    }
+  } else if (!notNull) {
+    parts.push('DEFAULT NULL');
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Find the `sequelize.define(name, attributes, options)` call in a model
+ */
+function findDefineCall(ast) {
+  let found = null;
+
+  const visit = node => {
+    if (found || !node || typeof node.type !== 'string') {
+      return;
+    }
+    if (
+      node.type === 'CallExpression' &&
+      node.callee.type === 'MemberExpression' &&
+      node.callee.property.name === 'define' &&
+      node.arguments[1]?.type === 'ObjectExpression'
+    ) {
+      found = node;
+      return;
+    }
+    Object.values(node).forEach(value =>
+      Array.isArray(value) ? value.forEach(visit) : value?.type && visit(value)
+    );
+  };
+
+  visit(ast.program);
+  return found;
+}
+
+/**
+ * Build the table schema for a Sequelize model
+ * @param {string} source - Model source code, JavaScript or TypeScript
+ * @returns {Object} `{ table, columns, primaryKey, indexes }`
+ */
+function tableSchemaFromModel(source) {
+  // TypeScript is a superset, so one parser reads models in either language
+  const ast = parse(source, {
+    sourceType: 'unambiguous',
+    errorRecovery: true,
+    plugins: ['typescript'],
+  });
+  const define = findDefineCall(ast);
+  if (!define) {
+    throw new Error('No sequelize.define() call found in the model');
+  }
+
+  const modelName = evaluate(define.arguments[0]);
+  const attributes = evaluate(define.arguments[1]);
+  const options = evaluate(define.arguments[2]) || {};
+  const table = options.tableName || `${modelName}s`;
+  const primaryKey = Object.keys(attributes).filter(name => attributes[name]?.primaryKey);
+  const columns = {};
+  const indexes = {};
+
+  assertSqlName(table, 'Table');
+  Object.entries(attributes).forEach(([name, attribute]) => {
+    assertSqlName(name, 'Column');
+    columns[name] = columnDefinition(name, attribute);
+
+    // `inc` follows the primary key; it helps InnoDB but is never referenced
+    if (name === primaryKey[primaryKey.length - 1]) {
+      columns.inc = incColumn;
+      indexes[`idx_${table}_inc`] = { columns: ['inc'], unique: false };
+    }
+    if (attribute.unique) {
+      const indexName =
+        typeof attribute.unique === 'string' ? attribute.unique : `uq_${table}_${name}`;
+      indexes[indexName] = { columns: [name], unique: true };
+    }
+  });
+
+  if (options.paranoid && !columns.deletedAt) {
+    columns.deletedAt = 'DATETIME NULL DEFAULT NULL';
+  }
+  // Optimistic locking, with `version: true` or the name of the column
+  const version = options.version === true ? 'version' : options.version;
+  if (version && !columns[version]) {
+    columns[version] = 'INT UNSIGNED NOT NULL DEFAULT 0';
+  }
+
+  (options.indexes || []).forEach(index => {
+    const indexColumns = (index.fields || []).map(
+      field => field?.name ?? field?.attribute ?? field
+    );
+    const indexName =
+      index.name || `${index.unique ? 'uq' : 'idx'}_${table}_${indexColumns.join('_')}`;
+    indexes[indexName] = { columns: indexColumns, unique: Boolean(index.unique) };
+  });
+
+  return { table, columns, primaryKey, indexes };
+}
+
+/**
+ * Schema of a many-to-many join table
+ * @param {string} table - Join table name
+ * @param {Array<{column: string}>} keys - The two foreign key columns
+ * @returns {Object} Table schema
+ */
+function joinTableSchema(table, keys) {
+  const columns = {};
+  keys.forEach(({ column }) => {
+    columns[column] = 'VARCHAR(36) NOT NULL';
+  });
+
+  return {
+    table,
+    columns: {
+      ...columns,
+      inc: incColumn,
+      createdAt: 'DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP',
+      updatedAt: 'DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP',
+    },
+    primaryKey: keys.map(key => key.column),
+    indexes: {
+      [`idx_${table}_inc`]: { columns: ['inc'], unique: false },
+      [`idx_${table}_${keys[1].column}`]: { columns: [keys[1].column], unique: false },
+    },
+  };
+}
+
+/**
+ * Render an index clause
+ */
+function indexClause(name, index) {
+  return `${index.unique ? 'UNIQUE INDEX' : 'INDEX'} ${name} (${index.columns.join(', ')})`;
+}
+
+/**
+ * Render a foreign key constraint clause
+ */
+function foreignKeyClause(table, { column, references }, separator = ' ') {
+  return [
+    `CONSTRAINT fk_${table}_${column}`,
+    `FOREIGN KEY (${column})`,
+    `REFERENCES ${references} (id)`,
+    'ON DELETE CASCADE',
+    'ON UPDATE CASCADE',
+  ].join(separator);
+}
+
+/**
+ * Render CREATE TABLE for a schema
+ * @param {Object} schema - Table schema
+ * @param {Array<{column: string, references: string}>} [foreignKeys] - Constraints to add
+ * @returns {string} SQL statement
+ */
+function renderCreateTable(schema, foreignKeys = []) {
+  const definitions = [
+    ...Object.entries(schema.columns).map(([name, definition]) => `${name} ${definition}`),
+    `PRIMARY KEY (${schema.primaryKey.join(', ')})`,
+    ...Object.entries(schema.indexes).map(([name, index]) => indexClause(name, index)),
+    ...foreignKeys.map(foreignKey => foreignKeyClause(schema.table, foreignKey)),
+  ];
+
+  return `CREATE TABLE ${schema.table} (\n    ${definitions.join(',\n    ')}\n) ${tableOptions}`;
+}
+
+/**
+ * Render ALTER TABLE with one clause per line
+ */
+function renderAlterTable(table, clauses) {
+  return `ALTER TABLE ${table}\n    ${clauses.join(',\n    ')}`;
+}
+
+/**
+ * Render the statements adding and dropping a foreign key constraint
+ * @returns {{up: string, down: string}} SQL statements
+ */
+function renderForeignKey(table, foreignKey) {
+  return {
+    up: renderAlterTable(table, [`ADD ${foreignKeyClause(table, foreignKey, '\n    ')}`]),
+    down: renderAlterTable(table, [`DROP FOREIGN KEY fk_${table}_${foreignKey.column}`]),
+  };
+}
+
+/**
+ * Position clause for a column added back in schema order
+ */
+function afterClause(columnNames, name) {
+  const index = columnNames.indexOf(name);
+  return index === 0 ? 'FIRST' : `AFTER ${columnNames[index - 1]}`;
+}
+
+/**
+ * Compare two schemas of the same table
+ * @param {Object} previous - Schema from the latest migration
+ * @param {Object} next - Schema from the model
+ * @returns {{up: string[], down: string[], dropped: string[]}|null} ALTER TABLE
+ *   clauses in both directions, or null when nothing changed
+ */
+function diffSchemas(previous, next) {
+  const sameIndex = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const previousColumns = Object.keys(previous.columns);
+  const nextColumns = Object.keys(next.columns);
+
+  const removedIndexes = Object.keys(previous.indexes).filter(
+    name => !sameIndex(previous.indexes[name], next.indexes[name])
+  );
+  const addedIndexes = Object.keys(next.indexes).filter(
+    name => !sameIndex(previous.indexes[name], next.indexes[name])
+  );
+  const dropped = previousColumns.filter(name => !(name in next.columns));
+  const added = nextColumns.filter(name => !(name in previous.columns));
+  const changed = nextColumns.filter(
+    name => name in previous.columns && previous.columns[name] !== next.columns[name]
+  );
+
+  const up = [
+    ...removedIndexes.map(name => `DROP INDEX ${name}`),
+    ...dropped.map(name => `DROP COLUMN ${name}`),
+    ...changed.map(name => `MODIFY COLUMN ${name} ${next.columns[name]}`),
+    ...added.map(
+      name => `ADD COLUMN ${name} ${next.columns[name]} ${afterClause(nextColumns, name)}`
+    ),
+    ...addedIndexes.map(name => `ADD ${indexClause(name, next.indexes[name])}`),
+  ];
+
+  if (up.length === 0) {
+    return null;
+  }
+
+  const down = [
+    ...addedIndexes.map(name => `DROP INDEX ${name}`),
+    ...added.map(name => `DROP COLUMN ${name}`),
+    ...changed.map(name => `MODIFY COLUMN ${name} ${previous.columns[name]}`),
+    ...dropped.map(
+      name => `ADD COLUMN ${name} ${previous.columns[name]} ${afterClause(previousColumns, name)}`
+    ),
+    ...removedIndexes.map(name => `ADD ${indexClause(name, previous.indexes[name])}`),
+  ];
+
+  return { up, down, dropped };
+}
+
+/**
+ * Render SQL statements as `queryInterface.sequelize.query()` calls, or
+ * `knex.raw()` calls for Knex migrations
+ * @param {string[]} statements - SQL statements
+ * @param {string} [client] - `queryInterface` (default) or `knex`
+ * @returns {string} Migration body lines
+ */
+function renderQueries(statements, client = 'queryInterface') {
+  const call = client === 'knex' ? 'knex.raw' : 'queryInterface.sequelize.query';
+  return statements
+    .map(statement => {
+      const sql = statement
+        .replace(/[`\\]/g, '\\$&')
+        .replace(/\$\{/g, '\\${')
+        .split('\n')
+        .map(line => `      ${line}`)
+        .join('\n');
+      return `    await ${call}(\`\n${sql}\n    \`);`;
+    })
+    .join('\n\n');
+}
+
+/**
+ * Render a schema as a multi-line JavaScript literal
+ */
+function renderSchemaSnapshot(value, indent = '') {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const inner = `${indent}  `;
+    const entries = Object.entries(value).map(
+      ([key, item]) =>
+        `${inner}${/^[A-Za-z_$][\w$]*$/.test(key) ? key : literal(key)}: ${renderSchemaSnapshot(item, inner)}`
+    );
+    return entries.length > 0 ? `{\n${entries.join(',\n')}\n${indent}}` : '{}';
+  }
+  // Column definitions often quote ENUM values and defaults
+  return typeof value === 'string' && value.includes("'") ? JSON.stringify(value) : literal(value);
+}
+
+/**
+ * Read the schema snapshot embedded in a migration, if any
+ */
+function readSchemaSnapshot(source) {
+  let ast;
+  try {
+    ast = parse(source, { sourceType: 'unambiguous', errorRecovery: true });
+  } catch {
+    return null;
+  }
+
+  const declaration = ast.program.body
+    .filter(node => node.type === 'VariableDeclaration')
+    .flatMap(node => node.declarations)
+    .find(declarator => declarator.id.name === 'schema');
+  const schema = evaluate(declaration?.init);
+
+  return schema?.table && schema.columns ? schema : null;
+}
+
+/**
+ * Find the latest migration snapshot for a table
+ * @param {string} migrationsDir - Directory with the migrations
+ * @param {string} table - Table name
+ * @returns {Promise<{file: string, schema: Object}|null>} Latest snapshot
+ */
+async function readLatestSchema(migrationsDir, table) {
+  const files = (await fs.readdir(migrationsDir).catch(() => []))
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .reverse();
+
+  for (const file of files) {
+    const source = await fs.readFile(path.join(migrationsDir, file), 'utf8');
+    if (!source.includes(table)) {
+      continue;
+    }
+    const schema = readSchemaSnapshot(source);
+    if (schema?.table === table) {
+      return { file, schema };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  createMigrationNamer,
+  findMigration,
+  tableSchemaFromModel,
+  joinTableSchema,
+  renderCreateTable,
+  renderAlterTable,
+  renderForeignKey,
+  diffSchemas,
+  renderQueries,
+  renderSchemaSnapshot,
+  readLatestSchema,
+};
@@ -0,0 +1,928 @@
+/**
+ * Code Generator OpenAPI Import
+ *
+ * Design-first generation: reads an OpenAPI 3 document and describes every
+ * operation, grouped by its first tag, for the `openapi` route, controller,
+ * validation and test templates. Routes keep the documented paths and carry
+ * the JSDoc tags the API documentation generator reads, controllers get one
+ * stub per operation, and request parameters and JSON bodies become Joi
+ * schemas. Only local `$ref`s are followed.
+ *
+ * @author REST-SPEC
+ */
+
+const fs = require('fs').promises;
+const { resolveSchema, exampleFromSchema } = require('./api-doc-schema');
+const { literal } = require('./code-gen-fields');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'options', 'head'];
+
+const reservedWords = new Set(
+  (
+    'break case catch class const continue debugger default delete do else export extends ' +
+    'finally for function if import in instanceof new return super switch this throw try ' +
+    'typeof var void while with yield let static enum await implements package protected ' +
+    'interface private public null true false arguments eval'
+  ).split(' ')
+);
+
+const openapiTemplates = {
+  route: `/**
+ * {{tagName}} Routes
+ *
+ * {{tagDescription}}
+ * Mount in src/routes/index.js: router.use('{{mountPath}}', require('./{{entityKebabCase}}'));
+ * @author {{author}}
+ */
+
+const express = require('express');
+const router = express.Router();
+const {{entityCamelCase}}Controller = require('../controllers/{{entityKebabCase}}Controller');
+{{openapiRouteImports}}{{openapiRoutes}}
+module.exports = router;
+`,
+
+  controller: `/**
+ * {{tagName}} Controller
+ *
+ * Handlers for the {{tagName}} operations in {{apiTitle}}
+ * @author {{author}}
+ */
+
+const { AppError } = require('../utils/errors');
+{{openapiHandlers}}
+module.exports = {
+{{openapiHandlerExports}}
+};
+`,
+
+  middleware: `/**
+ * {{tagName}} Validation Schemas
+ *
+ * Request validation for the {{tagName}} operations in {{apiTitle}}
+ * @author {{author}}
+ */
+
+const Joi = require('joi');
+{{openapiSchemas}}
+module.exports = {
+{{openapiSchemaExports}}
+};
+`,
+
+  test: `/**
+ * {{tagName}} API Tests
+ *
+ * Test skeletons for the {{tagName}} operations in {{apiTitle}}. Enable the
+ * skipped tests as the handlers are implemented.
+ * @author {{author}}
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+{{openapiTestSetup}}
+describe('{{tagName}} API', () => {
+{{openapiTestBlocks}}
+});
+`,
+};
+
+/**
+ * Load an OpenAPI 3 document (JSON or YAML)
+ * @param {string} specPath - Path to the document
+ * @returns {Promise<Object>} Parsed document
+ */
+async function loadOpenAPIDocument(specPath) {
+  const content = await fs.readFile(specPath, 'utf8');
+  const spec = /\.ya?ml$/i.test(specPath) ? require('js-yaml').load(content) : JSON.parse(content);
+
+  if (spec?.swagger) {
+    throw new Error(`Only OpenAPI 3 documents are supported (found Swagger ${spec.swagger})`);
+  }
+  if (!/^3\./.test(String(spec?.openapi))) {
+    throw new Error(`${specPath} is not an OpenAPI 3 document`);
+  }
+  return spec;
+}
+
+/**
+ * Convert a tag or path segment into a file-friendly name
+ */
+function toKebabCase(str) {
+  return (
+    str
+      .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+      .replace(/[^A-Za-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '')
+      .toLowerCase() || 'default'
+  );
+}
+
+/**
+ * camelCase identifier from free text such as an operationId
+ */
+function toIdentifier(text) {
+  const words = text
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+  const name = words
+    .map((word, index) =>
+      index === 0 ? word[0].toLowerCase() + word.slice(1) : word[0].toUpperCase() + word.slice(1)
+    )
+    .join('');
+  if (!name || /^\d/.test(name)) {
+    return `op${name[0]?.toUpperCase() ?? ''}${name.slice(1)}`;
+  }
+  return reservedWords.has(name) ? `${name}Handler` : name;
+}
+
+/**
+ * Render an object key, quoting it when it is not an identifier
+ */
+function propertyKey(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : literal(name);
+}
+
+/**
+ * Path segments of a documented path
+ */
+function pathSegments(routePath) {
+  return routePath.split('/').filter(Boolean);
+}
+
+const isParamSegment = segment => /^\{[^}]+\}$/.test(segment);
+
+/**
+ * Express path for documented segments: `{id}` becomes `:id`, and names that
+ * are not identifiers are quoted as Express 5 expects
+ */
+function expressPath(segments) {
+  const converted = segments.map(segment =>
+    segment.replace(/\{([^}]+)\}/g, (match, name) =>
+      /^[A-Za-z_$][\w$]*$/.test(name) ? `:${name}` : `:"${name}"`
+    )
+  );
+  return `/${converted.join('/')}`;
+}
+
+/**
+ * Path of the first server, where the documented paths are served from
+ */
+function serverBasePath(spec) {
+  const url = spec.servers?.[0]?.url;
+  if (!url) {
+    return null;
+  }
+  const pathname = /^[a-z]+:\/\//i.test(url)
+    ? new URL(url.replace(/\{[^}]+\}/g, 'x')).pathname
+    : url;
+  return pathname.replace(/\/+$/, '');
+}
+
+/**
+ * Parameters of an operation, including those declared on its path item
+ */
+function operationParameters(spec, pathItem, operation) {
+  const byKey = new Map();
+  [...(pathItem.parameters || []), ...(operation.parameters || [])].forEach(raw => {
+    const param = resolveSchema(raw, spec);
+    if (param?.name && param.in) {
+      byKey.set(`${param.in}:${param.name}`, param);
+    }
+  });
+  return [...byKey.values()];
+}
+
+/**
+ * Schema of a JSON request or response body
+ */
+function jsonSchema(content) {
+  const type = Object.keys(content || {}).find(key => /[/+]json(;|$)/.test(key));
+  return type ? content[type].schema : undefined;
+}
+
+/**
+ * Name of a `#/components/schemas` reference
+ */
+function componentName(schema) {
+  return schema?.$ref?.match(/^#\/components\/schemas\/([^/]+)$/)?.[1] ?? null;
+}
+
+/**
+ * Requirement alternatives for an operation: `null` when it is public,
+ * otherwise whether it is optional and the security scheme names
+ */
+function operationSecurity(spec, operation) {
+  const requirements = operation.security ?? spec.security ?? [];
+  if (requirements.length === 0) {
+    return null;
+  }
+  return {
+    optional: requirements.some(requirement => Object.keys(requirement).length === 0),
+    schemes: [...new Set(requirements.flatMap(requirement => Object.keys(requirement)))],
+  };
+}
+
+/**
+ * Describe every operation in a document, grouped by first tag (or first path
+ * segment), with routes ordered so static segments are matched before parameters
+ * @param {Object} spec - OpenAPI 3 document
+ * @param {Object} [options] - Options
+ * @param {string|string[]} [options.tags] - Only these tags (names or kebab-case)
+ * @param {string} [options.basePath] - Path the API is mounted under (default: the
+ *   first server's path, or `/api`)
+ * @returns {Object[]} Groups with `name` (kebab-case), `tag`, `description`,
+ *   `mountPath` and `operations`
+ */
+function openapiGroups(spec, options = {}) {
+  const basePath = (options.basePath ?? serverBasePath(spec) ?? '/api').replace(/\/+$/, '');
+  const onlyTags = options.tags
+    ? [options.tags].flat().flatMap(tags => String(tags).split(','))
+    : null;
+  const tagDescriptions = Object.fromEntries(
+    (spec.tags || []).map(tag => [tag.name, tag.description])
+  );
+  const groups = new Map();
+
+  Object.entries(spec.paths || {}).forEach(([routePath, pathItem]) => {
+    HTTP_METHODS.filter(method => pathItem[method]).forEach(method => {
+      const operation = pathItem[method];
+      const tag = operation.tags?.[0] || pathSegments(routePath)[0] || 'root';
+      const name = toKebabCase(tag);
+      if (onlyTags && !onlyTags.some(only => only.trim() === tag || only.trim() === name)) {
+        return;
+      }
+      if (!groups.has(name)) {
+        groups.set(name, { name, tag, description: tagDescriptions[tag], operations: [] });
+      }
+      groups.get(name).operations.push({
+        method,
+        routePath,
+        segments: pathSegments(routePath),
+        fullPath: `${basePath}${expressPath(pathSegments(routePath))}`.replace(/\/$/, '') || '/',
+        operation,
+        parameters: operationParameters(spec, pathItem, operation),
+        bodySchema: jsonSchema(resolveSchema(operation.requestBody, spec)?.content),
+        security: operationSecurity(spec, operation),
+      });
+    });
+  });
+
+  return [...groups.values()].map(group => {
+    // Mount each router at the static path prefix its operations share
+    const [first, ...rest] = group.operations.map(operation => operation.segments);
+    let shared = first.findIndex(isParamSegment);
+    shared = shared === -1 ? first.length : shared;
+    rest.forEach(segments => {
+      let length = 0;
+      while (length < shared && segments[length] === first[length]) {
+        length += 1;
+      }
+      shared = length;
+    });
+
+    const used = new Set();
+    const paramCount = operation => operation.segments.filter(isParamSegment).length;
+    const operations = [...group.operations]
+      .sort((a, b) => paramCount(a) - paramCount(b))
+      .map(operation => {
+        const base = toIdentifier(
+          operation.operation.operationId ||
+            `${operation.method} ${operation.routePath.replace(/\{([^}]+)\}/g, 'by $1')}`
+        );
+        let handler = base;
+        for (let suffix = 2; used.has(handler); suffix += 1) {
+          handler = `${base}${suffix}`;
+        }
+        used.add(handler);
+        return {
+          ...operation,
+          handler,
+          routerPath: expressPath(operation.segments.slice(shared)),
+        };
+      });
+
+    return {
+      ...group,
+      mountPath: expressPath(first.slice(0, shared)),
+      operations,
+    };
+  });
+}
+
+/**
+ * JSDoc type for a schema, as read by the API documentation generator
+ */
+function jsdocType(schema, spec) {
+  const component = componentName(schema);
+  if (component) {
+    return component;
+  }
+  const resolved = resolveSchema(schema, spec) || {};
+  const type = [resolved.type].flat().find(item => item && item !== 'null');
+  if (resolved.enum && resolved.enum.every(value => typeof value === 'string')) {
+    return resolved.enum.map(value => `'${value}'`).join('|');
+  }
+  if (type === 'array') {
+    const items = jsdocType(resolved.items || {}, spec);
+    return items.includes('|') ? `Array<${items}>` : `${items}[]`;
+  }
+  if (type === 'string') {
+    return { uuid: 'uuid', email: 'email', 'date-time': 'date' }[resolved.format] || 'string';
+  }
+  return type || (resolved.properties ? 'object' : '*');
+}
+
+/**
+ * Merge `allOf` parts into a single object schema
+ */
+function mergeAllOf(schema, spec) {
+  const resolved = resolveSchema(schema, spec) || {};
+  if (!resolved.allOf) {
+    return resolved;
+  }
+  return resolved.allOf.reduce(
+    (merged, part) => {
+      const partSchema = mergeAllOf(part, spec);
+      return {
+        ...merged,
+        properties: { ...merged.properties, ...partSchema.properties },
+        required: [...merged.required, ...(partSchema.required || [])],
+      };
+    },
+    {
+      type: 'object',
+      properties: { ...resolved.properties },
+      required: [...(resolved.required || [])],
+    }
+  );
+}
+
+/**
+ * Renders Joi expressions for schemas, collecting the component schemas they
+ * reference as named constants in dependency order
+ */
+function createJoiRenderer(spec) {
+  const components = new Map();
+  const visiting = new Set();
+  const pad = depth => '  '.repeat(depth);
+
+  const modifiers = (rule, schema) => {
+    let result = rule;
+    if (schema.enum) {
+      result += `.valid(${schema.enum.map(literal).join(', ')})`;
+    } else if (schema.const !== undefined) {
+      result += `.valid(${literal(schema.const)})`;
+    }
+    const nullable = schema.nullable || [schema.type].flat().includes('null');
+    if (nullable && !schema.enum?.includes(null)) {
+      result += '.allow(null)';
+    }
+    if (schema.default !== undefined) {
+      result += `.default(${literal(schema.default)})`;
+    }
+    return result;
+  };
+
+  const numberRule = (schema, rule) => {
+    let result = rule;
+    const exclusive = (value, bound) => (typeof value === 'number' ? value : value && bound);
+    const greater = exclusive(schema.exclusiveMinimum, schema.minimum);
+    const less = exclusive(schema.exclusiveMaximum, schema.maximum);
+    if (greater !== undefined && greater !== false) {
+      result += `.greater(${greater})`;
+    } else if (schema.minimum !== undefined) {
+      result += `.min(${schema.minimum})`;
+    }
+    if (less !== undefined && less !== false) {
+      result += `.less(${less})`;
+    } else if (schema.maximum !== undefined) {
+      result += `.max(${schema.maximum})`;
+    }
+    if (schema.multipleOf !== undefined) {
+      result += `.multiple(${schema.multipleOf})`;
+    }
+    return result;
+  };
+
+  const stringRule = schema => {
+    if (['date', 'date-time'].includes(schema.format)) {
+      return 'Joi.date().iso()';
+    }
+    let result = 'Joi.string()';
+    result +=
+      {
+        email: '.email()',
+        uuid: '.uuid()',
+        uri: '.uri()',
+        url: '.uri()',
+        hostname: '.hostname()',
+        ipv4: ".ip({ version: ['ipv4'] })",
+        ipv6: ".ip({ version: ['ipv6'] })",
+        byte: '.base64()',
+      }[schema.format] ?? '';
+    if (schema.minLength !== undefined) {
+      result += `.min(${schema.minLength})`;
+    }
+    if (schema.maxLength !== undefined) {
+      result += `.max(${schema.maxLength})`;
+    }
+    if (schema.pattern) {
+      result += `.pattern(new RegExp(${literal(schema.pattern)}))`;
+    }
+    return result;
+  };
+
+  const render = (schema, depth = 0, { inQuery = false } = {}) => {
+    const component = componentName(schema);
+    if (component) {
+      return componentRef(component);
+    }
+    const resolved = resolveSchema(schema, spec) || {};
+
+    if (resolved.allOf) {
+      return render(mergeAllOf(resolved, spec), depth, { inQuery });
+    }
+    if (resolved.oneOf || resolved.anyOf) {
+      const options = (resolved.oneOf || resolved.anyOf).map(option => render(option, depth));
+      return modifiers(`Joi.alternatives().try(${options.join(', ')})`, resolved);
+    }
+
+    const types = [resolved.type].flat().filter(type => type && type !== 'null');
+    if (types.length > 1) {
+      const options = types.map(type => render({ ...resolved, type }, depth, { inQuery }));
+      return `Joi.alternatives().try(${options.join(', ')})`;
+    }
+    const type = types[0] || (resolved.properties ? 'object' : undefined);
+
+    switch (type) {
+      case 'string':
+        return modifiers(stringRule(resolved), resolved);
+      case 'integer':
+        return modifiers(numberRule(resolved, 'Joi.number().integer()'), resolved);
+      case 'number':
+        return modifiers(numberRule(resolved, 'Joi.number()'), resolved);
+      case 'boolean':
+        return modifiers('Joi.boolean()', resolved);
+      case 'array': {
+        let rule = `Joi.array().items(${render(resolved.items || {}, depth)})`;
+        if (resolved.minItems !== undefined) {
+          rule += `.min(${resolved.minItems})`;
+        }
+        if (resolved.maxItems !== undefined) {
+          rule += `.max(${resolved.maxItems})`;
+        }
+        if (resolved.uniqueItems) {
+          rule += '.unique()';
+        }
+        // Query strings send a single value without brackets
+        return modifiers(inQuery ? `${rule}.single()` : rule, resolved);
+      }
+      case 'object':
+        return modifiers(objectRule(resolved, depth, { inQuery }), resolved);
+      default:
+        return modifiers('Joi.any()', resolved);
+    }
+  };
+
+  // Read-only properties are accepted in requests but dropped before the handler
+  const objectRule = (schema, depth, options = {}) => {
+    const required = schema.required || [];
+    const keys = Object.entries(schema.properties || {}).map(([name, property]) => {
+      const resolved = resolveSchema(property, spec) || {};
+      const rule = resolved.readOnly
+        ? 'Joi.any().strip()'
+        : `${render(property, depth + 1, options)}${required.includes(name) ? '.required()' : ''}`;
+      return `${pad(depth + 1)}${propertyKey(name)}: ${rule}`;
+    });
+    let rule =
+      keys.length > 0 ? `Joi.object({\n${keys.join(',\n')}\n${pad(depth)}})` : 'Joi.object()';
+    if (schema.additionalProperties === true && keys.length > 0) {
+      rule += '.unknown(true)';
+    } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      rule += `.pattern(Joi.string(), ${render(schema.additionalProperties, depth)})`;
+    }
+    if (schema.minProperties !== undefined) {
+      rule += `.min(${schema.minProperties})`;
+    }
+    return rule;
+  };
+
+  const componentRef = name => {
+    if (visiting.has(name)) {
+      // Recursive schemas are not expanded again
+      return 'Joi.any()';
+    }
+    if (!components.has(name)) {
+      visiting.add(name);
+      const rule = render(resolveSchema({ $ref: `#/components/schemas/${name}` }, spec));
+      visiting.delete(name);
+      components.set(name, { name, identifier: `${toIdentifier(name)}Schema`, rule });
+    }
+    return components.get(name).identifier;
+  };
+
+  return {
+    render,
+    objectRule,
+    components: () => [...components.values()],
+  };
+}
+
+/**
+ * Request schemas for an operation: `params`, `query` and `body`
+ */
+function requestSchemas(operation, spec, joi) {
+  const schemas = [];
+  ['path', 'query'].forEach(location => {
+    const params = operation.parameters.filter(param => param.in === location);
+    if (params.length === 0) {
+      return;
+    }
+    const target = location === 'path' ? 'params' : 'query';
+    const schema = {
+      properties: Object.fromEntries(params.map(param => [param.name, param.schema || {}])),
+      required: params
+        .filter(param => param.required || location === 'path')
+        .map(param => param.name),
+    };
+    schemas.push({
+      target,
+      identifier: `${operation.handler}${target === 'params' ? 'Params' : 'Query'}Schema`,
+      description: `${target === 'params' ? 'Path parameters' : 'Query parameters'} for ${operation.handler}`,
+      rule: joi.objectRule(schema, 0, { inQuery: location === 'query' }),
+    });
+  });
+
+  if (operation.bodySchema) {
+    const component = componentName(operation.bodySchema);
+    const rule = joi.render(operation.bodySchema);
+    schemas.push({
+      target: 'body',
+      identifier: component ? rule : `${operation.handler}BodySchema`,
+      description: `Request body for ${operation.handler}`,
+      rule: component ? null : rule,
+    });
+  }
+  return schemas;
+}
+
+/**
+ * The documented responses of an operation as `status {Type} - description` text
+ */
+function describeResponses(operation, spec) {
+  return Object.entries(operation.operation.responses || {}).map(([status, raw]) => {
+    const response = resolveSchema(raw, spec) || {};
+    const schema = jsonSchema(response.content);
+    return {
+      status,
+      schema: schema && resolveSchema(schema, spec),
+      text: `${status}${schema ? ` {${jsdocType(schema, spec)}}` : ''}${
+        response.description ? ` - ${response.description}` : ''
+      }`,
+    };
+  });
+}
+
+/**
+ * Single-line description of an operation for comments
+ */
+const summaryOf = operation =>
+  (operation.operation.summary || operation.operation.description || operation.handler)
+    .split('\n')[0]
+    .trim();
+
+/**
+ * JSDoc block and route definition for an operation
+ */
+function renderRoute(operation, group, spec, schemas) {
+  const { security } = operation;
+  const lines = [`@route ${operation.method.toUpperCase()} ${operation.fullPath}`];
+  lines.push(`@summary ${summaryOf(operation)}`);
+  if (operation.operation.description && operation.operation.summary) {
+    lines.push(`@description ${operation.operation.description.split('\n')[0].trim()}`);
+  }
+  lines.push(`@tag ${group.tag}`);
+  operation.parameters.forEach(param => {
+    if (!['path', 'query', 'header'].includes(param.in)) {
+      return;
+    }
+    const tag = param.in === 'path' ? 'param' : param.in;
+    const type = jsdocType(param.schema || {}, spec);
+    const defaultValue = resolveSchema(param.schema, spec)?.default;
+    let name = param.name;
+    if (!param.required && param.in !== 'path') {
+      name = defaultValue !== undefined ? `[${param.name}=${defaultValue}]` : `[${param.name}]`;
+    }
+    lines.push(`@${tag} {${type}} ${name}${param.description ? ` - ${param.description}` : ''}`);
+  });
+  if (operation.bodySchema) {
+    const description = resolveSchema(operation.operation.requestBody, spec)?.description;
+    lines.push(
+      `@body {${jsdocType(operation.bodySchema, spec)}}${description ? ` - ${description}` : ''}`
+    );
+  }
+  describeResponses(operation, spec).forEach(response => lines.push(`@response ${response.text}`));
+  (security?.schemes || []).forEach(scheme => lines.push(`@security ${scheme}`));
+  if (operation.operation.deprecated) {
+    lines.push('@deprecated');
+  }
+
+  const handlers = [];
+  if (security) {
+    handlers.push(security.optional ? 'optionalAuth' : 'authenticate');
+  }
+  schemas.forEach(schema => {
+    handlers.push(
+      schema.target === 'body'
+        ? `validate(${schema.identifier})`
+        : `validate(${schema.identifier}, '${schema.target}')`
+    );
+  });
+  handlers.push(`${operation.controller}.${operation.handler}`);
+
+  return [
+    '/**',
+    ...lines.map(line => ` * ${line}`),
+    ' */',
+    `router.${operation.method}('${operation.routerPath}',`,
+    handlers.map(handler => `  ${handler}`).join(',\n'),
+    ');',
+  ].join('\n');
+}
+
+/**
+ * JavaScript type of a validated value: Joi converts numbers and dates
+ */
+const jsType = type =>
+  type
+    .replace(/\binteger\b/g, 'number')
+    .replace(/\b(uuid|email)\b/g, 'string')
+    .replace(/\bdate\b/g, 'Date');
+
+/**
+ * Controller stub for an operation
+ */
+function renderHandler(operation, spec) {
+  const params = operation.parameters
+    .filter(param => ['path', 'query'].includes(param.in))
+    .map(param => {
+      const target = param.in === 'path' ? 'params' : 'query';
+      const name = `req.${target}.${param.name}`;
+      const type = jsType(jsdocType(param.schema || {}, spec));
+      const optional = !param.required && param.in !== 'path';
+      return ` * @param {${type}} ${optional ? `[${name}]` : name}${param.description ? ` - ${param.description}` : ''}`;
+    });
+  if (operation.bodySchema) {
+    params.push(` * @param {${jsdocType(operation.bodySchema, spec)}} req.body - Request body`);
+  }
+  const responses = describeResponses(operation, spec);
+
+  return `
+/**
+ * ${summaryOf(operation)}
+ * ${operation.method.toUpperCase()} ${operation.fullPath}
+ * @param {Object} req - Express request object
+${params.map(line => `${line}\n`).join('')} * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const ${operation.handler} = async (req, res, next) => {
+  // TODO: Respond with one of the documented responses
+${responses.map(response => `  //   ${response.text}\n`).join('')}  next(new AppError('${operation.handler} is not implemented', 501));
+};
+`;
+}
+
+/**
+ * Request URL for a test, with example values for path parameters
+ */
+function testUrl(operation, spec) {
+  return operation.fullPath.replace(/:"([^"]+)"|:([A-Za-z_$][\w$]*)/g, (match, quoted, name) => {
+    const param = operation.parameters.find(
+      candidate => candidate.in === 'path' && candidate.name === (quoted || name)
+    );
+    return encodeURIComponent(String(exampleFromSchema(param?.schema || {}, spec, quoted || name)));
+  });
+}
+
+/**
+ * Example request body: every writable top-level property, and only the
+ * required ones below it so recursive schemas stay short
+ */
+function requestExample(schema, spec, key = '', depth = 0, seen = new Set()) {
+  const component = componentName(schema);
+  if (component && seen.has(component)) {
+    return null;
+  }
+  const resolved = mergeAllOf(schema, spec);
+  const type = [resolved.type].flat().find(item => item && item !== 'null');
+
+  if (type === 'array') {
+    return [
+      requestExample(resolved.items || {}, spec, key, depth + 1, new Set(seen).add(component)),
+    ];
+  }
+  if (type !== 'object' && !resolved.properties) {
+    return exampleFromSchema(resolved, spec, key);
+  }
+  const required = resolved.required || [];
+  return Object.fromEntries(
+    Object.entries(resolved.properties || {})
+      .filter(([, property]) => !resolveSchema(property, spec)?.readOnly)
+      .filter(([name]) => depth === 0 || required.includes(name))
+      .map(([name, property]) => [
+        name,
+        requestExample(property, spec, name, depth + 1, new Set(seen).add(component)),
+      ])
+  );
+}
+
+/**
+ * Test skeleton for an operation: requests the validation and authentication
+ * middleware reject run as they are, the rest are skipped or left as todos
+ */
+function renderTestBlock(operation, spec) {
+  const url = literal(testUrl(operation, spec));
+  const secured = operation.security && !operation.security.optional;
+  const requiredQuery = operation.parameters.filter(
+    param => param.in === 'query' && param.required
+  );
+  const query = Object.fromEntries(
+    requiredQuery.map(param => [
+      param.name,
+      exampleFromSchema(param.schema || {}, spec, param.name),
+    ])
+  );
+  const body = mergeAllOf(operation.bodySchema, spec);
+  const requestLines = ({ withAuth = true, withQuery = true, sendBody } = {}) => {
+    const lines = ['request(app)', `  .${operation.method}(${url})`];
+    if (operation.security && withAuth) {
+      lines.push("  .set('Authorization', `Bearer ${authToken}`)");
+    }
+    if (withQuery && requiredQuery.length > 0) {
+      lines.push(`  .query(${literal(query)})`);
+    }
+    if (sendBody !== undefined) {
+      lines.push(`  .send(${literal(sendBody)})`);
+    }
+    return lines;
+  };
+  const test = (title, lines, skip = false) =>
+    [
+      `    test${skip ? '.skip' : ''}(${literal(title)}, async () => {`,
+      ...lines.map(line => (line ? `      ${line}` : line)),
+      '    });',
+    ].join('\n');
+
+  const tests = [];
+  const responses = describeResponses(operation, spec);
+  responses.forEach(response => {
+    const code = Number(response.status);
+    const title = `should return ${response.text.replace(/ \{[^}]*\}/, '')}`;
+
+    if (code >= 200 && code < 300) {
+      const lines = requestLines({
+        sendBody: operation.bodySchema ? requestExample(operation.bodySchema, spec) : undefined,
+      });
+      const assertions = [];
+      const schema = response.schema && mergeAllOf(response.schema, spec);
+      if (code === 204) {
+        assertions.push('expect(response.body).toEqual({});');
+      } else if ([schema?.type].flat().includes('array')) {
+        assertions.push('expect(Array.isArray(response.body)).toBe(true);');
+      } else if (schema?.required?.length > 0) {
+        schema.required.forEach(name =>
+          assertions.push(`expect(response.body).toHaveProperty(${literal(name)});`)
+        );
+      } else {
+        assertions.push('expect(response.body).toBeDefined();');
+      }
+      tests.push(
+        `    // Enable once ${operation.handler} is implemented\n` +
+          test(
+            title,
+            [
+              `const response = await ${lines[0]}`,
+              ...lines.slice(1),
+              `  .expect(${code});`,
+              '',
+              ...assertions,
+            ],
+            true
+          )
+      );
+    } else if (code === 401 && secured) {
+      const lines = requestLines({ withAuth: false });
+      tests.push(test(title, [`await ${lines[0]}`, ...lines.slice(1), `  .expect(${code});`]));
+    } else if (code === 400 && body.required?.length > 0) {
+      const lines = requestLines({ sendBody: {} });
+      tests.push(test(title, [`await ${lines[0]}`, ...lines.slice(1), `  .expect(${code});`]));
+    } else if (code === 400 && requiredQuery.length > 0) {
+      const lines = requestLines({ withQuery: false });
+      tests.push(test(title, [`await ${lines[0]}`, ...lines.slice(1), `  .expect(${code});`]));
+    } else {
+      tests.push(`    test.todo(${literal(title)});`);
+    }
+  });
+
+  if (tests.length === 0) {
+    tests.push(
+      `    test.todo(${literal(`should respond to ${operation.method.toUpperCase()} ${operation.fullPath}`)});`
+    );
+  }
+
+  return [
+    `  describe('${operation.method.toUpperCase()} ${operation.fullPath}', () => {`,
+    tests.join('\n\n'),
+    '  });',
+  ].join('\n');
+}
+
+/**
+ * Template variables for the `openapi` templates of one group
+ * @param {Object} group - Group from `openapiGroups`
+ * @param {Object} spec - OpenAPI 3 document
+ * @returns {Object} Template variables
+ */
+function openapiTemplateVariables(group, spec) {
+  const controller = `${toIdentifier(group.name)}Controller`;
+  const joi = createJoiRenderer(spec);
+  const operations = group.operations.map(operation => ({
+    ...operation,
+    controller,
+    schemas: requestSchemas(operation, spec, joi),
+  }));
+  const apiTitle = spec.info?.version
+    ? `${spec.info.title || 'the API'} ${spec.info.version}`
+    : spec.info?.title || 'the API';
+
+  // Route imports for the middleware the routes use
+  const authMiddleware = ['authenticate', 'optionalAuth'].filter(name =>
+    operations.some(
+      ({ security }) => security && (security.optional ? 'optionalAuth' : 'authenticate') === name
+    )
+  );
+  const schemaNames = [
+    ...new Set(operations.flatMap(operation => operation.schemas.map(schema => schema.identifier))),
+  ];
+  const imports = [];
+  if (authMiddleware.length > 0) {
+    imports.push(`const { ${authMiddleware.join(', ')} } = require('../middleware/auth');`);
+  }
+  if (schemaNames.length > 0) {
+    imports.push("const { validate } = require('../middleware/validate');");
+    const names = `{ ${schemaNames.join(', ')} }`;
+    const line = `const ${names} = require('../schemas/${group.name}');`;
+    imports.push(
+      line.length > 100
+        ? `const {\n${schemaNames.map(name => `  ${name}`).join(',\n')}\n} = require('../schemas/${group.name}');`
+        : line
+    );
+  }
+
+  // Component schemas first, since the request schemas refer to them
+  const schemaBlocks = [
+    ...joi.components().map(component => ({
+      description: component.name,
+      identifier: component.identifier,
+      rule: component.rule,
+    })),
+    ...operations.flatMap(operation => operation.schemas.filter(schema => schema.rule)),
+  ];
+  const exported = [
+    ...new Set([...joi.components().map(component => component.identifier), ...schemaNames]),
+  ];
+
+  return {
+    tagName: group.tag,
+    tagDescription: group.description || `Operations tagged ${group.tag} in ${apiTitle}`,
+    apiTitle,
+    mountPath: group.mountPath,
+    openapiRouteImports: imports.length > 0 ? `${imports.join('\n')}\n` : '',
+    openapiRoutes: operations
+      .map(operation => `\n${renderRoute(operation, group, spec, operation.schemas)}\n`)
+      .join(''),
+    openapiHandlers: operations.map(operation => renderHandler(operation, spec)).join(''),
+    openapiHandlerExports: operations.map(operation => `  ${operation.handler}`).join(',\n'),
+    openapiSchemas: schemaBlocks
+      .map(
+        block => `\n/**\n * ${block.description}\n */\nconst ${block.identifier} = ${block.rule};\n`
+      )
+      .join(''),
+    openapiSchemaExports: exported.map(name => `  ${name}`).join(',\n'),
+    openapiTestSetup: operations.some(operation => operation.security)
+      ? '\n// Bearer token for secured endpoints\n' +
+        "const authToken = process.env.TEST_AUTH_TOKEN || 'test-token';\n"
+      : '',
+    openapiTestBlocks: operations.map(operation => renderTestBlock(operation, spec)).join('\n\n'),
+  };
+}
+
+module.exports = {
+  openapiTemplates,
+  loadOpenAPIDocument,
+  openapiGroups,
+  openapiTemplateVariables,
+  createJoiRenderer,
+};
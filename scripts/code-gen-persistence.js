@@ -0,0 +1,3334 @@
+/**
+ * Persistence Targets for the Code Generator
+ *
+ * The repositories the generated CRUD controller stores its records through,
+ * for Sequelize (the default), Prisma, Knex, TypeORM and raw mysql2, and the
+ * Prisma schema, TypeORM entity and Knex configuration they need. Every
+ * repository has the same methods and returns plain objects, so the one
+ * controller and its tests work whichever target `crud --orm` chooses, with
+ * the relationship, list query, lifecycle and bulk options of the other
+ * code-gen modules:
+ *
+ * - `findAll({ where, order, limit, offset, fields, include, deleted,
+ *   transaction, lock })` and `count({ where, deleted })`, where `where`
+ *   lists conditions such as `{ field: 'total', operator: 'gte', value: 5 }`
+ * - `findById`, `create`, `update`, `remove` and `restore`; update and remove
+ *   take the `version` a change is based on and throw a `StaleWriteError`
+ *   when it is no longer current
+ * - `transaction(work)`, whose transaction the other methods take
+ * - `findHistory(id)` for audited entities, and `findRelated` and
+ *   `createRelated` for `hasMany` relations
+ *
+ * Records are soft deleted on every target: reads leave out the ones with a
+ * `deletedAt` unless `deleted` asks for them. TypeScript repositories have
+ * the same methods, typed. Repositories read their connection from the
+ * project: `config/database` (Sequelize), `config/prisma`, `config/knex`
+ * (generated with the `knexfile.js` the Knex CLI reads), `config/data-source`
+ * (TypeORM) or `config/mysql` (a mysql2/promise pool).
+ *
+ * @author REST-SPEC
+ */
+
+const { literal, stringTypes } = require('./code-gen-fields');
+
+const persistenceTargets = ['sequelize', 'prisma', 'knex', 'typeorm', 'mysql2'];
+
+// Method documentation shared by every repository, so they stay interchangeable
+const repositoryDocs = {
+  findAll: `/**
+ * Find {{entityPlural}}
+ * @param {Object} [options] - Query options
+ * @param {Object[]} [options.where] - Conditions that must all match: \`{ field, operator, value }\`
+ *   with operator eq, ne, gt, gte, lt, lte, in, nin or contains, \`{ any: [...] }\` or \`{ all: [...] }\`
+ * @param {Array} [options.order] - \`[field, 'asc' | 'desc']\` pairs (default: newest first)
+ * @param {number} [options.limit] - Most records to return
+ * @param {number} [options.offset] - Records to skip
+ * @param {string[]} [options.fields] - Fields to return (default: all)
+ * @param {string[]} [options.include] - Relations to include
+ * @param {string} [options.deleted] - \`include\` deleted {{entityPlural}} as well, or \`only\` those
+ * @param {Object} [options.transaction] - Transaction from \`transaction\`
+ * @param {boolean} [options.lock] - Lock the {{entityPlural}} until the transaction ends
+ * @returns {Promise<Object[]>} The {{entityPlural}}
+ */`,
+  count: `/**
+ * Count {{entityPlural}}
+ * @param {Object} [options] - \`where\` and \`deleted\`, as for findAll
+ * @returns {Promise<number>} The number of matches
+ */`,
+  findById: `/**
+ * Find a {{entityName}} by ID
+ * @param {string} id - {{entityName}} ID
+ * @param {Object} [options] - \`fields\`, \`include\`, \`deleted\` and \`transaction\`, as for findAll
+ * @returns {Promise<Object|null>} The {{entityName}}, or null when there is none
+ */`,
+  create: `/**
+ * Create a {{entityName}}
+ * @param {Object} data - Field values
+ * @param {Object} [options] - Write options
+ * @param {string} [options.userId] - User making the change, for the audit trail
+ * @param {Object} [options.transaction] - Transaction from \`transaction\`
+ * @returns {Promise<Object>} The created {{entityName}}
+ */`,
+  update: `/**
+ * Update a {{entityName}}
+ * @param {string} id - {{entityName}} ID
+ * @param {Object} data - Field values to change
+ * @param {Object} [options] - Write options, as for create
+ * @param {number} [options.version] - Version the change is based on; a
+ *   StaleWriteError is thrown when it is no longer the current one
+ * @returns {Promise<Object|null>} The updated {{entityName}}, or null when there is none
+ */`,
+  remove: `/**
+ * Delete a {{entityName}}; it is soft deleted unless forced
+ * @param {string} id - {{entityName}} ID
+ * @param {Object} [options] - Write options, as for update
+ * @param {boolean} [options.force] - Delete it for good
+ * @returns {Promise<boolean>} Whether a {{entityName}} was deleted
+ */`,
+  restore: `/**
+ * Restore a soft deleted {{entityName}}
+ * @param {string} id - {{entityName}} ID
+ * @param {Object} [options] - Write options, as for create
+ * @returns {Promise<Object|null>} The restored {{entityName}}, or null when there is no deleted one
+ */`,
+  transaction: `/**
+ * Run work in a transaction that is committed when it resolves and rolled
+ * back when it throws; pass the transaction it gets to the other methods
+ * @param {Function} work - \`(transaction) => Promise\`
+ * @returns {Promise<*>} What work resolves to
+ */`,
+  findHistory: `/**
+ * Find the audit trail of a {{entityName}}, oldest change first
+ * @param {string} id - {{entityName}} ID
+ * @returns {Promise<Object[]>} Changes with their action, changed values, userId and createdAt
+ */`,
+  findRelated: `/**
+ * Find the records of a hasMany relation
+ * @param {string} id - {{entityName}} ID
+ * @param {string} relation - Relation name
+ * @returns {Promise<Object[]>} The related records
+ */`,
+  createRelated: `/**
+ * Create a record in a hasMany relation
+ * @param {string} id - {{entityName}} ID
+ * @param {string} relation - Relation name
+ * @param {Object} data - Field values of the related record
+ * @returns {Promise<Object>} The created record
+ */`,
+};
+
+const repositoryHeader = description => `/**
+ * {{entityName}} Repository
+ *
+ * ${description}
+ * @author {{author}}
+ */
+`;
+
+const repositoryExports = `
+module.exports = {
+  findAll,
+  count,
+  findById,
+  create,
+  update,
+  remove,
+  restore,
+  transaction: runInTransaction{{repositoryExports}}
+};`;
+
+const defaultOrder = `
+// Newest first unless an order is given
+const defaultOrder = [['createdAt', 'desc']];
+`;
+
+const likePattern = `
+/**
+ * LIKE pattern that matches text literally anywhere in a value
+ */
+const likePattern = (text) => \`%\${String(text).replace(/[\\\\%_]/g, '\\\\$&')}%\`;
+`;
+
+const staleWrite = `
+/**
+ * Error for a write based on an outdated version of the {{entityName}}
+ */
+const staleWrite = () => {
+  const error = new Error('{{entityName}} has been modified');
+  error.name = 'StaleWriteError';
+  return error;
+};
+`;
+
+// MySQL has no boolean type and the drivers write objects as SQL lists
+const rowConversions = `
+// JSON columns are written as text; TINYINT(1) booleans are read as 0 or 1
+const jsonFields = [{{repositoryJsonFields}}];
+const booleanFields = [{{repositoryBooleanFields}}];
+
+const toRow = (data) => {
+  const row = { ...data };
+  jsonFields
+    .filter(field => row[field] !== undefined)
+    .forEach(field => {
+      row[field] = JSON.stringify(row[field]);
+    });
+  return row;
+};
+
+const fromRow = (row) => {
+  const record = { ...row };
+  booleanFields
+    .filter(field => record[field] !== undefined && record[field] !== null)
+    .forEach(field => {
+      record[field] = Boolean(record[field]);
+    });
+  return record;
+};
+`;
+
+// Targets without a model of their own find by ID through findAll
+const findByIdThroughList = `
+${repositoryDocs.findById}
+const findById = async (id, options = {}) => {
+  const [record] = await findAll({
+    ...options,
+    where: [{ field: 'id', operator: 'eq', value: id }],
+    order: []
+  });
+  return record || null;
+};
+`;
+
+// Checks a version before a write; the write itself repeats the check
+const versionCheck = `
+  if (version !== undefined && before.version !== version) {
+    throw staleWrite();
+  }
+`;
+
+// A conditional write that changed nothing lost a race with another request
+const lostRace = (variable, indent = '  ') => `${indent}if (${variable} === 0) {
+${indent}  // Changed or deleted by another request since it was read
+${indent}  throw staleWrite();
+${indent}}
+`;
+
+const repositoryTemplates = {
+  sequelize: `${repositoryHeader('{{entityName}} persistence with the Sequelize model')}
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const {{entityPascalCase}} = require('../models/{{entityPascalCase}}');
+{{sequelizeRepositoryImports}}${defaultOrder}
+// Sequelize operator for each condition operator
+const operators = {
+  eq: Op.eq,
+  ne: Op.ne,
+  gt: Op.gt,
+  gte: Op.gte,
+  lt: Op.lt,
+  lte: Op.lte,
+  in: Op.in,
+  nin: Op.notIn,
+  contains: Op.like
+};
+${likePattern}${staleWrite}
+/**
+ * Sequelize where clause for conditions that must all match
+ */
+const toWhere = (conditions) => ({
+  [Op.and]: conditions.map((condition) => {
+    if (condition.any) {
+      return { [Op.or]: condition.any.map(item => toWhere([item])) };
+    }
+    if (condition.all) {
+      return toWhere(condition.all);
+    }
+    const { field, operator, value } = condition;
+    return { [field]: { [operators[operator]]: operator === 'contains' ? likePattern(value) : value } };
+  })
+});
+
+/**
+ * Where and paranoid options that leave out deleted {{entityPlural}} unless
+ * \`deleted\` includes them or asks for only those
+ */
+const scoped = (where, deleted) => ({
+  where: deleted === 'only' ? { [Op.and]: [where, { deletedAt: { [Op.ne]: null } }] } : where,
+  paranoid: !deleted
+});
+
+// Sequelize checks the version column again when it saves
+const checked = (write) =>
+  write.catch((error) => {
+    throw error.name === 'SequelizeOptimisticLockError' ? staleWrite() : error;
+  });
+
+const plain = record => (record ? record.get({ plain: true }) : null);
+
+${repositoryDocs.findAll}
+const findAll = async (options = {}) => {
+  const { where = [], order = defaultOrder, limit, offset, fields, include = [], deleted } = options;
+  const records = await {{entityPascalCase}}.findAll({
+    ...scoped(toWhere(where), deleted),
+    order: order.map(([field, direction]) => [field, direction.toUpperCase()]),
+    limit,
+    offset,
+    attributes: fields,
+    include: include.map(association => ({ association })),
+    transaction: options.transaction,
+    lock: options.lock
+  });
+  return records.map(plain);
+};
+
+${repositoryDocs.count}
+const count = ({ where = [], deleted } = {}) => {{entityPascalCase}}.count(scoped(toWhere(where), deleted));
+
+${repositoryDocs.findById}
+const findById = async (id, { fields, include = [], deleted, transaction } = {}) => {
+  const record = await {{entityPascalCase}}.findByPk(id, {
+    attributes: fields,
+    include: include.map(association => ({ association })),
+    paranoid: !deleted,
+    transaction
+  });
+  return deleted === 'only' && !record?.deletedAt ? null : plain(record);
+};
+
+${repositoryDocs.create}
+const create = async (data, { userId, transaction } = {}) =>
+  plain(await {{entityPascalCase}}.create(data, { userId, transaction }));
+
+${repositoryDocs.update}
+const update = async (id, data, { userId, version, transaction } = {}) => {
+  const record = await {{entityPascalCase}}.findByPk(id, { transaction });
+  if (!record) {
+    return null;
+  }
+  if (version !== undefined && record.version !== version) {
+    throw staleWrite();
+  }
+
+  await checked(record.update(data, { userId, transaction }));
+  await record.reload({ transaction });
+  return plain(record);
+};
+
+${repositoryDocs.remove}
+const remove = async (id, { userId, version, force = false, transaction } = {}) => {
+  const record = await {{entityPascalCase}}.findByPk(id, { paranoid: !force, transaction });
+  if (!record) {
+    return false;
+  }
+  if (version !== undefined && record.version !== version) {
+    throw staleWrite();
+  }
+
+  await checked(record.destroy({ force, userId, transaction }));
+  return true;
+};
+
+${repositoryDocs.restore}
+const restore = async (id, { userId, transaction } = {}) => {
+  const record = await {{entityPascalCase}}.findByPk(id, { paranoid: false, transaction });
+  if (!record?.deletedAt) {
+    return null;
+  }
+
+  await record.restore({ userId, transaction });
+  return plain(record);
+};
+
+${repositoryDocs.transaction}
+const runInTransaction = work => sequelize.transaction(work);
+{{sequelizeRepositoryMethods}}${repositoryExports}`,
+
+  prisma: `${repositoryHeader('{{entityName}} persistence with Prisma Client')}
+const { prisma } = require('../config/prisma');
+${defaultOrder}
+// Prisma filter for each condition operator
+const operators = {
+  eq: 'equals',
+  ne: 'not',
+  gt: 'gt',
+  gte: 'gte',
+  lt: 'lt',
+  lte: 'lte',
+  in: 'in',
+  nin: 'notIn',
+  contains: 'contains'
+};
+${staleWrite}
+/**
+ * Prisma where input for conditions that must all match
+ */
+const toWhere = (conditions) => ({
+  AND: conditions.map((condition) => {
+    if (condition.any) {
+      return { OR: condition.any.map(item => toWhere([item])) };
+    }
+    if (condition.all) {
+      return toWhere(condition.all);
+    }
+    const { field, operator, value } = condition;
+    return { [field]: { [operators[operator]]: value } };
+  })
+});
+
+/**
+ * Where input that leaves out deleted {{entityPlural}} unless \`deleted\`
+ * includes them or asks for only those
+ */
+const scoped = (where, deleted) => ({
+  AND: [
+    toWhere(where),
+    deleted === 'only' ? { deletedAt: { not: null } } : deleted ? {} : { deletedAt: null }
+  ]
+});
+{{prismaRepositoryHelpers}}
+${repositoryDocs.findAll}
+const findAll = async (options = {}) => {
+  const { where = [], order = defaultOrder, limit, offset, fields, deleted } = options;
+  const db = options.transaction || prisma;
+  // Prisma has no row locks; the transaction still keeps the writes together
+  const records = await db.{{entityCamelCase}}.findMany({
+    where: scoped(where, deleted),
+    orderBy: order.map(([field, direction]) => ({ [field]: direction })),
+    take: limit,
+    skip: offset,
+    select: fields ? Object.fromEntries(fields.map(field => [field, true])) : undefined
+  });
+  return {{repositoryRecords}};
+};
+
+${repositoryDocs.count}
+const count = ({ where = [], deleted } = {}) =>
+  prisma.{{entityCamelCase}}.count({ where: scoped(where, deleted) });
+${findByIdThroughList}
+${repositoryDocs.create}
+const create = async (data, options = {}) => {
+  const db = options.transaction || prisma;
+  const record = await db.{{entityCamelCase}}.create({ data });
+{{repositoryAuditCreate}}  return record;
+};
+
+${repositoryDocs.update}
+const update = async (id, data, options = {}) => {
+  const { version, transaction } = options;
+  const db = transaction || prisma;
+  const before = await findById(id, { transaction });
+  if (!before) {
+    return null;
+  }
+${versionCheck}
+  const { count: updated } = await db.{{entityCamelCase}}.updateMany({
+    where: { id, deletedAt: null, ...(version !== undefined ? { version } : {}) },
+    data: { ...data{{prismaVersionIncrement}} }
+  });
+${lostRace('updated')}
+  const record = await findById(id, { transaction });
+{{repositoryAuditUpdate}}  return record;
+};
+
+${repositoryDocs.remove}
+const remove = async (id, options = {}) => {
+  const { version, force = false, transaction } = options;
+  const db = transaction || prisma;
+  const before = await findById(id, { deleted: force ? 'include' : undefined, transaction });
+  if (!before) {
+    return false;
+  }
+${versionCheck}
+  const deletedAt = new Date();
+  const where = { id, ...(version !== undefined ? { version } : {}) };
+  const { count: deleted } = force
+    ? await db.{{entityCamelCase}}.deleteMany({ where })
+    : await db.{{entityCamelCase}}.updateMany({ where: { ...where, deletedAt: null }, data: { deletedAt } });
+${lostRace('deleted')}{{repositoryCascade}}{{repositoryAuditDelete}}  return true;
+};
+
+${repositoryDocs.restore}
+const restore = async (id, options = {}) => {
+  const { transaction } = options;
+  const db = transaction || prisma;
+  const before = await findById(id, { deleted: 'only', transaction });
+  if (!before) {
+    return null;
+  }
+
+  await db.{{entityCamelCase}}.updateMany({ where: { id }, data: { deletedAt: null } });
+  const record = await findById(id, { transaction });
+{{repositoryAuditRestore}}  return record;
+};
+
+${repositoryDocs.transaction}
+const runInTransaction = work => prisma.$transaction(work);
+{{prismaRepositoryMethods}}${repositoryExports}`,
+
+  knex: `${repositoryHeader('{{entityName}} persistence with the Knex query builder')}
+const { randomUUID } = require('crypto');
+const { knex } = require('../config/knex');
+
+const table = '{{entityTableName}}';
+${defaultOrder}${rowConversions}${likePattern}${staleWrite}
+// SQL comparison for each condition operator that has one
+const comparisons = { eq: '=', ne: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+/**
+ * Add conditions that must all match to a query
+ */
+const applyConditions = (query, conditions) => {
+  conditions.forEach((condition) => {
+    if (condition.any) {
+      query.where((builder) => {
+        condition.any.forEach(item => builder.orWhere(inner => applyConditions(inner, [item])));
+      });
+    } else if (condition.all) {
+      query.where(builder => applyConditions(builder, condition.all));
+    } else if (condition.operator === 'in') {
+      query.whereIn(condition.field, condition.value);
+    } else if (condition.operator === 'nin') {
+      query.whereNotIn(condition.field, condition.value);
+    } else if (condition.operator === 'contains') {
+      query.where(condition.field, 'like', likePattern(condition.value));
+    } else {
+      query.where(condition.field, comparisons[condition.operator], condition.value);
+    }
+  });
+  return query;
+};
+
+/**
+ * Query of the table that leaves out deleted {{entityPlural}} unless
+ * \`deleted\` includes them or asks for only those
+ */
+const scoped = (db, deleted) => {
+  const query = db(table);
+  if (deleted === 'only') {
+    query.whereNotNull('deletedAt');
+  } else if (!deleted) {
+    query.whereNull('deletedAt');
+  }
+  return query;
+};
+{{knexRepositoryHelpers}}
+${repositoryDocs.findAll}
+const findAll = async (options = {}) => {
+  const { where = [], order = defaultOrder, limit, offset, fields, deleted } = options;
+  const db = options.transaction || knex;
+  const query = applyConditions(scoped(db, deleted), where).select(fields || '*');
+  order.forEach(([field, direction]) => query.orderBy(field, direction));
+  if (limit !== undefined) {
+    query.limit(limit);
+  }
+  if (offset !== undefined) {
+    query.offset(offset);
+  }
+  if (options.lock) {
+    query.forUpdate();
+  }
+  const records = (await query).map(fromRow);
+  return {{repositoryRecords}};
+};
+
+${repositoryDocs.count}
+const count = async ({ where = [], deleted } = {}) => {
+  const [{ total }] = await applyConditions(scoped(knex, deleted), where).count({ total: '*' });
+  return Number(total);
+};
+${findByIdThroughList}
+${repositoryDocs.create}
+const create = async (data, options = {}) => {
+  const db = options.transaction || knex;
+  const id = randomUUID();
+  await db(table).insert(toRow({ ...data, id }));
+  const record = await findById(id, { transaction: options.transaction });
+{{repositoryAuditCreate}}  return record;
+};
+
+${repositoryDocs.update}
+const update = async (id, data, options = {}) => {
+  const { version, transaction } = options;
+  const db = transaction || knex;
+  const before = await findById(id, { transaction });
+  if (!before) {
+    return null;
+  }
+${versionCheck}
+  const query = db(table).where({ id }).whereNull('deletedAt');
+  if (version !== undefined) {
+    query.andWhere({ version });
+  }
+  const updated = await query.update(toRow({ ...data, updatedAt: new Date(){{knexVersionIncrement}} }));
+${lostRace('updated')}
+  const record = await findById(id, { transaction });
+{{repositoryAuditUpdate}}  return record;
+};
+
+${repositoryDocs.remove}
+const remove = async (id, options = {}) => {
+  const { version, force = false, transaction } = options;
+  const db = transaction || knex;
+  const before = await findById(id, { deleted: force ? 'include' : undefined, transaction });
+  if (!before) {
+    return false;
+  }
+${versionCheck}
+  const deletedAt = new Date();
+  const query = db(table).where({ id });
+  if (version !== undefined) {
+    query.andWhere({ version });
+  }
+  const deleted = force ? await query.del() : await query.whereNull('deletedAt').update({ deletedAt });
+${lostRace('deleted')}{{repositoryCascade}}{{repositoryAuditDelete}}  return true;
+};
+
+${repositoryDocs.restore}
+const restore = async (id, options = {}) => {
+  const { transaction } = options;
+  const db = transaction || knex;
+  const before = await findById(id, { deleted: 'only', transaction });
+  if (!before) {
+    return null;
+  }
+
+  await db(table).where({ id }).update({ deletedAt: null });
+  const record = await findById(id, { transaction });
+{{repositoryAuditRestore}}  return record;
+};
+
+${repositoryDocs.transaction}
+const runInTransaction = work => knex.transaction(work);
+{{knexRepositoryMethods}}${repositoryExports}`,
+
+  typeorm: `${repositoryHeader('{{entityName}} persistence with a TypeORM repository')}
+const { Brackets, IsNull } = require('typeorm');
+const { dataSource } = require('../config/data-source');
+const {{entityPascalCase}} = require('../entities/{{entityPascalCase}}');
+${defaultOrder}
+// SQL comparison for each condition operator
+const comparisons = {
+  eq: '=',
+  ne: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  in: 'IN',
+  nin: 'NOT IN',
+  contains: 'LIKE'
+};
+${likePattern}${staleWrite}
+/**
+ * Add conditions that must all match to a query builder; fields are entity
+ * properties the controller whitelists, values are always parameters
+ */
+const applyConditions = (query, conditions, parameters = { count: 0 }) => {
+  conditions.forEach((condition) => {
+    const group = condition.any || condition.all;
+    if (group) {
+      query.andWhere(
+        new Brackets((builder) => {
+          group.forEach((item) => {
+            const nested = new Brackets(inner => applyConditions(inner, [item], parameters));
+            if (condition.any) {
+              builder.orWhere(nested);
+            } else {
+              builder.andWhere(nested);
+            }
+          });
+        })
+      );
+      return;
+    }
+
+    const { field, operator, value } = condition;
+    const name = \`value\${(parameters.count += 1)}\`;
+    const placeholder = operator === 'in' || operator === 'nin' ? \`(:...\${name})\` : \`:\${name}\`;
+    query.andWhere(\`record.\${field} \${comparisons[operator]} \${placeholder}\`, {
+      [name]: operator === 'contains' ? likePattern(value) : value
+    });
+  });
+  return query;
+};
+
+const repository = db => db.getRepository({{entityPascalCase}});
+{{typeormRepositoryHelpers}}
+${repositoryDocs.findAll}
+const findAll = async (options = {}) => {
+  const { where = [], order = defaultOrder, limit, offset, fields, deleted } = options;
+  const db = options.transaction || dataSource.manager;
+  // Deleted {{entityPlural}} are left out unless asked for
+  const query = applyConditions(repository(db).createQueryBuilder('record'), where);
+  if (deleted) {
+    query.withDeleted();
+  }
+  if (deleted === 'only') {
+    query.andWhere('record.deletedAt IS NOT NULL');
+  }
+  if (fields) {
+    query.select(fields.map(field => \`record.\${field}\`));
+  }
+  order.forEach(([field, direction]) => query.addOrderBy(\`record.\${field}\`, direction.toUpperCase()));
+  if (limit !== undefined) {
+    query.limit(limit);
+  }
+  if (offset !== undefined) {
+    query.offset(offset);
+  }
+  if (options.lock) {
+    query.setLock('pessimistic_write');
+  }
+  const records = await query.getMany();
+  return {{repositoryRecords}};
+};
+
+${repositoryDocs.count}
+const count = ({ where = [], deleted } = {}) => {
+  const query = applyConditions(repository(dataSource.manager).createQueryBuilder('record'), where);
+  if (deleted) {
+    query.withDeleted();
+  }
+  if (deleted === 'only') {
+    query.andWhere('record.deletedAt IS NOT NULL');
+  }
+  return query.getCount();
+};
+${findByIdThroughList}
+${repositoryDocs.create}
+const create = async (data, options = {}) => {
+  const { transaction } = options;
+  const db = transaction || dataSource.manager;
+  const { id } = await repository(db).save(repository(db).create(data));
+  const record = await findById(id, { transaction });
+{{repositoryAuditCreate}}  return record;
+};
+
+${repositoryDocs.update}
+const update = async (id, data, options = {}) => {
+  const { version, transaction } = options;
+  const db = transaction || dataSource.manager;
+  const before = await findById(id, { transaction });
+  if (!before) {
+    return null;
+  }
+${versionCheck}
+  // TypeORM increments a version column on every update
+  const { affected } = await repository(db).update(
+    { id, deletedAt: IsNull(), ...(version !== undefined ? { version } : {}) },
+    data
+  );
+${lostRace('affected')}
+  const record = await findById(id, { transaction });
+{{repositoryAuditUpdate}}  return record;
+};
+
+${repositoryDocs.remove}
+const remove = async (id, options = {}) => {
+  const { version, force = false, transaction } = options;
+  const db = transaction || dataSource.manager;
+  const before = await findById(id, { deleted: force ? 'include' : undefined, transaction });
+  if (!before) {
+    return false;
+  }
+${versionCheck}
+  const deletedAt = new Date();
+  const where = { id, ...(version !== undefined ? { version } : {}) };
+  const { affected } = force
+    ? await repository(db).delete(where)
+    : await repository(db).update({ ...where, deletedAt: IsNull() }, { deletedAt });
+${lostRace('affected')}{{repositoryCascade}}{{repositoryAuditDelete}}  return true;
+};
+
+${repositoryDocs.restore}
+const restore = async (id, options = {}) => {
+  const { transaction } = options;
+  const db = transaction || dataSource.manager;
+  const before = await findById(id, { deleted: 'only', transaction });
+  if (!before) {
+    return null;
+  }
+
+  await repository(db).restore({ id });
+  const record = await findById(id, { transaction });
+{{repositoryAuditRestore}}  return record;
+};
+
+${repositoryDocs.transaction}
+const runInTransaction = work => dataSource.transaction(work);
+{{typeormRepositoryMethods}}${repositoryExports}`,
+
+  mysql2: `${repositoryHeader('{{entityName}} persistence with SQL through a mysql2 connection pool')}
+const { randomUUID } = require('crypto');
+const { pool } = require('../config/mysql');
+
+const table = '{{entityTableName}}';
+${defaultOrder}${rowConversions}${likePattern}${staleWrite}
+// SQL comparison for each condition operator
+const comparisons = {
+  eq: '=',
+  ne: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  in: 'IN',
+  nin: 'NOT IN',
+  contains: 'LIKE'
+};
+
+/**
+ * SQL and values for conditions joined with AND (or OR); \`??\` placeholders
+ * escape column names
+ */
+const toSql = (conditions, separator = ' AND ') => {
+  const parts = [];
+  const values = [];
+  conditions.forEach((condition) => {
+    const group = condition.any || condition.all;
+    if (group) {
+      const nested = toSql(group, condition.any ? ' OR ' : ' AND ');
+      parts.push(\`(\${nested.sql})\`);
+      values.push(...nested.values);
+      return;
+    }
+
+    const { field, operator, value } = condition;
+    const list = operator === 'in' || operator === 'nin';
+    parts.push(\`?? \${comparisons[operator]} \${list ? '(?)' : '?'}\`);
+    values.push(field, operator === 'contains' ? likePattern(value) : value);
+  });
+  return { sql: parts.length > 0 ? parts.join(separator) : '1 = 1', values };
+};
+
+/**
+ * Condition that leaves out deleted {{entityPlural}} unless \`deleted\`
+ * includes them or asks for only those
+ */
+const deletedSql = deleted =>
+  ({ include: '1 = 1', only: 'deletedAt IS NOT NULL' })[deleted] || 'deletedAt IS NULL';
+{{mysql2RepositoryHelpers}}
+${repositoryDocs.findAll}
+const findAll = async (options = {}) => {
+  const { where = [], order = defaultOrder, limit, offset, fields, deleted } = options;
+  const db = options.transaction || pool;
+  const conditions = toSql(where);
+  let sql = \`SELECT \${fields ? '??' : '*'} FROM ?? WHERE \${deletedSql(deleted)} AND \${conditions.sql}\`;
+  const values = [...(fields ? [fields] : []), table, ...conditions.values];
+
+  if (order.length > 0) {
+    sql += \` ORDER BY \${order.map(([, direction]) => (direction === 'desc' ? '?? DESC' : '?? ASC')).join(', ')}\`;
+    values.push(...order.map(([field]) => field));
+  }
+  if (limit !== undefined) {
+    sql += ' LIMIT ?';
+    values.push(limit);
+  }
+  if (offset !== undefined) {
+    sql += ' OFFSET ?';
+    values.push(offset);
+  }
+  if (options.lock) {
+    sql += ' FOR UPDATE';
+  }
+
+  const [rows] = await db.query(sql, values);
+  const records = rows.map(fromRow);
+  return {{repositoryRecords}};
+};
+
+${repositoryDocs.count}
+const count = async ({ where = [], deleted } = {}) => {
+  const conditions = toSql(where);
+  const [[{ total }]] = await pool.query(
+    \`SELECT COUNT(*) AS total FROM ?? WHERE \${deletedSql(deleted)} AND \${conditions.sql}\`,
+    [table, ...conditions.values]
+  );
+  return Number(total);
+};
+${findByIdThroughList}
+${repositoryDocs.create}
+const create = async (data, options = {}) => {
+  const db = options.transaction || pool;
+  const id = randomUUID();
+  await db.query('INSERT INTO ?? SET ?', [table, toRow({ ...data, id })]);
+  const record = await findById(id, { transaction: options.transaction });
+{{repositoryAuditCreate}}  return record;
+};
+
+${repositoryDocs.update}
+const update = async (id, data, options = {}) => {
+  const { version, transaction } = options;
+  const db = transaction || pool;
+  const before = await findById(id, { transaction });
+  if (!before) {
+    return null;
+  }
+${versionCheck}
+  const [{ affectedRows }] = await db.query(
+    \`UPDATE ?? SET ?{{mysql2VersionIncrement}} WHERE id = ? AND deletedAt IS NULL\${version !== undefined ? ' AND version = ?' : ''}\`,
+    [table, toRow({ ...data, updatedAt: new Date() }), id, ...(version !== undefined ? [version] : [])]
+  );
+${lostRace('affectedRows')}
+  const record = await findById(id, { transaction });
+{{repositoryAuditUpdate}}  return record;
+};
+
+${repositoryDocs.remove}
+const remove = async (id, options = {}) => {
+  const { version, force = false, transaction } = options;
+  const db = transaction || pool;
+  const before = await findById(id, { deleted: force ? 'include' : undefined, transaction });
+  if (!before) {
+    return false;
+  }
+${versionCheck}
+  const deletedAt = new Date();
+  const versionSql = version !== undefined ? ' AND version = ?' : '';
+  const versionValues = version !== undefined ? [version] : [];
+  const [{ affectedRows }] = force
+    ? await db.query(\`DELETE FROM ?? WHERE id = ?\${versionSql}\`, [table, id, ...versionValues])
+    : await db.query(
+      \`UPDATE ?? SET deletedAt = ? WHERE id = ? AND deletedAt IS NULL\${versionSql}\`,
+      [table, deletedAt, id, ...versionValues]
+    );
+${lostRace('affectedRows')}{{repositoryCascade}}{{repositoryAuditDelete}}  return true;
+};
+
+${repositoryDocs.restore}
+const restore = async (id, options = {}) => {
+  const { transaction } = options;
+  const db = transaction || pool;
+  const before = await findById(id, { deleted: 'only', transaction });
+  if (!before) {
+    return null;
+  }
+
+  await db.query('UPDATE ?? SET deletedAt = NULL WHERE id = ?', [table, id]);
+  const record = await findById(id, { transaction });
+{{repositoryAuditRestore}}  return record;
+};
+
+${repositoryDocs.transaction}
+const runInTransaction = async (work) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await work(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+{{mysql2RepositoryMethods}}${repositoryExports}`,
+};
+
+/**
+ * Per-target code of the relation and audit helpers: the default
+ * connection, how related rows are loaded (as `[ownerKey, row]` pairs),
+ * soft deleted with their owner and created, and how changes are recorded
+ */
+const targetHelpers = {
+  knex: {
+    connection: 'knex',
+    relatedRows: `const relatedRows = async (db, relation, keys) => {
+  if (relation.type === 'belongsToMany') {
+    const rows = await db(relation.table)
+      .join(relation.through, \`\${relation.through}.\${relation.otherKey}\`, \`\${relation.table}.id\`)
+      .whereIn(\`\${relation.through}.\${relation.foreignKey}\`, keys)
+      .whereNull(\`\${relation.table}.deletedAt\`)
+      .select(\`\${relation.table}.*\`, \`\${relation.through}.\${relation.foreignKey} as ownerId\`);
+    return rows.map(({ ownerId, ...row }) => [ownerId, row]);
+  }
+
+  const key = relation.type === 'belongsTo' ? 'id' : relation.foreignKey;
+  const rows = await db(relation.table).whereIn(key, keys).whereNull('deletedAt');
+  return rows.map(row => [row[key], row]);
+};`,
+    deleteChild: `db(relation.table)
+        .where(relation.foreignKey, id)
+        .whereNull('deletedAt')
+        .update({ deletedAt })`,
+    createRelated: `const createRelated = async (id, name, data) => {
+  const relation = relations[name];
+  const relatedId = randomUUID();
+  await knex(relation.table).insert({ ...data, id: relatedId, [relation.foreignKey]: id });
+  return knex(relation.table).where({ id: relatedId }).first();
+};`,
+    recordChange: `await db('auditLogs').insert({
+    id: randomUUID(),
+    entityType: '{{entityPascalCase}}',
+    entityId: id,
+    action,
+    changes: JSON.stringify(changes),
+    userId: userId ?? null,
+    createdAt: new Date()
+  });`,
+    findHistory: `const findHistory = id =>
+  knex('auditLogs')
+    .where({ entityType: '{{entityPascalCase}}', entityId: id })
+    .orderBy('createdAt', 'asc');`,
+  },
+  mysql2: {
+    connection: 'pool',
+    relatedRows: `const relatedRows = async (db, relation, keys) => {
+  if (relation.type === 'belongsToMany') {
+    const ownerKey = \`\${relation.through}.\${relation.foreignKey}\`;
+    const [rows] = await db.query(
+      'SELECT ??.*, ?? AS ownerId FROM ?? JOIN ?? ON ?? = ??.id WHERE ?? IN (?) AND ??.deletedAt IS NULL',
+      [
+        relation.table,
+        ownerKey,
+        relation.table,
+        relation.through,
+        \`\${relation.through}.\${relation.otherKey}\`,
+        relation.table,
+        ownerKey,
+        keys,
+        relation.table
+      ]
+    );
+    return rows.map(({ ownerId, ...row }) => [ownerId, row]);
+  }
+
+  const key = relation.type === 'belongsTo' ? 'id' : relation.foreignKey;
+  const [rows] = await db.query('SELECT * FROM ?? WHERE ?? IN (?) AND deletedAt IS NULL', [
+    relation.table,
+    key,
+    keys
+  ]);
+  return rows.map(row => [row[key], row]);
+};`,
+    deleteChild: `db.query('UPDATE ?? SET deletedAt = ? WHERE ?? = ? AND deletedAt IS NULL', [
+        relation.table,
+        deletedAt,
+        relation.foreignKey,
+        id
+      ])`,
+    createRelated: `const createRelated = async (id, name, data) => {
+  const relation = relations[name];
+  const relatedId = randomUUID();
+  await pool.query('INSERT INTO ?? SET ?', [
+    relation.table,
+    { ...data, id: relatedId, [relation.foreignKey]: id }
+  ]);
+  const [[record]] = await pool.query('SELECT * FROM ?? WHERE id = ?', [relation.table, relatedId]);
+  return record;
+};`,
+    recordChange: `await db.query('INSERT INTO auditLogs SET ?', [
+    {
+      id: randomUUID(),
+      entityType: '{{entityPascalCase}}',
+      entityId: id,
+      action,
+      changes: JSON.stringify(changes),
+      userId: userId ?? null,
+      createdAt: new Date()
+    }
+  ]);`,
+    findHistory: `const findHistory = async (id) => {
+  const [history] = await pool.query(
+    'SELECT * FROM auditLogs WHERE entityType = ? AND entityId = ? ORDER BY createdAt',
+    ['{{entityPascalCase}}', id]
+  );
+  return history;
+};`,
+  },
+  prisma: {
+    connection: 'prisma',
+    relatedRows: `// Prisma Client property of a model, e.g. orderItem for OrderItem
+const delegate = (db, model) => db[model[0].toLowerCase() + model.slice(1)];
+
+const relatedRows = async (db, relation, keys) => {
+  if (relation.type === 'belongsToMany') {
+    // The names come from the relations above, never from a request
+    const rows = await db.$queryRawUnsafe(
+      \`SELECT t.*, j.\${relation.foreignKey} AS ownerId FROM \${relation.table} t \` +
+        \`JOIN \${relation.through} j ON j.\${relation.otherKey} = t.id \` +
+        \`WHERE j.\${relation.foreignKey} IN (\${keys.map(() => '?').join(', ')}) AND t.deletedAt IS NULL\`,
+      ...keys
+    );
+    return rows.map(({ ownerId, ...row }) => [ownerId, row]);
+  }
+
+  const key = relation.type === 'belongsTo' ? 'id' : relation.foreignKey;
+  const rows = await delegate(db, relation.model).findMany({
+    where: { [key]: { in: keys }, deletedAt: null }
+  });
+  return rows.map(row => [row[key], row]);
+};`,
+    deleteChild: `delegate(db, relation.model).updateMany({
+        where: { [relation.foreignKey]: id, deletedAt: null },
+        data: { deletedAt }
+      })`,
+    createRelated: `const createRelated = (id, name, data) => {
+  const relation = relations[name];
+  return delegate(prisma, relation.model).create({ data: { ...data, [relation.foreignKey]: id } });
+};`,
+    recordChange: `await db.auditLog.create({
+    data: {
+      entityType: '{{entityPascalCase}}',
+      entityId: id,
+      action,
+      changes,
+      userId: userId ?? null
+    }
+  });`,
+    findHistory: `const findHistory = id =>
+  prisma.auditLog.findMany({
+    where: { entityType: '{{entityPascalCase}}', entityId: id },
+    orderBy: { createdAt: 'asc' }
+  });`,
+  },
+  typeorm: {
+    connection: 'dataSource.manager',
+    relatedRows: `const relatedRows = async (db, relation, keys) => {
+  if (relation.type === 'belongsToMany') {
+    // The names come from the relations above, never from a request
+    const rows = await db.query(
+      \`SELECT t.*, j.\${relation.foreignKey} AS ownerId FROM \${relation.table} t \` +
+        \`JOIN \${relation.through} j ON j.\${relation.otherKey} = t.id \` +
+        \`WHERE j.\${relation.foreignKey} IN (?) AND t.deletedAt IS NULL\`,
+      [keys]
+    );
+    return rows.map(({ ownerId, ...row }) => [ownerId, row]);
+  }
+
+  // Entities with a deleteDate column leave out deleted rows
+  const key = relation.type === 'belongsTo' ? 'id' : relation.foreignKey;
+  const rows = await db
+    .getRepository(relation.model)
+    .createQueryBuilder('related')
+    .where(\`related.\${key} IN (:...keys)\`, { keys })
+    .getMany();
+  return rows.map(row => [row[key], row]);
+};`,
+    deleteChild: `db
+        .getRepository(relation.model)
+        .update({ [relation.foreignKey]: id, deletedAt: IsNull() }, { deletedAt })`,
+    createRelated: `const createRelated = (id, name, data) => {
+  const relation = relations[name];
+  const related = dataSource.getRepository(relation.model);
+  return related.save(related.create({ ...data, [relation.foreignKey]: id }));
+};`,
+    recordChange: `await db.getRepository('AuditLog').insert({
+    entityType: '{{entityPascalCase}}',
+    entityId: id,
+    action,
+    changes,
+    userId: userId ?? null
+  });`,
+    findHistory: `const findHistory = id =>
+  dataSource.getRepository('AuditLog').find({
+    where: { entityType: '{{entityPascalCase}}', entityId: id },
+    order: { createdAt: 'ASC' }
+  });`,
+  },
+};
+
+/**
+ * Render the `relations` a repository can load, and how each is stored
+ */
+function renderRelationMetadata(relations) {
+  const entries = relations.map(relation => {
+    const metadata = {
+      type: relation.type,
+      table: relation.target.entityTableName,
+      model: relation.target.entityPascalCase,
+      foreignKey: relation.foreignKey,
+      ...(relation.through ? { through: relation.through, otherKey: relation.otherKey } : {}),
+    };
+    return `  ${relation.alias}: ${literal(metadata)}`;
+  });
+
+  return `
+// Relations that can be included, and where their records are stored
+const relations = {
+${entries.join(',\n')}
+};
+`;
+}
+
+/**
+ * Render the helpers a repository without a model needs before findAll:
+ * loading included relations, soft deleting `hasMany` records with their
+ * owner and recording changes in the audit trail
+ */
+function renderRepositoryHelpers(target, relations, audit) {
+  const code = targetHelpers[target];
+  const helpers = [];
+
+  if (relations.length > 0) {
+    helpers.push(`${renderRelationMetadata(relations)}
+/**
+ * Load the records of a relation that belong to the given keys, each paired
+ * with the key of its owner
+ */
+${code.relatedRows}
+
+/**
+ * Add the included relations to records, with one query per relation
+ */
+const withRelated = async (db, records, include = []) => {
+  const names = include.filter(name => relations[name]);
+  for (const name of names) {
+    const relation = relations[name];
+    const ownerKey = record => (relation.type === 'belongsTo' ? record[relation.foreignKey] : record.id);
+    const keys = [...new Set(records.map(ownerKey).filter(key => key != null))];
+    const rows = keys.length > 0 ? await relatedRows(db, relation, keys) : [];
+
+    records.forEach((record) => {
+      const related = rows.filter(([key]) => key === ownerKey(record)).map(([, row]) => row);
+      record[name] = relation.type === 'belongsTo' ? related[0] || null : related;
+    });
+  }
+  return records;
+};
+`);
+  }
+
+  if (relations.some(relation => relation.type === 'hasMany')) {
+    helpers.push(`
+/**
+ * Soft delete the hasMany records of a soft deleted {{entityName}}
+ */
+const deleteChildren = (db, id, deletedAt) =>
+  Promise.all(
+    Object.values(relations)
+      .filter(relation => relation.type === 'hasMany')
+      .map(relation =>
+        ${code.deleteChild}
+      )
+  );
+`);
+  }
+
+  if (audit) {
+    helpers.push(`
+// Bookkeeping columns left out of the audit trail
+const ignoredColumns = ['id', 'createdAt', 'updatedAt', 'version'];
+
+/**
+ * The fields that differ between two sets of values, as JSON values
+ */
+const diff = (before, after) => {
+  const json = value => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+  const changes = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach((name) => {
+    const from = json(before[name]);
+    const to = json(after[name]);
+    if (!ignoredColumns.includes(name) && JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[name] = { before: from, after: to };
+    }
+  });
+  return changes;
+};
+
+/**
+ * Record a change in the audit trail, in the transaction that made it
+ */
+const recordChange = async (db, action, id, before, after, userId) => {
+  const changes = diff(before, after);
+  if (Object.keys(changes).length === 0) {
+    return;
+  }
+  ${code.recordChange}
+};
+`);
+  }
+
+  return helpers.join('');
+}
+
+/**
+ * Render the methods after `transaction`: the audit trail and the `hasMany`
+ * relations of a repository without a model
+ */
+function renderRepositoryMethods(target, relations, audit) {
+  const code = targetHelpers[target];
+  const methods = [];
+
+  if (audit) {
+    methods.push(`
+${repositoryDocs.findHistory}
+${code.findHistory}
+`);
+  }
+  if (relations.some(relation => relation.type === 'hasMany')) {
+    methods.push(`
+${repositoryDocs.findRelated}
+const findRelated = async (id, name) =>
+  (await relatedRows(${code.connection}, relations[name], [id])).map(([, row]) => row);
+
+${repositoryDocs.createRelated}
+${code.createRelated}
+`);
+  }
+
+  return methods.join('');
+}
+
+/**
+ * Render the audit trail and `hasMany` methods of the Sequelize repository,
+ * which the model's associations and AuditLog provide
+ */
+function renderSequelizeMethods(relations, audit) {
+  const methods = [];
+
+  if (audit) {
+    methods.push(`
+${repositoryDocs.findHistory}
+const findHistory = async (id) => {
+  const history = await AuditLog.findAll({
+    where: { entityType: '{{entityPascalCase}}', entityId: id },
+    order: [['createdAt', 'ASC']]
+  });
+  return history.map(plain);
+};
+`);
+  }
+  if (relations.some(relation => relation.type === 'hasMany')) {
+    methods.push(`
+${repositoryDocs.findRelated}
+const findRelated = async (id, relation) => {
+  const { target, foreignKey } = {{entityPascalCase}}.associations[relation];
+  const records = await target.findAll({ where: { [foreignKey]: id } });
+  return records.map(plain);
+};
+
+${repositoryDocs.createRelated}
+const createRelated = async (id, relation, data) => {
+  const { target, foreignKey } = {{entityPascalCase}}.associations[relation];
+  return plain(await target.create({ ...data, [foreignKey]: id }));
+};
+`);
+  }
+
+  return methods.join('');
+}
+
+const modelTemplates = {
+  prisma: `// {{entityName}} model
+// @author {{author}}
+//
+// Part of a multi-file Prisma schema: keep the generator and datasource
+// blocks in prisma/schema/schema.prisma
+{{prismaEnums}}
+model {{entityPascalCase}} {
+{{prismaFields}}
+
+{{prismaIndexes}}  @@map("{{entityTableName}}")
+}
+`,
+
+  typeorm: `/**
+ * {{entityName}} Entity
+ *
+ * TypeORM entity schema for {{entityName}}
+ * @author {{author}}
+ */
+
+const { EntitySchema } = require('typeorm');
+
+const {{entityPascalCase}} = new EntitySchema({
+  name: '{{entityPascalCase}}',
+  tableName: '{{entityTableName}}',
+  columns: {
+    id: {
+      type: 'varchar',
+      length: 36,
+      primary: true,
+      generated: 'uuid'
+    },
+{{typeormColumns}}
+    createdBy: {
+      type: 'varchar',
+      length: 36,
+      nullable: true
+    },
+    updatedBy: {
+      type: 'varchar',
+      length: 36,
+      nullable: true
+    },
+    createdAt: {
+      type: 'datetime',
+      createDate: true
+    },
+    updatedAt: {
+      type: 'datetime',
+      updateDate: true
+    },
+    // Soft deletes
+    deletedAt: {
+      type: 'datetime',
+      nullable: true,
+      deleteDate: true
+    }{{typeormVersionColumn}}
+  },
+  indices: [
+{{typeormIndices}}    {
+      columns: ['createdBy']
+    },
+    {
+      columns: ['createdAt']
+    }
+  ]
+});
+
+module.exports = {{entityPascalCase}};
+`,
+
+  prismaAudit: `// AuditLog model
+// @author {{author}}
+//
+// Audit trail of audited models: one record per create, update, delete or
+// restore, with the values the change made
+
+enum AuditLogAction {
+  create
+  update
+  delete
+  restore
+}
+
+model AuditLog {
+  id         String         @id @default(uuid()) @db.VarChar(36)
+  entityType String         @db.VarChar(64)
+  entityId   String         @db.VarChar(36)
+  action     AuditLogAction
+  changes    Json
+  userId     String?        @db.VarChar(36)
+  createdAt  DateTime       @default(now()) @db.DateTime(3)
+
+  @@index([entityType, entityId])
+  @@index([userId])
+  @@map("auditLogs")
+}
+`,
+
+  typeormAudit: `/**
+ * AuditLog Entity
+ *
+ * Audit trail of audited models: one record per create, update, delete or
+ * restore, with the values the change made
+ * @author {{author}}
+ */
+
+const { EntitySchema } = require('typeorm');
+
+const AuditLog = new EntitySchema({
+  name: 'AuditLog',
+  tableName: 'auditLogs',
+  columns: {
+    id: {
+      type: 'varchar',
+      length: 36,
+      primary: true,
+      generated: 'uuid'
+    },
+    entityType: {
+      type: 'varchar',
+      length: 64
+    },
+    entityId: {
+      type: 'varchar',
+      length: 36
+    },
+    action: {
+      type: 'enum',
+      enum: ['create', 'update', 'delete', 'restore']
+    },
+    changes: {
+      type: 'json'
+    },
+    // No foreign key, so the trail outlives the users in it
+    userId: {
+      type: 'varchar',
+      length: 36,
+      nullable: true
+    },
+    // Milliseconds keep the changes made within a second in order
+    createdAt: {
+      type: 'datetime',
+      precision: 3,
+      createDate: true
+    }
+  },
+  indices: [
+    {
+      columns: ['entityType', 'entityId']
+    },
+    {
+      columns: ['userId']
+    }
+  ]
+});
+
+module.exports = AuditLog;
+`,
+};
+
+// Project configuration the Knex repositories and migrations need
+const configTemplates = {
+  knexfile: `/**
+ * Knex Configuration
+ *
+ * Connections by environment for the knex CLI and src/config/knex.js; the
+ * generated migrations are in src/migrations
+ * @author {{author}}
+ */
+
+require('dotenv').config();
+
+const connection = database => ({
+  host: process.env.DB_HOST || 'localhost',
+  port: Number(process.env.DB_PORT || 3306),
+  user: process.env.DB_USER || 'root',
+  password: process.env.DB_PASSWORD || '',
+  database,
+  charset: 'utf8mb4'
+});
+
+const shared = {
+  client: 'mysql2',
+  migrations: {
+    directory: './src/migrations',
+    tableName: 'knexMigrations'
+  }
+};
+
+module.exports = {
+  development: {
+    ...shared,
+    connection: connection(process.env.DB_NAME)
+  },
+  test: {
+    ...shared,
+    connection: connection(process.env.DB_NAME_TEST || process.env.DB_NAME)
+  },
+  production: {
+    ...shared,
+    connection: connection(process.env.DB_NAME),
+    pool: { min: 2, max: 10 }
+  }
+};`,
+
+  knex: `/**
+ * Knex Connection
+ *
+ * Query builder for the current environment, configured in knexfile.js
+ * @author {{author}}
+ */
+
+const createKnex = require('knex');
+const config = require('../../knexfile');
+
+const knex = createKnex(config[process.env.NODE_ENV || 'development']);
+
+module.exports = { knex };`,
+};
+
+// Types every TypeScript repository declares, so they stay interchangeable
+const typescriptRepositoryTypes = `
+/**
+ * A condition on a field, or a group of conditions of which any or all must match
+ */
+export type Condition =
+  | {
+      field: string;
+      operator: 'eq' | 'ne' | 'gt' | 'gte' | 'lt' | 'lte' | 'in' | 'nin' | 'contains';
+      value: unknown;
+    }
+  | { any: Condition[] }
+  | { all: Condition[] };
+
+/**
+ * Options of findAll
+ */
+export interface FindOptions {
+  /** Conditions that must all match */
+  where?: Condition[];
+  /** [field, direction] pairs (default: newest first) */
+  order?: Array<[string, 'asc' | 'desc']>;
+  limit?: number;
+  offset?: number;
+  /** Fields to return (default: all) */
+  fields?: string[];
+  /** Relations to include */
+  include?: string[];
+  /** \`include\` deleted {{entityPlural}} as well, or \`only\` those */
+  deleted?: 'include' | 'only';
+  /** Transaction from \`transaction\` */
+  transaction?: Transaction | undefined;
+  /** Lock the {{entityPlural}} until the transaction ends */
+  lock?: boolean;
+}
+
+/**
+ * Options of create, update, remove and restore
+ */
+export interface WriteOptions {
+  /** User making the change, for the audit trail */
+  userId?: string | undefined;
+  /** Version the change is based on; a StaleWriteError is thrown when it is no longer the current one */
+  version?: number | undefined;
+  /** Transaction from \`transaction\` */
+  transaction?: Transaction | undefined;
+}
+
+/**
+ * A {{entityName}} as the repository returns it, with any included relations
+ */
+export type {{entityPascalCase}}Record = {{entityPascalCase}}Attributes & Record<string, unknown>;
+
+// Newest first unless an order is given
+const defaultOrder: Array<[string, 'asc' | 'desc']> = [['createdAt', 'desc']];
+`;
+
+// Column types of the targets without a Sequelize model
+const typescriptAttributes = `
+/**
+ * {{entityName}} columns
+ */
+export interface {{entityPascalCase}}Attributes {
+  id: string;
+{{modelAttributeTypes}}
+  createdBy: string | null;
+  updatedBy: string | null;
+  createdAt: Date;
+  updatedAt: Date;
+  deletedAt: Date | null;
+}
+
+type OptionalColumns = {{modelOptionalAttributes}} | 'deletedAt';
+
+/**
+ * Columns that can be left out when creating a {{entityName}}
+ */
+export type {{entityPascalCase}}CreationAttributes = Omit<{{entityPascalCase}}Attributes, OptionalColumns> &
+  Partial<Pick<{{entityPascalCase}}Attributes, OptionalColumns>>;
+`;
+
+const typescriptLikePattern = `
+/**
+ * LIKE pattern that matches text literally anywhere in a value
+ */
+const likePattern = (text: unknown): string => \`%\${String(text).replace(/[\\\\%_]/g, '\\\\$&')}%\`;
+`;
+
+const typescriptStaleWrite = `
+/**
+ * Error for a write based on an outdated version of the {{entityName}}
+ */
+const staleWrite = (): Error => {
+  const error = new Error('{{entityName}} has been modified');
+  error.name = 'StaleWriteError';
+  return error;
+};
+`;
+
+const typescriptTransaction = `
+/**
+ * Run work in a transaction that is committed when it resolves and rolled
+ * back when it throws; pass the transaction it gets to the other methods
+ */
+`;
+
+const typescriptFindById = `
+/**
+ * Find a {{entityName}} by ID
+ */
+export const findById = async (
+  id: string,
+  options: Omit<FindOptions, 'where' | 'order'> = {}
+): Promise<{{entityPascalCase}}Record | null> => {
+  const [record] = await findAll({
+    ...options,
+    where: [{ field: 'id', operator: 'eq', value: id }],
+    order: []
+  });
+  return record ?? null;
+};
+`;
+
+const typescriptRepositoryTemplates = {
+  sequelize: `/**
+ * {{entityName}} Repository
+ *
+ * {{entityName}} persistence with the Sequelize model
+ * @author {{author}}
+ */
+
+import { Op } from 'sequelize';
+import type { Transaction, WhereOptions } from 'sequelize';
+import { sequelize } from '../config/database';
+import { {{entityPascalCase}} } from '../models/{{entityPascalCase}}';
+import type { {{entityPascalCase}}Attributes, {{entityPascalCase}}CreationAttributes } from '../models/{{entityPascalCase}}';
+{{sequelizeTypescriptImports}}
+export type { {{entityPascalCase}}Attributes, {{entityPascalCase}}CreationAttributes, Transaction };
+${typescriptRepositoryTypes}
+const operators = {
+  eq: Op.eq,
+  ne: Op.ne,
+  gt: Op.gt,
+  gte: Op.gte,
+  lt: Op.lt,
+  lte: Op.lte,
+  in: Op.in,
+  nin: Op.notIn,
+  contains: Op.like
+};
+${typescriptLikePattern}${typescriptStaleWrite}
+/**
+ * Sequelize where clause for conditions that must all match
+ */
+const toWhere = (conditions: Condition[]): WhereOptions => ({
+  [Op.and]: conditions.map((condition): WhereOptions => {
+    if ('any' in condition) {
+      return { [Op.or]: condition.any.map(item => toWhere([item])) };
+    }
+    if ('all' in condition) {
+      return toWhere(condition.all);
+    }
+    const { field, operator, value } = condition;
+    return { [field]: { [operators[operator]]: operator === 'contains' ? likePattern(value) : value } };
+  })
+});
+
+/**
+ * Where and paranoid options that leave out deleted {{entityPlural}} unless
+ * \`deleted\` includes them or asks for only those
+ */
+const scoped = (where: Condition[], deleted?: FindOptions['deleted']) => ({
+  where: deleted === 'only' ? { [Op.and]: [toWhere(where), { deletedAt: { [Op.ne]: null } }] } : toWhere(where),
+  paranoid: !deleted
+});
+
+// Sequelize checks the version column again when it saves
+const checked = <T>(write: Promise<T>): Promise<T> =>
+  write.catch((error: unknown) => {
+    throw error instanceof Error && error.name === 'SequelizeOptimisticLockError' ? staleWrite() : error;
+  });
+
+const plain = (record: { get(options: { plain: true }): unknown }): {{entityPascalCase}}Record =>
+  record.get({ plain: true }) as {{entityPascalCase}}Record;
+
+/**
+ * Find {{entityPlural}}
+ */
+export const findAll = async (options: FindOptions = {}): Promise<{{entityPascalCase}}Record[]> => {
+  const { where = [], order = defaultOrder, limit, offset, fields, include = [], deleted } = options;
+  const records = await {{entityPascalCase}}.findAll({
+    ...scoped(where, deleted),
+    order: order.map(([field, direction]) => [field, direction.toUpperCase()]),
+    ...(limit !== undefined && { limit }),
+    ...(offset !== undefined && { offset }),
+    ...(fields && { attributes: fields }),
+    include: include.map(association => ({ association })),
+    // Sequelize's options take null rather than undefined outside a transaction
+    transaction: options.transaction ?? null,
+    lock: options.lock ?? false
+  });
+  return records.map(plain);
+};
+
+/**
+ * Count {{entityPlural}}
+ */
+export const count = ({ where = [], deleted }: Pick<FindOptions, 'where' | 'deleted'> = {}): Promise<number> =>
+  {{entityPascalCase}}.count(scoped(where, deleted));
+
+/**
+ * Find a {{entityName}} by ID
+ */
+export const findById = async (
+  id: string,
+  { fields, include = [], deleted, transaction }: Omit<FindOptions, 'where' | 'order'> = {}
+): Promise<{{entityPascalCase}}Record | null> => {
+  const record = await {{entityPascalCase}}.findByPk(id, {
+    ...(fields && { attributes: fields }),
+    include: include.map(association => ({ association })),
+    paranoid: !deleted,
+    transaction: transaction ?? null
+  });
+  return record ? plain(record) : null;
+};
+
+/**
+ * Create a {{entityName}}
+ */
+export const create = async (
+  data: {{entityPascalCase}}CreationAttributes,
+  { {{typescriptAuditUser}}transaction }: WriteOptions = {}
+): Promise<{{entityPascalCase}}Record> => plain(await {{entityPascalCase}}.create(data, { {{typescriptAuditUser}}transaction: transaction ?? null }));
+
+/**
+ * Update a {{entityName}}; null when there is none
+ */
+export const update = async (
+  id: string,
+  data: Partial<{{entityPascalCase}}Attributes>,
+  { {{typescriptAuditUser}}version, transaction }: WriteOptions = {}
+): Promise<{{entityPascalCase}}Record | null> => {
+  const record = await {{entityPascalCase}}.findByPk(id, { transaction: transaction ?? null });
+  if (!record) {
+    return null;
+  }
+  if (version !== undefined && record.get('version') !== version) {
+    throw staleWrite();
+  }
+
+  await checked(record.update(data, { {{typescriptAuditUser}}transaction: transaction ?? null }));
+  await record.reload({ transaction: transaction ?? null });
+  return plain(record);
+};
+
+/**
+ * Delete a {{entityName}}; it is soft deleted unless forced
+ */
+export const remove = async (
+  id: string,
+  { {{typescriptAuditUser}}version, force = false, transaction }: WriteOptions & { force?: boolean } = {}
+): Promise<boolean> => {
+  const record = await {{entityPascalCase}}.findByPk(id, { paranoid: !force, transaction: transaction ?? null });
+  if (!record) {
+    return false;
+  }
+  if (version !== undefined && record.get('version') !== version) {
+    throw staleWrite();
+  }
+
+  await checked(record.destroy({ {{typescriptAuditUser}}force, transaction: transaction ?? null }));
+  return true;
+};
+
+/**
+ * Restore a soft deleted {{entityName}}; null when it is not deleted
+ */
+export const restore = async (
+  id: string,
+  { {{typescriptAuditUser}}transaction }: WriteOptions = {}
+): Promise<{{entityPascalCase}}Record | null> => {
+  const record = await {{entityPascalCase}}.findByPk(id, { paranoid: false, transaction: transaction ?? null });
+  if (!record?.isSoftDeleted()) {
+    return null;
+  }
+
+  await record.restore({ {{typescriptAuditUser}}transaction: transaction ?? null });
+  return plain(record);
+};
+${typescriptTransaction}
+const runInTransaction = <T>(work: (transaction: Transaction) => Promise<T>): Promise<T> =>
+  sequelize.transaction(work);
+
+export { runInTransaction as transaction };
+{{sequelizeTypescriptMethods}}`,
+
+  prisma: `/**
+ * {{entityName}} Repository
+ *
+ * {{entityName}} persistence with Prisma Client
+ * @author {{author}}
+ */
+
+import type { Prisma } from '@prisma/client';
+import { prisma } from '../config/prisma';
+
+// Interactive transaction client
+export type Transaction = Prisma.TransactionClient;
+${typescriptAttributes}${typescriptRepositoryTypes}
+const operators = {
+  eq: 'equals',
+  ne: 'not',
+  gt: 'gt',
+  gte: 'gte',
+  lt: 'lt',
+  lte: 'lte',
+  in: 'in',
+  nin: 'notIn',
+  contains: 'contains'
+} as const;
+${typescriptStaleWrite}
+type Where = Record<string, unknown>;
+
+/**
+ * Prisma where input for conditions that must all match
+ */
+const toWhere = (conditions: Condition[]): Where => ({
+  AND: conditions.map((condition): Where => {
+    if ('any' in condition) {
+      return { OR: condition.any.map(item => toWhere([item])) };
+    }
+    if ('all' in condition) {
+      return toWhere(condition.all);
+    }
+    return { [condition.field]: { [operators[condition.operator]]: condition.value } };
+  })
+});
+
+/**
+ * Where input that leaves out deleted {{entityPlural}} unless \`deleted\`
+ * includes them or asks for only those
+ */
+const scoped = (where: Condition[], deleted?: FindOptions['deleted']): Where => ({
+  AND: [
+    toWhere(where),
+    deleted === 'only' ? { deletedAt: { not: null } } : deleted ? {} : { deletedAt: null }
+  ]
+});
+{{prismaTypescriptHelpers}}
+/**
+ * Find {{entityPlural}}
+ */
+export const findAll = async (options: FindOptions = {}): Promise<{{entityPascalCase}}Record[]> => {
+  const { where = [], order = defaultOrder, limit, offset, fields, deleted } = options;
+  const db = options.transaction ?? prisma;
+  // Prisma has no row locks; the transaction still keeps the writes together
+  const records = (await db.{{entityCamelCase}}.findMany({
+    where: scoped(where, deleted),
+    orderBy: order.map(([field, direction]) => ({ [field]: direction })),
+    ...(limit !== undefined && { take: limit }),
+    ...(offset !== undefined && { skip: offset }),
+    ...(fields && { select: Object.fromEntries(fields.map(field => [field, true])) })
+  })) as {{entityPascalCase}}Record[];
+  return {{typescriptRepositoryRecords}};
+};
+
+/**
+ * Count {{entityPlural}}
+ */
+export const count = ({ where = [], deleted }: Pick<FindOptions, 'where' | 'deleted'> = {}): Promise<number> =>
+  prisma.{{entityCamelCase}}.count({ where: scoped(where, deleted) });
+${typescriptFindById}
+/**
+ * Create a {{entityName}}
+ */
+export const create = async (
+  data: {{entityPascalCase}}CreationAttributes,
+  { {{typescriptAuditUser}}transaction }: WriteOptions = {}
+): Promise<{{entityPascalCase}}Record> => {
+  const db = transaction ?? prisma;
+  const record = (await db.{{entityCamelCase}}.create({ data })) as {{entityPascalCase}}Record;
+{{typescriptAuditCreate}}  return record;
+};
+
+/**
+ * Update a {{entityName}}; null when there is none
+ */
+export const update = async (
+  id: string,
+  data: Partial<{{entityPascalCase}}Attributes>,
+  { {{typescriptAuditUser}}version, transaction }: WriteOptions = {}
+): Promise<{{entityPascalCase}}Record | null> => {
+  const db = transaction ?? prisma;
+  const before = await findById(id, { transaction });
+  if (!before) {
+    return null;
+  }
+${versionCheck}
+  const { count: updated } = await db.{{entityCamelCase}}.updateMany({
+    where: { id, deletedAt: null, ...(version !== undefined && { version }) },
+    data: { ...data{{prismaVersionIncrement}} }
+  });
+${lostRace('updated')}
+  const record = await findById(id, { transaction });
+{{typescriptAuditUpdate}}  return record;
+};
+
+/**
+ * Delete a {{entityName}}; it is soft deleted unless forced
+ */
+export const remove = async (
+  id: string,
+  { {{typescriptAuditUser}}version, force = false, transaction }: WriteOptions & { force?: boolean } = {}
+): Promise<boolean> => {
+  const db = transaction ?? prisma;
+  const before = await findById(id, force ? { deleted: 'include', transaction } : { transaction });
+  if (!before) {
+    return false;
+  }
+${versionCheck}
+  const deletedAt = new Date();
+  const where = { id, ...(version !== undefined && { version }) };
+  const { count: deleted } = force
+    ? await db.{{entityCamelCase}}.deleteMany({ where })
+    : await db.{{entityCamelCase}}.updateMany({ where: { ...where, deletedAt: null }, data: { deletedAt } });
+${lostRace('deleted')}{{typescriptRepositoryCascade}}{{typescriptAuditDelete}}  return true;
+};
+
+/**
+ * Restore a soft deleted {{entityName}}; null when it is not deleted
+ */
+export const restore = async (
+  id: string,
+  { {{typescriptAuditUser}}transaction }: WriteOptions = {}
+): Promise<{{entityPascalCase}}Record | null> => {
+  const db = transaction ?? prisma;
+  const before = await findById(id, { deleted: 'only', transaction });
+  if (!before) {
+    return null;
+  }
+
+  await db.{{entityCamelCase}}.updateMany({ where: { id }, data: { deletedAt: null } });
+  const record = await findById(id, { transaction });
+{{typescriptAuditRestore}}  return record;
+};
+${typescriptTransaction}
+const runInTransaction = <T>(work: (transaction: Transaction) => Promise<T>): Promise<T> =>
+  prisma.$transaction(work);
+
+export { runInTransaction as transaction };
+{{prismaTypescriptMethods}}`,
+
+  knex: `/**
+ * {{entityName}} Repository
+ *
+ * {{entityName}} persistence with the Knex query builder
+ * @author {{author}}
+ */
+
+import { randomUUID } from 'crypto';
+import type { Knex } from 'knex';
+import { knex } from '../config/knex';
+
+export type Transaction = Knex.Transaction;
+
+const table = '{{entityTableName}}';
+${typescriptAttributes}${typescriptRepositoryTypes}
+// JSON columns are written as text; TINYINT(1) booleans are read as 0 or 1
+const jsonFields: string[] = [{{repositoryJsonFields}}];
+const booleanFields: string[] = [{{repositoryBooleanFields}}];
+
+const toRow = (data: Record<string, unknown>): Record<string, unknown> => {
+  const row = { ...data };
+  jsonFields
+    .filter(field => row[field] !== undefined)
+    .forEach(field => {
+      row[field] = JSON.stringify(row[field]);
+    });
+  return row;
+};
+
+const fromRow = (row: Record<string, unknown>): {{entityPascalCase}}Record => {
+  const record = { ...row };
+  booleanFields
+    .filter(field => record[field] !== undefined && record[field] !== null)
+    .forEach(field => {
+      record[field] = Boolean(record[field]);
+    });
+  return record as {{entityPascalCase}}Record;
+};
+${typescriptLikePattern}${typescriptStaleWrite}
+const comparisons = { eq: '=', ne: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=' } as const;
+
+/**
+ * Add conditions that must all match to a query
+ */
+const applyConditions = (query: Knex.QueryBuilder, conditions: Condition[]): Knex.QueryBuilder => {
+  conditions.forEach(condition => {
+    if ('any' in condition) {
+      query.where(builder => {
+        condition.any.forEach(item => builder.orWhere(inner => applyConditions(inner, [item])));
+      });
+    } else if ('all' in condition) {
+      query.where(builder => applyConditions(builder, condition.all));
+    } else if (condition.operator === 'in') {
+      query.whereIn(condition.field, condition.value as readonly string[]);
+    } else if (condition.operator === 'nin') {
+      query.whereNotIn(condition.field, condition.value as readonly string[]);
+    } else if (condition.operator === 'contains') {
+      query.where(condition.field, 'like', likePattern(condition.value));
+    } else {
+      query.where(condition.field, comparisons[condition.operator], condition.value as Knex.Value);
+    }
+  });
+  return query;
+};
+
+/**
+ * Query of the table that leaves out deleted {{entityPlural}} unless
+ * \`deleted\` includes them or asks for only those
+ */
+const scoped = (db: Knex, deleted?: FindOptions['deleted']): Knex.QueryBuilder => {
+  const query = db(table);
+  if (deleted === 'only') {
+    query.whereNotNull('deletedAt');
+  } else if (!deleted) {
+    query.whereNull('deletedAt');
+  }
+  return query;
+};
+{{knexTypescriptHelpers}}
+/**
+ * Find {{entityPlural}}
+ */
+export const findAll = async (options: FindOptions = {}): Promise<{{entityPascalCase}}Record[]> => {
+  const { where = [], order = defaultOrder, limit, offset, fields, deleted } = options;
+  const db = options.transaction ?? knex;
+  const query = applyConditions(scoped(db, deleted), where).select(fields ?? '*');
+  order.forEach(([field, direction]) => query.orderBy(field, direction));
+  if (limit !== undefined) {
+    query.limit(limit);
+  }
+  if (offset !== undefined) {
+    query.offset(offset);
+  }
+  if (options.lock) {
+    query.forUpdate();
+  }
+  const records = ((await query) as Record<string, unknown>[]).map(fromRow);
+  return {{typescriptRepositoryRecords}};
+};
+
+/**
+ * Count {{entityPlural}}
+ */
+export const count = async ({ where = [], deleted }: Pick<FindOptions, 'where' | 'deleted'> = {}): Promise<number> => {
+  const [{ total }] = await applyConditions(scoped(knex, deleted), where).count({ total: '*' });
+  return Number(total);
+};
+${typescriptFindById}
+/**
+ * Create a {{entityName}}
+ */
+export const create = async (
+  data: {{entityPascalCase}}CreationAttributes,
+  { {{typescriptAuditUser}}transaction }: WriteOptions = {}
+): Promise<{{entityPascalCase}}Record> => {
+  const db = transaction ?? knex;
+  const id = randomUUID();
+  await db(table).insert(toRow({ ...data, id }));
+  const record = (await findById(id, { transaction })) as {{entityPascalCase}}Record;
+{{typescriptAuditCreate}}  return record;
+};
+
+/**
+ * Update a {{entityName}}; null when there is none
+ */
+export const update = async (
+  id: string,
+  data: Partial<{{entityPascalCase}}Attributes>,
+  { {{typescriptAuditUser}}version, transaction }: WriteOptions = {}
+): Promise<{{entityPascalCase}}Record | null> => {
+  const db = transaction ?? knex;
+  const before = await findById(id, { transaction });
+  if (!before) {
+    return null;
+  }
+${versionCheck}
+  const query = db(table).where({ id }).whereNull('deletedAt');
+  if (version !== undefined) {
+    query.andWhere({ version });
+  }
+  const updated = await query.update(toRow({ ...data, updatedAt: new Date(){{knexVersionIncrement}} }));
+${lostRace('updated')}
+  const record = await findById(id, { transaction });
+{{typescriptAuditUpdate}}  return record;
+};
+
+/**
+ * Delete a {{entityName}}; it is soft deleted unless forced
+ */
+export const remove = async (
+  id: string,
+  { {{typescriptAuditUser}}version, force = false, transaction }: WriteOptions & { force?: boolean } = {}
+): Promise<boolean> => {
+  const db = transaction ?? knex;
+  const before = await findById(id, force ? { deleted: 'include', transaction } : { transaction });
+  if (!before) {
+    return false;
+  }
+${versionCheck}
+  const deletedAt = new Date();
+  const query = db(table).where({ id });
+  if (version !== undefined) {
+    query.andWhere({ version });
+  }
+  const deleted = force ? await query.del() : await query.whereNull('deletedAt').update({ deletedAt });
+${lostRace('deleted')}{{typescriptRepositoryCascade}}{{typescriptAuditDelete}}  return true;
+};
+
+/**
+ * Restore a soft deleted {{entityName}}; null when it is not deleted
+ */
+export const restore = async (
+  id: string,
+  { {{typescriptAuditUser}}transaction }: WriteOptions = {}
+): Promise<{{entityPascalCase}}Record | null> => {
+  const db = transaction ?? knex;
+  const before = await findById(id, { deleted: 'only', transaction });
+  if (!before) {
+    return null;
+  }
+
+  await db(table).where({ id }).update({ deletedAt: null });
+  const record = await findById(id, { transaction });
+{{typescriptAuditRestore}}  return record;
+};
+${typescriptTransaction}
+const runInTransaction = <T>(work: (transaction: Transaction) => Promise<T>): Promise<T> =>
+  knex.transaction(work);
+
+export { runInTransaction as transaction };
+{{knexTypescriptMethods}}`,
+
+  typeorm: `/**
+ * {{entityName}} Repository
+ *
+ * {{entityName}} persistence with a TypeORM repository
+ * @author {{author}}
+ */
+
+import { Brackets, IsNull } from 'typeorm';
+import type { EntityManager, WhereExpressionBuilder } from 'typeorm';
+import { dataSource } from '../config/data-source';
+import {{entityPascalCase}} from '../entities/{{entityPascalCase}}';
+
+// Entity manager of a transaction
+export type Transaction = EntityManager;
+${typescriptAttributes}${typescriptRepositoryTypes}
+const comparisons = {
+  eq: '=',
+  ne: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  in: 'IN',
+  nin: 'NOT IN',
+  contains: 'LIKE'
+} as const;
+${typescriptLikePattern}${typescriptStaleWrite}
+/**
+ * Add conditions that must all match to a query builder; fields are entity
+ * properties the controller whitelists, values are always parameters
+ */
+const applyConditions = <T extends WhereExpressionBuilder>(
+  query: T,
+  conditions: Condition[],
+  parameters = { count: 0 }
+): T => {
+  conditions.forEach(condition => {
+    if ('any' in condition || 'all' in condition) {
+      const group = 'any' in condition ? condition.any : condition.all;
+      query.andWhere(
+        new Brackets(builder => {
+          group.forEach(item => {
+            const nested = new Brackets(inner => applyConditions(inner, [item], parameters));
+            if ('any' in condition) {
+              builder.orWhere(nested);
+            } else {
+              builder.andWhere(nested);
+            }
+          });
+        })
+      );
+      return;
+    }
+
+    const { field, operator, value } = condition;
+    const name = \`value\${(parameters.count += 1)}\`;
+    const placeholder = operator === 'in' || operator === 'nin' ? \`(:...\${name})\` : \`:\${name}\`;
+    query.andWhere(\`record.\${field} \${comparisons[operator]} \${placeholder}\`, {
+      [name]: operator === 'contains' ? likePattern(value) : value
+    });
+  });
+  return query;
+};
+
+const repository = (db: EntityManager) => db.getRepository<{{entityPascalCase}}Attributes>({{entityPascalCase}});
+
+/**
+ * Query of the {{entityPlural}} that leaves out deleted ones unless
+ * \`deleted\` includes them or asks for only those
+ */
+const scoped = (db: EntityManager, where: Condition[], deleted?: FindOptions['deleted']) => {
+  const query = applyConditions(repository(db).createQueryBuilder('record'), where);
+  if (deleted) {
+    query.withDeleted();
+  }
+  if (deleted === 'only') {
+    query.andWhere('record.deletedAt IS NOT NULL');
+  }
+  return query;
+};
+{{typeormTypescriptHelpers}}
+/**
+ * Find {{entityPlural}}
+ */
+export const findAll = async (options: FindOptions = {}): Promise<{{entityPascalCase}}Record[]> => {
+  const { where = [], order = defaultOrder, limit, offset, fields, deleted } = options;
+  const db = options.transaction ?? dataSource.manager;
+  const query = scoped(db, where, deleted);
+  if (fields) {
+    query.select(fields.map(field => \`record.\${field}\`));
+  }
+  order.forEach(([field, direction]) =>
+    query.addOrderBy(\`record.\${field}\`, direction === 'asc' ? 'ASC' : 'DESC')
+  );
+  if (limit !== undefined) {
+    query.limit(limit);
+  }
+  if (offset !== undefined) {
+    query.offset(offset);
+  }
+  if (options.lock) {
+    query.setLock('pessimistic_write');
+  }
+  const records = (await query.getMany()) as {{entityPascalCase}}Record[];
+  return {{typescriptRepositoryRecords}};
+};
+
+/**
+ * Count {{entityPlural}}
+ */
+export const count = ({ where = [], deleted }: Pick<FindOptions, 'where' | 'deleted'> = {}): Promise<number> =>
+  scoped(dataSource.manager, where, deleted).getCount();
+${typescriptFindById}
+/**
+ * Create a {{entityName}}
+ */
+export const create = async (
+  data: {{entityPascalCase}}CreationAttributes,
+  { {{typescriptAuditUser}}transaction }: WriteOptions = {}
+): Promise<{{entityPascalCase}}Record> => {
+  const db = transaction ?? dataSource.manager;
+  const { id } = await repository(db).save(repository(db).create(data));
+  const record = (await findById(id, { transaction })) as {{entityPascalCase}}Record;
+{{typescriptAuditCreate}}  return record;
+};
+
+/**
+ * Update a {{entityName}}; null when there is none
+ */
+export const update = async (
+  id: string,
+  data: Partial<{{entityPascalCase}}Attributes>,
+  { {{typescriptAuditUser}}version, transaction }: WriteOptions = {}
+): Promise<{{entityPascalCase}}Record | null> => {
+  const db = transaction ?? dataSource.manager;
+  const before = await findById(id, { transaction });
+  if (!before) {
+    return null;
+  }
+${versionCheck}
+  // TypeORM increments a version column on every update
+  const { affected } = await repository(db).update(
+    { id, deletedAt: IsNull(), ...(version !== undefined && { version }) },
+    data
+  );
+${lostRace('affected')}
+  const record = await findById(id, { transaction });
+{{typescriptAuditUpdate}}  return record;
+};
+
+/**
+ * Delete a {{entityName}}; it is soft deleted unless forced
+ */
+export const remove = async (
+  id: string,
+  { {{typescriptAuditUser}}version, force = false, transaction }: WriteOptions & { force?: boolean } = {}
+): Promise<boolean> => {
+  const db = transaction ?? dataSource.manager;
+  const before = await findById(id, force ? { deleted: 'include', transaction } : { transaction });
+  if (!before) {
+    return false;
+  }
+${versionCheck}
+  const deletedAt = new Date();
+  const where = { id, ...(version !== undefined && { version }) };
+  const { affected } = force
+    ? await repository(db).delete(where)
+    : await repository(db).update({ ...where, deletedAt: IsNull() }, { deletedAt });
+${lostRace('affected')}{{typescriptRepositoryCascade}}{{typescriptAuditDelete}}  return true;
+};
+
+/**
+ * Restore a soft deleted {{entityName}}; null when it is not deleted
+ */
+export const restore = async (
+  id: string,
+  { {{typescriptAuditUser}}transaction }: WriteOptions = {}
+): Promise<{{entityPascalCase}}Record | null> => {
+  const db = transaction ?? dataSource.manager;
+  const before = await findById(id, { deleted: 'only', transaction });
+  if (!before) {
+    return null;
+  }
+
+  await repository(db).restore({ id });
+  const record = await findById(id, { transaction });
+{{typescriptAuditRestore}}  return record;
+};
+${typescriptTransaction}
+const runInTransaction = <T>(work: (transaction: Transaction) => Promise<T>): Promise<T> =>
+  dataSource.transaction(work);
+
+export { runInTransaction as transaction };
+{{typeormTypescriptMethods}}`,
+
+  mysql2: `/**
+ * {{entityName}} Repository
+ *
+ * {{entityName}} persistence with SQL through a mysql2 connection pool
+ * @author {{author}}
+ */
+
+import { randomUUID } from 'crypto';
+import type { ResultSetHeader, RowDataPacket } from 'mysql2';
+import type { Pool, PoolConnection } from 'mysql2/promise';
+import { pool } from '../config/mysql';
+
+// Pool connection a transaction runs on
+export type Transaction = PoolConnection;
+
+const table = '{{entityTableName}}';
+${typescriptAttributes}${typescriptRepositoryTypes}
+// JSON columns are written as text; TINYINT(1) booleans are read as 0 or 1
+const jsonFields: string[] = [{{repositoryJsonFields}}];
+const booleanFields: string[] = [{{repositoryBooleanFields}}];
+
+const toRow = (data: Record<string, unknown>): Record<string, unknown> => {
+  const row = { ...data };
+  jsonFields
+    .filter(field => row[field] !== undefined)
+    .forEach(field => {
+      row[field] = JSON.stringify(row[field]);
+    });
+  return row;
+};
+
+const fromRow = (row: Record<string, unknown>): {{entityPascalCase}}Record => {
+  const record = { ...row };
+  booleanFields
+    .filter(field => record[field] !== undefined && record[field] !== null)
+    .forEach(field => {
+      record[field] = Boolean(record[field]);
+    });
+  return record as {{entityPascalCase}}Record;
+};
+${typescriptLikePattern}${typescriptStaleWrite}
+const comparisons = {
+  eq: '=',
+  ne: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  in: 'IN',
+  nin: 'NOT IN',
+  contains: 'LIKE'
+} as const;
+
+/**
+ * SQL and values for conditions joined with AND (or OR); \`??\` placeholders
+ * escape column names
+ */
+const toSql = (conditions: Condition[], separator = ' AND '): { sql: string; values: unknown[] } => {
+  const parts: string[] = [];
+  const values: unknown[] = [];
+  conditions.forEach(condition => {
+    if ('any' in condition || 'all' in condition) {
+      const nested = 'any' in condition ? toSql(condition.any, ' OR ') : toSql(condition.all);
+      parts.push(\`(\${nested.sql})\`);
+      values.push(...nested.values);
+      return;
+    }
+
+    const { field, operator, value } = condition;
+    const list = operator === 'in' || operator === 'nin';
+    parts.push(\`?? \${comparisons[operator]} \${list ? '(?)' : '?'}\`);
+    values.push(field, operator === 'contains' ? likePattern(value) : value);
+  });
+  return { sql: parts.length > 0 ? parts.join(separator) : '1 = 1', values };
+};
+
+/**
+ * Condition that leaves out deleted {{entityPlural}} unless \`deleted\`
+ * includes them or asks for only those
+ */
+const deletedSql = (deleted?: FindOptions['deleted']): string =>
+  deleted === 'include' ? '1 = 1' : deleted === 'only' ? 'deletedAt IS NOT NULL' : 'deletedAt IS NULL';
+{{mysql2TypescriptHelpers}}
+/**
+ * Find {{entityPlural}}
+ */
+export const findAll = async (options: FindOptions = {}): Promise<{{entityPascalCase}}Record[]> => {
+  const { where = [], order = defaultOrder, limit, offset, fields, deleted } = options;
+  const db: Pool | Transaction = options.transaction ?? pool;
+  const conditions = toSql(where);
+  let sql = \`SELECT \${fields ? '??' : '*'} FROM ?? WHERE \${deletedSql(deleted)} AND \${conditions.sql}\`;
+  const values: unknown[] = [...(fields ? [fields] : []), table, ...conditions.values];
+
+  if (order.length > 0) {
+    sql += \` ORDER BY \${order.map(([, direction]) => (direction === 'desc' ? '?? DESC' : '?? ASC')).join(', ')}\`;
+    values.push(...order.map(([field]) => field));
+  }
+  if (limit !== undefined) {
+    sql += ' LIMIT ?';
+    values.push(limit);
+  }
+  if (offset !== undefined) {
+    sql += ' OFFSET ?';
+    values.push(offset);
+  }
+  if (options.lock) {
+    sql += ' FOR UPDATE';
+  }
+
+  const [rows] = await db.query<RowDataPacket[]>(sql, values);
+  const records = rows.map(fromRow);
+  return {{typescriptRepositoryRecords}};
+};
+
+/**
+ * Count {{entityPlural}}
+ */
+export const count = async ({ where = [], deleted }: Pick<FindOptions, 'where' | 'deleted'> = {}): Promise<number> => {
+  const conditions = toSql(where);
+  const [[{ total }]] = await pool.query<RowDataPacket[]>(
+    \`SELECT COUNT(*) AS total FROM ?? WHERE \${deletedSql(deleted)} AND \${conditions.sql}\`,
+    [table, ...conditions.values]
+  );
+  return Number(total);
+};
+${typescriptFindById}
+/**
+ * Create a {{entityName}}
+ */
+export const create = async (
+  data: {{entityPascalCase}}CreationAttributes,
+  { {{typescriptAuditUser}}transaction }: WriteOptions = {}
+): Promise<{{entityPascalCase}}Record> => {
+  const db: Pool | Transaction = transaction ?? pool;
+  const id = randomUUID();
+  await db.query('INSERT INTO ?? SET ?', [table, toRow({ ...data, id })]);
+  const record = (await findById(id, { transaction })) as {{entityPascalCase}}Record;
+{{typescriptAuditCreate}}  return record;
+};
+
+/**
+ * Update a {{entityName}}; null when there is none
+ */
+export const update = async (
+  id: string,
+  data: Partial<{{entityPascalCase}}Attributes>,
+  { {{typescriptAuditUser}}version, transaction }: WriteOptions = {}
+): Promise<{{entityPascalCase}}Record | null> => {
+  const db: Pool | Transaction = transaction ?? pool;
+  const before = await findById(id, { transaction });
+  if (!before) {
+    return null;
+  }
+${versionCheck}
+  const [{ affectedRows }] = await db.query<ResultSetHeader>(
+    \`UPDATE ?? SET ?{{mysql2VersionIncrement}} WHERE id = ? AND deletedAt IS NULL\${version !== undefined ? ' AND version = ?' : ''}\`,
+    [table, toRow({ ...data, updatedAt: new Date() }), id, ...(version !== undefined ? [version] : [])]
+  );
+${lostRace('affectedRows')}
+  const record = await findById(id, { transaction });
+{{typescriptAuditUpdate}}  return record;
+};
+
+/**
+ * Delete a {{entityName}}; it is soft deleted unless forced
+ */
+export const remove = async (
+  id: string,
+  { {{typescriptAuditUser}}version, force = false, transaction }: WriteOptions & { force?: boolean } = {}
+): Promise<boolean> => {
+  const db: Pool | Transaction = transaction ?? pool;
+  const before = await findById(id, force ? { deleted: 'include', transaction } : { transaction });
+  if (!before) {
+    return false;
+  }
+${versionCheck}
+  const deletedAt = new Date();
+  const versionSql = version !== undefined ? ' AND version = ?' : '';
+  const versionValues = version !== undefined ? [version] : [];
+  const [{ affectedRows }] = force
+    ? await db.query<ResultSetHeader>(\`DELETE FROM ?? WHERE id = ?\${versionSql}\`, [table, id, ...versionValues])
+    : await db.query<ResultSetHeader>(
+      \`UPDATE ?? SET deletedAt = ? WHERE id = ? AND deletedAt IS NULL\${versionSql}\`,
+      [table, deletedAt, id, ...versionValues]
+    );
+${lostRace('affectedRows')}{{typescriptRepositoryCascade}}{{typescriptAuditDelete}}  return true;
+};
+
+/**
+ * Restore a soft deleted {{entityName}}; null when it is not deleted
+ */
+export const restore = async (
+  id: string,
+  { {{typescriptAuditUser}}transaction }: WriteOptions = {}
+): Promise<{{entityPascalCase}}Record | null> => {
+  const db: Pool | Transaction = transaction ?? pool;
+  const before = await findById(id, { deleted: 'only', transaction });
+  if (!before) {
+    return null;
+  }
+
+  await db.query('UPDATE ?? SET deletedAt = NULL WHERE id = ?', [table, id]);
+  const record = await findById(id, { transaction });
+{{typescriptAuditRestore}}  return record;
+};
+${typescriptTransaction}
+const runInTransaction = async <T>(work: (transaction: Transaction) => Promise<T>): Promise<T> => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await work(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+export { runInTransaction as transaction };
+{{mysql2TypescriptMethods}}`,
+};
+
+/**
+ * Per-target TypeScript code of the relation and audit helpers, as in
+ * `targetHelpers`, with the type of the connection or transaction they run on
+ */
+const typescriptTargetHelpers = {
+  knex: {
+    connection: 'knex',
+    db: 'Knex',
+    relatedRows: `const relatedRows = async (db: Knex, relation: Relation, keys: unknown[]): Promise<Array<[unknown, Row]>> => {
+  if (relation.type === 'belongsToMany') {
+    const rows: Row[] = await db(relation.table)
+      .join(relation.through, \`\${relation.through}.\${relation.otherKey}\`, \`\${relation.table}.id\`)
+      .whereIn(\`\${relation.through}.\${relation.foreignKey}\`, keys as string[])
+      .whereNull(\`\${relation.table}.deletedAt\`)
+      .select(\`\${relation.table}.*\`, \`\${relation.through}.\${relation.foreignKey} as ownerId\`);
+    return rows.map(({ ownerId, ...row }) => [ownerId, row]);
+  }
+
+  const key = relation.type === 'belongsTo' ? 'id' : relation.foreignKey;
+  const rows: Row[] = await db(relation.table).whereIn(key, keys as string[]).whereNull('deletedAt');
+  return rows.map(row => [row[key], row]);
+};`,
+    deleteChild: `db(relation.table).where(relation.foreignKey, id).whereNull('deletedAt').update({ deletedAt })`,
+    createRelated: `export const createRelated = async (id: string, name: string, data: Row): Promise<Row> => {
+  const relation = relations[name];
+  const relatedId = randomUUID();
+  await knex(relation.table).insert({ ...data, id: relatedId, [relation.foreignKey]: id });
+  return knex(relation.table).where({ id: relatedId }).first();
+};`,
+    recordChange: `await db('auditLogs').insert({
+    id: randomUUID(),
+    entityType: '{{entityPascalCase}}',
+    entityId: id,
+    action,
+    changes: JSON.stringify(changes),
+    userId: userId ?? null,
+    createdAt: new Date()
+  });`,
+    findHistory: `export const findHistory = (id: string): Promise<Record<string, unknown>[]> =>
+  knex('auditLogs')
+    .where({ entityType: '{{entityPascalCase}}', entityId: id })
+    .orderBy('createdAt', 'asc');`,
+  },
+  mysql2: {
+    connection: 'pool',
+    db: 'Pool | Transaction',
+    relatedRows: `const relatedRows = async (
+  db: Pool | Transaction,
+  relation: Relation,
+  keys: unknown[]
+): Promise<Array<[unknown, Row]>> => {
+  if (relation.type === 'belongsToMany' && relation.through && relation.otherKey) {
+    const ownerKey = \`\${relation.through}.\${relation.foreignKey}\`;
+    const [rows] = await db.query<RowDataPacket[]>(
+      'SELECT ??.*, ?? AS ownerId FROM ?? JOIN ?? ON ?? = ??.id WHERE ?? IN (?) AND ??.deletedAt IS NULL',
+      [
+        relation.table,
+        ownerKey,
+        relation.table,
+        relation.through,
+        \`\${relation.through}.\${relation.otherKey}\`,
+        relation.table,
+        ownerKey,
+        keys,
+        relation.table
+      ]
+    );
+    return rows.map(({ ownerId, ...row }) => [ownerId, row]);
+  }
+
+  const key = relation.type === 'belongsTo' ? 'id' : relation.foreignKey;
+  const [rows] = await db.query<RowDataPacket[]>('SELECT * FROM ?? WHERE ?? IN (?) AND deletedAt IS NULL', [
+    relation.table,
+    key,
+    keys
+  ]);
+  return rows.map(row => [row[key], row]);
+};`,
+    deleteChild: `db.query('UPDATE ?? SET deletedAt = ? WHERE ?? = ? AND deletedAt IS NULL', [
+        relation.table,
+        deletedAt,
+        relation.foreignKey,
+        id
+      ])`,
+    createRelated: `export const createRelated = async (id: string, name: string, data: Row): Promise<Row> => {
+  const relation = relations[name];
+  const relatedId = randomUUID();
+  await pool.query('INSERT INTO ?? SET ?', [relation.table, { ...data, id: relatedId, [relation.foreignKey]: id }]);
+  const [[record]] = await pool.query<RowDataPacket[]>('SELECT * FROM ?? WHERE id = ?', [relation.table, relatedId]);
+  return record;
+};`,
+    recordChange: `await db.query('INSERT INTO auditLogs SET ?', [
+    {
+      id: randomUUID(),
+      entityType: '{{entityPascalCase}}',
+      entityId: id,
+      action,
+      changes: JSON.stringify(changes),
+      userId: userId ?? null,
+      createdAt: new Date()
+    }
+  ]);`,
+    findHistory: `export const findHistory = async (id: string): Promise<Record<string, unknown>[]> => {
+  const [history] = await pool.query<RowDataPacket[]>(
+    'SELECT * FROM auditLogs WHERE entityType = ? AND entityId = ? ORDER BY createdAt',
+    ['{{entityPascalCase}}', id]
+  );
+  return history;
+};`,
+  },
+  prisma: {
+    connection: 'prisma',
+    db: 'Transaction',
+    relatedRows: `type Delegate = {
+  findMany(args: unknown): Promise<Row[]>;
+  updateMany(args: unknown): Promise<unknown>;
+  create(args: unknown): Promise<Row>;
+};
+
+// Prisma Client property of a model, e.g. orderItem for OrderItem
+const delegate = (db: Transaction, model: string): Delegate =>
+  (db as unknown as Record<string, Delegate>)[model[0].toLowerCase() + model.slice(1)];
+
+const relatedRows = async (db: Transaction, relation: Relation, keys: unknown[]): Promise<Array<[unknown, Row]>> => {
+  if (relation.type === 'belongsToMany') {
+    // The names come from the relations above, never from a request
+    const rows = await db.$queryRawUnsafe<Row[]>(
+      \`SELECT t.*, j.\${relation.foreignKey} AS ownerId FROM \${relation.table} t \` +
+        \`JOIN \${relation.through} j ON j.\${relation.otherKey} = t.id \` +
+        \`WHERE j.\${relation.foreignKey} IN (\${keys.map(() => '?').join(', ')}) AND t.deletedAt IS NULL\`,
+      ...keys
+    );
+    return rows.map(({ ownerId, ...row }) => [ownerId, row]);
+  }
+
+  const key = relation.type === 'belongsTo' ? 'id' : relation.foreignKey;
+  const rows = await delegate(db, relation.model).findMany({ where: { [key]: { in: keys }, deletedAt: null } });
+  return rows.map(row => [row[key], row]);
+};`,
+    deleteChild: `delegate(db, relation.model).updateMany({
+        where: { [relation.foreignKey]: id, deletedAt: null },
+        data: { deletedAt }
+      })`,
+    createRelated: `export const createRelated = (id: string, name: string, data: Row): Promise<Row> => {
+  const relation = relations[name];
+  return delegate(prisma, relation.model).create({ data: { ...data, [relation.foreignKey]: id } });
+};`,
+    recordChange: `await db.auditLog.create({
+    data: {
+      entityType: '{{entityPascalCase}}',
+      entityId: id,
+      action,
+      changes,
+      userId: userId ?? null
+    }
+  });`,
+    findHistory: `export const findHistory = (id: string): Promise<Record<string, unknown>[]> =>
+  prisma.auditLog.findMany({
+    where: { entityType: '{{entityPascalCase}}', entityId: id },
+    orderBy: { createdAt: 'asc' }
+  });`,
+  },
+  typeorm: {
+    connection: 'dataSource.manager',
+    db: 'Transaction',
+    relatedRows: `const relatedRows = async (db: Transaction, relation: Relation, keys: unknown[]): Promise<Array<[unknown, Row]>> => {
+  if (relation.type === 'belongsToMany') {
+    // The names come from the relations above, never from a request
+    const rows: Row[] = await db.query(
+      \`SELECT t.*, j.\${relation.foreignKey} AS ownerId FROM \${relation.table} t \` +
+        \`JOIN \${relation.through} j ON j.\${relation.otherKey} = t.id \` +
+        \`WHERE j.\${relation.foreignKey} IN (?) AND t.deletedAt IS NULL\`,
+      [keys]
+    );
+    return rows.map(({ ownerId, ...row }) => [ownerId, row]);
+  }
+
+  // Entities with a deleteDate column leave out deleted rows
+  const key = relation.type === 'belongsTo' ? 'id' : relation.foreignKey;
+  const rows = await db
+    .getRepository<Row>(relation.model)
+    .createQueryBuilder('related')
+    .where(\`related.\${key} IN (:...keys)\`, { keys })
+    .getMany();
+  return rows.map(row => [row[key], row]);
+};`,
+    deleteChild: `db
+        .getRepository<Row>(relation.model)
+        .update({ [relation.foreignKey]: id, deletedAt: IsNull() }, { deletedAt })`,
+    createRelated: `export const createRelated = (id: string, name: string, data: Row): Promise<Row> => {
+  const relation = relations[name];
+  const related = dataSource.getRepository<Row>(relation.model);
+  return related.save(related.create({ ...data, [relation.foreignKey]: id }));
+};`,
+    recordChange: `await db.getRepository('AuditLog').insert({
+    entityType: '{{entityPascalCase}}',
+    entityId: id,
+    action,
+    changes,
+    userId: userId ?? null
+  });`,
+    findHistory: `export const findHistory = (id: string): Promise<Record<string, unknown>[]> =>
+  dataSource.getRepository('AuditLog').find({
+    where: { entityType: '{{entityPascalCase}}', entityId: id },
+    order: { createdAt: 'ASC' }
+  });`,
+  },
+};
+
+/**
+ * Render the TypeScript relation and audit helpers of a repository without a
+ * model
+ */
+function renderTypescriptHelpers(target, relations, audit) {
+  const code = typescriptTargetHelpers[target];
+  const helpers = [];
+
+  if (relations.length > 0) {
+    helpers.push(renderTypescriptRelationHelpers(code, relations));
+  }
+  if (audit) {
+    helpers.push(`
+// A value as JSON stores it
+type JsonValue = string | number | boolean | null | JsonValue[] | { [key: string]: JsonValue };
+
+// Bookkeeping columns left out of the audit trail
+const ignoredColumns = ['id', 'createdAt', 'updatedAt', 'version'];
+
+/**
+ * The fields that differ between two sets of values, as JSON values
+ */
+const diff = (
+  before: Record<string, unknown>,
+  after: Record<string, unknown>
+): Record<string, { before: JsonValue; after: JsonValue }> => {
+  const json = (value: unknown): JsonValue => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+  const changes: Record<string, { before: JsonValue; after: JsonValue }> = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(name => {
+    const from = json(before[name]);
+    const to = json(after[name]);
+    if (!ignoredColumns.includes(name) && JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[name] = { before: from, after: to };
+    }
+  });
+  return changes;
+};
+
+/**
+ * Record a change in the audit trail, in the transaction that made it
+ */
+const recordChange = async (
+  db: ${code.db},
+  action: 'create' | 'update' | 'delete' | 'restore',
+  id: string,
+  before: Record<string, unknown>,
+  after: Record<string, unknown> | null,
+  userId: string | undefined
+): Promise<void> => {
+  const changes = diff(before, after ?? {});
+  if (Object.keys(changes).length === 0) {
+    return;
+  }
+  ${code.recordChange}
+};
+`);
+  }
+
+  return helpers.join('');
+}
+
+/**
+ * Render the TypeScript helpers that load included relations and soft delete
+ * `hasMany` records
+ */
+function renderTypescriptRelationHelpers(code, relations) {
+  const metadata = renderRelationMetadata(relations).replace(
+    'const relations = {',
+    'const relations: Record<string, Relation> = {'
+  );
+  const hasMany = relations.some(relation => relation.type === 'hasMany');
+
+  return `
+type Row = Record<string, unknown>;
+
+/**
+ * How the records of a relation are stored
+ */
+interface Relation {
+  type: 'belongsTo' | 'hasMany' | 'belongsToMany';
+  table: string;
+  model: string;
+  foreignKey: string;
+  through?: string;
+  otherKey?: string;
+}
+${metadata}
+/**
+ * Load the records of a relation that belong to the given keys, each paired
+ * with the key of its owner
+ */
+${code.relatedRows}
+
+/**
+ * Add the included relations to records, with one query per relation
+ */
+const withRelated = async (
+  db: ${code.db},
+  records: {{entityPascalCase}}Record[],
+  include: string[] = []
+): Promise<{{entityPascalCase}}Record[]> => {
+  const names = include.filter(name => relations[name]);
+  for (const name of names) {
+    const relation = relations[name];
+    const ownerKey = (record: Row): unknown =>
+      relation.type === 'belongsTo' ? record[relation.foreignKey] : record.id;
+    const keys = [...new Set(records.map(ownerKey).filter(key => key != null))];
+    const rows = keys.length > 0 ? await relatedRows(db, relation, keys) : [];
+
+    records.forEach(record => {
+      const related = rows.filter(([key]) => key === ownerKey(record)).map(([, row]) => row);
+      record[name] = relation.type === 'belongsTo' ? related[0] ?? null : related;
+    });
+  }
+  return records;
+};
+${
+  hasMany
+    ? `
+/**
+ * Soft delete the hasMany records of a soft deleted {{entityName}}
+ */
+const deleteChildren = (db: ${code.db}, id: string, deletedAt: Date): Promise<unknown[]> =>
+  Promise.all(
+    Object.values(relations)
+      .filter(relation => relation.type === 'hasMany')
+      .map(relation =>
+        ${code.deleteChild}
+      )
+  );
+`
+    : ''
+}`;
+}
+
+/**
+ * Render the TypeScript audit trail and `hasMany` methods of a repository
+ * without a model
+ */
+function renderTypescriptMethods(target, relations, audit) {
+  const code = typescriptTargetHelpers[target];
+  const methods = [];
+
+  if (audit) {
+    methods.push(`
+/**
+ * Find the audit trail of a {{entityName}}, oldest change first
+ */
+${code.findHistory}
+`);
+  }
+  if (relations.some(relation => relation.type === 'hasMany')) {
+    methods.push(`
+/**
+ * Find the records of a hasMany relation
+ */
+export const findRelated = async (id: string, name: string): Promise<Row[]> =>
+  (await relatedRows(${code.connection}, relations[name], [id])).map(([, row]) => row);
+
+/**
+ * Create a record in a hasMany relation
+ */
+${code.createRelated}
+`);
+  }
+
+  return methods.join('');
+}
+
+/**
+ * Render the TypeScript audit trail and `hasMany` methods of the Sequelize
+ * repository
+ */
+function renderSequelizeTypescriptMethods(relations, audit) {
+  const methods = [];
+
+  if (audit) {
+    methods.push(`
+/**
+ * Find the audit trail of a {{entityName}}, oldest change first
+ */
+export const findHistory = async (id: string): Promise<AuditLogAttributes[]> => {
+  const history = await AuditLog.findAll({
+    where: { entityType: '{{entityPascalCase}}', entityId: id },
+    order: [['createdAt', 'ASC']]
+  });
+  return history.map(record => record.get({ plain: true }));
+};
+`);
+  }
+  if (relations.some(relation => relation.type === 'hasMany')) {
+    methods.push(`
+/**
+ * Find the records of a hasMany relation
+ */
+export const findRelated = async (id: string, relation: string): Promise<Record<string, unknown>[]> => {
+  const { target, foreignKey } = {{entityPascalCase}}.associations[relation];
+  const records = await target.findAll({ where: { [foreignKey]: id } });
+  return records.map(record => record.get({ plain: true }));
+};
+
+/**
+ * Create a record in a hasMany relation
+ */
+export const createRelated = async (
+  id: string,
+  relation: string,
+  data: Record<string, unknown>
+): Promise<Record<string, unknown>> => {
+  const { target, foreignKey } = {{entityPascalCase}}.associations[relation];
+  const record = await target.create({ ...data, [foreignKey]: id });
+  return record.get({ plain: true });
+};
+`);
+  }
+
+  return methods.join('');
+}
+
+const persistenceTemplates = {
+  repository: repositoryTemplates,
+  model: modelTemplates,
+  config: configTemplates,
+};
+
+const typescriptPersistenceTemplates = {
+  repository: typescriptRepositoryTemplates,
+};
+
+// Model template each target needs; Knex and mysql2 work on the table directly
+const targetModels = {
+  sequelize: 'sequelize',
+  prisma: 'prisma',
+  typeorm: 'typeorm',
+};
+
+// AuditLog model template of the targets whose tools read a model
+const targetAuditModels = {
+  sequelize: 'audit',
+  prisma: 'prismaAudit',
+  typeorm: 'typeormAudit',
+};
+
+/**
+ * Prisma enum values must be identifiers
+ */
+function isPrismaEnum(field) {
+  return field.type === 'enum' && field.values.every(value => /^[A-Za-z][\w]*$/.test(value));
+}
+
+/**
+ * Prisma type and native type attribute for a field
+ */
+function prismaType(field, enumName) {
+  switch (field.type) {
+    case 'string':
+      return ['String', `@db.VarChar(${field.length})`];
+    case 'email':
+      return ['String', '@db.VarChar(255)'];
+    case 'url':
+      return ['String', '@db.VarChar(2048)'];
+    case 'text':
+      return ['String', '@db.Text'];
+    case 'integer':
+      return ['Int'];
+    case 'bigint':
+      return ['BigInt'];
+    case 'float':
+      return ['Float'];
+    case 'decimal':
+      return ['Decimal', `@db.Decimal(${field.precision}, ${field.scale})`];
+    case 'boolean':
+      return ['Boolean'];
+    case 'date':
+      return ['DateTime', '@db.Date'];
+    case 'datetime':
+      return ['DateTime'];
+    case 'uuid':
+      return ['String', '@db.VarChar(36)'];
+    case 'json':
+      return ['Json'];
+    case 'enum':
+      // Values Prisma cannot name are stored as text; validation still limits them
+      return isPrismaEnum(field)
+        ? [enumName]
+        : ['String', `@db.VarChar(${Math.max(...field.values.map(value => value.length))})`];
+    default:
+      return ['String'];
+  }
+}
+
+/**
+ * Render the Prisma model's fields, aligned the way `prisma format` does
+ */
+function renderPrismaFields(fields, names, lifecycle) {
+  const rows = [['id', 'String', '@id @default(uuid()) @db.VarChar(36)']];
+
+  fields.forEach(field => {
+    const enumName = `${names.entityPascalCase}${field.name[0].toUpperCase()}${field.name.slice(1)}`;
+    const [type, nativeType] = prismaType(field, enumName);
+    const attributes = [];
+    if (field.unique) {
+      attributes.push('@unique');
+    }
+    // MySQL only accepts expression defaults for TEXT and JSON columns
+    if (field.default !== undefined && !['text', 'json'].includes(field.type)) {
+      const value =
+        type === enumName || typeof field.default !== 'string'
+          ? String(field.default)
+          : JSON.stringify(field.default);
+      attributes.push(`@default(${value})`);
+    }
+    if (nativeType) {
+      attributes.push(nativeType);
+    }
+    rows.push([field.name, `${type}${field.required ? '' : '?'}`, attributes.join(' ')]);
+  });
+
+  rows.push(
+    ['createdBy', 'String?', '@db.VarChar(36)'],
+    ['updatedBy', 'String?', '@db.VarChar(36)'],
+    ['createdAt', 'DateTime', '@default(now())'],
+    ['updatedAt', 'DateTime', '@default(now()) @updatedAt'],
+    ['deletedAt', 'DateTime?', '']
+  );
+  if (lifecycle.optimisticLocking) {
+    rows.push(['version', 'Int', '@default(0)']);
+  }
+
+  const nameWidth = Math.max(...rows.map(([name]) => name.length));
+  const typeWidth = Math.max(...rows.map(([, type]) => type.length));
+  return rows
+    .map(([name, type, attributes]) =>
+      `  ${name.padEnd(nameWidth)} ${type.padEnd(typeWidth)} ${attributes}`.trimEnd()
+    )
+    .join('\n');
+}
+
+/**
+ * Render Prisma enum blocks for the enum fields
+ */
+function renderPrismaEnums(fields, names) {
+  return fields
+    .filter(isPrismaEnum)
+    .map(
+      field =>
+        `\nenum ${names.entityPascalCase}${field.name[0].toUpperCase()}${field.name.slice(1)} {\n${field.values.map(value => `  ${value}`).join('\n')}\n}\n`
+    )
+    .join('');
+}
+
+/**
+ * Render `@@index` lines for indexed fields and the audit columns
+ */
+function renderPrismaIndexes(fields) {
+  return [
+    ...fields.filter(field => field.index && !field.unique).map(field => field.name),
+    'createdBy',
+    'createdAt',
+  ]
+    .map(name => `  @@index([${name}])\n`)
+    .join('');
+}
+
+/**
+ * TypeORM column options for a field
+ */
+function typeormColumn(field) {
+  const types = {
+    string: { type: 'varchar', length: field.length },
+    email: { type: 'varchar', length: 255 },
+    url: { type: 'varchar', length: 2048 },
+    text: { type: 'text' },
+    integer: { type: 'int' },
+    bigint: { type: 'bigint' },
+    float: { type: 'float' },
+    decimal: { type: 'decimal', precision: field.precision, scale: field.scale },
+    boolean: { type: 'boolean' },
+    date: { type: 'date' },
+    datetime: { type: 'datetime' },
+    uuid: { type: 'varchar', length: 36 },
+    json: { type: 'json' },
+    enum: { type: 'enum', enum: field.values },
+  };
+  const column = { ...types[field.type], nullable: !field.required };
+  if (field.unique) {
+    column.unique = true;
+  }
+  if (field.default !== undefined && !['text', 'json'].includes(field.type)) {
+    column.default = field.default;
+  }
+  return column;
+}
+
+/**
+ * Render the TypeORM entity's field columns, one property per line
+ */
+function renderTypeormColumns(fields) {
+  return fields
+    .map(field => {
+      const options = Object.entries(typeormColumn(field)).map(
+        ([key, value]) => `      ${key}: ${literal(value)}`
+      );
+      return `    ${field.name}: {\n${options.join(',\n')}\n    },`;
+    })
+    .join('\n');
+}
+
+/**
+ * Build the template variables the persistence templates use
+ * @param {Object[]} fields - Normalized fields
+ * @param {Object[]} relations - Described relations
+ * @param {Object} names - Case variations of the entity name
+ * @param {Object} [options] - Generator options
+ * @param {boolean} [options.optimisticLocking] - Version the records
+ * @param {boolean} [options.audit] - Record changes in the audit trail
+ * @returns {Object} Template variables
+ */
+function persistenceTemplateVariables(fields, relations, names, options = {}) {
+  const lifecycle = {
+    optimisticLocking: Boolean(options.optimisticLocking),
+    audit: Boolean(options.audit),
+  };
+  const hasMany = relations.some(relation => relation.type === 'hasMany');
+  const namesOf = types =>
+    fields
+      .filter(field => types.includes(field.type))
+      .map(field => literal(field.name))
+      .join(', ');
+  const audited = call => (lifecycle.audit ? `  await recordChange(${call});\n` : '');
+  const methods = [
+    ...(lifecycle.audit ? ['findHistory'] : []),
+    ...(hasMany ? ['findRelated', 'createRelated'] : []),
+  ];
+  const modelless = ['knex', 'mysql2', 'prisma', 'typeorm'];
+  // Rendered methods share the templates' entity names, which renderTemplate
+  // does not expand a second time
+  const named = code => code.replace(/\{\{(\w+)\}\}/g, (match, key) => names[key] ?? match);
+
+  return {
+    repositoryJsonFields: namesOf(['json']),
+    repositoryBooleanFields: namesOf(['boolean']),
+    repositorySearchFields: namesOf(stringTypes),
+    repositoryExports: methods.map(name => `,\n  ${name}`).join(''),
+    repositoryRecords:
+      relations.length > 0 ? 'withRelated(db, records, options.include)' : 'records',
+    repositoryCascade: hasMany
+      ? '  if (!force) {\n    await deleteChildren(db, id, deletedAt);\n  }\n'
+      : '',
+    repositoryAuditCreate: audited("db, 'create', record.id, {}, record, options.userId"),
+    repositoryAuditUpdate: audited("db, 'update', id, before, record, options.userId"),
+    repositoryAuditDelete: audited(
+      "db, 'delete', id, before, force ? {} : { ...before, deletedAt }, options.userId"
+    ),
+    repositoryAuditRestore: audited("db, 'restore', id, before, record, options.userId"),
+    sequelizeRepositoryImports: lifecycle.audit
+      ? "const AuditLog = require('../models/AuditLog');\n"
+      : '',
+    sequelizeRepositoryMethods: named(renderSequelizeMethods(relations, lifecycle.audit)),
+    ...Object.fromEntries(
+      modelless.flatMap(target => [
+        [
+          `${target}RepositoryHelpers`,
+          named(renderRepositoryHelpers(target, relations, lifecycle.audit)),
+        ],
+        [
+          `${target}RepositoryMethods`,
+          named(renderRepositoryMethods(target, relations, lifecycle.audit)),
+        ],
+        [
+          `${target}TypescriptHelpers`,
+          named(renderTypescriptHelpers(target, relations, lifecycle.audit)),
+        ],
+        [
+          `${target}TypescriptMethods`,
+          named(renderTypescriptMethods(target, relations, lifecycle.audit)),
+        ],
+      ])
+    ),
+    // TypeORM increments its version column itself
+    knexVersionIncrement: lifecycle.optimisticLocking
+      ? ", version: knex.raw('?? + 1', ['version'])"
+      : '',
+    mysql2VersionIncrement: lifecycle.optimisticLocking ? ', version = version + 1' : '',
+    prismaVersionIncrement: lifecycle.optimisticLocking ? ', version: { increment: 1 }' : '',
+    typescriptRepositoryRecords:
+      relations.length > 0 ? 'withRelated(db, records, options.include)' : 'records',
+    typescriptRepositoryCascade: hasMany
+      ? '  if (!force) {\n    await deleteChildren(db, id, deletedAt);\n  }\n'
+      : '',
+    // TypeScript repositories only take the user when they record it
+    typescriptAuditUser: lifecycle.audit ? 'userId, ' : '',
+    typescriptAuditCreate: audited("db, 'create', record.id, {}, record, userId"),
+    typescriptAuditUpdate: audited("db, 'update', id, before, record, userId"),
+    typescriptAuditDelete: audited(
+      "db, 'delete', id, before, force ? {} : { ...before, deletedAt }, userId"
+    ),
+    typescriptAuditRestore: audited("db, 'restore', id, before, record, userId"),
+    sequelizeTypescriptImports: lifecycle.audit
+      ? "import { AuditLog } from '../models/AuditLog';\n" +
+        "import type { AuditLogAttributes } from '../models/AuditLog';\n"
+      : '',
+    sequelizeTypescriptMethods: named(renderSequelizeTypescriptMethods(relations, lifecycle.audit)),
+    prismaEnums: renderPrismaEnums(fields, names),
+    prismaFields: renderPrismaFields(fields, names, lifecycle),
+    prismaIndexes: renderPrismaIndexes(fields),
+    typeormColumns: renderTypeormColumns(fields),
+    typeormVersionColumn: lifecycle.optimisticLocking
+      ? ",\n    // Optimistic locking\n    version: {\n      type: 'int',\n      version: true\n    }"
+      : '',
+    typeormIndices: fields
+      .filter(field => field.index && !field.unique)
+      .map(field => `    {\n      columns: ['${field.name}']\n    },\n`)
+      .join(''),
+  };
+}
+
+module.exports = {
+  persistenceTargets,
+  persistenceTemplates,
+  typescriptPersistenceTemplates,
+  targetModels,
+  targetAuditModels,
+  persistenceTemplateVariables,
+};
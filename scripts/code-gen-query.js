@@ -0,0 +1,927 @@
+/**
+ * List Query Strategies for the Code Generator
+ *
+ * How the generated CRUD list endpoint pages, filters, sorts and trims its
+ * records, chosen per entity and emitted consistently in the controller, the
+ * route documentation, the Joi query schema and the tests:
+ *
+ * - pagination: `offset` (`?page=2&limit=10`, with totals) or `cursor`
+ *   (`?cursor=...&limit=10`, keyset pagination that stays stable while
+ *   records are added, without counting them)
+ * - filtering: `simple` (`?status=paid`) or `operators`
+ *   (`?filter[total][gte]=100&filter[status][in]=paid,shipped`), with the
+ *   fields and the operators each one takes whitelisted by field type
+ * - sorting: `single` (`?sort=total&order=asc`) or `multi`
+ *   (`?sort=-createdAt,title`)
+ * - fieldsets: `?fields=id,title` selects the fields returned
+ * - linkHeaders: RFC 8288 `Link` headers with the URLs of the other pages
+ *
+ * The defaults (offset, simple, single, no fieldsets or Link headers) render
+ * the list endpoint as it always was. Strategies apply to the JavaScript and
+ * TypeScript controllers, whichever persistence target their repository uses;
+ * filters and cursors are repository conditions (see code-gen-persistence.js).
+ *
+ * @author REST-SPEC
+ */
+
+const {
+  filterTypes,
+  joiRule,
+  literal,
+  renderSearchFilter,
+  sampleRecord,
+  sortableFields,
+  stringTypes,
+} = require('./code-gen-fields');
+const { parseLifecycleOptions } = require('./code-gen-lifecycle');
+
+// Selectable strategies, the first of each being the default
+const queryStrategies = {
+  pagination: ['offset', 'cursor'],
+  filtering: ['simple', 'operators'],
+  sorting: ['single', 'multi'],
+};
+
+// Filter operators, as ?filter[field][op]=value, are the repository's
+// condition operators
+const equality = ['eq', 'ne', 'in', 'nin'];
+const range = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte'];
+
+// Operators each field type can be filtered with; json fields cannot be
+const typeOperators = {
+  string: [...equality, 'contains'],
+  email: [...equality, 'contains'],
+  url: [...equality, 'contains'],
+  text: ['contains'],
+  integer: [...range, 'in', 'nin'],
+  bigint: [...range, 'in', 'nin'],
+  float: range,
+  decimal: [...range, 'in', 'nin'],
+  date: range,
+  datetime: range,
+  uuid: equality,
+  enum: equality,
+  boolean: ['eq', 'ne'],
+};
+
+// Field types whose sample values make an exact filter in the generated tests
+const exactSampleTypes = ['string', 'email', 'url', 'enum', 'integer', 'bigint', 'boolean'];
+
+/**
+ * Read the query strategies from generator options
+ * @param {Object} [options] - Generator options
+ * @param {string} [options.pagination] - `offset` (default) or `cursor`
+ * @param {string} [options.filtering] - `simple` (default) or `operators`
+ * @param {string} [options.sorting] - `single` (default) or `multi`
+ * @param {boolean} [options.fieldsets] - Accept `?fields=` sparse fieldsets
+ * @param {boolean} [options.linkHeaders] - Send RFC 8288 Link headers
+ * @returns {Object} Strategies, with `custom` set when any differs from the default
+ */
+function parseQueryStrategies(options = {}) {
+  const strategies = Object.fromEntries(
+    Object.entries(queryStrategies).map(([name, choices]) => {
+      const value = options[name] ?? choices[0];
+      if (!choices.includes(value)) {
+        throw new Error(`Unknown ${name} strategy "${value}" (use ${choices.join(', ')})`);
+      }
+      return [name, value];
+    })
+  );
+  strategies.fieldsets = Boolean(options.fieldsets);
+  strategies.linkHeaders = Boolean(options.linkHeaders);
+  strategies.custom =
+    Object.entries(queryStrategies).some(([name, choices]) => strategies[name] !== choices[0]) ||
+    strategies.fieldsets ||
+    strategies.linkHeaders;
+  return strategies;
+}
+
+/**
+ * Fields that can be filtered with ?filter[field][op]=value, with their operators
+ */
+function filterableFields(fields) {
+  return [
+    ...fields
+      .filter(field => typeOperators[field.type])
+      .map(field => ({ field, operators: typeOperators[field.type] })),
+    ...['createdAt', 'updatedAt'].map(name => ({
+      field: { name, type: 'datetime' },
+      operators: typeOperators.datetime,
+    })),
+  ];
+}
+
+/**
+ * Fields that can be selected with ?fields=
+ */
+function selectableFields(fields) {
+  return ['id', ...fields.map(field => field.name), 'createdBy', 'createdAt', 'updatedAt'];
+}
+
+/**
+ * A regular expression source matching a comma-separated list of names
+ */
+const listPattern = (names, prefix = '') =>
+  `^${prefix}(${names.join('|')})(,${prefix}(${names.join('|')}))*$`;
+
+/**
+ * Render the body of the controller's `getAll` handler; with soft deletes,
+ * `?deleted=` includes the deleted records (see code-gen-lifecycle.js). In
+ * TypeScript the handler reads the query parameters as the strings of the
+ * entity's list query type.
+ */
+function renderListHandler(strategies, names, relations, lifecycle, lang) {
+  const {
+    entityCamelCase: camel,
+    entityPascalCase: pascal,
+    entityPlural: plural,
+    entityPluralCamelCase: records,
+    entityKebabCase: kebab,
+  } = names;
+  const typed = lang === 'ts';
+  const repository = `${camel}Repository`;
+  const single = strategies.sorting === 'single';
+  const cursor = strategies.pagination === 'cursor';
+  const indent = cursor ? '      ' : '        ';
+  const query = typed ? 'query' : 'req.query';
+  // Typed query parameters are strings, and so are their defaults
+  const params = defaults =>
+    typed
+      ? `    const query = req.query as ${pascal}ListQuery;
+    const { ${defaults.replace(/= (\d+)/g, "= '$1'")} } = query;`
+      : `    const { ${defaults} } = req.query;`;
+  // Typed options leave out the deleted option rather than set it to undefined
+  const deletedOption = typed
+    ? '...(query.deleted && { deleted: query.deleted })'
+    : `deleted: ${query}.deleted`;
+  const deleted = lifecycle.softDelete ? `,\n${indent}${deletedOption}` : '';
+  const fields = strategies.fieldsets
+    ? typed
+      ? `,\n${indent}...buildFields(query.fields${cursor ? ', order' : ''})`
+      : `,\n${indent}fields: buildFields(req.query.fields${cursor ? ', order' : ''})`
+    : '';
+  const include =
+    relations.length > 0 ? `,\n${indent}include: buildIncludes(req.query.include)` : '';
+  const log = entries => `    logger.info({
+      component: '${kebab}-controller',
+      action: 'getAll',
+      userId: req.user?.id,
+${entries}
+    }, 'Retrieved ${plural}');`;
+
+  if (cursor) {
+    const links = strategies.linkHeaders
+      ? `
+    const links${typed ? ': Record<string, string>' : ''} = { first: listUrl(req, { cursor: undefined }) };
+    if (${typed ? 'nextCursor' : 'hasNext'}) {
+      links.next = listUrl(req, { cursor: nextCursor });
+    }
+    res.links(links);
+`
+      : '';
+
+    return `${params('limit = 10, cursor')}
+
+    const limitNum = parseInt(limit, 10);
+    // The id breaks ties, so that every record has one place in the order
+    const order${typed ? ': ListOrder' : ''} = [...buildOrder(${single ? `${query}.sort, ${query}.order` : `${query}.sort`}), ['id', 'asc']];
+    const where = buildWhereClause(${query});
+    if (cursor) {
+      where.push(afterCursor(order, decodeCursor(cursor, order)));
+    }
+
+    // Fetching one record past the limit tells whether there is a next page
+    const rows = await ${repository}.findAll({
+      where,
+      order,
+      limit: limitNum + 1${deleted}${fields}${include}
+    });
+    const ${records} = rows.slice(0, limitNum);
+    const hasNext = rows.length > limitNum;
+    const nextCursor = hasNext ? encodeCursor(${records}[${records}.length - 1], order) : null;
+${links}
+${log(`      count: ${records}.length,
+      limit: limitNum`)}
+
+    res.json({
+      ${records},
+      pagination: {
+        limit: limitNum,
+        nextCursor,
+        hasNext
+      }
+    });`;
+  }
+
+  const links = strategies.linkHeaders
+    ? `
+    const links${typed ? ': Record<string, string>' : ''} = {
+      first: listUrl(req, { page: 1 }),
+      last: listUrl(req, { page: Math.max(totalPages, 1) })
+    };
+    if (pageNum > 1) {
+      links.prev = listUrl(req, { page: pageNum - 1 });
+    }
+    if (pageNum < totalPages) {
+      links.next = listUrl(req, { page: pageNum + 1 });
+    }
+    res.links(links);
+`
+    : '';
+
+  // TypeScript narrows the order to the directions the repository takes
+  const order = single
+    ? typed
+      ? "[[sort, order === 'asc' ? 'asc' : 'desc']]"
+      : '[[sort, order]]'
+    : `buildOrder(${query}.sort)`;
+
+  return `${params(`page = 1, limit = 10${single ? ", sort = 'createdAt', order = 'desc'" : ''}`)}
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const offset = (pageNum - 1) * limitNum;
+    const where = buildWhereClause(${query});
+
+    const [${records}, count] = await Promise.all([
+      ${repository}.findAll({
+        where,
+        order: ${order},
+        limit: limitNum,
+        offset${deleted}${fields}${include}
+      }),
+      ${repository}.count({ where${lifecycle.softDelete ? `, ${deletedOption}` : ''} })
+    ]);
+
+    const totalPages = Math.ceil(count / limitNum);
+${links}
+${log(`      count,
+      page: pageNum,
+      limit: limitNum`)}
+
+    res.json({
+      ${records},
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count,
+        pages: totalPages,
+        hasNext: pageNum < totalPages,
+        hasPrev: pageNum > 1
+      }
+    });`;
+}
+
+/**
+ * Render the controller helpers the strategies need, after `buildWhereClause`;
+ * with optimistic locking, fieldsets keep the version the ETag is made from.
+ * TypeScript helpers document their parameters without types, as the
+ * TypeScript templates do.
+ */
+function renderListHelpers(strategies, fields, lifecycle, lang) {
+  const helpers = [];
+  const typed = lang === 'ts';
+  const cursor = strategies.pagination === 'cursor';
+  // JSDoc `@param {type} name` in JavaScript, `@param name` in TypeScript
+  const tag = (name, type) => (typed ? `@${name}` : `@${name} {${type}}`);
+  const sortable = sortableFields(fields, strategies.pagination).map(literal).join(', ');
+
+  if (strategies.filtering === 'operators') {
+    const filterable = filterableFields(fields)
+      .map(({ field, operators }) => `  ${field.name}: [${operators.map(literal).join(', ')}]`)
+      .join(',\n');
+    const booleans = fields.filter(field => field.type === 'boolean').map(field => field.name);
+    const value =
+      booleans.length > 0
+        ? `[${booleans.map(literal).join(', ')}].includes(field) ? String(value) === 'true' : value`
+        : 'value';
+    // Without boolean fields the field name is not read
+    const field = typed && booleans.length === 0 ? '_field' : 'field';
+
+    helpers.push(
+      typed
+        ? `
+// Operators of the repository's field conditions
+type FilterOperator = Extract<Condition, { operator: string }>['operator'];
+
+// Operators each field can be filtered with, as ?filter[field][op]=value;
+// ?filter[field]=value is short for the eq operator
+const filterableFields: Record<string, FilterOperator[]> = {
+${filterable}
+};
+
+const isPlainObject = (value: unknown): value is Record<string, unknown> =>
+  Object.prototype.toString.call(value) === '[object Object]';
+
+/**
+ * Convert a filter value for its operator: in and nin take comma-separated
+ * lists
+ * @param ${field} - Field name
+ * @param operator - Filter operator
+ * @param value - Query parameter value
+ * @returns Condition value
+ */
+const filterValue = (${field}: string, operator: FilterOperator, value: unknown): unknown => {
+  if (operator === 'in' || operator === 'nin') {
+    return String(value).split(',');
+  }
+  return ${value};
+};
+
+/**
+ * Build conditions from the filter query parameter, rejecting the fields and
+ * operators that are not whitelisted
+ * @param filter - Values by field, then by operator
+ * @returns Repository conditions
+ */
+const buildFilters = (filter: unknown = {}): Condition[] => {
+  if (!isPlainObject(filter)) {
+    throw new AppError('Filters are given as filter[field][operator]=value', 400);
+  }
+
+  return Object.entries(filter).flatMap(([field, conditions]) => {
+    const operators = filterableFields[field];
+    if (!operators) {
+      throw new AppError(\`Cannot filter by \${field}\`, 400);
+    }
+
+    const byOperator = isPlainObject(conditions) ? conditions : { eq: conditions };
+    return Object.entries(byOperator).map(([name, value]): Condition => {
+      const operator = operators.find(candidate => candidate === name);
+      if (!operator || Array.isArray(value) || isPlainObject(value)) {
+        throw new AppError(\`Cannot filter \${field} with \${name}\`, 400);
+      }
+      return { field, operator, value: filterValue(field, operator, value) };
+    });
+  });
+};
+`
+        : `
+// Operators each field can be filtered with, as ?filter[field][op]=value;
+// ?filter[field]=value is short for the eq operator
+const filterableFields = {
+${filterable}
+};
+
+const isPlainObject = (value) => Object.prototype.toString.call(value) === '[object Object]';
+
+/**
+ * Convert a filter value for its operator: in and nin take comma-separated
+ * lists
+ * @param {string} field - Field name
+ * @param {string} operator - Filter operator
+ * @param {*} value - Query parameter value
+ * @returns {*} Condition value
+ */
+const filterValue = (field, operator, value) => {
+  if (operator === 'in' || operator === 'nin') {
+    return String(value).split(',');
+  }
+  return ${value};
+};
+
+/**
+ * Build conditions from the filter query parameter, rejecting the fields and
+ * operators that are not whitelisted
+ * @param {Object} [filter] - Values by field, then by operator
+ * @returns {Object[]} Repository conditions
+ */
+const buildFilters = (filter = {}) => {
+  if (!isPlainObject(filter)) {
+    throw new AppError('Filters are given as filter[field][operator]=value', 400);
+  }
+
+  return Object.entries(filter).flatMap(([field, conditions]) => {
+    const operators = filterableFields[field];
+    if (!operators) {
+      throw new AppError(\`Cannot filter by \${field}\`, 400);
+    }
+
+    const byOperator = isPlainObject(conditions) ? conditions : { eq: conditions };
+    return Object.entries(byOperator).map(([operator, value]) => {
+      if (!operators.includes(operator) || Array.isArray(value) || isPlainObject(value)) {
+        throw new AppError(\`Cannot filter \${field} with \${operator}\`, 400);
+      }
+      return { field, operator, value: filterValue(field, operator, value) };
+    });
+  });
+};
+`
+    );
+  }
+
+  const listOrder = typed
+    ? `
+// [field, direction] pairs of the repository's order option
+type ListOrder = Array<[string, 'asc' | 'desc']>;
+`
+    : '';
+
+  if (strategies.sorting === 'multi') {
+    helpers.push(`
+// Fields the list can be sorted by, as ?sort=-createdAt,title
+const sortableFields = [${sortable}];
+${listOrder}
+/**
+ * Build the order option from a comma-separated sort query parameter, where a
+ * leading - sorts by that field in descending order
+ * ${tag('param', 'string')} ${typed ? 'sort' : '[sort]'} - Sort fields
+ * ${tag('returns', 'Array')} Order option of the repository
+ */
+const buildOrder = (sort = '-createdAt')${typed ? ': ListOrder' : ''} =>
+  String(sort)
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(${typed ? "(name): [string, 'asc' | 'desc']" : 'name'} => {
+      const field = name.replace(/^-/, '');
+      if (!sortableFields.includes(field)) {
+        throw new AppError(\`Cannot sort by \${field}\`, 400);
+      }
+      return [field, name.startsWith('-') ? 'desc' : 'asc'];
+    });
+`);
+  } else if (cursor) {
+    helpers.push(`
+// Fields the list can be sorted by; a cursor needs a value to resume from, so
+// only required fields are sortable
+const sortableFields = [${sortable}];
+${listOrder}
+/**
+ * Build the order option from the sort and order query parameters
+ * ${tag('param', 'string')} ${typed ? 'sort' : '[sort]'} - Sort field
+ * ${tag('param', 'string')} ${typed ? 'order' : '[order]'} - asc or desc
+ * ${tag('returns', 'Array')} Order option of the repository
+ */
+const buildOrder = (sort = 'createdAt', order = 'desc')${typed ? ': ListOrder' : ''} => {
+  if (!sortableFields.includes(sort)) {
+    throw new AppError(\`Cannot sort by \${sort}\`, 400);
+  }
+  return [[sort, order === 'asc' ? 'asc' : 'desc']];
+};
+`);
+  }
+
+  if (cursor) {
+    helpers.push(`
+/**
+ * Encode the place of a record in the list order as an opaque cursor
+ * ${tag('param', 'Object')} record - Last record of a page
+ * ${tag('param', 'Array')} order - Order option of the repository
+ * ${tag('returns', 'string')} Cursor
+ */
+const encodeCursor = ${typed ? '(record: Record<string, unknown>, order: ListOrder): string' : '(record, order)'} =>
+  Buffer.from(
+    JSON.stringify({
+      order: order.map(([field, direction]) => \`\${field} \${direction}\`).join(','),
+      values: order.map(([field]) => record[field])
+    })
+  ).toString('base64url');
+
+/**
+ * Decode a cursor, which is only valid for the order it was made in
+ * ${tag('param', 'string')} cursor - Cursor from pagination.nextCursor
+ * ${tag('param', 'Array')} order - Order option of the repository
+ * ${tag('returns', 'Array')} Sort values of the record the cursor points at
+ */
+const decodeCursor = ${typed ? '(cursor: string, order: ListOrder): unknown[]' : '(cursor, order)'} => {
+  let position${typed ? ': { order?: unknown; values?: unknown } | null' : ''};
+  try {
+    position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+  } catch {
+    position = null;
+  }
+
+  const expected = order.map(([field, direction]) => \`\${field} \${direction}\`).join(',');
+  if (position?.order !== expected || !Array.isArray(position.values)) {
+    throw new AppError('Invalid cursor for this sort order', 400);
+  }
+  return position.values;
+};
+
+/**
+ * Condition for the records after a cursor: those past it in the first sort
+ * field, or equal in it and past it in the next, and so on
+ * ${tag('param', 'Array')} order - Order option of the repository, ending with the id
+ * ${tag('param', 'Array')} values - Sort values of the record the cursor points at
+ * ${tag('returns', 'Object')} Repository condition
+ */
+const afterCursor = ${typed ? '(order: ListOrder, values: unknown[]): Condition' : '(order, values)'} => ({
+  any: order.map(([field, direction], index)${typed ? ': Condition' : ''} => ({
+    all: [
+      ...order.slice(0, index).map(([previous], i)${typed ? ': Condition' : ''} => ({ field: previous, operator: 'eq', value: values[i] })),
+      { field, operator: direction === 'desc' ? 'lt' : 'gt', value: values[index] }
+    ]
+  }))
+});
+`);
+  }
+
+  if (strategies.fieldsets) {
+    const selectable = selectableFields(fields).map(literal).join(', ');
+    const always = lifecycle.optimisticLocking ? "'id', 'version'" : "'id'";
+    const order = cursor
+      ? ` * ${tag('param', 'Array')} ${typed ? 'order' : '[order]'} - Order option of the repository, whose fields the cursor needs\n`
+      : '';
+    // TypeScript spreads an options object, as the fields option is left out
+    // rather than undefined for all fields
+    const required = typed
+      ? `${order} * @returns Fields option of the repository, empty for all fields
+ */
+const buildFields = (fields: unknown${cursor ? ', order: ListOrder = []' : ''}): { fields?: string[] } => {`
+      : `${order} * @returns {string[]|undefined} Fields option of the repository, or undefined for all
+ */
+const buildFields = (${cursor ? 'fields, order = []' : 'fields'}) => {`;
+    const selected = `[...new Set([${always}, ${cursor ? '...order.map(([field]) => field), ' : ''}...selected])]`;
+
+    helpers.push(`
+// Fields that can be selected with ?fields=id,title
+const selectableFields = [${selectable}];
+
+/**
+ * Build the fields option from a comma-separated fields query parameter;
+ * the id${lifecycle.optimisticLocking ? ' and version are' : ' is'} always returned
+ * ${tag('param', 'string')} ${typed ? 'fields' : '[fields]'} - Field names
+${required}
+  if (!fields) {
+    return ${typed ? '{}' : 'undefined'};
+  }
+
+  const selected = String(fields)
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+  const unknown = selected.find(name => !selectableFields.includes(name));
+  if (unknown) {
+    throw new AppError(\`Unknown field: \${unknown}\`, 400);
+  }
+  return ${typed ? `{ fields: ${selected} }` : selected};
+};
+`);
+  }
+
+  if (strategies.linkHeaders) {
+    helpers.push(`
+/**
+ * URL of the list with some query parameters replaced, keeping the filters
+ * and sort of the request, for the Link header
+ * ${tag('param', 'Object')} req - Express request object
+ * ${tag('param', 'Object')} params - Query parameters to set; undefined removes one
+ * ${tag('returns', 'string')} Absolute URL
+ */
+const listUrl = ${typed ? '(req: Request, params: Record<string, string | number | undefined>): string' : '(req, params)'} => {
+  const url = new URL(req.originalUrl, \`\${req.protocol}://\${req.get('host')}\`);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined) {
+      url.searchParams.delete(key);
+    } else {
+      url.searchParams.set(key, ${typed ? 'String(value)' : 'value'});
+    }
+  });
+  return url.toString();
+};
+`);
+  }
+
+  return helpers.join('');
+}
+
+/**
+ * Render the Joi commonRules entries for the list parameters, and the query
+ * schema keys that use them
+ */
+function renderListRules(strategies, fields) {
+  const sortable = sortableFields(fields, strategies.pagination);
+  const rules =
+    strategies.pagination === 'cursor'
+      ? [['cursor', 'Joi.string().optional()']]
+      : [['page', 'Joi.number().integer().min(1).default(1)']];
+
+  rules.push(['limit', 'Joi.number().integer().min(1).max(100).default(10)']);
+  if (strategies.sorting === 'multi') {
+    rules.push([
+      'sort',
+      `Joi.string().pattern(/${listPattern(sortable, '-?')}/).default('-createdAt')`,
+    ]);
+  } else {
+    rules.push(
+      ['sort', `Joi.string().valid(${sortable.map(literal).join(', ')}).default('createdAt')`],
+      ['order', "Joi.string().valid('asc', 'desc').default('desc')"]
+    );
+  }
+  if (strategies.fieldsets) {
+    rules.push([
+      'fields',
+      `Joi.string().pattern(/${listPattern(selectableFields(fields))}/).optional()`,
+    ]);
+  }
+
+  return {
+    listCommonRules: rules.map(([key, rule]) => `  ${key}: ${rule}`).join(',\n'),
+    listQueryRules: rules.map(([key]) => `  ${key}: commonRules.${key},\n`).join(''),
+  };
+}
+
+/**
+ * Render the `@param` tags of the list route for its pagination, sort and fields
+ */
+function renderListParams(strategies, fields) {
+  const params =
+    strategies.pagination === 'cursor'
+      ? [' * @param {string} [cursor] - pagination.nextCursor of the previous page']
+      : [' * @param {number} [page=1] - Page number'];
+
+  params.push(' * @param {number} [limit=10] - Items per page');
+  if (strategies.sorting === 'multi') {
+    const sortable = sortableFields(fields, strategies.pagination);
+    params.push(
+      ` * @param {string} [sort=-createdAt] - Comma-separated sort fields, - for descending (${sortable.join(', ')})`
+    );
+  } else {
+    params.push(
+      ' * @param {string} [sort=createdAt] - Sort field',
+      ' * @param {string} [order=desc] - Sort order'
+    );
+  }
+  if (strategies.fieldsets) {
+    params.push(
+      ` * @param {string} [fields] - Comma-separated fields to return (${selectableFields(fields).join(', ')})`
+    );
+  }
+
+  return params.map(param => `${param}\n`).join('');
+}
+
+/**
+ * Template variables for the filter operators, replacing the simple filters
+ */
+function operatorFilterVariables(fields, lang) {
+  const filterable = filterableFields(fields);
+  const search = fields.some(field => stringTypes.includes(field.type));
+  const filterRule = ({ field, operators }) => {
+    const rule =
+      field.name === 'createdAt' || field.name === 'updatedAt'
+        ? 'Joi.date().iso()'
+        : joiRule(field);
+    return `    ${field.name}: filterRule(${rule}, [${operators.map(literal).join(', ')}])`;
+  };
+
+  return {
+    whereFilters: [renderSearchFilter(fields), '  where.push(...buildFilters(query.filter));']
+      .filter(Boolean)
+      .join('\n  \n'),
+    filterRuleHelper: `
+/**
+ * Rule for ?filter[field]=value and ?filter[field][op]=value, where in and nin
+ * take comma-separated values and contains any text
+ */
+const filterRule = ${lang === 'ts' ? '(rule: Joi.Schema, operators: string[]): Joi.AlternativesSchema' : '(rule, operators)'} =>
+  Joi.alternatives(
+    rule,
+    Joi.object(
+      Object.fromEntries(
+        operators.map(operator => [
+          operator,
+          ['in', 'nin', 'contains'].includes(operator) ? Joi.string().max(255) : rule
+        ])
+      )
+    ).min(1)
+  );
+`,
+    queryRules:
+      (search ? '  search: Joi.string().max(255).optional(),\n' : '') +
+      `  filter: Joi.object({\n${filterable.map(filterRule).join(',\n')}\n  }).optional(),\n`,
+    filterParams:
+      (search
+        ? ` * @param {string} [search] - Search ${fields
+            .filter(field => stringTypes.includes(field.type))
+            .map(field => field.name)
+            .join(', ')}\n`
+        : '') +
+      ` * @param {object} [filter] - Filters as filter[field][op]=value: ${filterable
+        .map(({ field, operators }) => `${field.name} (${operators.join(', ')})`)
+        .join(', ')}\n`,
+  };
+}
+
+/**
+ * Render the properties of the TypeScript list query type, the query
+ * parameters as strings from the URL; filters by operator are nested objects
+ */
+function renderListQueryFields(strategies, fields, relations, lifecycle) {
+  const search = fields.some(field => stringTypes.includes(field.type));
+  const text = name => [name, 'string'];
+  const properties = [
+    text(strategies.pagination === 'cursor' ? 'cursor' : 'page'),
+    text('limit'),
+    text('sort'),
+    ...(strategies.sorting === 'single' ? [text('order')] : []),
+    ...(strategies.fieldsets ? [text('fields')] : []),
+    ...(search ? [text('search')] : []),
+    ...(strategies.filtering === 'operators'
+      ? [['filter', 'unknown']]
+      : fields.filter(field => filterTypes.includes(field.type)).map(field => text(field.name))),
+    ...(relations.length > 0 ? [text('include')] : []),
+    ...(lifecycle.softDelete ? [['deleted', "'include' | 'only'"]] : []),
+  ];
+
+  return properties.map(([name, type]) => `  ${name}?: ${type};\n`).join('');
+}
+
+/**
+ * Render the requests of the generated pagination test, after it creates
+ * three records
+ */
+function renderTestPagination(strategies, names) {
+  const { entityPlural: plural, entityPluralCamelCase: records } = names;
+  const get = query => `request(app)
+        .get('/api/${plural}${query}')
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .expect(200);`;
+
+  if (strategies.pagination === 'cursor') {
+    const links = strategies.linkHeaders
+      ? `
+      expect(response.headers.link).toContain('rel="next"');`
+      : '';
+
+    return `      const response = await ${get('?limit=2')}
+
+      expect(response.body.${records}).toHaveLength(2);
+      expect(response.body.pagination).toMatchObject({
+        limit: 2,
+        hasNext: true
+      });${links}
+
+      const next = await request(app)
+        .get(\`/api/${plural}?limit=2&cursor=\${response.body.pagination.nextCursor}\`)
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .expect(200);
+
+      expect(next.body.${records}).toHaveLength(1);
+      expect(next.body.pagination).toMatchObject({
+        hasNext: false,
+        nextCursor: null
+      });
+      const ids = [...response.body.${records}, ...next.body.${records}].map(record => record.id);
+      expect(new Set(ids).size).toBe(3);`;
+  }
+
+  const links = strategies.linkHeaders
+    ? `
+      expect(response.headers.link).toContain('?page=2&limit=2>; rel="next"');
+      expect(response.headers.link).toContain('?page=2&limit=2>; rel="last"');`
+    : '';
+
+  return `      const response = await ${get('?page=1&limit=2')}
+
+      expect(response.body.${records}).toHaveLength(2);
+      expect(response.body.pagination).toMatchObject({
+        page: 1,
+        limit: 2,
+        total: 3,
+        pages: 2
+      });${links}`;
+}
+
+/**
+ * Render the generated tests of the filter operators and sparse fieldsets
+ */
+function renderQueryTests(strategies, fields, names, lifecycle, lang) {
+  const { entityPlural: plural, entityPluralCamelCase: records, entityPascalCase: pascal } = names;
+  // Response bodies are untyped, so TypeScript needs the record's type
+  const record = lang === 'ts' ? '(record: { id: string })' : 'record';
+  const tests = [];
+
+  if (strategies.filtering === 'operators') {
+    const field = fields.find(
+      candidate => exactSampleTypes.includes(candidate.type) && !candidate.sample
+    );
+    if (field) {
+      const value = literal(
+        sampleRecord(fields, 'Test', { entityName: names.entityName })[field.name]
+      );
+      tests.push(`
+    test('should filter with operators', async () => {
+      const response = await request(app)
+        .get('/api/${plural}')
+        .query({ filter: { ${field.name}: { eq: ${value} } } })
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .expect(200);
+
+      expect(response.body.${records}.map(${record} => record.id)).toEqual([test${pascal}.id]);
+
+      const excluded = await request(app)
+        .get('/api/${plural}')
+        .query({ filter: { ${field.name}: { ne: ${value} } } })
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .expect(200);
+
+      expect(excluded.body.${records}).toHaveLength(0);
+    });
+`);
+    }
+    tests.push(`
+    test('should reject filters that are not whitelisted', async () => {
+      await request(app)
+        .get('/api/${plural}')
+        .query({ filter: { unknownField: { eq: 'value' } } })
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .expect(400);
+    });
+`);
+  }
+
+  if (strategies.fieldsets) {
+    const [field] = fields;
+    const expected = [
+      ...new Set([
+        'id',
+        ...(lifecycle.optimisticLocking ? ['version'] : []),
+        ...(strategies.pagination === 'cursor' ? ['createdAt'] : []),
+        field.name,
+      ]),
+    ].sort();
+
+    tests.push(`
+    test('should return only the requested fields', async () => {
+      const response = await request(app)
+        .get('/api/${plural}?fields=${field.name}')
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .expect(200);
+
+      expect(Object.keys(response.body.${records}[0]).sort()).toEqual([${expected.map(literal).join(', ')}]);
+
+      await request(app)
+        .get('/api/${plural}?fields=unknownField')
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .expect(400);
+    });
+`);
+  }
+
+  return tests.join('');
+}
+
+/**
+ * Build every query strategy template variable for the list endpoint. The
+ * filter variables of code-gen-fields.js and the get-by-id include of
+ * code-gen-relations.js are only replaced when a strategy changes them.
+ * @param {Object[]} fields - Normalized fields, with relation foreign keys
+ * @param {Object[]} relations - Described relations
+ * @param {Object} names - Entity names from `entityNames`
+ * @param {Object} [options] - Generator options (see `parseQueryStrategies`), and the
+ *   lifecycle options the list endpoint follows (see `parseLifecycleOptions`)
+ * @param {string} [options.lang] - `js` (default) or `ts`
+ * @returns {Object} Template variables
+ */
+function queryTemplateVariables(fields, relations, names, options = {}) {
+  const strategies = parseQueryStrategies(options);
+  const lifecycle = parseLifecycleOptions(options);
+  const { lang } = options;
+
+  // The sort field of the generated sorting test, as in fieldTemplateVariables
+  const sortable = sortableFields(fields, strategies.pagination);
+  const sortField = fields.find(
+    field => ['string', 'email', 'url'].includes(field.type) && sortable.includes(field.name)
+  );
+  const testSortField = sortField ? sortField.name : 'createdAt';
+  const links = strategies.linkHeaders
+    ? strategies.pagination === 'cursor'
+      ? ', with a Link header to the first and next pages'
+      : ', with a Link header to the first, previous, next and last pages'
+    : '';
+  const include = relations.length > 0 ? ',\n      include: buildIncludes(req.query.include)' : '';
+
+  return {
+    listHandler: renderListHandler(strategies, names, relations, lifecycle, lang),
+    listHelpers: renderListHelpers(strategies, fields, lifecycle, lang),
+    listQueryFields: renderListQueryFields(strategies, fields, relations, lifecycle),
+    listParams: renderListParams(strategies, fields),
+    listDescription: `Retrieves a paginated list of ${names.entityPlural}${links}`,
+    paginationProperty:
+      strategies.pagination === 'cursor'
+        ? 'Limit, nextCursor (null on the last page) and hasNext'
+        : 'Page, limit, total, pages, hasNext and hasPrev',
+    filterRuleHelper: '',
+    ...renderListRules(strategies, fields),
+    testPagination: renderTestPagination(strategies, names),
+    testSortQuery:
+      strategies.sorting === 'multi'
+        ? `sort=${testSortField === 'createdAt' ? 'createdAt' : `${testSortField},-createdAt`}`
+        : `sort=${testSortField}&order=asc`,
+    testQueryTests: renderQueryTests(strategies, fields, names, lifecycle, lang),
+    ...(strategies.filtering === 'operators' ? operatorFilterVariables(fields, lang) : {}),
+    ...(strategies.fieldsets
+      ? {
+          getByIdInclude: `, {\n      ${lang === 'ts' ? '...' : 'fields: '}buildFields(req.query.fields)${include}\n    }`,
+        }
+      : {}),
+  };
+}
+
+module.exports = {
+  queryStrategies,
+  parseQueryStrategies,
+  queryTemplateVariables,
+};
@@ -0,0 +1,489 @@
+/**
+ * Route and Model Registration for the Code Generator
+ *
+ * Adds generated routers to `src/routes/index.js` (a require or import and a
+ * `router.use()` line) and generated models to `src/models/index.js`, and
+ * takes them out again for `destroy`. The index files are parsed to find
+ * where the lines go, then edited as text so the rest of the file keeps its
+ * formatting. Registering twice changes nothing, and model indexes that load
+ * every file in the directory are left alone.
+ *
+ * @author REST-SPEC
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parse } = require('@babel/parser');
+
+/**
+ * Parse an index file, as TypeScript when it is one
+ */
+function parseIndex(source, filePath) {
+  return parse(source, {
+    sourceType: 'unambiguous',
+    plugins: /\.ts$/.test(filePath || '') ? ['typescript'] : [],
+  }).program.body;
+}
+
+const isRequireCall = node =>
+  node?.type === 'CallExpression' &&
+  node.callee.type === 'Identifier' &&
+  node.callee.name === 'require' &&
+  node.arguments[0]?.type === 'StringLiteral';
+
+/**
+ * The module a top-level require or import statement loads, and the names it binds
+ * @returns {{source: string, names: string[]}|null} Null for other statements
+ */
+function moduleImport(statement) {
+  if (statement.type === 'ImportDeclaration') {
+    return {
+      source: statement.source.value,
+      names: statement.specifiers.map(specifier => specifier.local.name),
+    };
+  }
+  if (statement.type === 'VariableDeclaration') {
+    const [declarator] = statement.declarations;
+    if (statement.declarations.length === 1 && isRequireCall(declarator.init)) {
+      const { id } = declarator;
+      const names =
+        id.type === 'Identifier'
+          ? [id.name]
+          : id.type === 'ObjectPattern'
+            ? id.properties.map(property => property.value?.name).filter(Boolean)
+            : [];
+      return { source: declarator.init.arguments[0].value, names };
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a module path names a file next to the index
+ */
+const isModule = (source, file) => source.replace(/\.(js|ts)$/, '') === `./${file}`;
+
+/**
+ * Whether an expression mentions one of the names, or requires the file
+ */
+function mentions(node, names, file) {
+  if (!node || typeof node !== 'object') {
+    return false;
+  }
+  if (node.type === 'Identifier' && names.includes(node.name)) {
+    return true;
+  }
+  if (isRequireCall(node) && isModule(node.arguments[0].value, file)) {
+    return true;
+  }
+  return Object.entries(node).some(
+    ([key, value]) =>
+      !['loc', 'leadingComments', 'trailingComments', 'innerComments'].includes(key) &&
+      (Array.isArray(value)
+        ? value.some(item => mentions(item, names, file))
+        : value?.type && mentions(value, names, file))
+  );
+}
+
+/**
+ * Whether a statement is `module.exports = ...` or `export default ...`
+ */
+const isExports = statement =>
+  statement.type === 'ExportDefaultDeclaration' ||
+  (statement.type === 'ExpressionStatement' &&
+    statement.expression.type === 'AssignmentExpression' &&
+    statement.expression.left.type === 'MemberExpression' &&
+    statement.expression.left.object.name === 'module' &&
+    statement.expression.left.property.name === 'exports');
+
+/**
+ * Apply text edits, given as `{ start, end, text }` offsets into the source
+ */
+function applyEdits(source, edits) {
+  return [...edits]
+    .sort((a, b) => b.start - a.start)
+    .reduce((text, edit) => text.slice(0, edit.start) + edit.text + text.slice(edit.end), source);
+}
+
+const insertAt = (offset, text) => ({ start: offset, end: offset, text });
+
+/**
+ * Edit removing a statement with its line, when nothing else is on the line
+ */
+function removeLines(source, node) {
+  const lineStart = source.lastIndexOf('\n', node.start - 1) + 1;
+  const lineEnd = source.indexOf('\n', node.end);
+  const before = source.slice(lineStart, node.start);
+  const after = source.slice(node.end, lineEnd === -1 ? source.length : lineEnd);
+
+  if (/^\s*$/.test(before) && /^\s*(\/\/.*)?$/.test(after)) {
+    const end = lineEnd === -1 ? source.length : lineEnd + 1;
+    // A line on its own between blank lines, or above one at the top of the
+    // file, takes one of them along
+    const blankBefore = lineStart === 0 || source.slice(lineStart - 2, lineStart) === '\n\n';
+    const blankAround = blankBefore && source[end] === '\n';
+    return { start: lineStart, end: blankAround ? end + 1 : end, text: '' };
+  }
+  return { start: node.start, end: node.end, text: '' };
+}
+
+/**
+ * Edit adding a name to a list such as `{ User, Post }`, keeping its layout
+ */
+function appendToList(source, list, open, close, name) {
+  if (list.length === 0) {
+    return { start: open + 1, end: close, text: ` ${name} ` };
+  }
+  const last = list.at(-1);
+  const multiline = source.slice(open, list[0].start).includes('\n');
+  const trailingComma = /^\s*,/.exec(source.slice(last.end, close));
+
+  if (!multiline) {
+    return insertAt(last.end, `, ${name}`);
+  }
+  const lineStart = source.lastIndexOf('\n', list[0].start - 1) + 1;
+  const indent = source.slice(lineStart, list[0].start);
+  return trailingComma
+    ? insertAt(last.end + trailingComma[0].length, `\n${indent}${name},`)
+    : insertAt(last.end, `,\n${indent}${name}`);
+}
+
+/**
+ * Edit removing an item from a list, with the comma that separates it
+ */
+function removeFromList(list, item, open, close) {
+  const index = list.indexOf(item);
+  if (list.length === 1) {
+    return { start: open + 1, end: close, text: '' };
+  }
+  return index < list.length - 1
+    ? { start: item.start, end: list[index + 1].start, text: '' }
+    : { start: list[index - 1].end, end: item.end, text: '' };
+}
+
+/**
+ * The statement to add a line after: the last matching statement, or null
+ */
+const lastMatching = (body, predicate) => [...body].reverse().find(predicate) || null;
+
+/**
+ * Edit adding a statement on its own line after an anchor statement, or
+ * before the exports when there is no anchor
+ */
+function addLine(source, body, anchor, line) {
+  if (anchor) {
+    return insertAt(anchor.end, `\n${line}`);
+  }
+  const exportsStatement = body.find(isExports);
+  if (exportsStatement) {
+    const start = exportsStatement.leadingComments?.[0]?.start ?? exportsStatement.start;
+    return insertAt(start, `${line}\n\n`);
+  }
+  return insertAt(source.length, `${source.endsWith('\n') ? '' : '\n'}${line}\n`);
+}
+
+/**
+ * Name of the Express router an index file exports
+ */
+function routerName(body) {
+  for (const statement of body) {
+    if (statement.type !== 'VariableDeclaration') {
+      continue;
+    }
+    const declarator = statement.declarations.find(
+      item =>
+        item.init?.type === 'CallExpression' &&
+        ((item.init.callee.type === 'MemberExpression' &&
+          item.init.callee.property.name === 'Router') ||
+          item.init.callee.name === 'Router')
+    );
+    if (declarator?.id.type === 'Identifier') {
+      return declarator.id.name;
+    }
+  }
+  return 'router';
+}
+
+/**
+ * Whether a statement is `<router>.use(...)`
+ */
+const isRouterUse = (statement, router) =>
+  statement.type === 'ExpressionStatement' &&
+  statement.expression.type === 'CallExpression' &&
+  statement.expression.callee.type === 'MemberExpression' &&
+  statement.expression.callee.object.name === router &&
+  statement.expression.callee.property.name === 'use';
+
+/**
+ * Whether an index file uses import declarations rather than require
+ */
+const usesImports = body =>
+  body.some(statement => statement.type === 'ImportDeclaration') &&
+  !body.some(statement => statement.type === 'VariableDeclaration' && moduleImport(statement));
+
+const relativeImport = statement => moduleImport(statement)?.source.startsWith('.');
+
+/**
+ * Module path for a file next to the index, with `.js` when the other
+ * relative imports have it (as ES modules in Node need)
+ */
+const modulePath = (body, file) =>
+  body.some(statement => /^\..*\.js$/.test(moduleImport(statement)?.source || ''))
+    ? `./${file}.js`
+    : `./${file}`;
+
+/**
+ * Add a router to a routes index
+ * @param {string} source - Index source
+ * @param {Object} route - Router to add
+ * @param {string} route.file - Module next to the index, without extension
+ * @param {string} route.variable - Name to bind the router to
+ * @param {string} route.mountPath - Path to mount it at
+ * @param {string} [filePath] - Index path, to parse `.ts` files as TypeScript
+ * @returns {string} The source with the router added (unchanged when it already is)
+ */
+function registerRoute(source, route, filePath) {
+  const body = parseIndex(source, filePath);
+  const router = routerName(body);
+  // Mounted without a variable: router.use('/users', require('./user'))
+  if (
+    body.some(statement => isRouterUse(statement, router) && mentions(statement, [], route.file))
+  ) {
+    return source;
+  }
+  const existing = body.find(statement =>
+    isModule(moduleImport(statement)?.source || '', route.file)
+  );
+  const variable = existing ? moduleImport(existing).names[0] : route.variable;
+  const edits = [];
+
+  if (!existing) {
+    const line = usesImports(body)
+      ? `import ${variable} from '${modulePath(body, route.file)}';`
+      : `const ${variable} = require('${modulePath(body, route.file)}');`;
+    const anchor =
+      lastMatching(body, relativeImport) ||
+      lastMatching(body, statement => moduleImport(statement));
+    edits.push(addLine(source, body, anchor, line));
+  }
+
+  const mounted = body.some(
+    statement => isRouterUse(statement, router) && mentions(statement, [variable], route.file)
+  );
+  if (!mounted) {
+    edits.push(
+      addLine(
+        source,
+        body,
+        lastMatching(body, statement => isRouterUse(statement, router)),
+        `${router}.use('${route.mountPath}', ${variable});`
+      )
+    );
+  }
+
+  return applyEdits(source, edits);
+}
+
+/**
+ * Remove a router, and the lines mounting it, from a routes index
+ * @param {string} source - Index source
+ * @param {string} file - Module next to the index, without extension
+ * @param {string} [filePath] - Index path, to parse `.ts` files as TypeScript
+ * @returns {string} The source without the router
+ */
+function unregisterRoute(source, file, filePath) {
+  const body = parseIndex(source, filePath);
+  const router = routerName(body);
+  const imports = body.filter(statement => isModule(moduleImport(statement)?.source || '', file));
+  const names = imports.flatMap(statement => moduleImport(statement).names);
+  const uses = body.filter(
+    statement => isRouterUse(statement, router) && mentions(statement, names, file)
+  );
+
+  return applyEdits(
+    source,
+    [...imports, ...uses].map(statement => removeLines(source, statement))
+  );
+}
+
+/**
+ * `<object>.<Name> = require('./...')` statements, as in `db.User = require('./User')`
+ */
+const isModelAssignment = statement =>
+  statement.type === 'ExpressionStatement' &&
+  statement.expression.type === 'AssignmentExpression' &&
+  statement.expression.left.type === 'MemberExpression' &&
+  statement.expression.left.object.type === 'Identifier' &&
+  isRequireCall(statement.expression.right) &&
+  statement.expression.right.arguments[0].value.startsWith('.');
+
+/**
+ * The list of exported names: `module.exports = { ... }` or `export { ... }`
+ * @returns {{items: Object[], open: number, close: number}|null} The list and its braces
+ */
+function exportList(source, body) {
+  for (const statement of body) {
+    if (
+      isExports(statement) &&
+      statement.type === 'ExpressionStatement' &&
+      statement.expression.right.type === 'ObjectExpression'
+    ) {
+      const object = statement.expression.right;
+      return { items: object.properties, open: object.start, close: object.end - 1 };
+    }
+    if (
+      statement.type === 'ExportNamedDeclaration' &&
+      !statement.declaration &&
+      !statement.source
+    ) {
+      return {
+        items: statement.specifiers,
+        open: source.indexOf('{', statement.start),
+        close: source.lastIndexOf('}', statement.end),
+      };
+    }
+  }
+  return null;
+}
+
+const exportedName = item =>
+  item.type === 'ExportSpecifier' ? item.exported.name : (item.key?.name ?? item.key?.value);
+
+/**
+ * Whether a models index loads every model in its directory by itself
+ */
+const loadsDirectory = source => /\breaddirSync\b/.test(source);
+
+/**
+ * Add a model to a models index: a require or import, and an export or a
+ * `db.<Model> = require()` line to match the models already there
+ * @param {string} source - Index source
+ * @param {string} name - Model name, which is also its file name
+ * @param {string} [filePath] - Index path, to parse `.ts` files as TypeScript
+ * @returns {string|null} The source with the model added, or null when the
+ *   index has no export list or assignments to add it to
+ */
+function registerModel(source, name, filePath) {
+  if (loadsDirectory(source)) {
+    return source;
+  }
+  const body = parseIndex(source, filePath);
+  const assignments = body.filter(isModelAssignment);
+
+  if (assignments.length > 0) {
+    if (assignments.some(statement => mentions(statement, [], name))) {
+      return source;
+    }
+    const object = assignments[0].expression.left.object.name;
+    return applyEdits(source, [
+      insertAt(
+        assignments.at(-1).end,
+        `\n${object}.${name} = require('${modulePath(body, name)}');`
+      ),
+    ]);
+  }
+
+  const list = exportList(source, body);
+  if (!list) {
+    return null;
+  }
+  const edits = [];
+  if (!body.some(statement => isModule(moduleImport(statement)?.source || '', name))) {
+    const line = usesImports(body)
+      ? `import { ${name} } from '${modulePath(body, name)}';`
+      : `const ${name} = require('${modulePath(body, name)}');`;
+    const anchor =
+      lastMatching(body, relativeImport) ||
+      lastMatching(body, statement => moduleImport(statement));
+    edits.push(addLine(source, body, anchor, line));
+  }
+  if (!list.items.some(item => exportedName(item) === name)) {
+    edits.push(appendToList(source, list.items, list.open, list.close, name));
+  }
+
+  return applyEdits(source, edits);
+}
+
+/**
+ * Remove a model from a models index
+ * @param {string} source - Index source
+ * @param {string} name - Model name, which is also its file name
+ * @param {string} [filePath] - Index path, to parse `.ts` files as TypeScript
+ * @returns {string} The source without the model
+ */
+function unregisterModel(source, name, filePath) {
+  if (loadsDirectory(source)) {
+    return source;
+  }
+  const body = parseIndex(source, filePath);
+  const statements = body.filter(
+    statement =>
+      isModule(moduleImport(statement)?.source || '', name) ||
+      (isModelAssignment(statement) && mentions(statement, [], name))
+  );
+  const edits = statements.map(statement => removeLines(source, statement));
+
+  const list = exportList(source, body);
+  const item = list?.items.find(candidate => exportedName(candidate) === name);
+  if (item) {
+    edits.push(removeFromList(list.items, item, list.open, list.close));
+  }
+
+  return applyEdits(source, edits);
+}
+
+/**
+ * The index file in a directory: index.ts for TypeScript output when there is
+ * one, otherwise index.js
+ * @returns {Promise<string|null>} Its path, or null when there is none
+ */
+async function findIndexFile(directory, lang) {
+  const candidates = lang === 'ts' ? ['index.ts', 'index.js'] : ['index.js', 'index.ts'];
+  for (const candidate of candidates) {
+    const filePath = path.join(directory, candidate);
+    try {
+      await fs.access(filePath);
+      return filePath;
+    } catch {
+      // Try the next one
+    }
+  }
+  return null;
+}
+
+/**
+ * Edit an index file in place
+ * @param {string} directory - Directory holding the index
+ * @param {Function} edit - `(source, filePath) => source`, or null when the
+ *   index cannot be edited
+ * @param {Object} [options] - Options
+ * @param {string} [options.lang] - Output language, to prefer index.ts
+ * @param {Object} [options.journal] - Journal from `createWriteJournal` to record the edit in
+ * @returns {Promise<{status: string, indexPath: string|null}>} `status` is
+ *   `updated`, `unchanged`, `unsupported` or `missing`
+ */
+async function editIndexFile(directory, edit, options = {}) {
+  const indexPath = await findIndexFile(directory, options.lang);
+  if (!indexPath) {
+    return { status: 'missing', indexPath };
+  }
+  const source = await fs.readFile(indexPath, 'utf8');
+  const edited = edit(source, indexPath);
+  if (edited === null) {
+    return { status: 'unsupported', indexPath };
+  }
+  if (edited === source) {
+    return { status: 'unchanged', indexPath };
+  }
+  await options.journal?.record(indexPath);
+  await fs.writeFile(indexPath, edited);
+  return { status: 'updated', indexPath };
+}
+
+module.exports = {
+  registerRoute,
+  unregisterRoute,
+  registerModel,
+  unregisterModel,
+  editIndexFile,
+};
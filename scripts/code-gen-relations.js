@@ -0,0 +1,615 @@
+/**
+ * Entity Relationships for the Code Generator
+ *
+ * Turns `--belongs-to`, `--has-many` and `--many-to-many` declarations (or the
+ * `relations` section of an entity file) into the relationship-dependent
+ * parts of the CRUD templates, in JavaScript or TypeScript: Sequelize
+ * associations, foreign keys, `?include=` support and nested routes such as
+ * `/api/orders/:orderId/items` through the entity's repository, relationship
+ * tests and foreign-key migrations.
+ *
+ * @author REST-SPEC
+ */
+
+const { isEntityFile, loadEntityFile } = require('./code-gen-fields');
+
+// Declaration keys and the Sequelize association they create
+const relationTypes = {
+  belongsTo: 'belongsTo',
+  hasMany: 'hasMany',
+  manyToMany: 'belongsToMany',
+  belongsToMany: 'belongsToMany',
+};
+
+/**
+ * Split a declaration value (`'order,customer'` or a list) into entity names
+ */
+function listEntities(value) {
+  if (!value) {
+    return [];
+  }
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Collect relationship declarations from an object keyed by relation type
+ * @param {Object} [declarations] - `{ belongsTo, hasMany, manyToMany }` lists
+ * @returns {Array<{type: string, target: string}>} Declared relations
+ */
+function collectRelations(declarations = {}) {
+  return Object.entries(relationTypes).flatMap(([key, type]) =>
+    listEntities(declarations[key]).map(target => ({ type, target }))
+  );
+}
+
+/**
+ * Resolve the relations for a generator run from `options.relations`, the
+ * relation options and the `relations` section of an entity file
+ * @param {Object} [options] - Generator options
+ * @returns {Promise<Array<{type: string, target: string}>>} Unique relations
+ */
+async function resolveRelations(options = {}) {
+  if (Array.isArray(options.relations)) {
+    return options.relations;
+  }
+
+  const entity = isEntityFile(options.fields) ? await loadEntityFile(options.fields) : {};
+  const relations = [
+    ...collectRelations(entity?.relations),
+    ...collectRelations(options.relations || options),
+  ];
+
+  const seen = new Set();
+  return relations.filter(relation => {
+    const key = `${relation.type}:${relation.target}`;
+    return seen.has(key) ? false : seen.add(key);
+  });
+}
+
+/**
+ * Describe each relation with the names used across the generated files
+ * @param {Array<{type: string, target: string}>} relations - Declared relations
+ * @param {Object} entity - Case variations of the entity being generated
+ * @param {Function} namesFor - Returns the case variations of an entity name
+ * @returns {Object[]} Described relations
+ */
+function describeRelations(relations, entity, namesFor) {
+  return relations.map(({ type, target }) => {
+    const targetNames = namesFor(target);
+    const relation = { type, target: targetNames };
+
+    if (type === 'belongsTo') {
+      relation.alias = targetNames.entityCamelCase;
+      relation.foreignKey = `${targetNames.entityCamelCase}Id`;
+    } else if (type === 'hasMany') {
+      // `order` + `order-item` nests as /orders/:orderId/items
+      const prefix = `${entity.entityKebabCase}-`;
+      const child = targetNames.entityKebabCase.startsWith(prefix)
+        ? targetNames.entityKebabCase.slice(prefix.length)
+        : targetNames.entityKebabCase;
+      const plural = namesFor(child).entityPlural;
+      relation.segment = plural;
+      relation.alias = namesFor(plural).entityCamelCase;
+      relation.foreignKey = `${entity.entityCamelCase}Id`;
+    } else {
+      relation.alias = namesFor(targetNames.entityPlural).entityCamelCase;
+      // Junction tables are named like userPermissions (sql-standards-and-patterns.md)
+      const [first, second] = [entity, targetNames].sort((a, b) =>
+        a.entityCamelCase.localeCompare(b.entityCamelCase)
+      );
+      relation.through = `${first.entityCamelCase}${second.entityTableName.replace(/^[a-z]/, c => c.toUpperCase())}`;
+      relation.foreignKey = `${entity.entityCamelCase}Id`;
+      relation.otherKey = `${targetNames.entityCamelCase}Id`;
+    }
+
+    relation.aliasPascal = relation.alias.replace(/^[a-z]/, c => c.toUpperCase());
+    relation.singular = relation.alias.replace(/s$/, '');
+    relation.singularPascal = relation.aliasPascal.replace(/s$/, '');
+    return relation;
+  });
+}
+
+/**
+ * Foreign key fields added to the model for `belongsTo` relations
+ * @param {Object[]} relations - Described relations
+ * @returns {Object[]} Normalized fields
+ */
+function relationFields(relations) {
+  return relations
+    .filter(relation => relation.type === 'belongsTo')
+    .map(relation => ({
+      name: relation.foreignKey,
+      type: 'uuid',
+      required: true,
+      unique: false,
+      index: true,
+      references: { table: relation.target.entityTableName, onDelete: 'CASCADE' },
+      sample: `test${relation.target.entityPascalCase}.id`,
+    }));
+}
+
+/**
+ * Render the association calls for the model's `associate` method
+ */
+function renderAssociations(relations, entity) {
+  const model = entity.entityPascalCase;
+
+  return relations
+    .map(relation => {
+      const target = `models.${relation.target.entityPascalCase}`;
+      const options =
+        relation.type === 'belongsTo'
+          ? [`foreignKey: '${relation.foreignKey}'`, `as: '${relation.alias}'`]
+          : relation.type === 'hasMany'
+            ? [
+                `foreignKey: '${relation.foreignKey}'`,
+                `as: '${relation.alias}'`,
+                "onDelete: 'CASCADE'",
+                'hooks: true // Run destroy hooks so paranoid children are soft deleted',
+              ]
+            : [
+                `through: '${relation.through}'`,
+                `foreignKey: '${relation.foreignKey}'`,
+                `otherKey: '${relation.otherKey}'`,
+                `as: '${relation.alias}'`,
+              ];
+
+      return `  \n  ${model}.${relation.type}(${target}, {\n    ${options.join(',\n    ')}\n  });\n`;
+    })
+    .join('');
+}
+
+/**
+ * Render the controller helper that turns `?include=` into the relations a
+ * repository includes
+ */
+function renderIncludeHelper(relations, lang) {
+  const signature =
+    lang === 'ts'
+      ? ` * @param include - Relation names
+ * @returns Include option of the repository
+ */
+const buildIncludes = (include: unknown): string[] => {
+  if (typeof include !== 'string' || !include) {
+    return [];
+  }
+
+  return include`
+      : ` * @param {string} [include] - Relation names
+ * @returns {string[]} Include option of the repository
+ */
+const buildIncludes = (include) => {
+  if (!include) {
+    return [];
+  }
+
+  return String(include)`;
+
+  return `
+// Relations that can be loaded with ?include=
+const includableRelations = [${relations.map(relation => `'${relation.alias}'`).join(', ')}];
+
+/**
+ * Build the include option from a comma-separated include query parameter
+${signature}
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => includableRelations.includes(name));
+};
+`;
+}
+
+/**
+ * Render controller handlers for nested `hasMany` collections
+ */
+function renderNestedHandlers(relations, entity, lang) {
+  const { entityName, entityCamelCase: camel } = entity;
+  const repository = `${camel}Repository`;
+  const typed = lang === 'ts';
+  // The route authenticates, but the request type cannot know it
+  const userId = typed ? 'req.user?.id' : 'req.user.id';
+  const createdBy = typed ? 'req.user?.id ?? null' : 'req.user.id';
+
+  // Typed handlers get their parameter types from AsyncHandler
+  const handler = (name, summary, foreignKey) =>
+    typed
+      ? `/**
+ * ${summary}
+ */
+export const ${name}: AsyncHandler<Request<{ ${foreignKey}: string }>> = async (req, res, next) => {`
+      : `/**
+ * ${summary}
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const ${name} = async (req, res, next) => {`;
+
+  return relations
+    .filter(relation => relation.type === 'hasMany')
+    .map(relation => {
+      const { alias, aliasPascal, singular, singularPascal, foreignKey } = relation;
+      const kebab = entity.entityKebabCase;
+
+      return `
+${handler(`get${aliasPascal}`, `Get the ${alias} of the ${entityName} in the URL`, foreignKey)}
+  try {
+    const ${camel} = await ${repository}.findById(req.params.${foreignKey});
+
+    if (!${camel}) {
+      throw new AppError('${entityName} not found', 404);
+    }
+
+    const ${alias} = await ${repository}.findRelated(${camel}.id, '${alias}');
+
+    res.json({ ${alias} });
+  } catch (error) {
+    logger.error({
+      component: '${kebab}-controller',
+      action: 'get${aliasPascal}',
+      userId: req.user?.id,
+      ${camel}Id: req.params.${foreignKey},
+      err: error
+    }, 'Failed to retrieve ${alias}');
+
+    next(error);
+  }
+};
+
+${handler(`create${singularPascal}`, `Create ${singular} under the ${entityName} in the URL`, foreignKey)}
+  try {
+    const ${camel} = await ${repository}.findById(req.params.${foreignKey});
+
+    if (!${camel}) {
+      throw new AppError('${entityName} not found', 404);
+    }
+
+    const ${singular} = await ${repository}.createRelated(${camel}.id, '${alias}', {
+      ...req.body,
+      createdBy: ${createdBy}
+    });
+
+    logger.info({
+      component: '${kebab}-controller',
+      action: 'create${singularPascal}',
+      userId: ${userId},
+      ${camel}Id: ${camel}.id
+    }, '${singularPascal} created');
+
+    res.status(201).json({ ${singular} });
+  } catch (error) {
+    logger.error({
+      component: '${kebab}-controller',
+      action: 'create${singularPascal}',
+      userId: req.user?.id,
+      ${camel}Id: req.params.${foreignKey},
+      err: error
+    }, 'Failed to create ${singular}');
+
+    next(error);
+  }
+};
+`;
+    })
+    .join('');
+}
+
+/**
+ * Import the create schemas of the `hasMany` children the nested routes
+ * validate with
+ */
+function renderNestedSchemaImports(relations, entity, lang) {
+  const children = relations
+    .filter(relation => relation.type === 'hasMany')
+    .map(relation => relation.target)
+    .filter(target => target.entityKebabCase !== entity.entityKebabCase);
+
+  return [...new Map(children.map(target => [target.entityKebabCase, target])).values()]
+    .map(({ entityPascalCase, entityKebabCase }) =>
+      lang === 'ts'
+        ? `import { create${entityPascalCase}Schema } from '../schemas/${entityKebabCase}';\n`
+        : `const { create${entityPascalCase}Schema } = require('../schemas/${entityKebabCase}');\n`
+    )
+    .join('');
+}
+
+/**
+ * Render nested routes for `hasMany` collections
+ */
+function renderNestedRoutes(relations, entity) {
+  const { entityName, entityCamelCase: camel, entityPascalCase: pascal, entityPlural } = entity;
+
+  return relations
+    .filter(relation => relation.type === 'hasMany')
+    .map(relation => {
+      const { alias, aliasPascal, singular, singularPascal, foreignKey, segment } = relation;
+      const targetPascal = relation.target.entityPascalCase;
+      const routePath = `/:${foreignKey}/${segment}`;
+
+      return `
+/**
+ * @route GET /api/${entityPlural}${routePath}
+ * @summary Get ${entityName} ${alias}
+ * @description Retrieves the ${alias} that belong to the ${entityName}
+ * @tag ${pascal}
+ * @param {string} ${foreignKey} - ${entityName} ID
+ * @response 200 - ${aliasPascal} of the ${entityName}
+ * @response 404 - ${entityName} not found
+ * @response 401 - Unauthorized
+ * @security bearerAuth
+ */
+router.get('${routePath}',
+  authenticate,
+  ${camel}Controller.get${aliasPascal}
+);
+
+/**
+ * @route POST /api/${entityPlural}${routePath}
+ * @summary Create ${entityName} ${singular}
+ * @description Creates ${singular} under the ${entityName}
+ * @tag ${pascal}
+ * @param {string} ${foreignKey} - ${entityName} ID
+ * @body {${targetPascal}Create} - ${singularPascal} data
+ * @response 201 - ${singularPascal} created
+ * @response 404 - ${entityName} not found
+ * @response 401 - Unauthorized
+ * @security bearerAuth
+ */
+router.post('${routePath}',
+  authenticate,
+  // The ${entityName} comes from the URL, so the body can leave out ${foreignKey}
+  validate(create${targetPascal}Schema.fork(['${foreignKey}'], rule => rule.optional())),
+  ${camel}Controller.create${singularPascal}
+);
+`;
+    })
+    .join('');
+}
+
+/**
+ * A record of a related entity with only `createdBy` set; TypeScript needs
+ * the cast until the required fields are filled in
+ */
+function placeholderRecord(target, lang) {
+  return lang === 'ts'
+    ? `{ createdBy: testUser.id } as ${target.entityCamelCase}Repository.${target.entityPascalCase}CreationAttributes`
+    : '{ createdBy: testUser.id }';
+}
+
+/**
+ * Render the relationship tests
+ */
+function renderRelationTests(relations, entity, lang) {
+  const { entityName, entityCamelCase: camel, entityPascalCase: pascal, entityPlural } = entity;
+  const repository = `${camel}Repository`;
+  const tests = [];
+
+  relations.forEach(relation => {
+    const { alias, singular, segment } = relation;
+    const targetPascal = relation.target.entityPascalCase;
+    const targetRepository = `${relation.target.entityCamelCase}Repository`;
+    const attributes = `${relation.target.entityCamelCase}Attributes`;
+
+    if (relation.type === 'hasMany') {
+      const blank =
+        lang === 'ts'
+          ? `{} as Omit<${targetRepository}.${targetPascal}CreationAttributes, '${relation.foreignKey}' | 'createdBy'>`
+          : '{}';
+      tests.push(`
+    // Add any required ${targetPascal} fields
+    const ${attributes} = ${blank};
+
+    test('should list ${alias} of the ${entityName}', async () => {
+      await ${repository}.createRelated(test${pascal}.id, '${alias}', { ...${attributes}, createdBy: testUser.id });
+
+      const response = await request(app)
+        .get(\`/api/${entityPlural}/\${test${pascal}.id}/${segment}\`)
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .expect(200);
+
+      expect(response.body.${alias}).toHaveLength(1);
+    });
+
+    test('should create ${singular} under the ${entityName}', async () => {
+      const response = await request(app)
+        .post(\`/api/${entityPlural}/\${test${pascal}.id}/${segment}\`)
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .send(${attributes})
+        .expect(201);
+
+      expect(response.body.${singular}.${relation.foreignKey}).toBe(test${pascal}.id);
+    });
+
+    test('should include ${alias} when requested', async () => {
+      await ${repository}.createRelated(test${pascal}.id, '${alias}', { ...${attributes}, createdBy: testUser.id });
+
+      const response = await request(app)
+        .get(\`/api/${entityPlural}/\${test${pascal}.id}?include=${alias}\`)
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .expect(200);
+
+      expect(response.body.${camel}.${alias}).toHaveLength(1);
+    });
+
+    test('should delete ${alias} with the ${entityName}', async () => {
+      const child = await ${repository}.createRelated(test${pascal}.id, '${alias}', { ...${attributes}, createdBy: testUser.id });
+
+      await request(app)
+        .delete(\`/api/${entityPlural}/\${test${pascal}.id}\`)
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .expect(204);
+
+      expect(await ${targetRepository}.findById(child.id)).toBeNull();
+    });
+`);
+    } else if (relation.type === 'belongsTo') {
+      tests.push(`
+    test('should include the ${alias} when requested', async () => {
+      const response = await request(app)
+        .get(\`/api/${entityPlural}/\${test${pascal}.id}?include=${alias}\`)
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .expect(200);
+
+      expect(response.body.${camel}.${alias}.id).toBe(test${targetPascal}.id);
+    });
+
+    test('should be deleted with its ${alias}', async () => {
+      const ${alias} = await ${targetRepository}.create(${placeholderRecord(relation.target, lang)});
+      await ${repository}.update(test${pascal}.id, { ${relation.foreignKey}: ${alias}.id });
+
+      await ${targetRepository}.remove(${alias}.id, { force: true });
+
+      expect(await ${repository}.findById(test${pascal}.id)).toBeNull();
+    });
+`);
+    } else {
+      tests.push(`
+    test('should include ${alias} when requested', async () => {
+      const response = await request(app)
+        .get(\`/api/${entityPlural}/\${test${pascal}.id}?include=${alias}\`)
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .expect(200);
+
+      expect(Array.isArray(response.body.${camel}.${alias})).toBe(true);
+    });
+`);
+    }
+  });
+
+  return `
+  describe('Relationships', () => {${tests.join('')}  });
+`;
+}
+
+/**
+ * Build every relationship-dependent template variable; all are empty when
+ * the entity has no relations
+ * @param {Object[]} relations - Described relations
+ * @param {Object} entity - Case variations of the entity being generated
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.lang] - `js` (default) or `ts`
+ * @returns {Object} Template variables
+ */
+function relationTemplateVariables(relations, entity, options = {}) {
+  const { lang = 'js' } = options;
+  const empty = {
+    modelAssociations: '',
+    includeHelper: '',
+    getByIdInclude: '',
+    nestedHandlers: '',
+    nestedExports: '',
+    nestedRoutes: '',
+    nestedSchemaImports: '',
+    includeParam: '',
+    includeRule: '',
+    testRepositories: '',
+    testRelationDeclarations: '',
+    testRelationSetup: '',
+    testRelationCleanup: '',
+    testRelationSuite: '',
+  };
+
+  if (relations.length === 0) {
+    return empty;
+  }
+
+  const aliases = relations.map(relation => relation.alias);
+  const nested = relations.filter(relation => relation.type === 'hasMany');
+  const parents = relations.filter(relation => relation.type === 'belongsTo');
+  // The entity's own repository is imported by the test already
+  const related = [...new Set(relations.map(relation => relation.target.entityCamelCase))].filter(
+    name => name !== entity.entityCamelCase
+  );
+
+  return {
+    ...empty,
+    modelAssociations: renderAssociations(relations, entity),
+    includeHelper: renderIncludeHelper(relations, lang),
+    getByIdInclude: ', {\n      include: buildIncludes(req.query.include)\n    }',
+    nestedHandlers: renderNestedHandlers(relations, entity, lang),
+    nestedExports: nested
+      .map(relation => `,\n  get${relation.aliasPascal},\n  create${relation.singularPascal}`)
+      .join(''),
+    nestedRoutes: renderNestedRoutes(relations, entity),
+    nestedSchemaImports: renderNestedSchemaImports(relations, entity, lang),
+    includeParam: ` * @param {string} [include] - Related records to include (${aliases.join(', ')})\n`,
+    includeRule: `  include: Joi.string().pattern(/^(${aliases.join('|')})(,(${aliases.join('|')}))*$/).optional(),\n`,
+    testRepositories: related
+      .map(name =>
+        lang === 'ts'
+          ? `import * as ${name}Repository from '../src/repositories/${name}Repository';\n`
+          : `const ${name}Repository = require('../src/repositories/${name}Repository');\n`
+      )
+      .join(''),
+    testRelationDeclarations: parents
+      .map(({ target }) =>
+        lang === 'ts'
+          ? `  let test${target.entityPascalCase}: ${target.entityCamelCase}Repository.${target.entityPascalCase}Record;\n`
+          : `  let test${target.entityPascalCase};\n`
+      )
+      .join(''),
+    testRelationSetup: parents
+      .map(
+        relation => `
+    // Parent ${relation.target.entityName}; add any required ${relation.target.entityPascalCase} fields
+    test${relation.target.entityPascalCase} = await ${relation.target.entityCamelCase}Repository.create(${placeholderRecord(relation.target, lang)});
+`
+      )
+      .join(''),
+    testRelationCleanup: parents
+      .map(
+        relation =>
+          `    await ${relation.target.entityCamelCase}Repository.remove(test${relation.target.entityPascalCase}.id, { force: true });\n\n`
+      )
+      .join(''),
+    testRelationSuite: renderRelationTests(relations, entity, lang),
+  };
+}
+
+/**
+ * Migrations needed for the relations: a foreign key constraint on the child
+ * table for `belongsTo` and `hasMany`, and a join table for many-to-many.
+ * Each lists the tables that must exist before it can run.
+ * @param {Object[]} relations - Described relations
+ * @param {Object} entity - Case variations of the entity being generated
+ * @returns {Object[]} `{ template, table, requires, ... }` per migration
+ */
+function relationMigrations(relations, entity) {
+  return relations.map(relation => {
+    if (relation.type === 'belongsToMany') {
+      const keys = [
+        { column: relation.foreignKey, references: entity.entityTableName },
+        { column: relation.otherKey, references: relation.target.entityTableName },
+      ].sort((a, b) => a.column.localeCompare(b.column));
+
+      return {
+        template: 'joinTable',
+        table: relation.through,
+        keys,
+        requires: keys.map(key => key.references),
+      };
+    }
+
+    // The foreign key lives on the child table in both directions
+    const [child, parent] =
+      relation.type === 'belongsTo' ? [entity, relation.target] : [relation.target, entity];
+
+    return {
+      template: 'foreignKey',
+      table: child.entityTableName,
+      column: `${parent.entityCamelCase}Id`,
+      references: parent.entityTableName,
+      requires: [child.entityTableName, parent.entityTableName],
+    };
+  });
+}
+
+module.exports = {
+  collectRelations,
+  resolveRelations,
+  describeRelations,
+  relationFields,
+  relationTemplateVariables,
+  relationMigrations,
+};
@@ -0,0 +1,336 @@
+/**
+ * Seed Data for the Code Generator
+ *
+ * Renders sequelize-cli seeders with realistic sample records. Values are
+ * chosen from the field name and type (an `email` gets an address, a `price`
+ * a price, an enum cycles through its values) and are derived from the
+ * record position, so regenerating a seeder gives the same file.
+ *
+ * @author REST-SPEC
+ */
+
+const crypto = require('crypto');
+const { literal } = require('./code-gen-fields');
+
+const firstNames = [
+  'Olivia',
+  'Liam',
+  'Amara',
+  'Hiro',
+  'Sofia',
+  'Mateo',
+  'Priya',
+  'Noah',
+  'Ingrid',
+  'Kofi',
+];
+const lastNames = [
+  'Martin',
+  'Okafor',
+  'Nguyen',
+  'Garcia',
+  'Patel',
+  'Schmidt',
+  'Rossi',
+  'Kim',
+  'Silva',
+  'Larsen',
+];
+const adjectives = [
+  'Silver',
+  'Northern',
+  'Quiet',
+  'Golden',
+  'Coastal',
+  'Modern',
+  'Rustic',
+  'Bright',
+  'Hidden',
+  'Urban',
+];
+const nouns = [
+  'Harbor',
+  'Meadow',
+  'Summit',
+  'Lantern',
+  'Orchard',
+  'Canyon',
+  'Atlas',
+  'Beacon',
+  'Harvest',
+  'Horizon',
+];
+const cities = [
+  'Lisbon',
+  'Osaka',
+  'Toronto',
+  'Nairobi',
+  'Oslo',
+  'Austin',
+  'Lyon',
+  'Melbourne',
+  'Seoul',
+  'Bogotá',
+];
+const countries = [
+  'Portugal',
+  'Japan',
+  'Canada',
+  'Kenya',
+  'Norway',
+  'United States',
+  'France',
+  'Australia',
+  'South Korea',
+  'Colombia',
+];
+const streets = [
+  'Maple Avenue',
+  'Harbor Road',
+  'Elm Street',
+  'Station Square',
+  'Mill Lane',
+  'Park Drive',
+  'Bridge Street',
+  'Orchard Way',
+  'King Street',
+  'Hillside Road',
+];
+const colors = [
+  'red',
+  'teal',
+  'amber',
+  'indigo',
+  'olive',
+  'coral',
+  'slate',
+  'violet',
+  'navy',
+  'ivory',
+];
+const prices = [19.99, 249, 7.5, 89.95, 1299, 42.1, 5.25, 349.99, 12, 64.5];
+const sentences = [
+  'Handles the everyday cases without any fuss.',
+  'A reliable choice for teams that need to move quickly.',
+  'Built to last, with attention to the small details.',
+  'Popular with first-time customers and long-time fans alike.',
+  'Compact, practical and easy to maintain.',
+  'Updated this season based on customer feedback.',
+  'Designed for clarity and a calm, focused workflow.',
+  'Ships with sensible defaults that suit most projects.',
+  'Well reviewed for its value and consistency.',
+  'A limited run that tends to sell out early.',
+];
+
+/**
+ * Deterministic version 4 style UUID derived from a seed
+ */
+function seedUuid(seed) {
+  const hex = crypto.createHash('sha1').update(seed).digest('hex');
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+/**
+ * Keep a number within the field's min and max
+ */
+function clamp(value, field) {
+  return Math.min(field.max ?? Infinity, Math.max(field.min ?? -Infinity, value));
+}
+
+/**
+ * Realistic string value for a field, chosen by name
+ */
+function fakeString(field, index, names) {
+  const name = field.name.toLowerCase();
+  const first = firstNames[index % firstNames.length];
+  const last = lastNames[(index * 3) % lastNames.length];
+  const title = `${adjectives[index % adjectives.length]} ${nouns[(index * 7) % nouns.length]}`;
+
+  if (field.type === 'email' || name.includes('email')) {
+    return `${first}.${last}@example.com`.toLowerCase();
+  }
+  if (field.type === 'url' || /url|website|link/.test(name)) {
+    return `https://www.example.com/${names.entityPlural}/${title.toLowerCase().replace(/ /g, '-')}`;
+  }
+  if (/first_?name/.test(name)) {
+    return first;
+  }
+  if (/last_?name|surname/.test(name)) {
+    return last;
+  }
+  if (/username|handle/.test(name)) {
+    return `${first}${last[0]}`.toLowerCase();
+  }
+  if (/full_?name|author|owner|contact/.test(name)) {
+    return `${first} ${last}`;
+  }
+  if (name.includes('phone')) {
+    return `+1-555-01${String(index).padStart(2, '0')}`;
+  }
+  if (name.includes('city')) {
+    return cities[index % cities.length];
+  }
+  if (name.includes('country')) {
+    return countries[index % countries.length];
+  }
+  if (/address|street/.test(name)) {
+    return `${12 + index * 7} ${streets[index % streets.length]}`;
+  }
+  if (/zip|postal/.test(name)) {
+    return String(10001 + index * 113);
+  }
+  if (name.includes('slug')) {
+    return title.toLowerCase().replace(/ /g, '-');
+  }
+  if (/sku|code|reference/.test(name)) {
+    return `${names.entityConstantCase.slice(0, 3)}-${1001 + index}`;
+  }
+  if (/colou?r/.test(name)) {
+    return colors[index % colors.length];
+  }
+  if (field.type === 'text' || /description|summary|bio|note|comment|content|body/.test(name)) {
+    return sentences[index % sentences.length];
+  }
+  return title;
+}
+
+/**
+ * Realistic number for a field, chosen by name
+ */
+function fakeNumber(field, index) {
+  const name = field.name.toLowerCase();
+  let value;
+
+  if (['float', 'decimal'].includes(field.type)) {
+    if (/rate|percent|ratio|discount/.test(name)) {
+      value = ((index * 7) % 100) / 100;
+    } else if (/lat/.test(name)) {
+      value = 38.7 + index * 0.37;
+    } else if (/lng|lon/.test(name)) {
+      value = -9.1 + index * 0.53;
+    } else {
+      value = prices[index % prices.length];
+    }
+    return Number(clamp(value, field).toFixed(field.scale ?? 2));
+  }
+
+  if (/quantity|count|stock|amount/.test(name)) {
+    value = 1 + ((index * 3) % 20);
+  } else if (name.includes('age')) {
+    value = 21 + index * 4;
+  } else if (/rating|score|stars/.test(name)) {
+    value = 1 + (index % 5);
+  } else if (name.includes('year')) {
+    value = 2016 + index;
+  } else {
+    value = (index + 1) * 10;
+  }
+  return Math.round(clamp(value, field));
+}
+
+/**
+ * Sample value for one field of the record at `index`
+ * @param {Object} field - Normalized field
+ * @param {number} index - Record position
+ * @param {Object} names - Case variations of the entity name
+ * @returns {*} Value to render with `literal()`
+ */
+function fakeValue(field, index, names) {
+  const day = new Date(Date.UTC(2026, 0, 15 + index * 9, 9 + (index % 8), (index * 17) % 60));
+
+  switch (field.type) {
+    case 'integer':
+    case 'bigint':
+    case 'float':
+    case 'decimal':
+      return fakeNumber(field, index);
+    case 'boolean':
+      return index % 3 !== 2;
+    case 'date':
+      return /birth/i.test(field.name)
+        ? `${1975 + index * 3}-0${1 + (index % 9)}-1${index % 10}`
+        : day.toISOString().slice(0, 10);
+    case 'datetime':
+      return day;
+    case 'uuid':
+      return seedUuid(`${names.entityTableName}:${field.name}:${index}`);
+    case 'json':
+      return JSON.stringify(field.default ?? {});
+    case 'enum':
+      return field.values[index % field.values.length];
+    default: {
+      const value = fakeString(field, index, names);
+      return value.slice(0, Math.min(field.max ?? Infinity, field.length ?? Infinity));
+    }
+  }
+}
+
+/**
+ * Render a seeder value; dates become `new Date()` expressions
+ */
+function seedLiteral(value) {
+  return value instanceof Date ? `new Date('${value.toISOString()}')` : literal(value);
+}
+
+/**
+ * Build the seeder template variables
+ * @param {Object[]} fields - Normalized fields, including relation foreign keys
+ * @param {Object} names - Case variations of the entity name
+ * @param {Object} [options] - Seeder options
+ * @param {number} [options.count] - Number of records (default 10)
+ * @returns {Object} `seedParentQueries`, `seedRecords` and `seedIds`
+ */
+function seederTemplateVariables(fields, names, options = {}) {
+  const count = Number(options.count) || 10;
+  const parents = fields.filter(field => field.references);
+  const ids = Array.from({ length: count }, (_, index) =>
+    seedUuid(`${names.entityTableName}:${index}`)
+  );
+
+  const seedParentQueries = parents
+    .map(({ references: { table } }) => {
+      return `    const ${table} = await queryInterface.sequelize.query(\`
+      SELECT
+          id
+      FROM
+          ${table}
+      WHERE
+          deletedAt IS NULL
+    \`, { type: Sequelize.QueryTypes.SELECT });
+
+    if (${table}.length === 0) {
+      throw new Error('Seed ${table} before ${names.entityTableName}');
+    }
+
+`;
+    })
+    .join('');
+
+  const seedRecords = ids
+    .map((id, index) => {
+      const values = [
+        `id: '${id}'`,
+        ...fields.map(field =>
+          field.references
+            ? `${field.name}: ${field.references.table}[${index} % ${field.references.table}.length].id`
+            : `${field.name}: ${seedLiteral(fakeValue(field, index, names))}`
+        ),
+        'createdAt: now',
+        'updatedAt: now',
+      ];
+      return `      {\n        ${values.join(',\n        ')}\n      }`;
+    })
+    .join(',\n');
+
+  return {
+    seedParentQueries,
+    seedRecords,
+    seedIds: ids.map(id => `        '${id}'`).join(',\n'),
+  };
+}
+
+module.exports = {
+  fakeValue,
+  seederTemplateVariables,
+};
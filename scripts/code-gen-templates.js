@@ -0,0 +1,364 @@
+/**
+ * Template Packs for the Code Generator
+ *
+ * A template pack is a directory with a `template-pack.json` (or `.yaml`)
+ * manifest listing templates by generator type, the file holding each one,
+ * where its output goes and the variables it needs. Packs are discovered,
+ * highest precedence first, in:
+ *
+ * 1. `.rest-spec/templates/` in the project
+ * 2. `.rest-spec/templates/` in the user's home directory
+ * 3. npm packages named `rest-spec-templates-*` (or `@scope/rest-spec-templates-*`)
+ *
+ * A pack template replaces the built-in template of the same type, name and
+ * language (`js` unless its `lang` says `ts`), and can add new generator types.
+ *
+ * @author REST-SPEC
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { loadEntityFile } = require('./code-gen-fields');
+
+const manifestNames = ['template-pack.json', 'template-pack.yaml', 'template-pack.yml'];
+const packagePrefix = 'rest-spec-templates-';
+const builtInPack = 'built-in';
+const languages = ['js', 'ts'];
+
+const sortByName = (a, b) => a.name.localeCompare(b.name);
+
+/**
+ * Manifest file in a directory, or null
+ */
+async function findManifest(dir) {
+  for (const name of manifestNames) {
+    const manifestPath = path.join(dir, name);
+    try {
+      await fs.access(manifestPath);
+      return manifestPath;
+    } catch {
+      // Try the next name
+    }
+  }
+  return null;
+}
+
+/**
+ * Normalize variable declarations; a plain value is shorthand for its default
+ */
+function normalizeVariables(variables = {}, where) {
+  if (typeof variables !== 'object' || Array.isArray(variables)) {
+    throw new Error(`${where}: "variables" must be an object`);
+  }
+  return Object.fromEntries(
+    Object.entries(variables).map(([name, declaration]) => [
+      name,
+      declaration !== null && typeof declaration === 'object'
+        ? {
+            description: declaration.description || '',
+            default: declaration.default,
+            required: Boolean(declaration.required),
+          }
+        : { description: '', default: declaration, required: false },
+    ])
+  );
+}
+
+/**
+ * Read and validate a pack manifest
+ * @param {string} manifestPath - Path to `template-pack.json` or `.yaml`
+ * @param {string} source - Where the pack was found (`project`, `home` or `npm`)
+ * @param {string} [fallbackName] - Pack name when the manifest has none
+ * @returns {Promise<Object>} Pack with `name`, `source`, `dir`, `variables` and `templates`
+ */
+async function loadTemplatePack(manifestPath, source, fallbackName) {
+  const dir = path.dirname(manifestPath);
+  const manifest = (await loadEntityFile(manifestPath)) || {};
+  const where = `Invalid template pack ${manifestPath}`;
+
+  if (!manifest.templates || typeof manifest.templates !== 'object') {
+    throw new Error(`${where}: "templates" must map generator types to templates`);
+  }
+
+  const templates = {};
+  for (const [type, byName] of Object.entries(manifest.templates)) {
+    templates[type] = {};
+    for (const [name, template] of Object.entries(byName || {})) {
+      if (!template || typeof template.file !== 'string') {
+        throw new Error(`${where}: template ${type}/${name} needs a "file"`);
+      }
+      if (template.lang !== undefined && !languages.includes(template.lang)) {
+        throw new Error(`${where}: template ${type}/${name} has unknown "lang" ${template.lang}`);
+      }
+      templates[type][name] = {
+        file: path.resolve(dir, template.file),
+        lang: template.lang || 'js',
+        output: template.output,
+        description: template.description || '',
+        default: Boolean(template.default),
+        crud: Boolean(template.crud),
+        variables: normalizeVariables(template.variables, `${where} (${type}/${name})`),
+      };
+    }
+  }
+
+  return {
+    name: manifest.name || fallbackName || path.basename(dir),
+    description: manifest.description || '',
+    source,
+    dir,
+    variables: normalizeVariables(manifest.variables, where),
+    templates,
+  };
+}
+
+/**
+ * Packs in a templates directory: the directory itself when it has a
+ * manifest, otherwise each subdirectory that has one
+ */
+async function findDirectoryPacks(dir, source) {
+  const manifest = await findManifest(dir);
+  if (manifest) {
+    return [await loadTemplatePack(manifest, source)];
+  }
+
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  const packs = [];
+  for (const entry of entries.filter(item => item.isDirectory()).sort(sortByName)) {
+    const packManifest = await findManifest(path.join(dir, entry.name));
+    if (packManifest) {
+      packs.push(await loadTemplatePack(packManifest, source, entry.name));
+    }
+  }
+  return packs;
+}
+
+/**
+ * Packs installed as `rest-spec-templates-*` npm packages
+ */
+async function findPackagePacks(nodeModules) {
+  const entries = await fs.readdir(nodeModules, { withFileTypes: true }).catch(() => []);
+  const packageDirs = [];
+
+  for (const entry of entries.sort(sortByName)) {
+    if (entry.name.startsWith('@')) {
+      const scoped = await fs
+        .readdir(path.join(nodeModules, entry.name), { withFileTypes: true })
+        .catch(() => []);
+      scoped
+        .filter(item => item.name.startsWith(packagePrefix))
+        .sort(sortByName)
+        .forEach(item => packageDirs.push(`${entry.name}/${item.name}`));
+    } else if (entry.name.startsWith(packagePrefix)) {
+      packageDirs.push(entry.name);
+    }
+  }
+
+  const packs = [];
+  for (const packageName of packageDirs) {
+    const manifest = await findManifest(path.join(nodeModules, packageName));
+    if (manifest) {
+      packs.push(await loadTemplatePack(manifest, 'npm', packageName));
+    }
+  }
+  return packs;
+}
+
+/**
+ * Discover template packs, highest precedence first
+ * @param {Object} options - Discovery options
+ * @param {string} options.projectDir - Project root
+ * @param {string} options.homeDir - User's home directory
+ * @returns {Promise<Object[]>} Packs from the project, home directory and npm
+ */
+async function discoverTemplatePacks({ projectDir, homeDir }) {
+  return [
+    ...(await findDirectoryPacks(path.join(projectDir, '.rest-spec', 'templates'), 'project')),
+    ...(await findDirectoryPacks(path.join(homeDir, '.rest-spec', 'templates'), 'home')),
+    ...(await findPackagePacks(path.join(projectDir, 'node_modules'))),
+  ];
+}
+
+/**
+ * Create a registry of built-in and pack templates
+ * @param {Object} builtIn - `{ lang: { type: { name: content } } }` built-in templates
+ * @param {Object} defaults - `{ type: name }` template used when none is given
+ * @param {Object[]} [packs] - Discovered packs, highest precedence first
+ * @returns {Object} Registry with `resolve(type, name, options)`, `list()` and `crudTemplates()`
+ */
+function createTemplateRegistry(builtIn, defaults, packs = []) {
+  const entries = [];
+  for (const pack of packs) {
+    for (const [type, byName] of Object.entries(pack.templates)) {
+      for (const [name, template] of Object.entries(byName)) {
+        entries.push({
+          ...template,
+          type,
+          name,
+          pack: pack.name,
+          source: pack.source,
+          variables: { ...pack.variables, ...template.variables },
+        });
+      }
+    }
+  }
+  for (const [lang, byType] of Object.entries(builtIn)) {
+    for (const [type, byName] of Object.entries(byType)) {
+      for (const [name, content] of Object.entries(byName)) {
+        entries.push({
+          type,
+          name,
+          lang,
+          pack: builtInPack,
+          source: builtInPack,
+          content,
+          default: defaults[type] === name,
+          crud: false,
+          variables: {},
+        });
+      }
+    }
+  }
+
+  // Built-in types first, in their usual order
+  const builtInTypes = Object.values(builtIn).flatMap(Object.keys);
+  const types = [...new Set([...builtInTypes, ...entries.map(entry => entry.type)])];
+
+  const find = (type, name, pack, lang) => {
+    const matches = entries.filter(
+      entry => entry.type === type && entry.name === name && entry.lang === lang
+    );
+    return (pack && matches.find(entry => entry.pack === pack)) || matches[0];
+  };
+
+  return {
+    types,
+
+    /**
+     * Template for a generator type, with its content loaded
+     * @param {string} type - Generator type
+     * @param {string} [name] - Template name; the type's default when missing or unknown
+     * @param {Object} [options] - Lookup options
+     * @param {string} [options.pack] - Prefer this pack's templates
+     * @param {string} [options.lang] - `js` (default) or `ts`; types and
+     *   templates without one in the language, such as migrations, use JavaScript
+     * @returns {Promise<Object>} Template with `content`, `output`, `lang`, `variables` and `pack`
+     */
+    async resolve(type, name, options = {}) {
+      const requested = options.lang || 'js';
+      if (!languages.includes(requested)) {
+        throw new Error(`Unknown language: ${requested} (use ${languages.join(' or ')})`);
+      }
+      if (!types.includes(type)) {
+        throw new Error(`Unknown generator type: ${type}`);
+      }
+      if (options.pack && !packs.some(pack => pack.name === options.pack)) {
+        throw new Error(`Unknown template pack: ${options.pack}`);
+      }
+
+      const candidates = entries.filter(entry => entry.type === type);
+      // Types and templates only JavaScript has, such as migrations and the
+      // Prisma schema, are used in JavaScript
+      const onlyJs =
+        name && !find(type, name, undefined, requested) && find(type, name, undefined, 'js');
+      const lang = !onlyJs && candidates.some(entry => entry.lang === requested) ? requested : 'js';
+
+      // Types only a pack provides fall back to their first template
+      const defaultEntry =
+        candidates.find(entry => entry.default && entry.lang === lang) ||
+        (!builtInTypes.includes(type) && candidates.find(entry => entry.lang === lang));
+      const entry =
+        (name && find(type, name, options.pack, lang)) ||
+        (defaultEntry && find(type, defaultEntry.name, options.pack, lang));
+      if (!entry) {
+        throw new Error(`Unknown ${type} template: ${name}`);
+      }
+
+      if (entry.content !== undefined) {
+        return entry;
+      }
+      try {
+        return { ...entry, content: await fs.readFile(entry.file, 'utf8') };
+      } catch (error) {
+        throw new Error(
+          `Template ${type}/${entry.name} in pack "${entry.pack}" could not be read: ${error.message}`
+        );
+      }
+    },
+
+    /**
+     * Every template, highest precedence first, with `overridden` set on
+     * templates hidden by a pack with higher precedence
+     */
+    list() {
+      return entries.map(entry => ({
+        ...entry,
+        overridden: find(entry.type, entry.name, undefined, entry.lang) !== entry,
+      }));
+    },
+
+    /**
+     * Pack templates marked to be generated with every CRUD
+     * @param {string} [pack] - Prefer this pack's templates
+     * @param {string} [lang] - Only templates in this language (default `js`)
+     */
+    crudTemplates(pack, lang = 'js') {
+      return entries.filter(
+        entry =>
+          entry.crud && entry.lang === lang && find(entry.type, entry.name, pack, lang) === entry
+      );
+    },
+  };
+}
+
+/**
+ * Values for a template's declared variables: CLI values over defaults
+ * @param {Object} template - Resolved template
+ * @param {Object} values - Variables given on the command line
+ * @returns {Object} Variables to add to the template context
+ */
+function templateVariables(template, values = {}) {
+  const resolved = {};
+  for (const [name, declaration] of Object.entries(template.variables)) {
+    const value = values[name] ?? declaration.default;
+    if (value === undefined && declaration.required) {
+      throw new Error(
+        `Template ${template.type}/${template.name} in pack "${template.pack}" needs ` +
+          `--var ${name}=<value>${declaration.description ? ` (${declaration.description})` : ''}`
+      );
+    }
+    if (value !== undefined) {
+      resolved[name] = value;
+    }
+  }
+  return { ...resolved, ...values };
+}
+
+/**
+ * Parse repeated `--var key=value` options into an object
+ * @param {string|string[]|Object} [value] - CLI values, or an object already
+ * @returns {Object} Variables by name
+ */
+function parseTemplateVariables(value = {}) {
+  if (!Array.isArray(value) && typeof value === 'object') {
+    return value;
+  }
+  return Object.fromEntries(
+    [].concat(value).map(pair => {
+      const separator = pair.indexOf('=');
+      if (separator < 1) {
+        throw new Error(`Template variables are key=value pairs, got "${pair}"`);
+      }
+      return [pair.slice(0, separator).trim(), pair.slice(separator + 1)];
+    })
+  );
+}
+
+module.exports = {
+  builtInPack,
+  discoverTemplatePacks,
+  loadTemplatePack,
+  createTemplateRegistry,
+  templateVariables,
+  parseTemplateVariables,
+};
@@ -0,0 +1,1647 @@
+/**
+ * TypeScript Output for the Code Generator
+ *
+ * TypeScript versions of the built-in route, controller, model, middleware
+ * and test templates, selected with `--lang ts`, and the type declarations
+ * they need: model attribute and instance interfaces, association mixins,
+ * typed query parameters and request handlers. The repositories they use
+ * are in code-gen-persistence.js. Generated code follows
+ * typescript-standards.md: strict mode, named exports, type-only imports and
+ * ts-jest tests.
+ *
+ * Migrations and seeders have no TypeScript templates because sequelize-cli
+ * runs them as JavaScript.
+ *
+ * @author REST-SPEC
+ */
+
+const { attributeType, stringTypes } = require('./code-gen-fields');
+
+const routeTemplates = {
+  crud: `/**
+ * {{entityName}} Routes
+ *
+ * CRUD operations for {{entityName}} resource
+ * @author {{author}}
+ */
+
+import { Router } from 'express';
+import * as {{entityCamelCase}}Controller from '../controllers/{{entityKebabCase}}Controller';
+import { authenticate } from '../middleware/auth';
+import { create{{entityPascalCase}}Schema, update{{entityPascalCase}}Schema{{bulkSchemaImports}}, validate } from '../schemas/{{entityKebabCase}}';
+{{nestedSchemaImports}}
+const router = Router();
+
+/**
+ * @schema {{entityPascalCase}}List
+ * Paginated list of {{entityPlural}}
+ * @property {{{entityPascalCase}}[]} {{entityPluralCamelCase}} - {{entityName}} records
+ * @property {object} pagination - {{paginationProperty}}
+ */
+
+/**
+ * @route GET /api/{{entityPlural}}
+ * @summary Get all {{entityPlural}}
+ * @description {{listDescription}}
+ * @tag {{entityPascalCase}}
+{{listParams}}{{filterParams}}{{deletedParam}}{{includeParam}} * @response 200 {{{entityPascalCase}}List} - List of {{entityPlural}}
+ * @response 400 - Invalid query parameters
+ * @response 401 - Unauthorized
+ * @security bearerAuth
+ */
+router.get('/',
+  authenticate,
+  {{entityCamelCase}}Controller.getAll
+);
+{{bulkRoutes}}
+/**
+ * @route GET /api/{{entityPlural}}/:id
+ * @summary Get {{entityName}} by ID
+ * @description Retrieves a specific {{entityName}} by ID
+ * @tag {{entityPascalCase}}
+ * @param {string} id - {{entityName}} ID
+{{includeParam}} * @response 200 {{{entityPascalCase}}} - {{entityName}} found
+ * @response 404 - {{entityName}} not found
+ * @response 401 - Unauthorized
+ * @security bearerAuth
+ */
+router.get('/:id',
+  authenticate,
+  {{entityCamelCase}}Controller.getById
+);
+
+/**
+ * @route POST /api/{{entityPlural}}
+ * @summary Create new {{entityName}}
+ * @description Creates a new {{entityName}}
+ * @tag {{entityPascalCase}}
+ * @body {{{entityPascalCase}}Create} - {{entityName}} data
+ * @response 201 {{{entityPascalCase}}} - {{entityName}} created
+ * @response 400 - Validation error
+ * @response 401 - Unauthorized
+ * @security bearerAuth
+ */
+router.post('/',
+  authenticate,
+  validate(create{{entityPascalCase}}Schema),
+  {{entityCamelCase}}Controller.create
+);
+
+/**
+ * @route PUT /api/{{entityPlural}}/:id
+ * @summary Update {{entityName}}
+ * @description Updates an existing {{entityName}}
+ * @tag {{entityPascalCase}}
+ * @param {string} id - {{entityName}} ID
+{{ifMatchHeader}} * @body {{{entityPascalCase}}Update} - Updated {{entityName}} data
+ * @response 200 {{{entityPascalCase}}} - {{entityName}} updated
+ * @response 400 - Validation error
+ * @response 404 - {{entityName}} not found
+{{preconditionResponse}} * @response 401 - Unauthorized
+ * @security bearerAuth
+ */
+router.put('/:id',
+  authenticate,
+  validate(update{{entityPascalCase}}Schema),
+  {{entityCamelCase}}Controller.update
+);
+
+/**
+ * @route DELETE /api/{{entityPlural}}/:id
+ * @summary Delete {{entityName}}
+ * @description Deletes a {{entityName}}
+ * @tag {{entityPascalCase}}
+ * @param {string} id - {{entityName}} ID
+{{ifMatchHeader}} * @response 204 - {{entityName}} deleted
+ * @response 404 - {{entityName}} not found
+{{preconditionResponse}} * @response 401 - Unauthorized
+ * @security bearerAuth
+ */
+router.delete('/:id',
+  authenticate,
+  {{entityCamelCase}}Controller.remove
+);
+{{lifecycleRoutes}}{{nestedRoutes}}
+export default router;
+`,
+
+  auth: `/**
+ * Authentication Routes
+ *
+ * Authentication and authorization endpoints
+ * @author {{author}}
+ */
+
+import { Router } from 'express';
+import * as authController from '../controllers/authController';
+import { authenticate } from '../middleware/auth';
+import { validate } from '../middleware/validate';
+import { loginSchema, registerSchema, resetPasswordSchema } from '../schemas/auth';
+
+const router = Router();
+
+/**
+ * @route POST /api/auth/register
+ * @summary Register new user
+ * @description Creates a new user account
+ * @tag Authentication
+ * @param {string} email - User email
+ * @param {string} password - User password
+ * @param {string} name - User name
+ * @response 201 - User registered successfully
+ * @response 400 - Validation error
+ * @response 409 - Email already exists
+ */
+router.post('/register',
+  validate(registerSchema),
+  authController.register
+);
+
+/**
+ * @route POST /api/auth/login
+ * @summary User login
+ * @description Authenticates user and returns JWT token
+ * @tag Authentication
+ * @param {string} email - User email
+ * @param {string} password - User password
+ * @response 200 - Login successful
+ * @response 400 - Invalid credentials
+ * @response 401 - Authentication failed
+ */
+router.post('/login',
+  validate(loginSchema),
+  authController.login
+);
+
+/**
+ * @route POST /api/auth/logout
+ * @summary User logout
+ * @description Invalidates the current session
+ * @tag Authentication
+ * @response 200 - Logout successful
+ * @response 401 - Unauthorized
+ * @security bearerAuth
+ */
+router.post('/logout',
+  authenticate,
+  authController.logout
+);
+
+/**
+ * @route POST /api/auth/refresh
+ * @summary Refresh token
+ * @description Refreshes JWT token
+ * @tag Authentication
+ * @response 200 - Token refreshed
+ * @response 401 - Invalid refresh token
+ * @security bearerAuth
+ */
+router.post('/refresh',
+  authenticate,
+  authController.refresh
+);
+
+/**
+ * @route POST /api/auth/reset-password
+ * @summary Reset password
+ * @description Sends password reset email
+ * @tag Authentication
+ * @param {string} email - User email
+ * @response 200 - Reset email sent
+ * @response 400 - Invalid email
+ * @response 404 - User not found
+ */
+router.post('/reset-password',
+  validate(resetPasswordSchema),
+  authController.resetPassword
+);
+
+/**
+ * @route GET /api/auth/me
+ * @summary Get current user
+ * @description Returns current user profile
+ * @tag Authentication
+ * @response 200 - User profile
+ * @response 401 - Unauthorized
+ * @security bearerAuth
+ */
+router.get('/me',
+  authenticate,
+  authController.getProfile
+);
+
+export default router;
+`,
+};
+
+const controllerTemplates = {
+  crud: `/**
+ * {{entityName}} Controller
+ *
+ * Controller for {{entityName}} CRUD operations
+ * @author {{author}}
+ */
+
+import type { NextFunction, Request, Response } from 'express';
+import logger from '../utils/logger';
+import { AppError } from '../utils/errors';
+import * as {{entityCamelCase}}Repository from '../repositories/{{entityCamelCase}}Repository';
+import type { Condition, {{entityPascalCase}}CreationAttributes{{bulkTypeImports}} } from '../repositories/{{entityCamelCase}}Repository';
+import type { Create{{entityPascalCase}}Input, Update{{entityPascalCase}}Input } from '../schemas/{{entityKebabCase}}';
+
+/**
+ * Express handler that passes errors to \`next\`
+ */
+type AsyncHandler<T extends Request = Request> = (
+  req: T,
+  res: Response,
+  next: NextFunction
+) => Promise<void>;
+
+/**
+ * Query parameters of the list endpoint, as strings from the URL
+ */
+export interface {{entityPascalCase}}ListQuery {
+{{listQueryFields}}  createdBy?: string;
+}
+
+/**
+ * Get all {{entityPlural}}
+ */
+export const getAll: AsyncHandler = async (req, res, next) => {
+  try {
+{{listHandler}}
+  } catch (error) {
+    logger.error({
+      component: '{{entityKebabCase}}-controller',
+      action: 'getAll',
+      userId: req.user?.id,
+      err: error
+    }, 'Failed to retrieve {{entityPlural}}');
+
+    next(error);
+  }
+};
+
+/**
+ * Get {{entityName}} by ID
+ */
+export const getById: AsyncHandler<Request<{ id: string }>> = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const {{entityCamelCase}} = await {{entityCamelCase}}Repository.findById(id{{getByIdInclude}});
+
+    if (!{{entityCamelCase}}) {
+      throw new AppError('{{entityName}} not found', 404);
+    }
+
+    logger.info({
+      component: '{{entityKebabCase}}-controller',
+      action: 'getById',
+      userId: req.user?.id,
+      {{entityCamelCase}}Id: id
+    }, '{{entityName}} retrieved');
+
+{{etagHeader}}    res.json({ {{entityCamelCase}} });
+  } catch (error) {
+    logger.error({
+      component: '{{entityKebabCase}}-controller',
+      action: 'getById',
+      userId: req.user?.id,
+      {{entityCamelCase}}Id: req.params.id,
+      err: error
+    }, 'Failed to retrieve {{entityName}}');
+
+    next(error);
+  }
+};
+
+/**
+ * Create new {{entityName}}
+ */
+export const create: AsyncHandler = async (req, res, next) => {
+  try {
+    const input: Create{{entityPascalCase}}Input = req.body;
+    const {{entityCamelCase}}Data = {
+      ...input,
+      createdBy: req.user?.id ?? null
+    } as {{entityPascalCase}}CreationAttributes;
+
+    const {{entityCamelCase}} = await {{entityCamelCase}}Repository.create({{entityCamelCase}}Data{{lifecycleCreateOptions}});
+
+    logger.info({
+      component: '{{entityKebabCase}}-controller',
+      action: 'create',
+      userId: req.user?.id,
+      {{entityCamelCase}}Id: {{entityCamelCase}}.id
+    }, '{{entityName}} created');
+
+{{etagHeader}}    res.status(201).json({ {{entityCamelCase}} });
+  } catch (error) {
+    logger.error({
+      component: '{{entityKebabCase}}-controller',
+      action: 'create',
+      userId: req.user?.id,
+      err: error
+    }, 'Failed to create {{entityName}}');
+
+    next(error);
+  }
+};
+
+/**
+ * Update {{entityName}}
+ */
+export const update: AsyncHandler<Request<{ id: string }>> = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const changes: Update{{entityPascalCase}}Input = req.body;
+    const updateData = {
+      ...changes,
+      updatedBy: req.user?.id ?? null
+    };
+
+    const {{entityCamelCase}} = await {{entityCamelCase}}Repository.update(id, updateData{{lifecycleWriteOptions}}){{staleWriteCatch}};
+
+    if (!{{entityCamelCase}}) {
+      throw new AppError('{{entityName}} not found', 404);
+    }
+
+    logger.info({
+      component: '{{entityKebabCase}}-controller',
+      action: 'update',
+      userId: req.user?.id,
+      {{entityCamelCase}}Id: id
+    }, '{{entityName}} updated');
+
+{{etagHeader}}    res.json({ {{entityCamelCase}} });
+  } catch (error) {
+    logger.error({
+      component: '{{entityKebabCase}}-controller',
+      action: 'update',
+      userId: req.user?.id,
+      {{entityCamelCase}}Id: req.params.id,
+      err: error
+    }, 'Failed to update {{entityName}}');
+
+    next(error);
+  }
+};
+
+/**
+ * Delete {{entityName}}
+ */
+export const remove: AsyncHandler<Request<{ id: string }>> = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const deleted = await {{entityCamelCase}}Repository.remove(id{{lifecycleWriteOptions}}){{staleWriteCatch}};
+
+    if (!deleted) {
+      throw new AppError('{{entityName}} not found', 404);
+    }
+
+    logger.info({
+      component: '{{entityKebabCase}}-controller',
+      action: 'delete',
+      userId: req.user?.id,
+      {{entityCamelCase}}Id: id
+    }, '{{entityName}} deleted');
+
+    res.status(204).send();
+  } catch (error) {
+    logger.error({
+      component: '{{entityKebabCase}}-controller',
+      action: 'delete',
+      userId: req.user?.id,
+      {{entityCamelCase}}Id: req.params.id,
+      err: error
+    }, 'Failed to delete {{entityName}}');
+
+    next(error);
+  }
+};
+
+/**
+ * Build the repository conditions for filtering
+ * @param query - Query parameters
+ * @returns Repository conditions
+ */
+const buildWhereClause = (query: {{entityPascalCase}}ListQuery): Condition[] => {
+  const where: Condition[] = [];
+
+  // Add common filters here
+{{whereFilters}}
+
+  if (query.createdBy) {
+    where.push({ field: 'createdBy', operator: 'eq', value: query.createdBy });
+  }
+
+  return where;
+};
+{{listHelpers}}{{lifecycleHelpers}}{{bulkHelpers}}{{includeHelper}}{{nestedHandlers}}{{lifecycleHandlers}}{{bulkHandlers}}`,
+
+  auth: `/**
+ * Authentication Controller
+ *
+ * Handles user authentication and authorization
+ * @author {{author}}
+ */
+
+import bcrypt from 'bcrypt';
+import jwt from 'jsonwebtoken';
+import type { SignOptions } from 'jsonwebtoken';
+import type { NextFunction, Request, Response } from 'express';
+import logger from '../utils/logger';
+import { AppError } from '../utils/errors';
+import { User } from '../models/User';
+import type { UserAttributes, UserInstance } from '../models/User';
+import { sendEmail } from '../utils/email';
+
+type TokenLifetime = NonNullable<SignOptions['expiresIn']>;
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this';
+const JWT_EXPIRES_IN = (process.env.JWT_EXPIRES_IN || '24h') as TokenLifetime;
+const REFRESH_TOKEN_EXPIRES_IN = (process.env.REFRESH_TOKEN_EXPIRES_IN || '7d') as TokenLifetime;
+
+/**
+ * Express handler that passes errors to \`next\`
+ */
+type AsyncHandler<T extends Request = Request> = (
+  req: T,
+  res: Response,
+  next: NextFunction
+) => Promise<void>;
+
+interface RegisterBody {
+  email: string;
+  password: string;
+  name: string;
+}
+
+interface LoginBody {
+  email: string;
+  password: string;
+}
+
+interface ResetPasswordBody {
+  email: string;
+}
+
+interface AuthTokens {
+  accessToken: string;
+  refreshToken: string;
+}
+
+/**
+ * Generate JWT tokens
+ * @param user - Authenticated user
+ * @returns Access and refresh tokens
+ */
+const generateTokens = (user: UserInstance): AuthTokens => {
+  const payload = {
+    id: user.id,
+    email: user.email,
+    role: user.role
+  };
+
+  const accessToken = jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+  const refreshToken = jwt.sign(payload, JWT_SECRET, { expiresIn: REFRESH_TOKEN_EXPIRES_IN });
+
+  return { accessToken, refreshToken };
+};
+
+/**
+ * User fields that are safe to send to the client
+ */
+const publicUser = (user: UserInstance): Omit<UserAttributes, 'password'> => {
+  const { password, ...values } = user.get({ plain: true });
+  return values;
+};
+
+/**
+ * Register new user
+ */
+export const register: AsyncHandler<Request<Record<string, string>, unknown, RegisterBody>> = async (req, res, next) => {
+  try {
+    const { email, password, name } = req.body;
+
+    // Check if user already exists
+    const existingUser = await User.findOne({ where: { email } });
+    if (existingUser) {
+      throw new AppError('Email already registered', 409);
+    }
+
+    // Hash password
+    const saltRounds = 12;
+    const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+    // Create user
+    const user = await User.create({
+      email,
+      password: hashedPassword,
+      name,
+      role: 'user',
+      isActive: true
+    });
+
+    // Generate tokens
+    const { accessToken, refreshToken } = generateTokens(user);
+
+    logger.info({
+      component: 'auth-controller',
+      action: 'register',
+      userId: user.id,
+      email: user.email
+    }, 'User registered successfully');
+
+    res.status(201).json({
+      user: publicUser(user),
+      accessToken,
+      refreshToken
+    });
+  } catch (error) {
+    logger.error({
+      component: 'auth-controller',
+      action: 'register',
+      email: req.body?.email,
+      err: error
+    }, 'User registration failed');
+
+    next(error);
+  }
+};
+
+/**
+ * User login
+ */
+export const login: AsyncHandler<Request<Record<string, string>, unknown, LoginBody>> = async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    // Find user
+    const user = await User.findOne({ where: { email } });
+    if (!user) {
+      throw new AppError('Invalid credentials', 401);
+    }
+
+    // Check if user is active
+    if (!user.isActive) {
+      throw new AppError('Account is disabled', 401);
+    }
+
+    // Verify password
+    const isValidPassword = await bcrypt.compare(password, user.password);
+    if (!isValidPassword) {
+      throw new AppError('Invalid credentials', 401);
+    }
+
+    // Update last login
+    await user.update({ lastLoginAt: new Date() });
+
+    // Generate tokens
+    const { accessToken, refreshToken } = generateTokens(user);
+
+    logger.info({
+      component: 'auth-controller',
+      action: 'login',
+      userId: user.id,
+      email: user.email
+    }, 'User logged in successfully');
+
+    res.json({
+      user: publicUser(user),
+      accessToken,
+      refreshToken
+    });
+  } catch (error) {
+    logger.error({
+      component: 'auth-controller',
+      action: 'login',
+      email: req.body?.email,
+      err: error
+    }, 'User login failed');
+
+    next(error);
+  }
+};
+
+/**
+ * User logout
+ */
+export const logout: AsyncHandler = async (req, res, next) => {
+  try {
+    // In a real application, you might want to blacklist the token
+    // or store it in a database/cache for checking
+
+    logger.info({
+      component: 'auth-controller',
+      action: 'logout',
+      userId: req.user?.id
+    }, 'User logged out');
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    logger.error({
+      component: 'auth-controller',
+      action: 'logout',
+      userId: req.user?.id,
+      err: error
+    }, 'Logout failed');
+
+    next(error);
+  }
+};
+
+/**
+ * Refresh token
+ */
+export const refresh: AsyncHandler = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      throw new AppError('Authentication required', 401);
+    }
+
+    const user = await User.findByPk(req.user.id);
+    if (!user || !user.isActive) {
+      throw new AppError('User not found or inactive', 401);
+    }
+
+    // Generate new tokens
+    const { accessToken, refreshToken } = generateTokens(user);
+
+    logger.info({
+      component: 'auth-controller',
+      action: 'refresh',
+      userId: user.id
+    }, 'Token refreshed');
+
+    res.json({
+      accessToken,
+      refreshToken
+    });
+  } catch (error) {
+    logger.error({
+      component: 'auth-controller',
+      action: 'refresh',
+      userId: req.user?.id,
+      err: error
+    }, 'Token refresh failed');
+
+    next(error);
+  }
+};
+
+/**
+ * Reset password
+ */
+export const resetPassword: AsyncHandler<Request<Record<string, string>, unknown, ResetPasswordBody>> = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ where: { email } });
+    if (!user) {
+      // Don't reveal if email exists or not
+      res.json({ message: 'If the email exists, a reset link has been sent' });
+      return;
+    }
+
+    // Generate reset token
+    const resetToken = jwt.sign(
+      { id: user.id, email: user.email },
+      JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+
+    // Save reset token and expiry
+    await user.update({
+      resetPasswordToken: resetToken,
+      resetPasswordExpires: new Date(Date.now() + 3600000) // 1 hour
+    });
+
+    // Send reset email
+    const resetUrl = \`\${process.env.FRONTEND_URL}/reset-password?token=\${resetToken}\`;
+    await sendEmail({
+      to: user.email,
+      subject: 'Password Reset Request',
+      template: 'password-reset',
+      data: {
+        name: user.name,
+        resetUrl,
+        expiresIn: '1 hour'
+      }
+    });
+
+    logger.info({
+      component: 'auth-controller',
+      action: 'resetPassword',
+      email: user.email
+    }, 'Password reset email sent');
+
+    res.json({ message: 'If the email exists, a reset link has been sent' });
+  } catch (error) {
+    logger.error({
+      component: 'auth-controller',
+      action: 'resetPassword',
+      email: req.body?.email,
+      err: error
+    }, 'Password reset failed');
+
+    next(error);
+  }
+};
+
+/**
+ * Get current user profile
+ */
+export const getProfile: AsyncHandler = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      throw new AppError('Authentication required', 401);
+    }
+
+    const user = await User.findByPk(req.user.id, {
+      attributes: { exclude: ['password', 'resetPasswordToken'] }
+    });
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    res.json({ user });
+  } catch (error) {
+    logger.error({
+      component: 'auth-controller',
+      action: 'getProfile',
+      userId: req.user?.id,
+      err: error
+    }, 'Get profile failed');
+
+    next(error);
+  }
+};
+`,
+};
+
+const modelTemplates = {
+  sequelize: `/**
+ * {{entityName}} Model
+ *
+ * Sequelize model for {{entityName}} entity
+ * @author {{author}}
+ */
+
+import { randomUUID } from 'crypto';
+import { {{modelValueImports}} } from 'sequelize';
+{{modelTypeImports}}import { sequelize } from '../config/database';
+{{modelImports}}{{modelRelatedImports}}
+/**
+ * {{entityName}} columns
+ */
+export interface {{entityPascalCase}}Attributes {
+  id: string;
+{{modelAttributeTypes}}
+  createdBy: string | null;
+  updatedBy: string | null;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+/**
+ * Columns that can be left out when creating a {{entityName}}
+ */
+export type {{entityPascalCase}}CreationAttributes = Optional<
+  {{entityPascalCase}}Attributes,
+  {{modelOptionalAttributes}}
+>;
+
+/**
+ * {{entityName}} instance, with the methods its associations add
+ */
+export interface {{entityPascalCase}}Instance
+  extends Model<{{entityPascalCase}}Attributes, {{entityPascalCase}}CreationAttributes>,
+    {{entityPascalCase}}Attributes {
+{{modelAssociationMembers}}}
+
+export const {{entityPascalCase}} = sequelize.define<{{entityPascalCase}}Instance>('{{entityPascalCase}}', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+{{modelAttributes}}
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  updatedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: '{{entityTableName}}',
+  timestamps: true,
+  paranoid: true, // Soft deletes
+{{modelOptions}}  indexes: [
+{{modelIndexes}}    {
+      fields: ['createdBy']
+    },
+    {
+      fields: ['createdAt']
+    }
+  ],
+  hooks: {
+    beforeCreate: ({{entityCamelCase}}) => {
+      // Add any pre-creation logic here
+      if (!{{entityCamelCase}}.id) {
+        {{entityCamelCase}}.id = randomUUID();
+      }
+    },
+    beforeUpdate: ({{entityCamelCase}}) => {
+      // Add any pre-update logic here
+      {{entityCamelCase}}.updatedAt = new Date();
+    }{{modelHooks}}
+  }
+});
+
+/**
+ * Define associations; call once every model is defined
+ * @param models - Defined models by name
+ */
+export const associate = (models: Record<{{modelAssociatedModels}}, ModelStatic<Model>>): void => {
+  // Define associations here
+  {{entityPascalCase}}.belongsTo(models.User, {
+    foreignKey: 'createdBy',
+    as: 'creator'
+  });
+
+  {{entityPascalCase}}.belongsTo(models.User, {
+    foreignKey: 'updatedBy',
+    as: 'updater'
+  });
+{{modelAssociations}}};
+
+/**
+ * Whether the user created the {{entityName}}
+ */
+export const isOwnedBy = (record: {{entityPascalCase}}Attributes, userId: string): boolean =>
+  record.createdBy === userId;
+
+/**
+ * Whether the user may edit the {{entityName}}: admins and its creator
+ */
+export const canBeEditedBy = (
+  record: {{entityPascalCase}}Attributes,
+  user: { id: string; role: string }
+): boolean => user.role === 'admin' || record.createdBy === user.id;
+
+// Finders
+{{modelFinders}}
+`,
+};
+
+const middlewareTemplates = {
+  validation: `/**
+ * {{entityName}} Validation Middleware
+ *
+ * Input validation schemas for {{entityName}} operations
+ * @author {{author}}
+ */
+
+import Joi from 'joi';
+import type { NextFunction, Request, RequestHandler, Response } from 'express';
+import type { {{entityPascalCase}}CreationAttributes } from '../repositories/{{entityCamelCase}}Repository';
+
+/**
+ * Body accepted when creating {{entityName}}; the server sets the rest
+ */
+export type Create{{entityPascalCase}}Input = Omit<
+  {{entityPascalCase}}CreationAttributes,
+  'id' | 'createdBy' | 'updatedBy' | 'createdAt' | 'updatedAt'
+>;
+
+/**
+ * Body accepted when updating {{entityName}}
+ */
+export type Update{{entityPascalCase}}Input = Partial<Create{{entityPascalCase}}Input>;
+
+/**
+ * Common validation rules
+ */
+const commonRules = {
+  id: Joi.string().uuid().required(),
+{{commonRules}}
+{{listCommonRules}}
+};
+
+/**
+ * Schema for creating {{entityName}}
+ */
+export const create{{entityPascalCase}}Schema = Joi.object<Create{{entityPascalCase}}Input>({
+{{createRules}}
+});
+
+/**
+ * Schema for updating {{entityName}}
+ */
+export const update{{entityPascalCase}}Schema = Joi.object<Update{{entityPascalCase}}Input>({
+{{updateRules}}
+}).min(1); // At least one field must be provided
+{{bulkRules}}{{filterRuleHelper}}
+/**
+ * Schema for {{entityName}} query parameters
+ */
+export const {{entityCamelCase}}QuerySchema = Joi.object({
+{{listQueryRules}}{{queryRules}}{{deletedRule}}{{includeRule}}  createdBy: Joi.string().uuid().optional()
+});
+
+/**
+ * Schema for {{entityName}} ID parameter
+ */
+export const {{entityCamelCase}}IdSchema = Joi.object<{ id: string }>({
+  id: commonRules.id
+});
+
+/**
+ * Part of the request a schema validates
+ */
+type ValidationTarget = 'body' | 'query' | 'params';
+
+/**
+ * Validation middleware factory
+ * @param schema - Joi schema
+ * @param target - Part of the request to validate
+ * @returns Express middleware function
+ */
+export const validate = (schema: Joi.ObjectSchema, target: ValidationTarget = 'body'): RequestHandler => {
+  return (req: Request, res: Response, next: NextFunction): void => {
+    const { error, value } = schema.validate(req[target], {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      res.status(400).json({
+        error: 'Validation failed',
+        details: errorDetails,
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    // Replace req[target] with validated and sanitized data
+    req[target] = value;
+    next();
+  };
+};
+`,
+
+  auth: `/**
+ * Authentication Middleware
+ *
+ * JWT authentication and authorization middleware
+ * @author {{author}}
+ */
+
+import jwt from 'jsonwebtoken';
+import type { JwtPayload, SignOptions } from 'jsonwebtoken';
+import type { NextFunction, Request, RequestHandler, Response } from 'express';
+import logger from '../utils/logger';
+import { AppError } from '../utils/errors';
+import { User } from '../models/User';
+import type { UserInstance } from '../models/User';
+
+declare global {
+  // eslint-disable-next-line @typescript-eslint/no-namespace
+  namespace Express {
+    interface Request {
+      /** User authenticated by the bearer token */
+      user?: UserInstance;
+      /** Bearer token of the request */
+      token?: string;
+    }
+  }
+}
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this';
+const JWT_EXPIRES_IN = (process.env.JWT_EXPIRES_IN || '24h') as NonNullable<SignOptions['expiresIn']>;
+
+/**
+ * Claims in the access tokens this API signs
+ */
+interface TokenPayload extends JwtPayload {
+  id: string;
+  email: string;
+  role: string;
+}
+
+/**
+ * Sign an access token for a user
+ * @param user - User to sign the token for
+ * @returns Signed JWT
+ */
+export const generateToken = (user: UserInstance): string =>
+  jwt.sign({ id: user.id, email: user.email, role: user.role }, JWT_SECRET, {
+    expiresIn: JWT_EXPIRES_IN
+  });
+
+/**
+ * Authenticate JWT token
+ */
+export const authenticate = async (req: Request, _res: Response, next: NextFunction): Promise<void> => {
+  try {
+    // Get token from header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      throw new AppError('Authentication token required', 401);
+    }
+
+    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
+
+    // Verify token
+    const decoded = jwt.verify(token, JWT_SECRET) as TokenPayload;
+
+    // Get user from database
+    const user = await User.findByPk(decoded.id, {
+      attributes: { exclude: ['password'] }
+    });
+
+    if (!user) {
+      throw new AppError('User not found', 401);
+    }
+
+    if (!user.isActive) {
+      throw new AppError('User account is disabled', 401);
+    }
+
+    // Attach user to request
+    req.user = user;
+    req.token = token;
+
+    next();
+  } catch (error) {
+    // TokenExpiredError extends JsonWebTokenError, so it is checked first
+    if (error instanceof jwt.TokenExpiredError) {
+      logger.warn({
+        component: 'auth-middleware',
+        action: 'authenticate',
+        error: 'Token expired'
+      }, 'Authentication failed: Token expired');
+
+      next(new AppError('Authentication token expired', 401));
+      return;
+    }
+
+    if (error instanceof jwt.JsonWebTokenError) {
+      logger.warn({
+        component: 'auth-middleware',
+        action: 'authenticate',
+        error: 'Invalid token'
+      }, 'Authentication failed: Invalid token');
+
+      next(new AppError('Invalid authentication token', 401));
+      return;
+    }
+
+    logger.error({
+      component: 'auth-middleware',
+      action: 'authenticate',
+      err: error
+    }, 'Authentication failed');
+
+    next(error);
+  }
+};
+
+/**
+ * Optional authentication - doesn't fail if no token provided
+ */
+export const optionalAuth = async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      next(); // No token provided, continue without user
+      return;
+    }
+
+    // If token is provided, validate it
+    await authenticate(req, res, next);
+  } catch (error) {
+    // If token is invalid, continue without user but log the attempt
+    logger.warn({
+      component: 'auth-middleware',
+      action: 'optionalAuth',
+      err: error
+    }, 'Optional authentication failed');
+
+    next();
+  }
+};
+
+/**
+ * Authorize user roles
+ * @param roles - Required roles
+ * @returns Express middleware function
+ */
+export const authorize = (...roles: string[]): RequestHandler => {
+  return (req, _res, next) => {
+    if (!req.user) {
+      next(new AppError('Authentication required', 401));
+      return;
+    }
+
+    if (!roles.includes(req.user.role)) {
+      logger.warn({
+        component: 'auth-middleware',
+        action: 'authorize',
+        userId: req.user.id,
+        userRole: req.user.role,
+        requiredRoles: roles
+      }, 'Authorization failed: Insufficient permissions');
+
+      next(new AppError('Insufficient permissions', 403));
+      return;
+    }
+
+    next();
+  };
+};
+
+/**
+ * Check if user owns resource or has admin role
+ * @param resourceIdField - Route parameter containing the resource ID
+ * @param _ownerField - Field containing the owner ID, for model-specific versions
+ * @returns Express middleware function
+ */
+export const authorizeOwnerOrAdmin = (resourceIdField = 'id', _ownerField = 'createdBy'): RequestHandler => {
+  return (req, _res, next) => {
+    if (!req.user) {
+      next(new AppError('Authentication required', 401));
+      return;
+    }
+
+    // Admin can access anything
+    if (req.user.role === 'admin') {
+      next();
+      return;
+    }
+
+    const resourceId = req.params[resourceIdField];
+    if (!resourceId) {
+      next(new AppError('Resource ID required', 400));
+      return;
+    }
+
+    // This is a generic approach - in practice, you'd check against specific models
+    // You might want to create model-specific versions of this middleware
+
+    next();
+  };
+};
+
+/**
+ * Rate limiting middleware
+ * @param maxRequests - Maximum requests per window
+ * @param windowMs - Time window in milliseconds
+ * @returns Express middleware function
+ */
+export const rateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000): RequestHandler => {
+  const requests = new Map<string, number[]>();
+
+  return (req, res, next) => {
+    const identifier = req.user?.id ?? req.ip ?? 'unknown';
+    const now = Date.now();
+    const windowStart = now - windowMs;
+
+    // Clean old entries
+    for (const [key, timestamps] of requests.entries()) {
+      const validTimestamps = timestamps.filter(time => time > windowStart);
+      if (validTimestamps.length === 0) {
+        requests.delete(key);
+      } else {
+        requests.set(key, validTimestamps);
+      }
+    }
+
+    // Check current user's requests
+    const userRequests = requests.get(identifier) || [];
+    const validRequests = userRequests.filter(time => time > windowStart);
+
+    if (validRequests.length >= maxRequests) {
+      logger.warn({
+        component: 'auth-middleware',
+        action: 'rateLimit',
+        identifier,
+        requestCount: validRequests.length,
+        maxRequests
+      }, 'Rate limit exceeded');
+
+      res.status(429).json({
+        error: 'Too many requests',
+        message: \`Rate limit exceeded. Maximum \${maxRequests} requests per \${Math.floor(windowMs / 1000)} seconds.\`,
+        retryAfter: Math.ceil((validRequests[0] + windowMs - now) / 1000),
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    // Add current request
+    validRequests.push(now);
+    requests.set(identifier, validRequests);
+
+    // Add rate limit headers
+    res.set({
+      'X-RateLimit-Limit': String(maxRequests),
+      'X-RateLimit-Remaining': String(Math.max(0, maxRequests - validRequests.length)),
+      'X-RateLimit-Reset': new Date(windowStart + windowMs).toISOString()
+    });
+
+    next();
+  };
+};
+`,
+};
+
+const testTemplates = {
+  controller: `/**
+ * {{entityName}} Controller Tests
+ *
+ * Unit tests for {{entityName}} controller
+ * @author {{author}}
+ */
+
+import request from 'supertest';
+import app from '../src/app';
+import { User } from '../src/models';
+import type { UserInstance } from '../src/models/User';
+import * as {{entityCamelCase}}Repository from '../src/repositories/{{entityCamelCase}}Repository';
+{{testRepositories}}import { generateToken } from '../src/middleware/auth';
+
+describe('{{entityName}} Controller', () => {
+  let authToken: string;
+  let testUser: UserInstance;
+  let test{{entityPascalCase}}: {{entityCamelCase}}Repository.{{entityPascalCase}}Record;
+{{testRelationDeclarations}}
+  beforeAll(async () => {
+    // Create test user
+    testUser = await User.create({
+      email: 'test@example.com',
+      password: 'hashedpassword',
+      name: 'Test User',
+      role: 'user'
+    });
+
+    authToken = generateToken(testUser);
+{{testRelationSetup}}  });
+
+  beforeEach(async () => {
+    // Create test {{entityName}}
+    test{{entityPascalCase}} = await {{entityCamelCase}}Repository.create({
+{{testRecordFields}},
+      createdBy: testUser.id
+    });
+  });
+
+  afterEach(async () => {
+    // Clean up test data
+    const records = await {{entityCamelCase}}Repository.findAll({ deleted: 'include' });
+    await Promise.all(records.map(({ id }) => {{entityCamelCase}}Repository.remove(id, { force: true })));
+  });
+
+  afterAll(async () => {
+{{testRelationCleanup}}    // Clean up test user
+    await User.destroy({ where: { id: testUser.id }, force: true });
+  });
+
+  describe('GET /api/{{entityPlural}}', () => {
+    test('should return list of {{entityPlural}}', async () => {
+      const response = await request(app)
+        .get('/api/{{entityPlural}}')
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('{{entityPluralCamelCase}}');
+      expect(response.body).toHaveProperty('pagination');
+      expect(Array.isArray(response.body.{{entityPluralCamelCase}})).toBe(true);
+      expect(response.body.{{entityPluralCamelCase}}).toHaveLength(1);
+      expect(response.body.{{entityPluralCamelCase}}[0]).toMatchObject({
+        id: test{{entityPascalCase}}.id,
+{{testMatchFields}}
+      });
+    });
+
+    test('should require authentication', async () => {
+      await request(app)
+        .get('/api/{{entityPlural}}')
+        .expect(401);
+    });
+
+    test('should support pagination', async () => {
+      // Create additional test items
+      const records: {{entityCamelCase}}Repository.{{entityPascalCase}}CreationAttributes[] = [
+{{testBulkRecords}}
+      ];
+      await Promise.all(records.map(data => {{entityCamelCase}}Repository.create(data)));
+
+{{testPagination}}
+    });
+
+    test('should support sorting', async () => {
+      await {{entityCamelCase}}Repository.create({
+{{testSortRecord}},
+        createdBy: testUser.id
+      });
+
+      const response = await request(app)
+        .get('/api/{{entityPlural}}?{{testSortQuery}}')
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .expect(200);
+
+      {{testSortAssertion}}
+    });
+{{testQueryTests}}  });
+
+  describe('GET /api/{{entityPlural}}/:id', () => {
+    test('should return specific {{entityName}}', async () => {
+      const response = await request(app)
+        .get(\`/api/{{entityPlural}}/\${test{{entityPascalCase}}.id}\`)
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .expect(200);
+
+      expect(response.body.{{entityCamelCase}}).toMatchObject({
+        id: test{{entityPascalCase}}.id,
+{{testMatchFields}}
+      });
+    });
+
+    test('should return 404 for non-existent {{entityName}}', async () => {
+      const nonExistentId = '550e8400-e29b-41d4-a716-446655440000';
+
+      await request(app)
+        .get(\`/api/{{entityPlural}}/\${nonExistentId}\`)
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .expect(404);
+    });
+
+    test('should require authentication', async () => {
+      await request(app)
+        .get(\`/api/{{entityPlural}}/\${test{{entityPascalCase}}.id}\`)
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/{{entityPlural}}', () => {
+    test('should create new {{entityName}}', async () => {
+      const {{entityCamelCase}}Data = {
+{{testCreateData}}
+      };
+
+      const response = await request(app)
+        .post('/api/{{entityPlural}}')
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .send({{entityCamelCase}}Data)
+        .expect(201);
+
+      expect(response.body.{{entityCamelCase}}).toMatchObject({{entityCamelCase}}Data);
+      expect(response.body.{{entityCamelCase}}).toHaveProperty('id');
+      expect(response.body.{{entityCamelCase}}.createdBy).toBe(testUser.id);
+
+      // Verify it was saved to database
+      const saved{{entityPascalCase}} = await {{entityCamelCase}}Repository.findById(response.body.{{entityCamelCase}}.id);
+      expect(saved{{entityPascalCase}}).toBeTruthy();
+    });
+
+    test('should validate required fields', async () => {
+      const response = await request(app)
+        .post('/api/{{entityPlural}}')
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .send({{testInvalidCreate}})
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error');
+      expect(response.body.error).toBe('Validation failed');
+    });
+
+    test('should require authentication', async () => {
+      await request(app)
+        .post('/api/{{entityPlural}}')
+        .send({})
+        .expect(401);
+    });
+  });
+
+  describe('PUT /api/{{entityPlural}}/:id', () => {
+    test('should update existing {{entityName}}', async () => {
+      const updateData = {
+{{testUpdateData}}
+      };
+
+      const response = await request(app)
+        .put(\`/api/{{entityPlural}}/\${test{{entityPascalCase}}.id}\`)
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .send(updateData)
+        .expect(200);
+
+      expect(response.body.{{entityCamelCase}}).toMatchObject(updateData);
+
+      // Verify it was updated in database
+      test{{entityPascalCase}} = (await {{entityCamelCase}}Repository.findById(
+        test{{entityPascalCase}}.id
+      )) as {{entityCamelCase}}Repository.{{entityPascalCase}}Record;
+      {{testUpdateCheck}}
+    });
+
+    test('should return 404 for non-existent {{entityName}}', async () => {
+      const nonExistentId = '550e8400-e29b-41d4-a716-446655440000';
+
+      await request(app)
+        .put(\`/api/{{entityPlural}}/\${nonExistentId}\`)
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .send({{testUpdateBody}})
+        .expect(404);
+    });
+
+    test('should validate update data', async () => {
+      const response = await request(app)
+        .put(\`/api/{{entityPlural}}/\${test{{entityPascalCase}}.id}\`)
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .send({{testInvalidUpdate}})
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error');
+    });
+  });
+
+  describe('DELETE /api/{{entityPlural}}/:id', () => {
+    test('should delete existing {{entityName}}', async () => {
+      await request(app)
+        .delete(\`/api/{{entityPlural}}/\${test{{entityPascalCase}}.id}\`)
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .expect(204);
+
+      // Verify it was deleted from database
+      const deleted{{entityPascalCase}} = await {{entityCamelCase}}Repository.findById(test{{entityPascalCase}}.id);
+      expect(deleted{{entityPascalCase}}).toBeNull();
+    });
+
+    test('should return 404 for non-existent {{entityName}}', async () => {
+      const nonExistentId = '550e8400-e29b-41d4-a716-446655440000';
+
+      await request(app)
+        .delete(\`/api/{{entityPlural}}/\${nonExistentId}\`)
+        .set('Authorization', \`Bearer \${authToken}\`)
+        .expect(404);
+    });
+
+    test('should require authentication', async () => {
+      await request(app)
+        .delete(\`/api/{{entityPlural}}/\${test{{entityPascalCase}}.id}\`)
+        .expect(401);
+    });
+  });
+{{testLifecycleSuites}}{{testBulkSuites}}{{testRelationSuite}}});
+`,
+};
+
+/**
+ * Built-in TypeScript templates, by generator type and name
+ */
+const typescriptTemplates = {
+  route: routeTemplates,
+  controller: controllerTemplates,
+  model: modelTemplates,
+  middleware: middlewareTemplates,
+  test: testTemplates,
+};
+
+const quote = value => `'${value}'`;
+
+/**
+ * Association methods and properties a relation adds to model instances
+ */
+function associationMembers(relation) {
+  const { alias, aliasPascal, singularPascal, foreignKey } = relation;
+  const target = `${relation.target.entityPascalCase}Instance`;
+
+  const members = {
+    belongsTo: [
+      [`get${aliasPascal}`, `BelongsToGetAssociationMixin<${target}>`],
+      [`set${aliasPascal}`, `BelongsToSetAssociationMixin<${target}, string>`],
+      [`${alias}?`, target],
+    ],
+    hasMany: [
+      [`get${aliasPascal}`, `HasManyGetAssociationsMixin<${target}>`],
+      [`count${aliasPascal}`, 'HasManyCountAssociationsMixin'],
+      [`create${singularPascal}`, `HasManyCreateAssociationMixin<${target}, '${foreignKey}'>`],
+      [`add${singularPascal}`, `HasManyAddAssociationMixin<${target}, string>`],
+      [`remove${singularPascal}`, `HasManyRemoveAssociationMixin<${target}, string>`],
+      [`${alias}?`, `${target}[]`],
+    ],
+    belongsToMany: [
+      [`get${aliasPascal}`, `BelongsToManyGetAssociationsMixin<${target}>`],
+      [`count${aliasPascal}`, 'BelongsToManyCountAssociationsMixin'],
+      [`set${aliasPascal}`, `BelongsToManySetAssociationsMixin<${target}, string>`],
+      [`add${singularPascal}`, `BelongsToManyAddAssociationMixin<${target}, string>`],
+      [`remove${singularPascal}`, `BelongsToManyRemoveAssociationMixin<${target}, string>`],
+      [`${alias}?`, `${target}[]`],
+    ],
+  }[relation.type];
+
+  return members.map(([name, type]) => ({ name, type }));
+}
+
+/**
+ * Render `import type` lines, one per module, from `{ module: Set<name> }`;
+ * imports longer than a line are wrapped one name per line
+ */
+function renderTypeImports(imports) {
+  return Object.entries(imports)
+    .map(([module, names]) => {
+      const sorted = [...names].sort();
+      const line = `import type { ${sorted.join(', ')} } from '${module}';\n`;
+      return line.length <= 100
+        ? line
+        : `import type {\n${sorted.map(name => `  ${name},\n`).join('')}} from '${module}';\n`;
+    })
+    .join('');
+}
+
+/**
+ * Build the template variables only the TypeScript templates use
+ * @param {Object[]} fields - Normalized fields, foreign keys included
+ * @param {Object[]} relations - Described relations
+ * @param {Object} names - Case variations of the entity name
+ * @returns {Object} Template variables
+ */
+function typescriptTemplateVariables(fields, relations, names) {
+  const pascal = names.entityPascalCase;
+  const searchable = fields.some(field => stringTypes.includes(field.type));
+  const members = relations.flatMap(associationMembers);
+  const related = [...new Set(relations.map(relation => relation.target.entityPascalCase))];
+
+  // Model: Sequelize types plus the instance types of related models
+  const mixins = members
+    .map(member => member.type.split('<')[0])
+    .filter(type => /Mixin$/.test(type));
+  const modelTypes = new Set(['Model', 'ModelStatic', 'Optional', ...mixins]);
+  const modelImports = {};
+  related
+    .filter(target => target !== pascal)
+    .forEach(target => {
+      modelImports[`./${target}`] = new Set([`${target}Instance`]);
+    });
+  const optional = [
+    'id',
+    ...fields
+      .filter(field => !field.required || field.default !== undefined)
+      .map(field => field.name),
+    'createdBy',
+    'updatedBy',
+    'createdAt',
+    'updatedAt',
+  ];
+
+  return {
+    modelValueImports: searchable ? 'DataTypes, Op' : 'DataTypes',
+    modelTypeImports: renderTypeImports({ sequelize: modelTypes }),
+    modelRelatedImports: renderTypeImports(modelImports),
+    modelAttributeTypes: fields
+      .map(field => `  ${field.name}: ${attributeType(field)};`)
+      .join('\n'),
+    modelOptionalAttributes: optional.map(quote).join(' | '),
+    modelAssociationMembers: members.map(member => `  ${member.name}: ${member.type};\n`).join(''),
+    modelAssociatedModels: [...new Set(['User', ...related])].map(quote).join(' | '),
+  };
+}
+
+module.exports = {
+  typescriptTemplates,
+  typescriptTemplateVariables,
+};
@@ -10,8 +10,82 @@
  */
 
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
 const { program } = require('commander');
+const { resolveFields, fieldTemplateVariables } = require('./code-gen-fields');
+const {
+  resolveRelations,
+  describeRelations,
+  relationFields,
+  relationTemplateVariables,
+  relationMigrations,
+} = require('./code-gen-relations');
+const {
+  createMigrationNamer,
+  findMigration,
+  tableSchemaFromModel,
+  joinTableSchema,
+  renderCreateTable,
+  renderAlterTable,
+  renderForeignKey,
+  diffSchemas,
+  renderQueries,
+  renderSchemaSnapshot,
+  readLatestSchema,
+} = require('./code-gen-migrations');
+const { seederTemplateVariables } = require('./code-gen-seeders');
+const { pristineDirectory, writeGeneratedFile, createWriteJournal } = require('./code-gen-merge');
+const {
+  builtInPack,
+  discoverTemplatePacks,
+  createTemplateRegistry,
+  templateVariables,
+  parseTemplateVariables,
+} = require('./code-gen-templates');
+const { typescriptTemplates, typescriptTemplateVariables } = require('./code-gen-typescript');
+const {
+  persistenceTargets,
+  persistenceTemplates,
+  typescriptPersistenceTemplates,
+  targetModels,
+  targetAuditModels,
+  persistenceTemplateVariables,
+} = require('./code-gen-persistence');
+const {
+  openapiTemplates,
+  loadOpenAPIDocument,
+  openapiGroups,
+  openapiTemplateVariables,
+} = require('./code-gen-openapi');
+const {
+  databaseTemplates,
+  connectToDatabase,
+  readDatabaseSchema,
+  databaseModels,
+  databaseTemplateVariables,
+} = require('./code-gen-database');
+const {
+  registerRoute,
+  unregisterRoute,
+  registerModel,
+  unregisterModel,
+  editIndexFile,
+} = require('./code-gen-registration');
+const {
+  crudEndpoints,
+  parseEndpoints,
+  loadDomainFile,
+  pruneEndpoints,
+} = require('./code-gen-domain');
+const { graphqlTemplates, graphqlTemplateVariables } = require('./code-gen-graphql');
+const { queryTemplateVariables } = require('./code-gen-query');
+const {
+  lifecycleTemplates,
+  typescriptLifecycleTemplates,
+  lifecycleTemplateVariables,
+} = require('./code-gen-lifecycle');
+const { bulkTemplateVariables } = require('./code-gen-bulk');
 
 // Simple color functions for output
 const color = {
@@ -57,7 +131,7 @@ const createSpinner = text => {
  */
 function renderTemplate(template, variables) {
   return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-    return variables[key] || match;
+    return variables[key] ?? match;
   });
 }
 
@@ -65,7 +139,8 @@ function renderTemplate(template, variables) {
  * Convert string to different cases
  */
 const caseConverter = {
-  camelCase: str => str.replace(/-([a-z])/g, g => g[1].toUpperCase()),
+  camelCase: str =>
+    str.replace(/-([a-z])/g, g => g[1].toUpperCase()).replace(/^[A-Z]/, c => c.toLowerCase()),
   pascalCase: str => caseConverter.camelCase(str).replace(/^[a-z]/, c => c.toUpperCase()),
   kebabCase: str =>
     str
@@ -75,6 +150,7 @@ const caseConverter = {
   snakeCase: str =>
     str
       .replace(/([A-Z])/g, '_$1')
+      .replace(/-/g, '_')
       .toLowerCase()
       .replace(/^_/, ''),
   constantCase: str => caseConverter.snakeCase(str).toUpperCase(),
@@ -97,18 +173,21 @@ const router = express.Router();
 const {{entityCamelCase}}Controller = require('../controllers/{{entityKebabCase}}Controller');
 const { authenticate, authorize } = require('../middleware/auth');
 const { validate } = require('../middleware/validate');
-const { {{entityCamelCase}}Schema, update{{entityPascalCase}}Schema } = require('../schemas/{{entityKebabCase}}');
+const { create{{entityPascalCase}}Schema, update{{entityPascalCase}}Schema{{bulkSchemaImports}} } = require('../schemas/{{entityKebabCase}}');
+{{nestedSchemaImports}}
+/**
+ * @schema {{entityPascalCase}}List
+ * Paginated list of {{entityPlural}}
+ * @property {{{entityPascalCase}}[]} {{entityPluralCamelCase}} - {{entityName}} records
+ * @property {object} pagination - {{paginationProperty}}
+ */
 
 /**
  * @route GET /api/{{entityPlural}}
  * @summary Get all {{entityPlural}}
- * @description Retrieves a paginated list of {{entityPlural}}
+ * @description {{listDescription}}
  * @tag {{entityPascalCase}}
- * @param {number} [page=1] - Page number
- * @param {number} [limit=10] - Items per page
- * @param {string} [sort=createdAt] - Sort field
- * @param {string} [order=desc] - Sort order
- * @response 200 - List of {{entityPlural}}
+{{listParams}}{{filterParams}}{{deletedParam}}{{includeParam}} * @response 200 {{{entityPascalCase}}List} - List of {{entityPlural}}
  * @response 400 - Invalid query parameters
  * @response 401 - Unauthorized
  * @security bearerAuth
@@ -117,14 +196,14 @@ router.get('/',
   authenticate,
   {{entityCamelCase}}Controller.getAll
 );
-
+{{bulkRoutes}}
 /**
  * @route GET /api/{{entityPlural}}/:id
  * @summary Get {{entityName}} by ID
  * @description Retrieves a specific {{entityName}} by ID
  * @tag {{entityPascalCase}}
  * @param {string} id - {{entityName}} ID
- * @response 200 - {{entityName}} found
+{{includeParam}} * @response 200 {{{entityPascalCase}}} - {{entityName}} found
  * @response 404 - {{entityName}} not found
  * @response 401 - Unauthorized
  * @security bearerAuth
@@ -139,15 +218,15 @@ router.get('/:id',
  * @summary Create new {{entityName}}
  * @description Creates a new {{entityName}}
  * @tag {{entityPascalCase}}
- * @param {object} {{entityCamelCase}} - {{entityName}} data
- * @response 201 - {{entityName}} created
+ * @body {{{entityPascalCase}}Create} - {{entityName}} data
+ * @response 201 {{{entityPascalCase}}} - {{entityName}} created
  * @response 400 - Validation error
  * @response 401 - Unauthorized
  * @security bearerAuth
  */
 router.post('/',
   authenticate,
-  validate({{entityCamelCase}}Schema),
+  validate(create{{entityPascalCase}}Schema),
   {{entityCamelCase}}Controller.create
 );
 
@@ -157,11 +236,11 @@ router.post('/',
  * @description Updates an existing {{entityName}}
  * @tag {{entityPascalCase}}
  * @param {string} id - {{entityName}} ID
- * @param {object} {{entityCamelCase}} - Updated {{entityName}} data
- * @response 200 - {{entityName}} updated
+{{ifMatchHeader}} * @body {{{entityPascalCase}}Update} - Updated {{entityName}} data
+ * @response 200 {{{entityPascalCase}}} - {{entityName}} updated
  * @response 400 - Validation error
  * @response 404 - {{entityName}} not found
- * @response 401 - Unauthorized
+{{preconditionResponse}} * @response 401 - Unauthorized
  * @security bearerAuth
  */
 router.put('/:id',
@@ -176,16 +255,16 @@ router.put('/:id',
  * @description Deletes a {{entityName}}
  * @tag {{entityPascalCase}}
  * @param {string} id - {{entityName}} ID
- * @response 204 - {{entityName}} deleted
+{{ifMatchHeader}} * @response 204 - {{entityName}} deleted
  * @response 404 - {{entityName}} not found
- * @response 401 - Unauthorized
+{{preconditionResponse}} * @response 401 - Unauthorized
  * @security bearerAuth
  */
 router.delete('/:id',
   authenticate,
   {{entityCamelCase}}Controller.delete
 );
-
+{{lifecycleRoutes}}{{nestedRoutes}}
 module.exports = router;`,
 
   auth: `/**
@@ -308,7 +387,7 @@ const controllerTemplates = {
 
 const logger = require('../utils/logger');
 const { AppError } = require('../utils/errors');
-const {{entityPascalCase}} = require('../models/{{entityPascalCase}}');
+const {{entityCamelCase}}Repository = require('../repositories/{{entityCamelCase}}Repository');
 
 /**
  * Get all {{entityPlural}}
@@ -318,41 +397,7 @@ const {{entityPascalCase}} = require('../models/{{entityPascalCase}}');
  */
 const getAll = async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, sort = 'createdAt', order = 'desc' } = req.query;
-    
-    const pageNum = parseInt(page, 10);
-    const limitNum = parseInt(limit, 10);
-    const offset = (pageNum - 1) * limitNum;
-
-    const { rows: {{entityPlural}}, count } = await {{entityPascalCase}}.findAndCountAll({
-      limit: limitNum,
-      offset,
-      order: [[sort, order.toUpperCase()]],
-      where: buildWhereClause(req.query)
-    });
-
-    const totalPages = Math.ceil(count / limitNum);
-
-    logger.info({
-      component: '{{entityKebabCase}}-controller',
-      action: 'getAll',
-      userId: req.user?.id,
-      count,
-      page: pageNum,
-      limit: limitNum
-    }, 'Retrieved {{entityPlural}}');
-
-    res.json({
-      {{entityPlural}},
-      pagination: {
-        page: pageNum,
-        limit: limitNum,
-        total: count,
-        pages: totalPages,
-        hasNext: pageNum < totalPages,
-        hasPrev: pageNum > 1
-      }
-    });
+{{listHandler}}
   } catch (error) {
     logger.error({
       component: '{{entityKebabCase}}-controller',
@@ -375,7 +420,7 @@ const getById = async (req, res, next) => {
   try {
     const { id } = req.params;
     
-    const {{entityCamelCase}} = await {{entityPascalCase}}.findByPk(id);
+    const {{entityCamelCase}} = await {{entityCamelCase}}Repository.findById(id{{getByIdInclude}});
     
     if (!{{entityCamelCase}}) {
       throw new AppError('{{entityName}} not found', 404);
@@ -388,7 +433,7 @@ const getById = async (req, res, next) => {
       {{entityCamelCase}}Id: id
     }, '{{entityName}} retrieved');
 
-    res.json({{ "{{entityCamelCase}}" }});
+{{etagHeader}}    res.json({ {{entityCamelCase}} });
   } catch (error) {
     logger.error({
       component: '{{entityKebabCase}}-controller',
@@ -415,7 +460,9 @@ const create = async (req, res, next) => {
       createdBy: req.user.id
     };
     
-    const {{entityCamelCase}} = await {{entityPascalCase}}.create({{entityCamelCase}}Data);
+    const {{entityCamelCase}} = await {{entityCamelCase}}Repository.create({{entityCamelCase}}Data, {
+      userId: req.user.id
+    });
 
     logger.info({
       component: '{{entityKebabCase}}-controller',
@@ -424,7 +471,7 @@ const create = async (req, res, next) => {
       {{entityCamelCase}}Id: {{entityCamelCase}}.id
     }, '{{entityName}} created');
 
-    res.status(201).json({{ "{{entityCamelCase}}" }});
+{{etagHeader}}    res.status(201).json({ {{entityCamelCase}} });
   } catch (error) {
     logger.error({
       component: '{{entityKebabCase}}-controller',
@@ -447,20 +494,18 @@ const update = async (req, res, next) => {
   try {
     const { id } = req.params;
     
-    const {{entityCamelCase}} = await {{entityPascalCase}}.findByPk(id);
-    
-    if (!{{entityCamelCase}}) {
-      throw new AppError('{{entityName}} not found', 404);
-    }
-
     const updateData = {
       ...req.body,
-      updatedBy: req.user.id,
-      updatedAt: new Date()
+      updatedBy: req.user.id
     };
 
-    await {{entityCamelCase}}.update(updateData);
-    await {{entityCamelCase}}.reload();
+    const {{entityCamelCase}} = await {{entityCamelCase}}Repository.update(id, updateData, {
+      userId: req.user.id{{versionOption}}
+    }){{staleWriteCatch}};
+    
+    if (!{{entityCamelCase}}) {
+      throw new AppError('{{entityName}} not found', 404);
+    }
 
     logger.info({
       component: '{{entityKebabCase}}-controller',
@@ -469,7 +514,7 @@ const update = async (req, res, next) => {
       {{entityCamelCase}}Id: id
     }, '{{entityName}} updated');
 
-    res.json({{ "{{entityCamelCase}}" }});
+{{etagHeader}}    res.json({ {{entityCamelCase}} });
   } catch (error) {
     logger.error({
       component: '{{entityKebabCase}}-controller',
@@ -493,14 +538,14 @@ const deleteFn = async (req, res, next) => {
   try {
     const { id } = req.params;
     
-    const {{entityCamelCase}} = await {{entityPascalCase}}.findByPk(id);
+    const deleted = await {{entityCamelCase}}Repository.remove(id, {
+      userId: req.user.id{{versionOption}}
+    }){{staleWriteCatch}};
     
-    if (!{{entityCamelCase}}) {
+    if (!deleted) {
       throw new AppError('{{entityName}} not found', 404);
     }
 
-    await {{entityCamelCase}}.destroy();
-
     logger.info({
       component: '{{entityKebabCase}}-controller',
       action: 'delete',
@@ -523,38 +568,29 @@ const deleteFn = async (req, res, next) => {
 };
 
 /**
- * Build where clause for filtering
+ * Build the repository conditions for filtering
  * @param {Object} query - Query parameters
- * @returns {Object} Sequelize where clause
+ * @returns {Object[]} Repository conditions
  */
 const buildWhereClause = (query) => {
-  const where = {};
+  const where = [];
   
   // Add common filters here
-  if (query.search) {
-    where[Op.or] = [
-      { name: { [Op.iLike]: \`%\${query.search}%\` } },
-      { description: { [Op.iLike]: \`%\${query.search}%\` } }
-    ];
-  }
-  
-  if (query.status) {
-    where.status = query.status;
-  }
+{{whereFilters}}
   
   if (query.createdBy) {
-    where.createdBy = query.createdBy;
+    where.push({ field: 'createdBy', operator: 'eq', value: query.createdBy });
   }
   
   return where;
 };
-
+{{listHelpers}}{{lifecycleHelpers}}{{bulkHelpers}}{{includeHelper}}{{nestedHandlers}}{{lifecycleHandlers}}{{bulkHandlers}}
 module.exports = {
   getAll,
   getById,
   create,
   update,
-  delete: deleteFn
+  delete: deleteFn{{nestedExports}}{{lifecycleExports}}{{bulkExports}}
 };`,
 
   auth: `/**
@@ -893,9 +929,9 @@ const modelTemplates = {
  * @author {{author}}
  */
 
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
 const { sequelize } = require('../config/database');
-
+{{modelImports}}
 const {{entityPascalCase}} = sequelize.define('{{entityPascalCase}}', {
   id: {
     type: DataTypes.UUID,
@@ -903,28 +939,7 @@ const {{entityPascalCase}} = sequelize.define('{{entityPascalCase}}', {
     primaryKey: true,
     allowNull: false
   },
-  name: {
-    type: DataTypes.STRING(255),
-    allowNull: false,
-    validate: {
-      notEmpty: true,
-      len: [1, 255]
-    }
-  },
-  description: {
-    type: DataTypes.TEXT,
-    allowNull: true
-  },
-  status: {
-    type: DataTypes.ENUM('active', 'inactive', 'pending'),
-    defaultValue: 'active',
-    allowNull: false
-  },
-  metadata: {
-    type: DataTypes.JSONB,
-    allowNull: true,
-    defaultValue: {}
-  },
+{{modelAttributes}}
   createdBy: {
     type: DataTypes.UUID,
     allowNull: true,
@@ -952,17 +967,11 @@ const {{entityPascalCase}} = sequelize.define('{{entityPascalCase}}', {
     defaultValue: DataTypes.NOW
   }
 }, {
-  tableName: '{{entitySnakeCase}}',
+  tableName: '{{entityTableName}}',
   timestamps: true,
   paranoid: true, // Soft deletes
-  indexes: [
-    {
-      fields: ['name']
-    },
-    {
-      fields: ['status']
-    },
-    {
+{{modelOptions}}  indexes: [
+{{modelIndexes}}    {
       fields: ['createdBy']
     },
     {
@@ -979,7 +988,7 @@ const {{entityPascalCase}} = sequelize.define('{{entityPascalCase}}', {
     beforeUpdate: ({{entityCamelCase}}, options) => {
       // Add any pre-update logic here
       {{entityCamelCase}}.updatedAt = new Date();
-    }
+    }{{modelHooks}}
   }
 });
 
@@ -995,7 +1004,7 @@ const {{entityPascalCase}} = sequelize.define('{{entityPascalCase}}', {
     foreignKey: 'updatedBy',
     as: 'updater'
   });
-};
+{{modelAssociations}}};
 
 // Instance methods
 {{entityPascalCase}}.prototype.toJSON = function() {
@@ -1016,27 +1025,7 @@ const {{entityPascalCase}} = sequelize.define('{{entityPascalCase}}', {
 };
 
 // Static methods
-{{entityPascalCase}}.findActive = function() {
-  return this.findAll({
-    where: { status: 'active' }
-  });
-};
-
-{{entityPascalCase}}.findByUser = function(userId) {
-  return this.findAll({
-    where: { createdBy: userId }
-  });
-};
-
-{{entityPascalCase}}.searchByName = function(searchTerm) {
-  return this.findAll({
-    where: {
-      name: {
-        [Op.iLike]: \`%\${searchTerm}%\`
-      }
-    }
-  });
-};
+{{modelFinders}}
 
 module.exports = {{entityPascalCase}};`,
 };
@@ -1059,46 +1048,29 @@ const Joi = require('joi');
  */
 const commonRules = {
   id: Joi.string().uuid().required(),
-  name: Joi.string().min(1).max(255).required(),
-  description: Joi.string().max(1000).optional(),
-  status: Joi.string().valid('active', 'inactive', 'pending').optional(),
-  page: Joi.number().integer().min(1).default(1),
-  limit: Joi.number().integer().min(1).max(100).default(10),
-  sort: Joi.string().valid('name', 'createdAt', 'updatedAt', 'status').default('createdAt'),
-  order: Joi.string().valid('asc', 'desc').default('desc')
+{{commonRules}}
+{{listCommonRules}}
 };
 
 /**
  * Schema for creating {{entityName}}
  */
 const create{{entityPascalCase}}Schema = Joi.object({
-  name: commonRules.name,
-  description: commonRules.description,
-  status: commonRules.status.default('active'),
-  metadata: Joi.object().optional()
+{{createRules}}
 });
 
 /**
  * Schema for updating {{entityName}}
  */
 const update{{entityPascalCase}}Schema = Joi.object({
-  name: commonRules.name.optional(),
-  description: commonRules.description,
-  status: commonRules.status,
-  metadata: Joi.object().optional()
+{{updateRules}}
 }).min(1); // At least one field must be provided
-
+{{bulkRules}}{{filterRuleHelper}}
 /**
  * Schema for {{entityName}} query parameters
  */
 const {{entityCamelCase}}QuerySchema = Joi.object({
-  page: commonRules.page,
-  limit: commonRules.limit,
-  sort: commonRules.sort,
-  order: commonRules.order,
-  search: Joi.string().max(255).optional(),
-  status: Joi.string().valid('active', 'inactive', 'pending').optional(),
-  createdBy: Joi.string().uuid().optional()
+{{listQueryRules}}{{queryRules}}{{deletedRule}}{{includeRule}}  createdBy: Joi.string().uuid().optional()
 });
 
 /**
@@ -1143,7 +1115,7 @@ module.exports = {
   update{{entityPascalCase}}Schema,
   {{entityCamelCase}}QuerySchema,
   {{entityCamelCase}}IdSchema,
-  validate
+{{bulkSchemaExports}}  validate
 };`,
 
   auth: `/**
@@ -1404,14 +1376,15 @@ const testTemplates = {
 
 const request = require('supertest');
 const app = require('../src/app');
-const { {{entityPascalCase}} } = require('../src/models');
-const { generateToken } = require('../src/middleware/auth');
+const { User } = require('../src/models');
+const {{entityCamelCase}}Repository = require('../src/repositories/{{entityCamelCase}}Repository');
+{{testRepositories}}const { generateToken } = require('../src/middleware/auth');
 
 describe('{{entityName}} Controller', () => {
   let authToken;
   let testUser;
   let test{{entityPascalCase}};
-
+{{testRelationDeclarations}}
   beforeAll(async () => {
     // Create test user
     testUser = await User.create({
@@ -1422,25 +1395,24 @@ describe('{{entityName}} Controller', () => {
     });
 
     authToken = generateToken(testUser);
-  });
+{{testRelationSetup}}  });
 
   beforeEach(async () => {
     // Create test {{entityName}}
-    test{{entityPascalCase}} = await {{entityPascalCase}}.create({
-      name: 'Test {{entityName}}',
-      description: 'Test description',
-      status: 'active',
+    test{{entityPascalCase}} = await {{entityCamelCase}}Repository.create({
+{{testRecordFields}},
       createdBy: testUser.id
     });
   });
 
   afterEach(async () => {
     // Clean up test data
-    await {{entityPascalCase}}.destroy({ where: {}, force: true });
+    const records = await {{entityCamelCase}}Repository.findAll({ deleted: 'include' });
+    await Promise.all(records.map(({ id }) => {{entityCamelCase}}Repository.remove(id, { force: true })));
   });
 
   afterAll(async () => {
-    // Clean up test user
+{{testRelationCleanup}}    // Clean up test user
     await User.destroy({ where: { id: testUser.id }, force: true });
   });
 
@@ -1451,14 +1423,13 @@ describe('{{entityName}} Controller', () => {
         .set('Authorization', \`Bearer \${authToken}\`)
         .expect(200);
 
-      expect(response.body).toHaveProperty('{{entityPlural}}');
+      expect(response.body).toHaveProperty('{{entityPluralCamelCase}}');
       expect(response.body).toHaveProperty('pagination');
-      expect(Array.isArray(response.body.{{entityPlural}})).toBe(true);
-      expect(response.body.{{entityPlural}}).toHaveLength(1);
-      expect(response.body.{{entityPlural}}[0]).toMatchObject({
+      expect(Array.isArray(response.body.{{entityPluralCamelCase}})).toBe(true);
+      expect(response.body.{{entityPluralCamelCase}}).toHaveLength(1);
+      expect(response.body.{{entityPluralCamelCase}}[0]).toMatchObject({
         id: test{{entityPascalCase}}.id,
-        name: 'Test {{entityName}}',
-        status: 'active'
+{{testMatchFields}}
       });
     });
 
@@ -1470,39 +1441,28 @@ describe('{{entityName}} Controller', () => {
 
     test('should support pagination', async () => {
       // Create additional test items
-      await {{entityPascalCase}}.bulkCreate([
-        { name: '{{entityName}} 2', createdBy: testUser.id },
-        { name: '{{entityName}} 3', createdBy: testUser.id }
-      ]);
+      const records = [
+{{testBulkRecords}}
+      ];
+      await Promise.all(records.map(data => {{entityCamelCase}}Repository.create(data)));
 
-      const response = await request(app)
-        .get('/api/{{entityPlural}}?page=1&limit=2')
-        .set('Authorization', \`Bearer \${authToken}\`)
-        .expect(200);
-
-      expect(response.body.{{entityPlural}}).toHaveLength(2);
-      expect(response.body.pagination).toMatchObject({
-        page: 1,
-        limit: 2,
-        total: 3,
-        pages: 2
-      });
+{{testPagination}}
     });
 
     test('should support sorting', async () => {
-      await {{entityPascalCase}}.create({
-        name: 'Alpha {{entityName}}',
+      await {{entityCamelCase}}Repository.create({
+{{testSortRecord}},
         createdBy: testUser.id
       });
 
       const response = await request(app)
-        .get('/api/{{entityPlural}}?sort=name&order=asc')
+        .get('/api/{{entityPlural}}?{{testSortQuery}}')
         .set('Authorization', \`Bearer \${authToken}\`)
         .expect(200);
 
-      expect(response.body.{{entityPlural}}[0].name).toBe('Alpha {{entityName}}');
+      {{testSortAssertion}}
     });
-  });
+{{testQueryTests}}  });
 
   describe('GET /api/{{entityPlural}}/:id', () => {
     test('should return specific {{entityName}}', async () => {
@@ -1513,9 +1473,7 @@ describe('{{entityName}} Controller', () => {
 
       expect(response.body.{{entityCamelCase}}).toMatchObject({
         id: test{{entityPascalCase}}.id,
-        name: 'Test {{entityName}}',
-        description: 'Test description',
-        status: 'active'
+{{testMatchFields}}
       });
     });
 
@@ -1538,9 +1496,7 @@ describe('{{entityName}} Controller', () => {
   describe('POST /api/{{entityPlural}}', () => {
     test('should create new {{entityName}}', async () => {
       const {{entityCamelCase}}Data = {
-        name: 'New {{entityName}}',
-        description: 'New description',
-        status: 'active'
+{{testCreateData}}
       };
 
       const response = await request(app)
@@ -1554,7 +1510,7 @@ describe('{{entityName}} Controller', () => {
       expect(response.body.{{entityCamelCase}}.createdBy).toBe(testUser.id);
 
       // Verify it was saved to database
-      const saved{{entityPascalCase}} = await {{entityPascalCase}}.findByPk(response.body.{{entityCamelCase}}.id);
+      const saved{{entityPascalCase}} = await {{entityCamelCase}}Repository.findById(response.body.{{entityCamelCase}}.id);
       expect(saved{{entityPascalCase}}).toBeTruthy();
     });
 
@@ -1562,7 +1518,7 @@ describe('{{entityName}} Controller', () => {
       const response = await request(app)
         .post('/api/{{entityPlural}}')
         .set('Authorization', \`Bearer \${authToken}\`)
-        .send({})
+        .send({{testInvalidCreate}})
         .expect(400);
 
       expect(response.body).toHaveProperty('error');
@@ -1572,7 +1528,7 @@ describe('{{entityName}} Controller', () => {
     test('should require authentication', async () => {
       await request(app)
         .post('/api/{{entityPlural}}')
-        .send({ name: 'Test' })
+        .send({})
         .expect(401);
     });
   });
@@ -1580,8 +1536,7 @@ describe('{{entityName}} Controller', () => {
   describe('PUT /api/{{entityPlural}}/:id', () => {
     test('should update existing {{entityName}}', async () => {
       const updateData = {
-        name: 'Updated {{entityName}}',
-        description: 'Updated description'
+{{testUpdateData}}
       };
 
       const response = await request(app)
@@ -1593,8 +1548,8 @@ describe('{{entityName}} Controller', () => {
       expect(response.body.{{entityCamelCase}}).toMatchObject(updateData);
 
       // Verify it was updated in database
-      await test{{entityPascalCase}}.reload();
-      expect(test{{entityPascalCase}}.name).toBe('Updated {{entityName}}');
+      test{{entityPascalCase}} = await {{entityCamelCase}}Repository.findById(test{{entityPascalCase}}.id);
+      {{testUpdateCheck}}
     });
 
     test('should return 404 for non-existent {{entityName}}', async () => {
@@ -1603,7 +1558,7 @@ describe('{{entityName}} Controller', () => {
       await request(app)
         .put(\`/api/{{entityPlural}}/\${nonExistentId}\`)
         .set('Authorization', \`Bearer \${authToken}\`)
-        .send({ name: 'Updated' })
+        .send({{testUpdateBody}})
         .expect(404);
     });
 
@@ -1611,7 +1566,7 @@ describe('{{entityName}} Controller', () => {
       const response = await request(app)
         .put(\`/api/{{entityPlural}}/\${test{{entityPascalCase}}.id}\`)
         .set('Authorization', \`Bearer \${authToken}\`)
-        .send({ name: '' }) // Empty name should fail validation
+        .send({{testInvalidUpdate}})
         .expect(400);
 
       expect(response.body).toHaveProperty('error');
@@ -1626,7 +1581,7 @@ describe('{{entityName}} Controller', () => {
         .expect(204);
 
       // Verify it was deleted from database
-      const deleted{{entityPascalCase}} = await {{entityPascalCase}}.findByPk(test{{entityPascalCase}}.id);
+      const deleted{{entityPascalCase}} = await {{entityCamelCase}}Repository.findById(test{{entityPascalCase}}.id);
       expect(deleted{{entityPascalCase}}).toBeNull();
     });
 
@@ -1645,71 +1600,386 @@ describe('{{entityName}} Controller', () => {
         .expect(401);
     });
   });
-});`,
+{{testLifecycleSuites}}{{testBulkSuites}}{{testRelationSuite}}});`,
+};
+
+/**
+ * Migration Generator Templates
+ */
+const migrationTemplates = {
+  createTable: `/**
+ * Create {{tableName}}
+ *
+ * Table for the {{entityPascalCase}} model
+ * @author {{author}}
+ */
+
+// Table after this migration; \`code-generator diff\` compares the model with it
+const schema = {{schemaSnapshot}};
+
+module.exports = {
+  schema,
+
+  async up({{migrationClient}}) {
+{{upQueries}}
+  },
+
+  async down({{migrationClient}}) {
+{{downQueries}}
+  }
+};`,
+
+  alterTable: `/**
+ * Alter {{tableName}}
+ *
+ * Brings {{tableName}} in line with the {{entityPascalCase}} model
+ * @author {{author}}
+ */
+
+// Table after this migration; \`code-generator diff\` compares the model with it
+const schema = {{schemaSnapshot}};
+
+module.exports = {
+  schema,
+
+  async up({{migrationClient}}) {
+{{upQueries}}
+  },
+
+  async down({{migrationClient}}) {
+{{downQueries}}
+  }
+};`,
+
+  foreignKey: `/**
+ * Add {{foreignKey}} foreign key to {{tableName}}
+ *
+ * Deleting a row in {{references}} also deletes the {{tableName}} rows that reference it
+ * @author {{author}}
+ */
+
+module.exports = {
+  async up({{migrationClient}}) {
+{{upQueries}}
+  },
+
+  async down({{migrationClient}}) {
+{{downQueries}}
+  }
+};`,
+
+  joinTable: `/**
+ * Create {{tableName}}
+ *
+ * Join table for the many-to-many relationship between {{joinedTables}}
+ * @author {{author}}
+ */
+
+// Table after this migration; \`code-generator diff\` compares the model with it
+const schema = {{schemaSnapshot}};
+
+module.exports = {
+  schema,
+
+  async up({{migrationClient}}) {
+{{upQueries}}
+  },
+
+  async down({{migrationClient}}) {
+{{downQueries}}
+  }
+};`,
+};
+
+/**
+ * Seeder Generator Templates
+ */
+const seederTemplates = {
+  sequelize: `/**
+ * Seed {{entityTableName}}
+ *
+ * Sample {{entityName}} records for development and testing
+ * @author {{author}}
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const now = new Date();
+
+{{seedParentQueries}}    await queryInterface.bulkInsert('{{entityTableName}}', [
+{{seedRecords}}
+    ]);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.bulkDelete('{{entityTableName}}', {
+      id: [
+{{seedIds}}
+      ]
+    });
+  }
+};`,
+};
+
+/**
+ * Built-in templates by generator type, and the template each type uses by default
+ */
+const builtInTemplates = {
+  route: { ...routeTemplates, openapi: openapiTemplates.route, database: databaseTemplates.route },
+  controller: {
+    ...controllerTemplates,
+    openapi: openapiTemplates.controller,
+    database: databaseTemplates.controller,
+  },
+  model: {
+    ...modelTemplates,
+    ...persistenceTemplates.model,
+    ...lifecycleTemplates.model,
+    database: databaseTemplates.model,
+  },
+  repository: persistenceTemplates.repository,
+  config: persistenceTemplates.config,
+  middleware: {
+    ...middlewareTemplates,
+    openapi: openapiTemplates.middleware,
+    database: databaseTemplates.middleware,
+  },
+  test: { ...testTemplates, openapi: openapiTemplates.test },
+  migration: migrationTemplates,
+  seeder: seederTemplates,
+  graphql: graphqlTemplates,
+};
+
+const defaultTemplates = {
+  route: 'crud',
+  controller: 'crud',
+  model: 'sequelize',
+  repository: 'sequelize',
+  middleware: 'validation',
+  test: 'controller',
+  seeder: 'sequelize',
+  graphql: 'typeDefs',
 };
 
+/**
+ * Built-in templates combined with the template packs found for a project
+ * (see code-gen-templates.js)
+ * @param {Object} [options] - Generator options
+ * @param {string} [options.outputDir] - Project directory to search for packs
+ * @returns {Promise<Object>} Template registry
+ */
+async function loadTemplateRegistry(options = {}) {
+  const packs = await discoverTemplatePacks({
+    projectDir: options.outputDir || process.cwd(),
+    homeDir: os.homedir(),
+  });
+  return createTemplateRegistry(
+    {
+      js: builtInTemplates,
+      ts: {
+        ...typescriptTemplates,
+        model: { ...typescriptTemplates.model, ...typescriptLifecycleTemplates.model },
+        repository: typescriptPersistenceTemplates.repository,
+      },
+    },
+    defaultTemplates,
+    packs
+  );
+}
+
+/**
+ * Case variations of an entity name used by the templates
+ */
+function entityNames(entityName) {
+  return {
+    entityName,
+    entityCamelCase: caseConverter.camelCase(entityName),
+    entityPascalCase: caseConverter.pascalCase(entityName),
+    entityKebabCase: caseConverter.kebabCase(entityName),
+    entitySnakeCase: caseConverter.snakeCase(entityName),
+    entityTableName: caseConverter.camelCase(
+      caseConverter.pluralize(caseConverter.kebabCase(entityName))
+    ),
+    entityConstantCase: caseConverter.constantCase(entityName),
+    entityPlural: caseConverter.pluralize(caseConverter.kebabCase(entityName)),
+    entityPluralCamelCase: caseConverter.camelCase(
+      caseConverter.pluralize(caseConverter.kebabCase(entityName))
+    ),
+  };
+}
+
+/**
+ * Render a template for an entity without writing it, for `generateCode` and
+ * for sources that are only read, such as the Sequelize model that Knex
+ * migrations are generated from
+ * @param {string} type - Generator type
+ * @param {string} template - Template name
+ * @param {string} entityName - Entity name
+ * @param {Object} [options] - Generator options, as for `generateCode`
+ * @returns {Promise<Object>} The `selected` template, its `variables` and the rendered `content`
+ */
+async function renderCode(type, template, entityName, options = {}) {
+  // Get template content, from a template pack when one provides it
+  const registry = options.templateRegistry || (await loadTemplateRegistry(options));
+  const selected = await registry.resolve(type, template, {
+    pack: options.pack,
+    lang: options.lang,
+  });
+  const { lang } = selected;
+
+  // Generate all case variations
+  const names = entityNames(entityName);
+  const relations = describeRelations(await resolveRelations(options), names, entityNames);
+  const fields = [...(await resolveFields(options.fields)), ...relationFields(relations)];
+  const fieldVariables = fieldTemplateVariables(
+    fields,
+    {
+      entityName,
+      pascal: names.entityPascalCase,
+      // Key of the list in the response body
+      plural: names.entityPluralCamelCase,
+    },
+    { lang, pagination: options.pagination }
+  );
+  const variables = {
+    ...names,
+    ...relationTemplateVariables(relations, names, { lang }),
+    ...fieldVariables,
+    ...queryTemplateVariables(fields, relations, names, { ...options, lang }),
+    ...lifecycleTemplateVariables(names, fieldVariables, { ...options, lang }),
+    ...bulkTemplateVariables(names, fieldVariables, { ...options, lang }),
+    ...(lang === 'ts' ? typescriptTemplateVariables(fields, relations, names) : {}),
+    ...seederTemplateVariables(fields, names, { count: options.seedCount }),
+    ...persistenceTemplateVariables(fields, relations, names, options),
+    ...graphqlTemplateVariables(fields, relations, names),
+    author: options.author || process.env.USER || 'Developer',
+    ...options,
+    ...templateVariables(selected, parseTemplateVariables(options.var)),
+  };
+
+  // Render template, leaving out the CRUD endpoints that are not exposed
+  let content = renderTemplate(selected.content, variables);
+  const endpoints = parseEndpoints(options.endpoints);
+  if (
+    endpoints &&
+    ((type === 'route' && selected.name === 'crud') ||
+      (type === 'test' && selected.name === 'controller'))
+  ) {
+    content = pruneEndpoints(content, endpoints, { lang });
+  }
+
+  return { selected, variables, content };
+}
+
 /**
  * Generate code based on template and options
+ * @param {string} type - Generator type (route, controller, model, repository, middleware, test,
+ *   migration, seeder, graphql)
+ * @param {string} template - Template name
+ * @param {string} entityName - Entity name
+ * @param {Object} [options] - Generator options
+ * @param {string|Object[]} [options.fields] - Field specification, entity file path or
+ *   parsed fields; defaults to name, description, status and metadata
+ * @param {string|string[]} [options.belongsTo] - Parent entities
+ * @param {string|string[]} [options.hasMany] - Child entities, nested under this one
+ * @param {string|string[]} [options.manyToMany] - Entities linked through a join table
+ * @param {string} [options.fileName] - File name (without `.js`) for migrations and seeders
+ * @param {number} [options.seedCount] - Records in generated seeders (default 10)
+ * @param {boolean} [options.force] - Overwrite existing files, discarding edits
+ * @param {boolean} [options.skipExisting] - Leave existing files untouched
+ * @param {string} [options.pack] - Prefer templates from this template pack
+ * @param {Object|string[]} [options.var] - Template pack variables, as an object or `key=value` pairs
+ * @param {string} [options.lang] - `js` (default) or `ts`; migrations and seeders are always JavaScript
+ * @param {Object} [options.templateRegistry] - Registry from `loadTemplateRegistry`, to reuse
+ * @param {string|string[]} [options.endpoints] - CRUD endpoints to keep in `crud` routes and
+ *   `controller` tests (see code-gen-domain.js; default: all)
+ * @param {string} [options.pagination] - List query strategies, with `filtering`, `sorting`,
+ *   `fieldsets` and `linkHeaders` (see code-gen-query.js)
+ * @param {boolean} [options.softDelete] - Record lifecycle options, with `optimisticLocking`
+ *   and `audit` (see code-gen-lifecycle.js)
+ * @param {boolean} [options.bulk] - Bulk and batch endpoints, with `batch` and `batchLimit`
+ *   (see code-gen-bulk.js)
+ * @param {Object} [options.journal] - Journal from `createWriteJournal` to record writes in
+ * @returns {Promise<Object>} Result with `outputPath`, generated `content`, and the
+ *   write `status` and `conflicts` (see `writeGeneratedFile`)
  */
 async function generateCode(type, template, entityName, options = {}) {
   const spinner = createSpinner(`Generating ${type}...`).start();
 
   try {
-    // Generate all case variations
-    const variables = {
-      entityName,
-      entityCamelCase: caseConverter.camelCase(entityName),
-      entityPascalCase: caseConverter.pascalCase(entityName),
-      entityKebabCase: caseConverter.kebabCase(entityName),
-      entitySnakeCase: caseConverter.snakeCase(entityName),
-      entityConstantCase: caseConverter.constantCase(entityName),
-      entityPlural: caseConverter.pluralize(caseConverter.kebabCase(entityName)),
-      author: options.author || process.env.USER || 'Developer',
-      ...options,
-    };
-
-    // Get template content
-    let templateContent;
-    switch (type) {
-      case 'route':
-        templateContent = routeTemplates[template] || routeTemplates.crud;
-        break;
-      case 'controller':
-        templateContent = controllerTemplates[template] || controllerTemplates.crud;
-        break;
-      case 'model':
-        templateContent = modelTemplates[template] || modelTemplates.sequelize;
-        break;
-      case 'middleware':
-        templateContent = middlewareTemplates[template] || middlewareTemplates.validation;
-        break;
-      case 'test':
-        templateContent = testTemplates[template] || testTemplates.controller;
-        break;
-      default:
-        throw new Error(`Unknown generator type: ${type}`);
-    }
-
-    // Render template
-    const renderedContent = renderTemplate(templateContent, variables);
+    const {
+      selected,
+      variables,
+      content: renderedContent,
+    } = await renderCode(type, template, entityName, options);
+    const { lang } = selected;
+    const names = entityNames(entityName);
 
     // Determine output file path
-    const outputPath = generateOutputPath(type, template, entityName, options);
-
-    // Ensure directory exists
-    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    let outputPath;
+    if (selected.output) {
+      outputPath = path.join(
+        options.outputDir || process.cwd(),
+        renderTemplate(selected.output, variables)
+      );
+    } else if (builtInTemplates[type]) {
+      outputPath = generateOutputPath(type, selected.name, entityName, { ...options, lang });
+    } else {
+      throw new Error(
+        `Template ${type}/${selected.name} in pack "${selected.pack}" needs an "output" path`
+      );
+    }
 
-    // Write file
-    await fs.writeFile(outputPath, renderedContent);
+    let written = { status: 'created', conflicts: 0 };
+    if (type === 'migration' || type === 'seeder') {
+      // Timestamped files are only ever generated once
+      await options.journal?.record(outputPath);
+      await fs.mkdir(path.dirname(outputPath), { recursive: true });
+      await fs.writeFile(outputPath, renderedContent);
+    } else {
+      written = await writeGeneratedFile(outputPath, renderedContent, {
+        basePath: options.outputDir,
+        force: options.force,
+        skipExisting: options.skipExisting,
+        journal: options.journal,
+      });
+    }
 
-    spinner.succeed(color.green(`${type} generated: ${outputPath}`));
+    const registration =
+      options.register === false
+        ? null
+        : await registerGeneratedFile(type, outputPath, names, options);
+
+    if (written.status === 'conflict') {
+      spinner.fail(
+        color.yellow(
+          `${type} merged with ${written.conflicts} conflict(s): ${outputPath} (resolve the <<<<<<< markers)`
+        )
+      );
+    } else if (['unchanged', 'skipped'].includes(written.status)) {
+      spinner.succeed(color.gray(`${type} ${written.status}: ${outputPath}`));
+    } else {
+      const verb = written.status === 'created' ? 'generated' : written.status;
+      spinner.succeed(color.green(`${type} ${verb}: ${outputPath}`));
+    }
+    if (registration?.status === 'updated') {
+      spinner.succeed(color.green(`${type} registered in ${registration.indexPath}`));
+    } else if (registration?.status === 'unsupported') {
+      spinner.fail(
+        color.yellow(`${type} not registered: no export list found in ${registration.indexPath}`)
+      );
+    }
 
     return {
       type,
-      template,
+      template: selected.name,
+      pack: selected.pack,
+      lang,
       entityName,
       outputPath,
       content: renderedContent,
+      ...written,
+      ...(registration ? { registration } : {}),
     };
   } catch (error) {
     spinner.fail(color.red(`Failed to generate ${type}: ${error.message}`));
@@ -1717,6 +1987,42 @@ async function generateCode(type, template, entityName, options = {}) {
   }
 }
 
+/**
+ * Mount a generated router in the routes index, or add a generated Sequelize
+ * model to the models index (see code-gen-registration.js)
+ * @param {string} type - Generator type
+ * @param {string} outputPath - Generated file
+ * @param {Object} names - Entity names
+ * @param {Object} options - Generator options
+ * @param {string} [options.mountPath] - Path to mount a router at (default: /<plural>)
+ * @returns {Promise<Object|null>} `{ status, indexPath, mountPath }`, or null
+ *   for files that are not registered
+ */
+async function registerGeneratedFile(type, outputPath, names, options) {
+  const basePath = options.outputDir || process.cwd();
+  const directory = path.dirname(outputPath);
+  const file = path.basename(outputPath).replace(/\.(js|ts)$/, '');
+
+  if (type === 'route' && directory === path.join(basePath, 'src', 'routes')) {
+    const mountPath = options.mountPath || `/${names.entityPlural}`;
+    const route = { file, variable: `${names.entityCamelCase}Routes`, mountPath };
+    const result = await editIndexFile(
+      directory,
+      (source, indexPath) => registerRoute(source, route, indexPath),
+      options
+    );
+    return { ...result, mountPath };
+  }
+  if (type === 'model' && directory === path.join(basePath, 'src', 'models')) {
+    return editIndexFile(
+      directory,
+      (source, indexPath) => registerModel(source, file, indexPath),
+      options
+    );
+  }
+  return null;
+}
+
 /**
  * Generate output file path
  */
@@ -1724,61 +2030,915 @@ function generateOutputPath(type, template, entityName, options) {
   const basePath = options.outputDir || process.cwd();
   const kebabCase = caseConverter.kebabCase(entityName);
   const pascalCase = caseConverter.pascalCase(entityName);
+  const ext = options.lang === 'ts' ? 'ts' : 'js';
 
   switch (type) {
     case 'route':
-      return path.join(basePath, 'src', 'routes', `${kebabCase}.js`);
+      return path.join(basePath, 'src', 'routes', `${kebabCase}.${ext}`);
     case 'controller':
-      return path.join(basePath, 'src', 'controllers', `${kebabCase}Controller.js`);
+      return path.join(basePath, 'src', 'controllers', `${kebabCase}Controller.${ext}`);
     case 'model':
-      return path.join(basePath, 'src', 'models', `${pascalCase}.js`);
+      if (template === 'prisma' || template === 'prismaAudit') {
+        return path.join(basePath, 'prisma', 'schema', `${kebabCase}.prisma`);
+      }
+      if (template === 'typeorm' || template === 'typeormAudit') {
+        return path.join(basePath, 'src', 'entities', `${pascalCase}.js`);
+      }
+      return path.join(basePath, 'src', 'models', `${pascalCase}.${ext}`);
+    case 'repository':
+      return path.join(
+        basePath,
+        'src',
+        'repositories',
+        `${caseConverter.camelCase(entityName)}Repository.${ext}`
+      );
+    case 'config':
+      // Read by the knex CLI as well, so always JavaScript
+      if (template === 'knexfile') {
+        return path.join(basePath, 'knexfile.js');
+      }
+      return path.join(basePath, 'src', 'config', `${template}.js`);
     case 'middleware':
-      if (template === 'validation') {
-        return path.join(basePath, 'src', 'schemas', `${kebabCase}.js`);
+      if (['validation', 'openapi', 'database'].includes(template)) {
+        return path.join(basePath, 'src', 'schemas', `${kebabCase}.${ext}`);
       }
-      return path.join(basePath, 'src', 'middleware', `${kebabCase}.js`);
+      return path.join(basePath, 'src', 'middleware', `${kebabCase}.${ext}`);
     case 'test':
-      return path.join(basePath, 'tests', 'controllers', `${kebabCase}.test.js`);
+      return path.join(basePath, 'tests', 'controllers', `${kebabCase}.test.${ext}`);
+    case 'migration':
+      return path.join(basePath, 'src', 'migrations', `${options.fileName}.js`);
+    case 'seeder':
+      return path.join(basePath, 'src', 'seeders', `${options.fileName}.js`);
+    case 'graphql':
+      return path.join(basePath, 'src', 'graphql', template, `${kebabCase}.js`);
     default:
       return path.join(basePath, `${kebabCase}.js`);
   }
 }
 
+/**
+ * Generate the migrations and seeder for a generated model: CREATE TABLE for
+ * a new table, foreign key constraints and join tables for its relations once
+ * every table they need exists, and a seeder with sample records. Files that
+ * already exist (by name without the timestamp) are not generated again.
+ * @param {string} entityName - Entity name
+ * @param {string} modelSource - Generated model source
+ * @param {Object} [options] - Generator options
+ * @param {number} [options.seedCount] - Records in the seeder (default 10)
+ * @param {boolean} [options.seeder] - Generate the seeder (default true)
+ * @param {string} [options.migrationClient] - `queryInterface` for Sequelize (default) or
+ *   `knex` for Knex migrations
+ * @returns {Promise<Object[]>} Generated migrations and seeder
+ */
+async function generateMigrations(entityName, modelSource, options = {}) {
+  const migrationClient = options.migrationClient || 'queryInterface';
+  const queries = statements => renderQueries(statements, migrationClient);
+  const basePath = options.outputDir || process.cwd();
+  const migrationsDir = path.join(basePath, 'src', 'migrations');
+  const migrations = await fs.readdir(migrationsDir).catch(() => []);
+  const seeders = await fs.readdir(path.join(basePath, 'src', 'seeders')).catch(() => []);
+  const names = entityNames(entityName);
+  const schema = tableSchemaFromModel(modelSource);
+  const createSlug = table => `create-${caseConverter.kebabCase(table)}`;
+  const results = [];
+
+  const nextMigration = createMigrationNamer(migrations);
+  const writeMigration = async (template, slug, variables) => {
+    const fileName = nextMigration(slug);
+    migrations.push(`${fileName}.js`);
+    results.push(
+      await generateCode('migration', template, entityName, {
+        ...options,
+        ...variables,
+        migrationClient,
+        fileName,
+      })
+    );
+  };
+
+  if (!findMigration(migrations, createSlug(schema.table))) {
+    await writeMigration('createTable', createSlug(schema.table), {
+      tableName: schema.table,
+      schemaSnapshot: renderSchemaSnapshot(schema),
+      upQueries: queries([renderCreateTable(schema)]),
+      downQueries: queries([`DROP TABLE ${schema.table}`]),
+    });
+  }
+
+  const relations = describeRelations(await resolveRelations(options), names, entityNames);
+  for (const migration of relationMigrations(relations, names)) {
+    const slug =
+      migration.template === 'joinTable'
+        ? createSlug(migration.table)
+        : `add-${caseConverter.kebabCase(migration.table)}-${caseConverter.kebabCase(migration.column)}-foreign-key`;
+    const ready = migration.requires.every(table => findMigration(migrations, createSlug(table)));
+    if (findMigration(migrations, slug) || !ready) {
+      continue;
+    }
+
+    if (migration.template === 'joinTable') {
+      const joinSchema = joinTableSchema(migration.table, migration.keys);
+      await writeMigration('joinTable', slug, {
+        tableName: migration.table,
+        joinedTables: migration.requires.join(' and '),
+        schemaSnapshot: renderSchemaSnapshot(joinSchema),
+        upQueries: queries([renderCreateTable(joinSchema, migration.keys)]),
+        downQueries: queries([`DROP TABLE ${migration.table}`]),
+      });
+    } else {
+      // The child table may have been generated without the foreign key column
+      const child = await readLatestSchema(migrationsDir, migration.table);
+      if (!child?.schema.columns[migration.column]) {
+        continue;
+      }
+      const sql = renderForeignKey(migration.table, migration);
+      await writeMigration('foreignKey', slug, {
+        tableName: migration.table,
+        foreignKey: migration.column,
+        references: migration.references,
+        upQueries: queries([sql.up]),
+        downQueries: queries([sql.down]),
+      });
+    }
+  }
+
+  const seedSlug = `seed-${caseConverter.kebabCase(schema.table)}`;
+  if (options.seeder !== false && !findMigration(seeders, seedSlug)) {
+    results.push(
+      await generateCode('seeder', 'sequelize', entityName, {
+        ...options,
+        fileName: createMigrationNamer(seeders)(seedSlug),
+      })
+    );
+  }
+
+  return results;
+}
+
+/**
+ * Compare the model on disk with the latest migration snapshot of its table
+ * and generate an ALTER TABLE migration for the difference
+ * @param {string} entityName - Entity name
+ * @param {Object} [options] - Generator options
+ * @param {string} [options.lang] - Model language; by default the TypeScript
+ *   model is used when there is one
+ * @returns {Promise<Object|null>} Generated migration, or null when up to date
+ */
+async function generateMigrationDiff(entityName, options = {}) {
+  const tsModelPath = generateOutputPath('model', 'sequelize', entityName, {
+    ...options,
+    lang: 'ts',
+  });
+  const lang =
+    options.lang ||
+    (await fs.access(tsModelPath).then(
+      () => 'ts',
+      () => 'js'
+    ));
+  const modelPath = generateOutputPath('model', 'sequelize', entityName, { ...options, lang });
+  const migrationsDir = path.join(options.outputDir || process.cwd(), 'src', 'migrations');
+  const schema = tableSchemaFromModel(await fs.readFile(modelPath, 'utf8'));
+  const latest = await readLatestSchema(migrationsDir, schema.table);
+
+  if (!latest) {
+    throw new Error(
+      `No generated migration for ${schema.table} found in ${migrationsDir}; generate the model first`
+    );
+  }
+
+  const diff = diffSchemas(latest.schema, schema);
+  if (!diff) {
+    console.log(color.gray(`${schema.table} already matches ${latest.file}`));
+    return null;
+  }
+  if (diff.dropped.length > 0) {
+    console.log(
+      color.yellow(
+        `Dropping ${diff.dropped.join(', ')} from ${schema.table}; ` +
+          'edit the migration to use RENAME COLUMN if a column was renamed'
+      )
+    );
+  }
+
+  const migrations = await fs.readdir(migrationsDir);
+  return generateCode('migration', 'alterTable', entityName, {
+    ...options,
+    tableName: schema.table,
+    migrationClient: 'queryInterface',
+    schemaSnapshot: renderSchemaSnapshot(schema),
+    upQueries: renderQueries([renderAlterTable(schema.table, diff.up)]),
+    downQueries: renderQueries([renderAlterTable(schema.table, diff.down)]),
+    fileName: createMigrationNamer(migrations)(`alter-${caseConverter.kebabCase(schema.table)}`),
+  });
+}
+
+/**
+ * The built-in generators for a CRUD setup, in order: the model the
+ * persistence target reads (Knex and mysql2 have none), its repository,
+ * controller, routes, validation and tests; Knex adds its configuration.
+ * Without endpoints only the model and repository are generated.
+ * @param {string} [orm] - Persistence target (default sequelize)
+ * @param {string[]|null} [endpoints] - Exposed endpoints, or null for all
+ * @returns {Array<{type: string, template: string}>} Generators
+ */
+function crudGenerators(orm = 'sequelize', endpoints = null) {
+  const generators = [
+    ...(targetModels[orm] ? [{ type: 'model', template: targetModels[orm] }] : []),
+    { type: 'repository', template: orm },
+    ...(orm === 'knex'
+      ? [
+          { type: 'config', template: 'knexfile', shared: true },
+          { type: 'config', template: 'knex', shared: true },
+        ]
+      : []),
+    { type: 'controller', template: 'crud' },
+    { type: 'route', template: 'crud' },
+    { type: 'middleware', template: 'validation' },
+    { type: 'test', template: 'controller' },
+  ];
+  return endpoints?.length === 0
+    ? generators.filter(gen => ['model', 'repository', 'config'].includes(gen.type))
+    : generators;
+}
+
 /**
  * Generate complete CRUD setup
+ * @param {string} entityName - Entity name
+ * @param {Object} [options] - Generator options, as for `generateCode`
+ * @param {string} [options.orm] - Persistence target behind the repository the controller
+ *   uses (sequelize, prisma, knex, typeorm, mysql2; default sequelize)
+ * @param {string|string[]|boolean} [options.endpoints] - Endpoints to expose (list, get,
+ *   create, update, delete), or false for the model only (default: all)
+ * @returns {Promise<Object[]>} Generated files
  */
 async function generateCRUD(entityName, options = {}) {
   const spinner = createSpinner(`Generating complete CRUD for ${entityName}...`).start();
 
   try {
-    const results = [];
+    const results = await generateCRUDFiles(entityName, options);
+
+    spinner.succeed(color.green(`Complete CRUD generated for ${entityName}`));
+
+    // Summary
+    console.log('\n' + color.bold('Generated Files:'));
+    console.log(color.gray('─'.repeat(50)));
+    results.forEach(result => {
+      const status = result.status === 'created' ? '' : color.gray(` (${result.status})`);
+      console.log(`${color.cyan(result.type.padEnd(12))} ${result.outputPath}${status}`);
+    });
+
+    const conflicted = results.filter(result => result.status === 'conflict');
+    if (conflicted.length > 0) {
+      console.log(
+        '\n' + color.yellow(`${conflicted.length} file(s) have merge conflicts to resolve`)
+      );
+      process.exitCode = 1;
+    }
+
+    return results;
+  } catch (error) {
+    spinner.fail(color.red(`Failed to generate CRUD: ${error.message}`));
+    throw error;
+  }
+}
+
+/**
+ * Generate the CRUD files of an entity, then its migrations and seeder, for
+ * `generateCRUD` and `applyDomain`
+ * @param {string} entityName - Entity name
+ * @param {Object} options - Generator options, as for `generateCRUD`
+ * @returns {Promise<Object[]>} Generated files
+ */
+async function generateCRUDFiles(entityName, options) {
+  const results = [];
+  // Resolve once so every file is generated from the same fields and relations
+  const fields = await resolveFields(options.fields);
+  const relations = await resolveRelations(options);
+  const templateRegistry = options.templateRegistry || (await loadTemplateRegistry(options));
+  const endpoints = parseEndpoints(options.endpoints);
+  const orm = options.orm || 'sequelize';
+
+  if (!persistenceTargets.includes(orm)) {
+    throw new Error(`Unknown persistence target: ${orm} (use ${persistenceTargets.join(', ')})`);
+  }
 
-    // Generate in order: model, controller, routes, validation, tests
+  // Generate the built-in files, then any pack templates marked for CRUD; then
+  // migrations and seeder
+  const generators = [
+    ...crudGenerators(orm, endpoints),
+    ...(endpoints?.length === 0
+      ? []
+      : templateRegistry
+          .crudTemplates(options.pack, options.lang)
+          .map(({ type, name }) => ({ type, template: name }))),
+  ];
+
+  for (const gen of generators) {
+    const result = await generateCode(gen.type, gen.template, entityName, {
+      ...options,
+      fields,
+      relations,
+      endpoints,
+      templateRegistry,
+      // Files every entity shares keep the project's edits
+      ...(gen.shared ? { force: false, skipExisting: true } : {}),
+    });
+    results.push(result);
+  }
+
+  // Migrations are read from the Sequelize model, which Knex tables follow
+  // too; Prisma, TypeORM and mysql2 projects bring their own tools
+  const shared = { ...options, fields, relations, templateRegistry };
+  const model = results.find(result => result.type === 'model' && result.template === 'sequelize');
+  if (orm === 'knex') {
+    const { content } = await renderCode('model', 'sequelize', entityName, shared);
+    results.push(
+      ...(await generateMigrations(entityName, content, {
+        ...shared,
+        migrationClient: 'knex',
+        seeder: false,
+      }))
+    );
+  } else if (!model) {
+    console.log(
+      color.gray(
+        `No migrations for ${orm}: create the ${entityNames(entityName).entityTableName} table with its migration tool`
+      )
+    );
+  } else if (model.status === 'conflict') {
+    console.log(
+      color.yellow(`Skipping migrations until the conflicts in ${model.outputPath} are resolved`)
+    );
+  } else {
+    const modelSource = await fs.readFile(model.outputPath, 'utf8');
+    results.push(...(await generateMigrations(entityName, modelSource, shared)));
+  }
+  if (['updated', 'merged', 'overwritten'].includes(model?.status)) {
+    console.log(color.gray(`Run "diff ${entityName}" to migrate the model changes`));
+  }
+  if (options.audit) {
+    results.push(...(await generateAuditLog({ ...options, orm, templateRegistry })));
+  }
+
+  return results;
+}
+
+/**
+ * Generate the AuditLog model that audited repositories record their changes
+ * in (see code-gen-lifecycle.js), with its migration. Every audited entity
+ * shares the one model and table.
+ * @param {Object} [options] - Generator options, as for `generateCode`
+ * @param {string} [options.orm] - Persistence target (default sequelize)
+ * @returns {Promise<Object[]>} The model, and its migration when the table is new
+ */
+async function generateAuditLog(options = {}) {
+  const orm = options.orm || 'sequelize';
+  const auditOptions = { ...options, relations: [], endpoints: null, seeder: false };
+
+  // Knex writes the table directly; its migration follows the Sequelize model
+  if (orm === 'knex') {
+    const { content } = await renderCode('model', 'audit', 'audit-log', auditOptions);
+    return generateMigrations('audit-log', content, { ...auditOptions, migrationClient: 'knex' });
+  }
+  if (!targetAuditModels[orm]) {
+    console.log(
+      color.gray(`No migrations for ${orm}: create the auditLogs table with its migration tool`)
+    );
+    return [];
+  }
+
+  const model = await generateCode('model', targetAuditModels[orm], 'audit-log', auditOptions);
+  if (orm !== 'sequelize' || model.status === 'conflict') {
+    return [model];
+  }
+
+  const modelSource = await fs.readFile(model.outputPath, 'utf8');
+  return [model, ...(await generateMigrations('audit-log', modelSource, auditOptions))];
+}
+
+/**
+ * Generate the GraphQL type definitions and resolvers of an entity, with the
+ * Sequelize model they load records through and its migrations and seeder
+ * (see code-gen-graphql.js)
+ * @param {string} entityName - Entity name
+ * @param {Object} [options] - Generator options, as for `generateCode`
+ * @returns {Promise<Object[]>} Generated files
+ */
+async function generateGraphQL(entityName, options = {}) {
+  const spinner = createSpinner(`Generating GraphQL for ${entityName}...`).start();
+
+  try {
+    // Resolve once so the model and schema agree on fields and relations
+    const shared = {
+      ...options,
+      fields: await resolveFields(options.fields),
+      relations: await resolveRelations(options),
+      templateRegistry: options.templateRegistry || (await loadTemplateRegistry(options)),
+    };
     const generators = [
       { type: 'model', template: 'sequelize' },
-      { type: 'controller', template: 'crud' },
-      { type: 'route', template: 'crud' },
-      { type: 'middleware', template: 'validation' },
-      { type: 'test', template: 'controller' },
+      { type: 'graphql', template: 'typeDefs' },
+      { type: 'graphql', template: 'resolvers' },
     ];
 
+    const results = [];
     for (const gen of generators) {
-      const result = await generateCode(gen.type, gen.template, entityName, options);
-      results.push(result);
+      results.push(await generateCode(gen.type, gen.template, entityName, shared));
     }
 
-    spinner.succeed(color.green(`Complete CRUD generated for ${entityName}`));
+    const [model] = results;
+    if (model.status === 'conflict') {
+      console.log(
+        color.yellow(`Skipping migrations until the conflicts in ${model.outputPath} are resolved`)
+      );
+    } else {
+      const modelSource = await fs.readFile(model.outputPath, 'utf8');
+      results.push(...(await generateMigrations(entityName, modelSource, shared)));
+    }
+
+    spinner.succeed(color.green(`GraphQL generated for ${entityName}`));
 
     // Summary
     console.log('\n' + color.bold('Generated Files:'));
     console.log(color.gray('─'.repeat(50)));
     results.forEach(result => {
-      console.log(`${color.cyan(result.type.padEnd(12))} ${result.outputPath}`);
+      const status = result.status === 'created' ? '' : color.gray(` (${result.status})`);
+      console.log(`${color.cyan(result.type.padEnd(12))} ${result.outputPath}${status}`);
     });
 
+    const conflicted = results.filter(result => result.status === 'conflict');
+    if (conflicted.length > 0) {
+      console.log(
+        '\n' + color.yellow(`${conflicted.length} file(s) have merge conflicts to resolve`)
+      );
+      process.exitCode = 1;
+    }
+
     return results;
   } catch (error) {
-    spinner.fail(color.red(`Failed to generate CRUD: ${error.message}`));
+    spinner.fail(color.red(`Failed to generate GraphQL: ${error.message}`));
+    throw error;
+  }
+}
+
+/**
+ * Print the lines mounting generated routers that could not be added to the
+ * routes index
+ * @param {Object[]} routers - `{ entityName, mountPath }` of each router
+ * @param {Object[]} results - Generated files
+ */
+function printMountHints(routers, results) {
+  const unmounted = routers.filter(router => {
+    const route = results.find(
+      result => result.type === 'route' && result.entityName === router.entityName
+    );
+    return !['updated', 'unchanged'].includes(route?.registration?.status);
+  });
+  if (unmounted.length === 0) {
+    return;
+  }
+
+  console.log('\n' + color.bold('Mount the routers in src/routes/index.js:'));
+  unmounted.forEach(router => {
+    console.log(
+      `  router.use('${router.mountPath}', require('./${caseConverter.kebabCase(router.entityName)}'));`
+    );
+  });
+}
+
+/**
+ * Generate routes, controller stubs, validation schemas and test skeletons for
+ * every operation in an OpenAPI 3 document, one set of files per tag
+ * (see code-gen-openapi.js)
+ * @param {string} specPath - OpenAPI document (JSON or YAML)
+ * @param {Object} [options] - Generator options, as for `generateCode`
+ * @param {string|string[]} [options.tag] - Only generate these tags (comma-separated)
+ * @param {string} [options.basePath] - Path the API is mounted under (default: the
+ *   first server's path, or `/api`)
+ * @returns {Promise<Object[]>} Generated files
+ */
+async function generateFromOpenAPI(specPath, options = {}) {
+  const spinner = createSpinner(`Generating code from ${specPath}...`).start();
+
+  try {
+    const spec = await loadOpenAPIDocument(specPath);
+    const groups = openapiGroups(spec, { tags: options.tag, basePath: options.basePath });
+    if (groups.length === 0) {
+      throw new Error(
+        options.tag
+          ? `No operations tagged ${options.tag} in ${specPath}`
+          : `No operations in ${specPath}`
+      );
+    }
+    const templateRegistry = options.templateRegistry || (await loadTemplateRegistry(options));
+    const results = [];
+
+    for (const group of groups) {
+      const variables = openapiTemplateVariables(group, spec);
+      // Groups without parameters or request bodies have nothing to validate
+      const types = variables.openapiSchemaExports
+        ? ['route', 'controller', 'middleware', 'test']
+        : ['route', 'controller', 'test'];
+      for (const type of types) {
+        results.push(
+          await generateCode(type, 'openapi', group.name, {
+            ...options,
+            ...variables,
+            templateRegistry,
+          })
+        );
+      }
+    }
+
+    const operations = groups.reduce((count, group) => count + group.operations.length, 0);
+    spinner.succeed(
+      color.green(
+        `Generated ${operations} operation(s) in ${groups.length} group(s) from ${specPath}`
+      )
+    );
+
+    // Summary
+    console.log('\n' + color.bold('Generated Files:'));
+    console.log(color.gray('─'.repeat(50)));
+    results.forEach(result => {
+      const status = result.status === 'created' ? '' : color.gray(` (${result.status})`);
+      console.log(`${color.cyan(result.type.padEnd(12))} ${result.outputPath}${status}`);
+    });
+
+    printMountHints(
+      groups.map(group => ({ entityName: group.name, mountPath: group.mountPath })),
+      results
+    );
+
+    const conflicted = results.filter(result => result.status === 'conflict');
+    if (conflicted.length > 0) {
+      console.log(
+        '\n' + color.yellow(`${conflicted.length} file(s) have merge conflicts to resolve`)
+      );
+      process.exitCode = 1;
+    }
+
+    return results;
+  } catch (error) {
+    spinner.fail(color.red(`Failed to generate from ${specPath}: ${error.message}`));
+    throw error;
+  }
+}
+
+/**
+ * Generate Sequelize models with associations for the tables of an existing
+ * MySQL database, and CRUD controllers, routes and validation for the
+ * selected tables (see code-gen-database.js). The password is read from
+ * DB_PASSWORD.
+ * @param {Object} [options] - Generator options, as for `generateCode`
+ * @param {string} [options.host] - MySQL host (default: DB_HOST or localhost)
+ * @param {number|string} [options.port] - MySQL port (default: DB_PORT or 3306)
+ * @param {string} [options.user] - MySQL user (default: DB_USER or root)
+ * @param {string} [options.database] - Database to read (default: DB_NAME)
+ * @param {string|string[]} [options.tables] - Tables to generate CRUD for
+ *   (comma-separated; default: all)
+ * @param {boolean} [options.modelsOnly] - Only generate the models
+ * @param {Object} [options.connection] - Open mysql2 connection to read instead
+ * @returns {Promise<Object[]>} Generated files
+ */
+async function generateFromDatabase(options = {}) {
+  const database = options.database || process.env.DB_NAME;
+  const spinner = createSpinner(`Reading ${database || 'database'} schema...`).start();
+  let connection = options.connection;
+
+  try {
+    if (!database) {
+      throw new Error('Name the database with --database or DB_NAME');
+    }
+    if (!connection) {
+      connection = await connectToDatabase({
+        host: options.host || process.env.DB_HOST || 'localhost',
+        port: Number(options.port || process.env.DB_PORT || 3306),
+        user: options.user || process.env.DB_USER || 'root',
+        password: process.env.DB_PASSWORD || '',
+        database,
+      });
+    }
+    const models = databaseModels(await readDatabaseSchema(connection, database), {
+      tables: options.tables,
+    });
+    if (models.length === 0) {
+      throw new Error(`No tables in ${database}`);
+    }
+    const templateRegistry = options.templateRegistry || (await loadTemplateRegistry(options));
+    const results = [];
+
+    for (const model of models) {
+      const variables = databaseTemplateVariables(model);
+      const types =
+        model.crud && !options.modelsOnly
+          ? ['model', 'controller', 'route', 'middleware']
+          : ['model'];
+      for (const type of types) {
+        results.push(
+          await generateCode(type, 'database', model.entityName, {
+            ...options,
+            ...variables,
+            mountPath: `/${model.routePath}`,
+            templateRegistry,
+          })
+        );
+      }
+    }
+
+    spinner.succeed(color.green(`Generated ${models.length} model(s) from ${database}`));
+
+    // Summary
+    console.log('\n' + color.bold('Generated Files:'));
+    console.log(color.gray('─'.repeat(50)));
+    results.forEach(result => {
+      const status = result.status === 'created' ? '' : color.gray(` (${result.status})`);
+      console.log(`${color.cyan(result.type.padEnd(12))} ${result.outputPath}${status}`);
+    });
+
+    printMountHints(
+      models
+        .filter(model => model.crud && !options.modelsOnly)
+        .map(model => ({ entityName: model.entityName, mountPath: `/${model.routePath}` })),
+      results
+    );
+    models
+      .filter(model => model.skipped)
+      .forEach(model => {
+        console.log(color.yellow(`No CRUD routes for ${model.table.name}: ${model.skipped}`));
+      });
+
+    const conflicted = results.filter(result => result.status === 'conflict');
+    if (conflicted.length > 0) {
+      console.log(
+        '\n' + color.yellow(`${conflicted.length} file(s) have merge conflicts to resolve`)
+      );
+      process.exitCode = 1;
+    }
+
+    return results;
+  } catch (error) {
+    spinner.fail(
+      color.red(`Failed to generate from ${database || 'the database'}: ${error.message}`)
+    );
+    throw error;
+  } finally {
+    // Connections passed in belong to the caller
+    if (connection && !options.connection) {
+      await connection.end();
+    }
+  }
+}
+
+/**
+ * Generate CRUD for every entity of a domain file, parents before the
+ * entities that belong to them (see code-gen-domain.js). When an entity
+ * fails, every file written so far is put back as it was.
+ * @param {string} domainPath - Domain file (JSON or YAML)
+ * @param {Object} [options] - Generator options, as for `generateCRUD`; the
+ *   domain file's `defaults` apply where these are not set
+ * @param {boolean} [options.dryRun] - Print the plan without writing anything
+ * @returns {Promise<Object[]>} Generated files, or with `dryRun` the plan:
+ *   `{ entityName, relations, endpoints, files }` for each entity, where
+ *   `files` are `{ type, outputPath, exists }`
+ */
+async function applyDomain(domainPath, options = {}) {
+  const spinner = createSpinner(`Applying ${domainPath}...`).start();
+  const journal = createWriteJournal();
+
+  try {
+    const domain = await loadDomainFile(domainPath);
+    const templateRegistry = options.templateRegistry || (await loadTemplateRegistry(options));
+    const entityOptions = entity => ({
+      ...domain.defaults,
+      ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined)),
+      ...entity.options,
+      fields: entity.fields,
+      relations: entity.relations,
+      endpoints: entity.endpoints,
+      templateRegistry,
+    });
+
+    if (options.dryRun) {
+      const plan = [];
+      for (const entity of domain.entities) {
+        const generatorOptions = entityOptions(entity);
+        const files = [];
+        for (const gen of crudGenerators(generatorOptions.orm, entity.endpoints)) {
+          const outputPath = generateOutputPath(
+            gen.type,
+            gen.template,
+            entity.name,
+            generatorOptions
+          );
+          const exists = await fs.access(outputPath).then(
+            () => true,
+            () => false
+          );
+          files.push({ type: gen.type, outputPath, exists });
+        }
+        plan.push({
+          entityName: entity.name,
+          relations: entity.relations,
+          endpoints: entity.endpoints || Object.keys(crudEndpoints),
+          files,
+        });
+      }
+      spinner.succeed(
+        color.green(`Dry run: ${plan.length} entities from ${domainPath}, in this order`)
+      );
+
+      const existing = options.force ? 'overwrite' : options.skipExisting ? 'skip' : 'merge';
+      plan.forEach((entry, index) => {
+        console.log('\n' + color.bold(`${index + 1}. ${entry.entityName}`));
+        if (entry.relations.length > 0) {
+          console.log(
+            color.gray(
+              `   Relations: ${entry.relations.map(relation => `${relation.type} ${relation.target}`).join(', ')}`
+            )
+          );
+        }
+        console.log(
+          color.gray(
+            `   Endpoints: ${entry.endpoints.length > 0 ? entry.endpoints.join(', ') : 'none'}`
+          )
+        );
+        entry.files.forEach(file => {
+          const action = file.exists ? color.yellow(existing.padEnd(9)) : color.green('create   ');
+          console.log(`   ${action} ${color.cyan(file.type.padEnd(12))} ${file.outputPath}`);
+        });
+      });
+      console.log(
+        '\n' + color.gray('Migrations and seeders are added for new tables; nothing was written')
+      );
+      return plan;
+    }
+
+    const results = [];
+    for (const entity of domain.entities) {
+      results.push(
+        ...(await generateCRUDFiles(entity.name, { ...entityOptions(entity), journal }))
+      );
+    }
+
+    spinner.succeed(color.green(`Generated ${domain.entities.length} entities from ${domainPath}`));
+
+    // Summary
+    console.log('\n' + color.bold('Generated Files:'));
+    console.log(color.gray('─'.repeat(50)));
+    results.forEach(result => {
+      const status = result.status === 'created' ? '' : color.gray(` (${result.status})`);
+      console.log(`${color.cyan(result.type.padEnd(12))} ${result.outputPath}${status}`);
+    });
+
+    printMountHints(
+      domain.entities
+        .filter(entity => entity.endpoints?.length !== 0)
+        .map(entity => ({
+          entityName: entity.name,
+          mountPath: `/${entityNames(entity.name).entityPlural}`,
+        })),
+      results
+    );
+
+    const conflicted = results.filter(result => result.status === 'conflict');
+    if (conflicted.length > 0) {
+      console.log(
+        '\n' + color.yellow(`${conflicted.length} file(s) have merge conflicts to resolve`)
+      );
+      process.exitCode = 1;
+    }
+
+    return results;
+  } catch (error) {
+    const restored = await journal.rollback();
+    spinner.fail(color.red(`Failed to apply ${domainPath}: ${error.message}`));
+    if (restored.length > 0) {
+      console.log(color.yellow(`Rolled back ${restored.length} file(s); nothing was changed`));
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete the files generated for an entity and take its router and model out
+ * of the index files. Only files with a pristine copy from the generator are
+ * considered, and files edited since they were generated are kept unless
+ * `force` is set; a kept router is unmounted all the same. Migrations and
+ * seeders are kept, since they may have run, and so is shared configuration.
+ * @param {string} entityName - Entity name
+ * @param {Object} [options] - Options
+ * @param {string} [options.outputDir] - Output directory (default: cwd)
+ * @param {boolean} [options.force] - Also delete edited files
+ * @returns {Promise<Object[]>} `{ outputPath, status }` for each generated file,
+ *   where `status` is `deleted`, `kept` or `missing`
+ */
+async function destroyEntity(entityName, options = {}) {
+  const spinner = createSpinner(`Destroying ${entityName}...`).start();
+
+  try {
+    const basePath = options.outputDir || process.cwd();
+    const names = entityNames(entityName);
+    const outputPaths = new Set();
+    // Configuration is shared by every entity of the project
+    Object.entries(builtInTemplates)
+      .filter(([type]) => !['migration', 'seeder', 'config'].includes(type))
+      .forEach(([type, templates]) => {
+        Object.keys(templates).forEach(template => {
+          ['js', 'ts'].forEach(lang => {
+            outputPaths.add(generateOutputPath(type, template, entityName, { ...options, lang }));
+          });
+        });
+      });
+
+    const read = filePath => fs.readFile(filePath, 'utf8').catch(() => null);
+    const results = [];
+    for (const outputPath of outputPaths) {
+      const pristinePath = path.join(
+        basePath,
+        pristineDirectory,
+        path.relative(basePath, outputPath)
+      );
+      const pristine = await read(pristinePath);
+      if (pristine === null) {
+        continue;
+      }
+      const current = await read(outputPath);
+      if (current !== null && current !== pristine && !options.force) {
+        results.push({ outputPath, status: 'kept' });
+        continue;
+      }
+      await fs.rm(outputPath, { force: true });
+      await fs.rm(pristinePath);
+      results.push({ outputPath, status: current === null ? 'missing' : 'deleted' });
+    }
+    if (results.length === 0) {
+      throw new Error(`No generated files for ${entityName} in ${basePath}`);
+    }
+
+    // A kept router is unmounted as well, since the controller and schemas it
+    // requires may be gone; a kept model requires no other generated file, so
+    // it stays registered
+    const inDirectory = type => result =>
+      path.dirname(result.outputPath) === path.join(basePath, 'src', type);
+    const removed = type =>
+      results.some(result => result.status !== 'kept' && inDirectory(type)(result));
+    const unmounted = results.filter(
+      result => result.status === 'kept' && inDirectory('routes')(result)
+    );
+    const indexes = [];
+    if (removed('routes') || unmounted.length > 0) {
+      indexes.push(
+        await editIndexFile(path.join(basePath, 'src', 'routes'), (source, indexPath) =>
+          unregisterRoute(source, names.entityKebabCase, indexPath)
+        )
+      );
+    }
+    if (removed('models')) {
+      indexes.push(
+        await editIndexFile(path.join(basePath, 'src', 'models'), (source, indexPath) =>
+          unregisterModel(source, names.entityPascalCase, indexPath)
+        )
+      );
+    }
+
+    spinner.succeed(color.green(`Destroyed ${entityName}`));
+
+    // Summary
+    console.log('\n' + color.bold('Removed Files:'));
+    console.log(color.gray('─'.repeat(50)));
+    results.forEach(result => {
+      const status = result.status === 'deleted' ? '' : color.gray(` (${result.status})`);
+      console.log(`${result.outputPath}${status}`);
+    });
+    indexes
+      .filter(index => index.status === 'updated')
+      .forEach(index => console.log(`${index.indexPath} ${color.gray('(unregistered)')}`));
+
+    const kept = results.filter(result => result.status === 'kept');
+    if (kept.length > 0) {
+      console.log(
+        '\n' + color.yellow(`${kept.length} edited file(s) kept; use --force to delete them too`)
+      );
+    }
+    unmounted.forEach(result => {
+      console.log(
+        color.yellow(
+          `${result.outputPath} is no longer mounted; mount it again once the files it requires are back`
+        )
+      );
+    });
+    if (removed('models')) {
+      console.log(
+        color.gray(
+          `Migrations and seeders are kept; write a migration to drop ${names.entityTableName} if it has been created`
+        )
+      );
+    }
+
+    return results;
+  } catch (error) {
+    spinner.fail(color.red(`Failed to destroy ${entityName}: ${error.message}`));
     throw error;
   }
 }
@@ -1792,89 +2952,245 @@ async function main() {
     .description('Generate boilerplate code for common patterns')
     .version('1.0.0');
 
-  program
-    .command('route <entity>')
-    .description('Generate route file')
-    .option('-t, --template <template>', 'Template type (crud, auth)', 'crud')
-    .option('-o, --output <dir>', 'Output directory', process.cwd())
-    .option('-a, --author <author>', 'Author name')
-    .action(async (entity, options) => {
-      await generateCode('route', options.template, entity, options);
-    });
+  const collect = (value, previous = []) => previous.concat(value);
 
-  program
-    .command('controller <entity>')
-    .description('Generate controller file')
-    .option('-t, --template <template>', 'Template type (crud, auth)', 'crud')
-    .option('-o, --output <dir>', 'Output directory', process.cwd())
-    .option('-a, --author <author>', 'Author name')
-    .action(async (entity, options) => {
-      await generateCode('controller', options.template, entity, options);
+  // The generators take the directory as `outputDir`
+  const generatorOptions = ({ output, ...options }) => ({ ...options, outputDir: output });
+
+  // Merge conflicts leave files to resolve by hand, so report them in the exit code
+  const generate = async (type, entity, options) => {
+    const result = await generateCode(type, options.template, entity, generatorOptions(options));
+    if (result.status === 'conflict') {
+      process.exitCode = 1;
+    }
+    return result;
+  };
+
+  // Options shared by the generating commands, declared once so that the
+  // commands accept the same ones. Defaults are left to the generators, so
+  // that a domain file's defaults apply where `apply` is not given an option.
+  const fileOptions = command =>
+    command
+      .option('-o, --output <dir>', 'Output directory (default: current directory)')
+      .option('-a, --author <author>', 'Author name')
+      .option('--force', 'Overwrite existing files, discarding your changes')
+      .option('--skip-existing', 'Leave existing files untouched')
+      .option('--no-register', 'Leave src/routes/index.js and src/models/index.js alone')
+      .option('--pack <name>', 'Prefer templates from this template pack')
+      .option('--var <key=value>', 'Template pack variable (repeatable)', collect);
+
+  const entityOptions = command =>
+    command
+      .option(
+        '--fields <spec>',
+        'Entity fields (name:type:modifiers,...) or a JSON/YAML entity file'
+      )
+      .option('--belongs-to <entities>', 'Parent entities (comma-separated)')
+      .option('--has-many <entities>', 'Child entities nested under this one (comma-separated)')
+      .option(
+        '--many-to-many <entities>',
+        'Entities linked through a join table (comma-separated)'
+      );
+
+  const generationOptions = command =>
+    command
+      .option('--lang <lang>', 'Output language (js, ts)')
+      .option(
+        '--orm <target>',
+        `Persistence target behind the repository (${persistenceTargets.join(', ')})`
+      )
+      .option('--pagination <strategy>', 'List pagination (offset, cursor)')
+      .option('--filtering <strategy>', 'List filters (simple, operators)')
+      .option('--sorting <strategy>', 'List sort (single, multi)')
+      .option('--fieldsets', 'Accept ?fields= to select the attributes returned')
+      .option('--link-headers', 'Send RFC 8288 Link headers with the other list pages')
+      .option('--soft-delete', 'List deleted records with ?deleted= and restore them')
+      .option('--optimistic-locking', 'Send ETags and reject stale If-Match writes with 412')
+      .option('--audit', 'Record every change in the audit trail, with a history endpoint')
+      .option('--bulk', 'Create, update and delete records in bulk')
+      .option('--batch', 'Run batches of create, update and delete requests in one transaction')
+      .option('--batch-limit <n>', 'Most records or requests in a bulk or batch request (100)')
+      .option('--seed-count <n>', 'Records in the generated seeder (10)');
+
+  [
+    ['route', 'Generate route file', 'Template type (crud, auth)', 'crud'],
+    ['controller', 'Generate controller file', 'Template type (crud, auth)', 'crud'],
+    ['middleware', 'Generate middleware file', 'Template type (validation, auth)', 'validation'],
+    ['test', 'Generate test file', 'Template type (controller)', 'controller'],
+  ].forEach(([type, description, templates, template]) => {
+    const command = program
+      .command(`${type} <entity>`)
+      .description(description)
+      .option('-t, --template <template>', templates, template);
+    fileOptions(command);
+    entityOptions(command);
+    generationOptions(command);
+    command.action(async (entity, options) => {
+      await generate(type, entity, options);
     });
+  });
 
-  program
+  const model = program
     .command('model <entity>')
     .description('Generate model file')
-    .option('-t, --template <template>', 'Template type (sequelize)', 'sequelize')
-    .option('-o, --output <dir>', 'Output directory', process.cwd())
-    .option('-a, --author <author>', 'Author name')
+    .option('-t, --template <template>', 'Template type (sequelize, prisma, typeorm)', 'sequelize');
+  fileOptions(model);
+  entityOptions(model);
+  generationOptions(model);
+  model.action(async (entity, options) => {
+    const result = await generate('model', entity, options);
+    // Prisma and TypeORM models are migrated with their own tools
+    if (result.status === 'conflict' || result.template !== 'sequelize') {
+      return;
+    }
+    await generateMigrations(
+      entity,
+      await fs.readFile(result.outputPath, 'utf8'),
+      generatorOptions(options)
+    );
+    if (options.audit) {
+      await generateAuditLog({ ...generatorOptions(options), orm: 'sequelize' });
+    }
+  });
+
+  const repository = program
+    .command('repository <entity>')
+    .description('Generate repository file')
+    .option(
+      '-t, --template <template>',
+      `Persistence target (${persistenceTargets.join(', ')}; default: --orm or sequelize)`
+    );
+  fileOptions(repository);
+  entityOptions(repository);
+  generationOptions(repository);
+  repository.action(async (entity, options) => {
+    await generate('repository', entity, { ...options, template: options.template || options.orm });
+  });
+
+  const crud = program
+    .command('crud <entity>')
+    .description('Generate complete CRUD setup (model, controller, routes, validation, tests)');
+  fileOptions(crud);
+  entityOptions(crud);
+  generationOptions(crud);
+  crud
+    .option(
+      '--endpoints <endpoints>',
+      'Endpoints to expose (list, get, create, update, delete; comma-separated)'
+    )
     .action(async (entity, options) => {
-      await generateCode('model', options.template, entity, options);
+      await generateCRUD(entity, generatorOptions(options));
     });
 
-  program
-    .command('middleware <entity>')
-    .description('Generate middleware file')
-    .option('-t, --template <template>', 'Template type (validation, auth)', 'validation')
-    .option('-o, --output <dir>', 'Output directory', process.cwd())
-    .option('-a, --author <author>', 'Author name')
+  const graphql = program
+    .command('graphql <entity>')
+    .description('Generate GraphQL type definitions and resolvers, with the model they use');
+  fileOptions(graphql);
+  entityOptions(graphql);
+  graphql
+    .option('--seed-count <n>', 'Records in the generated seeder (10)')
     .action(async (entity, options) => {
-      await generateCode('middleware', options.template, entity, options);
+      await generateGraphQL(entity, generatorOptions(options));
     });
 
+  const apply = program
+    .command('apply <file>')
+    .description('Generate CRUD for every entity in a domain file (JSON or YAML)')
+    .option('--dry-run', 'Print the entities and files to generate without writing anything');
+  fileOptions(apply);
+  generationOptions(apply);
+  apply.action(async (file, options) => {
+    await applyDomain(file, generatorOptions(options));
+  });
+
+  const fromOpenAPI = program
+    .command('from-openapi <spec>')
+    .description(
+      'Generate routes, controller stubs, validation and tests from an OpenAPI 3 document'
+    )
+    .option('--tag <tags>', 'Only generate these tags (comma-separated)')
+    .option('--base-path <path>', "Path the API is mounted under (default: the server's path)");
+  fileOptions(fromOpenAPI);
+  fromOpenAPI.action(async (spec, options) => {
+    await generateFromOpenAPI(spec, generatorOptions(options));
+  });
+
+  const fromDatabase = program
+    .command('from-db')
+    .description(
+      'Generate Sequelize models and CRUD routes from an existing MySQL database (password: DB_PASSWORD)'
+    )
+    .option('--host <host>', 'MySQL host (default: DB_HOST or localhost)')
+    .option('--port <port>', 'MySQL port (default: DB_PORT or 3306)')
+    .option('--user <user>', 'MySQL user (default: DB_USER or root)')
+    .option('--database <name>', 'Database to read (default: DB_NAME)')
+    .option('--tables <tables>', 'Tables to generate CRUD for (comma-separated; default: all)')
+    .option('--models-only', 'Only generate the models');
+  fileOptions(fromDatabase);
+  fromDatabase.action(async options => {
+    await generateFromDatabase(generatorOptions(options));
+  });
+
+  const generic = program
+    .command('generate <type> <entity>')
+    .description('Generate a file of any type, including types added by template packs')
+    .option('-t, --template <template>', 'Template name (default: the type default)');
+  fileOptions(generic);
+  entityOptions(generic);
+  generationOptions(generic);
+  generic.action(async (type, entity, options) => {
+    await generate(type, entity, options);
+  });
+
   program
-    .command('test <entity>')
-    .description('Generate test file')
-    .option('-t, --template <template>', 'Template type (controller)', 'controller')
-    .option('-o, --output <dir>', 'Output directory', process.cwd())
-    .option('-a, --author <author>', 'Author name')
+    .command('destroy <entity>')
+    .description('Delete the files generated for an entity and unregister its routes and model')
+    .option('-o, --output <dir>', 'Output directory (default: current directory)')
+    .option('--force', 'Also delete files you have edited')
     .action(async (entity, options) => {
-      await generateCode('test', options.template, entity, options);
+      await destroyEntity(entity, generatorOptions(options));
     });
 
   program
-    .command('crud <entity>')
-    .description('Generate complete CRUD setup (model, controller, routes, validation, tests)')
-    .option('-o, --output <dir>', 'Output directory', process.cwd())
+    .command('diff <entity>')
+    .description('Generate an ALTER TABLE migration from changes to a generated model')
+    .option('-o, --output <dir>', 'Output directory (default: current directory)')
     .option('-a, --author <author>', 'Author name')
+    .option('--lang <lang>', 'Model language (js, ts; default: ts when there is a .ts model)')
     .action(async (entity, options) => {
-      await generateCRUD(entity, options);
+      await generateMigrationDiff(entity, generatorOptions(options));
     });
 
   program
     .command('list')
-    .description('List available templates')
-    .action(() => {
+    .description('List available templates, including template packs')
+    .action(async () => {
+      const registry = await loadTemplateRegistry();
+      const labels = {
+        route: 'Routes',
+        controller: 'Controllers',
+        model: 'Models',
+        repository: 'Repositories',
+        middleware: 'Middleware',
+        test: 'Tests',
+        migration: 'Migrations',
+        seeder: 'Seeders',
+        graphql: 'GraphQL',
+      };
+
       console.log(color.bold('Available Templates:'));
-      console.log('\n' + color.cyan('Routes:'));
-      Object.keys(routeTemplates).forEach(template => {
-        console.log(`  - ${template}`);
-      });
-      console.log('\n' + color.cyan('Controllers:'));
-      Object.keys(controllerTemplates).forEach(template => {
-        console.log(`  - ${template}`);
-      });
-      console.log('\n' + color.cyan('Models:'));
-      Object.keys(modelTemplates).forEach(template => {
-        console.log(`  - ${template}`);
-      });
-      console.log('\n' + color.cyan('Middleware:'));
-      Object.keys(middlewareTemplates).forEach(template => {
-        console.log(`  - ${template}`);
-      });
-      console.log('\n' + color.cyan('Tests:'));
-      Object.keys(testTemplates).forEach(template => {
-        console.log(`  - ${template}`);
+      registry.types.forEach(type => {
+        console.log('\n' + color.cyan(`${labels[type] || type}:`));
+        registry
+          .list()
+          .filter(template => template.type === type)
+          .forEach(template => {
+            const pack =
+              template.pack === builtInPack ? '' : ` (${template.pack}, ${template.source})`;
+            const lang = template.lang === 'ts' ? ' [ts]' : '';
+            const note = lang + pack + (template.overridden ? ' - overridden' : '');
+            console.log(`  - ${template.name}${note && color.gray(note)}`);
+          });
       });
     });
 
@@ -1885,6 +3201,14 @@ async function main() {
 module.exports = {
   generateCode,
   generateCRUD,
+  generateGraphQL,
+  generateMigrations,
+  generateMigrationDiff,
+  generateFromOpenAPI,
+  generateFromDatabase,
+  applyDomain,
+  destroyEntity,
+  loadTemplateRegistry,
   caseConverter,
   renderTemplate,
 };
@@ -6,7 +6,6 @@
  * that could cause issues with MySQL 9.0's NO PAD collation behavior
  */
 
-const mysql = require('mysql2/promise');
 const chalk = require('chalk');
 
 /**
@@ -41,9 +40,10 @@ const dbConfig = {
  * Get all string columns from a table
  * @param {Object} connection - MySQL connection
  * @param {string} tableName - Table name
+ * @param {string} [database] - Schema to read, defaults to DB_NAME
  * @returns {Promise<Array>} Array of column names
  */
-async function getStringColumns(connection, tableName) {
+async function getStringColumns(connection, tableName, database = dbConfig.database) {
   const query = `
     SELECT COLUMN_NAME
     FROM INFORMATION_SCHEMA.COLUMNS
@@ -52,16 +52,17 @@ async function getStringColumns(connection, tableName) {
       AND DATA_TYPE IN ('varchar', 'char', 'text', 'tinytext', 'mediumtext', 'longtext')
   `;
 
-  const [columns] = await connection.query(query, [dbConfig.database, tableName]);
+  const [columns] = await connection.query(query, [database, tableName]);
   return columns.map(col => col.COLUMN_NAME);
 }
 
 /**
  * Get all tables in the database
  * @param {Object} connection - MySQL connection
+ * @param {string} [database] - Schema to read, defaults to DB_NAME
  * @returns {Promise<Array>} Array of table names
  */
-async function getAllTables(connection) {
+async function getAllTables(connection, database = dbConfig.database) {
   const query = `
     SELECT TABLE_NAME
     FROM INFORMATION_SCHEMA.TABLES
@@ -69,7 +70,7 @@ async function getAllTables(connection) {
       AND TABLE_TYPE = 'BASE TABLE'
   `;
 
-  const [tables] = await connection.query(query, [dbConfig.database]);
+  const [tables] = await connection.query(query, [database]);
   return tables.map(t => t.TABLE_NAME);
 }
 
@@ -142,6 +143,8 @@ async function scanDatabase() {
   const spinner = ora('Connecting to database...').start();
 
   try {
+    // Loaded here so the introspection helpers can be required without the driver
+    const mysql = require('mysql2/promise');
     connection = await mysql.createConnection(dbConfig);
     spinner.succeed('Connected to database');
 
@@ -233,4 +236,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { scanDatabase, getStringColumns, scanColumn };
+module.exports = { scanDatabase, getAllTables, getStringColumns, scanColumn };
@@ -0,0 +1,60 @@
+/**
+ * Database Configuration
+ *
+ * Sequelize configuration for each environment, and the connection the
+ * models are defined on
+ * @author {{author}}
+ */
+
+require('dotenv').config();
+
+const { Sequelize } = require('sequelize');
+
+const shared = {
+  host: process.env.DB_HOST || 'localhost',
+  port: process.env.DB_PORT || 3306,
+  dialect: 'mysql',
+  logging: false,
+  dialectOptions: {
+    // MySQL 9.0 compatibility - explicit charset and collation
+    charset: 'utf8mb4',
+    collate: 'utf8mb4_0900_ai_ci'
+  },
+  define: {
+    charset: 'utf8mb4',
+    collate: 'utf8mb4_0900_ai_ci',
+    timestamps: true
+  }
+};
+
+const config = {
+  development: {
+    ...shared,
+    username: process.env.DB_USER || 'root',
+    password: process.env.DB_PASSWORD || '',
+    database: process.env.DB_NAME || '{{projectName}}_dev',
+    pool: { max: 5, min: 0, acquire: 30000, idle: 10000 }
+  },
+  test: {
+    ...shared,
+    username: process.env.DB_USER || 'root',
+    password: process.env.DB_PASSWORD || '',
+    database: process.env.DB_NAME_TEST || '{{projectName}}_test',
+    pool: { max: 5, min: 0, acquire: 30000, idle: 10000 }
+  },
+  production: {
+    ...shared,
+    username: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    pool: { max: 20, min: 0, acquire: 30000, idle: 10000 }
+  }
+};
+
+const env = process.env.NODE_ENV || 'development';
+const { database, username, password, ...options } = config[env];
+
+// Connects on the first query, so requiring the models does not need a database
+const sequelize = new Sequelize(database, username, password, options);
+
+module.exports = { ...config, sequelize };
@@ -0,0 +1,61 @@
+/**
+ * Request Context
+ *
+ * The signed-in user and a fresh set of DataLoaders for every request
+ * @author {{author}}
+ */
+
+const jwt = require('jsonwebtoken');
+const { GraphQLError } = require('graphql');
+const { createLoaders } = require('./graphql/loaders');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this';
+
+/**
+ * Read the user from a `Bearer` token; the token's claims are trusted as
+ * they are, so a request without a valid token is anonymous
+ * @param {Object} req - Express request object
+ * @returns {Object|null} Token claims (`id`, `role`), or null
+ */
+const userFromRequest = req => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+  try {
+    return jwt.verify(authHeader.substring(7), JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the context of a GraphQL request
+ * @param {Object} params - Apollo context parameters
+ * @param {Object} params.req - Express request object
+ * @returns {Promise<Object>} `{ user, loaders }`
+ */
+const createContext = async ({ req }) => ({
+  user: userFromRequest(req),
+  // Loaders cache per request, so one user never sees another's cached records
+  loaders: createLoaders()
+});
+
+/**
+ * Get the signed-in user, or fail the field
+ * @param {Object} context - Request context
+ * @returns {Object} The user
+ */
+const requireUser = context => {
+  if (!context.user) {
+    throw new GraphQLError('Authentication required', {
+      extensions: { code: 'UNAUTHENTICATED' }
+    });
+  }
+  return context.user;
+};
+
+module.exports = {
+  createContext,
+  requireUser
+};
@@ -0,0 +1,68 @@
+/**
+ * DataLoaders
+ *
+ * Batch the lookups resolvers make for related records, so resolving the
+ * customer of every order on a page runs one query instead of one per order
+ * @author {{author}}
+ */
+
+const DataLoader = require('dataloader');
+
+/**
+ * Create the loaders for one request; each loader is made on first use
+ * @returns {Object} `byId`, `byForeignKey` and `byAssociation` loader getters
+ */
+const createLoaders = () => {
+  const loaders = new Map();
+  const loader = (key, batch) => {
+    if (!loaders.has(key)) {
+      loaders.set(key, new DataLoader(batch));
+    }
+    return loaders.get(key);
+  };
+
+  return {
+    /**
+     * Load records by primary key; missing records load as null
+     * @param {Object} Model - Sequelize model
+     * @returns {DataLoader} Loader keyed by ID
+     */
+    byId: Model =>
+      loader(`${Model.name}.id`, async ids => {
+        const rows = await Model.findAll({ where: { id: ids } });
+        const byId = new Map(rows.map(row => [row.id, row]));
+        return ids.map(id => byId.get(id) || null);
+      }),
+
+    /**
+     * Load the records that belong to a parent, oldest first
+     * @param {Object} Model - Sequelize model of the children
+     * @param {string} foreignKey - Column holding the parent ID
+     * @returns {DataLoader} Loader keyed by parent ID
+     */
+    byForeignKey: (Model, foreignKey) =>
+      loader(`${Model.name}.${foreignKey}`, async ids => {
+        const rows = await Model.findAll({
+          where: { [foreignKey]: ids },
+          order: [['createdAt', 'ASC']]
+        });
+        return ids.map(id => rows.filter(row => row[foreignKey] === id));
+      }),
+
+    /**
+     * Load the records linked to a parent through an association, such as a
+     * many-to-many join table
+     * @param {Object} Model - Sequelize model of the parent
+     * @param {string} alias - Association alias
+     * @returns {DataLoader} Loader keyed by parent ID
+     */
+    byAssociation: (Model, alias) =>
+      loader(`${Model.name}:${alias}`, async ids => {
+        const rows = await Model.findAll({ where: { id: ids }, include: [{ association: alias }] });
+        const byId = new Map(rows.map(row => [row.id, row[alias] || []]));
+        return ids.map(id => byId.get(id) || []);
+      })
+  };
+};
+
+module.exports = { createLoaders };
@@ -0,0 +1,84 @@
+/**
+ * Cursor Pagination
+ *
+ * Relay-style connections for list queries. Cursors are opaque to clients
+ * and hold the position of a record in the sorted results.
+ * @author {{author}}
+ */
+
+const { GraphQLError } = require('graphql');
+
+const MAX_PAGE_SIZE = 100;
+
+const badUserInput = message =>
+  new GraphQLError(message, { extensions: { code: 'BAD_USER_INPUT' } });
+
+/**
+ * Encode the position of a record as a cursor
+ * @param {number} offset - Position in the sorted results
+ * @returns {string} Cursor
+ */
+const encodeCursor = offset => Buffer.from(`offset:${offset}`).toString('base64');
+
+/**
+ * Decode a cursor from `encodeCursor`
+ * @param {string} cursor - Cursor
+ * @returns {number} Position in the sorted results
+ */
+const decodeCursor = cursor => {
+  const match = /^offset:(\d+)$/.exec(Buffer.from(cursor, 'base64').toString('utf8'));
+  if (!match) {
+    throw badUserInput(`Invalid cursor: ${cursor}`);
+  }
+  return Number(match[1]);
+};
+
+/**
+ * Find a page of records as a connection
+ * @param {Object} Model - Sequelize model
+ * @param {Object} options - Page options
+ * @param {Object} [options.where] - Sequelize where clause
+ * @param {number} [options.first] - Page size (default 20, at most 100)
+ * @param {string} [options.after] - Cursor of the record before the page
+ * @param {string} [options.sort] - Field to sort by (default createdAt)
+ * @param {string} [options.order] - `ASC` or `DESC` (default)
+ * @returns {Promise<Object>} `{ edges, pageInfo, totalCount }`
+ */
+const paginate = async (
+  Model,
+  { where = {}, first = 20, after, sort = 'createdAt', order = 'DESC' }
+) => {
+  if (first < 0 || first > MAX_PAGE_SIZE) {
+    throw badUserInput(`first must be between 0 and ${MAX_PAGE_SIZE}`);
+  }
+  const offset = after ? decodeCursor(after) + 1 : 0;
+
+  // Sorting by id as well keeps the order stable when sort values repeat
+  const { rows, count } = await Model.findAndCountAll({
+    where,
+    order: [
+      [sort, order],
+      ['id', order]
+    ],
+    limit: first,
+    offset
+  });
+
+  const edges = rows.map((node, index) => ({ cursor: encodeCursor(offset + index), node }));
+  return {
+    edges,
+    pageInfo: {
+      hasNextPage: offset + rows.length < count,
+      hasPreviousPage: offset > 0,
+      startCursor: edges.length > 0 ? edges[0].cursor : null,
+      endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null
+    },
+    totalCount: count
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  paginate
+};
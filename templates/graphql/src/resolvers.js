@@ -0,0 +1,55 @@
+/**
+ * Base Resolvers
+ *
+ * Custom scalars and the health query
+ * @author {{author}}
+ */
+
+const { GraphQLError, GraphQLScalarType, Kind, valueFromASTUntyped } = require('graphql');
+
+/**
+ * Parse a DateTime input value
+ * @param {string|number} value - ISO 8601 string or timestamp
+ * @returns {Date} The date
+ */
+const parseDateTime = value => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new GraphQLError(`Invalid DateTime: ${value}`, {
+      extensions: { code: 'BAD_USER_INPUT' }
+    });
+  }
+  return date;
+};
+
+const DateTime = new GraphQLScalarType({
+  name: 'DateTime',
+  description: 'ISO 8601 date and time',
+  serialize: value => (value instanceof Date ? value : new Date(value)).toISOString(),
+  parseValue: parseDateTime,
+  parseLiteral: ast => {
+    if (ast.kind !== Kind.STRING && ast.kind !== Kind.INT) {
+      throw new GraphQLError('DateTime must be a string or a timestamp', {
+        extensions: { code: 'BAD_USER_INPUT' }
+      });
+    }
+    return parseDateTime(ast.kind === Kind.INT ? Number(ast.value) : ast.value);
+  }
+});
+
+const JSONScalar = new GraphQLScalarType({
+  name: 'JSON',
+  description: 'Any JSON value',
+  serialize: value => value,
+  parseValue: value => value,
+  parseLiteral: (ast, variables) => valueFromASTUntyped(ast, variables)
+});
+
+module.exports = {
+  DateTime,
+  JSON: JSONScalar,
+
+  Query: {
+    health: () => 'OK'
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * GraphQL Schema
+ *
+ * Combines the base type definitions and resolvers with every file in
+ * src/graphql/typeDefs and src/graphql/resolvers, where the code generator
+ * writes one file per entity
+ * @author {{author}}
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { makeExecutableSchema } = require('@graphql-tools/schema');
+const typeDefs = require('./typeDefs');
+const resolvers = require('./resolvers');
+
+/**
+ * Load every module in a directory under src/graphql
+ * @param {string} directory - Directory name
+ * @returns {Array} Module exports, by file name
+ */
+const loadAll = directory => {
+  const dir = path.join(__dirname, 'graphql', directory);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs
+    .readdirSync(dir)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .map(file => require(path.join(dir, file)));
+};
+
+module.exports = makeExecutableSchema({
+  typeDefs: [typeDefs, ...loadAll('typeDefs')],
+  resolvers: [resolvers, ...loadAll('resolvers')]
+});
@@ -0,0 +1,62 @@
+/**
+ * {{projectName}} Server
+ *
+ * Express application serving the GraphQL API with Apollo Server
+ * @author {{author}}
+ */
+
+require('dotenv').config();
+
+const express = require('express');
+const { ApolloServer } = require('@apollo/server');
+const { expressMiddleware } = require('@apollo/server/express4');
+
+const logger = require('./utils/logger');
+const { sequelize } = require('./models');
+const schema = require('./schema');
+const { createContext } = require('./context');
+
+const PORT = process.env.PORT || 4000;
+
+/**
+ * Create the Express application with Apollo Server mounted at /graphql
+ * @returns {Promise<{app: Object, server: ApolloServer}>} The application and
+ *   the started Apollo Server, to stop when done
+ */
+const createApp = async () => {
+  const app = express();
+  const server = new ApolloServer({
+    schema,
+    introspection: process.env.NODE_ENV !== 'production'
+  });
+  await server.start();
+
+  // Top-level health endpoint (for load balancers)
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'OK',
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime()
+    });
+  });
+
+  app.use('/graphql', express.json(), expressMiddleware(server, { context: createContext }));
+
+  return { app, server };
+};
+
+if (require.main === module) {
+  createApp()
+    .then(async ({ app }) => {
+      await sequelize.authenticate();
+      app.listen(PORT, () => {
+        logger.info({ port: PORT }, `GraphQL API ready at http://localhost:${PORT}/graphql`);
+      });
+    })
+    .catch(error => {
+      logger.error({ err: error }, 'Failed to start server');
+      process.exit(1);
+    });
+}
+
+module.exports = { createApp };
@@ -0,0 +1,35 @@
+/**
+ * Base Type Definitions
+ *
+ * Scalars, pagination types and the root types that the generated type
+ * definitions in src/graphql/typeDefs extend
+ * @author {{author}}
+ */
+
+module.exports = /* GraphQL */ `
+  "ISO 8601 date and time"
+  scalar DateTime
+
+  "Any JSON value"
+  scalar JSON
+
+  type PageInfo {
+    hasNextPage: Boolean!
+    hasPreviousPage: Boolean!
+    startCursor: String
+    endCursor: String
+  }
+
+  enum SortOrder {
+    ASC
+    DESC
+  }
+
+  type Query {
+    health: String!
+  }
+
+  type Mutation {
+    _empty: Boolean
+  }
+`;
@@ -0,0 +1,61 @@
+/**
+ * Server Tests
+ *
+ * Health checks and the base GraphQL schema of {{projectName}}
+ * @author {{author}}
+ */
+
+const request = require('supertest');
+const { createApp } = require('../src/server');
+const { sequelize } = require('../src/models');
+const { encodeCursor, decodeCursor } = require('../src/graphql/pagination');
+
+describe('Server', () => {
+  let app;
+  let server;
+
+  beforeAll(async () => {
+    ({ app, server } = await createApp());
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    await sequelize.close();
+  });
+
+  describe('GET /health', () => {
+    it('should return health status', async () => {
+      const response = await request(app).get('/health').expect(200);
+
+      expect(response.body).toHaveProperty('status', 'OK');
+      expect(response.body).toHaveProperty('timestamp');
+    });
+  });
+
+  describe('POST /graphql', () => {
+    it('should answer the health query', async () => {
+      const response = await request(app)
+        .post('/graphql')
+        .send({ query: '{ health }' })
+        .expect(200);
+
+      expect(response.body.data).toEqual({ health: 'OK' });
+    });
+
+    it('should reject queries for unknown fields', async () => {
+      const response = await request(app)
+        .post('/graphql')
+        .send({ query: '{ nothing }' })
+        .expect(400);
+
+      expect(response.body.errors[0].extensions.code).toBe('GRAPHQL_VALIDATION_FAILED');
+    });
+  });
+
+  describe('Pagination cursors', () => {
+    it('should decode the cursors it encodes', () => {
+      expect(decodeCursor(encodeCursor(41))).toBe(41);
+      expect(() => decodeCursor('not-a-cursor')).toThrow('Invalid cursor');
+    });
+  });
+});
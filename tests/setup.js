@@ -99,6 +99,67 @@ global.testHelpers = {
       '/test/project/package.json': JSON.stringify({ name: 'test-project' }),
     };
   },
+
+  /**
+   * Runs a callback with the spinner and console output of the code and
+   * documentation generators silenced
+   * @param {Function} callback - Callback to run
+   * @returns {Promise<*>} Callback result
+   */
+  quietly: async callback => {
+    jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+      return await callback();
+    } finally {
+      process.stdout.write.mockRestore();
+      console.log.mockRestore();
+    }
+  },
+
+  /**
+   * The error class generated controllers throw, as src/utils/errors exports it
+   */
+  AppError: class AppError extends Error {
+    constructor(message, statusCode) {
+      super(message);
+      this.statusCode = statusCode;
+    }
+  },
+
+  /**
+   * Runs a generated CommonJS module in its own context
+   * @param {string} content - Module source
+   * @param {Object} [modules] - Modules it can require, by name
+   * @param {Object} [context] - Further globals
+   * @returns {*} The module's exports
+   */
+  loadModule: (content, modules = {}, context = {}) => {
+    const vm = require('vm');
+    const module = { exports: null };
+    vm.runInNewContext(content, { module, require: name => modules[name], ...context });
+    return module.exports;
+  },
+
+  /**
+   * Runs a generated controller with a silent logger, the AppError class and
+   * the given models
+   * @param {string} content - Controller source
+   * @param {Object} [modules] - Further modules it can require, by name
+   * @param {Object} [context] - Further globals
+   * @returns {Object} The controller's handlers
+   */
+  loadController: (content, modules = {}, context = {}) =>
+    global.testHelpers.loadModule(
+      content,
+      {
+        sequelize: { Op: {} },
+        '../utils/logger': { info: () => {}, error: () => {} },
+        '../utils/errors': { AppError: global.testHelpers.AppError },
+        ...modules,
+      },
+      context
+    ),
 };
 
 // Increase timeout for integration tests
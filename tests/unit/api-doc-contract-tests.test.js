@@ -0,0 +1,105 @@
+/**
+ * Contract Test Generation Tests
+ */
+
+const path = require('path');
+const vm = require('vm');
+const { generateContractTests } = require('../../scripts/api-doc-contract-tests');
+
+const spec = {
+  openapi: '3.0.0',
+  info: { title: 'Test API', version: '1.0.0' },
+  paths: {
+    '/api/items': {
+      post: {
+        tags: ['Items'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string', minLength: 12 },
+                  price: { type: 'number', minimum: 5 },
+                },
+                required: ['name'],
+              },
+            },
+          },
+        },
+        responses: {
+          201: { description: 'Created' },
+          400: { description: 'Validation error' },
+          401: { description: 'Unauthorized' },
+          500: { description: 'Internal server error' },
+        },
+      },
+    },
+    '/api/items/:id': {
+      get: {
+        tags: ['Items'],
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        responses: { 200: { description: 'Item' }, 404: { description: 'Not found' } },
+      },
+      delete: {
+        tags: ['Items'],
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        responses: { 204: { description: 'Deleted' } },
+      },
+    },
+    '/health': {
+      get: { responses: { 200: { description: 'OK' } } },
+    },
+  },
+};
+
+const generate = () =>
+  generateContractTests(spec, {
+    outputDir: path.join('/project', 'tests', 'contract'),
+    specPath: path.join('/project', 'api-docs', 'openapi.json'),
+    appPath: path.join('/project', 'src', 'app'),
+    author: 'Tester',
+  });
+
+describe('Contract Test Generation', () => {
+  test('should create a helper and one suite per tag', () => {
+    const files = generate();
+
+    expect(files.map(file => file.fileName)).toEqual([
+      'contract-helpers.js',
+      'items.contract.test.js',
+      'health.contract.test.js',
+    ]);
+    expect(files[0].content).toContain("require('../../api-docs/openapi.json')");
+    expect(files[1].content).toContain("require('../../src/app')");
+  });
+
+  test('should build valid and invalid requests from the specification', () => {
+    const suite = generate()[1].content;
+
+    expect(suite).toContain(".set('Authorization', `Bearer ${authToken}`)");
+    expect(suite).toContain("name: 'Sample namex'");
+    expect(suite).toContain('.send({})');
+    expect(suite).toContain('.get(`/api/items/999999999`)');
+    expect(suite).toContain('.get(`/api/items/${pathParams.id}`)');
+    expect(suite).toContain("test.todo('should return 500 - Internal server error');");
+    expect(suite).toContain('expect(response.body).toEqual({});');
+  });
+
+  test('should only send credentials to secured endpoints', () => {
+    const suite = generate()[1].content;
+    const unauthorized = suite.slice(suite.indexOf('should return 401'));
+    const block = unauthorized.slice(0, unauthorized.indexOf('});'));
+
+    expect(block).toContain(".post('/api/items')");
+    expect(block).not.toContain('Authorization');
+    expect(generate()[2].content).not.toContain('Authorization');
+  });
+
+  test('should generate syntactically valid JavaScript', () => {
+    generate().forEach(file => {
+      expect(() => new vm.Script(file.content)).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * OpenAPI Diff Tests
+ */
+
+const { diffOpenAPI, formatDiffReport, Severity } = require('../../scripts/api-doc-diff');
+
+const baseSpec = () => ({
+  openapi: '3.0.0',
+  info: { title: 'Test API', version: '1.0.0' },
+  paths: {
+    '/items': {
+      get: {
+        parameters: [
+          {
+            name: 'limit',
+            in: 'query',
+            required: false,
+            schema: { type: 'integer', maximum: 100 },
+          },
+        ],
+        responses: {
+          200: {
+            description: 'List of items',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    data: { type: 'array', items: { $ref: '#/components/schemas/Item' } },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      post: {
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string', maxLength: 100 },
+                  status: { type: 'string', enum: ['draft', 'published', 'archived'] },
+                },
+                required: ['name'],
+              },
+            },
+          },
+        },
+        responses: { 201: { description: 'Created' } },
+      },
+    },
+    '/items/:id': {
+      get: { responses: { 200: { description: 'Item' }, 404: { description: 'Not found' } } },
+      delete: { responses: { 204: { description: 'Deleted' } } },
+    },
+  },
+  components: {
+    schemas: {
+      Item: { type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' } } },
+    },
+  },
+});
+
+const types = changes => changes.map(change => change.type).sort();
+
+describe('OpenAPI Diff', () => {
+  test('should report no changes for identical specs', () => {
+    const result = diffOpenAPI(baseSpec(), baseSpec());
+
+    expect(result.changes).toEqual([]);
+  });
+
+  test('should treat removed paths and operations as breaking', () => {
+    const next = baseSpec();
+    delete next.paths['/items/:id'].delete;
+    delete next.paths['/items'];
+
+    const result = diffOpenAPI(baseSpec(), next);
+
+    expect(types(result.breaking)).toEqual(['operation-removed', 'path-removed']);
+    expect(result.breaking.find(c => c.type === 'operation-removed')).toMatchObject({
+      path: '/items/:id',
+      method: 'DELETE',
+    });
+  });
+
+  test('should match renamed path parameters', () => {
+    const next = baseSpec();
+    next.paths['/items/{itemId}'] = next.paths['/items/:id'];
+    delete next.paths['/items/:id'];
+
+    expect(diffOpenAPI(baseSpec(), next).changes).toEqual([]);
+  });
+
+  test('should classify new parameters by whether they are required', () => {
+    const next = baseSpec();
+    next.paths['/items'].get.parameters.push(
+      { name: 'search', in: 'query', required: false, schema: { type: 'string' } },
+      { name: 'tenant', in: 'header', required: true, schema: { type: 'string' } }
+    );
+
+    const result = diffOpenAPI(baseSpec(), next);
+
+    expect(types(result.breaking)).toEqual(['required-parameter-added']);
+    expect(types(result.nonBreaking)).toEqual(['parameter-added']);
+  });
+
+  test('should detect narrowed enums and tightened constraints in requests', () => {
+    const next = baseSpec();
+    const { schema } = next.paths['/items'].post.requestBody.content['application/json'];
+    schema.properties.status.enum = ['draft', 'published'];
+    schema.properties.name.maxLength = 50;
+    next.paths['/items'].get.parameters[0].schema.maximum = 200;
+
+    const result = diffOpenAPI(baseSpec(), next);
+
+    expect(types(result.breaking)).toEqual(['constraint-tightened', 'enum-narrowed']);
+    expect(result.breaking.find(c => c.type === 'enum-narrowed').message).toBe(
+      'body.status no longer accepts: archived'
+    );
+  });
+
+  test('should detect changed response types through component references', () => {
+    const next = baseSpec();
+    next.components.schemas.Item.properties.id = { type: 'string', format: 'uuid' };
+    next.paths['/items/:id'].get.responses[201] = { description: 'Created' };
+
+    const result = diffOpenAPI(baseSpec(), next);
+
+    expect(result.breaking).toHaveLength(1);
+    expect(result.breaking[0]).toMatchObject({
+      type: 'type-changed',
+      path: '/items',
+      method: 'GET',
+      message: 'response 200.data[].id changed type from integer to string (uuid)',
+    });
+    expect(types(result.nonBreaking)).toEqual(['response-added']);
+  });
+
+  test('should treat new authentication requirements as breaking', () => {
+    const next = baseSpec();
+    next.paths['/items'].get.security = [{ bearerAuth: [] }];
+
+    const result = diffOpenAPI(baseSpec(), next);
+
+    expect(result.breaking[0]).toMatchObject({
+      severity: Severity.BREAKING,
+      type: 'security-added',
+      message: 'now requires bearerAuth authentication',
+    });
+  });
+
+  test('should format a readable report', () => {
+    const next = baseSpec();
+    delete next.paths['/items/:id'].delete;
+    next.paths['/health'] = { get: { responses: { 200: { description: 'OK' } } } };
+
+    const report = formatDiffReport(diffOpenAPI(baseSpec(), next));
+
+    expect(report).toContain('Breaking changes: 1');
+    expect(report).toContain('  DELETE /items/:id: operation was removed');
+    expect(report).toContain('Non-breaking changes: 1');
+    expect(report).toContain('  /health: path was added');
+  });
+});
@@ -5,8 +5,16 @@
 const fs = require('fs').promises;
 const path = require('path');
 const apiDocGenerator = require('../../scripts/api-doc-generator');
-const { parseRouteFile, findRouteFiles, generateOpenAPI, generateMarkdown, generateHTML } =
-  apiDocGenerator;
+const {
+  parseRouteFile,
+  findRouteFiles,
+  findSchemaDefinitions,
+  buildMountGraph,
+  applyMountGraph,
+  generateOpenAPI,
+  generateMarkdown,
+  generateHTML,
+} = apiDocGenerator;
 
 // Mock data
 const mockRouteContent = `
@@ -171,6 +179,91 @@ describe('API Documentation Generator', () => {
     });
   });
 
+  describe('Router mount resolution', () => {
+    beforeEach(async () => {
+      await fs.writeFile(
+        path.join(tempDir, 'app.js'),
+        `
+        const express = require('express');
+        const routes = require('./routes');
+        const app = express();
+        app.use(express.json());
+        app.use('/api', routes);
+        module.exports = app;
+      `
+      );
+      await fs.writeFile(
+        path.join(tempDir, 'routes', 'index.js'),
+        `
+        const router = require('express').Router();
+        const itemsRoutes = require('./items');
+        import adminRoutes from './admin.js';
+        router.get('/', info);
+        router.use('/items', itemsRoutes);
+        router.use('/admin', adminRoutes);
+        module.exports = router;
+      `
+      );
+      await fs.writeFile(
+        path.join(tempDir, 'routes', 'items.js'),
+        `
+        const router = require('express').Router();
+        router.get('/:id', getItem);
+        module.exports = router;
+      `
+      );
+      await fs.writeFile(
+        path.join(tempDir, 'routes', 'admin.js'),
+        `
+        import { Router } from 'express';
+        import { jwtAuth } from '../middleware/auth.js';
+        const router = Router();
+        router.get('/public', status);
+        router.use(jwtAuth);
+        router.get('/services', listServices);
+        export default router;
+      `
+      );
+    });
+
+    const parseProject = async () => {
+      const files = await findRouteFiles(tempDir, '**/routes/**/*.js');
+      const routes = [];
+      for (const file of files) {
+        routes.push(...(await parseRouteFile(file)));
+      }
+      const graph = await buildMountGraph(tempDir);
+      return applyMountGraph(routes, graph, {});
+    };
+
+    test('should compose full paths from nested mounts', async () => {
+      const routes = await parseProject();
+      const paths = routes.map(route => `${route.method} ${route.path}`).sort();
+
+      expect(paths).toEqual([
+        'GET /api',
+        'GET /api/admin/public',
+        'GET /api/admin/services',
+        'GET /api/items/:id',
+      ]);
+    });
+
+    test('should inherit security from router-level middleware', async () => {
+      const routes = await parseProject();
+      const byPath = Object.fromEntries(routes.map(route => [route.path, route]));
+
+      expect(byPath['/api/admin/services'].security).toEqual(['bearerAuth']);
+      expect(byPath['/api/admin/services'].inheritedMiddleware).toContain('jwtAuth');
+      expect(byPath['/api/admin/public'].security).toEqual([]);
+
+      const openapi = generateOpenAPI(routes, {});
+      expect(openapi.paths['/api/admin/services'].get.security).toEqual([{ bearerAuth: [] }]);
+      expect(openapi.components.securitySchemes).toEqual({
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      });
+    });
+  });
+
   describe('generateOpenAPI', () => {
     test('should generate valid OpenAPI specification', async () => {
       const routeFile = path.join(tempDir, 'routes', 'users.js');
@@ -322,6 +415,367 @@ describe('API Documentation Generator', () => {
       expect(html).toContain('<table');
       expect(html).toContain('<th>');
     });
+
+    test('should embed a request console for each route', async () => {
+      const routeFile = path.join(tempDir, 'routes', 'users.js');
+      await fs.writeFile(routeFile, mockRouteContent);
+      const routes = await parseRouteFile(routeFile);
+
+      const html = await generateHTML(routes, {
+        servers: [
+          { url: 'https://api.example.com', description: 'Production' },
+          { url: 'http://localhost:3000' },
+        ],
+      });
+
+      expect(html.match(/<form class="try-it-form"/g)).toHaveLength(3);
+      expect(html).toContain(
+        '<option value="https://api.example.com">https://api.example.com - Production</option>'
+      );
+      expect(html).toContain('<option value="http://localhost:3000">');
+      expect(html).toContain('<label for="try-it-1-token">Bearer token</label>');
+      expect(html.match(/class="try-it-token"/g)).toHaveLength(1);
+      expect(html).toMatch(
+        /<input id="try-it-3-param-0" type="text" data-in="path" data-name="id"/
+      );
+      expect(html).toContain('<textarea id="try-it-2-body"');
+      expect(html).toContain("document.querySelectorAll('.try-it-form')");
+      expect(html).not.toMatch(/<(script|link)[^>]+(src|href)=/);
+    });
+
+    test('should allow disabling the request console', async () => {
+      const routeFile = path.join(tempDir, 'routes', 'users.js');
+      await fs.writeFile(routeFile, mockRouteContent);
+      const routes = await parseRouteFile(routeFile);
+
+      const html = await generateHTML(routes, { tryItOut: false });
+
+      expect(html).not.toContain('try-it-form');
+      expect(html).not.toContain('<script>');
+    });
+  });
+
+  describe('Validation schema extraction', () => {
+    const validatorRoute = `
+      const router = require('express').Router();
+      const { body, param, query } = require('express-validator');
+      const STATUSES = ['draft', 'published'];
+
+      const validateItem = [
+        body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Invalid name'),
+        body('status').optional().isIn(STATUSES),
+        body('tags.*').isString(),
+        validate,
+      ];
+
+      router.put('/items/:id', [param('id').isInt({ min: 1 })], validateItem, handler);
+
+      /**
+       * @route GET /items
+       * @param {number} [limit] - Items per page
+       */
+      router.get(
+        '/items',
+        query('limit').optional().isInt({ min: 1, max: 100 }),
+        query('search').optional().isLength({ max: 50 }),
+        handler
+      );
+    `;
+
+    test('should convert express-validator chains to parameters and request bodies', async () => {
+      const routeFile = path.join(tempDir, 'routes', 'items.js');
+      await fs.writeFile(routeFile, validatorRoute);
+      const routes = await parseRouteFile(routeFile);
+
+      const openapi = generateOpenAPI(routes, {});
+      const list = openapi.paths['/items'].get;
+      const update = openapi.paths['/items/:id'].put;
+
+      expect(list.parameters).toEqual([
+        {
+          name: 'limit',
+          in: 'query',
+          required: false,
+          description: 'Items per page',
+          schema: { type: 'integer', minimum: 1, maximum: 100 },
+        },
+        { name: 'search', in: 'query', required: false, schema: { type: 'string', maxLength: 50 } },
+      ]);
+      expect(update.parameters[0]).toMatchObject({
+        name: 'id',
+        in: 'path',
+        required: true,
+        schema: { type: 'integer', minimum: 1 },
+      });
+      expect(update.requestBody).toEqual({
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', minLength: 1, maxLength: 100 },
+                status: { type: 'string', enum: ['draft', 'published'] },
+                tags: { type: 'array', items: { type: 'string' } },
+              },
+              required: ['name', 'tags'],
+            },
+          },
+        },
+      });
+    });
+
+    test('should follow Joi schemas imported from another module', async () => {
+      await fs.mkdir(path.join(tempDir, 'schemas'), { recursive: true });
+      await fs.writeFile(
+        path.join(tempDir, 'schemas', 'widget.js'),
+        `
+        const Joi = require('joi');
+        const commonRules = {
+          name: Joi.string().min(1).max(255).required(),
+          status: Joi.string().valid('active', 'inactive').optional(),
+        };
+        const createWidgetSchema = Joi.object({
+          name: commonRules.name,
+          status: commonRules.status.default('active'),
+          price: Joi.number().min(0),
+        });
+        module.exports = { createWidgetSchema };
+      `
+      );
+      const routeFile = path.join(tempDir, 'routes', 'widgets.js');
+      await fs.writeFile(
+        routeFile,
+        `
+        const router = require('express').Router();
+        const { createWidgetSchema } = require('../schemas/widget');
+        router.post('/widgets', authenticate, validate(createWidgetSchema), handler);
+      `
+      );
+
+      const routes = await parseRouteFile(routeFile);
+      const { schema } = generateOpenAPI(routes, {}).paths['/widgets'].post.requestBody.content[
+        'application/json'
+      ];
+
+      expect(schema).toEqual({
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 255 },
+          status: { type: 'string', enum: ['active', 'inactive'], default: 'active' },
+          price: { type: 'number', minimum: 0 },
+        },
+        required: ['name'],
+      });
+    });
+
+    test('should list request body fields in markdown', async () => {
+      const routeFile = path.join(tempDir, 'routes', 'items.js');
+      await fs.writeFile(routeFile, validatorRoute);
+      const routes = await parseRouteFile(routeFile);
+
+      const markdown = generateMarkdown(routes, {});
+
+      expect(markdown).toContain('**Request Body:**');
+      expect(markdown).toContain('| name | string | Yes | min length: 1; max length: 100 |');
+      expect(markdown).toContain('| limit | number | No | Items per page - min: 1; max: 100 |');
+    });
+  });
+
+  describe('Extended JSDoc tags', () => {
+    const taggedRoute = `
+      const router = require('express').Router();
+
+      /**
+       * @route GET /users/:id
+       * @summary Get user
+       * @param {integer} id - User ID
+       * @query {string[]} [fields] - Fields to include
+       * @header {string} X-Tenant - Tenant identifier
+       * @response 200 {User} - User found
+       * @response 404 - User not found
+       * @example response 200
+       * {
+       *   "id": 1,
+       *   "email": "ada@example.com"
+       * }
+       * @deprecated Use GET /v2/users/:id
+       */
+      router.get('/users/:id', (req, res) => res.json({}));
+
+      /**
+       * @route POST /users
+       * @summary Create user
+       * @body {CreateUser} - New user
+       * @response 201 {User} - Created
+       * @example request {"email": "ada@example.com"}
+       */
+      router.post('/users', (req, res) => res.status(201).json({}));
+
+      /**
+       * @route PATCH /users/:id
+       * @summary Update user
+       * @body {string} name - Display name
+       * @body {integer} [age=18] - Age in years
+       * @response 200 {User[]} - Updated users
+       */
+      router.patch('/users/:id', (req, res) => res.json({}));
+
+      module.exports = router;
+    `;
+
+    const schemas = {
+      User: {
+        type: 'object',
+        properties: { id: { type: 'integer' }, email: { type: 'string', format: 'email' } },
+        required: ['id'],
+      },
+      CreateUser: { type: 'object', properties: { email: { type: 'string' } } },
+    };
+
+    const parseTagged = async () => {
+      const routeFile = path.join(tempDir, 'routes', 'users.js');
+      await fs.writeFile(routeFile, taggedRoute);
+      return parseRouteFile(routeFile);
+    };
+
+    test('should emit parameters, bodies, schema references and examples', async () => {
+      const spec = generateOpenAPI(await parseTagged(), { schemas });
+      const getUser = spec.paths['/users/:id'].get;
+
+      expect(getUser.deprecated).toBe(true);
+      expect(getUser.parameters.slice(1)).toEqual([
+        {
+          name: 'fields',
+          in: 'query',
+          required: false,
+          description: 'Fields to include',
+          schema: { type: 'array', items: { type: 'string' } },
+        },
+        {
+          name: 'X-Tenant',
+          in: 'header',
+          required: true,
+          description: 'Tenant identifier',
+          schema: { type: 'string' },
+        },
+      ]);
+      expect(getUser.responses[200].content['application/json']).toEqual({
+        schema: { $ref: '#/components/schemas/User' },
+        example: { id: 1, email: 'ada@example.com' },
+      });
+      expect(getUser.responses[404]).toEqual({ description: 'User not found' });
+
+      expect(spec.paths['/users'].post.requestBody).toEqual({
+        description: 'New user',
+        required: true,
+        content: {
+          'application/json': {
+            schema: { $ref: '#/components/schemas/CreateUser' },
+            example: { email: 'ada@example.com' },
+          },
+        },
+      });
+
+      const patch = spec.paths['/users/:id'].patch;
+      expect(patch.requestBody.content['application/json'].schema).toEqual({
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Display name' },
+          age: { type: 'integer', default: 18, description: 'Age in years' },
+        },
+        required: ['name'],
+      });
+      expect(patch.responses[200].content['application/json'].schema).toEqual({
+        type: 'array',
+        items: { $ref: '#/components/schemas/User' },
+      });
+
+      expect(spec.components.schemas).toEqual(schemas);
+    });
+
+    test('should document responses that only have an example', async () => {
+      const routeFile = path.join(tempDir, 'routes', 'users.js');
+      await fs.writeFile(
+        routeFile,
+        `
+        const router = require('express').Router();
+
+        /**
+         * @route GET /users
+         * @summary List users
+         * @example response 200 [{"id": 1}]
+         */
+        router.get('/users', (req, res) => res.json([]));
+
+        module.exports = router;
+        `
+      );
+
+      const spec = generateOpenAPI(await parseRouteFile(routeFile), {});
+
+      expect(spec.paths['/users'].get.responses).toEqual({
+        200: {
+          description: 'OK',
+          content: { 'application/json': { example: [{ id: 1 }] } },
+        },
+      });
+    });
+
+    test('should warn about undefined schema references', async () => {
+      generateOpenAPI(await parseTagged(), { schemas: { User: schemas.User } });
+
+      expect(console.warn).toHaveBeenCalledWith(
+        expect.stringContaining('Schema "CreateUser" is referenced but not defined')
+      );
+    });
+
+    test('should collect @schema blocks from project files', async () => {
+      await fs.writeFile(
+        path.join(tempDir, 'schemas.js'),
+        `
+        /**
+         * @schema User
+         * A registered user
+         * @property {integer} id - User ID
+         * @property {'admin'|'user'} [role=user] - Role
+         * @property {Address} address - Postal address
+         */
+        module.exports = {};
+        `
+      );
+
+      const found = await findSchemaDefinitions(tempDir);
+
+      expect(found).toEqual({
+        User: {
+          type: 'object',
+          description: 'A registered user',
+          properties: {
+            id: { type: 'integer', description: 'User ID' },
+            role: { type: 'string', enum: ['admin', 'user'], default: 'user', description: 'Role' },
+            address: { $ref: '#/components/schemas/Address' },
+          },
+          required: ['id', 'address'],
+        },
+      });
+    });
+
+    test('should render deprecation, schemas and examples in markdown', async () => {
+      const markdown = generateMarkdown(await parseTagged(), { schemas });
+
+      expect(markdown).toContain('> **Deprecated:** Use GET /v2/users/:id');
+      expect(markdown).toContain('| X-Tenant | string | Yes | Tenant identifier |');
+      expect(markdown).toContain('**Request Body:** `CreateUser`');
+      expect(markdown).toContain('| Status | Description | Schema |');
+      expect(markdown).toContain('| 200 | User found | `User` |');
+      expect(markdown).toContain('| 200 | Updated users | `User[]` |');
+      expect(markdown).toContain('**Example Response (200):**\n\n```json\n{\n  "id": 1,');
+      expect(markdown).toContain(
+        '## Schemas\n\n### User\n\n| Property | Type | Required | Description |'
+      );
+      expect(markdown).toContain('| email | string | No | format: email |');
+    });
   });
 
   describe('Edge cases', () => {
@@ -0,0 +1,162 @@
+/**
+ * OpenAPI Mock Server Tests
+ */
+
+const request = require('supertest');
+const { createMockApp, parseDelay } = require('../../scripts/api-doc-mock-server');
+
+const spec = {
+  openapi: '3.0.0',
+  info: { title: 'Test API', version: '1.0.0' },
+  paths: {
+    '/items': {
+      get: {
+        responses: {
+          200: {
+            description: 'List of items',
+            content: {
+              'application/json': {
+                example: { data: [{ id: 1, name: 'Widget' }] },
+              },
+            },
+          },
+        },
+      },
+      post: {
+        responses: {
+          201: {
+            description: 'Created',
+            content: {
+              'application/json': {
+                examples: {
+                  created: { value: { data: { id: 7, name: 'New' } } },
+                  draft: { value: { data: { id: 8, name: 'Draft', status: 'draft' } } },
+                },
+              },
+            },
+          },
+          400: { description: 'Validation error' },
+        },
+      },
+    },
+    '/items/search': {
+      get: {
+        responses: {
+          200: {
+            description: 'Search',
+            content: { 'application/json': { example: { data: [] } } },
+          },
+        },
+      },
+    },
+    '/items/{id}': {
+      get: {
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        responses: {
+          200: {
+            description: 'Item',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    data: { $ref: '#/components/schemas/Item' },
+                  },
+                },
+              },
+            },
+          },
+          404: { description: 'Item not found' },
+        },
+      },
+      delete: { responses: { 204: { description: 'Deleted' } } },
+    },
+  },
+  components: {
+    schemas: {
+      Item: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          name: { type: 'string' },
+          status: { type: 'string', enum: ['active', 'archived'] },
+        },
+      },
+    },
+  },
+};
+
+describe('OpenAPI Mock Server', () => {
+  const app = createMockApp(spec);
+
+  test('should serve documented examples', async () => {
+    const response = await request(app).get('/items').expect(200);
+
+    expect(response.body).toEqual({ data: [{ id: 1, name: 'Widget' }] });
+    expect(response.headers['x-mock-status']).toBe('200');
+  });
+
+  test('should synthesize bodies from schemas and honor path params', async () => {
+    const response = await request(app).get('/items/42').expect(200);
+
+    expect(response.body).toEqual({ data: { id: 42, name: 'Sample name', status: 'active' } });
+  });
+
+  test('should prefer static paths over parameterized ones', async () => {
+    const response = await request(app).get('/items/search').expect(200);
+
+    expect(response.body).toEqual({ data: [] });
+  });
+
+  test('should select status codes and named examples from headers', async () => {
+    const notFound = await request(app).get('/items/1').set('Prefer', 'code=404').expect(404);
+    expect(notFound.body).toEqual({ error: { code: 'not_found', message: 'Item not found' } });
+
+    await request(app).get('/items/1').set('X-Mock-Status', '404').expect(404);
+
+    const draft = await request(app).post('/items').set('Prefer', 'example=draft').expect(201);
+    expect(draft.body.data.status).toBe('draft');
+  });
+
+  test('should reject undocumented status codes and unknown routes', async () => {
+    const undocumented = await request(app).get('/items').set('Prefer', 'code=418').expect(400);
+    expect(undocumented.body.error.message).toBe('Status 418 is not documented for GET /items');
+
+    const missing = await request(app).get('/unknown').expect(404);
+    expect(missing.body.error.code).toBe('not_found');
+  });
+
+  test('should return empty bodies for 204 responses', async () => {
+    const response = await request(app).delete('/items/1').expect(204);
+
+    expect(response.text).toBe('');
+  });
+
+  test('should answer CORS preflight requests', async () => {
+    const response = await request(app)
+      .options('/items')
+      .set('Origin', 'http://localhost:5173')
+      .set('Access-Control-Request-Method', 'POST')
+      .expect(204);
+
+    expect(response.headers['access-control-allow-origin']).toBe('http://localhost:5173');
+  });
+
+  test('should inject latency', async () => {
+    const start = Date.now();
+    await request(createMockApp(spec, { delay: 50 }))
+      .get('/items')
+      .expect(200);
+
+    expect(Date.now() - start).toBeGreaterThanOrEqual(45);
+  });
+
+  test('should parse fixed and ranged delays', () => {
+    expect(parseDelay(undefined)).toBe(0);
+    expect(parseDelay('250')).toBe(250);
+
+    const ranged = parseDelay('100-200');
+    expect(ranged).toBeGreaterThanOrEqual(100);
+    expect(ranged).toBeLessThanOrEqual(200);
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Sequelize Model Schema Tests
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  parseModelFile,
+  modelToSchemas,
+  findModelSchemas,
+} = require('../../scripts/api-doc-models');
+
+const defineModel = `
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Product = sequelize.define('Product', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  title: {
+    type: DataTypes.STRING(120),
+    allowNull: false,
+    validate: { notEmpty: true, len: [3, 100] }
+  },
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: { min: { args: 0, msg: 'Price must be positive' } }
+  },
+  sku: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    comment: 'Stock keeping unit',
+    validate: { is: /^[A-Z0-9-]+$/ }
+  },
+  status: {
+    type: DataTypes.ENUM('draft', 'published'),
+    defaultValue: 'draft',
+    allowNull: false
+  },
+  contactEmail: {
+    type: DataTypes.STRING,
+    validate: { isEmail: true }
+  },
+  tags: DataTypes.ARRAY(DataTypes.STRING),
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'products',
+  paranoid: true
+});
+
+module.exports = Product;
+`;
+
+const initModel = `
+const { Model, DataTypes } = require('sequelize');
+
+const attributes = {
+  orderNumber: { type: DataTypes.INTEGER.UNSIGNED, allowNull: false },
+  note: DataTypes.TEXT,
+};
+
+class Order extends Model {}
+
+Order.init(attributes, {
+  sequelize,
+  underscored: true,
+  updatedAt: false,
+});
+
+module.exports = Order;
+`;
+
+describe('Sequelize Model Schemas', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(__dirname, '..', 'temp-api-doc-models-test');
+    await fs.mkdir(path.join(tempDir, 'src', 'models'), { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should convert sequelize.define attributes, validators and enums', async () => {
+    const file = path.join(tempDir, 'src', 'models', 'Product.js');
+    await fs.writeFile(file, defineModel);
+
+    const [model] = await parseModelFile(file);
+    const { Product } = modelToSchemas(model);
+
+    expect(model.name).toBe('Product');
+    expect(Product.properties).toEqual({
+      id: { type: 'string', format: 'uuid', readOnly: true },
+      title: { type: 'string', maxLength: 100, minLength: 3 },
+      price: { type: 'number', minimum: 0 },
+      sku: {
+        type: 'string',
+        maxLength: 255,
+        pattern: '^[A-Z0-9-]+$',
+        description: 'Stock keeping unit',
+      },
+      status: { type: 'string', enum: ['draft', 'published'], default: 'draft' },
+      contactEmail: { type: 'string', maxLength: 255, format: 'email', nullable: true },
+      tags: { type: 'array', items: { type: 'string', maxLength: 255 }, nullable: true },
+      createdAt: { type: 'string', format: 'date-time', readOnly: true },
+      updatedAt: { type: 'string', format: 'date-time', readOnly: true },
+      deletedAt: { type: 'string', format: 'date-time', nullable: true, readOnly: true },
+    });
+    expect(Product.required).toEqual([
+      'id',
+      'title',
+      'price',
+      'sku',
+      'status',
+      'createdAt',
+      'updatedAt',
+    ]);
+  });
+
+  test('should build create and update variants without ids and timestamps', async () => {
+    const file = path.join(tempDir, 'src', 'models', 'Product.js');
+    await fs.writeFile(file, defineModel);
+
+    const [model] = await parseModelFile(file);
+    const { ProductCreate, ProductUpdate } = modelToSchemas(model);
+    const fields = ['title', 'price', 'sku', 'status', 'contactEmail', 'tags'];
+
+    expect(Object.keys(ProductCreate.properties)).toEqual(fields);
+    expect(ProductCreate.required).toEqual(['title', 'price', 'sku']);
+    expect(Object.keys(ProductUpdate.properties)).toEqual(fields);
+    expect(ProductUpdate.required).toBeUndefined();
+  });
+
+  test('should read Model.init classes, implicit ids and naming options', async () => {
+    const file = path.join(tempDir, 'src', 'models', 'Order.js');
+    await fs.writeFile(file, initModel);
+
+    const [model] = await parseModelFile(file);
+    const { Order, OrderCreate } = modelToSchemas(model);
+
+    expect(Object.keys(Order.properties)).toEqual(['id', 'orderNumber', 'note', 'created_at']);
+    expect(Order.properties.id).toEqual({ type: 'integer', readOnly: true });
+    expect(Order.properties.orderNumber).toEqual({ type: 'integer' });
+    expect(OrderCreate).toEqual({
+      type: 'object',
+      properties: {
+        orderNumber: { type: 'integer' },
+        note: { type: 'string', nullable: true },
+      },
+      required: ['orderNumber'],
+    });
+  });
+
+  test('should collect schemas from every model file in a project', async () => {
+    await fs.writeFile(path.join(tempDir, 'src', 'models', 'Product.js'), defineModel);
+    await fs.writeFile(path.join(tempDir, 'src', 'models', 'Order.js'), initModel);
+    await fs.writeFile(
+      path.join(tempDir, 'src', 'models', 'index.js'),
+      "module.exports = { Product: require('./Product') };\n"
+    );
+
+    const schemas = await findModelSchemas(tempDir);
+
+    expect(Object.keys(schemas).sort()).toEqual([
+      'Order',
+      'OrderCreate',
+      'OrderUpdate',
+      'Product',
+      'ProductCreate',
+      'ProductUpdate',
+    ]);
+  });
+});
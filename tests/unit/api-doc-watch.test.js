@@ -0,0 +1,227 @@
+/**
+ * API Documentation Watch Mode Tests
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const request = require('supertest');
+const {
+  parseRouteFile,
+  parseMountFile,
+  buildMountGraph,
+  findModelSchemas,
+} = require('../../scripts/api-doc-generator');
+const { parseModelFile } = require('../../scripts/api-doc-models');
+const { createFileCache, createLiveReloadApp } = require('../../scripts/api-doc-watch');
+
+describe('API Documentation Watch Mode', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(__dirname, '..', 'temp-api-doc-watch-test');
+    await fs.mkdir(path.join(tempDir, 'routes'), { recursive: true });
+    await fs.mkdir(path.join(tempDir, 'validators'), { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('Route cache', () => {
+    const writeRoutes = async () => {
+      await fs.writeFile(
+        path.join(tempDir, 'validators', 'users.js'),
+        `const { body } = require('express-validator');
+const createUser = [body('name').isString()];
+module.exports = { createUser };`
+      );
+      await fs.writeFile(
+        path.join(tempDir, 'routes', 'users.js'),
+        `const router = require('express').Router();
+const { createUser } = require('../validators/users');
+router.post('/users', createUser, (req, res) => res.json({}));
+module.exports = router;`
+      );
+      await fs.writeFile(
+        path.join(tempDir, 'routes', 'items.js'),
+        `const router = require('express').Router();
+router.get('/items', (req, res) => res.json([]));
+module.exports = router;`
+      );
+    };
+
+    test('should only re-parse files whose content changed', async () => {
+      await writeRoutes();
+      const parse = jest.fn(parseRouteFile);
+      const cache = createFileCache(parse);
+      const users = path.join(tempDir, 'routes', 'users.js');
+      const items = path.join(tempDir, 'routes', 'items.js');
+
+      await cache.parse(users);
+      await cache.parse(items);
+      await fs.appendFile(items, '\n// edited');
+      cache.resetStats();
+      await cache.parse(users);
+      const routes = await cache.parse(items);
+
+      expect(parse).toHaveBeenCalledTimes(3);
+      expect(parse).toHaveBeenLastCalledWith(
+        items,
+        expect.objectContaining({ content: expect.any(String) })
+      );
+      expect(cache.stats).toEqual({ parsed: 1, cached: 1 });
+      expect(routes.map(route => route.path)).toEqual(['/items']);
+    });
+
+    test('should re-parse a route file when an imported validator changes', async () => {
+      await writeRoutes();
+      const cache = createFileCache(parseRouteFile);
+      const users = path.join(tempDir, 'routes', 'users.js');
+
+      await cache.parse(users);
+      await fs.writeFile(
+        path.join(tempDir, 'validators', 'users.js'),
+        `const { body } = require('express-validator');
+const createUser = [body('email').isEmail()];
+module.exports = { createUser };`
+      );
+      const [route] = await cache.parse(users);
+
+      expect(cache.stats).toEqual({ parsed: 2, cached: 0 });
+      expect(route.validations.map(rule => rule.name)).toEqual(['email']);
+    });
+
+    test('should forget files that are no longer route files', async () => {
+      await writeRoutes();
+      const parse = jest.fn(parseRouteFile);
+      const cache = createFileCache(parse);
+      const items = path.join(tempDir, 'routes', 'items.js');
+
+      await cache.parse(items);
+      cache.prune([]);
+      await cache.parse(items);
+
+      expect(parse).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Project caches', () => {
+    test('should not parse an unchanged app or model file again', async () => {
+      await fs.mkdir(path.join(tempDir, 'models'), { recursive: true });
+      const app = path.join(tempDir, 'app.js');
+      const model = path.join(tempDir, 'models', 'user.js');
+      const items = path.join(tempDir, 'routes', 'items.js');
+      await fs.writeFile(
+        app,
+        `const express = require('express');
+const app = express();
+app.use('/api/items', require('./routes/items'));
+module.exports = app;`
+      );
+      await fs.writeFile(
+        items,
+        `const router = require('express').Router();
+router.get('/', (req, res) => res.json([]));
+module.exports = router;`
+      );
+      await fs.writeFile(
+        model,
+        `module.exports = (sequelize, DataTypes) =>
+  sequelize.define('User', { name: { type: DataTypes.STRING, allowNull: false } });`
+      );
+      const parseMounts = jest.fn(parseMountFile);
+      const parseModels = jest.fn(parseModelFile);
+      const mounts = createFileCache(parseMounts);
+      const models = createFileCache(parseModels);
+
+      await buildMountGraph(tempDir, undefined, mounts);
+      await findModelSchemas(tempDir, undefined, models);
+      await fs.appendFile(items, '\n// edited');
+      mounts.resetStats();
+      models.resetStats();
+      const graph = await buildMountGraph(tempDir, undefined, mounts);
+      const schemas = await findModelSchemas(tempDir, undefined, models);
+
+      expect(parseMounts.mock.calls.filter(([file]) => file === app)).toHaveLength(2);
+      expect(parseMounts.mock.calls.filter(([file]) => file === model)).toHaveLength(1);
+      expect(parseModels).toHaveBeenCalledTimes(1);
+      expect(models.stats).toEqual({ parsed: 0, cached: 1 });
+      expect(graph.mounts).toEqual([expect.objectContaining({ parent: app, child: items })]);
+      expect(schemas).toHaveProperty('User');
+    });
+
+    test('should keep the app file cached while its routers are unchanged', async () => {
+      const app = path.join(tempDir, 'app.js');
+      await fs.writeFile(
+        app,
+        `const express = require('express');
+const app = express();
+app.use('/api/items', require('./routes/items'));
+module.exports = app;`
+      );
+      await fs.writeFile(
+        path.join(tempDir, 'routes', 'items.js'),
+        `const router = require('express').Router();
+module.exports = router;`
+      );
+      const parse = jest.fn(parseMountFile);
+      const cache = createFileCache(parse);
+
+      await buildMountGraph(tempDir, undefined, cache);
+      await fs.writeFile(path.join(tempDir, 'notes.js'), '// unrelated');
+      await buildMountGraph(tempDir, undefined, cache);
+
+      expect(parse.mock.calls.filter(([file]) => file === app)).toHaveLength(1);
+    });
+  });
+
+  describe('Live reload server', () => {
+    test('should inject the reload client into HTML pages', async () => {
+      await fs.writeFile(
+        path.join(tempDir, 'index.html'),
+        '<html><body><h1>API</h1></body></html>'
+      );
+      const app = createLiveReloadApp(tempDir);
+
+      const response = await request(app).get('/').expect(200);
+
+      expect(response.text).toContain("new EventSource('/__livereload')");
+      expect(response.text.indexOf('EventSource')).toBeLessThan(response.text.indexOf('</body>'));
+    });
+
+    test('should serve other generated files unchanged', async () => {
+      await fs.writeFile(path.join(tempDir, 'openapi.json'), '{"openapi":"3.0.0"}');
+      const app = createLiveReloadApp(tempDir);
+
+      const response = await request(app).get('/openapi.json').expect(200);
+
+      expect(response.body).toEqual({ openapi: '3.0.0' });
+    });
+
+    test('should notify connected pages after a rebuild', async () => {
+      const app = createLiveReloadApp(tempDir);
+      const server = app.listen(0);
+      const { port } = server.address();
+
+      const events = await new Promise((resolve, reject) => {
+        require('http')
+          .get(`http://127.0.0.1:${port}/__livereload`, res => {
+            let data = '';
+            res.on('data', chunk => {
+              data += chunk;
+              if (data.includes('retry:') && !data.includes('event: reload')) {
+                app.reload();
+              } else if (data.includes('event: reload')) {
+                resolve(data);
+              }
+            });
+          })
+          .on('error', reject);
+      });
+
+      app.closeClients();
+      await new Promise(resolve => server.close(resolve));
+      expect(events).toContain('event: reload');
+    });
+  });
+});
@@ -0,0 +1,373 @@
+/**
+ * Code Generator Bulk and Batch Endpoint Tests
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const vm = require('vm');
+const { parseBulkOptions } = require('../../scripts/code-gen-bulk');
+const { generateCode, generateCRUD } = require('../../scripts/code-generator');
+
+const { quietly, loadController: loadGenerated } = global.testHelpers;
+
+const fields = 'title:string:required,status:enum(pending,paid)';
+
+const id = index => `00000000-0000-4000-8000-00000000000${index}`;
+
+/**
+ * Load a generated controller with a repository holding the given orders,
+ * whose transactions record how they end; writes based on another version,
+ * or to an order with `failWith` set, throw
+ */
+const loadController = (content, stored) => {
+  const calls = [];
+  const transactions = [];
+  const orders = new Map(stored.map(values => [values.id, { ...values }]));
+  const write =
+    (method, result) =>
+    async (key, ...args) => {
+      calls.push([method, key, ...args]);
+      const order = orders.get(key);
+      const { version } = args[args.length - 1];
+      if (order.failWith || (version !== undefined && version !== order.version)) {
+        throw order.failWith || Object.assign(new Error('stale'), { name: 'StaleWriteError' });
+      }
+      return result(order, ...args);
+    };
+  const repository = {
+    findAll: async options => {
+      const [{ value: ids }] = options.where;
+      calls.push(['findAll', ids, options.lock]);
+      return ids.filter(key => orders.has(key)).map(key => orders.get(key));
+    },
+    create: async (values, options) => {
+      calls.push(['create', values, options]);
+      return { id: id(9), version: 0, ...values };
+    },
+    update: write('update', (order, values) => ({ ...order, ...values })),
+    remove: write('remove', () => true),
+    transaction: async work => {
+      const transaction = {};
+      transactions.push(transaction);
+      try {
+        const result = await work(transaction);
+        transaction.finished = 'commit';
+        return result;
+      } catch (error) {
+        transaction.finished = 'rollback';
+        throw error;
+      }
+    },
+  };
+  const controller = loadGenerated(content, { '../repositories/orderRepository': repository });
+  return { controller, orders, calls, transactions };
+};
+
+/**
+ * Call a handler with the given request body
+ */
+const call = async (handler, body) => {
+  const res = { statusCode: 200 };
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = payload => (res.body = payload);
+  res.send = () => res;
+  const req = { body, user: { id: 'user-1' }, get: () => undefined };
+  let error = null;
+  await handler(req, res, caught => (error = caught));
+  return { res, error };
+};
+
+describe('Code Generator Bulk and Batch Endpoints', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(__dirname, '..', 'temp-code-gen-bulk-test');
+    await fs.mkdir(tempDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should leave the generated files as they were by default', async () => {
+    expect(parseBulkOptions()).toEqual({ bulk: [], batch: [], limit: 100, custom: false });
+    expect(parseBulkOptions({ bulk: true, batchLimit: '20', endpoints: 'list,delete' })).toEqual({
+      bulk: ['delete'],
+      batch: [],
+      limit: 20,
+      custom: true,
+    });
+    expect(() => parseBulkOptions({ batch: true, batchLimit: '0' })).toThrow(
+      'Invalid batch limit "0" (use a positive whole number)'
+    );
+
+    const controller = await quietly(() =>
+      generateCode('controller', 'crud', 'order', { fields, outputDir: tempDir })
+    );
+    expect(controller.content).not.toContain('sequelize.transaction');
+    expect(controller.content).toContain('  delete: deleteFn\n};');
+  });
+
+  test('should change every record in bulk, or none', async () => {
+    const { content } = await quietly(() =>
+      generateCode('controller', 'crud', 'order', {
+        fields,
+        bulk: true,
+        optimisticLocking: true,
+        audit: true,
+        outputDir: tempDir,
+      })
+    );
+    const stored = [
+      { id: id(1), version: 2 },
+      { id: id(2), version: 0 },
+    ];
+
+    let loaded = loadController(content, stored);
+    const created = await call(loaded.controller.bulkCreate, {
+      orders: [{ title: 'a' }, { title: 'b' }],
+    });
+    expect(created.res.statusCode).toBe(201);
+    expect(created.res.body.orders).toHaveLength(2);
+    const [transaction] = loaded.transactions;
+    expect(loaded.calls[0]).toEqual([
+      'create',
+      { title: 'a', createdBy: 'user-1' },
+      { userId: 'user-1', transaction },
+    ]);
+
+    // Updates are applied in the order given, after finding every record
+    const updated = await call(loaded.controller.bulkUpdate, {
+      orders: [
+        { id: id(2), status: 'paid' },
+        { id: id(1), title: 'c', version: 2 },
+      ],
+    });
+    expect(updated.res.body.orders.map(order => order.id)).toEqual([id(2), id(1)]);
+    expect(loaded.calls).toContainEqual(['findAll', [id(2), id(1)], true]);
+    expect(loaded.calls.filter(([method]) => method === 'update')).toEqual([
+      ['update', id(2), { status: 'paid', updatedBy: 'user-1' }, expect.anything()],
+      // The ID and version are not changes
+      ['update', id(1), { title: 'c', updatedBy: 'user-1' }, expect.anything()],
+    ]);
+
+    loaded = loadController(content, stored);
+    const missing = await call(loaded.controller.bulkUpdate, {
+      orders: [
+        { id: id(1), title: 'c' },
+        { id: id(3), title: 'd' },
+      ],
+    });
+    expect([missing.error.statusCode, missing.error.message]).toEqual([
+      404,
+      `order not found: ${id(3)}`,
+    ]);
+    expect(loaded.calls.some(([method]) => method === 'update')).toBe(false);
+    expect(loaded.transactions[0].finished).toBe('rollback');
+
+    const stale = await call(loaded.controller.bulkUpdate, {
+      orders: [{ id: id(1), title: 'c', version: 1 }],
+    });
+    expect([stale.error.statusCode, stale.error.message]).toEqual([
+      412,
+      `order ${id(1)} has been modified; get it again before changing it`,
+    ]);
+
+    const deleted = await call(loaded.controller.bulkDelete, { ids: [id(1), id(2)] });
+    expect(deleted.res.statusCode).toBe(204);
+    expect(loaded.calls.filter(([method]) => method === 'remove').map(([, key]) => key)).toEqual([
+      id(1),
+      id(2),
+    ]);
+  });
+
+  test('should run a batch in one transaction and report each request', async () => {
+    const { content } = await quietly(() =>
+      generateCode('controller', 'crud', 'order', {
+        fields,
+        batch: true,
+        optimisticLocking: true,
+        outputDir: tempDir,
+      })
+    );
+    const stored = [{ id: id(1), version: 3 }];
+    const operations = [
+      { method: 'POST', path: '/', body: { title: 'a' } },
+      { method: 'PUT', path: `/${id(1)}`, body: { title: 'b' }, headers: { 'If-Match': '"3"' } },
+      { method: 'DELETE', path: `/${id(1)}` },
+    ];
+
+    let loaded = loadController(content, stored);
+    const applied = await call(loaded.controller.batch, { operations });
+    expect(applied.res.statusCode).toBe(207);
+    expect(applied.res.body.results).toEqual([
+      { status: 201, headers: { ETag: '"0"' }, body: { order: expect.any(Object) } },
+      { status: 200, headers: { ETag: '"3"' }, body: { order: expect.any(Object) } },
+      { status: 204 },
+    ]);
+    expect(loaded.transactions[0].finished).toBe('commit');
+
+    // A stale version fails its request; the others are not applied
+    loaded = loadController(content, stored);
+    const rejected = await call(loaded.controller.batch, {
+      operations: [
+        operations[0],
+        { ...operations[1], headers: { 'If-Match': '"2"' } },
+        operations[2],
+      ],
+    });
+    const notApplied = {
+      status: 424,
+      body: { success: false, error: { message: 'Not applied because operations[1] failed' } },
+    };
+    expect(rejected.res.body.results).toEqual([
+      notApplied,
+      {
+        status: 412,
+        body: {
+          success: false,
+          error: { message: 'order has been modified; get it again before changing it' },
+        },
+      },
+      notApplied,
+    ]);
+    expect(loaded.transactions[0].finished).toBe('rollback');
+    expect(loaded.calls.some(([method]) => method === 'remove')).toBe(false);
+
+    // Validation fails the request as the error handler would
+    loaded = loadController(content, stored);
+    loaded.orders.get(id(1)).failWith = Object.assign(new Error('Validation error'), {
+      name: 'SequelizeValidationError',
+      errors: [{ message: 'title cannot be empty' }],
+    });
+    const invalid = await call(loaded.controller.batch, { operations: [operations[1]] });
+    expect(invalid.res.body.results).toEqual([
+      { status: 400, body: { success: false, error: { message: 'title cannot be empty' } } },
+    ]);
+
+    // Other errors fail the whole batch
+    loaded = loadController(content, stored);
+    loaded.orders.get(id(1)).failWith = new Error('Connection lost');
+    const failed = await call(loaded.controller.batch, { operations: [operations[2]] });
+    expect(failed.error.message).toBe('Connection lost');
+    expect(loaded.transactions[0].finished).toBe('rollback');
+  });
+
+  test('should route, validate and test the endpoints', async () => {
+    const results = await quietly(() =>
+      generateCRUD('order', { fields, bulk: true, batch: true, batchLimit: 20, outputDir: tempDir })
+    );
+    const content = type => results.find(result => result.type === type).content;
+
+    const route = content('route');
+    expect(() => new vm.Script(route)).not.toThrow();
+    // Registered before /:id, which would take bulk for an ID
+    expect(route.indexOf("router.delete('/bulk'")).toBeLessThan(route.indexOf("router.get('/:id'"));
+    expect(route).toContain(
+      "router.post('/batch',\n  authenticate,\n  validate(batchOrderSchema),\n  orderController.batch\n);"
+    );
+    expect(route).toContain(' * @response 207 {OrderBatchResult[]} - Result of each request');
+    expect(route).toContain(
+      ' * @description Creates up to 20 orders in one transaction; when any of them is invalid, none is created\n'
+    );
+
+    const validation = content('middleware');
+    expect(() => new vm.Script(validation)).not.toThrow();
+    expect(validation).toContain(
+      '  orders: Joi.array().items(createOrderSchema).min(1).max(20).required()\n'
+    );
+    expect(validation).toContain(
+      '  ids: Joi.array().items(commonRules.id).unique().min(1).max(20).required()\n'
+    );
+    expect(validation).toContain(
+      "    method: Joi.string().valid('POST', 'PUT', 'DELETE').required(),\n"
+    );
+    expect(validation).toContain('  batchOrderSchema,\n  validate\n};');
+
+    const tests = content('test');
+    expect(() => new vm.Script(tests)).not.toThrow();
+    expect(tests).toContain(".patch('/api/orders/bulk')");
+    expect(tests).toContain('.send({ orders: Array.from({ length: 21 }, () => order) })');
+    expect(tests).toContain(
+      'expect(response.body.results.map(({ status }) => status)).toEqual([424, 424, 404]);'
+    );
+  });
+
+  test('should only reach the exposed endpoints', async () => {
+    const results = await quietly(() =>
+      generateCRUD('order', {
+        fields,
+        bulk: true,
+        batch: true,
+        endpoints: 'list,get,delete',
+        outputDir: tempDir,
+      })
+    );
+    const content = type => results.find(result => result.type === type).content;
+
+    const route = content('route');
+    expect(route).toContain(
+      "const { bulkDeleteOrderSchema, batchOrderSchema } = require('../schemas/order');"
+    );
+    expect(route).not.toContain("router.post('/bulk'");
+    expect(route).not.toContain("router.patch('/bulk'");
+
+    const controller = content('controller');
+    expect(controller).toContain('  delete: deleteFn,\n  bulkDelete,\n  batch\n};');
+    expect(controller).not.toContain('  POST: async');
+
+    expect(content('middleware')).toContain(
+      "    method: Joi.string().valid('DELETE').required(),\n    path: Joi.string().pattern("
+    );
+  });
+
+  test('should generate the endpoints for TypeScript controllers', async () => {
+    const results = await quietly(() =>
+      generateCRUD('order', {
+        fields,
+        lang: 'ts',
+        bulk: true,
+        batch: true,
+        optimisticLocking: true,
+        outputDir: tempDir,
+      })
+    );
+    const content = type => results.find(result => result.type === type).content;
+
+    const controller = content('controller');
+    expect(controller).toContain(
+      "import type { Condition, OrderCreationAttributes, OrderRecord, Transaction } from '../repositories/orderRepository';\n"
+    );
+    expect(controller).toContain(
+      'const findByIds = async (ids: string[], transaction: Transaction): Promise<OrderRecord[]> => {'
+    );
+    expect(controller).toContain("  method: 'POST' | 'PUT' | 'DELETE';\n");
+    expect(controller).toContain(
+      'export const bulkUpdate: AsyncHandler = async (req, res, next) => {'
+    );
+    expect(controller).toContain(
+      '        if (version !== undefined && version !== order.version) {\n'
+    );
+    // Batch operations pass their headers for If-Match
+    expect(controller).toContain(
+      'const expectedVersion = (req: { get(name: string): string | undefined }): number | undefined => {'
+    );
+
+    const repository = content('repository');
+    expect(repository).toContain(
+      'export type { OrderAttributes, OrderCreationAttributes, Transaction };'
+    );
+    expect(repository).toContain('export { runInTransaction as transaction };');
+
+    expect(content('route')).toContain(
+      "import { createOrderSchema, updateOrderSchema, bulkCreateOrderSchema, bulkUpdateOrderSchema, bulkDeleteOrderSchema, batchOrderSchema, validate } from '../schemas/order';"
+    );
+    expect(content('middleware')).toContain('export const batchOrderSchema = Joi.object({\n');
+    expect(content('test')).toContain(
+      'expect(response.body.results.map(({ status }: { status: number }) => status)).toEqual([201, 200, 204]);'
+    );
+  });
+});
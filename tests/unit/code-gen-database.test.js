@@ -0,0 +1,363 @@
+/**
+ * Code Generator Database Import Tests
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const vm = require('vm');
+const {
+  readDatabaseSchema,
+  schemaFromRows,
+  databaseModels,
+  databaseTemplateVariables,
+} = require('../../scripts/code-gen-database');
+const { generateFromDatabase } = require('../../scripts/code-generator');
+
+const { quietly } = global.testHelpers;
+
+const column = (table, name, type, properties = {}) => ({
+  TABLE_NAME: table,
+  COLUMN_NAME: name,
+  DATA_TYPE: type.replace(/[( ].*/, ''),
+  COLUMN_TYPE: type,
+  IS_NULLABLE: properties.nullable ? 'YES' : 'NO',
+  COLUMN_DEFAULT: properties.default ?? null,
+  COLUMN_KEY: properties.key || '',
+  EXTRA: properties.extra || '',
+  COLUMN_COMMENT: properties.comment || '',
+  CHARACTER_MAXIMUM_LENGTH: Number(/char\((\d+)\)/.exec(type)?.[1]) || null,
+  NUMERIC_PRECISION: Number(/decimal\((\d+)/.exec(type)?.[1]) || null,
+  NUMERIC_SCALE: Number(/decimal\(\d+,(\d+)/.exec(type)?.[1]) ?? null,
+});
+
+const id = table => column(table, 'id', 'int unsigned', { key: 'PRI', extra: 'auto_increment' });
+const index = (table, name, columns, unique = false) =>
+  columns.map(name_ => ({
+    TABLE_NAME: table,
+    INDEX_NAME: name,
+    NON_UNIQUE: unique ? 0 : 1,
+    COLUMN_NAME: name_,
+  }));
+const foreignKey = (table, name, columnName, referenced, rules = {}) => ({
+  TABLE_NAME: table,
+  CONSTRAINT_NAME: name,
+  COLUMN_NAME: columnName,
+  REFERENCED_TABLE_NAME: referenced,
+  REFERENCED_COLUMN_NAME: 'id',
+  DELETE_RULE: rules.onDelete || 'RESTRICT',
+  UPDATE_RULE: rules.onUpdate || 'RESTRICT',
+});
+
+// A legacy shop: snake_case columns, a self reference, a join table and a log without a key
+const rows = {
+  tables: ['customers', 'orders', 'tags', 'order_tags', 'categories', 'audit_log'],
+  columns: [
+    id('customers'),
+    column('customers', 'email', 'varchar(255)', { key: 'UNI' }),
+    column('customers', 'full_name', 'varchar(100)'),
+    column('customers', 'is_active', 'tinyint(1)', { default: '1' }),
+    column('customers', 'created_at', 'timestamp', {
+      default: 'CURRENT_TIMESTAMP',
+      extra: 'DEFAULT_GENERATED',
+    }),
+    column('customers', 'updated_at', 'timestamp', {
+      nullable: true,
+      extra: 'on update CURRENT_TIMESTAMP',
+    }),
+    id('orders'),
+    column('orders', 'customer_id', 'int unsigned', { key: 'MUL' }),
+    column('orders', 'status', "enum('pending','paid','it''s late')", { default: 'pending' }),
+    column('orders', 'total', 'decimal(10,2)', { default: '0.00' }),
+    column('orders', 'notes', 'text', { nullable: true, comment: "Customer's notes" }),
+    column('orders', 'total_cents', 'int', { extra: 'STORED GENERATED' }),
+    column('orders', 'created_at', 'datetime(3)', {
+      default: 'CURRENT_TIMESTAMP(3)',
+      extra: 'DEFAULT_GENERATED',
+    }),
+    column('orders', 'deleted_at', 'datetime', { nullable: true }),
+    id('tags'),
+    column('tags', 'name', 'varchar(50)'),
+    column('order_tags', 'order_id', 'int unsigned', { key: 'PRI' }),
+    column('order_tags', 'tag_id', 'int unsigned', { key: 'PRI' }),
+    id('categories'),
+    column('categories', 'parent_id', 'int unsigned', { nullable: true, key: 'MUL' }),
+    column('audit_log', 'message', 'text'),
+    // Columns of views are not columns of a table
+    column('order_totals', 'total', 'decimal(10,2)'),
+  ],
+  indexes: [
+    ...index('customers', 'PRIMARY', ['id'], true),
+    ...index('customers', 'customers_email_unique', ['email'], true),
+    ...index('orders', 'PRIMARY', ['id'], true),
+    ...index('orders', 'orders_customer_id_status', ['customer_id', 'status']),
+    ...index('tags', 'PRIMARY', ['id'], true),
+    ...index('order_tags', 'PRIMARY', ['order_id', 'tag_id'], true),
+    ...index('order_tags', 'order_tags_tag_id', ['tag_id']),
+    ...index('categories', 'PRIMARY', ['id'], true),
+  ],
+  foreignKeys: [
+    foreignKey('orders', 'orders_customer_fk', 'customer_id', 'customers', {
+      onDelete: 'CASCADE',
+    }),
+    foreignKey('order_tags', 'order_tags_order_fk', 'order_id', 'orders', { onDelete: 'CASCADE' }),
+    foreignKey('order_tags', 'order_tags_tag_fk', 'tag_id', 'tags', { onDelete: 'CASCADE' }),
+    foreignKey('categories', 'categories_parent_fk', 'parent_id', 'categories', {
+      onDelete: 'SET NULL',
+    }),
+  ],
+};
+
+// Answers the INFORMATION_SCHEMA queries like a mysql2 connection
+const fakeConnection = () => ({
+  queries: [],
+  async query(sql, params) {
+    this.queries.push(params);
+    if (sql.includes('INFORMATION_SCHEMA.TABLES')) {
+      return [rows.tables.map(TABLE_NAME => ({ TABLE_NAME }))];
+    }
+    if (sql.includes('INFORMATION_SCHEMA.COLUMNS')) {
+      return [rows.columns];
+    }
+    if (sql.includes('INFORMATION_SCHEMA.STATISTICS')) {
+      return [rows.indexes];
+    }
+    return [rows.foreignKeys];
+  },
+  end: jest.fn(),
+});
+
+describe('Code Generator Database Import', () => {
+  let tempDir;
+  let schema;
+
+  beforeAll(async () => {
+    schema = await readDatabaseSchema(fakeConnection(), 'shop');
+  });
+
+  beforeEach(async () => {
+    tempDir = path.join(__dirname, '..', 'temp-code-gen-database-test');
+    await fs.mkdir(tempDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should read tables, keys, indexes and foreign keys from INFORMATION_SCHEMA', async () => {
+    const connection = fakeConnection();
+    await readDatabaseSchema(connection, 'shop');
+    expect(connection.queries).toEqual([['shop'], ['shop'], ['shop'], ['shop']]);
+
+    const orders = schema.find(table => table.name === 'orders');
+    expect(schema.map(table => table.name)).toEqual(rows.tables);
+    expect(orders.primaryKey).toEqual(['id']);
+    expect(orders.indexes).toEqual([
+      { name: 'orders_customer_id_status', unique: false, columns: ['customer_id', 'status'] },
+    ]);
+    expect(orders.foreignKeys).toEqual([
+      {
+        name: 'orders_customer_fk',
+        columns: ['customer_id'],
+        table: 'customers',
+        referencedColumns: ['id'],
+        onDelete: 'CASCADE',
+        onUpdate: 'RESTRICT',
+      },
+    ]);
+    expect(orders.columns.find(item => item.name === 'total_cents').generated).toBe(true);
+  });
+
+  test('should include referenced and join tables and skip tables without a single key', () => {
+    const models = databaseModels(schema, { tables: 'orders,audit_log' });
+
+    expect(
+      models.map(model => [model.table.name, model.modelName, model.routePath, model.crud])
+    ).toEqual([
+      ['customers', 'Customer', 'customers', undefined],
+      ['orders', 'Order', 'orders', true],
+      ['tags', 'Tag', 'tags', undefined],
+      ['order_tags', 'OrderTag', 'order-tags', undefined],
+      ['audit_log', 'AuditLog', 'audit-logs', undefined],
+    ]);
+    expect(models[4].skipped).toBe('it has no primary key');
+    expect(databaseModels(schema, { tables: ['order_tags'] })[2].skipped).toBe(
+      'it has a composite primary key'
+    );
+    expect(() => databaseModels(schema, { tables: 'orders,invoices' })).toThrow(
+      'Unknown table(s): invoices'
+    );
+  });
+
+  test('should map columns, timestamps and associations onto the Sequelize model', () => {
+    const models = databaseModels(schema);
+    const variables = Object.fromEntries(
+      models.map(model => [model.modelName, databaseTemplateVariables(model)])
+    );
+    const order = variables.Order;
+
+    expect(order.dbModelAttributes).toContain(
+      "  customerId: {\n    type: DataTypes.INTEGER.UNSIGNED,\n    allowNull: false,\n    field: 'customer_id',\n" +
+        "    references: {\n      model: 'customers',\n      key: 'id'\n    }\n  },"
+    );
+    expect(order.dbModelAttributes).toContain(
+      "type: DataTypes.ENUM('pending', 'paid', 'it\\'s late'),\n    allowNull: false,\n    defaultValue: 'pending'"
+    );
+    expect(order.dbModelAttributes).toContain("comment: 'Customer\\'s notes'");
+    expect(order.dbModelAttributes).toContain(
+      'type: DataTypes.DATE(3),\n    allowNull: false,\n    defaultValue: DataTypes.NOW'
+    );
+    expect(order.dbModelOptions).toBe(
+      [
+        "  tableName: 'orders',",
+        '  timestamps: true,',
+        '  updatedAt: false,',
+        '  paranoid: true, // Soft deletes',
+        '  indexes: [',
+        '    {',
+        "      name: 'orders_customer_id_status',",
+        "      fields: ['customer_id', 'status']",
+        '    }',
+        '  ]',
+      ].join('\n')
+    );
+    expect(variables.Customer.dbModelAttributes).toContain(
+      "  isActive: {\n    type: DataTypes.BOOLEAN,\n    allowNull: false,\n    defaultValue: true,\n    field: 'is_active'\n  },"
+    );
+
+    expect(order.dbModelAssociations).toBe(
+      [
+        '  Order.belongsTo(models.Customer, {',
+        "    foreignKey: 'customerId',",
+        "    onDelete: 'CASCADE',",
+        "    onUpdate: 'RESTRICT',",
+        "    as: 'customer'",
+        '  });',
+        '  Order.belongsToMany(models.Tag, {',
+        '    through: models.OrderTag,',
+        "    foreignKey: 'orderId',",
+        "    otherKey: 'tagId',",
+        "    as: 'tags'",
+        '  });',
+        '',
+      ].join('\n')
+    );
+    expect(variables.Customer.dbModelAssociations).toContain(
+      "  Customer.hasMany(models.Order, {\n    foreignKey: 'customerId',\n    as: 'orders'\n  });"
+    );
+    // A self reference needs aliases for both ends
+    expect(variables.Category.dbModelAssociations).toContain("as: 'parent'");
+    expect(variables.Category.dbModelAssociations).toContain(
+      "  Category.hasMany(models.Category, {\n    foreignKey: 'parentId',\n    as: 'parentCategories'\n  });"
+    );
+    expect(variables.AuditLog.dbRemoveId).toBe("AuditLog.removeAttribute('id');\n");
+  });
+
+  test('should keep named primary keys, column names and foreign key rules', () => {
+    const models = databaseModels(
+      schemaFromRows({
+        tables: ['customers', 'invoice_lines'],
+        columns: [
+          column('customers', 'customer_id', 'int unsigned', {
+            key: 'PRI',
+            extra: 'auto_increment',
+          }),
+          column('invoice_lines', 'line_id', 'bigint', { key: 'PRI', extra: 'auto_increment' }),
+          column('invoice_lines', 'customer_id', 'int unsigned', { key: 'MUL' }),
+        ],
+        foreignKeys: [
+          {
+            ...foreignKey('invoice_lines', 'invoice_lines_customer_fk', 'customer_id', 'customers'),
+            REFERENCED_COLUMN_NAME: 'customer_id',
+          },
+        ],
+      })
+    );
+    const [customer, line] = models.map(databaseTemplateVariables);
+
+    expect(customer.dbModelAttributes).toBe(
+      '  customerId: {\n    type: DataTypes.INTEGER.UNSIGNED,\n    allowNull: false,\n    primaryKey: true,\n' +
+        "    autoIncrement: true,\n    field: 'customer_id'\n  }"
+    );
+    expect(customer.dbModelOptions).toBe("  tableName: 'customers',\n  timestamps: false");
+    expect(customer.dbRemoveId).toBe('');
+    expect(customer.dbPrimaryKeyType).toBe('integer');
+    expect(line.dbModelAttributes).toContain(
+      "  customerId: {\n    type: DataTypes.INTEGER.UNSIGNED,\n    allowNull: false,\n    field: 'customer_id',\n" +
+        "    references: {\n      model: 'customers',\n      key: 'customer_id'\n    }\n  }"
+    );
+    expect(line.dbModelAssociations).toContain(
+      "  InvoiceLine.belongsTo(models.Customer, {\n    foreignKey: 'customerId',\n    onDelete: 'RESTRICT',\n" +
+        "    onUpdate: 'RESTRICT',\n    as: 'customer'\n  });"
+    );
+    expect(line.dbModelAttributes).not.toMatch(/createdBy|UUID/);
+  });
+
+  test('should validate only the columns clients write', () => {
+    const order = databaseTemplateVariables(
+      databaseModels(schema).find(model => model.modelName === 'Order')
+    );
+
+    expect(order.dbCreateRules.split('\n')).toEqual([
+      '  customerId: Joi.number().integer().min(0).max(4294967295).required(),',
+      "  status: Joi.string().valid('pending', 'paid', 'it\\'s late'),",
+      '  total: Joi.number().precision(2),',
+      '  notes: Joi.string().allow(null)',
+    ]);
+    expect(order.dbUpdateRules).toBe(order.dbCreateRules.replace('.required()', ''));
+    expect(order.dbSortFields).toBe("'id', 'customerId', 'createdAt'");
+    expect(order.dbWhereFilters).toContain('where.customerId = Number(query.customerId);');
+    expect(order.dbWhereFilters).toContain('where.status = query.status;');
+    expect(order.dbSequelizeImport).toBe('');
+  });
+
+  test('should generate models and CRUD for the selected tables', async () => {
+    const connection = fakeConnection();
+    const results = await quietly(() =>
+      generateFromDatabase({
+        connection,
+        database: 'shop',
+        tables: 'customers',
+        outputDir: tempDir,
+        author: 'Test',
+      })
+    );
+
+    expect(results.map(result => path.relative(tempDir, result.outputPath))).toEqual([
+      path.join('src', 'models', 'Customer.js'),
+      path.join('src', 'controllers', 'customerController.js'),
+      path.join('src', 'routes', 'customer.js'),
+      path.join('src', 'schemas', 'customer.js'),
+    ]);
+    results.forEach(result => {
+      expect(() => new vm.Script(result.content)).not.toThrow();
+    });
+    // The caller's connection stays open
+    expect(connection.end).not.toHaveBeenCalled();
+
+    const [model, controller, route, schemas] = results.map(result => result.content);
+    expect(model).toContain("  tableName: 'customers',\n  timestamps: true,\n  indexes: [");
+    expect(controller).toContain("const sortFields = ['id', 'email', 'createdAt', 'updatedAt'];");
+    expect(controller).toContain(
+      "const { page = 1, limit = 10, sort = 'createdAt', order = 'desc' } = req.query;"
+    );
+    expect(controller).toContain('{ email: { [Op.like]: `%${query.search}%` } }');
+    expect(route).toContain(' * @route GET /api/customers/:id\n');
+    expect(route).toContain(' * @param {integer} id - customer id\n');
+    expect(schemas).toContain('  email: Joi.string().max(255).required(),\n');
+    expect(schemas).toContain('  isActive: Joi.boolean()\n});');
+  });
+
+  test('should need a database name', async () => {
+    const database = process.env.DB_NAME;
+    delete process.env.DB_NAME;
+    try {
+      await expect(
+        quietly(() => generateFromDatabase({ connection: fakeConnection(), outputDir: tempDir }))
+      ).rejects.toThrow('Name the database with --database or DB_NAME');
+    } finally {
+      if (database !== undefined) {
+        process.env.DB_NAME = database;
+      }
+    }
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Code Generator Domain File Tests
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const vm = require('vm');
+const yaml = require('js-yaml');
+const { parseEndpoints, readDomain } = require('../../scripts/code-gen-domain');
+const { generateCode, applyDomain } = require('../../scripts/code-generator');
+
+const { quietly } = global.testHelpers;
+
+const domain = {
+  defaults: { seedCount: 3 },
+  entities: {
+    'order-item': { fields: { quantity: 'integer:required' } },
+    order: {
+      fields: { total: 'decimal(10,2):required' },
+      relations: { belongsTo: 'customer', hasMany: ['order-item'], manyToMany: ['tag'] },
+      endpoints: ['get', 'list'],
+    },
+    customer: { fields: ['email:email:required'], seedCount: 5 },
+    tag: { endpoints: false },
+  },
+};
+
+/**
+ * Every file under a directory with its content
+ */
+async function readTree(directory) {
+  const entries = await fs.readdir(directory, { recursive: true, withFileTypes: true });
+  const files = await Promise.all(
+    entries
+      .filter(entry => entry.isFile())
+      .map(async entry => {
+        const filePath = path.join(entry.parentPath || entry.path, entry.name);
+        return [path.relative(directory, filePath), await fs.readFile(filePath, 'utf8')];
+      })
+  );
+  return Object.fromEntries(files.sort());
+}
+
+describe('Code Generator Domain Files', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(__dirname, '..', 'temp-code-gen-domain-test');
+    await fs.mkdir(tempDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should order entities after their parents and complete both sides of relationships', () => {
+    const { defaults, entities } = readDomain(domain);
+    const byName = Object.fromEntries(entities.map(entity => [entity.name, entity]));
+
+    expect(defaults).toEqual({ seedCount: 3 });
+    expect(entities.map(entity => entity.name)).toEqual(['customer', 'order', 'order-item', 'tag']);
+    expect(byName['order-item'].relations).toEqual([{ type: 'belongsTo', target: 'order' }]);
+    expect(byName.tag.relations).toEqual([{ type: 'belongsToMany', target: 'order' }]);
+    // A parent is not nested under the entities it belongs to
+    expect(byName.customer.relations).toEqual([]);
+    expect(byName.customer.fields.map(field => field.name)).toEqual(['email']);
+    expect(byName.customer.options).toEqual({ seedCount: 5 });
+    expect(byName.tag.fields).toBeUndefined();
+    expect(byName.order.endpoints).toEqual(['list', 'get']);
+    expect(byName.tag.endpoints).toEqual([]);
+    expect(byName.customer.endpoints).toBeNull();
+  });
+
+  test('should reject domain files it cannot generate', () => {
+    expect(() => readDomain({ entity: {} })).toThrow('Domain file must define "entities"');
+    expect(() => readDomain({ entities: { order: { endpoint: ['list'] } } })).toThrow(
+      'Unknown key "endpoint" in entity order'
+    );
+    expect(() => readDomain({ entities: [{ name: 'tag' }, { name: 'tag' }] })).toThrow(
+      'Entity tag is declared twice'
+    );
+    expect(() =>
+      readDomain({
+        entities: {
+          order: { relations: { belongsTo: 'invoice' } },
+          invoice: { relations: { belongsTo: 'order' } },
+        },
+      })
+    ).toThrow('order, invoice belong to each other');
+    expect(() => parseEndpoints('list,patch')).toThrow('Unknown endpoint "patch"');
+    expect(parseEndpoints('delete, list')).toEqual(['list', 'delete']);
+  });
+
+  test('should leave unexposed endpoints, their tests and imports out of CRUD files', async () => {
+    const options = { outputDir: tempDir, endpoints: 'list,get', hasMany: 'order-item' };
+    const route = await quietly(() => generateCode('route', 'crud', 'order', options));
+    const test = await quietly(() => generateCode('test', 'controller', 'order', options));
+
+    expect(() => new vm.Script(route.content)).not.toThrow();
+    expect(route.content.match(/^router\.\w+\('[^']*'/gm)).toEqual([
+      "router.get('/'",
+      "router.get('/:id'",
+      "router.get('/:orderId/items'",
+      "router.post('/:orderId/items'",
+    ]);
+    expect(route.content).not.toContain('@route POST /api/orders\n');
+    expect(route.content).not.toContain("require('../schemas/order')");
+    expect(route.content).toContain(
+      '  orderController.getById\n);\n\n/**\n * @route GET /api/orders/:orderId/items\n'
+    );
+
+    expect(() => new vm.Script(test.content)).not.toThrow();
+    expect(test.content.match(/^ {2}describe\('[^']*'/gm)).toEqual([
+      "  describe('GET /api/orders'",
+      "  describe('GET /api/orders/:id'",
+      "  describe('Relationships'",
+    ]);
+    expect(test.content).toContain("test('should create item under the order'");
+
+    const typescript = await quietly(() =>
+      generateCode('route', 'crud', 'order', { ...options, endpoints: ['create'], lang: 'ts' })
+    );
+    expect(typescript.content).toContain(
+      "import { createOrderSchema, validate } from '../schemas/order';"
+    );
+    expect(typescript.content).not.toContain("router.get('/'");
+  });
+
+  test('should generate every entity in order, or nothing at all', async () => {
+    const domainPath = path.join(tempDir, 'domain.yaml');
+    const projectDir = path.join(tempDir, 'project');
+    const routesIndex = path.join(projectDir, 'src', 'routes', 'index.js');
+    await fs.writeFile(domainPath, yaml.dump(domain));
+    await fs.mkdir(path.dirname(routesIndex), { recursive: true });
+    await fs.writeFile(
+      routesIndex,
+      "const router = require('express').Router();\n\nmodule.exports = router;\n"
+    );
+    const before = await readTree(projectDir);
+
+    const plan = await quietly(() =>
+      applyDomain(domainPath, { outputDir: projectDir, dryRun: true })
+    );
+    expect(plan.map(entry => [entry.entityName, entry.files.length])).toEqual([
+      ['customer', 6],
+      ['order', 6],
+      ['order-item', 6],
+      ['tag', 2],
+    ]);
+    expect(plan[1].endpoints).toEqual(['list', 'get']);
+    expect(await readTree(projectDir)).toEqual(before);
+
+    const results = await quietly(() => applyDomain(domainPath, { outputDir: projectDir }));
+    const created = results
+      .filter(result => result.type === 'migration')
+      .map(result => path.basename(result.outputPath).replace(/^\d+-/, ''));
+    expect(created).toEqual([
+      'create-customers.js',
+      'create-orders.js',
+      'add-orders-customer-id-foreign-key.js',
+      'create-order-items.js',
+      'add-order-items-order-id-foreign-key.js',
+      'create-tags.js',
+      'create-order-tags.js',
+    ]);
+    expect(results.filter(result => result.type === 'route')).toHaveLength(3);
+    results
+      .filter(result => result.outputPath.endsWith('.js'))
+      .forEach(result => expect(() => new vm.Script(result.content)).not.toThrow());
+    expect(await fs.readFile(routesIndex, 'utf8')).toContain(
+      "router.use('/customers', customerRoutes);\nrouter.use('/orders', orderRoutes);\n" +
+        "router.use('/order-items', orderItemRoutes);\n"
+    );
+    const seeder = results.find(result => result.outputPath.endsWith('seed-customers.js'));
+    expect(seeder.content.match(/id: '/g)).toHaveLength(5);
+
+    // A failing entity puts back everything written before it, here the
+    // invoice files, migrations and route, and the regenerated customer
+    const generated = await readTree(projectDir);
+    await fs.writeFile(
+      domainPath,
+      yaml.dump({
+        entities: {
+          invoice: { fields: { total: 'decimal' }, relations: { belongsTo: 'customer' } },
+          customer: { fields: { email: 'email', name: 'string' } },
+          receipt: { orm: 'nosql' },
+        },
+      })
+    );
+    await expect(
+      quietly(() => applyDomain(domainPath, { outputDir: projectDir, force: true }))
+    ).rejects.toThrow('Unknown persistence target: nosql');
+    expect(await readTree(projectDir)).toEqual(generated);
+  });
+});
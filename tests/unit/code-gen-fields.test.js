@@ -0,0 +1,224 @@
+/**
+ * Code Generator Field Definition Tests
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const vm = require('vm');
+const express = require('express');
+const request = require('supertest');
+const {
+  parseFieldSpec,
+  fieldsFromEntity,
+  resolveFields,
+  fieldTemplateVariables,
+} = require('../../scripts/code-gen-fields');
+const { generateCRUD } = require('../../scripts/code-generator');
+
+const { quietly, loadModule } = global.testHelpers;
+
+const names = { entityName: 'Product', pascal: 'Product', plural: 'products' };
+
+describe('Code Generator Fields', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(__dirname, '..', 'temp-code-gen-test');
+    await fs.mkdir(tempDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('Field specifications', () => {
+    test('should parse types, arguments and modifiers', () => {
+      const fields = parseFieldSpec(
+        'title:string:required,price:decimal(10,2):min=0,sku:string(64):unique,kind:enum(a,b):default=a'
+      );
+
+      expect(fields).toEqual([
+        { name: 'title', type: 'string', length: 255, required: true, unique: false, index: false },
+        {
+          name: 'price',
+          type: 'decimal',
+          precision: 10,
+          scale: 2,
+          min: 0,
+          required: false,
+          unique: false,
+          index: false,
+        },
+        { name: 'sku', type: 'string', length: 64, required: false, unique: true, index: false },
+        {
+          name: 'kind',
+          type: 'enum',
+          values: ['a', 'b'],
+          default: 'a',
+          required: false,
+          unique: false,
+          index: false,
+        },
+      ]);
+    });
+
+    test('should reject unknown types, modifiers and reserved names', () => {
+      expect(() => parseFieldSpec('title:varchar')).toThrow('Unknown type "varchar"');
+      expect(() => parseFieldSpec('title:string:nullable')).toThrow('Unknown modifier');
+      expect(() => parseFieldSpec('id:uuid')).toThrow('generated automatically');
+      expect(() => parseFieldSpec('a:string,a:text')).toThrow('defined more than once');
+    });
+
+    test('should read fields from entity mappings and lists', () => {
+      expect(
+        fieldsFromEntity({
+          fields: { title: 'string:required', price: { type: 'decimal', scale: 3 } },
+        }).map(field => [field.name, field.type, field.required, field.scale])
+      ).toEqual([
+        ['title', 'string', true, undefined],
+        ['price', 'decimal', false, 3],
+      ]);
+      expect(fieldsFromEntity({ fields: ['sku:string:unique'] })[0].unique).toBe(true);
+    });
+
+    test('should load JSON and YAML entity files', async () => {
+      const yamlFile = path.join(tempDir, 'product.yaml');
+      await fs.writeFile(yamlFile, 'fields:\n  title: string:required\n  active: boolean\n');
+      const jsonFile = path.join(tempDir, 'product.json');
+      await fs.writeFile(
+        jsonFile,
+        JSON.stringify({ fields: [{ name: 'count', type: 'integer' }] })
+      );
+
+      expect((await resolveFields(yamlFile)).map(field => field.name)).toEqual(['title', 'active']);
+      expect((await resolveFields(jsonFile))[0].type).toBe('integer');
+    });
+
+    test('should default to name, description, status and metadata', async () => {
+      const fields = await resolveFields();
+
+      expect(fields.map(field => field.name)).toEqual([
+        'name',
+        'description',
+        'status',
+        'metadata',
+      ]);
+    });
+  });
+
+  describe('Template variables', () => {
+    const variables = fieldTemplateVariables(
+      parseFieldSpec('title:string:required,price:decimal(10,2),category:enum(books,games)'),
+      names
+    );
+
+    test('should render model attributes and Joi rules', () => {
+      expect(variables.modelAttributes).toContain('type: DataTypes.DECIMAL(10, 2)');
+      expect(variables.modelAttributes).toContain("type: DataTypes.ENUM('books', 'games')");
+      expect(variables.commonRules).toContain('title: Joi.string().min(1).max(255).required(),');
+      expect(variables.updateRules).toContain('title: commonRules.title.optional()');
+      expect(variables.sortFields).toBe("'title', 'price', 'category', 'createdAt', 'updatedAt'");
+    });
+
+    test('should render filters for searchable and enumerated fields', () => {
+      expect(variables.whereFilters).toContain(
+        "{ field: 'title', operator: 'contains', value: query.search }"
+      );
+      expect(variables.whereFilters).toContain(
+        "where.push({ field: 'category', operator: 'eq', value: query.category });"
+      );
+      expect(variables.queryRules).toContain(
+        "category: Joi.string().valid('books', 'games').optional(),"
+      );
+      expect(variables.filterParams).toContain(
+        ' * @param {string} [category] - Filter by category (books, games)'
+      );
+    });
+
+    test('should build test data from the fields', () => {
+      expect(variables.testCreateData).toContain("title: 'New Product'");
+      expect(variables.testUpdateBody).toBe("{ title: 'Updated Product' }");
+      expect(variables.testInvalidUpdate).toBe("{ title: '' }");
+      expect(variables.testSortAssertion).toBe(
+        "expect(response.body.products[0].title).toBe('Alpha Product');"
+      );
+    });
+  });
+
+  test('should thread fields through every generated CRUD file', async () => {
+    const results = await quietly(() =>
+      generateCRUD('product', {
+        outputDir: tempDir,
+        author: 'Tester',
+        fields: 'title:string:required,price:decimal(10,2):min=0,sku:string(64):unique',
+      })
+    );
+
+    const byType = Object.fromEntries(results.map(result => [result.type, result.content]));
+    expect(byType.model).toContain('sku: {\n    type: DataTypes.STRING(64),');
+    expect(byType.model).not.toContain('status');
+    expect(byType.controller).toContain(
+      "{ field: 'sku', operator: 'contains', value: query.search }"
+    );
+    expect(byType.middleware).toContain('price: Joi.number().precision(2).min(0).optional(),');
+    expect(byType.route).toContain(' * @param {string} [search] - Search title, sku');
+    expect(byType.test).toContain("sku: 'Test sku'");
+
+    ['model', 'controller', 'route', 'middleware', 'test'].forEach(type => {
+      expect(() => new vm.Script(byType[type])).not.toThrow();
+    });
+  });
+
+  test('should validate created records against the create schema', async () => {
+    const results = await quietly(() =>
+      generateCRUD('product', { outputDir: tempDir, fields: 'title:string:required' })
+    );
+    const route = results.find(result => result.type === 'route').content;
+    expect(route).toContain(
+      "const { createProductSchema, updateProductSchema } = require('../schemas/product');"
+    );
+
+    const requireTitle = {
+      validate: body => (body.title ? {} : { error: { details: ['"title" is required'] } }),
+    };
+    const created = jest.fn((req, res) => res.status(201).json(req.body));
+    const router = loadModule(route, {
+      express,
+      '../controllers/productController': {
+        getAll: jest.fn(),
+        getById: jest.fn(),
+        create: created,
+        update: jest.fn(),
+        delete: jest.fn(),
+      },
+      '../middleware/auth': { authenticate: (req, res, next) => next() },
+      '../middleware/validate': {
+        validate: schema => (req, res, next) =>
+          schema.validate(req.body).error ? res.status(400).json({}) : next(),
+      },
+      '../schemas/product': { createProductSchema: requireTitle, updateProductSchema: {} },
+    });
+    const app = express().use(express.json()).use('/api/products', router);
+
+    await request(app).post('/api/products').send({ price: 1 }).expect(400);
+    expect(created).not.toHaveBeenCalled();
+    await request(app).post('/api/products').send({ title: 'Lamp' }).expect(201);
+  });
+
+  test('should generate valid identifiers for multi-word entities', async () => {
+    const results = await quietly(() =>
+      generateCRUD('OrderItem', {
+        outputDir: tempDir,
+        fields: 'quantity:integer:required,note:string',
+      })
+    );
+
+    const byType = Object.fromEntries(results.map(result => [result.type, result.content]));
+    expect(byType.controller).toContain('const [orderItems, count] = await Promise.all([');
+    expect(byType.test).toContain('expect(response.body.orderItems[0].note)');
+
+    ['model', 'controller', 'route', 'middleware', 'test'].forEach(type => {
+      expect(() => new vm.Script(byType[type])).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Code Generator GraphQL Tests
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const vm = require('vm');
+const { generateCode, generateGraphQL, destroyEntity } = require('../../scripts/code-generator');
+
+const { quietly, loadModule } = global.testHelpers;
+
+const order = {
+  fields:
+    'total:decimal(10,2):required,status:enum(pending,paid):required:default=pending,' +
+    'stage:enum(in-transit,delivered),note:text,placedAt:datetime,metadata:json',
+  belongsTo: 'customer',
+  hasMany: 'order-item',
+  manyToMany: 'tag',
+};
+
+/**
+ * The SDL a generated type definitions module exports
+ */
+const exportedSchema = content => loadModule(content);
+
+describe('Code Generator GraphQL', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(__dirname, '..', 'temp-code-gen-graphql-test');
+    await fs.mkdir(tempDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should describe the entity, its inputs and its connection from the field spec', async () => {
+    const result = await quietly(() =>
+      generateCode('graphql', 'typeDefs', 'order', { ...order, outputDir: tempDir })
+    );
+    const schema = exportedSchema(result.content);
+
+    expect(result.outputPath).toBe(path.join(tempDir, 'src', 'graphql', 'typeDefs', 'order.js'));
+    expect(schema).toContain(
+      '  type Order {\n    id: ID!\n    total: String!\n    status: OrderStatus!\n' +
+        '    stage: String\n    note: String\n    placedAt: DateTime\n    metadata: JSON\n' +
+        '    customerId: ID!\n    customer: Customer\n    items: [OrderItem!]!\n    tags: [Tag!]!\n' +
+        '    createdAt: DateTime!\n    updatedAt: DateTime!\n  }\n'
+    );
+    // Values that are not GraphQL names stay strings
+    expect(schema).toContain('  enum OrderStatus {\n    pending\n    paid\n  }\n');
+    expect(schema).not.toContain('enum OrderStage');
+    expect(schema).toContain('    edges: [OrderEdge!]!\n    pageInfo: PageInfo!\n');
+    // Required fields with a default can be left out of the create input
+    expect(schema).toContain(
+      '  input CreateOrderInput {\n    total: String!\n    status: OrderStatus\n'
+    );
+    expect(schema).toContain('  input UpdateOrderInput {\n    total: String\n');
+    expect(schema).toContain(
+      '  input OrderFilter {\n    search: String\n    status: OrderStatus\n    stage: String\n' +
+        '    customerId: ID\n  }\n'
+    );
+    expect(schema).toContain(
+      '  enum OrderSortField {\n    total\n    status\n    stage\n    placedAt\n'
+    );
+    expect(schema).toContain(
+      '      after: String\n      filter: OrderFilter\n      sort: OrderSortField = createdAt\n'
+    );
+    expect(schema).toContain('    updateOrder(id: ID!, input: UpdateOrderInput!): Order\n');
+
+    const plain = await quietly(() =>
+      generateCode('graphql', 'typeDefs', 'note', { fields: 'rating:float', outputDir: tempDir })
+    );
+    expect(plain.content).not.toContain('NoteFilter');
+    expect(plain.content).toContain('      after: String\n      sort: NoteSortField = createdAt\n');
+  });
+
+  test('should load related records through the request loaders', async () => {
+    const result = await quietly(() =>
+      generateCode('graphql', 'resolvers', 'order', { ...order, outputDir: tempDir })
+    );
+
+    expect(() => new vm.Script(result.content)).not.toThrow();
+    expect(result.outputPath).toBe(path.join(tempDir, 'src', 'graphql', 'resolvers', 'order.js'));
+    // Many-to-many goes through the Order association, so Tag is not needed
+    expect(result.content).toContain(
+      "const Order = require('../../models/Order');\n" +
+        "const Customer = require('../../models/Customer');\n" +
+        "const OrderItem = require('../../models/OrderItem');\n\n"
+    );
+    expect(result.content).toContain("const searchFields = ['note'];");
+    expect(result.content).toContain('loaders.byId(Customer).load(parent.customerId)');
+    expect(result.content).toContain("loaders.byForeignKey(OrderItem, 'orderId').load(parent.id)");
+    expect(result.content).toContain("loaders.byAssociation(Order, 'tags').load(parent.id)");
+    expect(result.content).toContain(
+      'return paginate(Order, { where: buildWhere(filter), first, after, sort, order });'
+    );
+
+    const plain = await quietly(() =>
+      generateCode('graphql', 'resolvers', 'note', { fields: 'rating:float', outputDir: tempDir })
+    );
+    expect(() => new vm.Script(plain.content)).not.toThrow();
+    expect(plain.content).toContain('    }\n  }\n};\n');
+    expect(plain.content).not.toContain('Note: {');
+  });
+
+  test('should generate the model and migrations with the schema, and destroy them together', async () => {
+    const results = await quietly(() =>
+      generateGraphQL('customer', { fields: 'email:email:required', outputDir: tempDir })
+    );
+
+    expect(results.map(result => [result.type, path.relative(tempDir, result.outputPath)])).toEqual(
+      [
+        ['model', path.join('src', 'models', 'Customer.js')],
+        ['graphql', path.join('src', 'graphql', 'typeDefs', 'customer.js')],
+        ['graphql', path.join('src', 'graphql', 'resolvers', 'customer.js')],
+        ['migration', expect.stringMatching(/create-customers\.js$/)],
+        ['seeder', expect.stringMatching(/seed-customers\.js$/)],
+      ]
+    );
+
+    const destroyed = await quietly(() => destroyEntity('customer', { outputDir: tempDir }));
+    expect(destroyed.map(result => result.status)).toEqual(['deleted', 'deleted', 'deleted']);
+    expect(await fs.readdir(path.join(tempDir, 'src', 'graphql', 'typeDefs'))).toEqual([]);
+  });
+});
@@ -0,0 +1,357 @@
+/**
+ * Code Generator Record Lifecycle Tests
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const vm = require('vm');
+const { parseLifecycleOptions } = require('../../scripts/code-gen-lifecycle');
+const { tableSchemaFromModel } = require('../../scripts/code-gen-migrations');
+const { generateCode, generateCRUD } = require('../../scripts/code-generator');
+
+const { quietly, loadModule, loadController: loadGenerated } = global.testHelpers;
+
+const fields = 'title:string:required,status:enum(pending,paid)';
+
+const lifecycle = { softDelete: true, optimisticLocking: true, audit: true };
+
+/**
+ * Load a generated controller with a repository that stores the given
+ * record; writes based on another version, or set to `failWith`, throw
+ */
+const loadController = (content, record) => {
+  const calls = [];
+  const write =
+    (name, result) =>
+    async (id, ...args) => {
+      calls.push([name, id, ...args]);
+      if (id !== record.id) {
+        return null;
+      }
+      const { version } = args[args.length - 1];
+      if (record.failWith || (version !== undefined && version !== record.version)) {
+        throw record.failWith || Object.assign(new Error('stale'), { name: 'StaleWriteError' });
+      }
+      return result(...args);
+    };
+  const repository = {
+    findById: async (id, options) => {
+      calls.push(['findById', id, options]);
+      return id === record.id ? record : null;
+    },
+    update: write('update', data => ({ ...record, ...data })),
+    remove: write('remove', () => true),
+    restore: write('restore', () => record),
+    findHistory: async id => {
+      calls.push(['findHistory', id]);
+      return [];
+    },
+  };
+  const controller = loadGenerated(content, { '../repositories/orderRepository': repository });
+  return { controller, calls };
+};
+
+/**
+ * Call a handler with the given request headers
+ */
+const call = async (handler, { id, headers = {}, body = {} }) => {
+  const res = { headers: {}, statusCode: 200 };
+  res.set = (name, value) => (res.headers[name.toLowerCase()] = value);
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = payload => (res.body = payload);
+  res.send = () => res;
+  const req = {
+    params: { id },
+    body,
+    user: { id: 'user-1' },
+    get: name => headers[name],
+  };
+  let error = null;
+  await handler(req, res, caught => (error = caught));
+  return { res, error };
+};
+
+/**
+ * Load the generated AuditLog model with a define that returns a fake model
+ */
+const loadAuditLog = content => {
+  const created = [];
+  const DataTypes = new Proxy(() => {}, { get: () => () => {} });
+  const AuditLog = loadModule(content, {
+    sequelize: { DataTypes },
+    '../config/database': {
+      sequelize: {
+        define: () => ({
+          create: async (values, options) => created.push({ values, options }),
+        }),
+      },
+    },
+  });
+  return { AuditLog, created };
+};
+
+/**
+ * A model instance as the audit hooks see it
+ */
+const hookedRecord = (values, previous = {}) => ({
+  id: values.id,
+  constructor: { name: 'Order' },
+  get: () => ({ ...values }),
+  changed: () => (Object.keys(previous).length > 0 ? Object.keys(previous) : false),
+  previous: name => previous[name],
+});
+
+describe('Code Generator Record Lifecycle', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(__dirname, '..', 'temp-code-gen-lifecycle-test');
+    await fs.mkdir(tempDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should leave the generated files as they were by default', async () => {
+    expect(parseLifecycleOptions()).toEqual({
+      softDelete: false,
+      optimisticLocking: false,
+      audit: false,
+      custom: false,
+    });
+
+    const controller = await quietly(() =>
+      generateCode('controller', 'crud', 'order', { fields, outputDir: tempDir })
+    );
+    expect(controller.content).toContain(
+      '    const order = await orderRepository.update(id, updateData, {\n      userId: req.user.id\n    });\n'
+    );
+    expect(controller.content).toContain(
+      '    const deleted = await orderRepository.remove(id, {\n      userId: req.user.id\n    });\n'
+    );
+    expect(controller.content).toContain('  delete: deleteFn\n};');
+    expect(controller.content).not.toContain('etagOf');
+  });
+
+  test('should version the model, audit it and migrate both tables', async () => {
+    const results = await quietly(() =>
+      generateCRUD('order', { fields, ...lifecycle, outputDir: tempDir })
+    );
+    const model = results.find(
+      result => result.type === 'model' && result.template === 'sequelize'
+    );
+
+    expect(model.content).toContain("const AuditLog = require('./AuditLog');\n");
+    expect(model.content).toContain('  version: true, // Optimistic locking\n');
+    expect(model.content).toContain(
+      "    afterUpdate: (order, options) => AuditLog.record('update', order, options),\n"
+    );
+    expect(tableSchemaFromModel(model.content).columns.version).toBe(
+      'INT UNSIGNED NOT NULL DEFAULT 0'
+    );
+
+    // One shared audit table, without a seeder
+    const files = results.map(result => path.relative(tempDir, result.outputPath));
+    expect(files).toContain(path.join('src', 'models', 'AuditLog.js'));
+    expect(files.filter(file => /audit-logs/.test(file))).toEqual([
+      expect.stringMatching(/create-audit-logs\.js$/),
+    ]);
+    const auditLog = results.find(result => result.template === 'audit');
+    expect(tableSchemaFromModel(auditLog.content)).toMatchObject({
+      table: 'auditLogs',
+      columns: { changes: 'JSON NOT NULL', createdAt: 'DATETIME(3) NOT NULL' },
+    });
+
+    const invoice = await quietly(() =>
+      generateCRUD('invoice', { fields, audit: true, outputDir: tempDir })
+    );
+    expect(invoice.find(result => result.template === 'audit').status).toBe('unchanged');
+    expect(invoice.some(result => /audit-logs/.test(result.outputPath))).toBe(false);
+  });
+
+  test('should record the values each change made', async () => {
+    const { content } = await quietly(() =>
+      generateCode('model', 'audit', 'audit-log', { outputDir: tempDir })
+    );
+    const { AuditLog, created } = loadAuditLog(content);
+    const deletedAt = new Date('2024-01-02T00:00:00Z');
+
+    await AuditLog.record('create', hookedRecord({ id: 'o-1', title: 'a', status: null }), {
+      userId: 'u-1',
+    });
+    await AuditLog.record(
+      'update',
+      hookedRecord(
+        { id: 'o-1', title: 'b', status: 'paid', version: 1 },
+        { title: 'a', version: 0 }
+      ),
+      { userId: 'u-2', transaction: 't' }
+    );
+    // Saving unchanged values records nothing
+    await AuditLog.record('update', hookedRecord({ id: 'o-1', title: 'b' }, { updatedAt: 1 }));
+    await AuditLog.record('delete', hookedRecord({ id: 'o-1', title: 'b', deletedAt }));
+    await AuditLog.record('restore', hookedRecord({ id: 'o-1', title: 'b', deletedAt: null }), {
+      deletedAt,
+    });
+    await AuditLog.record('delete', hookedRecord({ id: 'o-1', title: 'b' }), { force: true });
+
+    expect(created.map(({ values }) => [values.action, values.userId, values.changes])).toEqual([
+      ['create', 'u-1', { title: { before: null, after: 'a' } }],
+      ['update', 'u-2', { title: { before: 'a', after: 'b' } }],
+      ['delete', null, { deletedAt: { before: null, after: deletedAt } }],
+      ['restore', null, { deletedAt: { before: deletedAt, after: null } }],
+      ['delete', null, { title: { before: 'b', after: null } }],
+    ]);
+    expect(created[1].values).toMatchObject({ entityType: 'Order', entityId: 'o-1' });
+    expect(created[1].options).toEqual({ transaction: 't' });
+  });
+
+  test('should check If-Match, restore deleted records and read the history', async () => {
+    const { content } = await quietly(() =>
+      generateCode('controller', 'crud', 'order', { fields, ...lifecycle, outputDir: tempDir })
+    );
+    const record = { id: 'o-1', version: 3, deletedAt: null };
+    const { controller, calls } = loadController(content, record);
+
+    const found = await call(controller.getById, { id: 'o-1' });
+    expect(found.res.headers.etag).toBe('"3"');
+
+    // Of several tags the first counts
+    const stale = await call(controller.update, { id: 'o-1', headers: { 'If-Match': '"2", "3"' } });
+    expect([stale.error.statusCode, stale.error.message]).toEqual([
+      412,
+      'order has been modified; get it again before changing it',
+    ]);
+    const current = await call(controller.update, {
+      id: 'o-1',
+      headers: { 'If-Match': '"3"' },
+      body: { title: 'b' },
+    });
+    expect(current.error).toBeNull();
+    expect(current.res.headers.etag).toBe('"3"');
+    expect(calls.pop()).toEqual([
+      'update',
+      'o-1',
+      { title: 'b', updatedBy: 'user-1' },
+      { userId: 'user-1', version: 3 },
+    ]);
+    const invalid = await call(controller.delete, { id: 'o-1', headers: { 'If-Match': 'W/"3"' } });
+    expect(invalid.error.statusCode).toBe(412);
+    expect(calls.pop()).toEqual(['remove', 'o-1', { userId: 'user-1', version: -1 }]);
+
+    // Another request saved the record between reading and saving it
+    record.failWith = Object.assign(new Error('stale'), { name: 'StaleWriteError' });
+    const raced = await call(controller.delete, { id: 'o-1', headers: { 'If-Match': '*' } });
+    expect(raced.error.statusCode).toBe(412);
+    expect(calls.pop()).toEqual(['remove', 'o-1', { userId: 'user-1', version: undefined }]);
+    record.failWith = null;
+
+    const notDeleted = await call(controller.restore, { id: 'o-1' });
+    expect(notDeleted.error.statusCode).toBe(409);
+    record.deletedAt = new Date();
+    const restored = await call(controller.restore, { id: 'o-1' });
+    expect(restored.res.body).toEqual({ order: record });
+    expect(calls.slice(-2)).toEqual([
+      ['findById', 'o-1', { deleted: 'include' }],
+      ['restore', 'o-1', { userId: 'user-1' }],
+    ]);
+
+    await call(controller.getHistory, { id: 'o-1' });
+    expect(calls.pop()).toEqual(['findHistory', 'o-1']);
+    const missing = await call(controller.getHistory, { id: 'o-2' });
+    expect(missing.error.statusCode).toBe(404);
+  });
+
+  test('should document and test the options in the route, validation and tests', async () => {
+    const results = await quietly(() =>
+      generateCRUD('order', { fields, ...lifecycle, fieldsets: true, outputDir: tempDir })
+    );
+    const content = type => results.find(result => result.type === type).content;
+
+    const controller = content('controller');
+    expect(controller).toContain(
+      '        deleted: req.query.deleted,\n' +
+        '        fields: buildFields(req.query.fields)\n' +
+        '      }),\n' +
+        '      orderRepository.count({ where, deleted: req.query.deleted })\n'
+    );
+    // The ETag needs the version whatever fields are asked for
+    expect(controller).toContain("  return [...new Set(['id', 'version', ...selected])];");
+
+    const route = content('route');
+    expect(route).toContain(' * @param {string} [deleted] - include to list deleted orders');
+    expect(route).toContain(
+      ' * @header {string} [If-Match] - ETag of the order as last read\n' +
+        ' * @body {OrderUpdate} - Updated order data\n'
+    );
+    expect(route).toContain(' * @response 412 - order has been modified since it was read\n');
+    expect(route).toContain("router.post('/:id/restore',\n  authenticate,\n");
+    expect(route).toContain("router.get('/:id/history',\n  authenticate,\n");
+
+    const validation = content('middleware');
+    expect(validation).toContain("  deleted: Joi.string().valid('include', 'only').optional(),\n");
+
+    const tests = content('test');
+    expect(() => new vm.Script(tests)).not.toThrow();
+    expect(tests).toContain(
+      '      await orderRepository.remove(testOrder.id, { userId: testUser.id });\n' +
+        '      await orderRepository.restore(testOrder.id, { userId: testUser.id });\n'
+    );
+    expect(tests).toContain('.post(`/api/orders/${testOrder.id}/restore`)');
+    expect(tests).toContain(
+      ".set('If-Match', headers.etag)\n        .send({ title: 'Updated order' })"
+    );
+    expect(tests).toContain('.get(`/api/orders/${testOrder.id}/history`)');
+  });
+
+  test('should generate the options for TypeScript controllers', async () => {
+    const results = await quietly(() =>
+      generateCRUD('order', { fields, lang: 'ts', ...lifecycle, outputDir: tempDir })
+    );
+    const content = type => results.find(result => result.type === type).content;
+
+    const [model, auditLog] = results.filter(result => result.type === 'model');
+    expect(path.relative(tempDir, auditLog.outputPath)).toBe(
+      path.join('src', 'models', 'AuditLog.ts')
+    );
+    // The user goes to the audit hooks in the options of Sequelize's writes
+    expect(auditLog.content).toContain(
+      "declare module 'sequelize' {\n  interface Transactionable {\n"
+    );
+    expect(model.content).toContain("import { recordChange } from './AuditLog';\n");
+    expect(model.content).toContain(
+      "    afterCreate: (order, options) => recordChange('create', order, options),\n"
+    );
+    expect(
+      results.filter(result => result.type === 'migration').map(result => result.lang)
+    ).toEqual(['js', 'js']);
+
+    const controller = content('controller');
+    expect(controller).toContain(
+      'export const restore: AsyncHandler<Request<{ id: string }>> = async (req, res, next) => {'
+    );
+    expect(controller).toContain(
+      '    const order = await orderRepository.update(id, updateData, {\n' +
+        '      userId: req.user?.id,\n' +
+        '      version: expectedVersion(req)\n' +
+        '    }).catch(rejectStaleWrite);\n'
+    );
+    expect(controller).toContain(
+      'const etagOf = (record: Record<string, unknown>): string => `"${record.version}"`;'
+    );
+    expect(controller).toContain("throw new AppError('order is not deleted', 409);");
+
+    expect(content('repository')).toContain(
+      '  { userId, version, force = false, transaction }: WriteOptions & { force?: boolean } = {}\n'
+    );
+    expect(content('route')).toContain("router.post('/:id/restore',\n");
+    expect(content('middleware')).toContain(
+      "  deleted: Joi.string().valid('include', 'only').optional(),\n"
+    );
+    expect(content('test')).toContain('.get(`/api/orders/${testOrder.id}/history`)');
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Code Generator Re-generation Tests
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { mergeThreeWay, writeGeneratedFile } = require('../../scripts/code-gen-merge');
+const { generateCRUD } = require('../../scripts/code-generator');
+
+const { quietly } = global.testHelpers;
+
+const lines = (...values) => values.join('\n');
+
+describe('Code Generator Re-generation', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(__dirname, '..', 'temp-code-gen-merge-test');
+    await fs.mkdir(tempDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('Three-way merge', () => {
+    const base = lines('a', 'b', 'c', 'd', 'e');
+
+    test('should combine changes made on different lines', () => {
+      const current = lines('a', 'b (edited)', 'c', 'd', 'e', 'f');
+      const generated = lines('a', 'b', 'c', 'e');
+
+      expect(mergeThreeWay(base, current, generated)).toEqual({
+        content: lines('a', 'b (edited)', 'c', 'e', 'f'),
+        conflicts: 0,
+      });
+    });
+
+    test('should take identical changes once', () => {
+      const changed = lines('a', 'b', 'c2', 'd', 'e');
+
+      expect(mergeThreeWay(base, changed, changed).content).toBe(changed);
+    });
+
+    test('should mark lines changed differently on both sides', () => {
+      const current = lines('a', 'b', 'mine', 'd', 'e');
+      const generated = lines('a', 'b', 'theirs', 'd', 'e');
+
+      expect(mergeThreeWay(base, current, generated)).toEqual({
+        content: lines(
+          'a',
+          'b',
+          '<<<<<<< current',
+          'mine',
+          '||||||| previously generated',
+          'c',
+          '=======',
+          'theirs',
+          '>>>>>>> generated',
+          'd',
+          'e'
+        ),
+        conflicts: 1,
+      });
+    });
+
+    test('should mark every difference without a base', () => {
+      const { content, conflicts } = mergeThreeWay(
+        null,
+        lines('a', 'x', 'c'),
+        lines('a', 'c', 'y')
+      );
+
+      expect(conflicts).toBe(2);
+      expect(content).toBe(
+        lines(
+          'a',
+          '<<<<<<< current',
+          'x',
+          '=======',
+          '>>>>>>> generated',
+          'c',
+          '<<<<<<< current',
+          '=======',
+          'y',
+          '>>>>>>> generated'
+        )
+      );
+    });
+  });
+
+  describe('Writing generated files', () => {
+    test('should record, update, skip and overwrite files', async () => {
+      const file = path.join(tempDir, 'src', 'thing.js');
+      const pristine = path.join(tempDir, '.code-gen', 'pristine', 'src', 'thing.js');
+      const write = (content, options = {}) =>
+        writeGeneratedFile(file, content, { basePath: tempDir, ...options });
+
+      expect(await write('one\n')).toEqual({ status: 'created', conflicts: 0 });
+      expect(await fs.readFile(pristine, 'utf8')).toBe('one\n');
+      expect(await write('one\n')).toEqual({ status: 'unchanged', conflicts: 0 });
+      expect(await write('two\n')).toEqual({ status: 'updated', conflicts: 0 });
+
+      await fs.writeFile(file, 'mine\n');
+      expect(await write('three\n', { skipExisting: true })).toEqual({
+        status: 'skipped',
+        conflicts: 0,
+      });
+      expect(await fs.readFile(file, 'utf8')).toBe('mine\n');
+      expect(await write('three\n', { force: true })).toEqual({
+        status: 'overwritten',
+        conflicts: 0,
+      });
+      expect(await fs.readFile(file, 'utf8')).toBe('three\n');
+      await expect(write('four\n', { force: true, skipExisting: true })).rejects.toThrow(
+        '--force and --skip-existing cannot be used together'
+      );
+    });
+  });
+
+  test('should keep controller edits when a CRUD is generated again with new fields', async () => {
+    const options = { outputDir: tempDir, author: 'Tester', fields: 'title:string:required' };
+    const [, , controller] = await quietly(() => generateCRUD('book', options));
+    const edited = controller.content.replace(
+      'const limitNum = parseInt(limit, 10);',
+      'const limitNum = Math.min(parseInt(limit, 10), 50);'
+    );
+    expect(edited).not.toBe(controller.content);
+    await fs.writeFile(controller.outputPath, edited);
+
+    const results = await quietly(() =>
+      generateCRUD('book', { ...options, fields: 'title:string:required,isbn:string' })
+    );
+    const statuses = Object.fromEntries(results.map(result => [result.type, result.status]));
+
+    expect(statuses).toMatchObject({ model: 'updated', controller: 'merged', route: 'updated' });
+    expect(results.filter(result => result.type === 'migration')).toEqual([]);
+
+    const merged = await fs.readFile(controller.outputPath, 'utf8');
+    expect(merged).toContain('Math.min(parseInt(limit, 10), 50)');
+    expect(merged).toContain('isbn');
+  });
+});
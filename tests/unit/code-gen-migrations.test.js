@@ -0,0 +1,181 @@
+/**
+ * Code Generator Migration Tests
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const vm = require('vm');
+const {
+  createMigrationNamer,
+  tableSchemaFromModel,
+  renderCreateTable,
+  diffSchemas,
+  readLatestSchema,
+} = require('../../scripts/code-gen-migrations');
+const { generateCRUD, generateMigrationDiff } = require('../../scripts/code-generator');
+
+const { quietly } = global.testHelpers;
+
+const modelSource = `
+const Product = sequelize.define('Product', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true, allowNull: false },
+  title: { type: DataTypes.STRING(120), allowNull: false },
+  price: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+  kind: { type: DataTypes.ENUM('book', 'game'), defaultValue: 'book' },
+  sku: { type: DataTypes.STRING(64), unique: true },
+  active: { type: DataTypes.BOOLEAN, defaultValue: true },
+  metadata: { type: DataTypes.JSONB, defaultValue: {} },
+  updatedAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW }
+}, {
+  tableName: 'products',
+  paranoid: true,
+  indexes: [{ fields: ['kind'] }]
+});
+`;
+
+describe('Code Generator Migrations', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(__dirname, '..', 'temp-code-gen-migrations-test');
+    await fs.mkdir(tempDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('Table schemas', () => {
+    test('should map model attributes to MySQL columns', () => {
+      const schema = tableSchemaFromModel(modelSource);
+
+      expect(schema.table).toBe('products');
+      expect(schema.primaryKey).toEqual(['id']);
+      expect(schema.columns).toEqual({
+        id: 'VARCHAR(36) NOT NULL',
+        inc: 'MEDIUMINT UNSIGNED NOT NULL AUTO_INCREMENT',
+        title: 'VARCHAR(120) NOT NULL',
+        price: 'DECIMAL(10,2) NOT NULL DEFAULT 0',
+        kind: "ENUM('book', 'game') NULL DEFAULT 'book'",
+        sku: 'VARCHAR(64) NULL DEFAULT NULL',
+        active: 'TINYINT(1) NULL DEFAULT 1',
+        metadata: 'JSON NULL DEFAULT NULL',
+        updatedAt: 'DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP',
+        deletedAt: 'DATETIME NULL DEFAULT NULL',
+      });
+      expect(schema.indexes).toEqual({
+        idx_products_inc: { columns: ['inc'], unique: false },
+        uq_products_sku: { columns: ['sku'], unique: true },
+        idx_products_kind: { columns: ['kind'], unique: false },
+      });
+    });
+
+    test('should render CREATE TABLE with the standard engine and collation', () => {
+      const sql = renderCreateTable(tableSchemaFromModel(modelSource));
+
+      expect(sql).toMatch(/^CREATE TABLE products \(\n {4}id VARCHAR\(36\) NOT NULL,/);
+      expect(sql).toContain('    PRIMARY KEY (id),\n    INDEX idx_products_inc (inc),');
+      expect(sql).toContain('    UNIQUE INDEX uq_products_sku (sku),');
+      expect(sql).toMatch(
+        /\) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_0900_ai_ci$/
+      );
+      expect(sql).not.toContain('`');
+    });
+
+    test('should reject reserved words as table and column names', () => {
+      expect(() =>
+        tableSchemaFromModel(modelSource.replace("tableName: 'products'", "tableName: 'groups'"))
+      ).toThrow('Table "groups" is a reserved SQL word');
+    });
+  });
+
+  describe('Schema diffs', () => {
+    const previous = tableSchemaFromModel(modelSource);
+
+    test('should return null when nothing changed', () => {
+      expect(diffSchemas(previous, tableSchemaFromModel(modelSource))).toBeNull();
+    });
+
+    test('should add, modify and drop columns and indexes in both directions', () => {
+      const next = tableSchemaFromModel(
+        modelSource
+          .replace('  sku: { type: DataTypes.STRING(64), unique: true },\n', '')
+          .replace('STRING(120)', 'STRING(200)')
+          .replace(
+            '  active:',
+            '  rating: { type: DataTypes.INTEGER, allowNull: true },\n  active:'
+          )
+      );
+
+      expect(diffSchemas(previous, next)).toEqual({
+        up: [
+          'DROP INDEX uq_products_sku',
+          'DROP COLUMN sku',
+          'MODIFY COLUMN title VARCHAR(200) NOT NULL',
+          'ADD COLUMN rating INT NULL DEFAULT NULL AFTER kind',
+        ],
+        down: [
+          'DROP COLUMN rating',
+          'MODIFY COLUMN title VARCHAR(120) NOT NULL',
+          'ADD COLUMN sku VARCHAR(64) NULL DEFAULT NULL AFTER kind',
+          'ADD UNIQUE INDEX uq_products_sku (sku)',
+        ],
+        dropped: ['sku'],
+      });
+    });
+  });
+
+  test('should keep migration timestamps after existing files', () => {
+    const next = createMigrationNamer(
+      ['20300101120000-create-products.js'],
+      new Date('2026-01-01T00:00:00Z')
+    );
+
+    expect(next('seed-products')).toBe('20300101120001-seed-products');
+    expect(next('create-tags')).toBe('20300101120002-create-tags');
+  });
+
+  test('should generate a create migration and seeder, then diff model edits', async () => {
+    const results = await quietly(() =>
+      generateCRUD('product', {
+        outputDir: tempDir,
+        author: 'Tester',
+        fields: 'title:string:required,price:decimal(10,2)',
+      })
+    );
+    const migration = results.find(result => result.type === 'migration');
+    const seeder = results.find(result => result.type === 'seeder');
+
+    expect(migration.outputPath).toMatch(/src\/migrations\/\d{14}-create-products\.js$/);
+    expect(migration.content).toContain('CREATE TABLE products (');
+    expect(seeder.outputPath).toMatch(/src\/seeders\/\d{14}-seed-products\.js$/);
+    expect(seeder.content).toContain("await queryInterface.bulkInsert('products', [");
+    [migration, seeder].forEach(result => {
+      expect(() => new vm.Script(result.content)).not.toThrow();
+    });
+
+    const migrationsDir = path.join(tempDir, 'src', 'migrations');
+    expect((await readLatestSchema(migrationsDir, 'products')).schema.columns.title).toBe(
+      'VARCHAR(255) NOT NULL'
+    );
+    expect(
+      await quietly(() => generateMigrationDiff('product', { outputDir: tempDir }))
+    ).toBeNull();
+
+    const modelPath = path.join(tempDir, 'src', 'models', 'Product.js');
+    const model = await fs.readFile(modelPath, 'utf8');
+    await fs.writeFile(modelPath, model.replace('DataTypes.STRING(255)', 'DataTypes.STRING(300)'));
+
+    const alter = await quietly(() => generateMigrationDiff('product', { outputDir: tempDir }));
+    expect(alter.outputPath).toMatch(/-alter-products\.js$/);
+    expect(alter.content).toContain(
+      'ALTER TABLE products\n          MODIFY COLUMN title VARCHAR(300) NOT NULL'
+    );
+    expect((await readLatestSchema(migrationsDir, 'products')).file).toMatch(
+      /-alter-products\.js$/
+    );
+    expect(
+      await quietly(() => generateMigrationDiff('product', { outputDir: tempDir }))
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * Code Generator OpenAPI Import Tests
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const vm = require('vm');
+const yaml = require('js-yaml');
+const {
+  loadOpenAPIDocument,
+  openapiGroups,
+  openapiTemplateVariables,
+} = require('../../scripts/code-gen-openapi');
+const { generateFromOpenAPI } = require('../../scripts/code-generator');
+
+const { quietly } = global.testHelpers;
+
+const spec = {
+  openapi: '3.0.3',
+  info: { title: 'Petstore', version: '1.0.0' },
+  servers: [{ url: 'https://petstore.example.com/v1' }],
+  security: [{ bearerAuth: [] }],
+  paths: {
+    '/pets': {
+      get: {
+        tags: ['pets'],
+        operationId: 'list-pets',
+        summary: 'List all pets',
+        parameters: [
+          { name: 'limit', in: 'query', schema: { type: 'integer', maximum: 100, default: 20 } },
+          { name: 'tag', in: 'query', schema: { type: 'array', items: { type: 'string' } } },
+        ],
+        responses: {
+          200: {
+            description: 'A list of pets',
+            content: {
+              'application/json': {
+                schema: { type: 'array', items: { $ref: '#/components/schemas/Pet' } },
+              },
+            },
+          },
+          401: { description: 'Unauthorized' },
+        },
+      },
+      post: {
+        tags: ['pets'],
+        operationId: 'createPet',
+        requestBody: {
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } },
+        },
+        responses: {
+          201: { description: 'Created' },
+          400: { description: 'Validation error' },
+        },
+      },
+    },
+    '/pets/{petId}': {
+      parameters: [
+        { name: 'petId', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } },
+      ],
+      delete: {
+        tags: ['pets'],
+        operationId: 'delete',
+        responses: { 204: { description: 'Deleted' } },
+      },
+    },
+    '/pets/mine': {
+      get: {
+        tags: ['pets'],
+        security: [{}, { bearerAuth: [] }],
+        responses: { 200: { description: 'Pets of the current user' } },
+      },
+    },
+    '/health': {
+      get: { security: [], responses: { 200: { description: 'OK' } } },
+    },
+  },
+  components: {
+    schemas: {
+      Pet: {
+        allOf: [
+          { $ref: '#/components/schemas/NewPet' },
+          {
+            type: 'object',
+            properties: { id: { type: 'string', format: 'uuid', readOnly: true } },
+          },
+        ],
+      },
+      NewPet: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 100 },
+          weight: { type: 'number', minimum: 0, exclusiveMinimum: true },
+          status: { type: 'string', enum: ['available', 'sold'], nullable: true },
+          parent: { $ref: '#/components/schemas/NewPet' },
+        },
+      },
+    },
+  },
+};
+
+describe('Code Generator OpenAPI Import', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(__dirname, '..', 'temp-code-gen-openapi-test');
+    await fs.mkdir(tempDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should group operations by tag and mount each router at their shared path', () => {
+    const groups = openapiGroups(spec);
+    const pets = groups.find(group => group.name === 'pets');
+
+    expect(groups.map(group => [group.name, group.mountPath])).toEqual([
+      ['pets', '/pets'],
+      ['health', '/health'],
+    ]);
+    // Static paths are routed before parameters, so /mine is not read as an id
+    expect(
+      pets.operations.map(operation => [operation.handler, operation.method, operation.routerPath])
+    ).toEqual([
+      ['listPets', 'get', '/'],
+      ['createPet', 'post', '/'],
+      ['getPetsMine', 'get', '/mine'],
+      ['deleteHandler', 'delete', '/:petId'],
+    ]);
+    expect(pets.operations[3].fullPath).toBe('/v1/pets/:petId');
+    expect(openapiGroups(spec, { basePath: '/api' })[0].operations[0].fullPath).toBe('/api/pets');
+    expect(openapiGroups(spec, { tags: 'health' }).map(group => group.name)).toEqual(['health']);
+  });
+
+  test('should render Joi schemas for parameters, bodies and the components they use', () => {
+    const variables = openapiTemplateVariables(openapiGroups(spec)[0], spec);
+
+    expect(variables.openapiSchemas).toContain(
+      [
+        'const newPetSchema = Joi.object({',
+        '  name: Joi.string().min(1).max(100).required(),',
+        '  weight: Joi.number().greater(0),',
+        "  status: Joi.string().valid('available', 'sold').allow(null),",
+        '  parent: Joi.any()',
+        '});',
+      ].join('\n')
+    );
+    // allOf parts are merged; read-only properties are dropped from requests
+    expect(variables.openapiSchemas).toContain(
+      '  parent: newPetSchema,\n  id: Joi.any().strip()\n});'
+    );
+    expect(variables.openapiSchemas).toContain(
+      [
+        'const listPetsQuerySchema = Joi.object({',
+        '  limit: Joi.number().integer().max(100).default(20),',
+        '  tag: Joi.array().items(Joi.string()).single()',
+        '});',
+      ].join('\n')
+    );
+    expect(variables.openapiSchemas.indexOf('const newPetSchema')).toBeLessThan(
+      variables.openapiSchemas.indexOf('const petSchema')
+    );
+    expect(variables.openapiRoutes).toContain(
+      "router.post('/',\n  authenticate,\n  validate(petSchema),\n  petsController.createPet\n);"
+    );
+    expect(variables.openapiRoutes).toContain(
+      "router.get('/mine',\n  optionalAuth,\n  petsController.getPetsMine\n);"
+    );
+  });
+
+  test('should generate routes, stubs, validation and tests for every tag', async () => {
+    const specPath = path.join(tempDir, 'openapi.yaml');
+    await fs.writeFile(specPath, yaml.dump(spec));
+
+    const results = await quietly(() =>
+      generateFromOpenAPI(specPath, { outputDir: tempDir, author: 'Test' })
+    );
+
+    expect(results.map(result => path.relative(tempDir, result.outputPath))).toEqual([
+      path.join('src', 'routes', 'pets.js'),
+      path.join('src', 'controllers', 'petsController.js'),
+      path.join('src', 'schemas', 'pets.js'),
+      path.join('tests', 'controllers', 'pets.test.js'),
+      path.join('src', 'routes', 'health.js'),
+      path.join('src', 'controllers', 'healthController.js'),
+      path.join('tests', 'controllers', 'health.test.js'),
+    ]);
+    results.forEach(result => {
+      expect(() => new vm.Script(result.content)).not.toThrow();
+    });
+
+    const [route, controller, , test] = results;
+    expect(route.content).toContain(
+      ' * @route DELETE /v1/pets/:petId\n * @summary deleteHandler\n * @tag pets\n' +
+        ' * @param {uuid} petId\n * @response 204 - Deleted\n * @security bearerAuth\n'
+    );
+    expect(controller.content).toContain(
+      ' * @param {number} [req.query.limit]\n * @param {string[]} [req.query.tag]\n'
+    );
+    expect(controller.content).toContain(
+      "  next(new AppError('listPets is not implemented', 501));"
+    );
+    expect(controller.content).toContain(
+      'module.exports = {\n  listPets,\n  createPet,\n  getPetsMine,\n  deleteHandler\n};'
+    );
+    expect(test.content).toContain(
+      "    test('should return 401 - Unauthorized', async () => {\n" +
+        '      await request(app)\n' +
+        "        .get('/v1/pets')\n" +
+        '        .expect(401);\n'
+    );
+    expect(test.content).toContain(
+      "        .send({ name: 'Sample name', weight: 0, status: 'available', parent: { name: 'Sample name' } })"
+    );
+
+    // The health check is public and takes no input: no auth, token or validation
+    expect(results[4].content).not.toContain('authenticate');
+    expect(results[4].content).not.toContain('validate');
+    expect(results[6].content).not.toContain('authToken');
+  });
+
+  test('should reject Swagger 2 documents and unknown tags', async () => {
+    const swaggerPath = path.join(tempDir, 'swagger.json');
+    await fs.writeFile(swaggerPath, JSON.stringify({ swagger: '2.0', paths: {} }));
+    await expect(loadOpenAPIDocument(swaggerPath)).rejects.toThrow(
+      'Only OpenAPI 3 documents are supported (found Swagger 2.0)'
+    );
+
+    const specPath = path.join(tempDir, 'openapi.json');
+    await fs.writeFile(specPath, JSON.stringify(spec));
+    await expect(
+      quietly(() => generateFromOpenAPI(specPath, { outputDir: tempDir, tag: 'store' }))
+    ).rejects.toThrow(`No operations tagged store in ${specPath}`);
+  });
+});
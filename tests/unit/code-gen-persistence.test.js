@@ -0,0 +1,278 @@
+/**
+ * Code Generator Persistence Target Tests
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const vm = require('vm');
+const { parseFieldSpec } = require('../../scripts/code-gen-fields');
+const {
+  persistenceTargets,
+  persistenceTemplateVariables,
+} = require('../../scripts/code-gen-persistence');
+const { generateCode, generateCRUD, caseConverter } = require('../../scripts/code-generator');
+
+const names = {
+  entityName: 'order-item',
+  entityCamelCase: 'orderItem',
+  entityPascalCase: 'OrderItem',
+  entityTableName: caseConverter.camelCase(caseConverter.pluralize('order-item')),
+};
+
+const { quietly } = global.testHelpers;
+
+describe('Code Generator Persistence Targets', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(__dirname, '..', 'temp-code-gen-persistence-test');
+    await fs.mkdir(tempDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('Template Variables', () => {
+    const fields = parseFieldSpec(
+      'title:string:required:unique,quantity:integer:index,active:boolean:default=true,' +
+        'status:enum(open,closed):default=open,kind:enum(in-store,online),meta:json'
+    );
+    const variables = persistenceTemplateVariables(fields, [], names);
+
+    test('should list the fields the repositories convert and search', () => {
+      expect(variables.repositorySearchFields).toBe("'title'");
+      expect(variables.repositoryJsonFields).toBe("'meta'");
+      expect(variables.repositoryBooleanFields).toBe("'active'");
+      expect(variables.repositoryExports).toBe('');
+    });
+
+    test('should export the history method of audited repositories', () => {
+      const audited = persistenceTemplateVariables(fields, [], names, { audit: true });
+
+      expect(audited.repositoryExports).toBe(',\n  findHistory');
+      expect(audited.sequelizeRepositoryImports).toBe(
+        "const AuditLog = require('../models/AuditLog');\n"
+      );
+      expect(audited.repositoryAuditCreate).toBe(
+        "  await recordChange(db, 'create', record.id, {}, record, options.userId);\n"
+      );
+    });
+
+    test('should render aligned Prisma fields, enums and indexes', () => {
+      expect(variables.prismaEnums).toBe('\nenum OrderItemStatus {\n  open\n  closed\n}\n');
+      expect(variables.prismaFields.split('\n')).toEqual([
+        '  id        String           @id @default(uuid()) @db.VarChar(36)',
+        '  title     String           @unique @db.VarChar(255)',
+        '  quantity  Int?',
+        '  active    Boolean?         @default(true)',
+        '  status    OrderItemStatus? @default(open)',
+        // Prisma enum values must be identifiers, so this one is stored as text
+        '  kind      String?          @db.VarChar(8)',
+        '  meta      Json?',
+        '  createdBy String?          @db.VarChar(36)',
+        '  updatedBy String?          @db.VarChar(36)',
+        '  createdAt DateTime         @default(now())',
+        '  updatedAt DateTime         @default(now()) @updatedAt',
+        '  deletedAt DateTime?',
+      ]);
+      expect(variables.prismaIndexes).toBe(
+        '  @@index([quantity])\n  @@index([createdBy])\n  @@index([createdAt])\n'
+      );
+    });
+
+    test('should render TypeORM columns', () => {
+      expect(variables.typeormColumns).toContain(
+        "    title: {\n      type: 'varchar',\n      length: 255,\n      nullable: false,\n      unique: true\n    },"
+      );
+      expect(variables.typeormColumns).toContain(
+        "    status: {\n      type: 'enum',\n      enum: ['open', 'closed'],\n      nullable: true,\n      default: 'open'\n    },"
+      );
+      expect(variables.typeormIndices).toBe("    {\n      columns: ['quantity']\n    },\n");
+    });
+  });
+
+  test('should generate the same controller for every target', async () => {
+    const fields = 'title:string:required,quantity:integer,meta:json';
+    const controllers = new Set();
+
+    for (const orm of persistenceTargets) {
+      const outputDir = path.join(tempDir, orm);
+      const results = await quietly(() =>
+        generateCRUD('order-item', { outputDir, fields, orm, author: 'Test' })
+      );
+      const byType = Object.fromEntries(results.map(result => [result.type, result]));
+
+      expect(path.relative(outputDir, byType.repository.outputPath)).toBe(
+        path.join('src', 'repositories', 'orderItemRepository.js')
+      );
+      expect(byType.repository.template).toBe(orm);
+      expect(byType.controller.template).toBe('crud');
+      ['repository', 'controller', 'route', 'middleware', 'test'].forEach(type => {
+        expect(() => new vm.Script(byType[type].content)).not.toThrow();
+      });
+      expect(byType.repository.content).toContain(
+        '  restore,\n  transaction: runInTransaction\n};'
+      );
+      controllers.add(byType.controller.content);
+
+      // Knex migrations are generated from the Sequelize model as well
+      expect(results.some(result => result.type === 'migration')).toBe(
+        ['sequelize', 'knex'].includes(orm)
+      );
+    }
+
+    expect(controllers.size).toBe(1);
+    const [controller] = controllers;
+    expect(controller).toContain(
+      "const orderItemRepository = require('../repositories/orderItemRepository');"
+    );
+    expect(controller).not.toContain('../models/');
+  });
+
+  test('should configure Knex and write its migrations', async () => {
+    const results = await quietly(() =>
+      generateCRUD('order-item', { outputDir: tempDir, fields: 'title:string', orm: 'knex' })
+    );
+    const configs = results.filter(result => result.type === 'config');
+
+    expect(configs.map(result => path.relative(tempDir, result.outputPath))).toEqual([
+      'knexfile.js',
+      path.join('src', 'config', 'knex.js'),
+    ]);
+    configs.forEach(config => expect(() => new vm.Script(config.content)).not.toThrow());
+    expect(configs[1].content).toContain("const config = require('../../knexfile');");
+
+    const [migration] = results.filter(result => result.type === 'migration');
+    expect(migration.content).toContain('  async up(knex) {\n    await knex.raw(`\n');
+    expect(migration.content).toContain('      CREATE TABLE orderItems (');
+    expect(results.some(result => result.type === 'seeder')).toBe(false);
+    expect(results.some(result => result.type === 'model')).toBe(false);
+
+    // Every entity shares the configuration, so a project's edits are kept
+    const knexfile = path.join(tempDir, 'knexfile.js');
+    await fs.appendFile(knexfile, '\n// edited\n');
+    const next = await quietly(() =>
+      generateCRUD('customer', { outputDir: tempDir, fields: 'name:string', orm: 'knex' })
+    );
+    expect(next.filter(result => result.type === 'config').map(result => result.status)).toEqual([
+      'skipped',
+      'skipped',
+    ]);
+    expect(await fs.readFile(knexfile, 'utf8')).toContain('// edited');
+  });
+
+  test('should give every target the methods of the relations and lifecycle options', async () => {
+    const results = await quietly(() =>
+      generateCRUD('order', {
+        outputDir: tempDir,
+        fields: 'title:string',
+        hasMany: 'item',
+        orm: 'knex',
+        softDelete: true,
+        optimisticLocking: true,
+        audit: true,
+      })
+    );
+    const byType = Object.fromEntries(results.map(result => [result.type, result]));
+
+    expect(byType.repository.content).toContain(
+      '  transaction: runInTransaction,\n  findHistory,\n  findRelated,\n  createRelated\n};'
+    );
+    expect(byType.repository.content).not.toContain('{{');
+    expect(() => new vm.Script(byType.repository.content)).not.toThrow();
+    expect(byType.controller.content).toContain(
+      "const items = await orderRepository.findRelated(order.id, 'items');"
+    );
+    expect(byType.controller.content).toContain(
+      'const order = await orderRepository.restore(id, { userId: req.user.id });'
+    );
+    expect(byType.controller.content).toContain('version: expectedVersion(req)');
+    expect(
+      results.filter(result => result.type === 'migration').map(result => result.content)
+    ).toEqual(expect.arrayContaining([expect.stringContaining('CREATE TABLE auditLogs (')]));
+  });
+
+  test('should generate TypeScript repositories and controllers', async () => {
+    const results = await quietly(() =>
+      generateCRUD('order-item', {
+        outputDir: tempDir,
+        fields: 'title:string',
+        orm: 'prisma',
+        lang: 'ts',
+      })
+    );
+    const byType = Object.fromEntries(results.map(result => [result.type, result]));
+
+    expect(path.relative(tempDir, byType.repository.outputPath)).toBe(
+      path.join('src', 'repositories', 'orderItemRepository.ts')
+    );
+    // The Prisma schema has no TypeScript template, so it is the JavaScript one
+    expect(path.relative(tempDir, byType.model.outputPath)).toBe(
+      path.join('prisma', 'schema', 'order-item.prisma')
+    );
+    expect(results.some(result => result.type === 'migration')).toBe(false);
+    expect(byType.repository.content).toContain("import { prisma } from '../config/prisma';");
+    // Prisma's take and skip are optional, so they are left out rather than undefined
+    expect(byType.repository.content).toContain(
+      '    ...(limit !== undefined && { take: limit }),\n' +
+        '    ...(offset !== undefined && { skip: offset }),\n' +
+        '    ...(fields && { select: Object.fromEntries(fields.map(field => [field, true])) })\n'
+    );
+    expect(byType.controller.content).toContain(
+      "import * as orderItemRepository from '../repositories/orderItemRepository';"
+    );
+    expect(byType.test.content).toContain(
+      "import * as orderItemRepository from '../src/repositories/orderItemRepository';"
+    );
+  });
+
+  test('should write Prisma schemas and TypeORM entities where those tools look', async () => {
+    const prisma = await quietly(() =>
+      generateCode('model', 'prisma', 'order-item', { outputDir: tempDir, fields: 'title:string' })
+    );
+    expect(path.relative(tempDir, prisma.outputPath)).toBe(
+      path.join('prisma', 'schema', 'order-item.prisma')
+    );
+    expect(prisma.content).toContain('model OrderItem {\n');
+    expect(prisma.content).toContain('  @@map("orderItems")\n}\n');
+
+    const typeorm = await quietly(() =>
+      generateCode('model', 'typeorm', 'order-item', { outputDir: tempDir, fields: 'title:string' })
+    );
+    expect(path.relative(tempDir, typeorm.outputPath)).toBe(
+      path.join('src', 'entities', 'OrderItem.js')
+    );
+    expect(() => new vm.Script(typeorm.content)).not.toThrow();
+    expect(typeorm.content).toContain("tableName: 'orderItems',");
+  });
+
+  test('should escape mysql2 identifiers', async () => {
+    const repository = await quietly(() =>
+      generateCode('repository', 'mysql2', 'order-item', {
+        outputDir: tempDir,
+        fields: 'title:string,notes:text',
+      })
+    );
+
+    expect(repository.content).toContain(
+      "parts.push(`?? ${comparisons[operator]} ${list ? '(?)' : '?'}`);"
+    );
+    expect(repository.content).toContain(
+      "order.map(([, direction]) => (direction === 'desc' ? '?? DESC' : '?? ASC'))"
+    );
+    expect(repository.content).toContain(
+      "await db.query('INSERT INTO ?? SET ?', [table, toRow({ ...data, id })]);"
+    );
+  });
+
+  test('should reject unknown targets', async () => {
+    await expect(
+      quietly(() =>
+        generateCRUD('item', { outputDir: tempDir, fields: 'title:string', orm: 'mongoose' })
+      )
+    ).rejects.toThrow(
+      'Unknown persistence target: mongoose (use sequelize, prisma, knex, typeorm, mysql2)'
+    );
+  });
+});
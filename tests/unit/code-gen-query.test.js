@@ -0,0 +1,306 @@
+/**
+ * Code Generator List Query Strategy Tests
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const vm = require('vm');
+const ts = require('typescript');
+const { parseQueryStrategies } = require('../../scripts/code-gen-query');
+const { generateCode, generateCRUD } = require('../../scripts/code-generator');
+
+const { quietly, loadController: loadGenerated } = global.testHelpers;
+
+const fields = 'title:string:required,status:enum(pending,paid),total:decimal(10,2),paid:boolean';
+
+const strategies = {
+  pagination: 'cursor',
+  filtering: 'operators',
+  sorting: 'multi',
+  fieldsets: true,
+  linkHeaders: true,
+};
+
+/**
+ * Load a generated controller with a repository that records its queries and
+ * returns the given records
+ */
+const loadController = (content, records) => {
+  const queries = [];
+  // Compiled TypeScript exports through exports rather than module.exports
+  const exports = {};
+  const repository = {
+    findAll: async options => {
+      queries.push(options);
+      return records.slice(0, options.limit);
+    },
+    count: async () => records.length,
+  };
+  const controller =
+    loadGenerated(
+      content,
+      { '../repositories/orderRepository': repository },
+      { Buffer, URL, exports }
+    ) ?? exports;
+  return { controller, queries };
+};
+
+/**
+ * Call a handler with a request for the given query string
+ */
+const list = async (controller, search) => {
+  const url = new URL(`http://localhost/api/orders${search}`);
+  const query = {};
+  url.searchParams.forEach((value, key) => {
+    // filter[total][gte]=5 as the extended query parser reads it
+    const [name, ...keys] = key.split(/\[|\]\[|\]$/).filter(Boolean);
+    let target = query;
+    [name, ...keys].slice(0, -1).forEach(part => {
+      target[part] = target[part] || {};
+      target = target[part];
+    });
+    target[[name, ...keys].pop()] = value;
+  });
+
+  const res = { headers: {} };
+  res.links = links => (res.headers.link = links);
+  res.json = body => (res.body = body);
+  const req = {
+    query,
+    originalUrl: `${url.pathname}${url.search}`,
+    protocol: 'http',
+    get: () => 'localhost',
+  };
+  let error = null;
+  await controller.getAll(req, res, caught => (error = caught));
+  return { res, error };
+};
+
+describe('Code Generator List Query Strategies', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(__dirname, '..', 'temp-code-gen-query-test');
+    await fs.mkdir(tempDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should default to the offset list endpoint and reject unknown strategies', async () => {
+    expect(parseQueryStrategies()).toEqual({
+      pagination: 'offset',
+      filtering: 'simple',
+      sorting: 'single',
+      fieldsets: false,
+      linkHeaders: false,
+      custom: false,
+    });
+    expect(() => parseQueryStrategies({ pagination: 'keyset' })).toThrow(
+      'Unknown pagination strategy "keyset" (use offset, cursor)'
+    );
+
+    const controller = await quietly(() =>
+      generateCode('controller', 'crud', 'order', { fields, outputDir: tempDir })
+    );
+    expect(controller.content).toContain(
+      "    const { page = 1, limit = 10, sort = 'createdAt', order = 'desc' } = req.query;\n"
+    );
+    expect(controller.content).toContain('        order: [[sort, order]],\n');
+    expect(controller.content).toContain('  if (query.status) {\n');
+    expect(controller.content).not.toContain('buildFilters');
+
+    const validation = await quietly(() =>
+      generateCode('middleware', 'validation', 'order', { fields, outputDir: tempDir })
+    );
+    expect(validation.content).toContain(
+      '  page: commonRules.page,\n  limit: commonRules.limit,\n  sort: commonRules.sort,\n' +
+        '  order: commonRules.order,\n'
+    );
+  });
+
+  test('should page through records with cursors, operator filters, sort lists and fieldsets', async () => {
+    const { content } = await quietly(() =>
+      generateCode('controller', 'crud', 'order', { fields, ...strategies, outputDir: tempDir })
+    );
+    const records = ['a', 'b', 'c'].map((title, index) => ({
+      id: `id-${index}`,
+      title,
+      createdAt: `2024-01-0${index + 1}`,
+    }));
+    const { controller, queries } = loadController(content, records);
+
+    const first = await list(
+      controller,
+      '?limit=2&sort=title,-createdAt&fields=status&filter[total][gte]=5&filter[paid]=true'
+    );
+    expect(first.error).toBeNull();
+    expect(queries[0]).toMatchObject({
+      limit: 3,
+      order: [
+        ['title', 'asc'],
+        ['createdAt', 'desc'],
+        ['id', 'asc'],
+      ],
+      fields: ['id', 'title', 'createdAt', 'status'],
+    });
+    expect(queries[0].where).toEqual([
+      { field: 'total', operator: 'gte', value: '5' },
+      { field: 'paid', operator: 'eq', value: true },
+    ]);
+    expect(first.res.body.orders.map(order => order.id)).toEqual(['id-0', 'id-1']);
+    expect(first.res.body.pagination).toMatchObject({ limit: 2, hasNext: true });
+
+    const { nextCursor } = first.res.body.pagination;
+    expect(first.res.headers.link).toEqual({
+      first:
+        'http://localhost/api/orders?limit=2&sort=title%2C-createdAt&fields=status&filter%5Btotal%5D%5Bgte%5D=5&filter%5Bpaid%5D=true',
+      next: expect.stringContaining(`&cursor=${nextCursor}`),
+    });
+
+    // The next page starts after the last record of the first
+    await list(controller, `?limit=2&sort=title,-createdAt&cursor=${nextCursor}`);
+    const equal = (field, value) => ({ field, operator: 'eq', value });
+    expect(queries[1].where).toEqual([
+      {
+        any: [
+          { all: [{ field: 'title', operator: 'gt', value: 'b' }] },
+          {
+            all: [equal('title', 'b'), { field: 'createdAt', operator: 'lt', value: '2024-01-02' }],
+          },
+          {
+            all: [
+              equal('title', 'b'),
+              equal('createdAt', '2024-01-02'),
+              { field: 'id', operator: 'gt', value: 'id-1' },
+            ],
+          },
+        ],
+      },
+    ]);
+
+    // The repository matches contains literally
+    await list(controller, '?filter[title][contains]=50%25_off&filter[status][in]=pending,paid');
+    expect(queries[2].where).toEqual([
+      { field: 'title', operator: 'contains', value: '50%_off' },
+      { field: 'status', operator: 'in', value: ['pending', 'paid'] },
+    ]);
+
+    const rejected = await Promise.all(
+      [
+        '?filter[secret][eq]=1',
+        '?filter[paid][gt]=1',
+        '?sort=unknown',
+        '?fields=password',
+        '?cursor=not-a-cursor',
+        `?sort=-title&cursor=${nextCursor}`,
+      ].map(search => list(controller, search))
+    );
+    expect(rejected.map(({ error }) => [error?.statusCode, error?.message])).toEqual([
+      [400, 'Cannot filter by secret'],
+      [400, 'Cannot filter paid with gt'],
+      [400, 'Cannot sort by unknown'],
+      [400, 'Unknown field: password'],
+      [400, 'Invalid cursor for this sort order'],
+      [400, 'Invalid cursor for this sort order'],
+    ]);
+  });
+
+  test('should link the other offset pages', async () => {
+    const { content } = await quietly(() =>
+      generateCode('controller', 'crud', 'order', { fields, linkHeaders: true, outputDir: tempDir })
+    );
+    const records = Array.from({ length: 5 }, (_, index) => ({ id: `id-${index}` }));
+    const { controller } = loadController(content, records);
+
+    const { res } = await list(controller, '?page=2&limit=2&status=paid');
+    expect(res.headers.link).toEqual({
+      first: 'http://localhost/api/orders?page=1&limit=2&status=paid',
+      last: 'http://localhost/api/orders?page=3&limit=2&status=paid',
+      prev: 'http://localhost/api/orders?page=1&limit=2&status=paid',
+      next: 'http://localhost/api/orders?page=3&limit=2&status=paid',
+    });
+  });
+
+  test('should emit the strategies in the route, validation and tests', async () => {
+    const results = await quietly(() =>
+      generateCRUD('order', { fields, ...strategies, outputDir: tempDir })
+    );
+    const content = type => results.find(result => result.type === type).content;
+
+    const route = content('route');
+    expect(route).toContain(
+      ' * @param {string} [cursor] - pagination.nextCursor of the previous page\n'
+    );
+    // Cursors resume from a sort value, so optional fields are not sortable
+    expect(route).toContain(
+      ' * @param {string} [sort=-createdAt] - Comma-separated sort fields, - for descending (title, createdAt, updatedAt)\n'
+    );
+    expect(route).toContain(' * @param {object} [filter] - Filters as filter[field][op]=value: ');
+    expect(route).toContain('with a Link header to the first and next pages');
+
+    const validation = content('middleware');
+    expect(() => new vm.Script(validation)).not.toThrow();
+    expect(validation).toContain(
+      "  sort: Joi.string().pattern(/^-?(title|createdAt|updatedAt)(,-?(title|createdAt|updatedAt))*$/).default('-createdAt'),\n"
+    );
+    expect(validation).toContain("    paid: filterRule(Joi.boolean(), ['eq', 'ne']),\n");
+    expect(validation).not.toContain('  page: commonRules.page,');
+
+    const tests = content('test');
+    expect(() => new vm.Script(tests)).not.toThrow();
+    expect(tests).toContain(
+      '.get(`/api/orders?limit=2&cursor=${response.body.pagination.nextCursor}`)'
+    );
+    expect(tests).toContain(".get('/api/orders?sort=title,-createdAt')");
+    expect(tests).toContain(".query({ filter: { title: { eq: 'Test order' } } })");
+    expect(tests).toContain("toEqual(['createdAt', 'id', 'title'])");
+  });
+
+  test('should generate the strategies in TypeScript', async () => {
+    const results = await quietly(() =>
+      generateCRUD('order', { fields, ...strategies, lang: 'ts', outputDir: tempDir })
+    );
+    const content = type => results.find(result => result.type === type).content;
+
+    const { outputText } = ts.transpileModule(content('controller'), {
+      compilerOptions: {
+        target: ts.ScriptTarget.ES2022,
+        module: ts.ModuleKind.CommonJS,
+        esModuleInterop: true,
+      },
+    });
+    const records = ['a', 'b', 'c'].map((title, index) => ({ id: `id-${index}`, title }));
+    const { controller, queries } = loadController(outputText, records);
+
+    const first = await list(controller, '?limit=2&sort=title&fields=status&filter[paid]=true');
+    expect(first.error).toBeNull();
+    expect(queries[0]).toEqual({
+      where: [{ field: 'paid', operator: 'eq', value: true }],
+      order: [
+        ['title', 'asc'],
+        ['id', 'asc'],
+      ],
+      limit: 3,
+      fields: ['id', 'title', 'status'],
+    });
+    expect(first.res.body.pagination).toMatchObject({ limit: 2, hasNext: true });
+    expect(first.res.headers.link.next).toContain('&cursor=');
+    const rejected = await list(controller, '?filter[paid][gt]=1');
+    expect(rejected.error.message).toBe('Cannot filter paid with gt');
+
+    expect(content('controller')).toContain(
+      'export interface OrderListQuery {\n  cursor?: string;\n'
+    );
+    expect(content('controller')).toContain('  filter?: unknown;\n');
+    expect(content('route')).toContain(
+      ' * @param {string} [cursor] - pagination.nextCursor of the previous page\n'
+    );
+    expect(content('middleware')).toContain(
+      'const filterRule = (rule: Joi.Schema, operators: string[]): Joi.AlternativesSchema =>\n'
+    );
+    expect(content('middleware')).toContain('  cursor: commonRules.cursor,\n');
+    expect(content('test')).toContain(".query({ filter: { title: { eq: 'Test order' } } })");
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Code Generator Route and Model Registration Tests
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { promisify } = require('util');
+const execFile = promisify(require('child_process').execFile);
+const {
+  registerRoute,
+  unregisterRoute,
+  registerModel,
+  unregisterModel,
+} = require('../../scripts/code-gen-registration');
+const { generateCode, generateCRUD, destroyEntity } = require('../../scripts/code-generator');
+
+const { quietly } = global.testHelpers;
+
+const route = { file: 'order-item', variable: 'orderItemRoutes', mountPath: '/order-items' };
+
+describe('Code Generator Route and Model Registration', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(__dirname, '..', 'temp-code-gen-registration-test');
+    await fs.mkdir(tempDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should mount a router next to the existing ones and take it out again', async () => {
+    const source = await fs.readFile(
+      path.join(__dirname, '..', '..', 'templates', 'default', 'src', 'routes', 'index.js'),
+      'utf8'
+    );
+    const registered = registerRoute(source, route);
+
+    expect(registered).toContain(
+      "const healthRoutes = require('./health');\n" +
+        "const orderItemRoutes = require('./order-item');\n" +
+        "// const userRoutes = require('./users');\n"
+    );
+    expect(registered).toContain(
+      "router.use('/health', healthRoutes);\n" +
+        "router.use('/order-items', orderItemRoutes);\n" +
+        "// router.use('/users', userRoutes);\n"
+    );
+    expect(registerRoute(registered, route)).toBe(registered);
+    expect(unregisterRoute(registered, 'order-item')).toBe(source);
+  });
+
+  test('should follow the import style of ES module and TypeScript indexes', () => {
+    const esm = [
+      "import { Router } from 'express';",
+      "import healthRoutes from './health.js';",
+      '',
+      'const api = Router();',
+      '',
+      "api.use('/health', healthRoutes);",
+      '',
+      'export default api;',
+      '',
+    ].join('\n');
+    const registered = registerRoute(esm, route, 'index.ts');
+
+    expect(registered).toContain("import orderItemRoutes from './order-item.js';\n\nconst api");
+    expect(registered).toContain(
+      "api.use('/health', healthRoutes);\napi.use('/order-items', orderItemRoutes);\n"
+    );
+    expect(unregisterRoute(registered, 'order-item', 'index.ts')).toBe(esm);
+
+    // Routers mounted without a variable are already registered
+    const inline =
+      "const router = require('express').Router();\n\nrouter.use('/order-items', require('./order-item'));\n\nmodule.exports = router;\n";
+    expect(registerRoute(inline, route)).toBe(inline);
+    expect(unregisterRoute(inline, 'order-item')).toBe(
+      "const router = require('express').Router();\n\nmodule.exports = router;\n"
+    );
+  });
+
+  test('should add models to export lists and assignments in their own layout', () => {
+    const multiline = "const User = require('./User');\n\nmodule.exports = {\n  User,\n};\n";
+    const registered = registerModel(multiline, 'OrderItem');
+    expect(registered).toBe(
+      "const User = require('./User');\nconst OrderItem = require('./OrderItem');\n\n" +
+        'module.exports = {\n  User,\n  OrderItem,\n};\n'
+    );
+    expect(registerModel(registered, 'OrderItem')).toBe(registered);
+    expect(unregisterModel(registered, 'OrderItem')).toBe(multiline);
+
+    const inline = "import { User } from './User';\n\nexport { User };\n";
+    expect(registerModel(inline, 'OrderItem', 'index.ts')).toBe(
+      "import { User } from './User';\nimport { OrderItem } from './OrderItem';\n\n" +
+        'export { User, OrderItem };\n'
+    );
+
+    const assigned = "const db = {};\ndb.User = require('./User');\n\nmodule.exports = db;\n";
+    expect(registerModel(assigned, 'OrderItem')).toBe(
+      "const db = {};\ndb.User = require('./User');\ndb.OrderItem = require('./OrderItem');\n\n" +
+        'module.exports = db;\n'
+    );
+
+    // The models index of the project templates loads every file by itself
+    const loader = 'fs.readdirSync(__dirname).forEach(file => {});\nmodule.exports = db;\n';
+    expect(registerModel(loader, 'OrderItem')).toBe(loader);
+    expect(registerModel('module.exports = () => {};\n', 'OrderItem')).toBeNull();
+  });
+
+  test('should register generated files once and unregister them on destroy', async () => {
+    const routesIndex = path.join(tempDir, 'src', 'routes', 'index.js');
+    const modelsIndex = path.join(tempDir, 'src', 'models', 'index.js');
+    const routes =
+      "const express = require('express');\nconst router = express.Router();\n\nmodule.exports = router;\n";
+    const models = 'module.exports = {};\n';
+    await fs.mkdir(path.dirname(routesIndex), { recursive: true });
+    await fs.mkdir(path.dirname(modelsIndex), { recursive: true });
+    await fs.writeFile(routesIndex, routes);
+    await fs.writeFile(modelsIndex, models);
+
+    const options = { outputDir: tempDir, fields: 'title:string' };
+    const results = await quietly(() => generateCRUD('order-item', options));
+    const byType = Object.fromEntries(results.map(result => [result.type, result]));
+    expect(byType.route.registration).toEqual({
+      status: 'updated',
+      indexPath: routesIndex,
+      mountPath: '/order-items',
+    });
+    expect(byType.model.registration.status).toBe('updated');
+    expect(await fs.readFile(routesIndex, 'utf8')).toBe(
+      "const express = require('express');\nconst orderItemRoutes = require('./order-item');\n" +
+        "const router = express.Router();\n\nrouter.use('/order-items', orderItemRoutes);\n\n" +
+        'module.exports = router;\n'
+    );
+    expect(await fs.readFile(modelsIndex, 'utf8')).toBe(
+      "const OrderItem = require('./OrderItem');\n\nmodule.exports = { OrderItem };\n"
+    );
+
+    const again = await quietly(() => generateCode('route', 'crud', 'order-item', options));
+    expect(again.registration.status).toBe('unchanged');
+
+    // An edited controller survives destroy without --force
+    const controller = byType.controller.outputPath;
+    await fs.appendFile(controller, '// edited\n');
+    const destroyed = await quietly(() => destroyEntity('order-item', { outputDir: tempDir }));
+
+    expect(destroyed).toContainEqual({ outputPath: controller, status: 'kept' });
+    expect(destroyed).toContainEqual({ outputPath: byType.route.outputPath, status: 'deleted' });
+    expect(await fs.readFile(routesIndex, 'utf8')).toBe(routes);
+    expect(await fs.readFile(modelsIndex, 'utf8')).toBe('module.exports = {};\n');
+    await expect(fs.access(byType.model.outputPath)).rejects.toThrow();
+    await expect(fs.access(controller)).resolves.toBeUndefined();
+    // Migrations may have run, so they stay
+    expect((await fs.readdir(path.join(tempDir, 'src', 'migrations'))).length).toBe(1);
+
+    const forced = await quietly(() =>
+      destroyEntity('order-item', { outputDir: tempDir, force: true })
+    );
+    expect(forced).toEqual([{ outputPath: controller, status: 'deleted' }]);
+    await expect(
+      quietly(() => destroyEntity('order-item', { outputDir: tempDir }))
+    ).rejects.toThrow(`No generated files for order-item in ${tempDir}`);
+  });
+
+  test('should unmount an edited router whose controller is destroyed', async () => {
+    const appPath = path.join(tempDir, 'src', 'app.js');
+    const routesIndex = path.join(tempDir, 'src', 'routes', 'index.js');
+    await fs.mkdir(path.dirname(routesIndex), { recursive: true });
+    await fs.writeFile(
+      appPath,
+      "const express = require('express');\n\nconst app = express();\napp.use('/api', require('./routes'));\n\nmodule.exports = app;\n"
+    );
+    await fs.writeFile(
+      routesIndex,
+      "const router = require('express').Router();\n\nmodule.exports = router;\n"
+    );
+
+    const results = await quietly(() =>
+      generateCRUD('order-item', { outputDir: tempDir, fields: 'title:string' })
+    );
+    const routePath = results.find(result => result.type === 'route').outputPath;
+    await fs.appendFile(routePath, '// edited\n');
+    const destroyed = await quietly(() => destroyEntity('order-item', { outputDir: tempDir }));
+
+    expect(destroyed).toContainEqual({ outputPath: routePath, status: 'kept' });
+    expect(await fs.readFile(routesIndex, 'utf8')).not.toContain('order-item');
+    await expect(fs.access(routePath)).resolves.toBeUndefined();
+    let app;
+    jest.isolateModules(() => {
+      app = require(appPath);
+    });
+    expect(typeof app).toBe('function');
+  });
+
+  test('should leave the index files alone when asked to', async () => {
+    const routesIndex = path.join(tempDir, 'src', 'routes', 'index.js');
+    const routes = "const router = require('express').Router();\n\nmodule.exports = router;\n";
+    await fs.mkdir(path.dirname(routesIndex), { recursive: true });
+    await fs.writeFile(routesIndex, routes);
+
+    const result = await quietly(() =>
+      generateCode('route', 'crud', 'order-item', { outputDir: tempDir, register: false })
+    );
+    expect(result.registration).toBeUndefined();
+    expect(await fs.readFile(routesIndex, 'utf8')).toBe(routes);
+  });
+
+  test('should generate and destroy files in the directory given with -o', async () => {
+    const cli = path.join(__dirname, '..', '..', 'scripts', 'code-generator.js');
+    const outputDir = path.join(tempDir, 'api');
+    const cwd = path.join(tempDir, 'cwd');
+    await fs.mkdir(cwd);
+    const exists = file =>
+      fs.access(path.join(outputDir, file)).then(
+        () => true,
+        () => false
+      );
+
+    const args = ['crud', 'order-item', '--fields', 'title:string', '-o', outputDir];
+    await execFile('node', [cli, ...args], { cwd });
+    expect(await exists(path.join('src', 'routes', 'order-item.js'))).toBe(true);
+    expect(await fs.readdir(cwd)).toEqual([]);
+
+    await execFile('node', [cli, 'destroy', 'order-item', '-o', outputDir], { cwd });
+    expect(await exists(path.join('src', 'routes', 'order-item.js'))).toBe(false);
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Code Generator Relationship Tests
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const vm = require('vm');
+const {
+  collectRelations,
+  resolveRelations,
+  describeRelations,
+  relationTemplateVariables,
+} = require('../../scripts/code-gen-relations');
+const { generateCRUD, caseConverter } = require('../../scripts/code-generator');
+
+const namesFor = entityName => ({
+  entityName,
+  entityCamelCase: caseConverter.camelCase(entityName),
+  entityPascalCase: caseConverter.pascalCase(entityName),
+  entityKebabCase: caseConverter.kebabCase(entityName),
+  entityTableName: caseConverter.camelCase(caseConverter.pluralize(entityName)),
+  entityPlural: caseConverter.pluralize(caseConverter.kebabCase(entityName)),
+});
+
+const { quietly } = global.testHelpers;
+
+describe('Code Generator Relationships', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(__dirname, '..', 'temp-code-gen-relations-test');
+    await fs.mkdir(tempDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('Declarations', () => {
+    test('should collect relations from options and lists', () => {
+      expect(
+        collectRelations({
+          belongsTo: 'customer',
+          hasMany: ['order-item'],
+          manyToMany: 'tag, label',
+        })
+      ).toEqual([
+        { type: 'belongsTo', target: 'customer' },
+        { type: 'hasMany', target: 'order-item' },
+        { type: 'belongsToMany', target: 'tag' },
+        { type: 'belongsToMany', target: 'label' },
+      ]);
+    });
+
+    test('should merge entity file relations with options', async () => {
+      const entityFile = path.join(tempDir, 'order.yaml');
+      await fs.writeFile(
+        entityFile,
+        'fields:\n  total: decimal\nrelations:\n  hasMany: [order-item]\n  belongsTo: customer\n'
+      );
+
+      expect(await resolveRelations({ fields: entityFile, belongsTo: 'customer,store' })).toEqual([
+        { type: 'belongsTo', target: 'customer' },
+        { type: 'hasMany', target: 'order-item' },
+        { type: 'belongsTo', target: 'store' },
+      ]);
+    });
+
+    test('should nest child collections under the parent name', () => {
+      const [items, tags] = describeRelations(
+        collectRelations({ hasMany: 'order-item', manyToMany: 'tag' }),
+        namesFor('order'),
+        namesFor
+      );
+
+      expect(items).toMatchObject({
+        alias: 'items',
+        segment: 'items',
+        foreignKey: 'orderId',
+        singularPascal: 'Item',
+      });
+      expect(tags).toMatchObject({ alias: 'tags', through: 'orderTags', otherKey: 'tagId' });
+    });
+  });
+
+  describe('Template variables', () => {
+    test('should be empty without relations', () => {
+      const variables = relationTemplateVariables([], namesFor('order'));
+
+      expect(Object.values(variables).every(value => value === '')).toBe(true);
+    });
+
+    test('should render cascading associations, includes and nested handlers', () => {
+      const relations = describeRelations(
+        collectRelations({ hasMany: 'order-item' }),
+        namesFor('order'),
+        namesFor
+      );
+      const variables = relationTemplateVariables(relations, namesFor('order'));
+
+      expect(variables.modelAssociations).toContain('Order.hasMany(models.OrderItem, {');
+      expect(variables.modelAssociations).toContain("onDelete: 'CASCADE'");
+      expect(variables.includeHelper).toContain("const includableRelations = ['items'];");
+      expect(variables.nestedHandlers).toContain(
+        "const items = await orderRepository.findRelated(order.id, 'items');"
+      );
+      expect(variables.nestedExports).toBe(',\n  getItems,\n  createItem');
+      expect(variables.nestedRoutes).toContain("router.post('/:orderId/items',");
+      expect(variables.nestedRoutes).toContain(
+        "  validate(createOrderItemSchema.fork(['orderId'], rule => rule.optional())),\n"
+      );
+      expect(variables.nestedSchemaImports).toBe(
+        "const { createOrderItemSchema } = require('../schemas/order-item');\n"
+      );
+      expect(
+        relationTemplateVariables(relations, namesFor('order'), { lang: 'ts' }).nestedSchemaImports
+      ).toBe("import { createOrderItemSchema } from '../schemas/order-item';\n");
+      expect(variables.testRelationSuite).toContain(
+        'expect(await orderItemRepository.findById(child.id)).toBeNull();'
+      );
+    });
+  });
+
+  test('should add foreign keys and join tables once both tables exist', async () => {
+    const parent = await quietly(() =>
+      generateCRUD('order', {
+        outputDir: tempDir,
+        author: 'Tester',
+        hasMany: 'order-item',
+        manyToMany: 'tag',
+      })
+    );
+    const child = await quietly(() =>
+      generateCRUD('order-item', {
+        outputDir: tempDir,
+        author: 'Tester',
+        belongsTo: 'order',
+        fields: 'quantity:integer:required',
+      })
+    );
+    await quietly(() =>
+      generateCRUD('tag', { outputDir: tempDir, manyToMany: 'order', fields: 'label:string' })
+    );
+
+    const parentFiles = Object.fromEntries(parent.map(result => [result.type, result.content]));
+    const childFiles = Object.fromEntries(child.map(result => [result.type, result.content]));
+
+    expect(parentFiles.route).toContain(' * @route GET /api/orders/:orderId/items');
+    expect(parentFiles.controller).toContain('include: buildIncludes(req.query.include)');
+    expect(childFiles.model).toContain(
+      'orderId: {\n    type: DataTypes.UUID,\n    allowNull: false,'
+    );
+    expect(childFiles.model).toContain("tableName: 'orderItems'");
+    expect(childFiles.test).toContain('orderId: testOrder.id,');
+
+    const migrations = await fs.readdir(path.join(tempDir, 'src', 'migrations'));
+    expect(migrations.map(file => file.replace(/^\d{14}-/, ''))).toEqual([
+      'create-orders.js',
+      'create-order-items.js',
+      'add-order-items-order-id-foreign-key.js',
+      'create-tags.js',
+      'create-order-tags.js',
+    ]);
+
+    const foreignKey = await fs.readFile(
+      path.join(tempDir, 'src', 'migrations', migrations[2]),
+      'utf8'
+    );
+    expect(foreignKey).toContain('REFERENCES orders (id)\n          ON DELETE CASCADE');
+    expect(() => new vm.Script(foreignKey)).not.toThrow();
+
+    ['model', 'controller', 'route', 'middleware'].forEach(type => {
+      expect(() => new vm.Script(parentFiles[type])).not.toThrow();
+    });
+    ['model', 'controller', 'route', 'middleware', 'test'].forEach(type => {
+      expect(() => new vm.Script(childFiles[type])).not.toThrow();
+    });
+  });
+
+  test('should name route parameters and foreign keys of PascalCase entities in camel case', async () => {
+    const results = await quietly(() =>
+      generateCRUD('Order', { outputDir: tempDir, hasMany: 'OrderItem', fields: 'total:integer' })
+    );
+    const route = results.find(result => result.type === 'route').content;
+
+    expect(route).toContain(
+      "const { createOrderItemSchema } = require('../schemas/order-item');\n"
+    );
+    expect(route).toContain(
+      "router.post('/:orderId/items',\n  authenticate,\n" +
+        '  // The Order comes from the URL, so the body can leave out orderId\n' +
+        "  validate(createOrderItemSchema.fork(['orderId'], rule => rule.optional())),\n" +
+        '  orderController.createItem\n);'
+    );
+    expect(route).not.toContain('OrderId');
+  });
+
+  test('should use camel case identifiers for multi-word entities', async () => {
+    const results = await quietly(() =>
+      generateCRUD('OrderItem', {
+        outputDir: tempDir,
+        belongsTo: 'Order',
+        hasMany: 'shipment-line',
+        fields: 'quantity:integer:required',
+      })
+    );
+    const files = Object.fromEntries(results.map(result => [result.type, result.content]));
+
+    expect(files.controller).toContain('const [orderItems, count] = await Promise.all([');
+    expect(files.controller).toContain('res.json({\n      orderItems,');
+    expect(files.test).toContain(".get('/api/order-items')");
+    expect(files.test).toContain('response.body.orderItems');
+    expect(files.model).toContain('  orderId: {\n');
+    ['model', 'controller', 'route', 'middleware', 'test'].forEach(type => {
+      expect(() => new vm.Script(files[type])).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Code Generator Seeder Tests
+ */
+
+const { parseFieldSpec } = require('../../scripts/code-gen-fields');
+const { fakeValue, seederTemplateVariables } = require('../../scripts/code-gen-seeders');
+
+const names = {
+  entityName: 'customer',
+  entityPlural: 'customers',
+  entityTableName: 'customers',
+  entityConstantCase: 'CUSTOMER',
+};
+
+describe('Code Generator Seeders', () => {
+  test('should choose realistic values from field names and types', () => {
+    const [email, firstName, price, quantity, tier, website, bio] = parseFieldSpec(
+      'email:email,firstName:string,price:decimal(10,2),quantity:integer:max=5,' +
+        'tier:enum(gold,silver),website:url,bio:text'
+    );
+
+    expect(fakeValue(email, 0, names)).toBe('olivia.martin@example.com');
+    expect(fakeValue(firstName, 1, names)).toBe('Liam');
+    expect(fakeValue(price, 0, names)).toBe(19.99);
+    expect(fakeValue(quantity, 3, names)).toBe(5);
+    expect([0, 1, 2].map(index => fakeValue(tier, index, names))).toEqual([
+      'gold',
+      'silver',
+      'gold',
+    ]);
+    expect(fakeValue(website, 0, names)).toMatch(/^https:\/\/www\.example\.com\/customers\//);
+    expect(fakeValue(bio, 0, names)).toMatch(/\.$/);
+  });
+
+  test('should respect string lengths', () => {
+    const [code] = parseFieldSpec('nickname:string(4)');
+
+    expect(fakeValue(code, 0, names)).toHaveLength(4);
+  });
+
+  test('should render stable records and look up parent rows', () => {
+    const fields = [
+      ...parseFieldSpec('name:string:required'),
+      { name: 'storeId', type: 'uuid', references: { table: 'stores' } },
+    ];
+    const variables = seederTemplateVariables(fields, names, { count: 3 });
+
+    expect(variables).toEqual(seederTemplateVariables(fields, names, { count: 3 }));
+    expect(variables.seedRecords.match(/ id: '/g)).toHaveLength(3);
+    expect(variables.seedRecords).toContain('storeId: stores[2 % stores.length].id');
+    expect(variables.seedParentQueries).toContain(
+      'SELECT\n          id\n      FROM\n          stores\n      WHERE\n          deletedAt IS NULL'
+    );
+    expect(variables.seedIds.split('\n')).toHaveLength(3);
+  });
+});
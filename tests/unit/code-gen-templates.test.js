@@ -0,0 +1,170 @@
+/**
+ * Code Generator Template Pack Tests
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+  discoverTemplatePacks,
+  createTemplateRegistry,
+  templateVariables,
+  parseTemplateVariables,
+} = require('../../scripts/code-gen-templates');
+const { generateCode, generateCRUD } = require('../../scripts/code-generator');
+
+const { quietly } = global.testHelpers;
+
+/**
+ * Write a pack directory with a manifest and template files
+ */
+const writePack = async (dir, manifest, files) => {
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, 'template-pack.json'), JSON.stringify(manifest));
+  for (const [name, content] of Object.entries(files)) {
+    await fs.writeFile(path.join(dir, name), content);
+  }
+};
+
+describe('Code Generator Template Packs', () => {
+  let tempDir;
+  let homeDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(__dirname, '..', 'temp-code-gen-templates-test');
+    homeDir = path.join(tempDir, 'home');
+    await fs.mkdir(homeDir, { recursive: true });
+    jest.spyOn(os, 'homedir').mockReturnValue(homeDir);
+  });
+
+  afterEach(async () => {
+    os.homedir.mockRestore();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should discover project, home and npm packs in precedence order', async () => {
+    const controller = { templates: { controller: { crud: { file: 'controller.js' } } } };
+    await writePack(path.join(tempDir, '.rest-spec', 'templates', 'house'), controller, {
+      'controller.js': 'project',
+    });
+    await writePack(
+      path.join(homeDir, '.rest-spec', 'templates'),
+      { name: 'mine', ...controller },
+      {
+        'controller.js': 'home',
+      }
+    );
+    await writePack(
+      path.join(tempDir, 'node_modules', '@acme', 'rest-spec-templates-api'),
+      controller,
+      {
+        'controller.js': 'npm',
+      }
+    );
+    await fs.mkdir(path.join(tempDir, 'node_modules', 'express'), { recursive: true });
+
+    const packs = await discoverTemplatePacks({ projectDir: tempDir, homeDir });
+    expect(packs.map(pack => [pack.name, pack.source])).toEqual([
+      ['house', 'project'],
+      ['mine', 'home'],
+      ['@acme/rest-spec-templates-api', 'npm'],
+    ]);
+
+    const registry = createTemplateRegistry(
+      { js: { controller: { crud: 'built-in' } } },
+      { controller: 'crud' },
+      packs
+    );
+    expect((await registry.resolve('controller', 'crud')).content).toBe('project');
+    expect((await registry.resolve('controller', 'unknown', { pack: 'mine' })).content).toBe(
+      'home'
+    );
+    expect(registry.list().map(template => [template.pack, template.overridden])).toEqual([
+      ['house', false],
+      ['mine', true],
+      ['@acme/rest-spec-templates-api', true],
+      ['built-in', true],
+    ]);
+    await expect(registry.resolve('service', 'crud')).rejects.toThrow(
+      'Unknown generator type: service'
+    );
+    await expect(registry.resolve('controller', 'crud', { pack: 'other' })).rejects.toThrow(
+      'Unknown template pack: other'
+    );
+  });
+
+  test('should reject manifests without templates', async () => {
+    await writePack(path.join(tempDir, '.rest-spec', 'templates'), { name: 'broken' }, {});
+
+    await expect(discoverTemplatePacks({ projectDir: tempDir, homeDir })).rejects.toThrow(
+      '"templates" must map generator types to templates'
+    );
+  });
+
+  describe('Variables', () => {
+    const template = {
+      type: 'service',
+      name: 'default',
+      pack: 'acme',
+      variables: {
+        company: { default: 'Acme', description: '', required: false },
+        team: { description: 'Owning team', required: true },
+      },
+    };
+
+    test('should apply defaults and command line values', () => {
+      expect(
+        templateVariables(template, parseTemplateVariables(['team=payments', 'x=a=b']))
+      ).toEqual({ company: 'Acme', team: 'payments', x: 'a=b' });
+    });
+
+    test('should require variables without defaults', () => {
+      expect(() => templateVariables(template, {})).toThrow(
+        'Template service/default in pack "acme" needs --var team=<value> (Owning team)'
+      );
+      expect(() => parseTemplateVariables(['team'])).toThrow('key=value pairs');
+    });
+  });
+
+  test('should generate pack templates, new types and CRUD extras', async () => {
+    await writePack(
+      path.join(tempDir, '.rest-spec', 'templates'),
+      {
+        name: 'acme',
+        variables: { company: 'Acme Corp' },
+        templates: {
+          route: { crud: { file: 'route.js' } },
+          service: {
+            default: {
+              file: 'service.js',
+              output: 'src/services/{{entityKebabCase}}Service.js',
+              crud: true,
+              variables: { cache: { default: 'none' } },
+            },
+          },
+        },
+      },
+      {
+        'route.js': '// {{company}} routes for {{entityPlural}}\n',
+        'service.js': '// {{entityPascalCase}}Service ({{company}}, cache: {{cache}})\n',
+      }
+    );
+
+    const service = await quietly(() =>
+      generateCode('service', undefined, 'invoice', { outputDir: tempDir, var: ['cache=redis'] })
+    );
+    expect(service.outputPath).toBe(path.join(tempDir, 'src', 'services', 'invoiceService.js'));
+    expect(service.content).toBe('// InvoiceService (Acme Corp, cache: redis)\n');
+    expect(service.pack).toBe('acme');
+
+    const results = await quietly(() =>
+      generateCRUD('invoice', { outputDir: tempDir, fields: 'total:decimal(10,2)' })
+    );
+    const byType = Object.fromEntries(results.map(result => [result.type, result]));
+
+    expect(byType.route.content).toBe('// Acme Corp routes for invoices\n');
+    expect(byType.controller.pack).toBe('built-in');
+    expect(byType.service.status).toBe('updated');
+    expect(byType.service.content).toContain('cache: none');
+  });
+});
@@ -0,0 +1,346 @@
+/**
+ * Code Generator TypeScript Output Tests
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const ts = require('typescript');
+const { typescriptTemplateVariables } = require('../../scripts/code-gen-typescript');
+const { collectRelations, describeRelations } = require('../../scripts/code-gen-relations');
+const {
+  generateCode,
+  generateCRUD,
+  generateMigrationDiff,
+  caseConverter,
+} = require('../../scripts/code-generator');
+
+const namesFor = entityName => ({
+  entityName,
+  entityCamelCase: caseConverter.camelCase(entityName),
+  entityPascalCase: caseConverter.pascalCase(entityName),
+  entityKebabCase: caseConverter.kebabCase(entityName),
+  entityTableName: caseConverter.camelCase(caseConverter.pluralize(entityName)),
+  entityPlural: caseConverter.pluralize(caseConverter.kebabCase(entityName)),
+});
+
+const { quietly } = global.testHelpers;
+
+/**
+ * Syntax errors TypeScript reports for a source file
+ */
+const syntaxErrors = (content, fileName) =>
+  ts
+    .transpileModule(content, { fileName, reportDiagnostics: true })
+    .diagnostics.map(diagnostic => ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n'));
+
+/**
+ * Type errors in some of a generated project's source files, checked with the
+ * compiler options of the TypeScript standards; the modules they import are
+ * compiled but not reported on
+ */
+const typeErrors = files => {
+  const program = ts.createProgram(files, {
+    target: ts.ScriptTarget.ES2022,
+    module: ts.ModuleKind.CommonJS,
+    moduleResolution: ts.ModuleResolutionKind.Node10,
+    esModuleInterop: true,
+    skipLibCheck: true,
+    noEmit: true,
+    strict: true,
+    noImplicitReturns: true,
+    noUnusedLocals: true,
+    noUnusedParameters: true,
+    exactOptionalPropertyTypes: true,
+    noImplicitOverride: true,
+  });
+  return ts
+    .getPreEmitDiagnostics(program)
+    .filter(diagnostic => !diagnostic.file || files.includes(diagnostic.file.fileName))
+    .map(diagnostic => ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n'));
+};
+
+/**
+ * The Sequelize instance a generated TypeScript project exports
+ */
+const writeDatabaseConfig = async projectDir => {
+  await fs.mkdir(path.join(projectDir, 'src', 'config'), { recursive: true });
+  await fs.writeFile(
+    path.join(projectDir, 'src', 'config', 'database.ts'),
+    "import { Sequelize } from 'sequelize';\n\nexport const sequelize = new Sequelize('sqlite::memory:');\n"
+  );
+};
+
+/**
+ * The modules of a generated TypeScript project that controllers import, and
+ * the user the authentication middleware adds to requests; returns the path of
+ * that declaration, which the type check needs as a root file
+ */
+const writeControllerModules = async projectDir => {
+  const write = async (file, content) => {
+    await fs.mkdir(path.dirname(path.join(projectDir, file)), { recursive: true });
+    await fs.writeFile(path.join(projectDir, file), content);
+  };
+
+  await write(
+    'src/utils/logger.ts',
+    'const log = (..._args: unknown[]): void => undefined;\n\nexport default { info: log, error: log };\n'
+  );
+  await write(
+    'src/utils/errors.ts',
+    'export class AppError extends Error {\n' +
+      '  constructor(message: string, public statusCode: number) {\n    super(message);\n  }\n}\n'
+  );
+  await write(
+    'src/types/express.d.ts',
+    'declare global {\n  namespace Express {\n    interface Request {\n      user?: { id: string };\n' +
+      '    }\n  }\n}\n\nexport {};\n'
+  );
+  return path.join(projectDir, 'src', 'types', 'express.d.ts');
+};
+
+/**
+ * The app, user model and token helper a generated TypeScript test imports,
+ * and a declaration of supertest, whose types are not installed; returns the
+ * paths the type check of a test needs as root files
+ */
+const writeTestModules = async projectDir => {
+  const write = async (file, content) => {
+    await fs.mkdir(path.dirname(path.join(projectDir, file)), { recursive: true });
+    await fs.writeFile(path.join(projectDir, file), content);
+  };
+
+  await write('src/app.ts', 'export default {};\n');
+  await write('src/models/User.ts', 'export interface UserInstance {\n  id: string;\n}\n');
+  await write(
+    'src/models/index.ts',
+    "import type { UserInstance } from './User';\n\nexport const User = {\n" +
+      "  create: async (_values: unknown): Promise<UserInstance> => ({ id: 'user' }),\n" +
+      '  destroy: async (_options: unknown): Promise<number> => 1\n};\n'
+  );
+  await write(
+    'src/middleware/auth.ts',
+    "export const generateToken = (_user: unknown): string => 'token';\n"
+  );
+  await write(
+    'src/types/supertest.d.ts',
+    "declare module 'supertest' {\n  const request: (app: unknown) => any;\n  export default request;\n}\n"
+  );
+  return [path.join(projectDir, 'src', 'types', 'supertest.d.ts')];
+};
+
+describe('Code Generator TypeScript Output', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(__dirname, '..', 'temp-code-gen-typescript-test');
+    await fs.mkdir(tempDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should generate a typed CRUD stack with JavaScript migrations', async () => {
+    await quietly(() =>
+      generateCRUD('customer', { outputDir: tempDir, fields: 'name:string:required', lang: 'ts' })
+    );
+    const results = await quietly(() =>
+      generateCRUD('order', {
+        outputDir: tempDir,
+        fields: 'total:decimal(10,2):required,status:enum(open,paid),placedAt:datetime',
+        belongsTo: 'customer',
+        lang: 'ts',
+      })
+    );
+    const byType = Object.fromEntries(results.map(result => [result.type, result]));
+    const migrations = results.filter(result => result.type === 'migration');
+
+    expect(path.relative(tempDir, byType.model.outputPath)).toBe(
+      path.join('src', 'models', 'Order.ts')
+    );
+    expect(byType.test.outputPath).toMatch(/order\.test\.ts$/);
+    expect(migrations.map(migration => path.basename(migration.outputPath))).toEqual([
+      expect.stringMatching(/-create-orders\.js$/),
+      expect.stringMatching(/-add-orders-customer-id-foreign-key\.js$/),
+    ]);
+    expect(migrations.every(migration => migration.lang === 'js')).toBe(true);
+    results
+      .filter(result => result.lang === 'ts')
+      .forEach(result => {
+        expect(syntaxErrors(result.content, result.outputPath)).toEqual([]);
+      });
+
+    expect(byType.model.content).toContain('  total: number | string;\n');
+    expect(byType.model.content).toContain("  status: 'open' | 'paid' | null;\n");
+    expect(byType.model.content).toContain('  placedAt: Date | null;\n');
+    expect(byType.model.content).toContain(
+      '  getCustomer: BelongsToGetAssociationMixin<CustomerInstance>;\n'
+    );
+    expect(byType.model.content).toContain(
+      "export const Order = sequelize.define<OrderInstance>('Order', {"
+    );
+    expect(byType.controller.content).toContain(
+      'export const getById: AsyncHandler<Request<{ id: string }>> = async (req, res, next) => {'
+    );
+    expect(byType.middleware.content).toContain(
+      'export type CreateOrderInput = Omit<\n  OrderCreationAttributes,'
+    );
+  });
+
+  test('should type-check the Sequelize repository and model', async () => {
+    await writeDatabaseConfig(tempDir);
+    const results = await quietly(() =>
+      generateCRUD('order', {
+        outputDir: tempDir,
+        fields: 'title:string:required,total:decimal(10,2),placedAt:datetime',
+        lang: 'ts',
+      })
+    );
+    const [model, repository] = ['model', 'repository'].map(type =>
+      results.find(result => result.type === type)
+    );
+
+    expect(repository.content).toContain(
+      '    ...(limit !== undefined && { limit }),\n    ...(offset !== undefined && { offset }),\n'
+    );
+    expect(typeErrors([repository.outputPath, model.outputPath])).toEqual([]);
+  });
+
+  test('should type-check the controller of every list query, lifecycle and bulk option', async () => {
+    await writeDatabaseConfig(tempDir);
+    const declarations = await writeControllerModules(tempDir);
+    const variants = [
+      {},
+      { pagination: 'cursor', linkHeaders: true },
+      { filtering: 'operators', sorting: 'multi', fieldsets: true, linkHeaders: true },
+      {
+        pagination: 'cursor',
+        filtering: 'operators',
+        sorting: 'multi',
+        fieldsets: true,
+        linkHeaders: true,
+      },
+      { softDelete: true, fieldsets: true },
+      { softDelete: true, optimisticLocking: true, audit: true },
+      { bulk: true, batch: true },
+      { bulk: true, batch: true, optimisticLocking: true, audit: true },
+    ];
+
+    for (const options of variants) {
+      const results = await quietly(() =>
+        generateCRUD('order', {
+          outputDir: tempDir,
+          fields: 'title:string:required,total:decimal(10,2),paid:boolean',
+          lang: 'ts',
+          force: true,
+          ...options,
+        })
+      );
+      // The models include the AuditLog model of audited entities
+      const files = results
+        .filter(result => ['model', 'repository', 'controller'].includes(result.type))
+        .map(result => result.outputPath);
+
+      expect(typeErrors([declarations, ...files])).toEqual([]);
+    }
+  });
+
+  test('should type-check the generated tests', async () => {
+    await writeDatabaseConfig(tempDir);
+    const declarations = await writeTestModules(tempDir);
+    const variants = [
+      {},
+      { filtering: 'operators', fieldsets: true },
+      { softDelete: true, optimisticLocking: true, audit: true },
+      { bulk: true, batch: true, optimisticLocking: true },
+    ];
+
+    for (const options of variants) {
+      const results = await quietly(() =>
+        generateCRUD('order', {
+          outputDir: tempDir,
+          fields: 'title:string:required,status:enum(open,paid)',
+          lang: 'ts',
+          force: true,
+          ...options,
+        })
+      );
+
+      // Checked from tests/, where the ../src imports of the test resolve
+      const testPath = path.join(tempDir, 'tests', 'order.test.ts');
+      await fs.writeFile(testPath, results.find(result => result.type === 'test').content);
+      expect(typeErrors([...declarations, testPath])).toEqual([]);
+    }
+  });
+
+  test('should wrap long type imports and type association mixins', () => {
+    const names = namesFor('order');
+    const relations = describeRelations(
+      collectRelations({ hasMany: 'order-item', manyToMany: 'tag' }),
+      names,
+      namesFor
+    );
+    const variables = typescriptTemplateVariables(
+      [{ name: 'total', type: 'integer', required: true }],
+      relations,
+      names
+    );
+
+    expect(variables.modelTypeImports).toMatch(
+      /^import type \{\n {2}BelongsToManyAddAssociationMixin,\n/
+    );
+    expect(variables.modelTypeImports).toMatch(/\n\} from 'sequelize';\n$/);
+    expect(variables.modelAssociationMembers).toContain(
+      "  createItem: HasManyCreateAssociationMixin<OrderItemInstance, 'orderId'>;\n"
+    );
+    expect(variables.modelAssociationMembers).toContain('  tags?: TagInstance[];\n');
+    expect(variables.modelAssociatedModels).toBe("'User' | 'OrderItem' | 'Tag'");
+  });
+
+  test('should diff TypeScript models without --lang', async () => {
+    await quietly(() =>
+      generateCRUD('product', { outputDir: tempDir, fields: 'title:string', lang: 'ts' })
+    );
+    const modelPath = path.join(tempDir, 'src', 'models', 'Product.ts');
+    const model = await fs.readFile(modelPath, 'utf8');
+    await fs.writeFile(modelPath, model.replace('DataTypes.STRING(255)', 'DataTypes.STRING(300)'));
+
+    const alter = await quietly(() => generateMigrationDiff('product', { outputDir: tempDir }));
+    expect(alter.outputPath).toMatch(/-alter-products\.js$/);
+    expect(alter.content).toContain('MODIFY COLUMN title VARCHAR(300)');
+  });
+
+  test('should use TypeScript templates from packs and reject unknown languages', async () => {
+    const packDir = path.join(tempDir, '.rest-spec', 'templates');
+    await fs.mkdir(packDir, { recursive: true });
+    await fs.writeFile(
+      path.join(packDir, 'template-pack.json'),
+      JSON.stringify({
+        name: 'acme',
+        templates: {
+          service: {
+            default: {
+              file: 'service.ts',
+              output: 'src/services/{{entityKebabCase}}Service.ts',
+              lang: 'ts',
+            },
+          },
+        },
+      })
+    );
+    await fs.writeFile(
+      path.join(packDir, 'service.ts'),
+      'export const {{entityCamelCase}}Service = {};\n'
+    );
+
+    const service = await quietly(() =>
+      generateCode('service', undefined, 'invoice', { outputDir: tempDir, lang: 'ts' })
+    );
+    expect(service.lang).toBe('ts');
+    expect(service.content).toBe('export const invoiceService = {};\n');
+
+    await expect(
+      quietly(() => generateCode('route', 'crud', 'invoice', { outputDir: tempDir, lang: 'py' }))
+    ).rejects.toThrow('Unknown language: py (use js or ts)');
+  });
+});